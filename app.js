@@ -6,12 +6,24 @@
 // State
 const state = {
     tiles: [],
-    scratchpad: [null, null, null, null], // 4 scratchpad slots
+    solvedGroups: [], // Groups already solved in the screenshot: { color, category, words }
+    lockedGroups: [], // Colour groups set aside as category bars: { color, category, notes, tiles }
+    shape: { ...DEFAULT_PUZZLE_SHAPE }, // Current puzzle: `rows` groups of `cols` words
+    shapeSetting: 'auto', // Shape for the next upload: 'auto' or 'ROWSxCOLS'
+    scratchpad: [null, null, null, null], // One slot per word in a group
     selectedTiles: new Set(), // Set of "source:index" strings for selected tiles
     draggedTile: null,
     draggedSource: null, // 'grid' or 'scratchpad'
+    sourceImage: null, // Uploaded image for re-cropping cells, stored with the puzzle
+    puzzle: null, // Open puzzle's record: { id, name, createdAt, openedAt } (see beginPuzzle)
+    gridGeometry: null, // Grid outline and dividers the tiles were read with (see gridGeometryFromBounds)
+    mistakesRemaining: null, // Mistakes left in the game being played or the screenshot came from, null if unknown
+    mistakesFromScreenshot: false, // mistakesRemaining was read off the screenshot and no game has used it yet
+    play: null, // Answer-key game in progress: { groups, guesses, finished } (see startPlay)
+    history: { undo: [], redo: [] }, // Commands that rearranged the board, oldest first (see runCommand)
     debugVisible: false, // Debug overlay visibility
-    detectedWords: [] // All words detected by OCR for debug visualization
+    detectedWords: [], // All words detected by OCR for debug visualization
+    lastAnalysis: null // Everything the last upload produced, for the pipeline inspector
 };
 
 // DOM Elements
@@ -20,52 +32,193 @@ const elements = {
     uploadMinimized: document.getElementById('uploadMinimized'),
     expandUploadBtn: document.getElementById('expandUploadBtn'),
     fileInput: document.getElementById('fileInput'),
+    cameraInput: document.getElementById('cameraInput'),
+    cameraBtn: document.getElementById('cameraBtn'),
+    minimizedCameraBtn: document.getElementById('minimizedCameraBtn'),
+    cameraModal: document.getElementById('cameraModal'),
+    cameraModalClose: document.getElementById('cameraModalClose'),
+    cameraVideo: document.getElementById('cameraVideo'),
+    cameraCaptureBtn: document.getElementById('cameraCaptureBtn'),
+    cameraLive: document.getElementById('cameraLive'),
+    cameraFallback: document.getElementById('cameraFallback'),
+    cameraAppBtn: document.getElementById('cameraAppBtn'),
     previewContainer: document.getElementById('previewContainer'),
     previewWrapper: document.getElementById('previewWrapper'),
     previewImage: document.getElementById('previewImage'),
     debugCanvas: document.getElementById('debugCanvas'),
     debugToggle: document.getElementById('debugToggle'),
+    adjustGridBtn: document.getElementById('adjustGridBtn'),
+    gridAdjust: document.getElementById('gridAdjust'),
+    cancelAdjustBtn: document.getElementById('cancelAdjustBtn'),
+    rerunOcrBtn: document.getElementById('rerunOcrBtn'),
+    inspector: document.getElementById('inspector'),
+    inspectorSummary: document.getElementById('inspectorSummary'),
+    inspectorStages: document.getElementById('inspectorStages'),
+    inspectorCells: document.getElementById('inspectorCells'),
+    inspectorExportBtn: document.getElementById('inspectorExportBtn'),
+    calibrationForm: document.getElementById('calibrationForm'),
+    calibrationName: document.getElementById('calibrationName'),
+    calibrationSaveBtn: document.getElementById('calibrationSaveBtn'),
+    calibrationList: document.getElementById('calibrationList'),
     clearBtn: document.getElementById('clearBtn'),
     uploadSection: document.getElementById('uploadSection'),
     statusSection: document.getElementById('statusSection'),
     statusText: document.getElementById('statusText'),
+    statusActions: document.getElementById('statusActions'),
+    mistakes: document.getElementById('mistakes'),
+    mistakesDots: document.getElementById('mistakesDots'),
+    playStartBtn: document.getElementById('playStartBtn'),
+    playDeselectBtn: document.getElementById('playDeselectBtn'),
+    playSubmitBtn: document.getElementById('playSubmitBtn'),
+    playEndBtn: document.getElementById('playEndBtn'),
+    answerKeyModal: document.getElementById('answerKeyModal'),
+    answerKeyClose: document.getElementById('answerKeyClose'),
+    answerKeyForm: document.getElementById('answerKeyForm'),
+    answerKeyInput: document.getElementById('answerKeyInput'),
+    answerKeyError: document.getElementById('answerKeyError'),
+    answerKeyFileBtn: document.getElementById('answerKeyFileBtn'),
+    answerKeyFile: document.getElementById('answerKeyFile'),
     gridSection: document.getElementById('gridSection'),
     tileGrid: document.getElementById('tileGrid'),
+    solvedGroups: document.getElementById('solvedGroups'),
+    lockActions: document.getElementById('lockActions'),
+    lockedGroups: document.getElementById('lockedGroups'),
     scratchpad: document.getElementById('scratchpad'),
     shuffleBtn: document.getElementById('shuffleBtn'),
-    colorBtns: document.querySelectorAll('.color-btn'),
+    colorPalette: document.getElementById('colorPalette'),
+    undoBtn: document.getElementById('undoBtn'),
+    redoBtn: document.getElementById('redoBtn'),
+    shareBtn: document.getElementById('shareBtn'),
+    shareModal: document.getElementById('shareModal'),
+    shareClose: document.getElementById('shareClose'),
+    shareScratchpadOption: document.getElementById('shareScratchpadOption'),
+    shareScratchpad: document.getElementById('shareScratchpad'),
+    shareLink: document.getElementById('shareLink'),
+    shareCopyBtn: document.getElementById('shareCopyBtn'),
+    toast: document.getElementById('toast'),
+    shapeSelect: document.getElementById('shapeSelect'),
     modal: document.getElementById('definitionModal'),
     modalWord: document.getElementById('modalWord'),
     modalDefinition: document.getElementById('modalDefinition'),
     modalClose: document.getElementById('modalClose'),
+    puzzlesBtn: document.getElementById('puzzlesBtn'),
+    puzzlesModal: document.getElementById('puzzlesModal'),
+    puzzlesClose: document.getElementById('puzzlesClose'),
+    puzzleList: document.getElementById('puzzleList'),
+    puzzleListEmpty: document.getElementById('puzzleListEmpty'),
     helpBtn: document.getElementById('helpBtn'),
     helpModal: document.getElementById('helpModal'),
-    helpModalClose: document.getElementById('helpModalClose')
+    helpModalClose: document.getElementById('helpModalClose'),
+    tileEditorModal: document.getElementById('tileEditorModal'),
+    tileEditorClose: document.getElementById('tileEditorClose'),
+    tileEditorForm: document.getElementById('tileEditorForm'),
+    tileEditorInput: document.getElementById('tileEditorInput'),
+    tileEditorCrop: document.getElementById('tileEditorCrop'),
+    tileEditorMeta: document.getElementById('tileEditorMeta'),
+    tileEditorAlternatives: document.getElementById('tileEditorAlternatives'),
+    tileEditorRetry: document.getElementById('tileEditorRetry'),
+    tileEditorCandidates: document.getElementById('tileEditorCandidates'),
+    tileEditorNext: document.getElementById('tileEditorNext')
 };
 
-// Storage key
+// Storage keys
 const STORAGE_KEY = 'wellconnected_state';
+const SHAPE_SETTING_KEY = 'wellconnected_shape';
+const CALIBRATION_STORAGE_KEY = 'wellconnected_calibration_profiles';
+
+// Group colours in palette order; variants with more groups use the extra ones
+const GROUP_COLORS = ['yellow', 'green', 'blue', 'purple', 'orange', 'pink'];
 
 // Initialize
 function init() {
     setupUploadHandlers();
+    setupShapePicker();
+    setupPasteHandler();
+    setupCamera();
     setupColorPalette();
+    setupLockedGroups();
     setupShuffleButton();
+    setupHistory();
+    setupPlayMode();
     setupModal();
     setupHelpModal();
+    setupTileEditor();
     setupScratchpad();
     setupDebugToggle();
+    setupGridAdjust();
+    setupInspector();
+    setupCalibration();
+    setupPuzzleList();
+    setupShareLinks();
+    setupServiceWorker();
     loadSavedState();
+    openSharedLink();
 }
 
-// ==================== Local Storage ====================
+// ==================== Saved Puzzles ====================
+// The open puzzle is kept in localStorage, so it is back as soon as the page
+// loads; every puzzle is also kept in IndexedDB with its screenshot (see
+// puzzle-store.js) for the puzzle list.
 
-function saveState() {
-    const data = {
+// Longest side of the grid thumbnails shown in the puzzle list
+const PUZZLE_THUMBNAIL_SIZE = 160;
+
+/**
+ * Everything saved for a puzzle's board
+ */
+function serializeBoard() {
+    return {
         tiles: state.tiles,
-        scratchpad: state.scratchpad
+        solvedGroups: state.solvedGroups,
+        lockedGroups: state.lockedGroups,
+        shape: state.shape,
+        scratchpad: state.scratchpad,
+        gridGeometry: state.gridGeometry,
+        mistakesRemaining: state.mistakesRemaining,
+        mistakesFromScreenshot: state.mistakesFromScreenshot,
+        play: state.play,
+        history: state.history
     };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+}
+
+function isEmptyBoard(board) {
+    return !(board.tiles && board.tiles.length > 0) &&
+        !(board.solvedGroups && board.solvedGroups.length > 0) &&
+        !(board.lockedGroups && board.lockedGroups.length > 0);
+}
+
+/**
+ * Put a saved board (see serializeBoard) back into the state
+ */
+function restoreBoard(board) {
+    state.tiles = board.tiles || [];
+    state.solvedGroups = board.solvedGroups || [];
+    state.lockedGroups = board.lockedGroups || [];
+    applyPuzzleShape(board.shape || DEFAULT_PUZZLE_SHAPE);
+    if (board.scratchpad) {
+        state.scratchpad = board.scratchpad;
+    }
+    state.gridGeometry = board.gridGeometry || null;
+    state.mistakesRemaining = typeof board.mistakesRemaining === 'number' ? board.mistakesRemaining : null;
+    state.mistakesFromScreenshot = Boolean(board.mistakesFromScreenshot);
+    state.play = board.play || null;
+    state.history = board.history || { undo: [], redo: [] };
+    state.selectedTiles.clear();
+}
+
+function saveState() {
+    const board = serializeBoard();
+    if (isEmptyBoard(board)) return;
+    
+    // The first save of a new board starts its record
+    if (!state.puzzle) {
+        beginPuzzle();
+    }
+    
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...board, puzzle: state.puzzle }));
+    savePuzzle({ ...state.puzzle, updatedAt: Date.now(), board }).catch((error) => {
+        console.warn('Failed to save puzzle:', error);
+    });
 }
 
 function loadSavedState() {
@@ -73,17 +226,15 @@ function loadSavedState() {
         const saved = localStorage.getItem(STORAGE_KEY);
         if (saved) {
             const data = JSON.parse(saved);
-            if (data.tiles && data.tiles.length > 0) {
-                state.tiles = data.tiles;
-                state.scratchpad = data.scratchpad || [null, null, null, null];
+            if (!isEmptyBoard(data)) {
+                restoreBoard(data);
                 
-                // Minimize the upload section
-                elements.uploadArea.hidden = true;
-                elements.uploadMinimized.hidden = false;
-                
-                // Show the grid section
-                elements.gridSection.hidden = false;
-                renderGrid();
+                // Boards saved before the puzzle list get a record on the next save
+                state.puzzle = data.puzzle || null;
+                if (state.puzzle) {
+                    loadPuzzleImage(state.puzzle.id);
+                }
+                showRestoredBoard();
             }
         }
     } catch (e) {
@@ -91,10 +242,95 @@ function loadSavedState() {
     }
 }
 
-function clearSavedState() {
+/**
+ * Show the board restoreBoard put back in place of the upload area
+ */
+function showRestoredBoard() {
+    // Minimize the upload section
+    elements.uploadArea.hidden = true;
+    elements.uploadMinimized.hidden = false;
+    
+    // Show the grid section
+    elements.gridSection.hidden = false;
+    renderGrid();
+}
+
+/**
+ * Leave the open puzzle; it stays in the puzzle list
+ */
+function closePuzzle() {
+    state.puzzle = null;
     localStorage.removeItem(STORAGE_KEY);
 }
 
+/**
+ * Start a record for the board on screen, with its screenshot and a
+ * thumbnail of its grid
+ */
+function beginPuzzle({ name = 'Untitled puzzle' } = {}) {
+    const now = Date.now();
+    const puzzle = {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        createdAt: now,
+        openedAt: now
+    };
+    state.puzzle = puzzle;
+    
+    const image = state.sourceImage;
+    if (image) {
+        putPuzzleImage(puzzle.id, image)
+            .then(() => createPuzzleThumbnail(image, state.gridGeometry))
+            .then(thumbnail => updatePuzzle(puzzle.id, { thumbnail }))
+            .catch((error) => {
+                console.warn('Failed to save puzzle screenshot:', error);
+            });
+    }
+}
+
+/**
+ * Bring back a stored puzzle's screenshot so its tiles can be re-read
+ */
+async function loadPuzzleImage(id) {
+    try {
+        const image = await getPuzzleImage(id);
+        if (image && state.puzzle && state.puzzle.id === id) {
+            state.sourceImage = image;
+            // Its grid can be adjusted again now
+            elements.adjustGridBtn.hidden = !canAdjustGrid();
+        }
+    } catch (error) {
+        console.warn('Failed to load puzzle screenshot:', error);
+    }
+}
+
+/**
+ * A small JPEG of the grid (the whole image if no grid was read)
+ */
+async function createPuzzleThumbnail(image, geometry) {
+    const img = await loadImageElement(image);
+    const source = geometry
+        ? { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height }
+        : { x: 0, y: 0, width: img.naturalWidth, height: img.naturalHeight };
+
+    const scale = Math.min(1, PUZZLE_THUMBNAIL_SIZE / Math.max(source.width, source.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * scale));
+    canvas.height = Math.max(1, Math.round(source.height * scale));
+    canvas.getContext('2d').drawImage(img, source.x, source.y, source.width, source.height,
+        0, 0, canvas.width, canvas.height);
+    
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to create thumbnail'));
+            }
+        }, 'image/jpeg', 0.8);
+    });
+}
+
 // ==================== Upload Handling ====================
 
 function setupUploadHandlers() {
@@ -138,12 +374,173 @@ function setupUploadHandlers() {
     });
 }
 
+// ==================== Puzzle Shape ====================
+
+function setupShapePicker() {
+    state.shapeSetting = localStorage.getItem(SHAPE_SETTING_KEY) || 'auto';
+    elements.shapeSelect.value = state.shapeSetting;
+    
+    // Unknown saved values (e.g. an option since removed) fall back to auto
+    if (elements.shapeSelect.value !== state.shapeSetting) {
+        state.shapeSetting = 'auto';
+        elements.shapeSelect.value = 'auto';
+    }
+    
+    elements.shapeSelect.addEventListener('change', () => {
+        state.shapeSetting = elements.shapeSelect.value;
+        localStorage.setItem(SHAPE_SETTING_KEY, state.shapeSetting);
+    });
+}
+
+/**
+ * The shape forced by the picker, or null to detect it from the screenshot
+ */
+function getForcedShape() {
+    const match = /^(\d+)x(\d+)$/.exec(state.shapeSetting);
+    return match ? { rows: parseInt(match[1]), cols: parseInt(match[2]) } : null;
+}
+
+/**
+ * Switch the board to `rows` groups of `cols` words: the grid width,
+ * the colour palette (one colour per group) and the scratchpad (one slot
+ * per word in a group) all follow. Scratchpad tiles that no longer fit
+ * are dropped, so call this before filling a new puzzle.
+ */
+function applyPuzzleShape(shape) {
+    const rows = Math.max(1, Math.min(GROUP_COLORS.length, shape.rows));
+    const cols = Math.max(1, shape.cols);
+    state.shape = { rows, cols };
+    
+    elements.gridSection.style.setProperty('--grid-cols', cols);
+    state.scratchpad = Array.from({ length: cols }, (_, i) => state.scratchpad[i] || null);
+    
+    renderColorPalette();
+    renderScratchpadSlots();
+}
+
+// ==================== Clipboard Paste ====================
+
+function setupPasteHandler() {
+    document.addEventListener('paste', (e) => {
+        if (!e.clipboardData) return;
+        // Pasting into a field (e.g. the tile editor) is left to the field
+        if (e.target.closest('input, textarea, [contenteditable]')) return;
+        
+        // Only take over pastes that contain an image
+        const imageItem = [...e.clipboardData.items].find(item => 
+            item.kind === 'file' && item.type.startsWith('image/')
+        );
+        if (!imageItem) return;
+        
+        const file = imageItem.getAsFile();
+        if (!file) return;
+        
+        e.preventDefault();
+        handleFile(file);
+    });
+}
+
+// ==================== Camera Capture ====================
+
+let cameraStream = null;
+
+function setupCamera() {
+    const openCamera = (e) => {
+        e.stopPropagation(); // Don't trigger the upload area's file picker
+        startCamera();
+    };
+    elements.cameraBtn.addEventListener('click', openCamera);
+    elements.minimizedCameraBtn.addEventListener('click', openCamera);
+    
+    // Native capture input (used when live camera access isn't available)
+    elements.cameraInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            handleFile(e.target.files[0]);
+        }
+        elements.cameraInput.value = '';
+    });
+    
+    elements.cameraCaptureBtn.addEventListener('click', captureCameraFrame);
+    elements.cameraAppBtn.addEventListener('click', () => {
+        stopCamera();
+        elements.cameraInput.click();
+    });
+    elements.cameraModalClose.addEventListener('click', stopCamera);
+    
+    elements.cameraModal.addEventListener('click', (e) => {
+        if (e.target === elements.cameraModal) {
+            stopCamera();
+        }
+    });
+}
+
+async function startCamera() {
+    // Fall back to the OS camera picker without getUserMedia (or outside a secure context)
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        elements.cameraInput.click();
+        return;
+    }
+    
+    try {
+        cameraStream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: { ideal: 'environment' },
+                width: { ideal: 1920 },
+                height: { ideal: 1080 }
+            },
+            audio: false
+        });
+        elements.cameraVideo.srcObject = cameraStream;
+        showCameraModal({ live: true });
+    } catch (error) {
+        // The click that opened the camera no longer counts as a user gesture
+        // after the await, so the file picker needs a click of its own
+        console.warn('Camera unavailable, offering file capture instead:', error);
+        showCameraModal({ live: false });
+    }
+}
+
+function showCameraModal({ live }) {
+    elements.cameraLive.hidden = !live;
+    elements.cameraFallback.hidden = live;
+    elements.cameraModal.hidden = false;
+}
+
+function captureCameraFrame() {
+    const video = elements.cameraVideo;
+    if (!video.videoWidth || !video.videoHeight) return;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    
+    canvas.toBlob((blob) => {
+        stopCamera();
+        if (blob) {
+            handleFile(new File([blob], 'camera-capture.jpg', { type: 'image/jpeg' }));
+        }
+    }, 'image/jpeg', 0.92);
+}
+
+function stopCamera() {
+    if (cameraStream) {
+        cameraStream.getTracks().forEach(track => track.stop());
+        cameraStream = null;
+    }
+    elements.cameraVideo.srcObject = null;
+    elements.cameraModal.hidden = true;
+}
+
 function handleFile(file) {
     if (!file.type.startsWith('image/')) {
-        alert('Please upload an image file.');
+        showPipelineError(new PipelineError('decode', 'Please upload an image file.'));
         return;
     }
 
+    cancelOcrRun();
+    endGridAdjust();
+
     // Show preview
     const reader = new FileReader();
     reader.onload = (e) => {
@@ -170,12 +567,29 @@ function resetUpload() {
     elements.statusSection.hidden = true;
     elements.gridSection.hidden = true;
     state.tiles = [];
-    state.scratchpad = [null, null, null, null];
+    state.solvedGroups = [];
+    state.lockedGroups = [];
+    state.scratchpad = [];
+    applyPuzzleShape(DEFAULT_PUZZLE_SHAPE);
     state.selectedTiles.clear();
     state.detectedWords = [];
+    state.sourceImage = null;
+    state.gridGeometry = null;
+    state.mistakesRemaining = null;
+    state.mistakesFromScreenshot = false;
+    renderMistakes();
+    state.play = null;
+    renderPlayControls();
+    clearHistory();
+    state.lastAnalysis = null;
+    cancelOcrRun();
+    clearPipelineError();
+    elements.gridSection.classList.remove('is-reading');
+    endGridAdjust();
+    elements.inspector.hidden = true;
     
-    // Clear saved state
-    clearSavedState();
+    // Leave the puzzle in the list
+    closePuzzle();
     
     // Clear debug canvas
     const ctx = elements.debugCanvas.getContext('2d');
@@ -184,208 +598,286 @@ function resetUpload() {
 
 // ==================== OCR Processing ====================
 
-async function processImage(file) {
-    elements.statusSection.hidden = false;
-    elements.statusText.textContent = 'Detecting grid...';
-
-    try {
-        // Check if Tesseract is loaded
-        if (typeof Tesseract === 'undefined') {
-            throw new Error('OCR library not loaded. Please check your internet connection.');
-        }
+// Fraction of tiles that must be read before a puzzle is shown without asking
+const MIN_READ_FRACTION = 0.5;
 
-        elements.statusText.textContent = 'Detecting grid...';
-        
-        // Detect the grid region on the original image
-        const detectedBounds = await detectGridBounds(file);
-        console.log('Detected grid bounds:', detectedBounds);
-        
-        // Add padding to cover missed edges
-        const padding = 20;
-        const imageWidth = detectedBounds.imageWidth || detectedBounds.width + detectedBounds.x;
-        const imageHeight = detectedBounds.imageHeight || detectedBounds.height + detectedBounds.y;
-        
-        const paddedX = Math.max(0, detectedBounds.x - padding);
-        const paddedY = Math.max(0, detectedBounds.y - padding);
-        const paddedWidth = Math.min(
-            detectedBounds.width + (padding * 2),
-            imageWidth - paddedX
-        );
-        const paddedHeight = Math.min(
-            detectedBounds.height + (padding * 2),
-            imageHeight - paddedY
-        );
-        
-        const gridBounds = {
-            x: paddedX,
-            y: paddedY,
-            width: paddedWidth,
-            height: paddedHeight,
-            imageWidth: imageWidth,
-            imageHeight: imageHeight
-        };
-        
-        console.log('Grid bounds with padding:', gridBounds);
-        
-        // Store grid bounds for debug toggle
-        state.lastGridBounds = gridBounds;
-        
-        // Draw debug overlay showing detected bounds
-        drawDebugOverlay(gridBounds);
+// Controller for the OCR run in progress; a newer run or a reset aborts it
+let ocrRun = null;
 
-        elements.statusText.textContent = 'Cropping image...';
-        
-        // Crop the image to the grid bounds (with padding)
-        const croppedBlob = await cropImage(file, gridBounds);
+/**
+ * Start a new OCR run, cancelling the previous one. Returns its AbortSignal.
+ */
+function startOcrRun() {
+    cancelOcrRun();
+    ocrRun = new AbortController();
+    return ocrRun.signal;
+}
 
-        elements.statusText.textContent = 'Initializing OCR...';
+/**
+ * Abort the OCR run in progress, if any; its worker is terminated
+ */
+function cancelOcrRun() {
+    if (ocrRun) {
+        ocrRun.abort();
+        ocrRun = null;
+    }
+}
 
-        // Create Tesseract worker
-        const { createWorker } = Tesseract;
-        const worker = await createWorker('eng');
-        
-        elements.statusText.textContent = 'Reading text...';
+function finishOcrRun(signal) {
+    if (ocrRun && ocrRun.signal === signal) {
+        ocrRun = null;
+    }
+}
 
-        // Calculate cell dimensions
-        const cellWidth = gridBounds.width / 4;
-        const cellHeight = gridBounds.height / 4;
-        console.log('[OCR] Cropped grid dimensions:', gridBounds.width, 'x', gridBounds.height);
-        console.log('[OCR] Cell dimensions:', cellWidth.toFixed(1), 'x', cellHeight.toFixed(1));
-        
-        // Run OCR on each cell individually using rectangle option
-        const words = [];
-        const totalCells = 16;
-        state.detectedWords = [];
-        
-        for (let i = 0; i < totalCells; i++) {
-            const progress = Math.round(((i + 1) / totalCells) * 100);
-            elements.statusText.textContent = `Reading text... ${progress}%`;
-            
-            const row = Math.floor(i / 4);
-            const col = i % 4;
-            const cellX = col * cellWidth;
-            const cellY = row * cellHeight;
-            
-            // Shrink rectangle by 20px on all sides to remove borders
-            const borderPadding = 20;
-            const rectX = cellX + borderPadding;
-            const rectY = cellY + borderPadding;
-            const rectWidth = cellWidth - (borderPadding * 2);
-            const rectHeight = cellHeight - (borderPadding * 2);
-            
-            console.log(`[Cell ${i + 1}/16 (Row ${row + 1}, Col ${col + 1})] Starting OCR at rectangle (${rectX.toFixed(1)}, ${rectY.toFixed(1)}, ${rectWidth.toFixed(1)}, ${rectHeight.toFixed(1)})...`);
-            
-            // Run OCR on this specific cell using rectangle option
-            const { data: result } = await worker.recognize(croppedBlob, {
-                rectangle: {
-                    top: rectY,
-                    left: rectX,
-                    width: rectWidth,
-                    height: rectHeight
-                }
-            });
-            
-            // Extract all words from this cell and concatenate them
-            let cellWords = [];
-            
-            if (!result || !result.words || result.words.length === 0) {
-                console.log(`[Cell ${i + 1}/16] No OCR result`);
-                words.push(''); // Push empty string for this cell
-            } else {
+/**
+ * Run the pipeline on an uploaded image and show the puzzle it reads.
+ * `theme` forces the page background detection assumes (see detectGridBounds).
+ */
+async function processImage(file, { theme = null } = {}) {
+    const signal = startOcrRun();
+    clearPipelineError();
+    elements.statusSection.hidden = false;
+    elements.statusText.textContent = 'Detecting grid...';
+    
+    // Collects each stage's output as it arrives, so the inspector can show
+    // how far a failed run got
+    const analysis = { file };
+    state.lastAnalysis = analysis;
 
-            console.log(`[Cell ${i + 1}/16] Found ${result.words.length} word(s):`, result.words.map(w => w.text));
-            // Collect all words from the cell
-            for (const word of result.words) {
-                const cleaned = word.text.replace(/[^a-zA-Z0-9'-\s]/g, '').trim();
-                if (cleaned.length >= 2) {
-                    cellWords.push(cleaned.toUpperCase());
-                }
-                // Store for debug overlay (adjust bbox to be relative to full cropped image)
-                if (word.bbox) {
-                    state.detectedWords.push({
-                        text: cleaned.toUpperCase(),
-                        bbox: {
-                            x0: word.bbox.x0 + rectX,
-                            y0: word.bbox.y0 + rectY,
-                            x1: word.bbox.x1 + rectX,
-                            y1: word.bbox.y1 + rectY
-                        }
-                    });
+    try {
+        // Straighten, detect the grid, then crop, preprocess and recognise
+        // every tile and solved bar in the OCR worker
+        const { image, gridBounds, ocr, timings } = await analyzePuzzleImage(file, {
+            shape: getForcedShape(),
+            theme,
+            profiles: getCalibrationProfiles(),
+            signal,
+            onDetected: ({ image, corrected, detectedBounds, gridBounds }) => {
+                if (signal.aborted) return;
+                Object.assign(analysis, { image, corrected, detectedBounds, gridBounds });
+                console.log('Detected grid bounds:', detectedBounds);
+                console.log('Grid bounds with padding:', gridBounds);
+                console.log('[OCR] Lattice confidence:', gridBounds.confidence.toFixed(2));
+                console.log(`[OCR] Puzzle shape: ${gridBounds.shape.rows} groups of ${gridBounds.shape.cols}`);
+                
+                // Show the straightened photo so the overlay lines up with it
+                if (corrected) {
+                    showCorrectedPreview(image);
                 }
+                
+                // Store grid bounds for debug toggle
+                state.lastGridBounds = gridBounds;
+                
+                // Draw debug overlay showing detected bounds
+                drawDebugOverlay(gridBounds);
+                
+                elements.statusText.textContent = 'Initializing OCR...';
+                renderPendingGrid(gridBounds);
+            },
+            onProgress: (progress) => {
+                if (!signal.aborted) showOcrProgress(progress);
+            },
+            onCell: ({ index, cell }) => {
+                if (!signal.aborted) fillPendingTile(index, cell.text);
             }
-            
-                // Concatenate all words with spaces
-                const cellWord = cellWords.join(' ');
-                console.log(`[Cell ${i + 1}/16] Final result: "${cellWord}"`);
-                words.push(cellWord);
-            }
-        }
-        
-        // Terminate worker
-        await worker.terminate();
-        
-        elements.statusText.textContent = 'Extracting tiles...';
-        
-        // Filter out empty words and store detected words for debug
-        const detectedWords = [];
-        const validWords = words.filter((word, index) => {
-            if (word && word.length >= 2) {
-                detectedWords.push({
-                    text: word,
-                    centerX: (index % 4) * (gridBounds.width / 4) + (gridBounds.width / 8),
-                    centerY: Math.floor(index / 4) * (gridBounds.height / 4) + (gridBounds.height / 8),
-                    bbox: {
-                        x0: (index % 4) * (gridBounds.width / 4),
-                        y0: Math.floor(index / 4) * (gridBounds.height / 4),
-                        x1: ((index % 4) + 1) * (gridBounds.width / 4),
-                        y1: (Math.floor(index / 4) + 1) * (gridBounds.height / 4)
-                    }
-                });
-                return true;
-            }
-            return false;
         });
+        Object.assign(analysis, { ocr, timings });
+        renderInspector();
         
-        state.detectedWords = detectedWords;
-        
-        // Update preview to show processed image
-        elements.previewImage.src = URL.createObjectURL(croppedBlob);
+        showOcrResults(image, gridBounds, ocr);
 
-        // Redraw debug overlay with word boxes
-        if (state.debugVisible && state.lastGridBounds) {
-            drawDebugOverlay(state.lastGridBounds);
-        }
+    } catch (error) {
+        // Superseded by a newer upload, which owns the UI now
+        if (error.name === 'AbortError') return;
         
-        if (validWords.length === 0) {
-            throw new Error('No words found. Please ensure the image shows a Connections puzzle grid.');
+        console.error('OCR Error:', error);
+        analysis.error = error.message;
+        // Keep what the failed stage had produced (such as the fallback grid
+        // when none was found) for the inspector and grid adjustment
+        if (error.details) {
+            Object.assign(analysis, error.details);
         }
+        renderInspector();
+        endPendingGrid();
+        showPipelineError(error, { retry: () => processImage(file, { theme }) });
+    } finally {
+        finishOcrRun(signal);
+    }
+}
+
+function showOcrProgress({ stage, done, total }) {
+    elements.statusText.textContent = stage === 'init'
+        ? 'Initializing OCR...'
+        : `Reading text... ${Math.round((done / total) * 100)}%`;
+}
 
-        // Pad or trim to 16 tiles (words are already in grid order)
-        state.tiles = normalizeToGrid(validWords);
+/**
+ * Show the detected grid as placeholders while its cells are read; each
+ * fills in via fillPendingTile as the worker finishes it. Display only:
+ * the current puzzle is untouched until showOcrResults replaces it, and
+ * the controls stay disabled meanwhile.
+ */
+function renderPendingGrid(gridBounds) {
+    elements.gridSection.style.setProperty('--grid-cols', gridBounds.shape.cols);
+    elements.gridSection.classList.add('is-reading');
+    elements.solvedGroups.hidden = true;
+    elements.tileGrid.innerHTML = '';
+    
+    gridBounds.tiles.forEach(() => {
+        const tileEl = document.createElement('div');
+        tileEl.className = 'tile tile-pending';
         
-        elements.statusSection.hidden = true;
-        elements.gridSection.hidden = false;
+        const textSpan = document.createElement('span');
+        textSpan.className = 'tile-text';
+        tileEl.appendChild(textSpan);
         
+        elements.tileGrid.appendChild(tileEl);
+    });
+    
+    elements.gridSection.hidden = false;
+}
+
+function fillPendingTile(index, text) {
+    const tileEl = elements.tileGrid.children[index];
+    if (!tileEl || !tileEl.classList.contains('tile-pending')) return;
+    
+    tileEl.classList.remove('tile-pending');
+    tileEl.querySelector('.tile-text').textContent = text;
+    fitTileText(tileEl);
+}
+
+/**
+ * Drop the placeholders of a failed run, going back to the current
+ * puzzle if there is one
+ */
+function endPendingGrid() {
+    if (!elements.gridSection.classList.contains('is-reading')) return;
+    
+    elements.gridSection.style.setProperty('--grid-cols', state.shape.cols);
+    if (state.tiles.length > 0) {
         renderGrid();
+    } else {
+        elements.gridSection.classList.remove('is-reading');
+        elements.gridSection.hidden = true;
+    }
+}
 
-    } catch (error) {
-        console.error('OCR Error:', error);
-        elements.statusText.textContent = `Error: ${error.message}`;
-        
-        // Show manual entry fallback after a delay
-        setTimeout(() => {
-            if (confirm('OCR failed. Would you like to enter words manually?')) {
-                showManualEntry();
-            }
-        }, 1500);
+/**
+ * Turn OCR output for a detected grid into the puzzle: solved groups from
+ * the bars and one tile per cell. `geometry` is the grid as read (see
+ * gridGeometryFromBounds), saved with the puzzle.
+ * Throws a 'too-few-words' PipelineError if fewer than `minReadFraction`
+ * of the tiles were read; the current puzzle is then kept.
+ */
+function showOcrResults(image, gridBounds, ocr, geometry = gridGeometryFromBounds(gridBounds), { minReadFraction = MIN_READ_FRACTION } = {}) {
+    // Solved group bars: category title, then members
+    const solvedGroups = gridBounds.solvedBars.map((bar, index) => {
+        const group = parseSolvedBarText(ocr.bars[index]);
+        console.log(`[Solved ${bar.color}] "${group.category}":`, group.words);
+        return { color: bar.color, ...group };
+    });
+    
+    const totalCells = gridBounds.tiles.length;
+    const words = [];
+    const cells = []; // Per-cell details kept on the tiles: confidence, rect, alternatives
+    
+    ocr.cells.forEach((result, i) => {
+        if (result.corrected) {
+            console.log(`[Cell ${i + 1}/${totalCells}] Corrected "${result.rawText}" → "${result.text}"`);
+        }
+        console.log(`[Cell ${i + 1}/${totalCells}] Final result: "${result.text}" (confidence ${result.confidence})`);
+        words.push(result.text);
+        cells.push({ confidence: result.confidence, rect: gridBounds.tiles[i], alternatives: result.alternatives });
+    });
+    
+    elements.statusText.textContent = 'Extracting tiles...';
+    
+    // Store detected words for debug (image coordinates)
+    const detectedWords = [];
+    const validWords = words.filter((word, index) => {
+        if (word && word.length >= 2) {
+            const tile = gridBounds.tiles[index];
+            detectedWords.push({
+                text: word,
+                confidence: cells[index].confidence,
+                centerX: tile.x + tile.width / 2,
+                centerY: tile.y + tile.height / 2,
+                bbox: {
+                    x0: tile.x,
+                    y0: tile.y,
+                    x1: tile.x + tile.width,
+                    y1: tile.y + tile.height
+                }
+            });
+            return true;
+        }
+        return false;
+    });
+    
+    state.detectedWords = detectedWords;
+    
+    // Redraw debug overlay with word boxes
+    if (state.debugVisible && state.lastGridBounds) {
+        drawDebugOverlay(state.lastGridBounds);
+    }
+    
+    if (validWords.length < totalCells * minReadFraction) {
+        throw new PipelineError('too-few-words',
+            `Only ${validWords.length} of ${totalCells} tiles could be read.`,
+            { image, gridBounds, ocr, geometry, readCount: validWords.length });
+    }
+
+    // A new screenshot is a new puzzle; re-reading the same one updates it
+    if (image !== state.sourceImage) {
+        closePuzzle();
     }
+    
+    // One tile per detected cell, in grid order; unread cells become placeholders.
+    // The previous puzzle's scratchpad goes with it.
+    state.scratchpad = [];
+    applyPuzzleShape(gridBounds.shape);
+    state.solvedGroups = solvedGroups;
+    state.lockedGroups = [];
+    state.sourceImage = image;
+    state.gridGeometry = geometry;
+    state.tiles = normalizeToGrid(words, totalCells, cells);
+    
+    // Carry over the game in progress: its mistakes count and the tiles
+    // selected when the screenshot was taken
+    state.mistakesRemaining = typeof gridBounds.mistakesRemaining === 'number' ? gridBounds.mistakesRemaining : null;
+    state.mistakesFromScreenshot = state.mistakesRemaining !== null;
+    state.selectedTiles.clear();
+    (gridBounds.selectedTiles || []).forEach(index => state.selectedTiles.add(`grid:${index}`));
+    state.play = null;
+    clearHistory();
+    
+    elements.statusSection.hidden = true;
+    elements.gridSection.hidden = false;
+    
+    renderGrid();
 }
 
+/**
+ * Show the perspective-corrected image in the debug preview so the
+ * overlay lines up with the image detection and OCR actually used
+ */
+function showCorrectedPreview(blob) {
+    const img = elements.previewImage;
+    const objectUrl = URL.createObjectURL(blob);
+    img.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+    img.src = objectUrl;
+}
 
 /**
  * Draw a debug overlay showing the detected grid bounds
  */
 function drawDebugOverlay(gridBounds) {
+    // The adjustment handles own the canvas while they're shown
+    if (gridAdjust.geometry) {
+        drawGridAdjustOverlay();
+        return;
+    }
+    
     const canvas = elements.debugCanvas;
     const img = elements.previewImage;
     
@@ -432,34 +924,26 @@ function drawDebugOverlay(gridBounds) {
         }
     }
     
-    // Draw cell boundaries (4x4 grid = 16 cells)
-    const gridX = gridBounds.x * scaleX;
-    const gridY = gridBounds.y * scaleY;
-    const gridW = gridBounds.width * scaleX;
-    const gridH = gridBounds.height * scaleY;
-    const cellW = gridW / 4;
-    const cellH = gridH / 4;
+    // Draw solved group bars in their group colour
+    ctx.setLineDash([]);
+    ctx.lineWidth = 2;
+    for (const bar of gridBounds.solvedBars || []) {
+        ctx.strokeStyle = '#e67e22'; // Orange
+        ctx.strokeRect(bar.x * scaleX, bar.y * scaleY, bar.width * scaleX, bar.height * scaleY);
+        ctx.fillStyle = '#e67e22';
+        ctx.font = 'bold 11px system-ui, sans-serif';
+        ctx.fillText(`solved: ${bar.color}`, bar.x * scaleX + 4, bar.y * scaleY + 12);
+    }
+    
+    // Draw the detected tile rectangles (fall back to equal division for older bounds)
+    const tiles = gridBounds.tiles || buildEqualTiles(gridBounds);
     
     ctx.strokeStyle = '#3498db'; // Blue
     ctx.lineWidth = 1;
     ctx.setLineDash([4, 4]); // Dashed lines
     
-    // Draw vertical lines (3 lines to divide into 4 columns)
-    for (let i = 1; i < 4; i++) {
-        const x = gridX + (i * cellW);
-        ctx.beginPath();
-        ctx.moveTo(x, gridY);
-        ctx.lineTo(x, gridY + gridH);
-        ctx.stroke();
-    }
-    
-    // Draw horizontal lines (3 lines to divide into 4 rows)
-    for (let i = 1; i < 4; i++) {
-        const y = gridY + (i * cellH);
-        ctx.beginPath();
-        ctx.moveTo(gridX, y);
-        ctx.lineTo(gridX + gridW, y);
-        ctx.stroke();
+    for (const tile of tiles) {
+        ctx.strokeRect(tile.x * scaleX, tile.y * scaleY, tile.width * scaleX, tile.height * scaleY);
     }
     
     // Draw cell numbers (optional, for easier identification)
@@ -468,17 +952,26 @@ function drawDebugOverlay(gridBounds) {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     
-    for (let i = 0; i < 16; i++) {
-        const row = Math.floor(i / 4);
-        const col = i % 4;
-        const cellX = gridX + (col * cellW) + (cellW / 2);
-        const cellY = gridY + (row * cellH) + (cellH / 2);
+    tiles.forEach((tile, i) => {
+        const cellX = (tile.x + tile.width / 2) * scaleX;
+        const cellY = (tile.y + tile.height / 2) * scaleY;
         
         // Draw cell number with background for visibility
         ctx.fillStyle = 'rgba(52, 152, 219, 0.3)';
         ctx.fillRect(cellX - 15, cellY - 8, 30, 16);
         ctx.fillStyle = '#3498db';
         ctx.fillText((i + 1).toString(), cellX, cellY);
+    });
+    
+    // Lattice confidence in the top-left corner
+    if (typeof gridBounds.confidence === 'number') {
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(4, 4, 110, 18);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '11px system-ui, sans-serif';
+        ctx.fillText(`Lattice: ${Math.round(gridBounds.confidence * 100)}%`, 8, 7);
     }
 }
 
@@ -560,7 +1053,7 @@ function extractGridWords(ocrData, gridBounds) {
         gridWords.push(...row.map(w => w.text));
     }
     
-    return gridWords.slice(0, 16);
+    return gridWords.slice(0, state.shape.rows * state.shape.cols);
 }
 
 /**
@@ -596,38 +1089,174 @@ function groupIntoRows(words) {
     return rows;
 }
 
-function normalizeToGrid(words) {
-    // Take first 16 words, or pad with placeholders
-    const tiles = words.slice(0, 16);
+/**
+ * Split the OCR text of a solved group bar into its category and members.
+ * The first line is the category title; the members follow, comma-separated.
+ */
+function parseSolvedBarText(text) {
+    const lines = text.split('\n')
+        .map(line => line.replace(/[^a-zA-Z0-9'&,\-\s]/g, '').trim())
+        .filter(line => line.length > 0);
     
-    while (tiles.length < 16) {
-        tiles.push(`WORD ${tiles.length + 1}`);
-    }
+    const category = (lines[0] || '').toUpperCase();
+    const words = lines.slice(1).join(' ')
+        .split(',')
+        .map(w => correctOcrText(w).text)
+        .filter(w => w.length >= 2);
     
-    return tiles.map((word, index) => ({
-        id: index,
-        word: word,
-        draftColor: null
-    }));
+    return { category, words };
 }
 
-function showManualEntry() {
-    const input = prompt(
-        'Enter 16 words separated by commas:',
-        'WORD1, WORD2, WORD3, WORD4, WORD5, WORD6, WORD7, WORD8, WORD9, WORD10, WORD11, WORD12, WORD13, WORD14, WORD15, WORD16'
-    );
-    
-    if (input) {
-        const words = input.split(',')
-            .map(w => w.trim().toUpperCase())
-            .filter(w => w.length > 0);
+/**
+ * Build `count` tiles from OCR words in grid order.
+ * Missing or unreadable words become numbered placeholders with confidence 0.
+ * `cells` optionally gives per-cell { confidence (0-100), rect (image
+ * coordinates), alternatives } kept on each tile for fixing misreads.
+ */
+function normalizeToGrid(words, count = state.shape.rows * state.shape.cols, cells = null) {
+    const tiles = [];
+    
+    for (let index = 0; index < count; index++) {
+        const word = words[index];
+        const isPlaceholder = !word || word.length < 2;
+        const cell = (cells && cells[index]) || {};
         
-        state.tiles = normalizeToGrid(words);
-        elements.statusSection.hidden = true;
-        elements.gridSection.hidden = false;
-        renderGrid();
-    } else {
-        resetUpload();
+        tiles.push({
+            id: index,
+            word: isPlaceholder ? `WORD ${index + 1}` : word,
+            draftColor: null,
+            confidence: isPlaceholder ? 0 : (typeof cell.confidence === 'number' ? cell.confidence : null),
+            cellRect: cell.rect
+                ? { x: cell.rect.x, y: cell.rect.y, width: cell.rect.width, height: cell.rect.height }
+                : null,
+            alternatives: cell.alternatives || []
+        });
+    }
+    
+    return tiles;
+}
+
+function showManualEntry() {
+    // Start from placeholders when OCR produced nothing, then walk through every tile.
+    // Use the grid shape if detection got that far before OCR failed.
+    if (state.tiles.length === 0) {
+        const detectedShape = state.lastGridBounds && state.lastGridBounds.shape;
+        state.scratchpad = [];
+        applyPuzzleShape(getForcedShape() || detectedShape || state.shape);
+        state.tiles = normalizeToGrid([]);
+    }
+    
+    elements.statusSection.hidden = true;
+    elements.gridSection.hidden = false;
+    renderGrid();
+    
+    const queue = [];
+    state.tiles.forEach((tile, index) => {
+        if (tile) queue.push(index);
+    });
+    
+    if (queue.length > 0) {
+        openTileEditor('grid', queue[0], queue.slice(1));
+    }
+}
+
+// ==================== Error Recovery ====================
+
+/**
+ * Show why a run failed in place of the progress spinner, with the
+ * recoveries that fit the failed stage (see PipelineError).
+ * `retry` runs the failed step again.
+ */
+function showPipelineError(error, { retry = null } = {}) {
+    elements.statusSection.hidden = false;
+    elements.statusSection.classList.add('has-error');
+    elements.statusText.textContent = error.message;
+    
+    const actions = elements.statusActions;
+    actions.innerHTML = '';
+    getRecoveryActions(error, retry).forEach(({ label, run }, index) => {
+        const btn = document.createElement('button');
+        btn.className = index === 0 ? 'btn btn-primary' : 'btn btn-secondary';
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+            clearPipelineError();
+            elements.statusSection.hidden = true;
+            run();
+        });
+        actions.appendChild(btn);
+    });
+    actions.hidden = false;
+}
+
+function clearPipelineError() {
+    elements.statusSection.classList.remove('has-error');
+    elements.statusActions.innerHTML = '';
+    elements.statusActions.hidden = true;
+}
+
+/**
+ * Recovery actions ({ label, run }) for a failed run, most useful first
+ */
+function getRecoveryActions(error, retry) {
+    const details = error.details || {};
+    const adjustGrid = canAdjustGrid() ? [{ label: 'Adjust Grid', run: startGridAdjust }] : [];
+    const tryAgain = retry ? [{ label: 'Try Again', run: retry }] : [];
+    const typeWords = { label: 'Type Words', run: showManualEntry };
+    
+    switch (error.code) {
+        case 'decode':
+            return [{ label: 'Choose Another Image', run: () => elements.fileInput.click() }, typeWords];
+        
+        case 'no-grid': {
+            // Corner sampling may have mistaken the page for a tile, or the
+            // other way round; assume the other theme's background instead
+            const background = details.detectedBounds.diagnostics.background;
+            const theme = background.brightness > 0.5 ? 'dark' : 'light';
+            const file = state.lastAnalysis && state.lastAnalysis.file;
+            const otherTheme = file ? [{
+                label: theme === 'dark' ? 'Retry as Dark Mode' : 'Retry as Light Mode',
+                run: () => processImage(file, { theme })
+            }] : [];
+            return [...otherTheme, ...adjustGrid, typeWords];
+        }
+        
+        case 'crop':
+            return [...adjustGrid, typeWords];
+        
+        case 'too-few-words': {
+            const { image, gridBounds, ocr, geometry, readCount } = details;
+            const keepPartial = () => showOcrResults(image, gridBounds, ocr, geometry, { minReadFraction: 0 });
+            const partial = readCount > 0 ? [{ label: `Continue with ${readCount} Tiles`, run: keepPartial }] : [];
+            return [
+                ...partial,
+                {
+                    label: 'Type Missing Words',
+                    run: () => {
+                        keepPartial();
+                        editMissingTiles();
+                    }
+                },
+                ...adjustGrid
+            ];
+        }
+        
+        default:
+            // 'ocr-engine' and anything unexpected
+            return [...tryAgain, typeWords];
+    }
+}
+
+/**
+ * Walk the tile editor through the placeholder tiles OCR couldn't read
+ */
+function editMissingTiles() {
+    const queue = [];
+    state.tiles.forEach((tile, index) => {
+        if (tile && tile.confidence === 0) queue.push(index);
+    });
+    
+    if (queue.length > 0) {
+        openTileEditor('grid', queue[0], queue.slice(1));
     }
 }
 
@@ -635,6 +1264,11 @@ function showManualEntry() {
 
 function renderGrid() {
     elements.tileGrid.innerHTML = '';
+    elements.gridSection.classList.remove('is-reading');
+    
+    renderSolvedGroups();
+    renderLockedGroups();
+    renderLockActions();
     
     state.tiles.forEach((tile, index) => {
         if (tile === null) {
@@ -654,6 +1288,10 @@ function renderGrid() {
     });
     
     renderScratchpad();
+    renderMistakes();
+    renderPlayControls();
+    renderHistoryControls();
+    elements.adjustGridBtn.hidden = !canAdjustGrid();
     
     // Fit text to tiles after DOM update
     requestAnimationFrame(fitAllTileText);
@@ -661,6 +1299,29 @@ function renderGrid() {
     saveState();
 }
 
+function renderSolvedGroups() {
+    elements.solvedGroups.innerHTML = '';
+    elements.solvedGroups.hidden = state.solvedGroups.length === 0;
+    
+    state.solvedGroups.forEach(group => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'solved-group';
+        groupEl.dataset.color = group.color;
+        
+        const categoryEl = document.createElement('span');
+        categoryEl.className = 'solved-group-category';
+        categoryEl.textContent = group.category || 'SOLVED';
+        groupEl.appendChild(categoryEl);
+        
+        const wordsEl = document.createElement('span');
+        wordsEl.className = 'solved-group-words';
+        wordsEl.textContent = group.words.join(', ');
+        groupEl.appendChild(wordsEl);
+        
+        elements.solvedGroups.appendChild(groupEl);
+    });
+}
+
 function createTileElement(tile, index, source) {
     const tileEl = document.createElement('div');
     tileEl.className = 'tile';
@@ -678,6 +1339,22 @@ function createTileElement(tile, index, source) {
         tileEl.dataset.draftColor = tile.draftColor;
     }
     
+    // Flag tiles the OCR wasn't sure about
+    if (isLowConfidence(tile)) {
+        tileEl.classList.add('tile-low-confidence');
+        tileEl.title = `OCR confidence: ${tile.confidence}% — double-click to correct`;
+        
+        const flagBtn = document.createElement('button');
+        flagBtn.className = 'tile-flag';
+        flagBtn.textContent = '!';
+        flagBtn.title = 'Correct this tile';
+        flagBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openTileEditor(source, index, getLowConfidenceQueue(source, index));
+        });
+        tileEl.appendChild(flagBtn);
+    }
+    
     // Check if tile is selected
     const key = `${source}:${index}`;
     if (state.selectedTiles.has(key)) {
@@ -694,6 +1371,12 @@ function createTileElement(tile, index, source) {
     // Click for tile selection
     tileEl.addEventListener('click', handleTileClick);
     
+    // Double-click to correct the tile text, undoing what its first click selected
+    tileEl.addEventListener('dblclick', () => {
+        toggleTileSelection(tileEl);
+        openTileEditor(source, index, getLowConfidenceQueue(source, index));
+    });
+    
     // Touch drag and drop (mobile)
     tileEl.addEventListener('touchstart', handleTouchDragStart, { passive: false });
     tileEl.addEventListener('touchmove', handleTouchDragMove, { passive: false });
@@ -703,7 +1386,24 @@ function createTileElement(tile, index, source) {
     return tileEl;
 }
 
+/**
+ * One dot per mistake the game allows, filled for those still remaining
+ */
+function renderMistakes() {
+    elements.mistakesDots.innerHTML = '';
+    elements.mistakes.hidden = state.mistakesRemaining === null;
+    if (state.mistakesRemaining === null) return;
+    
+    for (let i = 0; i < MAX_MISTAKES; i++) {
+        const dot = document.createElement('span');
+        dot.className = i < state.mistakesRemaining ? 'mistake-dot' : 'mistake-dot used';
+        elements.mistakesDots.appendChild(dot);
+    }
+    elements.mistakes.title = `${state.mistakesRemaining} of ${MAX_MISTAKES} mistakes remaining`;
+}
+
 function renderScratchpad() {
+    renderScratchpadSlots();
     const slots = elements.scratchpad.querySelectorAll('.scratchpad-slot');
     
     slots.forEach((slot, index) => {
@@ -826,56 +1526,7 @@ function handleDrop(e) {
     const fromIndex = data.index;
     const fromSource = data.source;
     
-    // Determine target info
-    let toIndex, toSource;
-    
-    if (target.classList.contains('scratchpad-slot')) {
-        toIndex = parseInt(target.dataset.slot);
-        toSource = 'scratchpad';
-    } else {
-        toIndex = parseInt(target.dataset.index);
-        toSource = target.dataset.source;
-    }
-    
-    // Don't drop on self
-    if (fromSource === toSource && fromIndex === toIndex) return;
-    
-    // Get the tiles
-    const fromTile = fromSource === 'grid' ? state.tiles[fromIndex] : state.scratchpad[fromIndex];
-    const toTile = toSource === 'grid' ? state.tiles[toIndex] : state.scratchpad[toIndex];
-    
-    // Update selection to follow the tiles
-    const fromKey = `${fromSource}:${fromIndex}`;
-    const toKey = `${toSource}:${toIndex}`;
-    const fromWasSelected = state.selectedTiles.has(fromKey);
-    const toWasSelected = state.selectedTiles.has(toKey);
-    
-    // Remove old keys
-    state.selectedTiles.delete(fromKey);
-    state.selectedTiles.delete(toKey);
-    
-    // Add new keys based on where the tiles moved to
-    if (fromWasSelected) {
-        state.selectedTiles.add(toKey);
-    }
-    if (toWasSelected) {
-        state.selectedTiles.add(fromKey);
-    }
-    
-    // Swap or move
-    if (fromSource === 'grid') {
-        state.tiles[fromIndex] = toTile;
-    } else {
-        state.scratchpad[fromIndex] = toTile;
-    }
-    
-    if (toSource === 'grid') {
-        state.tiles[toIndex] = fromTile;
-    } else {
-        state.scratchpad[toIndex] = fromTile;
-    }
-    
-    renderGrid();
+    performSwap(fromSource, fromIndex, target);
 }
 
 // ==================== Touch Drag and Drop (Mobile) ====================
@@ -1045,21 +1696,35 @@ function performSwap(fromSource, fromIndex, targetElement) {
     // Don't drop on self
     if (fromSource === toSource && fromIndex === toIndex) return;
     
-    // Get the tiles
-    const fromTile = fromSource === 'grid' ? state.tiles[fromIndex] : state.scratchpad[fromIndex];
-    const toTile = toSource === 'grid' ? state.tiles[toIndex] : state.scratchpad[toIndex];
-    
-    // Update selection to follow the tiles
     const fromKey = `${fromSource}:${fromIndex}`;
     const toKey = `${toSource}:${toIndex}`;
+    const fromTile = getTileByKey(fromKey);
+    const toTile = getTileByKey(toKey);
+    if (!fromTile) return;
+    
+    let label;
+    if (toTile) {
+        label = `Swapped ${fromTile.word} ↔ ${toTile.word}`;
+    } else if (toSource !== fromSource) {
+        label = `Moved ${fromTile.word} to the ${toSource === 'grid' ? 'grid' : 'scratchpad'}`;
+    } else {
+        label = `Moved ${fromTile.word}`;
+    }
+    runCommand({ type: 'swap', label, swaps: [[fromKey, toKey]] });
+}
+
+/**
+ * Exchange whatever is in two slots ('grid:3', 'scratchpad:0'; either may
+ * be empty), with the selection following the tiles
+ */
+function swapSlots(fromKey, toKey) {
+    const fromTile = getTileByKey(fromKey) || null;
+    const toTile = getTileByKey(toKey) || null;
+    
     const fromWasSelected = state.selectedTiles.has(fromKey);
     const toWasSelected = state.selectedTiles.has(toKey);
-    
-    // Remove old keys
     state.selectedTiles.delete(fromKey);
     state.selectedTiles.delete(toKey);
-    
-    // Add new keys based on where the tiles moved to
     if (fromWasSelected) {
         state.selectedTiles.add(toKey);
     }
@@ -1067,36 +1732,39 @@ function performSwap(fromSource, fromIndex, targetElement) {
         state.selectedTiles.add(fromKey);
     }
     
-    // Swap or move
-    if (fromSource === 'grid') {
-        state.tiles[fromIndex] = toTile;
-    } else {
-        state.scratchpad[fromIndex] = toTile;
-    }
-    
-    if (toSource === 'grid') {
-        state.tiles[toIndex] = fromTile;
-    } else {
-        state.scratchpad[toIndex] = fromTile;
-    }
-    
-    renderGrid();
+    setTileByKey(fromKey, toTile);
+    setTileByKey(toKey, fromTile);
 }
 
 // ==================== Scratchpad ====================
 
 function setupScratchpad() {
+    renderScratchpadSlots();
+    
+    // Send back button - return all scratchpad tiles to empty grid slots
+    const sendBackBtn = document.getElementById('sendBackBtn');
+    sendBackBtn.addEventListener('click', sendScratchpadBack);
+}
+
+/**
+ * Add or remove slot elements so there is one per scratchpad entry
+ */
+function renderScratchpadSlots() {
     const slots = elements.scratchpad.querySelectorAll('.scratchpad-slot');
     
-    slots.forEach(slot => {
+    for (let i = slots.length; i < state.scratchpad.length; i++) {
+        const slot = document.createElement('div');
+        slot.className = 'scratchpad-slot';
+        slot.dataset.slot = i;
         slot.addEventListener('dragover', handleDragOver);
         slot.addEventListener('dragleave', handleDragLeave);
         slot.addEventListener('drop', handleDrop);
-    });
+        elements.scratchpad.appendChild(slot);
+    }
     
-    // Send back button - return all scratchpad tiles to empty grid slots
-    const sendBackBtn = document.getElementById('sendBackBtn');
-    sendBackBtn.addEventListener('click', sendScratchpadBack);
+    for (let i = state.scratchpad.length; i < slots.length; i++) {
+        slots[i].remove();
+    }
 }
 
 function sendScratchpadBack() {
@@ -1109,83 +1777,97 @@ function sendScratchpadBack() {
     });
     
     // Move scratchpad tiles to empty grid slots
-    let emptyIndex = 0;
-    for (let i = 0; i < state.scratchpad.length; i++) {
-        if (state.scratchpad[i] && emptyIndex < emptySlots.length) {
-            const fromKey = `scratchpad:${i}`;
-            const toKey = `grid:${emptySlots[emptyIndex]}`;
-            
-            // Update selection if this tile was selected
-            if (state.selectedTiles.has(fromKey)) {
-                state.selectedTiles.delete(fromKey);
-                state.selectedTiles.add(toKey);
-            }
-            
-            state.tiles[emptySlots[emptyIndex]] = state.scratchpad[i];
-            state.scratchpad[i] = null;
-            emptyIndex++;
+    const swaps = [];
+    for (let i = 0; i < state.scratchpad.length && swaps.length < emptySlots.length; i++) {
+        if (state.scratchpad[i]) {
+            swaps.push([`scratchpad:${i}`, `grid:${emptySlots[swaps.length]}`]);
         }
     }
+    if (swaps.length === 0) return;
     
-    renderGrid();
+    runCommand({
+        type: 'swap',
+        label: swaps.length === 1 ? `Moved ${getTileByKey(swaps[0][0]).word} to the grid` : `Sent ${swaps.length} tiles back to the grid`,
+        swaps
+    });
 }
 
 // ==================== Color Palette ====================
 
 function setupColorPalette() {
-    elements.colorBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const color = btn.dataset.color;
-            
-            // Apply color to all selected tiles
-            if (state.selectedTiles.size === 0) return;
-            
-            // Check if all selected tiles already have this color (for toggle behavior)
-            let allSameColor = true;
-            for (const key of state.selectedTiles) {
-                const [source, index] = key.split(':');
-                const tile = source === 'grid' ? state.tiles[parseInt(index)] : state.scratchpad[parseInt(index)];
-                if (tile && tile.draftColor !== color) {
-                    allSameColor = false;
-                    break;
-                }
-            }
-            
-            // Apply or clear the color
-            for (const key of state.selectedTiles) {
-                const [source, index] = key.split(':');
-                const tile = source === 'grid' ? state.tiles[parseInt(index)] : state.scratchpad[parseInt(index)];
-                if (tile) {
-                    if (color === 'none' || allSameColor) {
-                        tile.draftColor = null;
-                    } else {
-                        tile.draftColor = color;
-                    }
-                }
-            }
-            
-            // Keep selection after applying color
-            renderGrid();
+    renderColorPalette();
+    
+    elements.colorPalette.addEventListener('click', (e) => {
+        const btn = e.target.closest('.color-btn');
+        if (!btn) return;
+        const color = btn.dataset.color;
+        
+        // Apply color to all selected tiles
+        const keys = [...state.selectedTiles].filter(key => getTileByKey(key));
+        if (keys.length === 0) return;
+        const tiles = keys.map(getTileByKey);
+        
+        // Clearing, or toggling off a colour all selected tiles already have
+        const allSameColor = tiles.every(tile => tile.draftColor === color);
+        const newColor = color === 'none' || allSameColor ? null : color;
+        
+        const words = tiles.length <= 3 ? tiles.map(tile => tile.word).join(', ') : `${tiles.length} tiles`;
+        runCommand({
+            type: 'color',
+            label: newColor ? `Coloured ${words} ${newColor}` : `Cleared the colour of ${words}`,
+            keys,
+            previous: tiles.map(tile => tile.draftColor || null),
+            color: newColor
         });
     });
 }
 
+/**
+ * One colour button per group in the current puzzle, then the clear button
+ */
+function renderColorPalette() {
+    elements.colorPalette.innerHTML = '';
+    
+    GROUP_COLORS.slice(0, state.shape.rows).forEach(color => {
+        const btn = document.createElement('button');
+        btn.className = 'color-btn';
+        btn.dataset.color = color;
+        btn.title = color.charAt(0).toUpperCase() + color.slice(1);
+        elements.colorPalette.appendChild(btn);
+    });
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'color-btn color-btn-clear';
+    clearBtn.dataset.color = 'none';
+    clearBtn.title = 'Clear Color';
+    clearBtn.textContent = '✕';
+    elements.colorPalette.appendChild(clearBtn);
+}
+
 function handleTileClick(e) {
     const tileEl = e.target.closest('.tile');
     if (!tileEl || tileEl.classList.contains('tile-empty')) return;
     
+    // The second click of a double-click opens the tile editor instead
+    if (e.detail > 1) return;
+    
+    toggleTileSelection(tileEl);
+}
+
+function toggleTileSelection(tileEl) {
     const source = tileEl.dataset.source;
     const index = parseInt(tileEl.dataset.index);
     const key = `${source}:${index}`;
     
-    // Toggle selection
+    // Toggle selection; a guess in play mode is one group's worth of tiles
     if (state.selectedTiles.has(key)) {
         state.selectedTiles.delete(key);
         tileEl.classList.remove('selected');
-    } else {
+    } else if (!isPlaying() || state.selectedTiles.size < state.shape.cols) {
         state.selectedTiles.add(key);
         tileEl.classList.add('selected');
     }
+    renderPlayControls();
 }
 
 // Long press handling for definitions
@@ -1224,161 +1906,2297 @@ function handleTilePressCancel(e) {
     }
 }
 
-// ==================== Shuffle ====================
+// ==================== Locked Groups ====================
 
-function setupShuffleButton() {
-    elements.shuffleBtn.addEventListener('click', () => {
-        // Track which tiles are selected before shuffle
-        const selectedTileObjects = new Set();
-        for (const key of state.selectedTiles) {
-            const [source, index] = key.split(':');
-            if (source === 'grid') {
-                const tile = state.tiles[parseInt(index)];
-                if (tile) selectedTileObjects.add(tile);
-            }
-        }
+function setupLockedGroups() {
+    elements.lockActions.addEventListener('click', (e) => {
+        const btn = e.target.closest('.lock-btn');
+        if (btn) lockColorGroup(btn.dataset.color);
+    });
+}
+
+/**
+ * Tiles in the grid and scratchpad with draft colour `color`
+ */
+function getColorGroupTiles(color) {
+    return getBoardTiles().filter(tile => tile.draftColor === color);
+}
+
+/**
+ * Move the tiles coloured `color` (one group's worth) out of the grid and
+ * scratchpad into a category bar, where shuffling and dragging can't reach them
+ */
+function lockColorGroup(color) {
+    if (getColorGroupTiles(color).length !== state.shape.cols) return;
+    
+    runCommand({ type: 'lock', label: `Locked the ${color} group`, color });
+    
+    // Name it straight away
+    const input = elements.lockedGroups.lastElementChild.querySelector('.locked-group-category');
+    input.focus();
+}
+
+/**
+ * Put a locked group's tiles back at the end of the grid, colours kept
+ */
+function unlockGroup(index) {
+    const group = state.lockedGroups[index];
+    runCommand({ type: 'unlock', label: `Unlocked ${group.category || `the ${group.color} group`}`, index });
+}
+
+/**
+ * One lock button per colour that has exactly one group's worth of tiles
+ */
+function renderLockActions() {
+    elements.lockActions.innerHTML = '';
+    if (isPlaying()) {
+        elements.lockActions.hidden = true;
+        return;
+    }
+    
+    for (const color of GROUP_COLORS.slice(0, state.shape.rows)) {
+        if (getColorGroupTiles(color).length !== state.shape.cols) continue;
         
-        // Remove grid selections (scratchpad stays the same)
-        for (const key of [...state.selectedTiles]) {
-            if (key.startsWith('grid:')) {
-                state.selectedTiles.delete(key);
-            }
-        }
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-small lock-btn';
+        btn.dataset.color = color;
+        btn.textContent = `Lock ${color} group`;
+        elements.lockActions.appendChild(btn);
+    }
+    elements.lockActions.hidden = elements.lockActions.children.length === 0;
+}
+
+function renderLockedGroups() {
+    elements.lockedGroups.innerHTML = '';
+    elements.lockedGroups.hidden = state.lockedGroups.length === 0;
+    
+    state.lockedGroups.forEach((group, index) => {
+        const groupEl = document.createElement('div');
+        groupEl.className = 'locked-group';
+        groupEl.dataset.color = group.color;
         
-        // Fisher-Yates shuffle
-        for (let i = state.tiles.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [state.tiles[i], state.tiles[j]] = [state.tiles[j], state.tiles[i]];
-        }
+        const header = document.createElement('div');
+        header.className = 'locked-group-header';
         
-        // Re-add selections at new positions
-        state.tiles.forEach((tile, index) => {
-            if (tile && selectedTileObjects.has(tile)) {
-                state.selectedTiles.add(`grid:${index}`);
-            }
+        // Name and notes are saved as typed; re-rendering would lose focus
+        const category = document.createElement('input');
+        category.type = 'text';
+        category.className = 'locked-group-category';
+        category.placeholder = 'Category name';
+        category.value = group.category;
+        category.addEventListener('input', () => {
+            group.category = category.value;
+            saveState();
         });
         
-        renderGrid();
+        const unlockBtn = document.createElement('button');
+        unlockBtn.className = 'btn btn-small locked-group-unlock';
+        unlockBtn.textContent = 'Unlock';
+        unlockBtn.addEventListener('click', () => unlockGroup(index));
+        header.append(category, unlockBtn);
+        
+        const wordsEl = document.createElement('span');
+        wordsEl.className = 'locked-group-words';
+        wordsEl.textContent = group.tiles.map(tile => tile.word).join(', ');
+        
+        const notes = document.createElement('textarea');
+        notes.className = 'locked-group-notes';
+        notes.rows = 1;
+        notes.placeholder = 'Notes';
+        notes.value = group.notes;
+        notes.addEventListener('input', () => {
+            group.notes = notes.value;
+            saveState();
+        });
+        
+        groupEl.append(header, wordsEl, notes);
+        elements.lockedGroups.appendChild(groupEl);
     });
 }
 
-// ==================== Definition Modal ====================
+// ==================== Shuffle ====================
 
-function setupModal() {
-    elements.modalClose.addEventListener('click', closeModal);
-    
-    elements.modal.addEventListener('click', (e) => {
-        if (e.target === elements.modal) {
-            closeModal();
+function setupShuffleButton() {
+    elements.shuffleBtn.addEventListener('click', () => {
+        // Fisher-Yates shuffle of grid positions: order[i] is the slot the
+        // tile shown at i comes from
+        const order = state.tiles.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
         }
+        
+        runCommand({ type: 'shuffle', label: 'Shuffled', order });
     });
+}
+
+/**
+ * Replace the grid with `tiles` (the same tiles rearranged), moving grid
+ * selections with their tiles (scratchpad selections stay the same)
+ */
+function rearrangeGrid(tiles) {
+    const selectedTileObjects = new Set();
+    for (const key of [...state.selectedTiles]) {
+        if (key.startsWith('grid:')) {
+            const tile = getTileByKey(key);
+            if (tile) selectedTileObjects.add(tile);
+            state.selectedTiles.delete(key);
+        }
+    }
     
-    // Close on Escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            closeModal();
-            closeHelpModal();
+    state.tiles = tiles;
+    state.tiles.forEach((tile, index) => {
+        if (tile && selectedTileObjects.has(tile)) {
+            state.selectedTiles.add(`grid:${index}`);
         }
     });
 }
 
-function closeModal() {
-    elements.modal.hidden = true;
-}
+// ==================== Undo History ====================
 
-function setupHelpModal() {
-    elements.helpBtn.addEventListener('click', () => {
-        elements.helpModal.hidden = false;
-    });
-    
-    elements.helpModalClose.addEventListener('click', closeHelpModal);
+const HISTORY_LIMIT = 100;
+
+/**
+ * How each kind of history command changes the board and changes it back.
+ * Commands are plain data ({ type, label, ... }) so the history can be
+ * saved with the board; they refer to tiles by slot ('grid:3'), which
+ * stays right because they are only ever replayed in order.
+ *   swap     swaps: [[fromKey, toKey], ...] exchanged in turn
+ *   shuffle  order: the grid slot each position's tile came from
+ *   color    keys, previous colours, and the colour given to all of them
+ *   lock     color of the group locked (see lockColorGroup)
+ *   unlock   index of the locked group returned to the grid
+ */
+const HISTORY_COMMANDS = {
+    swap: {
+        apply: ({ swaps }) => swaps.forEach(([from, to]) => swapSlots(from, to)),
+        revert: ({ swaps }) => [...swaps].reverse().forEach(([from, to]) => swapSlots(from, to))
+    },
+    shuffle: {
+        apply: ({ order }) => rearrangeGrid(order.map(from => state.tiles[from])),
+        revert: ({ order }) => {
+            const tiles = [];
+            order.forEach((from, i) => { tiles[from] = state.tiles[i]; });
+            rearrangeGrid(tiles);
+        }
+    },
+    color: {
+        apply: ({ keys, color }) => keys.forEach(key => { getTileByKey(key).draftColor = color; }),
+        revert: ({ keys, previous }) => keys.forEach((key, i) => { getTileByKey(key).draftColor = previous[i]; })
+    },
+    lock: {
+        apply: (command) => {
+            const tiles = getColorGroupTiles(command.color);
+            command.removed = removeTilesFromBoard(tiles);
+            state.lockedGroups.push({
+                color: command.color,
+                category: command.category || '',
+                notes: command.notes || '',
+                tiles
+            });
+            state.selectedTiles.clear();
+        },
+        revert: (command) => {
+            // Keep what was typed into the bar for a redo
+            const group = state.lockedGroups.pop();
+            command.category = group.category;
+            command.notes = group.notes;
+            restoreTilesToBoard(group.tiles, command.removed);
+            state.selectedTiles.clear();
+        }
+    },
+    unlock: {
+        apply: (command) => {
+            const [group] = state.lockedGroups.splice(command.index, 1);
+            command.group = { color: group.color, category: group.category, notes: group.notes, count: group.tiles.length };
+            state.tiles.push(...group.tiles);
+        },
+        revert: (command) => {
+            const { count, ...group } = command.group;
+            const tiles = state.tiles.splice(state.tiles.length - count, count);
+            state.lockedGroups.splice(command.index, 0, { ...group, tiles });
+            state.selectedTiles.clear();
+        }
+    }
+};
+
+function setupHistory() {
+    elements.undoBtn.addEventListener('click', undo);
+    elements.redoBtn.addEventListener('click', redo);
     
-    elements.helpModal.addEventListener('click', (e) => {
-        if (e.target === elements.helpModal) {
-            closeHelpModal();
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Text fields keep their own undo
+        if (e.target.closest('input, textarea, [contenteditable]')) return;
+        if (elements.gridSection.hidden) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
         }
     });
 }
 
-function setupDebugToggle() {
-    if (!elements.debugToggle) return;
+/**
+ * Apply `command` (see HISTORY_COMMANDS) and record it for undo.
+ * A new command discards anything that was undone.
+ */
+function runCommand(command) {
+    HISTORY_COMMANDS[command.type].apply(command);
+    state.history.undo.push(command);
+    if (state.history.undo.length > HISTORY_LIMIT) {
+        state.history.undo.shift();
+    }
+    state.history.redo = [];
+    renderGrid();
+}
+
+function undo() {
+    const command = state.history.undo.pop();
+    if (!command) return;
+    
+    HISTORY_COMMANDS[command.type].revert(command);
+    state.history.redo.push(command);
+    renderGrid();
+    showToast(`Undone: ${command.label}`);
+}
+
+function redo() {
+    const command = state.history.redo.pop();
+    if (!command) return;
+    
+    HISTORY_COMMANDS[command.type].apply(command);
+    state.history.undo.push(command);
+    renderGrid();
+    showToast(`Redone: ${command.label}`);
+}
+
+function clearHistory() {
+    state.history = { undo: [], redo: [] };
+}
+
+function renderHistoryControls() {
+    const { undo: undoStack, redo: redoStack } = state.history;
+    const nextUndo = undoStack[undoStack.length - 1];
+    const nextRedo = redoStack[redoStack.length - 1];
+    
+    elements.undoBtn.disabled = !nextUndo;
+    elements.undoBtn.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+    elements.redoBtn.disabled = !nextRedo;
+    elements.redoBtn.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// ==================== Toast ====================
+
+const TOAST_DURATION = 2000; // ms
+
+let toastTimeout = null;
+
+/**
+ * Briefly show a short message over the page
+ */
+function showToast(message) {
+    clearTimeout(toastTimeout);
+    elements.toast.textContent = message;
+    elements.toast.hidden = false;
+    toastTimeout = setTimeout(hideToast, TOAST_DURATION);
+}
+
+function hideToast() {
+    clearTimeout(toastTimeout);
+    elements.toast.hidden = true;
+}
+
+// ==================== Play Mode ====================
+
+const SOLVE_JUMP_MS = 300; // Each tile's jump before a correct group collapses into its bar
+const SOLVE_STAGGER_MS = 100; // Delay between neighbouring tiles' jumps
+const TILE_SHAKE_MS = 400; // Wrong guess shake, as in styles.css
+
+let playAnimating = false; // A group is animating into its bar; guesses wait
+
+function setupPlayMode() {
+    elements.playStartBtn.addEventListener('click', openAnswerKeyModal);
+    elements.playSubmitBtn.addEventListener('click', submitGuess);
+    elements.playEndBtn.addEventListener('click', endPlay);
+    elements.playDeselectBtn.addEventListener('click', () => {
+        state.selectedTiles.clear();
+        renderGrid();
+    });
+    
+    elements.answerKeyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        elements.answerKeyError.hidden = true;
+        try {
+            const groups = parseAnswerKey(elements.answerKeyInput.value);
+            validateAnswerKey(groups);
+            closeAnswerKeyModal();
+            startPlay(groups);
+        } catch (error) {
+            elements.answerKeyError.textContent = error.message;
+            elements.answerKeyError.hidden = false;
+        }
+    });
+    
+    elements.answerKeyFileBtn.addEventListener('click', () => {
+        elements.answerKeyFile.click();
+    });
+    elements.answerKeyFile.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        elements.answerKeyFile.value = '';
+        if (!file) return;
+        elements.answerKeyInput.value = await file.text();
+        elements.answerKeyError.hidden = true;
+    });
+    
+    elements.answerKeyClose.addEventListener('click', closeAnswerKeyModal);
+    elements.answerKeyModal.addEventListener('click', (e) => {
+        if (e.target === elements.answerKeyModal) {
+            closeAnswerKeyModal();
+        }
+    });
+}
+
+function openAnswerKeyModal() {
+    elements.answerKeyError.hidden = true;
+    elements.answerKeyModal.hidden = false;
+    elements.answerKeyInput.focus();
+}
+
+function closeAnswerKeyModal() {
+    elements.answerKeyModal.hidden = true;
+}
+
+function isPlaying() {
+    return Boolean(state.play) && !state.play.finished;
+}
+
+/**
+ * Read an answer key: either JSON ({ groups: [{ category, words, color? }] }
+ * or just the array), or one "CATEGORY: WORD, WORD, ..." line per group.
+ * Groups without a colour get the palette's in order, so list them easiest
+ * first. Words are compared upper-case, as tiles are read.
+ */
+function parseAnswerKey(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        throw new Error('Enter the groups, one per line.');
+    }
+    
+    let groups;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error('The answer key looks like JSON but could not be parsed.');
+        }
+        groups = (Array.isArray(data) ? data : data.groups || []).map(group => ({
+            category: String(group.category || ''),
+            words: Array.isArray(group.words) ? group.words.map(String) : [],
+            color: group.color
+        }));
+    } else {
+        groups = trimmed.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => {
+                const colon = line.indexOf(':');
+                return {
+                    category: colon >= 0 ? line.slice(0, colon) : '',
+                    words: line.slice(colon + 1).split(',')
+                };
+            });
+    }
+    
+    return groups.map((group, index) => ({
+        color: GROUP_COLORS.includes(group.color) ? group.color : GROUP_COLORS[index],
+        category: group.category.trim().toUpperCase(),
+        words: group.words.map(normalizeAnswerWord).filter(word => word.length > 0)
+    }));
+}
+
+function normalizeAnswerWord(word) {
+    return word.trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Throw if `groups` can't be this board's solution: the wrong number or
+ * size of groups, a word in two groups, or a tile the key doesn't mention
+ * (usually a misread tile to correct first)
+ */
+function validateAnswerKey(groups) {
+    const { rows, cols } = state.shape;
+    if (groups.length !== rows) {
+        throw new Error(`This puzzle has ${rows} groups but the answer key has ${groups.length}.`);
+    }
+    
+    const seen = new Set();
+    groups.forEach((group, index) => {
+        if (group.words.length !== cols) {
+            throw new Error(`${group.category || `Group ${index + 1}`} has ${group.words.length} words; each group needs ${cols}.`);
+        }
+        for (const word of group.words) {
+            if (seen.has(word)) {
+                throw new Error(`${word} is in more than one group.`);
+            }
+            seen.add(word);
+        }
+    });
+    
+    const missing = getBoardTiles()
+        .map(tile => normalizeAnswerWord(tile.word))
+        .filter(word => !seen.has(word));
+    if (missing.length > 0) {
+        throw new Error(`Not in the answer key: ${missing.join(', ')}. Correct those tiles or the key.`);
+    }
+}
+
+/**
+ * Every tile still in play, in the grid or the scratchpad
+ */
+function getBoardTiles() {
+    return [...state.tiles, ...state.scratchpad].filter(Boolean);
+}
+
+function getTileByKey(key) {
+    const [source, index] = key.split(':');
+    return source === 'grid' ? state.tiles[parseInt(index)] : state.scratchpad[parseInt(index)];
+}
+
+function setTileByKey(key, tile) {
+    const [source, index] = key.split(':');
+    if (source === 'grid') {
+        state.tiles[parseInt(index)] = tile;
+    } else {
+        state.scratchpad[parseInt(index)] = tile;
+    }
+}
+
+/**
+ * Start a game against `groups` (see parseAnswerKey). Groups already solved
+ * in the screenshot count as found, and its mistakes count carries over.
+ */
+function startPlay(groups) {
+    state.play = { groups, guesses: [], finished: null };
+    
+    // Guesses are made from the grid, so locked drafts go back into it
+    while (state.lockedGroups.length > 0) {
+        state.tiles.push(...state.lockedGroups.pop().tiles);
+    }
+    clearHistory();
+    // Only the first game continues the one in the screenshot
+    if (!state.mistakesFromScreenshot) {
+        state.mistakesRemaining = MAX_MISTAKES;
+    }
+    state.mistakesFromScreenshot = false;
+    
+    // Show bars read off the screenshot in the key's colours
+    state.solvedGroups = state.solvedGroups.map(solved => {
+        const group = groups.find(g => isSameGroup(g.words, solved.words));
+        return group ? { ...solved, color: group.color, category: solved.category || group.category } : solved;
+    });
+    
+    state.selectedTiles.clear();
+    renderGrid();
+}
+
+function endPlay() {
+    state.play = null;
+    playAnimating = false;
+    hideToast();
+    renderGrid();
+}
+
+function isSameGroup(words, otherWords) {
+    const normalized = new Set(otherWords.map(normalizeAnswerWord));
+    return words.length === normalized.size && words.every(word => normalized.has(word));
+}
+
+/**
+ * A group is solved once none of its tiles are left on the board, which
+ * also covers bars read off the screenshot with a word slightly misread
+ */
+function isGroupSolved(group) {
+    return !getBoardTiles().some(tile => group.words.includes(normalizeAnswerWord(tile.word)));
+}
+
+/**
+ * Check the selected tiles against the answer key: a correct group animates
+ * into its bar; otherwise a mistake is used, with a hint when all but one
+ * tile belong together. Repeating an earlier guess costs nothing.
+ */
+async function submitGuess() {
+    if (!canSubmitGuess()) return;
+    
+    const play = state.play;
+    const keys = [...state.selectedTiles];
+    const words = keys.map(key => normalizeAnswerWord(getTileByKey(key).word));
+    const guess = [...words].sort().join('|');
+    if (play.guesses.includes(guess)) {
+        showToast('Already guessed!');
+        return;
+    }
+    play.guesses.push(guess);
+    
+    const unsolved = play.groups.filter(group => !isGroupSolved(group));
+    const match = unsolved.find(group => words.every(word => group.words.includes(word)));
+    if (match) {
+        await solveGroup(match, keys);
+        if (state.play === play && play.groups.every(isGroupSolved)) {
+            finishPlay('won');
+        }
+        return;
+    }
+    
+    const oneAway = unsolved.some(group => words.filter(word => group.words.includes(word)).length === words.length - 1);
+    state.mistakesRemaining = Math.max(0, state.mistakesRemaining - 1);
+    renderMistakes();
+    saveState();
+    shakeTiles(keys);
+    
+    if (state.mistakesRemaining === 0) {
+        playAnimating = true;
+        renderPlayControls();
+        await new Promise(resolve => setTimeout(resolve, TILE_SHAKE_MS));
+        playAnimating = false;
+        if (state.play !== play) return;
+        await revealRemainingGroups();
+        if (state.play === play) finishPlay('lost');
+    } else if (oneAway) {
+        showToast('One away...');
+    }
+}
+
+function canSubmitGuess() {
+    return isPlaying() && !playAnimating && state.selectedTiles.size === state.shape.cols;
+}
+
+/**
+ * Jump the tiles at `keys`, then collapse them out of the board into a
+ * solved bar for `group` at the top of the grid
+ */
+async function solveGroup(group, keys) {
+    const play = state.play;
+    const tiles = keys.map(getTileByKey);
+    playAnimating = true;
+    renderPlayControls();
+    
+    keys.forEach((key, i) => {
+        const tileEl = getTileElement(key);
+        if (!tileEl) return;
+        tileEl.style.animationDelay = `${i * SOLVE_STAGGER_MS}ms`;
+        tileEl.classList.add('tile-solving');
+    });
+    await new Promise(resolve => setTimeout(resolve, SOLVE_JUMP_MS + (keys.length - 1) * SOLVE_STAGGER_MS));
+    playAnimating = false;
+    // Stopped, or replaced by another puzzle, while the tiles jumped
+    if (state.play !== play) return;
+    
+    // Guesses can't be taken back, and earlier moves no longer fit the board
+    removeTilesFromBoard(tiles);
+    clearHistory();
+    state.solvedGroups.push({ color: group.color, category: group.category, words: [...group.words] });
+    state.selectedTiles.clear();
+    renderGrid();
+    elements.solvedGroups.lastElementChild.classList.add('solved-group-new');
+}
+
+/**
+ * Solve every group still on the board in turn, once the mistakes run out
+ */
+async function revealRemainingGroups() {
+    for (const group of state.play.groups.filter(g => !isGroupSolved(g))) {
+        const keys = [];
+        state.tiles.forEach((tile, index) => {
+            if (tile && group.words.includes(normalizeAnswerWord(tile.word))) keys.push(`grid:${index}`);
+        });
+        state.scratchpad.forEach((tile, index) => {
+            if (tile && group.words.includes(normalizeAnswerWord(tile.word))) keys.push(`scratchpad:${index}`);
+        });
+        const play = state.play;
+        await solveGroup(group, keys);
+        if (state.play !== play) return;
+    }
+}
+
+/**
+ * Take solved or locked tiles out of the grid and scratchpad. The grid
+ * keeps one slot per tile left, so the empty slots that scratchpad tiles
+ * left behind go too (from the end, where they disturb the layout least).
+ * Returns { slots, gaps } for restoreTilesToBoard: the key each tile was
+ * at, and the grid indices of the empty slots dropped.
+ */
+function removeTilesFromBoard(tiles) {
+    const removed = new Set(tiles);
+    const slots = tiles.map(tile => state.tiles.includes(tile)
+        ? `grid:${state.tiles.indexOf(tile)}`
+        : `scratchpad:${state.scratchpad.indexOf(tile)}`);
+    state.scratchpad = state.scratchpad.map(tile => removed.has(tile) ? null : tile);
+    
+    const kept = state.tiles.filter(tile => !removed.has(tile));
+    let extraSlots = kept.length - kept.filter(Boolean).length - state.scratchpad.filter(Boolean).length;
+    const gaps = [];
+    for (let i = state.tiles.length - 1; i >= 0 && extraSlots > 0; i--) {
+        if (state.tiles[i] === null) {
+            gaps.push(i);
+            extraSlots--;
+        }
+    }
+    
+    state.tiles = state.tiles.filter((tile, i) => !removed.has(tile) && !gaps.includes(i));
+    return { slots, gaps };
+}
+
+/**
+ * Undo removeTilesFromBoard: put `tiles` back at `slots` and the dropped
+ * empty slots back at `gaps`
+ */
+function restoreTilesToBoard(tiles, { slots, gaps }) {
+    const gridTiles = new Map();
+    slots.forEach((key, i) => {
+        const [source, index] = key.split(':');
+        if (source === 'grid') {
+            gridTiles.set(parseInt(index), tiles[i]);
+        } else {
+            state.scratchpad[parseInt(index)] = tiles[i];
+        }
+    });
+    
+    const rest = state.tiles;
+    const length = rest.length + gridTiles.size + gaps.length;
+    state.tiles = [];
+    for (let i = 0, next = 0; i < length; i++) {
+        if (gridTiles.has(i)) {
+            state.tiles.push(gridTiles.get(i));
+        } else if (gaps.includes(i)) {
+            state.tiles.push(null);
+        } else {
+            state.tiles.push(rest[next++]);
+        }
+    }
+}
+
+function finishPlay(result) {
+    if (!state.play) return;
+    state.play.finished = result;
+    if (result === 'won') {
+        showToast(state.mistakesRemaining === MAX_MISTAKES ? 'Perfect!' : 'Solved!');
+    } else {
+        showToast('Next time!');
+    }
+    renderGrid();
+}
+
+function getTileElement(key) {
+    const [source, index] = key.split(':');
+    return elements.gridSection.querySelector(`.tile[data-source="${source}"][data-index="${index}"]`);
+}
+
+function shakeTiles(keys) {
+    for (const key of keys) {
+        const tileEl = getTileElement(key);
+        if (!tileEl) continue;
+        tileEl.classList.remove('tile-shake');
+        // Restart the animation if the same tiles shake twice in a row
+        void tileEl.offsetWidth;
+        tileEl.classList.add('tile-shake');
+        tileEl.addEventListener('animationend', () => tileEl.classList.remove('tile-shake'), { once: true });
+    }
+}
+
+/**
+ * Show the start button in the sandbox, or the game's buttons while playing
+ */
+function renderPlayControls() {
+    const playing = Boolean(state.play);
+    elements.playStartBtn.hidden = playing;
+    elements.playDeselectBtn.hidden = !playing;
+    elements.playSubmitBtn.hidden = !playing;
+    elements.playEndBtn.hidden = !playing;
+    if (!playing) return;
+    
+    elements.playDeselectBtn.disabled = !isPlaying() || state.selectedTiles.size === 0;
+    elements.playSubmitBtn.disabled = !canSubmitGuess();
+    elements.playEndBtn.textContent = state.play.finished ? 'Back to Sandbox' : 'Stop Playing';
+}
+
+// ==================== Definition Modal ====================
+
+function setupModal() {
+    elements.modalClose.addEventListener('click', closeModal);
+    
+    elements.modal.addEventListener('click', (e) => {
+        if (e.target === elements.modal) {
+            closeModal();
+        }
+    });
+    
+    // Close on Escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeModal();
+            closeHelpModal();
+            closeTileEditor();
+            closeAnswerKeyModal();
+            closePuzzleList();
+            closeShareModal();
+            stopCamera();
+        }
+    });
+}
+
+function closeModal() {
+    elements.modal.hidden = true;
+}
+
+function setupHelpModal() {
+    elements.helpBtn.addEventListener('click', () => {
+        elements.helpModal.hidden = false;
+    });
+    
+    elements.helpModalClose.addEventListener('click', closeHelpModal);
+    
+    elements.helpModal.addEventListener('click', (e) => {
+        if (e.target === elements.helpModal) {
+            closeHelpModal();
+        }
+    });
+}
+
+function setupDebugToggle() {
+    if (!elements.debugToggle) return;
+    
+    elements.debugToggle.addEventListener('click', () => {
+        state.debugVisible = !state.debugVisible;
+        
+        // Show/hide preview container and both image/canvas together
+        // When debug is ON: show all, when OFF: hide all (unless adjusting the grid)
+        const showPreview = state.debugVisible || Boolean(gridAdjust.geometry);
+        elements.previewContainer.hidden = !showPreview;
+        elements.previewImage.hidden = !showPreview;
+        elements.debugCanvas.hidden = !showPreview;
+        
+        // Redraw debug overlay if we have grid bounds stored and debug is visible
+        if (state.debugVisible && state.lastGridBounds) {
+            drawDebugOverlay(state.lastGridBounds);
+        }
+        renderInspector();
+    });
+    
+    // Initialize canvas as hidden (preview image will be shown when file is loaded)
+    elements.debugCanvas.hidden = true;
+}
+
+function closeHelpModal() {
+    elements.helpModal.hidden = true;
+}
+
+// ==================== Tile Editor ====================
+
+const LOW_CONFIDENCE_THRESHOLD = 70; // OCR confidence (0-100) below which a tile is flagged
+
+const tileEditor = {
+    source: null,
+    index: null,
+    queue: [], // Grid indices to visit with "Save & Next"
+    cropUrl: null,
+    retry: null // AbortController of the retry in progress
+};
+
+function setupTileEditor() {
+    elements.tileEditorForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveTileEdit();
+        closeTileEditor();
+    });
+    
+    elements.tileEditorNext.addEventListener('click', () => {
+        saveTileEdit();
+        const next = tileEditor.queue.shift();
+        if (next === undefined) {
+            closeTileEditor();
+        } else {
+            openTileEditor('grid', next, tileEditor.queue);
+        }
+    });
+    
+    elements.tileEditorRetry.addEventListener('click', retryTileRecognition);
+    elements.tileEditorClose.addEventListener('click', closeTileEditor);
+    
+    elements.tileEditorModal.addEventListener('click', (e) => {
+        if (e.target === elements.tileEditorModal) {
+            closeTileEditor();
+        }
+    });
+}
+
+function isLowConfidence(tile) {
+    return typeof tile.confidence === 'number' && tile.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Grid indices of the other flagged tiles after `index`, for "Save & Next"
+ */
+function getLowConfidenceQueue(source, index) {
+    if (source !== 'grid') return [];
+    
+    const queue = [];
+    state.tiles.forEach((tile, i) => {
+        if (i > index && tile && isLowConfidence(tile)) {
+            queue.push(i);
+        }
+    });
+    return queue;
+}
+
+async function openTileEditor(source, index, queue = []) {
+    const tile = source === 'grid' ? state.tiles[index] : state.scratchpad[index];
+    if (!tile) return;
+    
+    cancelTileRetry();
+    tileEditor.source = source;
+    tileEditor.index = index;
+    tileEditor.queue = queue;
+    
+    elements.tileEditorInput.value = tile.word;
+    elements.tileEditorMeta.textContent = typeof tile.confidence === 'number'
+        ? `OCR confidence: ${tile.confidence}%`
+        : '';
+    elements.tileEditorNext.hidden = queue.length === 0;
+    renderTileAlternatives(tile);
+    elements.tileEditorRetry.hidden = !(state.sourceImage && tile.cellRect);
+    elements.tileEditorCandidates.hidden = true;
+    elements.tileEditorCandidates.innerHTML = '';
+    elements.tileEditorModal.hidden = false;
+    elements.tileEditorInput.focus();
+    elements.tileEditorInput.select();
+    
+    // Show the original cell crop when the source image is still in memory
+    elements.tileEditorCrop.hidden = true;
+    if (state.sourceImage && tile.cellRect) {
+        try {
+            const cropBlob = await extractCell(state.sourceImage, tile.cellRect);
+            // Ignore if the editor moved on while cropping
+            if (tileEditor.source !== source || tileEditor.index !== index) return;
+            
+            if (tileEditor.cropUrl) {
+                URL.revokeObjectURL(tileEditor.cropUrl);
+            }
+            tileEditor.cropUrl = URL.createObjectURL(cropBlob);
+            elements.tileEditorCrop.src = tileEditor.cropUrl;
+            elements.tileEditorCrop.hidden = false;
+        } catch (error) {
+            console.warn('Failed to crop tile for editor:', error);
+        }
+    }
+}
+
+/**
+ * Show dictionary suggestions (or the raw OCR reading) as one-tap choices
+ */
+function renderTileAlternatives(tile) {
+    const container = elements.tileEditorAlternatives;
+    container.innerHTML = '';
+    
+    const alternatives = (tile.alternatives || []).filter(alt => alt !== tile.word);
+    container.hidden = alternatives.length === 0;
+    
+    for (const alternative of alternatives) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-small tile-editor-alternative';
+        btn.textContent = alternative;
+        btn.addEventListener('click', () => {
+            elements.tileEditorInput.value = alternative;
+            elements.tileEditorInput.focus();
+        });
+        container.appendChild(btn);
+    }
+}
+
+/**
+ * Re-read the open tile from the source image with several OCR settings
+ * and offer the distinct readings, best first
+ */
+async function retryTileRecognition() {
+    const { source, index } = tileEditor;
+    const tile = source === 'grid' ? state.tiles[index] : state.scratchpad[index];
+    if (!tile || !state.sourceImage || !tile.cellRect) return;
+    
+    const btn = elements.tileEditorRetry;
+    btn.disabled = true;
+    btn.textContent = 'Retrying...';
+    const retry = new AbortController();
+    tileEditor.retry = retry;
+    
+    try {
+        const candidates = await recognizeTileVariants(state.sourceImage, tile.cellRect, {
+            signal: retry.signal,
+            onProgress: ({ done, total }) => {
+                btn.textContent = `Retrying... ${done}/${total}`;
+            }
+        });
+        renderTileCandidates(candidates);
+    } catch (error) {
+        // The editor moved on, or the worker was stopped for a new upload
+        if (error.name === 'AbortError') return;
+        
+        console.error('Tile retry failed:', error);
+        elements.tileEditorCandidates.textContent = `Retry failed: ${error.message}`;
+        elements.tileEditorCandidates.hidden = false;
+    } finally {
+        // Unless a retry on the next tile has the button now
+        if (!tileEditor.retry || tileEditor.retry === retry) {
+            tileEditor.retry = null;
+            btn.disabled = false;
+            btn.textContent = 'Retry Recognition';
+        }
+    }
+}
+
+function cancelTileRetry() {
+    if (tileEditor.retry) {
+        tileEditor.retry.abort();
+        tileEditor.retry = null;
+    }
+}
+
+/**
+ * One button per distinct reading, with its best confidence and the
+ * settings that produced it
+ */
+function renderTileCandidates(candidates) {
+    const container = elements.tileEditorCandidates;
+    container.innerHTML = '';
+    container.hidden = false;
+    
+    const readings = new Map(); // Text -> { confidence, labels }
+    for (const candidate of candidates) {
+        if (!candidate.text) continue;
+        const reading = readings.get(candidate.text) || { confidence: 0, labels: [] };
+        reading.confidence = Math.max(reading.confidence, candidate.confidence);
+        reading.labels.push(candidate.label);
+        readings.set(candidate.text, reading);
+    }
+    
+    if (readings.size === 0) {
+        container.textContent = 'No readings found';
+        return;
+    }
+    
+    const sorted = [...readings.entries()].sort((a, b) => b[1].confidence - a[1].confidence);
+    for (const [text, reading] of sorted) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-small tile-editor-candidate';
+        btn.title = reading.labels.join(', ');
+        btn.textContent = text;
+        
+        const confidence = document.createElement('span');
+        confidence.className = 'candidate-confidence';
+        confidence.textContent = `${reading.confidence}%`;
+        btn.appendChild(confidence);
+        
+        btn.addEventListener('click', () => {
+            elements.tileEditorInput.value = text;
+            elements.tileEditorInput.focus();
+        });
+        container.appendChild(btn);
+    }
+}
+
+function saveTileEdit() {
+    const { source, index } = tileEditor;
+    const tile = source === 'grid' ? state.tiles[index] : state.scratchpad[index];
+    if (!tile) return;
+    
+    const word = elements.tileEditorInput.value.trim().toUpperCase();
+    if (word.length > 0) {
+        tile.word = word;
+        tile.confidence = 100; // Confirmed by the user
+    }
+    
+    renderGrid();
+}
+
+function closeTileEditor() {
+    cancelTileRetry();
+    elements.tileEditorModal.hidden = true;
+    tileEditor.source = null;
+    tileEditor.index = null;
+    tileEditor.queue = [];
+    
+    if (tileEditor.cropUrl) {
+        URL.revokeObjectURL(tileEditor.cropUrl);
+        tileEditor.cropUrl = null;
+    }
+}
+
+async function showDefinition(word) {
+    elements.modal.hidden = false;
+    elements.modalWord.textContent = word.toLowerCase();
+    elements.modalDefinition.innerHTML = '<div class="loading">Loading definition...</div>';
+    
+    try {
+        // Use the free Dictionary API
+        const response = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word.toLowerCase()}`);
+        
+        if (!response.ok) {
+            throw new Error('Word not found');
+        }
+        
+        const data = await response.json();
+        displayDefinitions(data[0]);
+        
+    } catch (error) {
+        elements.modalDefinition.innerHTML = `
+            <div class="error">
+                <p>Definition not found for "${word}".</p>
+                <p style="margin-top: 0.5rem; font-size: 0.9rem;">
+                    This might be a proper noun, abbreviation, or specialized term.
+                </p>
+            </div>
+        `;
+    }
+}
+
+function displayDefinitions(entry) {
+    let html = '';
+    
+    // Phonetic
+    if (entry.phonetic) {
+        html += `<p style="color: var(--text-muted); margin-bottom: 1rem; font-family: var(--font-mono);">${entry.phonetic}</p>`;
+    }
+    
+    // Meanings
+    entry.meanings.forEach(meaning => {
+        html += '<div class="definition-item">';
+        html += `<p class="part-of-speech">${meaning.partOfSpeech}</p>`;
+        
+        // Show up to 3 definitions per part of speech
+        meaning.definitions.slice(0, 3).forEach((def, i) => {
+            html += `<p class="meaning">${i + 1}. ${def.definition}</p>`;
+            if (def.example) {
+                html += `<p style="color: var(--text-muted); font-style: italic; margin-left: 1rem; margin-top: 0.25rem;">"${def.example}"</p>`;
+            }
+        });
+        
+        html += '</div>';
+    });
+    
+    elements.modalDefinition.innerHTML = html;
+}
+
+// ==================== Grid Adjustment ====================
+
+const GRID_HANDLE_REACH = 12; // Display pixels within which a handle or divider can be grabbed
+const GRID_MIN_CELL = 8; // Smallest row or column, in image pixels
+
+const gridAdjust = {
+    geometry: null, // Copy being edited; null when not adjusting
+    image: null, // Screenshot the geometry is drawn over
+    drag: null // Handle being dragged (see hitTestGridHandle)
+};
+
+function setupGridAdjust() {
+    elements.adjustGridBtn.addEventListener('click', startGridAdjust);
+    elements.cancelAdjustBtn.addEventListener('click', endGridAdjust);
+    elements.rerunOcrBtn.addEventListener('click', () => rerunOcrWithGeometry());
+    
+    const canvas = elements.debugCanvas;
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!gridAdjust.geometry) return;
+        const point = getAdjustPoint(e);
+        gridAdjust.drag = hitTestGridHandle(point.displayX, point.displayY);
+        if (gridAdjust.drag) {
+            canvas.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        }
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (!gridAdjust.geometry) return;
+        const point = getAdjustPoint(e);
+        if (gridAdjust.drag) {
+            moveGridHandle(gridAdjust.drag, point.x, point.y);
+            drawGridAdjustOverlay();
+        } else {
+            const handle = hitTestGridHandle(point.displayX, point.displayY);
+            canvas.style.cursor = handle ? handle.cursor : '';
+        }
+    });
+    const endDrag = () => {
+        gridAdjust.drag = null;
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    
+    window.addEventListener('resize', () => {
+        if (gridAdjust.geometry) drawGridAdjustOverlay();
+    });
+}
+
+/**
+ * The screenshot and grid adjusting starts from: the board's own, or the
+ * last upload's when reading it failed and left the old board in place.
+ * Null without a grid on a screenshot (e.g. a shared or typed-in board).
+ */
+function getGridAdjustSource() {
+    const analysis = state.lastAnalysis;
+    if (analysis && analysis.image !== state.sourceImage) {
+        return analysis.gridBounds
+            ? { image: analysis.image, geometry: analysis.geometry || gridGeometryFromBounds(analysis.gridBounds) }
+            : null;
+    }
+    if (state.sourceImage && state.gridGeometry) {
+        return { image: state.sourceImage, geometry: state.gridGeometry };
+    }
+    return null;
+}
+
+function canAdjustGrid() {
+    return Boolean(getGridAdjustSource());
+}
+
+function startGridAdjust() {
+    const source = getGridAdjustSource();
+    if (!source) return;
+    
+    const { image, geometry } = source;
+    gridAdjust.geometry = { ...geometry, rows: [...geometry.rows], cols: [...geometry.cols] };
+    gridAdjust.image = image;
+    gridAdjust.drag = null;
+    
+    // A restored puzzle has nothing in the preview yet
+    if (!elements.previewImage.getAttribute('src')) {
+        showCorrectedPreview(image);
+    }
+    elements.previewContainer.hidden = false;
+    elements.previewImage.hidden = false;
+    elements.debugCanvas.hidden = false;
+    elements.previewWrapper.classList.add('adjusting');
+    elements.gridAdjust.hidden = false;
+    elements.previewContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    
+    drawGridAdjustOverlay();
+}
+
+function endGridAdjust() {
+    if (!gridAdjust.geometry) return;
+    
+    gridAdjust.geometry = null;
+    gridAdjust.image = null;
+    gridAdjust.drag = null;
+    elements.previewWrapper.classList.remove('adjusting');
+    elements.gridAdjust.hidden = true;
+    elements.debugCanvas.style.cursor = '';
+    
+    // Back to whatever debug mode shows
+    elements.previewContainer.hidden = !state.debugVisible;
+    elements.previewImage.hidden = !state.debugVisible;
+    elements.debugCanvas.hidden = !state.debugVisible;
+    const ctx = elements.debugCanvas.getContext('2d');
+    ctx.clearRect(0, 0, elements.debugCanvas.width, elements.debugCanvas.height);
+    if (state.debugVisible && state.lastGridBounds) {
+        drawDebugOverlay(state.lastGridBounds);
+    }
+}
+
+/**
+ * Pointer position in display (canvas) pixels and in image pixels
+ */
+function getAdjustPoint(e) {
+    const rect = elements.debugCanvas.getBoundingClientRect();
+    const displayX = e.clientX - rect.left;
+    const displayY = e.clientY - rect.top;
+    const { imageWidth, imageHeight } = gridAdjust.geometry;
+    return {
+        displayX,
+        displayY,
+        x: displayX * imageWidth / rect.width,
+        y: displayY * imageHeight / rect.height
+    };
+}
+
+/**
+ * Find the handle under a display point. Returns null, or one of
+ * { kind: 'frame', left, right, top, bottom, cursor } for the outline's
+ * corners and edges, { kind: 'col' | 'row', index, cursor } for a divider.
+ */
+function hitTestGridHandle(displayX, displayY) {
+    const g = gridAdjust.geometry;
+    const canvas = elements.debugCanvas;
+    const scaleX = canvas.width / g.imageWidth;
+    const scaleY = canvas.height / g.imageHeight;
+    const left = g.x * scaleX;
+    const top = g.y * scaleY;
+    const right = (g.x + g.width) * scaleX;
+    const bottom = (g.y + g.height) * scaleY;
+    const near = (a, b) => Math.abs(a - b) <= GRID_HANDLE_REACH;
+    const withinX = displayX >= left - GRID_HANDLE_REACH && displayX <= right + GRID_HANDLE_REACH;
+    const withinY = displayY >= top - GRID_HANDLE_REACH && displayY <= bottom + GRID_HANDLE_REACH;
+    if (!withinX || !withinY) return null;
+    
+    const frame = {
+        kind: 'frame',
+        left: near(displayX, left),
+        right: near(displayX, right),
+        top: near(displayY, top),
+        bottom: near(displayY, bottom)
+    };
+    
+    // Corners first, then dividers, then the straight edges
+    if ((frame.left || frame.right) && (frame.top || frame.bottom)) {
+        frame.cursor = frame.left === frame.top ? 'nwse-resize' : 'nesw-resize';
+        return frame;
+    }
+    const tilesTop = g.barColors.length > 0 ? g.rows[g.barColors.length - 1] * scaleY : top;
+    const col = displayY < tilesTop ? -1 : g.cols.findIndex(x => near(displayX, x * scaleX));
+    if (col !== -1) return { kind: 'col', index: col, cursor: 'col-resize' };
+    const row = g.rows.findIndex(y => near(displayY, y * scaleY));
+    if (row !== -1) return { kind: 'row', index: row, cursor: 'row-resize' };
+    if (frame.left || frame.right) return { ...frame, cursor: 'ew-resize' };
+    if (frame.top || frame.bottom) return { ...frame, cursor: 'ns-resize' };
+    return null;
+}
+
+/**
+ * Drag a handle to an image point. Dividers stay between their neighbours;
+ * moving the outline stretches the dividers with it.
+ */
+function moveGridHandle(handle, x, y) {
+    const g = gridAdjust.geometry;
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    
+    if (handle.kind === 'col' || handle.kind === 'row') {
+        const dividers = handle.kind === 'col' ? g.cols : g.rows;
+        const start = handle.kind === 'col' ? g.x : g.y;
+        const end = start + (handle.kind === 'col' ? g.width : g.height);
+        const min = (handle.index > 0 ? dividers[handle.index - 1] : start) + GRID_MIN_CELL + g.gutter;
+        const max = (handle.index < dividers.length - 1 ? dividers[handle.index + 1] : end) - GRID_MIN_CELL - g.gutter;
+        dividers[handle.index] = clamp(handle.kind === 'col' ? x : y, min, max);
+        return;
+    }
+    
+    const minWidth = (g.cols.length + 1) * (GRID_MIN_CELL + g.gutter);
+    const minHeight = (g.rows.length + 1) * (GRID_MIN_CELL + g.gutter);
+    let left = g.x;
+    let top = g.y;
+    let right = g.x + g.width;
+    let bottom = g.y + g.height;
+    if (handle.left) left = clamp(x, 0, right - minWidth);
+    if (handle.right) right = clamp(x, left + minWidth, g.imageWidth);
+    if (handle.top) top = clamp(y, 0, bottom - minHeight);
+    if (handle.bottom) bottom = clamp(y, top + minHeight, g.imageHeight);
+    
+    g.cols = g.cols.map(c => left + (c - g.x) / g.width * (right - left));
+    g.rows = g.rows.map(r => top + (r - g.y) / g.height * (bottom - top));
+    Object.assign(g, { x: left, y: top, width: right - left, height: bottom - top });
+}
+
+function drawGridAdjustOverlay() {
+    const canvas = elements.debugCanvas;
+    const img = elements.previewImage;
+    const g = gridAdjust.geometry;
+    if (!g) return;
+    
+    if (!img.complete) {
+        img.onload = () => drawGridAdjustOverlay();
+        return;
+    }
+    
+    canvas.width = img.clientWidth;
+    canvas.height = img.clientHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const scaleX = canvas.width / g.imageWidth;
+    const scaleY = canvas.height / g.imageHeight;
+    const left = g.x * scaleX;
+    const top = g.y * scaleY;
+    const width = g.width * scaleX;
+    const height = g.height * scaleY;
+    
+    // Dim everything outside the grid
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.clearRect(left, top, width, height);
+    
+    // Tiles as they'll be cropped, then the dividers over the gutters
+    const bounds = gridBoundsFromGeometry(g);
+    ctx.fillStyle = 'rgba(196, 92, 58, 0.12)';
+    for (const rect of [...bounds.solvedBars, ...bounds.tiles]) {
+        ctx.fillRect(rect.x * scaleX, rect.y * scaleY, rect.width * scaleX, rect.height * scaleY);
+    }
+    
+    // Column dividers only cross the tile rows, below any solved bars
+    const barCount = g.barColors.length;
+    const tilesTop = barCount > 0 ? g.rows[barCount - 1] * scaleY : top;
+    const firstRowBottom = barCount < g.rows.length ? g.rows[barCount] * scaleY : top + height;
+    const firstColRight = g.cols.length > 0 ? g.cols[0] * scaleX : left + width;
+    
+    ctx.strokeStyle = '#c45c3a';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    for (const x of g.cols) {
+        ctx.moveTo(x * scaleX, tilesTop);
+        ctx.lineTo(x * scaleX, top + height);
+    }
+    for (const y of g.rows) {
+        ctx.moveTo(left, y * scaleY);
+        ctx.lineTo(left + width, y * scaleY);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+    
+    // Square handles on the outline, round ones on the dividers
+    ctx.fillStyle = '#ffffff';
+    const square = (x, y) => {
+        ctx.fillRect(x - 5, y - 5, 10, 10);
+        ctx.strokeRect(x - 5, y - 5, 10, 10);
+    };
+    const round = (x, y) => {
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    };
+    for (const x of [left, left + width / 2, left + width]) {
+        for (const y of [top, top + height / 2, top + height]) {
+            if (x !== left + width / 2 || y !== top + height / 2) square(x, y);
+        }
+    }
+    g.cols.forEach(x => round(x * scaleX, (tilesTop + firstRowBottom) / 2));
+    g.rows.forEach(y => round((left + firstColRight) / 2, y * scaleY));
+}
+
+/**
+ * Crop and OCR every cell of `image` again with `geometry`, by default the
+ * ones being adjusted. The new geometry is saved with the puzzle; on
+ * failure the current puzzle stays.
+ */
+async function rerunOcrWithGeometry(geometry = null, image = null) {
+    if (!geometry && gridAdjust.geometry) {
+        geometry = { ...gridAdjust.geometry, adjusted: true };
+        image = gridAdjust.image;
+    }
+    if (!geometry || !image) return;
+    
+    endGridAdjust();
+    const signal = startOcrRun();
+    clearPipelineError();
+    
+    // The run that read this screenshot, unless it's gone (e.g. the puzzle
+    // was reopened from the list), also keeps the inspector up to date
+    const analysis = state.lastAnalysis && state.lastAnalysis.image === image ? state.lastAnalysis : null;
+    
+    // The game state read off the board still applies while the tiles are
+    // the same ones; a different number of tiles can't be matched up
+    const previous = analysis ? analysis.detectedBounds : null;
+    const adjusted = gridBoundsFromGeometry(geometry);
+    const detectedBounds = {
+        ...adjusted,
+        selectedTiles: previous && adjusted.tiles.length === previous.tiles.length ? previous.selectedTiles : [],
+        mistakesRemaining: previous ? previous.mistakesRemaining : null,
+        calibration: previous ? previous.calibration : null,
+        diagnostics: previous ? previous.diagnostics : null
+    };
+    const gridBounds = padGridBounds(detectedBounds);
+    if (analysis) {
+        Object.assign(analysis, { detectedBounds, gridBounds, geometry, ocr: null, error: null });
+    }
+    state.lastGridBounds = gridBounds;
+    
+    elements.statusSection.hidden = false;
+    elements.statusText.textContent = 'Initializing OCR...';
+    renderPendingGrid(gridBounds);
+    
+    try {
+        const start = performance.now();
+        const ocr = await recognizeGrid(image, gridBounds, {
+            signal,
+            onProgress: (progress) => {
+                if (!signal.aborted) showOcrProgress(progress);
+            },
+            onCell: ({ index, cell }) => {
+                if (!signal.aborted) fillPendingTile(index, cell.text);
+            }
+        });
+        if (analysis) {
+            analysis.ocr = ocr;
+            analysis.timings = { ...analysis.timings, ocr: performance.now() - start };
+            renderInspector();
+        }
+        
+        showOcrResults(image, gridBounds, ocr, geometry);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        
+        console.error('OCR Error:', error);
+        if (analysis) {
+            analysis.error = error.message;
+            renderInspector();
+        }
+        endPendingGrid();
+        showPipelineError(error, { retry: () => rerunOcrWithGeometry(geometry, image) });
+    } finally {
+        finishOcrRun(signal);
+    }
+}
+
+// ==================== Pipeline Inspector ====================
+
+const INSPECTOR_THUMB_SIZE = { width: 240, height: 320 };
+
+function setupInspector() {
+    elements.inspectorExportBtn.addEventListener('click', async () => {
+        try {
+            await exportDebugBundle();
+        } catch (error) {
+            console.error('Failed to export debug bundle:', error);
+            showToast('Could not create the debug bundle.');
+        }
+    });
+}
+
+/**
+ * Show every stage of the last analysis in the inspector (debug mode only):
+ * background sample, coarse cell mask with outliers, crop, and each cell's
+ * OCR input with its raw and cleaned text. Failed runs show what they got to.
+ */
+async function renderInspector() {
+    const analysis = state.lastAnalysis;
+    elements.inspector.hidden = !state.debugVisible || !analysis;
+    if (elements.inspector.hidden) return;
+    
+    let img;
+    try {
+        img = await getInspectorImage(analysis);
+    } catch (error) {
+        console.warn('Inspector could not load the image:', error);
+        return;
+    }
+    // A newer upload replaced this one while the image loaded
+    if (state.lastAnalysis !== analysis) return;
+    
+    elements.inspectorSummary.textContent = describeAnalysis(analysis);
+    elements.inspectorSummary.classList.toggle('error', Boolean(analysis.error));
+    // A calibration needs a grid that was found, or placed by hand when it wasn't
+    elements.calibrationSaveBtn.disabled = !analysis.detectedBounds ||
+        (!analysis.detectedBounds.diagnostics.region && !analysis.geometry);
+    renderCalibrationList();
+    
+    elements.inspectorStages.innerHTML = '';
+    for (const stage of buildInspectorStages(analysis, img)) {
+        const figure = document.createElement('figure');
+        figure.className = 'inspector-stage';
+        const caption = document.createElement('figcaption');
+        const title = document.createElement('strong');
+        title.textContent = stage.label;
+        caption.append(title, stage.detail);
+        figure.append(stage.canvas, caption);
+        elements.inspectorStages.appendChild(figure);
+    }
+    
+    renderInspectorCells(analysis, img);
+}
+
+/**
+ * The image the analysis ran on (the corrected one if it was straightened),
+ * decoded once per analysis
+ */
+async function getInspectorImage(analysis) {
+    if (!analysis.imageElement) {
+        analysis.imageElement = await loadImageElement(analysis.image || analysis.file);
+    }
+    return analysis.imageElement;
+}
+
+function describeAnalysis(analysis) {
+    const parts = [`${analysis.file.name || 'image'} (${analysis.file.type}, ${Math.round(analysis.file.size / 1024)} KB)`];
+    if (analysis.detectedBounds) {
+        const { calibration } = analysis.detectedBounds;
+        parts.push(`source: ${calibration ? calibration.label : 'generic'}`);
+    }
+    if (analysis.timings) {
+        const labels = { perspective: 'perspective', detection: 'detection', ocr: 'OCR' };
+        parts.push(Object.entries(labels)
+            .filter(([key]) => typeof analysis.timings[key] === 'number')
+            .map(([key, label]) => `${label} ${Math.round(analysis.timings[key])} ms`)
+            .join(', '));
+    }
+    if (analysis.error) {
+        parts.push(`failed: ${analysis.error}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Draw one thumbnail canvas per pipeline stage reached.
+ * Returns [{ name, label, detail, canvas }].
+ */
+function buildInspectorStages(analysis, img) {
+    const stages = [];
+    const { detectedBounds, gridBounds } = analysis;
+    const diagnostics = detectedBounds && detectedBounds.diagnostics;
+    
+    stages.push({
+        name: 'source',
+        label: analysis.corrected ? 'Perspective corrected' : 'Source',
+        detail: `${img.width}×${img.height}`,
+        canvas: createStageCanvas(img)
+    });
+    
+    if (!diagnostics) return stages;
+    
+    const bg = diagnostics.background;
+    const swatch = document.createElement('canvas');
+    swatch.width = INSPECTOR_THUMB_SIZE.width;
+    swatch.height = 48;
+    const swatchCtx = swatch.getContext('2d');
+    swatchCtx.fillStyle = `rgb(${bg.r}, ${bg.g}, ${bg.b})`;
+    swatchCtx.fillRect(0, 0, swatch.width, swatch.height);
+    stages.push({
+        name: 'background',
+        label: 'Background sample',
+        detail: `rgb(${bg.r}, ${bg.g}, ${bg.b}), brightness ${bg.brightness.toFixed(2)}`,
+        canvas: swatch
+    });
+    
+    // Coarse cells: kept in blue, dropped by filterOutliers in red
+    const coarse = diagnostics.coarse;
+    const kept = new Set(coarse.cells.map(cell => `${cell.x},${cell.y}`));
+    const cellImageSize = coarse.cellSize / coarse.scale;
+    stages.push({
+        name: 'cells',
+        label: 'Filled cells',
+        detail: `${coarse.filledCells.length} filled, ${coarse.filledCells.length - coarse.cells.length} outliers, ${coarse.width}×${coarse.height} at ${coarse.cellSize}px cells`,
+        canvas: createStageCanvas(img, (ctx, scale) => {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+            const size = cellImageSize * scale;
+            for (const cell of coarse.filledCells) {
+                ctx.fillStyle = kept.has(`${cell.x},${cell.y}`) ? 'rgba(52, 152, 219, 0.6)' : 'rgba(231, 76, 60, 0.8)';
+                ctx.fillRect(cell.x * size, cell.y * size, size - 0.5, size - 0.5);
+            }
+        })
+    });
     
-    elements.debugToggle.addEventListener('click', () => {
-        state.debugVisible = !state.debugVisible;
-        
-        // Show/hide preview container and both image/canvas together
-        // When debug is ON: show all, when OFF: hide all
-        elements.previewContainer.hidden = !state.debugVisible;
-        elements.previewImage.hidden = !state.debugVisible;
-        elements.debugCanvas.hidden = !state.debugVisible;
+    // Search region (dashed), detected grid and the padded crop
+    if (diagnostics.region) {
+        stages.push({
+            name: 'crop',
+            label: 'Crop',
+            detail: `${gridBounds.width}×${gridBounds.height} at (${gridBounds.x}, ${gridBounds.y}), ${gridBounds.shape.rows}×${gridBounds.shape.cols}, lattice ${Math.round(gridBounds.confidence * 100)}%`
+                + (diagnostics.fineScale < 1 ? `, measured at ${diagnostics.fineScale.toFixed(2)}×` : ''),
+            canvas: createStageCanvas(img, (ctx, scale) => {
+                strokeStageRect(ctx, diagnostics.region, scale, '#e67e22', [4, 3]);
+                strokeStageRect(ctx, detectedBounds, scale, '#3498db');
+                strokeStageRect(ctx, gridBounds, scale, '#27ae60');
+            })
+        });
+    }
+    
+    stages.push({
+        name: 'ocr',
+        label: 'OCR rectangles',
+        detail: `${gridBounds.tiles.length} tiles, ${gridBounds.solvedBars.length} solved bars`,
+        canvas: createStageCanvas(img, (ctx, scale) => {
+            ctx.font = 'bold 10px system-ui, sans-serif';
+            gridBounds.solvedBars.forEach(bar => {
+                strokeStageRect(ctx, toImageRect(getTileTextRect(bar)), scale, '#e67e22');
+            });
+            gridBounds.tiles.forEach((tile, i) => {
+                const rect = toImageRect(getTileTextRect(tile));
+                strokeStageRect(ctx, rect, scale, '#9b59b6');
+                ctx.fillStyle = '#9b59b6';
+                ctx.fillText(String(i + 1), rect.x * scale + 2, rect.y * scale + 10);
+            });
+        })
+    });
+    
+    return stages;
+}
+
+/**
+ * Thumbnail of the image (fitted to INSPECTOR_THUMB_SIZE) with `draw(ctx, scale)`
+ * on top, where `scale` maps image pixels to thumbnail pixels
+ */
+function createStageCanvas(img, draw = null) {
+    const scale = Math.min(INSPECTOR_THUMB_SIZE.width / img.width, INSPECTOR_THUMB_SIZE.height / img.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    if (draw) draw(ctx, scale);
+    return canvas;
+}
+
+function strokeStageRect(ctx, rect, scale, color, dash = []) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(dash);
+    ctx.strokeRect(rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale);
+    ctx.setLineDash([]);
+}
+
+/**
+ * getTileTextRect's { left, top } rect as { x, y }
+ */
+function toImageRect(rect) {
+    return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+}
+
+/**
+ * One row per tile and solved bar: what the OCR worker saw (binarised the
+ * same way), the raw and corrected text, and confidence
+ */
+function renderInspectorCells(analysis, img) {
+    const table = elements.inspectorCells;
+    table.innerHTML = '';
+    if (!analysis.gridBounds) return;
+    
+    const header = table.insertRow();
+    for (const title of ['#', 'OCR input', 'Raw', 'Cleaned', 'Confidence']) {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    }
+    
+    const { tiles, solvedBars } = analysis.gridBounds;
+    const ocr = analysis.ocr;
+    
+    solvedBars.forEach((bar, i) => {
+        const raw = ocr ? ocr.bars[i] : '';
+        addInspectorRow(table, `Bar ${i + 1} (${bar.color})`, img, bar, raw, '', null);
+    });
+    tiles.forEach((tile, i) => {
+        const cell = ocr && ocr.cells[i];
+        addInspectorRow(table, String(i + 1), img, tile,
+            cell ? cell.rawText : '', cell ? cell.text : '', cell ? cell.confidence : null);
+    });
+}
+
+function addInspectorRow(table, label, img, tile, raw, cleaned, confidence) {
+    const row = table.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().appendChild(binarizedCellCanvas(img, toImageRect(getTileTextRect(tile))));
+    
+    const rawCell = row.insertCell();
+    rawCell.className = 'mono';
+    rawCell.textContent = raw;
+    row.insertCell().textContent = cleaned;
+    
+    const confidenceCell = row.insertCell();
+    if (typeof confidence === 'number') {
+        confidenceCell.textContent = `${confidence}%`;
+        confidenceCell.classList.toggle('low-confidence', confidence < LOW_CONFIDENCE_THRESHOLD);
+    }
+}
+
+function binarizedCellCanvas(img, rect) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.width));
+    canvas.height = Math.max(1, Math.round(rect.height));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, rect.x, rect.y, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.putImageData(binarizeCell(imageData), 0, 0);
+    return canvas;
+}
+
+/**
+ * Download everything the inspector shows, plus the original upload, as
+ * one JSON file to attach to a bug report
+ */
+async function exportDebugBundle() {
+    const analysis = state.lastAnalysis;
+    if (!analysis) return;
+    
+    const img = await getInspectorImage(analysis);
+    const { file, gridBounds, ocr } = analysis;
+    
+    const bundle = {
+        format: 'well-connected-debug',
+        version: 1,
+        createdAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        shapeSetting: state.shapeSetting,
+        source: {
+            name: file.name || null,
+            type: file.type,
+            size: file.size,
+            dataUrl: await blobToDataUrl(file)
+        },
+        correctedImage: analysis.corrected ? await blobToDataUrl(analysis.image) : null,
+        detection: analysis.detectedBounds || null,
+        gridBounds: gridBounds || null,
+        ocr: ocr ? {
+            cells: ocr.cells.map((cell, i) => ({ ...cell, rect: getTileTextRect(gridBounds.tiles[i]) })),
+            bars: ocr.bars.map((text, i) => ({ text, rect: getTileTextRect(gridBounds.solvedBars[i]) }))
+        } : null,
+        timings: analysis.timings || null,
+        error: analysis.error || null,
+        stages: buildInspectorStages(analysis, img).map(({ name, label, detail, canvas }) => ({
+            name,
+            label,
+            detail,
+            image: canvas.toDataURL('image/png')
+        }))
+    };
+    
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `well-connected-debug-${bundle.createdAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ==================== Calibration Profiles ====================
+
+/**
+ * Profiles the user saved from their own screenshots, most recent first
+ */
+function loadCalibrationProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.error('Failed to load calibration profiles:', e);
+        return [];
+    }
+}
+
+function saveCalibrationProfiles(profiles) {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Every profile detection may match: the user's, which win ties, then the built-in ones
+ */
+function getCalibrationProfiles() {
+    return [...loadCalibrationProfiles(), ...CALIBRATION_PROFILES];
+}
+
+function setupCalibration() {
+    elements.calibrationForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const label = elements.calibrationName.value.trim();
+        if (!label) return;
         
-        // Redraw debug overlay if we have grid bounds stored and debug is visible
-        if (state.debugVisible && state.lastGridBounds) {
-            drawDebugOverlay(state.lastGridBounds);
+        elements.calibrationSaveBtn.disabled = true;
+        try {
+            await saveCalibrationFromAnalysis(label);
+            elements.calibrationName.value = '';
+        } catch (error) {
+            console.error('Failed to save calibration profile:', error);
+            showToast('Could not measure a calibration profile from this screenshot.');
         }
+        renderInspector();
     });
+}
+
+/**
+ * Measure a profile from the last analysis's grid, as detected or as
+ * adjusted, and save it so later uploads that look the same use it
+ */
+async function saveCalibrationFromAnalysis(label) {
+    const analysis = state.lastAnalysis;
+    if (!analysis || !analysis.detectedBounds) return;
     
-    // Initialize canvas as hidden (preview image will be shown when file is loaded)
-    elements.debugCanvas.hidden = true;
+    const profile = await measureCalibrationProfile(analysis.image, analysis.detectedBounds, {
+        id: `user-${Date.now()}`,
+        label
+    });
+    saveCalibrationProfiles([profile, ...loadCalibrationProfiles()]);
 }
 
-function closeHelpModal() {
-    elements.helpModal.hidden = true;
+function renderCalibrationList() {
+    elements.calibrationList.innerHTML = '';
+    for (const profile of loadCalibrationProfiles()) {
+        const item = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = 'calibration-swatch';
+        swatch.style.background = profile.match.tile;
+        swatch.style.borderColor = profile.match.background;
+        const label = document.createElement('span');
+        label.textContent = `${profile.label} (${profile.match.widths.join(', ')} px wide)`;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-small';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            saveCalibrationProfiles(loadCalibrationProfiles().filter(p => p.id !== profile.id));
+            renderCalibrationList();
+        });
+        item.append(swatch, label, remove);
+        elements.calibrationList.appendChild(item);
+    }
 }
 
-async function showDefinition(word) {
-    elements.modal.hidden = false;
-    elements.modalWord.textContent = word.toLowerCase();
-    elements.modalDefinition.innerHTML = '<div class="loading">Loading definition...</div>';
+// ==================== Puzzle List ====================
+
+function setupPuzzleList() {
+    elements.puzzlesBtn.addEventListener('click', openPuzzleList);
+    elements.puzzlesClose.addEventListener('click', closePuzzleList);
     
+    elements.puzzlesModal.addEventListener('click', (e) => {
+        if (e.target === elements.puzzlesModal) {
+            closePuzzleList();
+        }
+    });
+}
+
+function openPuzzleList() {
+    elements.puzzlesModal.hidden = false;
+    renderPuzzleList();
+}
+
+function closePuzzleList() {
+    elements.puzzlesModal.hidden = true;
+}
+
+/**
+ * List every saved puzzle with its thumbnail, progress and when it was
+ * last opened, most recent first
+ */
+async function renderPuzzleList() {
+    let puzzles = null;
     try {
-        // Use the free Dictionary API
-        const response = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word.toLowerCase()}`);
+        puzzles = await listPuzzles();
+    } catch (error) {
+        console.warn('Failed to list puzzles:', error);
+    }
+    
+    const list = elements.puzzleList;
+    list.innerHTML = '';
+    elements.puzzleListEmpty.hidden = Boolean(puzzles && puzzles.length > 0);
+    elements.puzzleListEmpty.textContent = puzzles
+        ? 'No saved puzzles yet. Upload a screenshot to start one.'
+        : 'Saved puzzles aren\'t available in this browser.';
+    if (!puzzles) return;
+    
+    puzzles.forEach((puzzle) => {
+        const isOpen = Boolean(state.puzzle && state.puzzle.id === puzzle.id);
+        const item = document.createElement('li');
+        item.className = 'puzzle-item';
+        item.classList.toggle('is-open', isOpen);
         
-        if (!response.ok) {
-            throw new Error('Word not found');
+        const thumb = document.createElement('div');
+        thumb.className = 'puzzle-thumb';
+        if (puzzle.thumbnail) {
+            const img = document.createElement('img');
+            const objectUrl = URL.createObjectURL(puzzle.thumbnail);
+            img.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+            img.src = objectUrl;
+            img.alt = '';
+            thumb.appendChild(img);
         }
         
-        const data = await response.json();
-        displayDefinitions(data[0]);
+        const info = document.createElement('div');
+        info.className = 'puzzle-info';
+        const name = document.createElement('span');
+        name.className = 'puzzle-name';
+        name.textContent = puzzle.name;
+        const details = document.createElement('span');
+        details.className = 'puzzle-meta';
+        details.textContent = `${formatPuzzleDate(puzzle.createdAt)} · ${describePuzzleProgress(puzzle.board || {})}`;
+        const opened = document.createElement('span');
+        opened.className = 'puzzle-meta';
+        opened.textContent = isOpen ? 'Open now' : `Opened ${formatTimeAgo(puzzle.openedAt)}`;
+        info.append(name, details, opened);
         
+        const actions = document.createElement('div');
+        actions.className = 'puzzle-actions';
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-small';
+        openBtn.textContent = 'Open';
+        openBtn.disabled = isOpen;
+        openBtn.addEventListener('click', () => openPuzzle(puzzle.id));
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn btn-small';
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => startPuzzleRename(name, puzzle));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-small';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => confirmPuzzleRemoval(actions, puzzle));
+        actions.append(openBtn, renameBtn, deleteBtn);
+        
+        item.append(thumb, info, actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * e.g. "2 of 4 solved · 1 locked · won"
+ */
+function describePuzzleProgress(board) {
+    const rows = (board.shape || DEFAULT_PUZZLE_SHAPE).rows;
+    const solved = (board.solvedGroups || []).length;
+    const locked = (board.lockedGroups || []).length;
+    
+    const parts = [`${solved} of ${rows} solved`];
+    if (locked > 0) {
+        parts.push(`${locked} locked`);
+    }
+    if (board.play) {
+        parts.push(board.play.finished || 'playing');
+    }
+    return parts.join(' · ');
+}
+
+function formatPuzzleDate(time) {
+    return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * e.g. "just now", "5 minutes ago", "yesterday"
+ */
+function formatTimeAgo(time) {
+    const seconds = Math.round((time - Date.now()) / 1000);
+    if (seconds > -60) return 'just now';
+    
+    const units = [['minute', 60], ['hour', 60], ['day', 24], ['week', 7], ['month', 30 / 7], ['year', 12]];
+    let value = seconds / 60;
+    let unit = 'minute';
+    for (let i = 1; i < units.length && Math.abs(value) >= units[i][1]; i++) {
+        value /= units[i][1];
+        unit = units[i][0];
+    }
+    return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' }).format(Math.round(value), unit);
+}
+
+/**
+ * Swap the puzzle's name for an input; Enter or leaving it saves, Escape cancels
+ */
+function startPuzzleRename(nameEl, puzzle) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'puzzle-name-input';
+    input.value = puzzle.name;
+    input.setAttribute('aria-label', 'Puzzle name');
+    
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (save && name && name !== puzzle.name) {
+            renamePuzzle(puzzle.id, name);
+        } else {
+            input.replaceWith(nameEl);
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            finish(true);
+        } else if (e.key === 'Escape') {
+            // Cancel the rename without closing the list
+            e.stopPropagation();
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+async function renamePuzzle(id, name) {
+    if (state.puzzle && state.puzzle.id === id) {
+        state.puzzle.name = name;
+        saveState();
+    }
+    try {
+        await updatePuzzle(id, { name });
     } catch (error) {
-        elements.modalDefinition.innerHTML = `
-            <div class="error">
-                <p>Definition not found for "${word}".</p>
-                <p style="margin-top: 0.5rem; font-size: 0.9rem;">
-                    This might be a proper noun, abbreviation, or specialized term.
-                </p>
-            </div>
-        `;
+        console.warn('Failed to rename puzzle:', error);
     }
+    renderPuzzleList();
 }
 
-function displayDefinitions(entry) {
-    let html = '';
+/**
+ * Swap a puzzle's buttons for a delete confirmation in its row
+ */
+function confirmPuzzleRemoval(actions, puzzle) {
+    const prompt = document.createElement('span');
+    prompt.className = 'puzzle-confirm';
+    prompt.textContent = 'Delete for good?';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => removePuzzle(puzzle));
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn btn-small';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', renderPuzzleList);
     
-    // Phonetic
-    if (entry.phonetic) {
-        html += `<p style="color: var(--text-muted); margin-bottom: 1rem; font-family: var(--font-mono);">${entry.phonetic}</p>`;
+    actions.replaceChildren(prompt, deleteBtn, cancelBtn);
+    cancelBtn.focus();
+}
+
+async function removePuzzle(puzzle) {
+    if (state.puzzle && state.puzzle.id === puzzle.id) {
+        resetUpload();
+    }
+    try {
+        await deletePuzzle(puzzle.id);
+    } catch (error) {
+        console.warn('Failed to delete puzzle:', error);
+    }
+    renderPuzzleList();
+}
+
+/**
+ * Switch to a saved puzzle, leaving the current one (and any upload being
+ * read) behind
+ */
+async function openPuzzle(id) {
+    let puzzle = null;
+    try {
+        puzzle = await getPuzzle(id);
+    } catch (error) {
+        console.warn('Failed to open puzzle:', error);
+    }
+    if (!puzzle || !puzzle.board || isEmptyBoard(puzzle.board)) {
+        showToast('That puzzle couldn\'t be opened.');
+        return;
     }
     
-    // Meanings
-    entry.meanings.forEach(meaning => {
-        html += '<div class="definition-item">';
-        html += `<p class="part-of-speech">${meaning.partOfSpeech}</p>`;
-        
-        // Show up to 3 definitions per part of speech
-        meaning.definitions.slice(0, 3).forEach((def, i) => {
-            html += `<p class="meaning">${i + 1}. ${def.definition}</p>`;
-            if (def.example) {
-                html += `<p style="color: var(--text-muted); font-style: italic; margin-left: 1rem; margin-top: 0.25rem;">"${def.example}"</p>`;
-            }
-        });
-        
-        html += '</div>';
+    closePuzzleList();
+    resetUpload();
+    restoreBoard(puzzle.board);
+    state.puzzle = { id: puzzle.id, name: puzzle.name, createdAt: puzzle.createdAt, openedAt: Date.now() };
+    loadPuzzleImage(puzzle.id);
+    
+    // Saves the puzzle, recording when it was opened
+    showRestoredBoard();
+}
+
+// ==================== Share Links ====================
+// A share link carries the board in its fragment, which never leaves the
+// browser, and opens without OCR:
+//   #share=<base64url of the JSON [version, rows, cols, tiles, scratchpad, solved, locked]>
+// A tile is its word, or [word, colour index] once it has a draft colour;
+// 0 is an empty slot. Solved and locked groups are
+// [colour index, category, words], plus notes for a locked group that has them.
+
+const SHARE_HASH_PREFIX = '#share=';
+const SHARE_FORMAT_VERSION = 1;
+
+function setupShareLinks() {
+    elements.shareBtn.addEventListener('click', openShareModal);
+    elements.shareClose.addEventListener('click', closeShareModal);
+    elements.shareScratchpad.addEventListener('change', updateShareLink);
+    elements.shareCopyBtn.addEventListener('click', copyShareLink);
+    
+    elements.shareModal.addEventListener('click', (e) => {
+        if (e.target === elements.shareModal) {
+            closeShareModal();
+        }
     });
     
-    elements.modalDefinition.innerHTML = html;
+    // A link pasted into the address bar while the app is open
+    window.addEventListener('hashchange', openSharedLink);
+}
+
+function openShareModal() {
+    // Only offer the scratchpad when there's something on it
+    elements.shareScratchpadOption.hidden = !state.scratchpad.some(Boolean);
+    updateShareLink();
+    elements.shareModal.hidden = false;
+}
+
+function closeShareModal() {
+    elements.shareModal.hidden = true;
+}
+
+function updateShareLink() {
+    const includeScratchpad = !elements.shareScratchpadOption.hidden && elements.shareScratchpad.checked;
+    const hash = encodeSharedBoard({ includeScratchpad });
+    elements.shareLink.value = `${location.href.split('#')[0]}${hash}`;
+}
+
+async function copyShareLink() {
+    try {
+        await navigator.clipboard.writeText(elements.shareLink.value);
+        showToast('Link copied');
+    } catch (error) {
+        // No clipboard access (e.g. over plain HTTP): leave it to the user
+        elements.shareLink.select();
+        showToast('Press Ctrl+C (Cmd+C) to copy the link');
+    }
+}
+
+/**
+ * The board on screen as a share link fragment. Without the scratchpad,
+ * its tiles go back into the grid's empty slots.
+ */
+function encodeSharedBoard({ includeScratchpad = true } = {}) {
+    let tiles = state.tiles;
+    let scratchpad = state.scratchpad.some(Boolean) ? state.scratchpad : [];
+    if (!includeScratchpad) {
+        const spare = scratchpad.filter(Boolean);
+        tiles = tiles.map(tile => tile || spare.shift() || null).concat(spare);
+        scratchpad = [];
+    }
+    
+    const encodeTile = (tile) => {
+        if (!tile) return 0;
+        return tile.draftColor ? [tile.word, GROUP_COLORS.indexOf(tile.draftColor)] : tile.word;
+    };
+    const solved = state.solvedGroups.map(group => [GROUP_COLORS.indexOf(group.color), group.category, group.words]);
+    const locked = state.lockedGroups.map((group) => {
+        const entry = [GROUP_COLORS.indexOf(group.color), group.category, group.tiles.map(tile => tile.word)];
+        return group.notes ? [...entry, group.notes] : entry;
+    });
+    
+    const payload = [
+        SHARE_FORMAT_VERSION,
+        state.shape.rows,
+        state.shape.cols,
+        tiles.map(encodeTile),
+        scratchpad.map(encodeTile),
+        solved,
+        locked
+    ];
+    return SHARE_HASH_PREFIX + base64UrlEncode(JSON.stringify(payload));
+}
+
+/**
+ * Read a share link fragment back into a board for restoreBoard.
+ * Throws if the link is damaged or from a newer version of the app.
+ */
+function decodeSharedBoard(hash) {
+    const payload = JSON.parse(base64UrlDecode(hash.slice(SHARE_HASH_PREFIX.length)));
+    if (!Array.isArray(payload) || payload[0] !== SHARE_FORMAT_VERSION) {
+        throw new Error('Unsupported share link');
+    }
+    
+    const [, rows, cols, tiles, scratchpad, solved, locked] = payload;
+    const isSize = value => Number.isInteger(value) && value >= 1 && value <= GROUP_COLORS.length;
+    if (!isSize(rows) || !isSize(cols) || ![tiles, scratchpad, solved, locked].every(Array.isArray)) {
+        throw new Error('Malformed share link');
+    }
+    
+    let nextId = 0;
+    const decodeTile = (entry) => {
+        if (!entry) return null;
+        const [word, color] = Array.isArray(entry) ? entry : [entry, -1];
+        return {
+            id: nextId++,
+            word: String(word),
+            draftColor: GROUP_COLORS[color] || null,
+            confidence: null,
+            cellRect: null,
+            alternatives: []
+        };
+    };
+    const decodeGroup = ([color, category, words]) => ({
+        color: GROUP_COLORS[color] || GROUP_COLORS[0],
+        category: String(category || ''),
+        words: words.map(String)
+    });
+    
+    return {
+        shape: { rows, cols },
+        tiles: tiles.map(decodeTile),
+        scratchpad: scratchpad.length > 0 ? scratchpad.map(decodeTile) : null,
+        solvedGroups: solved.map(decodeGroup),
+        lockedGroups: locked.map((entry) => {
+            const { color, category, words } = decodeGroup(entry);
+            return {
+                color,
+                category,
+                notes: String(entry[3] || ''),
+                tiles: words.map(word => decodeTile([word, GROUP_COLORS.indexOf(color)]))
+            };
+        })
+    };
+}
+
+/**
+ * Open the board in the page's share link, if it has one, as a new puzzle
+ */
+function openSharedLink() {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    
+    let board = null;
+    try {
+        board = decodeSharedBoard(location.hash);
+    } catch (error) {
+        console.warn('Failed to read share link:', error);
+    }
+    
+    // The board is kept as a puzzle from here on, so reloading mustn't add it again
+    history.replaceState(null, '', location.href.split('#')[0]);
+    
+    if (!board || isEmptyBoard(board)) {
+        showToast('That share link couldn\'t be read.');
+        return;
+    }
+    
+    closeShareModal();
+    closePuzzleList();
+    resetUpload();
+    restoreBoard(board);
+    beginPuzzle({ name: 'Shared puzzle' });
+    showRestoredBoard();
+    showToast('Opened a shared puzzle');
+}
+
+/**
+ * Base64url (URL-safe, unpadded) of a string's UTF-8 bytes
+ */
+function base64UrlEncode(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+// ==================== Offline Support ====================
+
+/**
+ * Register the service worker that precaches the app and OCR engine
+ * Skipped on file:// and other contexts where service workers aren't available
+ */
+function setupServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    navigator.serviceWorker.register('sw.js').catch((error) => {
+        console.warn('Service worker registration failed:', error);
+    });
 }
 
 // ==================== Start App ====================
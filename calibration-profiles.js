@@ -0,0 +1,60 @@
+/**
+ * Calibration Profiles
+ * Detection settings for the kinds of screenshot the app sees. Grid detection
+ * matches a screenshot against these (see matchCalibrationProfile in
+ * image-processing.js) and applies the best fit; without a match it uses
+ * the generic brightness-bucketed thresholds.
+ *
+ * The built-in profiles only tell the page theme and a portrait (phone or
+ * tablet) layout from a landscape (desktop) one. They don't tell iOS from
+ * Android or one device from another: that needs thresholds measured on real
+ * screenshots from each, which a saved profile provides.
+ *
+ * Each profile:
+ *   id, label              Identifier and the name shown in the inspector
+ *   match.aspect           [min, max] width / height of the whole screenshot
+ *   match.widths           Optional screenshot widths in pixels (set by saved profiles)
+ *   match.background       Page colour
+ *   match.tile             Unselected tile colour
+ *   colorThreshold         Colour distance from the background that counts as content
+ *   brightnessThreshold    Brightness difference (0-1) that counts as content
+ *   filledCellRatio        Most background a coarse cell may hold and still be grid
+ *   gutterRatio            Least background a row or column needs to be a gutter
+ *   padding                Pixels added around the detected grid before OCR
+ *
+ * Matching a profile always replaces the sampled page colour with
+ * `match.background`; the thresholds and padding are optional, and a
+ * profile leaves out the ones where the generic settings already fit.
+ * Profiles users save from a corrected screenshot are measured in full for
+ * that device's width (see measureCalibrationProfile) and kept in
+ * localStorage by the app.
+ */
+
+const CALIBRATION_PROFILES = [
+    {
+        // The exact page colour, rather than one sampled from the
+        // corners, keeps noisy or recompressed screenshots from blurring
+        // into the grid
+        id: 'app-light',
+        label: 'Portrait, light',
+        match: { aspect: [0.4, 0.78], background: '#ffffff', tile: '#efefe6' }
+    },
+    {
+        id: 'app-dark',
+        label: 'Portrait, dark',
+        match: { aspect: [0.4, 0.78], background: '#121212', tile: '#3a3a3c' }
+    },
+    {
+        // Desktop tiles are small, so a tighter margin keeps neighbouring UI out
+        id: 'web-light',
+        label: 'Landscape, light',
+        match: { aspect: [1.2, 2.4], background: '#ffffff', tile: '#efefe6' },
+        padding: 12
+    },
+    {
+        id: 'web-dark',
+        label: 'Landscape, dark',
+        match: { aspect: [1.2, 2.4], background: '#121212', tile: '#3a3a3c' },
+        padding: 12
+    }
+];
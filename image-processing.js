@@ -3,23 +3,88 @@
  * Handles image preprocessing and grid boundary detection
  */
 
+// Puzzle layout: `rows` groups of `cols` words, one group per row once solved.
+// Detection reads the shape from the screenshot and falls back to this.
+const DEFAULT_PUZZLE_SHAPE = { rows: 4, cols: 4 };
+const STANDARD_GROUP_COLORS = ['yellow', 'green', 'blue', 'purple'];
+
+// Range of rows/columns shape auto-detection will consider
+const MIN_GRID_SIZE = 2;
+const MAX_GRID_SIZE = 6;
+
+// Highest lattice irregularity (see scoreSpanWindow) accepted when auto-detecting
+const AUTO_SHAPE_MAX_IRREGULARITY = 0.15;
+
+// Memory ceiling for detection. Nothing reads the full screenshot: the grid
+// is located on a copy of at most COARSE_DETECTION_PIXELS, then the tiles are
+// measured on a crop around it of at most DETECTION_MAX_PIXELS (full
+// resolution unless the grid itself is larger, in which case tile edges are
+// snapped on thin full-resolution strips). At 4 bytes of RGBA plus a
+// 1-byte mask per pixel, detection holds under ~10 MB of pixel data
+// whatever the input size (the decoded image itself is owned by the browser).
+const COARSE_DETECTION_PIXELS = 400000;
+const DETECTION_MAX_PIXELS = 1500000;
+
+// Coarse analysis cell and background-sample sizes, in full-resolution pixels
+const GRID_CELL_SIZE = 40;
+const BACKGROUND_SAMPLE_SIZE = 80;
+
+// Page backgrounds of the game's themes, used instead of the sampled
+// background when detection is told which theme the screenshot uses
+const THEME_BACKGROUNDS = {
+    light: { r: 255, g: 255, b: 255, brightness: 1 },
+    dark: { r: 18, g: 18, b: 18, brightness: 18 / 255 }
+};
+
+// A row/column counts as gutter when at least this fraction of it is background
+const GUTTER_BACKGROUND_RATIO = 0.5;
+
+// Pixels added around the detected grid when no calibration profile sets it
+const DEFAULT_GRID_PADDING = 20;
+
+// Largest colour distance at which a screenshot's background and tile
+// colours still match a calibration profile's
+const CALIBRATION_MATCH_DISTANCE = 48;
+
+// A tile is in the game's selected style when its fill brightness (0-1)
+// differs from the typical tile's by more than this
+const SELECTED_FILL_CONTRAST = 0.2;
+
+// Mistakes-remaining dots: the game's limit, the dot diameter range as a
+// fraction of tile height, and how far below the grid (in tile heights)
+// they are looked for
+const MAX_MISTAKES = 4;
+const MISTAKE_DOT_SIZE = { min: 0.08, max: 0.35 };
+const MISTAKE_DOTS_REACH = 1.2;
+
+// Fraction of a tile's shorter side trimmed from each edge before OCR
+const TILE_TEXT_INSET = 0.08;
+
+// Sauvola sensitivity: higher values thin strokes and drop faint text
+const SAUVOLA_K = 0.2;
+
+// Otsu between-class separation (0-1) below which a cell is treated as empty
+const BINARIZE_MIN_CONTRAST = 0.15;
+
 /**
  * Extract a single cell from a grid image
+ * Takes a tile rectangle { x, y, width, height } in the blob's coordinates
  * Returns a blob containing the cell image
  */
-async function extractCell(blob, cellIndex, gridWidth, gridHeight) {
+async function extractCell(blob, tileRect) {
     return new Promise((resolve, reject) => {
         const img = new Image();
         
         const processImage = () => {
-            // Calculate cell position (4x4 grid, reading order: top to bottom, left to right)
-            const row = Math.floor(cellIndex / 4);
-            const col = cellIndex % 4;
-            const cellWidth = gridWidth / 4;
-            const cellHeight = gridHeight / 4;
+            const cellX = Math.max(0, Math.round(tileRect.x));
+            const cellY = Math.max(0, Math.round(tileRect.y));
+            const cellWidth = Math.min(Math.round(tileRect.width), img.width - cellX);
+            const cellHeight = Math.min(Math.round(tileRect.height), img.height - cellY);
             
-            const cellX = col * cellWidth;
-            const cellY = row * cellHeight;
+            if (cellWidth <= 0 || cellHeight <= 0) {
+                reject(new Error(`Invalid cell bounds: ${cellWidth}x${cellHeight}`));
+                return;
+            }
             
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
@@ -40,7 +105,7 @@ async function extractCell(blob, cellIndex, gridWidth, gridHeight) {
                 if (cellBlob) {
                     resolve(cellBlob);
                 } else {
-                    reject(new Error(`Failed to extract cell ${cellIndex}`));
+                    reject(new Error(`Failed to extract cell at (${cellX}, ${cellY})`));
                 }
             }, 'image/png');
         };
@@ -145,223 +210,1053 @@ async function cropImage(fileOrBlob, bounds) {
 }
 
 /**
- * Preprocess image to convert dark mode to light mode for better OCR
- * Returns both a blob (for Tesseract) and a data URL (for preview)
+ * Binarise a cropped cell in place for OCR
+ * Whatever the tile colour, the result is black text on a white background:
+ * the tile's own background (read from the cell border) decides whether to
+ * invert, and a Sauvola threshold over a local window separates the strokes
+ * so gradients, glare and coloured tiles don't wash the text out.
+ * `polarity` ('dark' or 'light' text) overrides the border's verdict.
+ * Works on any ImageData-like { data, width, height } (also in the OCR worker).
  */
-async function preprocessImageForOCR(file) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            
-            // Draw original image
-            ctx.drawImage(img, 0, 0);
-            
-            // Get image data
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const pixels = imageData.data;
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // Sample background color to determine if image is dark mode
-            const bgColor = sampleBackgroundColor(pixels, width, height);
-            const isDarkMode = bgColor.brightness < 0.5;
-            
-            console.log('Image preprocessing - Background brightness:', bgColor.brightness, 'Dark mode:', isDarkMode);
-            
-            // If dark mode, invert the entire image
-            // This converts dark backgrounds to light, and light text to dark
-            if (isDarkMode) {
-                for (let i = 0; i < pixels.length; i += 4) {
-                    // Invert all colors
-                    pixels[i] = 255 - pixels[i];     // Red
-                    pixels[i + 1] = 255 - pixels[i + 1]; // Green
-                    pixels[i + 2] = 255 - pixels[i + 2]; // Blue
-                    // Alpha channel stays the same
-                }
-            }
+function binarizeCell(imageData, { polarity = 'auto' } = {}) {
+    const { data: pixels, width, height } = imageData;
+    const count = width * height;
+    const gray = new Uint8Array(count);
+    
+    for (let i = 0, p = 0; i < count; i++, p += 4) {
+        gray[i] = Math.round(pixels[p] * 0.299 + pixels[p + 1] * 0.587 + pixels[p + 2] * 0.114);
+    }
+    
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < count; i++) histogram[gray[i]]++;
+    const { threshold, separation } = otsuThreshold(histogram, count);
+    let split = threshold + 0.5;
+    
+    // Empty or flat cells: nothing to read, leave them blank
+    if (separation < BINARIZE_MIN_CONTRAST) {
+        fillGray(pixels, () => 255, count);
+        return imageData;
+    }
+    
+    // Light text on a dark tile (selected or dark mode): flip so text is dark
+    const lightText = polarity === 'auto' ? borderMean(gray, width, height) < split : polarity === 'light';
+    if (lightText) {
+        for (let i = 0; i < count; i++) gray[i] = 255 - gray[i];
+        split = 255 - split;
+    }
+    
+    // Integral images of values and squares for O(1) window statistics
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const sumSq = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        let rowSumSq = 0;
+        for (let x = 0; x < width; x++) {
+            const v = gray[y * width + x];
+            rowSum += v;
+            rowSumSq += v * v;
+            sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+            sumSq[(y + 1) * stride + x + 1] = sumSq[y * stride + x + 1] + rowSumSq;
+        }
+    }
+    
+    // Window of roughly a stroke-and-a-half around each pixel, scaled to the text height
+    const radius = Math.max(4, Math.round(height / 8));
+    const binary = new Uint8Array(count);
+    
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width, x + radius + 1);
+            const area = (x1 - x0) * (y1 - y0);
+            const s = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+            const sq = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] - sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+            const mean = s / area;
+            const deviation = Math.sqrt(Math.max(0, sq / area - mean * mean));
+            const local = mean * (1 + SAUVOLA_K * (deviation / 128 - 1));
             
-            // Convert to grayscale (black and white) for better OCR
-            for (let i = 0; i < pixels.length; i += 4) {
-                // Calculate grayscale value using luminance formula
-                const gray = Math.round(
-                    pixels[i] * 0.299 + 
-                    pixels[i + 1] * 0.587 + 
-                    pixels[i + 2] * 0.114
-                );
-                // Set all RGB channels to the same grayscale value
-                pixels[i] = gray;     // Red
-                pixels[i + 1] = gray; // Green
-                pixels[i + 2] = gray; // Blue
-                // Alpha channel stays the same
+            // Sauvola alone turns noise in flat areas into specks; require the
+            // pixel to also be on the dark side of the cell-wide split
+            const v = gray[y * width + x];
+            binary[y * width + x] = v <= local && v < split ? 0 : 255;
+        }
+    }
+    
+    fillGray(pixels, i => binary[i], count);
+    return imageData;
+}
+
+/**
+ * Otsu's threshold for a grayscale histogram
+ * Returns { threshold, separation } where separation is the normalised
+ * distance between the two class means (0 = flat, 1 = pure black and white)
+ */
+function otsuThreshold(histogram, count) {
+    let total = 0;
+    for (let v = 0; v < 256; v++) total += v * histogram[v];
+    
+    let backgroundSum = 0;
+    let backgroundCount = 0;
+    let bestVariance = -1;
+    let threshold = 127;
+    let separation = 0;
+    
+    for (let v = 0; v < 256; v++) {
+        backgroundCount += histogram[v];
+        if (backgroundCount === 0) continue;
+        const foregroundCount = count - backgroundCount;
+        if (foregroundCount === 0) break;
+        
+        backgroundSum += v * histogram[v];
+        const lowMean = backgroundSum / backgroundCount;
+        const highMean = (total - backgroundSum) / foregroundCount;
+        const variance = backgroundCount * foregroundCount * (lowMean - highMean) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = v;
+            separation = (highMean - lowMean) / 255;
+        }
+    }
+    
+    return { threshold, separation };
+}
+
+/**
+ * Mean gray level of the outermost pixels, i.e. the tile background
+ */
+function borderMean(gray, width, height) {
+    let total = 0;
+    let count = 0;
+    for (let x = 0; x < width; x++) {
+        total += gray[x] + gray[(height - 1) * width + x];
+        count += 2;
+    }
+    for (let y = 1; y < height - 1; y++) {
+        total += gray[y * width] + gray[y * width + width - 1];
+        count += 2;
+    }
+    return total / count;
+}
+
+function fillGray(pixels, valueAt, count) {
+    for (let i = 0, p = 0; i < count; i++, p += 4) {
+        const v = valueAt(i);
+        pixels[p] = v;
+        pixels[p + 1] = v;
+        pixels[p + 2] = v;
+        pixels[p + 3] = 255;
+    }
+}
+
+/**
+ * Detect the grid region by analyzing tile background colors.
+ * Works by finding areas that differ from the page background, then
+ * locating the gutters between tiles inside that area.
+ * Returns bounding box { x, y, width, height } of the grid area, plus
+ * `tiles` (one rectangle per unsolved tile in reading order, image
+ * coordinates), `solvedBars` (already-solved group bars with their colour)
+ * a `confidence` between 0 and 1 for the detected lattice, the puzzle
+ * `shape` { rows, cols }, `selectedTiles` (indices into `tiles` drawn as
+ * selected in the game) and `mistakesRemaining` (the dots under the grid,
+ * null when they aren't shown). Pass a shape to force one; by default it is
+ * read from the screenshot. `theme` ('light' or 'dark') replaces the
+ * background sampled from the corners with that theme's page colour.
+ * `profiles` are the calibration profiles to identify the screenshot's
+ * source from (see calibration-profiles.js); the one applied is returned
+ * as `calibration` ({ id, label, padding }, null for generic settings).
+ * When nothing but background is found, `diagnostics.region` is null and
+ * the bounds are the whole image divided into equal tiles.
+ * Accepts either a File or a Blob.
+ */
+async function detectGridBounds(fileOrBlob, shape = null, { theme = null, profiles = CALIBRATION_PROFILES } = {}) {
+    const img = await loadImageElement(fileOrBlob);
+    const imageWidth = img.width;
+    const imageHeight = img.height;
+    const start = performance.now();
+    
+    // Coarse pass: where is the grid?
+    const { bgColor, region, coarse, profile } = locateGridRegion(img, { theme, profiles });
+    console.log('Detected background color:', bgColor);
+    const calibration = profile ? {
+        id: profile.id,
+        label: profile.label,
+        padding: typeof profile.padding === 'number' ? profile.padding : DEFAULT_GRID_PADDING
+    } : null;
+    const diagnostics = { background: bgColor, coarse, region, fineScale: null };
+    
+    if (!region) {
+        // Fallback: return full image bounds divided into equal tiles
+        const fullBounds = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+        const fallbackShape = shape || DEFAULT_PUZZLE_SHAPE;
+        return {
+            ...fullBounds,
+            imageWidth,
+            imageHeight,
+            tiles: buildEqualTiles(fullBounds, fallbackShape),
+            solvedBars: [],
+            confidence: 0,
+            shape: fallbackShape,
+            selectedTiles: [],
+            mistakesRemaining: null,
+            calibration,
+            diagnostics
+        };
+    }
+    
+    // Fine pass: find the gutters between tiles on a (usually full-resolution) crop
+    const fine = readImageLevel(img, DETECTION_MAX_PIXELS, region);
+    const lattice = detectTileLattice(fine.pixels, fine.width, bgColor, {
+        x: 0,
+        y: 0,
+        width: fine.width,
+        height: fine.height
+    }, shape);
+    const selectedTiles = detectSelectedTiles(fine.pixels, fine.width, lattice.tiles, bgColor, lattice.shape.cols);
+    
+    // Back to image coordinates
+    const toImage = rect => ({
+        ...rect,
+        x: Math.round(region.x + rect.x / fine.scale),
+        y: Math.round(region.y + rect.y / fine.scale),
+        width: Math.round(rect.width / fine.scale),
+        height: Math.round(rect.height / fine.scale)
+    });
+    let tiles = lattice.tiles.map(toImage);
+    let solvedBars = lattice.solvedBars.map(toImage);
+    let bounds = toImage(lattice.bounds);
+    
+    // A grid too large to measure at full resolution gets its edges snapped there
+    if (fine.scale < 1) {
+        tiles = tiles.map(tile => refineEdges(img, tile, bgColor, fine.scale));
+        solvedBars = solvedBars.map(bar => refineEdges(img, bar, bgColor, fine.scale));
+        bounds = unionBounds([...solvedBars, ...tiles]);
+    }
+    
+    const rowHeight = median([...solvedBars, ...tiles].map(rect => rect.height));
+    const mistakesRemaining = detectMistakesRemaining(img, bounds, rowHeight, bgColor);
+    
+    diagnostics.fineScale = fine.scale;
+    console.log(`Detected ${lattice.shape.rows}x${lattice.shape.cols} tile lattice (confidence ${lattice.confidence.toFixed(2)}, ${Math.round(performance.now() - start)} ms, fine scale ${fine.scale.toFixed(2)}):`, tiles);
+    if (solvedBars.length > 0) {
+        console.log('Detected solved group bars:', solvedBars);
+    }
+    console.log('Selected tiles:', selectedTiles, 'mistakes remaining:', mistakesRemaining);
+    
+    return {
+        x: bounds.x,
+        y: bounds.y,
+        width: bounds.width,
+        height: bounds.height,
+        imageWidth,
+        imageHeight,
+        tiles,
+        solvedBars,
+        confidence: lattice.confidence,
+        shape: lattice.shape,
+        selectedTiles,
+        mistakesRemaining,
+        calibration,
+        diagnostics
+    };
+}
+
+/**
+ * Indices of the tiles drawn in the game's selected style. Tile fills are
+ * split at the widest gap in brightness; when that gap is clear, the side
+ * further from the page background is the selection (plain tiles sit close
+ * to it in every theme). More than `maxSelected` (the game allows one
+ * group's worth) means uneven lighting rather than a selection, and none
+ * are returned.
+ */
+function detectSelectedTiles(pixels, imageWidth, tiles, bgColor, maxSelected) {
+    if (tiles.length < 2) return [];
+    
+    const fills = tiles.map(tile => tileFillBrightness(pixels, imageWidth, tile));
+    const sorted = [...fills].sort((a, b) => a - b);
+    let split = 0;
+    let widestGap = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i] - sorted[i - 1];
+        if (gap > widestGap) {
+            widestGap = gap;
+            split = i;
+        }
+    }
+    if (widestGap <= SELECTED_FILL_CONTRAST) return [];
+    
+    const threshold = (sorted[split] + sorted[split - 1]) / 2;
+    const darkMean = sorted.slice(0, split).reduce((a, b) => a + b, 0) / split;
+    const lightMean = sorted.slice(split).reduce((a, b) => a + b, 0) / (sorted.length - split);
+    const selectLight = Math.abs(lightMean - bgColor.brightness) > Math.abs(darkMean - bgColor.brightness);
+    
+    const selected = [];
+    fills.forEach((fill, index) => {
+        if ((fill > threshold) === selectLight) selected.push(index);
+    });
+    return selected.length <= maxSelected ? selected : [];
+}
+
+/**
+ * Most common brightness (0-1) inside a tile: its fill, since text covers
+ * far fewer pixels. Edges are skipped to stay clear of anti-aliasing.
+ */
+function tileFillBrightness(pixels, imageWidth, tile) {
+    const histogram = new Uint32Array(32);
+    const insetX = Math.round(tile.width * 0.1);
+    const insetY = Math.round(tile.height * 0.1);
+    
+    for (let y = tile.y + insetY; y < tile.y + tile.height - insetY; y += 2) {
+        for (let x = tile.x + insetX; x < tile.x + tile.width - insetX; x += 2) {
+            const i = (y * imageWidth + x) * 4;
+            const brightness = pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114;
+            histogram[Math.min(31, Math.floor(brightness / 8))]++;
+        }
+    }
+    
+    let mode = 0;
+    for (let bin = 1; bin < histogram.length; bin++) {
+        if (histogram[bin] > histogram[mode]) mode = bin;
+    }
+    return (mode + 0.5) * 8 / 255;
+}
+
+/**
+ * Count the mistakes-remaining dots in the band just below the grid: the
+ * largest row of same-sized solid round blobs there. `bounds` are the
+ * grid's in image coordinates and `rowHeight` its tile height.
+ * Returns null when there is no such row (a screenshot cropped at the grid,
+ * or a finished game with no dots left).
+ */
+function detectMistakesRemaining(img, bounds, rowHeight, bgColor) {
+    const top = bounds.y + bounds.height;
+    const height = Math.min(img.height - top, Math.round(rowHeight * MISTAKE_DOTS_REACH));
+    if (!rowHeight || height < rowHeight * MISTAKE_DOT_SIZE.max) return null;
+    
+    const strip = { x: bounds.x, y: top, width: bounds.width, height };
+    const level = readImageLevel(img, COARSE_DETECTION_PIXELS, strip);
+    const { width, height: levelHeight } = level;
+    const raw = new Uint8Array(width * levelHeight);
+    for (let i = 0; i < raw.length; i++) {
+        const p = i * 4;
+        raw[i] = isDifferentFromBackground(level.pixels[p], level.pixels[p + 1], level.pixels[p + 2], bgColor) ? 1 : 0;
+    }
+    
+    // Erode once so noise specks and compression halos don't cling to the dots
+    const mask = new Uint8Array(raw.length);
+    for (let y = 1; y < levelHeight - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            mask[i] = raw[i] & raw[i - 1] & raw[i + 1] & raw[i - width] & raw[i + width];
+        }
+    }
+    
+    // Dots are solid and round (a filled circle covers pi/4 of its box);
+    // letters are too small, thin or hollow, and buttons are outlines
+    const minSize = rowHeight * MISTAKE_DOT_SIZE.min * level.scale;
+    const maxSize = rowHeight * MISTAKE_DOT_SIZE.max * level.scale;
+    const isSolidCore = (blob) => {
+        let set = 0;
+        let count = 0;
+        for (let y = blob.y + Math.floor(blob.height / 4); y < blob.y + Math.ceil(blob.height * 3 / 4); y++) {
+            for (let x = blob.x + Math.floor(blob.width / 4); x < blob.x + Math.ceil(blob.width * 3 / 4); x++) {
+                set += mask[y * width + x];
+                count++;
             }
+        }
+        return set >= count * 0.95;
+    };
+    const dots = findBlobs(mask, width, levelHeight).filter(blob => {
+        const aspect = blob.width / blob.height;
+        const fill = blob.area / (blob.width * blob.height);
+        return blob.width >= minSize && blob.width <= maxSize &&
+            aspect > 0.75 && aspect < 1.33 && fill > 0.6 && fill < 0.9 && isSolidCore(blob);
+    });
+    
+    // The dots share a line and a size
+    let row = [];
+    for (const dot of dots) {
+        const sameRow = dots.filter(other =>
+            Math.abs(other.centerY - dot.centerY) < dot.height / 2 &&
+            Math.abs(other.width - dot.width) < dot.width * 0.25
+        );
+        if (sameRow.length > row.length) row = sameRow;
+    }
+    
+    return row.length > 0 && row.length <= MAX_MISTAKES ? row.length : null;
+}
+
+/**
+ * Connected regions (4-connected) of set pixels in a mask, as
+ * { x, y, width, height, area, centerY } in mask pixels
+ */
+function findBlobs(mask, width, height) {
+    const seen = new Uint8Array(mask.length);
+    const stack = [];
+    const blobs = [];
+    
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        let area = 0;
+        seen[start] = 1;
+        stack.push(start);
+        
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            area++;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
             
-            // Put processed image data back
-            ctx.putImageData(imageData, 0, 0);
-            
-            // Get data URL for preview
-            const dataUrl = canvas.toDataURL('image/png');
-            
-            // Convert canvas to blob for Tesseract
-            canvas.toBlob((blob) => {
-                if (blob) {
-                    resolve({ blob, dataUrl });
-                } else {
-                    reject(new Error('Failed to convert canvas to blob'));
+            const neighbours = [
+                x > 0 ? i - 1 : -1,
+                x < width - 1 ? i + 1 : -1,
+                y > 0 ? i - width : -1,
+                y < height - 1 ? i + width : -1
+            ];
+            for (const n of neighbours) {
+                if (n >= 0 && mask[n] && !seen[n]) {
+                    seen[n] = 1;
+                    stack.push(n);
                 }
-            }, 'image/png');
-        };
+            }
+        }
         
-        img.onerror = () => reject(new Error('Failed to load image for preprocessing'));
+        blobs.push({
+            x: minX,
+            y: minY,
+            width: maxX - minX + 1,
+            height: maxY - minY + 1,
+            area,
+            centerY: (minY + maxY + 1) / 2
+        });
+    }
+    
+    return blobs;
+}
+
+/**
+ * Find the grid on a small copy of the image.
+ * Returns { bgColor, region, coarse, profile } where `region` is the grid's
+ * bounding box in image coordinates, grown by a margin so the fine pass sees
+ * the outer edges of the grid, or null if nothing but background was found.
+ * `coarse` ({ width, height, scale, cellSize, filledCells, cells }) describes
+ * the small copy and the cells found on it, for the debug inspector.
+ * A `theme` key of THEME_BACKGROUNDS skips background sampling. The grid is
+ * first found with generic settings; when that identifies one of `profiles`
+ * as the source, it is found again with the profile's calibration, which
+ * `bgColor` then carries (see calibrateBackground).
+ */
+function locateGridRegion(img, { theme = null, profiles = [] } = {}) {
+    const coarse = readImageLevel(img, COARSE_DETECTION_PIXELS);
+    let bgColor = THEME_BACKGROUNDS[theme]
+        ? { ...THEME_BACKGROUNDS[theme] }
+        : sampleBackgroundColor(coarse.pixels, coarse.width, coarse.height,
+            Math.max(8, Math.round(BACKGROUND_SAMPLE_SIZE * coarse.scale)));
+    const cellSize = Math.max(6, Math.round(GRID_CELL_SIZE * coarse.scale));
+    
+    let found = findGridCells(coarse.pixels, coarse.width, coarse.height, bgColor, cellSize);
+    const profile = matchCalibrationProfile(profiles, {
+        aspect: img.width / img.height,
+        width: img.width,
+        background: bgColor,
+        tile: medianCellColor(coarse, found.cells, cellSize)
+    });
+    if (profile) {
+        console.log('Screenshot source:', profile.label);
+        bgColor = calibrateBackground(profile);
+        found = findGridCells(coarse.pixels, coarse.width, coarse.height, bgColor, cellSize);
+    }
+    
+    const { cells, filledCells } = found;
+    const summary = { width: coarse.width, height: coarse.height, scale: coarse.scale, cellSize, filledCells, cells };
+    if (cells.length === 0) {
+        return { bgColor, region: null, coarse: summary, profile };
+    }
+    
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    for (const cell of cells) {
+        minX = Math.min(minX, cell.x);
+        minY = Math.min(minY, cell.y);
+        maxX = Math.max(maxX, cell.x);
+        maxY = Math.max(maxY, cell.y);
+    }
+    
+    // Cells only count when they're mostly tile, so partly covered cells at
+    // the edges are missed; one cell of margin brings them back
+    const x0 = Math.max(0, (minX - 1) * cellSize / coarse.scale);
+    const y0 = Math.max(0, (minY - 1) * cellSize / coarse.scale);
+    const x1 = Math.min(img.width, (maxX + 2) * cellSize / coarse.scale);
+    const y1 = Math.min(img.height, (maxY + 2) * cellSize / coarse.scale);
+    
+    return {
+        bgColor,
+        region: {
+            x: Math.floor(x0),
+            y: Math.floor(y0),
+            width: Math.ceil(x1 - x0),
+            height: Math.ceil(y1 - y0)
+        },
+        coarse: summary,
+        profile
+    };
+}
+
+/**
+ * Pick the calibration profile that best fits what a screenshot looks like:
+ * its `aspect` must be in the profile's range and its `background` and
+ * `tile` colours ({ r, g, b }; `tile` may be null) both close to the
+ * profile's; among those, pixel `width` and colour decide. Earlier profiles
+ * win ties. Returns null if none fit.
+ */
+function matchCalibrationProfile(profiles, { aspect, width, background, tile }) {
+    let best = null;
+    let bestScore = -Infinity;
+    
+    for (const profile of profiles) {
+        const { match } = profile;
+        const backgroundDistance = colorDistance(background, hexToRgb(match.background));
+        const tileDistance = tile ? colorDistance(tile, hexToRgb(match.tile)) : 0;
+        if (backgroundDistance > CALIBRATION_MATCH_DISTANCE || tileDistance > CALIBRATION_MATCH_DISTANCE) continue;
+        if (aspect < match.aspect[0] || aspect > match.aspect[1]) continue;
         
-        // Load image from file
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            img.src = e.target.result;
+        const score = (match.widths && match.widths.includes(width) ? 1 : 0) -
+            (backgroundDistance + tileDistance) / (2 * CALIBRATION_MATCH_DISTANCE);
+        if (score > bestScore) {
+            best = profile;
+            bestScore = score;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * The background model for a calibration profile: its exact page colour,
+ * plus the thresholds isDifferentFromBackground, findGridCells and
+ * detectTileLattice use in place of their brightness-bucketed defaults
+ */
+function calibrateBackground(profile) {
+    const { r, g, b } = hexToRgb(profile.match.background);
+    return {
+        r,
+        g,
+        b,
+        brightness: (r * 0.299 + g * 0.587 + b * 0.114) / 255,
+        colorThreshold: profile.colorThreshold,
+        brightnessThreshold: profile.brightnessThreshold,
+        filledCellRatio: profile.filledCellRatio,
+        gutterRatio: profile.gutterRatio
+    };
+}
+
+/**
+ * Median colour of the coarse cells found on a level, i.e. the tile colour
+ * (text covers too little of a tile to move it). Null without cells.
+ */
+function medianCellColor(level, cells, cellSize) {
+    if (cells.length === 0) return null;
+    
+    const reds = [], greens = [], blues = [];
+    for (const cell of cells) {
+        const i = (Math.min(level.height - 1, Math.floor((cell.y + 0.5) * cellSize)) * level.width +
+            Math.min(level.width - 1, Math.floor((cell.x + 0.5) * cellSize))) * 4;
+        reds.push(level.pixels[i]);
+        greens.push(level.pixels[i + 1]);
+        blues.push(level.pixels[i + 2]);
+    }
+    return { r: median(reds), g: median(greens), b: median(blues) };
+}
+
+/**
+ * Measure a calibration profile from a screenshot whose grid is known to be
+ * right (`detectedBounds` as detected or adjusted, before padding): its page
+ * and tile colours, size, gutter, and thresholds halfway between page and
+ * tiles so anti-aliased edges split evenly. `id` and `label` name it.
+ */
+async function measureCalibrationProfile(fileOrBlob, detectedBounds, { id, label }) {
+    const img = await loadImageElement(fileOrBlob);
+    const level = readImageLevel(img, COARSE_DETECTION_PIXELS);
+    const background = sampleBackgroundColor(level.pixels, level.width, level.height,
+        Math.max(8, Math.round(BACKGROUND_SAMPLE_SIZE * level.scale)));
+    
+    // Tile colour from the middle of each tile's inset interior
+    const reds = [], greens = [], blues = [];
+    for (const tile of detectedBounds.tiles) {
+        for (const [fx, fy] of [[0.15, 0.15], [0.85, 0.15], [0.15, 0.85], [0.85, 0.85]]) {
+            const x = Math.min(level.width - 1, Math.round((tile.x + tile.width * fx) * level.scale));
+            const y = Math.min(level.height - 1, Math.round((tile.y + tile.height * fy) * level.scale));
+            const i = (y * level.width + x) * 4;
+            reds.push(level.pixels[i]);
+            greens.push(level.pixels[i + 1]);
+            blues.push(level.pixels[i + 2]);
+        }
+    }
+    const tile = { r: median(reds), g: median(greens), b: median(blues) };
+    const tileBrightness = (tile.r * 0.299 + tile.g * 0.587 + tile.b * 0.114) / 255;
+    
+    const aspect = img.width / img.height;
+    const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    const { gutter } = gridGeometryFromBounds(detectedBounds);
+    
+    return {
+        id,
+        label,
+        match: {
+            aspect: [round(aspect * 0.97, 3), round(aspect * 1.03, 3)],
+            widths: [img.width],
+            background: rgbToHex(background),
+            tile: rgbToHex(tile)
+        },
+        colorThreshold: Math.round(clamp(colorDistance(background, tile) / 2, 8, 40)),
+        brightnessThreshold: round(clamp(Math.abs(tileBrightness - background.brightness) / 2, 0.03, 0.15), 3),
+        filledCellRatio: background.brightness > 0.7 ? 0.15 : 0.05,
+        gutterRatio: GUTTER_BACKGROUND_RATIO,
+        padding: Math.round(clamp(gutter * 0.6, 8, 40))
+    };
+}
+
+function colorDistance(a, b) {
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+function rgbToHex({ r, g, b }) {
+    return '#' + [r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Snap the edges of a rect measured at `scale` to the full-resolution image.
+ * Reads only a thin strip through the middle of the rect in each direction
+ * (clear of rounded corners) and moves each edge to the nearest
+ * tile/background transition within a couple of level pixels of it.
+ */
+function refineEdges(img, rect, bgColor, scale) {
+    const reach = Math.ceil(2 / scale) + 1;
+    const band = 8;
+    
+    const edgesAlong = (horizontal) => {
+        const start = horizontal ? rect.x : rect.y;
+        const length = horizontal ? rect.width : rect.height;
+        const limit = horizontal ? img.width : img.height;
+        const from = Math.max(0, start - reach);
+        const to = Math.min(limit, start + length + reach);
+        const across = (horizontal ? rect.y + rect.height / 2 : rect.x + rect.width / 2) - band / 2;
+        const strip = horizontal
+            ? { x: from, y: Math.round(across), width: to - from, height: band }
+            : { x: Math.round(across), y: from, width: band, height: to - from };
+        const { pixels } = readImageLevel(img, Infinity, strip);
+        
+        // A position is tile if most of the band there differs from the background
+        const isTile = (position) => {
+            let count = 0;
+            for (let k = 0; k < band; k++) {
+                const i = (horizontal ? k * strip.width + position : position * band + k) * 4;
+                if (isDifferentFromBackground(pixels[i], pixels[i + 1], pixels[i + 2], bgColor)) count++;
+            }
+            return count > band / 2;
         };
-        reader.onerror = () => reject(new Error('Failed to read file'));
-        reader.readAsDataURL(file);
+        
+        const size = to - from;
+        let first = start;
+        for (let p = 0; p < Math.min(size, reach * 2); p++) {
+            if (isTile(p)) { first = from + p; break; }
+        }
+        let last = start + length;
+        for (let p = size - 1; p >= Math.max(0, size - reach * 2); p--) {
+            if (isTile(p)) { last = from + p + 1; break; }
+        }
+        return last > first ? [first, last - first] : [start, length];
+    };
+    
+    const [x, width] = edgesAlong(true);
+    const [y, height] = edgesAlong(false);
+    return { ...rect, x, y, width, height };
+}
+
+/**
+ * Read the pixels of an image, or of `region` of it, scaled down so the
+ * result has at most `maxPixels` pixels (never scaled up).
+ * Returns { pixels, width, height, scale } where `scale` is level pixels
+ * per image pixel.
+ */
+function readImageLevel(img, maxPixels, region = null) {
+    const source = region || { x: 0, y: 0, width: img.width, height: img.height };
+    const scale = Math.min(1, Math.sqrt(maxPixels / (source.width * source.height)));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, source.x, source.y, source.width, source.height, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    
+    // Release the canvas backing store now rather than at garbage collection
+    canvas.width = 0;
+    canvas.height = 0;
+    
+    return { pixels, width, height, scale: width / source.width };
+}
+
+/**
+ * Grow detected bounds by `padding` pixels (clamped to the image) to cover
+ * edges detection missed; by default the calibration profile's padding.
+ * Tiles, solved bars, confidence and shape are kept as-is.
+ */
+function padGridBounds(detectedBounds, padding = detectedBounds.calibration ? detectedBounds.calibration.padding : DEFAULT_GRID_PADDING) {
+    const imageWidth = detectedBounds.imageWidth || detectedBounds.width + detectedBounds.x;
+    const imageHeight = detectedBounds.imageHeight || detectedBounds.height + detectedBounds.y;
+    
+    const x = Math.max(0, detectedBounds.x - padding);
+    const y = Math.max(0, detectedBounds.y - padding);
+    
+    return {
+        x,
+        y,
+        width: Math.min(detectedBounds.width + (padding * 2), imageWidth - x),
+        height: Math.min(detectedBounds.height + (padding * 2), imageHeight - y),
+        imageWidth,
+        imageHeight,
+        tiles: detectedBounds.tiles,
+        solvedBars: detectedBounds.solvedBars,
+        confidence: detectedBounds.confidence,
+        shape: detectedBounds.shape,
+        selectedTiles: detectedBounds.selectedTiles,
+        mistakesRemaining: detectedBounds.mistakesRemaining,
+        calibration: detectedBounds.calibration,
+        diagnostics: detectedBounds.diagnostics
+    };
+}
+
+/**
+ * Straighten a photographed grid before detection.
+ * Finds the grid's quadrilateral and, if it is rotated or keystoned,
+ * warps it (plus a margin of surrounding background) to a rectangle.
+ * The warp samples the same bounded crop as detection, so a corrected
+ * image of a very large grid comes out at most DETECTION_MAX_PIXELS.
+ * Returns { blob, corrected, quad, width, height } where `blob` is the
+ * corrected image, or the original input when no correction was needed.
+ * `quad` is in the original image's coordinates. `theme` and `profiles`
+ * are as for detectGridBounds.
+ */
+async function correctPerspective(fileOrBlob, { theme = null, profiles = CALIBRATION_PROFILES } = {}) {
+    const img = await loadImageElement(fileOrBlob);
+    const { bgColor, region } = locateGridRegion(img, { theme, profiles });
+    const unchanged = { blob: fileOrBlob, corrected: false, quad: null, width: img.width, height: img.height };
+    if (!region) return unchanged;
+    
+    // Corners are found on a crop around the grid (full resolution when it fits)
+    const fine = readImageLevel(img, DETECTION_MAX_PIXELS, region);
+    const levelQuad = detectGridQuad(fine.pixels, fine.width, fine.height, bgColor,
+        Math.max(6, Math.round(GRID_CELL_SIZE * fine.scale)));
+    if (!levelQuad) return unchanged;
+    
+    const toImage = point => ({
+        x: Math.round(region.x + point.x / fine.scale),
+        y: Math.round(region.y + point.y / fine.scale)
+    });
+    const quad = {
+        topLeft: toImage(levelQuad.topLeft),
+        topRight: toImage(levelQuad.topRight),
+        bottomRight: toImage(levelQuad.bottomRight),
+        bottomLeft: toImage(levelQuad.bottomLeft)
+    };
+    unchanged.quad = quad;
+    
+    if (!needsPerspectiveCorrection(quad)) {
+        return unchanged;
+    }
+    
+    console.log('Correcting grid perspective, corners:', quad);
+    const warped = warpPerspective(fine.pixels, fine.width, fine.height, levelQuad, bgColor);
+    
+    const outCanvas = document.createElement('canvas');
+    outCanvas.width = warped.width;
+    outCanvas.height = warped.height;
+    outCanvas.getContext('2d').putImageData(warped, 0, 0);
+    
+    return new Promise((resolve, reject) => {
+        outCanvas.toBlob((blob) => {
+            if (blob) {
+                resolve({ blob, corrected: true, quad, width: warped.width, height: warped.height });
+            } else {
+                reject(new Error('Failed to convert corrected image to blob'));
+            }
+        }, 'image/png');
     });
 }
 
 /**
- * Detect the grid region by analyzing tile background colors.
- * Works by finding areas that differ from the page background.
- * Returns bounding box { x, y, width, height } of the grid area.
- * Accepts either a File or a Blob.
+ * Find the four corners of the grid as { topLeft, topRight, bottomRight, bottomLeft }.
+ * Corners are the extreme tile pixels along the diagonals (x + y and x - y),
+ * which holds for rotations up to about 45 degrees. Returns null if no grid is found.
  */
-async function detectGridBounds(fileOrBlob) {
-    return new Promise((resolve) => {
-        const img = new Image();
+function detectGridQuad(pixels, width, height, bgColor, cellSize = GRID_CELL_SIZE) {
+    const { cells } = findGridCells(pixels, width, height, bgColor, cellSize);
+    if (cells.length < 4) return null;
+    
+    let topLeft = null, topRight = null, bottomRight = null, bottomLeft = null;
+    let minSum = Infinity, maxSum = -Infinity, minDiff = Infinity, maxDiff = -Infinity;
+    
+    for (const cell of cells) {
+        const x0 = cell.x * cellSize;
+        const y0 = cell.y * cellSize;
+        const x1 = Math.min(x0 + cellSize, width);
+        const y1 = Math.min(y0 + cellSize, height);
         
-        const processImage = () => {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            canvas.width = img.width;
-            canvas.height = img.height;
-            ctx.drawImage(img, 0, 0);
-            
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const pixels = imageData.data;
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // Sample background color from corners
-            const bgColor = sampleBackgroundColor(pixels, width, height);
-            console.log('Detected background color:', bgColor);
-            
-            // Create a grid to track which areas have background color
-            // Use larger cells to filter out small elements like circles/dots
-            const cellSize = 40; // 20x20 pixel cells - larger than UI dots but smaller than tiles
-            const gridW = Math.ceil(width / cellSize);
-            const gridH = Math.ceil(height / cellSize);
-            const bgCount = new Array(gridW * gridH).fill(0); // Count of background pixels per cell
-            
-            // Count BACKGROUND pixels in each cell
-            for (let y = 0; y < height; y++) {
-                for (let x = 0; x < width; x++) {
-                    const i = (y * width + x) * 4;
-                    const r = pixels[i];
-                    const g = pixels[i + 1];
-                    const b = pixels[i + 2];
-                    
-                    // Count pixels that ARE the background color
-                    if (!isDifferentFromBackground(r, g, b, bgColor)) {
-                        const cellX = Math.floor(x / cellSize);
-                        const cellY = Math.floor(y / cellSize);
-                        bgCount[cellY * gridW + cellX]++;
-                    }
-                }
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = (y * width + x) * 4;
+                if (!isDifferentFromBackground(pixels[i], pixels[i + 1], pixels[i + 2], bgColor)) continue;
+                
+                const sum = x + y;
+                const diff = x - y;
+                if (sum < minSum) { minSum = sum; topLeft = { x, y }; }
+                if (sum > maxSum) { maxSum = sum; bottomRight = { x, y }; }
+                if (diff > maxDiff) { maxDiff = diff; topRight = { x, y }; }
+                if (diff < minDiff) { minDiff = diff; bottomLeft = { x, y }; }
             }
+        }
+    }
+    
+    if (!topLeft) return null;
+    return { topLeft, topRight, bottomRight, bottomLeft };
+}
+
+/**
+ * An axis-aligned grid has its corners on its bounding box; anything off
+ * by more than 1.5% of the diagonal is worth straightening
+ */
+function needsPerspectiveCorrection(quad) {
+    const corners = [quad.topLeft, quad.topRight, quad.bottomRight, quad.bottomLeft];
+    const minX = Math.min(...corners.map(c => c.x));
+    const maxX = Math.max(...corners.map(c => c.x));
+    const minY = Math.min(...corners.map(c => c.y));
+    const maxY = Math.max(...corners.map(c => c.y));
+    const diagonal = Math.hypot(maxX - minX, maxY - minY);
+    
+    const boxCorners = [
+        { x: minX, y: minY },
+        { x: maxX, y: minY },
+        { x: maxX, y: maxY },
+        { x: minX, y: maxY }
+    ];
+    
+    const maxOffset = Math.max(...corners.map((c, i) => Math.hypot(c.x - boxCorners[i].x, c.y - boxCorners[i].y)));
+    return maxOffset > diagonal * 0.015;
+}
+
+/**
+ * Warp the quadrilateral to an upright rectangle using a homography.
+ * A margin of background is kept around the grid so detection still sees
+ * the page around it; pixels outside the source are filled with bgColor.
+ * Returns an ImageData of the corrected image.
+ */
+function warpPerspective(pixels, width, height, quad, bgColor) {
+    const { topLeft, topRight, bottomRight, bottomLeft } = quad;
+    const gridWidth = Math.round(Math.max(
+        Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y),
+        Math.hypot(bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y)
+    ));
+    const gridHeight = Math.round(Math.max(
+        Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y),
+        Math.hypot(bottomRight.x - topRight.x, bottomRight.y - topRight.y)
+    ));
+    const margin = Math.round(Math.max(gridWidth, gridHeight) * 0.05);
+    
+    // Maps output (rectangle) coordinates back to source (quad) coordinates
+    const h = computeHomography(
+        [{ x: 0, y: 0 }, { x: gridWidth, y: 0 }, { x: gridWidth, y: gridHeight }, { x: 0, y: gridHeight }],
+        [topLeft, topRight, bottomRight, bottomLeft]
+    );
+    
+    const outWidth = gridWidth + margin * 2;
+    const outHeight = gridHeight + margin * 2;
+    const out = new ImageData(outWidth, outHeight);
+    const outPixels = out.data;
+    
+    for (let v = 0; v < outHeight; v++) {
+        for (let u = 0; u < outWidth; u++) {
+            const rx = u - margin;
+            const ry = v - margin;
+            const w = h[6] * rx + h[7] * ry + h[8];
+            const sx = (h[0] * rx + h[1] * ry + h[2]) / w;
+            const sy = (h[3] * rx + h[4] * ry + h[5]) / w;
+            const o = (v * outWidth + u) * 4;
             
-            // Find cells that are mostly tile (not background)
-            // Use adaptive threshold based on background brightness
-            const filledCells = [];
-            const pixelsPerCell = cellSize * cellSize;
-            // Light mode needs more lenient threshold due to anti-aliasing and subtle differences
-            const backgroundThresholdPercent = bgColor.brightness > 0.7 ? 0.15 : 0.05; // 15% for light, 5% for dark
-            const backgroundThreshold = pixelsPerCell * backgroundThresholdPercent;
-            
-            for (let cy = 0; cy < gridH; cy++) {
-                for (let cx = 0; cx < gridW; cx++) {
-                    const bgPixelCount = bgCount[cy * gridW + cx];
-                    // Cell is "filled" if it has few background pixels
-                    if (bgPixelCount < backgroundThreshold) {
-                        filledCells.push({ x: cx, y: cy });
-                    }
-                }
+            if (sx < 0 || sy < 0 || sx >= width - 1 || sy >= height - 1) {
+                outPixels[o] = bgColor.r;
+                outPixels[o + 1] = bgColor.g;
+                outPixels[o + 2] = bgColor.b;
+                outPixels[o + 3] = 255;
+                continue;
             }
             
-            console.log('Found filled cells:', filledCells.length);
-            
-            if (filledCells.length === 0) {
-                // Fallback: return full image bounds
-                resolve({ x: 0, y: 0, width, height, imageWidth: width, imageHeight: height });
-                return;
+            // Bilinear sample
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const fx = sx - x0;
+            const fy = sy - y0;
+            const i00 = (y0 * width + x0) * 4;
+            const i10 = i00 + 4;
+            const i01 = i00 + width * 4;
+            const i11 = i01 + 4;
+            for (let c = 0; c < 3; c++) {
+                const top = pixels[i00 + c] * (1 - fx) + pixels[i10 + c] * fx;
+                const bottom = pixels[i01 + c] * (1 - fx) + pixels[i11 + c] * fx;
+                outPixels[o + c] = top * (1 - fy) + bottom * fy;
             }
-            
-            // Filter out isolated cells (like PiP UI) that are far from the main cluster
-            const filteredCells = filterOutliers(filledCells);
-            console.log('Filtered cells (removed outliers):', filteredCells.length);
-            
-            if (filteredCells.length === 0) {
-                // If filtering removed everything, use original cells
-                console.warn('Filtering removed all cells, using original');
-                var cellsToUse = filledCells;
-            } else {
-                var cellsToUse = filteredCells;
+            outPixels[o + 3] = 255;
+        }
+    }
+    
+    return out;
+}
+
+/**
+ * Solve the 3x3 homography (row-major, h[8] = 1) mapping four `from` points onto four `to` points
+ */
+function computeHomography(from, to) {
+    // Each correspondence gives two linear equations in the eight unknowns
+    const a = [];
+    for (let i = 0; i < 4; i++) {
+        const { x, y } = from[i];
+        const { x: X, y: Y } = to[i];
+        a.push([x, y, 1, 0, 0, 0, -x * X, -y * X, X]);
+        a.push([0, 0, 0, x, y, 1, -x * Y, -y * Y, Y]);
+    }
+    
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 8; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        
+        for (let row = 0; row < 8; row++) {
+            if (row === col) continue;
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k < 9; k++) {
+                a[row][k] -= factor * a[col][k];
             }
+        }
+    }
+    
+    const h = a.map((row, i) => row[8] / row[i]);
+    h.push(1);
+    return h;
+}
+
+/**
+ * Load a File or Blob into an <img> element
+ */
+function loadImageElement(fileOrBlob) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        const objectUrl = URL.createObjectURL(fileOrBlob);
+        img.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            resolve(img);
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            reject(new Error('Failed to load image'));
+        };
+        img.src = objectUrl;
+    });
+}
+
+/**
+ * Find the coarse analysis cells covered by the grid.
+ * Cells are larger than UI dots but smaller than tiles, so small elements
+ * drop out; isolated clusters far from the grid are filtered as outliers.
+ * `cellSize` is in pixels of `pixels`; pass GRID_CELL_SIZE scaled to the
+ * level being searched.
+ * Returns { cells: [{ x, y }], cellSize, filledCells } with cells in cell
+ * units; `filledCells` are all candidates before outlier filtering.
+ */
+function findGridCells(pixels, width, height, bgColor, cellSize = GRID_CELL_SIZE) {
+    // Create a grid to track which areas have background color
+    // Use larger cells to filter out small elements like circles/dots
+    const gridW = Math.ceil(width / cellSize);
+    const gridH = Math.ceil(height / cellSize);
+    const bgCount = new Uint32Array(gridW * gridH); // Count of background pixels per cell
+    
+    // Count BACKGROUND pixels in each cell
+    for (let y = 0; y < height; y++) {
+        const rowOffset = Math.floor(y / cellSize) * gridW;
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const r = pixels[i];
+            const g = pixels[i + 1];
+            const b = pixels[i + 2];
             
-            // Find bounding box of filtered filled cells
-            let minX = Infinity, minY = Infinity;
-            let maxX = -Infinity, maxY = -Infinity;
-            
-            for (const cell of cellsToUse) {
-                minX = Math.min(minX, cell.x);
-                minY = Math.min(minY, cell.y);
-                maxX = Math.max(maxX, cell.x);
-                maxY = Math.max(maxY, cell.y);
+            // Count pixels that ARE the background color
+            if (!isDifferentFromBackground(r, g, b, bgColor)) {
+                bgCount[rowOffset + Math.floor(x / cellSize)]++;
             }
-            
-            // Convert back to pixel coordinates
-            const pixelMinX = minX * cellSize;
-            const pixelMinY = minY * cellSize;
-            const pixelMaxX = (maxX + 1) * cellSize;
-            const pixelMaxY = (maxY + 1) * cellSize;
-            
-            resolve({
-                x: pixelMinX,
-                y: pixelMinY,
-                width: pixelMaxX - pixelMinX,
-                height: pixelMaxY - pixelMinY,
-                imageWidth: width,
-                imageHeight: height,
-            });
-        };
-        
-        // Load image from file or blob
-        // If it's already a blob, create object URL; otherwise use FileReader
-        if (fileOrBlob instanceof Blob && !(fileOrBlob instanceof File)) {
-            // It's a blob, create object URL
-            const objectUrl = URL.createObjectURL(fileOrBlob);
-            img.onload = () => {
-                processImage();
-                URL.revokeObjectURL(objectUrl); // Clean up after loading
-            };
-            img.src = objectUrl;
-        } else {
-            // It's a File, use FileReader
-            img.onload = processImage;
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                img.src = e.target.result;
-            };
-            reader.readAsDataURL(fileOrBlob);
         }
-    });
+    }
+    
+    // Find cells that are mostly tile (not background)
+    // Use adaptive threshold based on background brightness
+    const filledCells = [];
+    const pixelsPerCell = cellSize * cellSize;
+    // Light mode needs more lenient threshold due to anti-aliasing and subtle differences
+    // (15% for light, 5% for dark) unless a calibration profile sets it
+    const backgroundThresholdPercent = typeof bgColor.filledCellRatio === 'number'
+        ? bgColor.filledCellRatio
+        : (bgColor.brightness > 0.7 ? 0.15 : 0.05);
+    const backgroundThreshold = pixelsPerCell * backgroundThresholdPercent;
+    
+    for (let cy = 0; cy < gridH; cy++) {
+        for (let cx = 0; cx < gridW; cx++) {
+            const bgPixelCount = bgCount[cy * gridW + cx];
+            // Cell is "filled" if it has few background pixels
+            if (bgPixelCount < backgroundThreshold) {
+                filledCells.push({ x: cx, y: cy });
+            }
+        }
+    }
+    
+    console.log('Found filled cells:', filledCells.length);
+    
+    if (filledCells.length === 0) {
+        return { cells: [], cellSize, filledCells };
+    }
+    
+    // Filter out isolated cells (like PiP UI) that are far from the main cluster
+    const filteredCells = filterOutliers(filledCells);
+    console.log('Filtered cells (removed outliers):', filteredCells.length);
+    
+    if (filteredCells.length === 0) {
+        // If filtering removed everything, use original cells
+        console.warn('Filtering removed all cells, using original');
+        return { cells: filledCells, cellSize, filledCells };
+    }
+    
+    return { cells: filteredCells, cellSize, filledCells };
 }
 
 /**
@@ -369,9 +1264,10 @@ async function detectGridBounds(fileOrBlob) {
  * Uses a larger sample tile size for better accuracy
  * Returns the most common color (not average)
  */
-function sampleBackgroundColor(pixels, width, height) {
-    const cornerSize = 80; // Larger sample tile size for corners
-    const colorMap = new Map(); // For histogram approach
+function sampleBackgroundColor(pixels, width, height, cornerSize = BACKGROUND_SAMPLE_SIZE) {
+    // Histogram over colors quantized to steps of 8 (33 levels per channel)
+    const levels = 33;
+    const histogram = new Uint32Array(levels * levels * levels);
     
     // Sample from each of the four corners
     const corners = [
@@ -393,12 +1289,10 @@ function sampleBackgroundColor(pixels, width, height) {
                     const b = pixels[i + 2];
                     
                     // Quantize colors to reduce noise (round to nearest 8 for better grouping)
-                    const qr = Math.round(r / 8) * 8;
-                    const qg = Math.round(g / 8) * 8;
-                    const qb = Math.round(b / 8) * 8;
-                    const key = `${qr},${qg},${qb}`;
-                    
-                    colorMap.set(key, (colorMap.get(key) || 0) + 1);
+                    const qr = (r + 4) >> 3;
+                    const qg = (g + 4) >> 3;
+                    const qb = (b + 4) >> 3;
+                    histogram[(qr * levels + qg) * levels + qb]++;
                 }
             }
         }
@@ -407,11 +1301,15 @@ function sampleBackgroundColor(pixels, width, height) {
     // Find the most common color (background should be most frequent)
     let maxCount = 0;
     let dominantColor = null;
-    for (const [key, count] of colorMap.entries()) {
-        if (count > maxCount) {
-            maxCount = count;
-            const [r, g, b] = key.split(',').map(Number);
-            dominantColor = { r, g, b };
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > maxCount) {
+            maxCount = histogram[key];
+            // The top level decodes to 256, past the channel range
+            dominantColor = {
+                r: Math.min(255, Math.floor(key / (levels * levels)) * 8),
+                g: Math.min(255, (Math.floor(key / levels) % levels) * 8),
+                b: Math.min(255, (key % levels) * 8)
+            };
         }
     }
     
@@ -481,9 +1379,512 @@ function filterOutliers(cells) {
     return filtered;
 }
 
+/**
+ * Locate the individual tiles inside a coarse grid bounding box.
+ * Builds background-coverage profiles along each axis and treats runs of
+ * mostly-background rows/columns as the gutters between tiles.
+ * Axes where no regular set of gutters is found fall back to equal division.
+ * Full-width coloured bars (already-solved groups) are returned separately
+ * in `solvedBars` and only the remaining tile rows are divided into tiles.
+ * Without a `shape`, the number of rows and columns is taken from the most
+ * regular lattice found (DEFAULT_PUZZLE_SHAPE when there isn't one).
+ * Returns { tiles, solvedBars, confidence, bounds, shape } in image coordinates.
+ */
+function detectTileLattice(pixels, imageWidth, bgColor, bounds, shape = null) {
+    const boxWidth = Math.max(0, Math.round(bounds.width));
+    const boxHeight = Math.max(0, Math.round(bounds.height));
+    
+    if (boxWidth === 0 || boxHeight === 0) {
+        const fallback = shape || DEFAULT_PUZZLE_SHAPE;
+        return { tiles: buildEqualTiles(bounds, fallback), solvedBars: [], confidence: 0, bounds, shape: fallback };
+    }
+    
+    // Background mask for the box (1 = background pixel)
+    const mask = new Uint8Array(boxWidth * boxHeight);
+    for (let dy = 0; dy < boxHeight; dy++) {
+        for (let dx = 0; dx < boxWidth; dx++) {
+            const i = ((bounds.y + dy) * imageWidth + (bounds.x + dx)) * 4;
+            if (!isDifferentFromBackground(pixels[i], pixels[i + 1], pixels[i + 2], bgColor)) {
+                mask[dy * boxWidth + dx] = 1;
+            }
+        }
+    }
+    
+    // Rows first: horizontal gutters run across the whole box
+    const rowProfile = new Float32Array(boxHeight);
+    for (let dy = 0; dy < boxHeight; dy++) {
+        let count = 0;
+        for (let dx = 0; dx < boxWidth; dx++) {
+            count += mask[dy * boxWidth + dx];
+        }
+        rowProfile[dy] = count / boxWidth;
+    }
+    
+    // Solved groups appear as full-width coloured bars above the tiles; set
+    // those aside and look for the remaining tile rows among the other bands.
+    // Orange and pink only exist on boards with more than four groups, so a
+    // detected board that turns out standard is split again without them.
+    const rowBands = findContentSpans(rowProfile, bgColor.gutterRatio);
+    let rows = splitSolvedBars(pixels, imageWidth, mask, boxWidth, bounds, rowBands, bgColor.gutterRatio, shape, !shape || shape.rows > DEFAULT_PUZZLE_SHAPE.rows);
+    if (!shape && rows.solvedBars.length + rows.tileRows <= DEFAULT_PUZZLE_SHAPE.rows
+        && rows.solvedBars.some(bar => !STANDARD_GROUP_COLORS.includes(bar.color))) {
+        rows = splitSolvedBars(pixels, imageWidth, mask, boxWidth, bounds, rowBands, bgColor.gutterRatio, shape, false);
+    }
+    const { solvedBars, foundRows, tileRows } = rows;
+    
+    if (tileRows <= 0) {
+        const barsShape = { rows: solvedBars.length, cols: (shape || DEFAULT_PUZZLE_SHAPE).cols };
+        return { tiles: [], solvedBars, confidence: 1, bounds: unionBounds(solvedBars), shape: barsShape };
+    }
+    
+    const rowSpans = foundRows || equalSpans(boxHeight, tileRows, solvedBars.length > 0
+        ? solvedBars[solvedBars.length - 1].y + solvedBars[solvedBars.length - 1].height - bounds.y
+        : 0);
+    
+    // Columns are only measured across the tile rows, so UI above or
+    // below the grid can't bridge the vertical gutters
+    const colProfile = new Float32Array(boxWidth);
+    let sampledRows = 0;
+    for (const span of rowSpans) {
+        for (let dy = span.start; dy < span.end; dy++) {
+            for (let dx = 0; dx < boxWidth; dx++) {
+                colProfile[dx] += mask[dy * boxWidth + dx];
+            }
+            sampledRows++;
+        }
+    }
+    for (let dx = 0; dx < boxWidth; dx++) {
+        colProfile[dx] /= Math.max(1, sampledRows);
+    }
+    const colCandidates = findContentSpans(colProfile, bgColor.gutterRatio);
+    const foundCols = shape
+        ? pickRegularSpans(colCandidates, shape.cols)
+        : pickLatticeSpans(colCandidates, MIN_GRID_SIZE, MAX_GRID_SIZE);
+    const cols = foundCols ? foundCols.length : (shape || DEFAULT_PUZZLE_SHAPE).cols;
+    const colSpans = foundCols || equalSpans(boxWidth, cols);
+    
+    const tiles = [];
+    for (let row = 0; row < tileRows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push({
+                index: row * cols + col,
+                row,
+                col,
+                x: bounds.x + colSpans[col].start,
+                y: bounds.y + rowSpans[row].start,
+                width: colSpans[col].end - colSpans[col].start,
+                height: rowSpans[row].end - rowSpans[row].start
+            });
+        }
+    }
+    
+    // Confidence is the regularity of each axis (0 when an axis fell back)
+    const rowConfidence = foundRows ? spanRegularity(foundRows) : 0;
+    const colConfidence = foundCols ? spanRegularity(foundCols) : 0;
+    
+    return {
+        tiles,
+        solvedBars,
+        confidence: (rowConfidence + colConfidence) / 2,
+        bounds: unionBounds([...solvedBars, ...tiles]),
+        shape: { rows: solvedBars.length + tileRows, cols }
+    };
+}
+
+/**
+ * Split the horizontal bands of a grid box into solved-group bars and tile
+ * rows. Bars are only taken from the top, before the first tile row, and
+ * orange/pink bars only when `extraColors` is set.
+ * Returns { solvedBars, foundRows, tileRows }, where `foundRows` is null when
+ * no regular set of tile rows was found.
+ */
+function splitSolvedBars(pixels, imageWidth, mask, boxWidth, bounds, bands, gutterRatio, shape, extraColors) {
+    const solvedBars = [];
+    const rowCandidates = [];
+    const maxBars = shape ? shape.rows : MAX_GRID_SIZE;
+    for (const span of bands) {
+        const bar = rowCandidates.length === 0 && solvedBars.length < maxBars
+            ? classifySolvedBar(pixels, imageWidth, mask, boxWidth, bounds, span, gutterRatio, extraColors)
+            : null;
+        if (bar) {
+            solvedBars.push(bar);
+        } else {
+            rowCandidates.push(span);
+        }
+    }
+    
+    // Tile rows left after the bars: fixed by the shape, or the most regular run found
+    const remainingRows = shape ? shape.rows - solvedBars.length : 0;
+    let foundRows = null;
+    if (shape) {
+        foundRows = remainingRows > 0 ? pickRegularSpans(rowCandidates, remainingRows) : null;
+    } else if (rowCandidates.length > 0) {
+        foundRows = pickLatticeSpans(rowCandidates, Math.max(1, MIN_GRID_SIZE - solvedBars.length), MAX_GRID_SIZE - solvedBars.length);
+    }
+    
+    let tileRows = remainingRows;
+    if (!shape) {
+        // With every group solved there is nothing left to divide
+        const allSolved = solvedBars.length > 0 && rowCandidates.length === 0;
+        tileRows = foundRows ? foundRows.length : (allSolved ? 0 : DEFAULT_PUZZLE_SHAPE.rows - solvedBars.length);
+    }
+    
+    return { solvedBars, foundRows, tileRows };
+}
+
+/**
+ * Decide whether a horizontal band is a solved-group bar.
+ * A bar has no vertical gutters (one content run spanning most of the box)
+ * and is filled with one of the group colours (see classifyGroupColor).
+ * Returns { x, y, width, height, color } in image coordinates, or null.
+ */
+function classifySolvedBar(pixels, imageWidth, mask, boxWidth, bounds, span, gutterRatio, extraColors) {
+    const colProfile = new Float32Array(boxWidth);
+    const spanHeight = span.end - span.start;
+    for (let dy = span.start; dy < span.end; dy++) {
+        for (let dx = 0; dx < boxWidth; dx++) {
+            colProfile[dx] += mask[dy * boxWidth + dx];
+        }
+    }
+    for (let dx = 0; dx < boxWidth; dx++) {
+        colProfile[dx] /= spanHeight;
+    }
+    
+    const colSpans = findContentSpans(colProfile, gutterRatio);
+    if (colSpans.length !== 1) return null;
+    const barSpan = colSpans[0];
+    if (barSpan.end - barSpan.start < boxWidth * 0.8) return null;
+    
+    // Sample the fill colour from a strip near the top of the bar, above the text
+    const sampleY = bounds.y + span.start + Math.round(spanHeight * 0.12);
+    const reds = [], greens = [], blues = [];
+    for (let dx = barSpan.start + Math.round((barSpan.end - barSpan.start) * 0.1); dx < barSpan.end - Math.round((barSpan.end - barSpan.start) * 0.1); dx++) {
+        const i = (sampleY * imageWidth + bounds.x + dx) * 4;
+        reds.push(pixels[i]);
+        greens.push(pixels[i + 1]);
+        blues.push(pixels[i + 2]);
+    }
+    
+    const color = classifyGroupColor(median(reds), median(greens), median(blues), extraColors);
+    if (!color) return null;
+    
+    return {
+        x: bounds.x + barSpan.start,
+        y: bounds.y + span.start,
+        width: barSpan.end - barSpan.start,
+        height: spanHeight,
+        color
+    };
+}
+
+/**
+ * Map a fill colour to one of the group colours by hue.
+ * Returns 'yellow' | 'green' | 'blue' | 'purple', 'orange' | 'pink' for the
+ * extra groups of larger variants when `extraColors` is set, or null for
+ * neutral colours and hues outside those ranges.
+ */
+function classifyGroupColor(r, g, b, extraColors = false) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const saturation = max === 0 ? 0 : (max - min) / max;
+    
+    // Unsolved tiles and backgrounds are close to grey
+    if (saturation < 0.2) return null;
+    
+    let hue;
+    const delta = max - min;
+    if (max === r) {
+        hue = ((g - b) / delta) % 6;
+    } else if (max === g) {
+        hue = (b - r) / delta + 2;
+    } else {
+        hue = (r - g) / delta + 4;
+    }
+    hue = (hue * 60 + 360) % 360;
+    
+    if (hue >= 35 && hue < 70) return 'yellow';
+    if (hue >= 70 && hue < 170) return 'green';
+    if (hue >= 170 && hue < 255) return 'blue';
+    if (hue >= 255 && hue < 310) return 'purple';
+    if (!extraColors) return null;
+    return hue >= 15 && hue < 35 ? 'orange' : 'pink';
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Bounding box around a list of rectangles
+ */
+function unionBounds(rects) {
+    const x = Math.min(...rects.map(r => r.x));
+    const y = Math.min(...rects.map(r => r.y));
+    return {
+        x,
+        y,
+        width: Math.max(...rects.map(r => r.x + r.width)) - x,
+        height: Math.max(...rects.map(r => r.y + r.height)) - y
+    };
+}
+
+/**
+ * Find runs of a background-coverage profile that are mostly content.
+ * Runs shorter than 2% of the profile (anti-aliasing, borders) are dropped.
+ * Returns [{ start, end }] with end exclusive.
+ */
+function findContentSpans(profile, gutterRatio = GUTTER_BACKGROUND_RATIO) {
+    const minSize = Math.max(4, Math.round(profile.length * 0.02));
+    const spans = [];
+    let start = -1;
+    
+    for (let i = 0; i <= profile.length; i++) {
+        const isContent = i < profile.length && profile[i] < gutterRatio;
+        if (isContent && start === -1) {
+            start = i;
+        } else if (!isContent && start !== -1) {
+            if (i - start >= minSize) {
+                spans.push({ start, end: i });
+            }
+            start = -1;
+        }
+    }
+    
+    return spans;
+}
+
+/**
+ * Choose the `count` consecutive spans that look most like a tile lattice
+ * (most uniform sizes and gaps). Extra spans come from UI such as headers
+ * or buttons next to the grid. Returns null if there are too few spans.
+ */
+function pickRegularSpans(spans, count) {
+    if (spans.length < count) return null;
+    if (spans.length === count) return spans;
+    
+    let best = null;
+    let bestScore = Infinity;
+    
+    for (let i = 0; i + count <= spans.length; i++) {
+        const window = spans.slice(i, i + count);
+        const score = scoreSpanWindow(window);
+        if (score < bestScore) {
+            bestScore = score;
+            best = window;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Pick the largest regular run of spans when the count isn't known.
+ * Counts are tried from `maxCount` down; the first whose best window is
+ * regular enough wins, so UI next to the grid (which breaks the rhythm of
+ * sizes and gaps) isn't counted as an extra row or column.
+ * Returns null if no count in range is regular enough.
+ */
+function pickLatticeSpans(spans, minCount, maxCount) {
+    for (let count = Math.min(maxCount, spans.length); count >= minCount; count--) {
+        const window = pickRegularSpans(spans, count);
+        if (window && scoreSpanWindow(window) <= AUTO_SHAPE_MAX_IRREGULARITY) {
+            return window;
+        }
+    }
+    return null;
+}
+
+/**
+ * Irregularity of a run of spans: variation of their sizes plus variation
+ * of the gaps between them (0 for a perfect lattice)
+ */
+function scoreSpanWindow(window) {
+    const gaps = [];
+    for (let j = 1; j < window.length; j++) {
+        gaps.push(window[j].start - window[j - 1].end);
+    }
+    const sizes = window.map(span => span.end - span.start);
+    return coefficientOfVariation(sizes) + coefficientOfVariation(gaps);
+}
+
+/**
+ * Split a length into `count` equal spans, optionally starting at an offset
+ */
+function equalSpans(length, count, offset = 0) {
+    const size = (length - offset) / count;
+    const spans = [];
+    for (let i = 0; i < count; i++) {
+        spans.push({ start: offset + Math.round(i * size), end: offset + Math.round((i + 1) * size) });
+    }
+    return spans;
+}
+
+/**
+ * Score how evenly sized a set of spans is, from 0 (irregular) to 1 (identical)
+ */
+function spanRegularity(spans) {
+    const sizes = spans.map(span => span.end - span.start);
+    return Math.max(0, 1 - coefficientOfVariation(sizes) * 4);
+}
+
+function coefficientOfVariation(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    if (mean === 0) return 0;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Divide a bounding box into equal tiles (used when no lattice is detected)
+ */
+function buildEqualTiles(bounds, { rows, cols } = DEFAULT_PUZZLE_SHAPE) {
+    const tileWidth = bounds.width / cols;
+    const tileHeight = bounds.height / rows;
+    const tiles = [];
+    
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push({
+                index: row * cols + col,
+                row,
+                col,
+                x: bounds.x + col * tileWidth,
+                y: bounds.y + row * tileHeight,
+                width: tileWidth,
+                height: tileHeight
+            });
+        }
+    }
+    
+    return tiles;
+}
+
+/**
+ * Describe detected bounds as an adjustable grid geometry: the outer edges
+ * of the tiles plus one divider per gap between rows and columns, all in
+ * image coordinates. `barColors` lists the solved bars, which fill the
+ * first rows. See gridBoundsFromGeometry for the reverse.
+ */
+function gridGeometryFromBounds(bounds) {
+    const { tiles, solvedBars = [], shape } = bounds;
+    const rects = [...solvedBars, ...tiles];
+    const outer = unionBounds(rects);
+    
+    // Extent of every row (bars first) and every tile column
+    const rowExtents = solvedBars.map(bar => ({ start: bar.y, end: bar.y + bar.height }));
+    for (let row = 0; row * shape.cols < tiles.length; row++) {
+        const rowTiles = tiles.slice(row * shape.cols, (row + 1) * shape.cols);
+        rowExtents.push({
+            start: Math.min(...rowTiles.map(t => t.y)),
+            end: Math.max(...rowTiles.map(t => t.y + t.height))
+        });
+    }
+    const colExtents = [];
+    for (let col = 0; col < shape.cols && tiles.length > 0; col++) {
+        const colTiles = tiles.filter((_, i) => i % shape.cols === col);
+        colExtents.push({
+            start: Math.min(...colTiles.map(t => t.x)),
+            end: Math.max(...colTiles.map(t => t.x + t.width))
+        });
+    }
+    
+    const dividers = extents => extents.slice(1).map((extent, i) => (extents[i].end + extent.start) / 2);
+    const gaps = extents => extents.slice(1).map((extent, i) => Math.max(0, extent.start - extents[i].end));
+    const cols = colExtents.length > 0
+        ? dividers(colExtents)
+        : equalSpans(outer.width, shape.cols).slice(1).map(span => outer.x + span.start);
+    
+    return {
+        x: outer.x,
+        y: outer.y,
+        width: outer.width,
+        height: outer.height,
+        rows: dividers(rowExtents),
+        cols,
+        gutter: median([...gaps(rowExtents), ...gaps(colExtents)]),
+        barColors: solvedBars.map(bar => bar.color),
+        imageWidth: bounds.imageWidth,
+        imageHeight: bounds.imageHeight
+    };
+}
+
+/**
+ * Rebuild detection-style bounds (as detectGridBounds returns) from a grid
+ * geometry, e.g. after the user has adjusted it. Tiles sit between the
+ * dividers with half a gutter taken off each inner side.
+ */
+function gridBoundsFromGeometry(geometry) {
+    const { x, y, width, height, gutter, barColors } = geometry;
+    const xs = [x, ...geometry.cols, x + width];
+    const ys = [y, ...geometry.rows, y + height];
+    const cols = xs.length - 1;
+    const rows = ys.length - 1;
+    const half = gutter / 2;
+    
+    const span = (edges, i) => {
+        const start = edges[i] + (i > 0 ? half : 0);
+        const end = edges[i + 1] - (i < edges.length - 2 ? half : 0);
+        return { start: Math.round(start), size: Math.max(1, Math.round(end - start)) };
+    };
+    
+    const solvedBars = barColors.map((color, row) => {
+        const rowSpan = span(ys, row);
+        return { x: Math.round(x), y: rowSpan.start, width: Math.round(width), height: rowSpan.size, color };
+    });
+    
+    const tiles = [];
+    for (let row = barColors.length; row < rows; row++) {
+        const rowSpan = span(ys, row);
+        for (let col = 0; col < cols; col++) {
+            const colSpan = span(xs, col);
+            tiles.push({
+                index: tiles.length,
+                row: row - barColors.length,
+                col,
+                x: colSpan.start,
+                y: rowSpan.start,
+                width: colSpan.size,
+                height: rowSpan.size
+            });
+        }
+    }
+    
+    return {
+        x: Math.round(x),
+        y: Math.round(y),
+        width: Math.round(width),
+        height: Math.round(height),
+        imageWidth: geometry.imageWidth,
+        imageHeight: geometry.imageHeight,
+        tiles,
+        solvedBars,
+        confidence: 1,
+        shape: { rows, cols }
+    };
+}
+
+/**
+ * Get the OCR rectangle for a tile, relative to a crop origin.
+ * Trims a proportional inset from each edge to keep tile borders and
+ * rounded corners out of the recognised area.
+ */
+function getTileTextRect(tile, originX = 0, originY = 0, inset = TILE_TEXT_INSET) {
+    const trim = Math.round(Math.min(tile.width, tile.height) * inset);
+    return {
+        left: tile.x - originX + trim,
+        top: tile.y - originY + trim,
+        width: Math.max(1, tile.width - trim * 2),
+        height: Math.max(1, tile.height - trim * 2)
+    };
+}
+
 /**
  * Check if a pixel color is significantly different from the background
- * Uses adaptive threshold based on background brightness for better dark mode support
+ * Uses adaptive threshold based on background brightness for better dark mode support,
+ * or the thresholds a calibrated background carries (see calibrateBackground)
  */
 function isDifferentFromBackground(r, g, b, bgColor) {
     // Calculate color distance
@@ -499,7 +1900,9 @@ function isDifferentFromBackground(r, g, b, bgColor) {
     // Dark backgrounds (dark mode) need lower threshold to detect lighter tiles
     // Light backgrounds need lower threshold too - tiles are often only slightly different
     let threshold;
-    if (bgColor.brightness < 0.3) {
+    if (typeof bgColor.colorThreshold === 'number') {
+        threshold = bgColor.colorThreshold;
+    } else if (bgColor.brightness < 0.3) {
         // Dark mode: use much lower threshold to catch subtle differences
         threshold = 12;
     } else if (bgColor.brightness < 0.7) {
@@ -514,7 +1917,9 @@ function isDifferentFromBackground(r, g, b, bgColor) {
     const brightnessDiff = Math.abs(pixelBrightness - bgColor.brightness);
     // Adaptive brightness threshold
     let minBrightnessDiff;
-    if (bgColor.brightness < 0.3) {
+    if (typeof bgColor.brightnessThreshold === 'number') {
+        minBrightnessDiff = bgColor.brightnessThreshold;
+    } else if (bgColor.brightness < 0.3) {
         // Dark mode: tiles can be only slightly brighter
         minBrightnessDiff = 0.08;
     } else if (bgColor.brightness < 0.7) {
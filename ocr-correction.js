@@ -0,0 +1,294 @@
+/**
+ * OCR Post-Correction
+ * Snaps misread tile text to the closest entry in the bundled word and
+ * phrase lists (wordlist.js), using an edit distance that charges less
+ * for characters Tesseract commonly confuses
+ */
+
+// Similarity (0-1) at or above which a suggestion replaces the OCR text
+const OCR_AUTO_CORRECT_THRESHOLD = 0.8;
+
+// Suggestions below this similarity aren't worth showing
+const OCR_SUGGESTION_THRESHOLD = 0.5;
+
+const OCR_MAX_ALTERNATIVES = 3;
+
+// Substitution costs for common OCR confusions (applied in both directions)
+const OCR_CONFUSIONS = [
+    ['0', 'O', 0.1],
+    ['1', 'I', 0.1],
+    ['1', 'L', 0.2],
+    ['5', 'S', 0.2],
+    ['8', 'B', 0.2],
+    ['2', 'Z', 0.3],
+    ['6', 'G', 0.3],
+    ['I', 'L', 0.3],
+    ['Q', 'O', 0.3],
+    ['U', 'V', 0.4],
+    ['C', 'G', 0.5],
+    ['E', 'F', 0.5],
+    ['H', 'N', 0.5],
+    ['RN', 'M', 0.2],
+    ['VV', 'W', 0.2],
+    ['CL', 'D', 0.3],
+    ['LI', 'U', 0.4],
+    ['II', 'N', 0.4],
+    ['NI', 'M', 0.4],
+    ['IN', 'M', 0.4]
+];
+
+let ocrDictionary = null;
+let editDistanceBuffer = null;
+
+/**
+ * Build the lookup structures on first use
+ * Words are bucketed by length so only plausible candidates are compared
+ */
+function getOcrDictionary() {
+    if (ocrDictionary) return ocrDictionary;
+
+    const words = new Set(typeof OCR_WORD_LIST === 'string' ? OCR_WORD_LIST.split(' ') : []);
+    const phrases = new Set(typeof OCR_PHRASE_LIST !== 'undefined' ? OCR_PHRASE_LIST : []);
+
+    const byLength = new Map();
+    for (const word of words) {
+        if (!byLength.has(word.length)) {
+            byLength.set(word.length, []);
+        }
+        byLength.get(word.length).push(word);
+    }
+
+    // Single-character confusions go in a char-code cost table; longer ones
+    // are indexed by their last source character so most cells skip them.
+    // The digit table keeps only confusions with a digit or symbol (0/O, 1/I...);
+    // it decides whether an all-letter tile is corrected (see correctOcrText).
+    const allSubstitutionCosts = new Float32Array(128 * 128).fill(1);
+    const digitSubstitutionCosts = new Float32Array(128 * 128).fill(1);
+    const multiConfusions = new Map();
+    const addMultiConfusion = (source, target, cost) => {
+        const key = source.charCodeAt(source.length - 1);
+        if (!multiConfusions.has(key)) {
+            multiConfusions.set(key, []);
+        }
+        multiConfusions.get(key).push({ source, target, cost });
+    };
+    for (const [a, b, cost] of OCR_CONFUSIONS) {
+        if (a.length === 1 && b.length === 1) {
+            const tables = /[A-Z]/.test(a) && /[A-Z]/.test(b)
+                ? [allSubstitutionCosts]
+                : [allSubstitutionCosts, digitSubstitutionCosts];
+            for (const table of tables) {
+                table[a.charCodeAt(0) * 128 + b.charCodeAt(0)] = cost;
+                table[b.charCodeAt(0) * 128 + a.charCodeAt(0)] = cost;
+            }
+        } else {
+            addMultiConfusion(a, b, cost);
+            addMultiConfusion(b, a, cost);
+        }
+    }
+
+    ocrDictionary = { words, phrases, byLength, allSubstitutionCosts, digitSubstitutionCosts, multiConfusions };
+    return ocrDictionary;
+}
+
+/**
+ * Suggest a correction for the OCR text of one cell.
+ * Returns { text, original, similarity, corrected, alternatives } where
+ * `text` is the suggestion when it clears OCR_AUTO_CORRECT_THRESHOLD
+ * (otherwise the original), and `alternatives` are other plausible readings.
+ */
+function correctOcrText(text) {
+    const original = (text || '').trim().toUpperCase();
+    const result = {
+        text: original,
+        original,
+        similarity: 1,
+        corrected: false,
+        alternatives: []
+    };
+
+    // Nothing to correct: empty cells, numbers, and text that's already valid
+    if (original.length < 2 || /^[0-9\s]+$/.test(original) || isKnownEntry(original)) {
+        return result;
+    }
+
+    const candidates = original.includes(' ')
+        ? correctPhrase(original)
+        : rankCandidates(original);
+
+    if (candidates.length === 0) {
+        result.similarity = 0;
+        return result;
+    }
+
+    const [best, ...rest] = candidates;
+    result.similarity = Math.round(best.similarity * 100) / 100;
+
+    // An all-letter reading may just be a word the list doesn't have: a
+    // plain letter edit (EGRET vs REGRET) or a one-letter confusion (NIKE vs
+    // HIKE, FIAT vs FLAT) would rewrite a correct tile. Those are only
+    // suggested; multi-character confusions (RN → M, VV → W, CL → D) and
+    // corrections that remove stray digits/symbols are applied.
+    const hasNonLetters = /[^A-Z\s]/.test(original);
+    const confusionsOnly = !hasNonLetters &&
+        ocrEditDistance(original, best.text, 1, { letterConfusions: false }) < 1;
+    if (best.similarity >= OCR_AUTO_CORRECT_THRESHOLD && (confusionsOnly || hasNonLetters)) {
+        result.text = best.text;
+        result.corrected = true;
+        // Keep the raw reading available in case the correction was wrong
+        result.alternatives = [original, ...rest.map(c => c.text)];
+    } else {
+        result.alternatives = candidates.map(c => c.text);
+    }
+
+    result.alternatives = result.alternatives.slice(0, OCR_MAX_ALTERNATIVES);
+    return result;
+}
+
+function isKnownEntry(text) {
+    const { words, phrases } = getOcrDictionary();
+    return phrases.has(text) || text.split(' ').every(token => words.has(token));
+}
+
+/**
+ * Correct multi-word text: whole phrases first, then each word on its own
+ */
+function correctPhrase(text) {
+    const { phrases } = getOcrDictionary();
+    const phraseCandidates = rankCandidates(text, phrases);
+
+    const tokens = text.split(/\s+/);
+    let similarity = 1;
+    let distance = 0;
+    const correctedTokens = tokens.map(token => {
+        if (isKnownEntry(token) || /[^A-Z0-9]/.test(token)) {
+            return token;
+        }
+        const [best] = rankCandidates(token);
+        if (!best) {
+            similarity = 0;
+            return token;
+        }
+        similarity = Math.min(similarity, best.similarity);
+        distance += best.distance;
+        return best.text;
+    });
+
+    const candidates = [...phraseCandidates];
+    const tokenText = correctedTokens.join(' ');
+    if (similarity >= OCR_SUGGESTION_THRESHOLD && !candidates.some(c => c.text === tokenText)) {
+        candidates.push({ text: tokenText, similarity, distance });
+    }
+
+    return candidates.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Rank dictionary entries by similarity to `text`
+ * Searches the word list by default, or the given collection of entries
+ */
+function rankCandidates(text, entries = null) {
+    const { byLength } = getOcrDictionary();
+    const ranked = [];
+
+    const consider = (entry) => {
+        // Confusions such as RN→M change the length, so allow a little slack
+        if (Math.abs(entry.length - text.length) > 2) return;
+        const maxLength = Math.max(text.length, entry.length);
+
+        // Once the shortlist is full, anything worse than its weakest entry can stop early
+        let minSimilarity = OCR_SUGGESTION_THRESHOLD;
+        if (ranked.length === OCR_MAX_ALTERNATIVES) {
+            minSimilarity = Math.max(minSimilarity, ranked[ranked.length - 1].similarity);
+        }
+
+        const distance = ocrEditDistance(text, entry, (1 - minSimilarity) * maxLength);
+        const similarity = 1 - distance / maxLength;
+        if (similarity >= minSimilarity) {
+            ranked.push({ text: entry, similarity, distance });
+            ranked.sort((a, b) => b.similarity - a.similarity);
+            ranked.length = Math.min(ranked.length, OCR_MAX_ALTERNATIVES);
+        }
+    };
+
+    if (entries) {
+        entries.forEach(consider);
+    } else {
+        for (let length = text.length - 2; length <= text.length + 2; length++) {
+            (byLength.get(length) || []).forEach(consider);
+        }
+    }
+
+    return ranked;
+}
+
+/**
+ * Levenshtein distance where insertions, deletions and adjacent swaps
+ * cost 1, substitutions cost 1 unless they're a known OCR confusion, and
+ * one- or two-character confusions (e.g. RN ↔ M) count as a single edit.
+ * With `letterConfusions: false`, letter-for-letter confusions (I/L, H/N...)
+ * cost a full substitution.
+ * Returns Infinity as soon as the distance must exceed `maxDistance`.
+ */
+function ocrEditDistance(source, target, maxDistance = Infinity, { letterConfusions = true } = {}) {
+    const dictionary = getOcrDictionary();
+    const { multiConfusions } = dictionary;
+    const substitutionCosts = letterConfusions ? dictionary.allSubstitutionCosts : dictionary.digitSubstitutionCosts;
+    const rows = source.length + 1;
+    const cols = target.length + 1;
+    if (!editDistanceBuffer || editDistanceBuffer.length < rows * cols) {
+        editDistanceBuffer = new Float32Array(rows * cols * 2);
+    }
+    const d = editDistanceBuffer;
+
+    for (let i = 0; i < rows; i++) d[i * cols] = i;
+    for (let j = 0; j < cols; j++) d[j] = j;
+
+    let previousRowMin = 0;
+    for (let i = 1; i < rows; i++) {
+        const a = source.charCodeAt(i - 1);
+        const rowConfusions = multiConfusions.get(a);
+        let rowMin = Infinity;
+
+        for (let j = 1; j < cols; j++) {
+            const b = target.charCodeAt(j - 1);
+            let substitution = 0;
+            if (a !== b) {
+                substitution = a < 128 && b < 128 ? substitutionCosts[a * 128 + b] : 1;
+            }
+
+            let best = d[(i - 1) * cols + (j - 1)] + substitution;
+            const deletion = d[(i - 1) * cols + j] + 1;
+            const insertion = d[i * cols + (j - 1)] + 1;
+            if (deletion < best) best = deletion;
+            if (insertion < best) best = insertion;
+
+            // Adjacent transposition (e.g. CRAEM → CREAM)
+            if (i > 1 && j > 1 && a === target.charCodeAt(j - 2) && source.charCodeAt(i - 2) === b) {
+                best = Math.min(best, d[(i - 2) * cols + (j - 2)] + 1);
+            }
+
+            // Multi-character confusions ending at this position
+            if (rowConfusions) {
+                for (const confusion of rowConfusions) {
+                    const si = confusion.source.length;
+                    const tj = confusion.target.length;
+                    if (si <= i && tj <= j &&
+                        source.startsWith(confusion.source, i - si) &&
+                        target.startsWith(confusion.target, j - tj)) {
+                        best = Math.min(best, d[(i - si) * cols + (j - tj)] + confusion.cost);
+                    }
+                }
+            }
+
+            d[i * cols + j] = best;
+            if (best < rowMin) rowMin = best;
+        }
+
+        // Multi-character confusions can skip a row, so give up only when two rows in a row are over
+        if (rowMin > maxDistance && previousRowMin > maxDistance) return Infinity;
+        previousRowMin = rowMin;
+    }
+
+    return d[rows * cols - 1];
+}
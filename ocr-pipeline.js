@@ -0,0 +1,251 @@
+/**
+ * OCR Pipeline
+ * Main-thread client for ocr-worker.js. The worker (and the Tesseract
+ * workers it starts) is created once and reused for every upload, until a
+ * run is cancelled: that terminates it and the next run starts a fresh one.
+ */
+
+// Tesseract, its core and the eng language data are served from vendor/tesseract
+// (see vendor/update-tesseract.sh) so OCR works offline. Paths are absolute
+// because Tesseract resolves them from inside its own nested workers.
+const OCR_VENDOR_URL = new URL('vendor/tesseract/', location.href).href;
+
+const OCR_CONFIG = {
+    tesseractScript: OCR_VENDOR_URL + 'tesseract.min.js',
+    tesseractOptions: {
+        workerPath: OCR_VENDOR_URL + 'worker.min.js',
+        corePath: OCR_VENDOR_URL + 'core',
+        langPath: OCR_VENDOR_URL + 'lang',
+        // Load the worker from its URL (not a blob) so the service worker can serve it
+        workerBlobURL: false
+    },
+    // Tesseract workers recognising cells in parallel
+    workerCount: Math.min(3, Math.max(1, (navigator.hardwareConcurrency || 2) - 1))
+};
+
+/**
+ * A failure of one pipeline stage. `code` names what went wrong, so the app
+ * can offer a recovery that fits:
+ *   'decode'         the file could not be read as an image
+ *   'no-grid'        detection found nothing but page background
+ *   'crop'           a tile or bar to read lies outside the image
+ *   'ocr-engine'     Tesseract could not be loaded, or its worker failed
+ *   'too-few-words'  too few tiles could be read (raised by the app)
+ * `details` holds whatever the run had produced before it stopped
+ * (e.g. { image, detectedBounds, gridBounds }).
+ */
+class PipelineError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'PipelineError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+let ocrWorker = null;
+let ocrRequestId = 0;
+const ocrRequests = new Map(); // Request id -> { resolve, reject, onProgress, onCell }
+
+function getOcrWorker() {
+    if (ocrWorker) return ocrWorker;
+
+    ocrWorker = new Worker('ocr-worker.js');
+    ocrWorker.onmessage = handleOcrMessage;
+    ocrWorker.onerror = (e) => {
+        console.error('OCR worker error:', e);
+        terminateOcrWorker(new PipelineError('ocr-engine', e.message || 'The OCR engine stopped unexpectedly.'));
+    };
+
+    return ocrWorker;
+}
+
+/**
+ * Stop the worker and fail every pending request with `reason`;
+ * a fresh worker is started next time
+ */
+function terminateOcrWorker(reason) {
+    if (!ocrWorker) return;
+
+    ocrWorker.terminate();
+    ocrWorker = null;
+    for (const request of ocrRequests.values()) {
+        request.reject(reason);
+    }
+    ocrRequests.clear();
+}
+
+/**
+ * Register a request and post it to the worker. When `signal` aborts
+ * first, the worker is terminated, which is the only way to stop
+ * Tesseract mid-recognition; while other requests are waiting on it, only
+ * this one is rejected and its result dropped.
+ */
+function sendOcrRequest(message, { onProgress, onCell, signal } = {}) {
+    const id = ++ocrRequestId;
+
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+
+        ocrRequests.set(id, { resolve, reject, onProgress, onCell });
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                if (!ocrRequests.has(id)) return;
+                if (ocrRequests.size > 1) {
+                    ocrRequests.delete(id);
+                    reject(abortReason(signal));
+                } else {
+                    terminateOcrWorker(abortReason(signal));
+                }
+            }, { once: true });
+        }
+        try {
+            getOcrWorker().postMessage({ ...message, id, config: OCR_CONFIG });
+        } catch (error) {
+            ocrRequests.delete(id);
+            reject(new PipelineError('ocr-engine', `The OCR engine could not be started: ${error.message}`));
+        }
+    });
+}
+
+function abortReason(signal) {
+    return signal.reason || new DOMException('The OCR run was cancelled.', 'AbortError');
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) throw abortReason(signal);
+}
+
+function handleOcrMessage(e) {
+    const message = e.data;
+    const request = ocrRequests.get(message.id);
+    if (!request) return;
+
+    switch (message.type) {
+        case 'progress':
+            if (request.onProgress) {
+                request.onProgress({ stage: message.stage, done: message.done, total: message.total });
+            }
+            break;
+        case 'cell':
+            if (request.onCell) {
+                request.onCell({ index: message.index, cell: message.cell });
+            }
+            break;
+        case 'result':
+            ocrRequests.delete(message.id);
+            request.resolve({ cells: message.cells, bars: message.bars });
+            break;
+        case 'candidates':
+            ocrRequests.delete(message.id);
+            request.resolve(message.candidates);
+            break;
+        case 'error':
+            ocrRequests.delete(message.id);
+            request.reject(new PipelineError('ocr-engine', message.message));
+            break;
+    }
+}
+
+/**
+ * Recognise every tile and solved bar of a detected grid in the worker.
+ * `onProgress({ stage, done, total })` is called as cells complete, and
+ * `onCell({ index, cell })` with each tile's result as soon as it is read.
+ * Aborting `signal` rejects with an AbortError (see sendOcrRequest).
+ * Resolves to { cells, bars }: one { text, rawText, confidence, corrected,
+ * alternatives } per tile in grid order, and the raw text of each bar.
+ */
+function recognizeGrid(image, gridBounds, { onProgress, onCell, signal } = {}) {
+    const outside = [...gridBounds.tiles, ...(gridBounds.solvedBars || [])]
+        .find(rect => !isRectInImage(rect, gridBounds));
+    if (outside) {
+        return Promise.reject(new PipelineError('crop',
+            `A tile at (${outside.x}, ${outside.y}) lies outside the image.`, { gridBounds }));
+    }
+
+    return sendOcrRequest({
+        type: 'recognize',
+        image,
+        cells: gridBounds.tiles.map(tile => getTileTextRect(tile)),
+        bars: (gridBounds.solvedBars || []).map(bar => getTileTextRect(bar))
+    }, { onProgress, onCell, signal });
+}
+
+/**
+ * Whether `rect` has an area and fits inside the image `gridBounds` was
+ * measured on
+ */
+function isRectInImage(rect, { imageWidth, imageHeight }) {
+    return rect.width >= 1 && rect.height >= 1 &&
+        rect.x >= 0 && rect.y >= 0 &&
+        rect.x + rect.width <= imageWidth && rect.y + rect.height <= imageHeight;
+}
+
+/**
+ * Re-read one tile ({ x, y, width, height } in image coordinates) with
+ * several crop, polarity, scale and segmentation settings in the worker.
+ * Resolves to one { label, text, rawText, confidence, corrected, alternatives }
+ * per setting; `onProgress` and `signal` work as in recognizeGrid.
+ */
+function recognizeTileVariants(image, tile, { onProgress, signal } = {}) {
+    return sendOcrRequest({
+        type: 'retry',
+        image,
+        tile: { x: tile.x, y: tile.y, width: tile.width, height: tile.height }
+    }, { onProgress, signal });
+}
+
+/**
+ * Run the whole image pipeline on one screenshot or photo: straighten it,
+ * detect the grid, then recognise every tile. Shared by the app and the
+ * test harness so both measure the same code.
+ * `shape` ({ rows, cols }) forces the grid shape instead of detecting it.
+ * `onDetected({ image, corrected, detectedBounds, gridBounds })` fires once the
+ * grid is found (before OCR); `onProgress`, `onCell` and `signal` are passed
+ * through to recognizeGrid. An aborted `signal` also stops between stages.
+ * `theme` ('light' or 'dark') and `profiles` (calibration profiles, the
+ * built-in ones by default) are passed to detection; see detectGridBounds.
+ * Resolves to { image, corrected, detectedBounds, gridBounds, ocr, timings }
+ * where `image` is the (possibly corrected) image everything else refers to.
+ * Stage failures reject with a PipelineError.
+ */
+async function analyzePuzzleImage(file, { shape = null, theme = null, profiles = CALIBRATION_PROFILES, signal, onDetected, onProgress, onCell } = {}) {
+    const timings = {};
+    let start = performance.now();
+
+    let perspective;
+    try {
+        perspective = await correctPerspective(file, { theme, profiles });
+    } catch (error) {
+        console.error('Image decode failed:', error);
+        throw new PipelineError('decode', 'This file could not be opened as an image.');
+    }
+    const image = perspective.blob;
+    timings.perspective = performance.now() - start;
+    throwIfAborted(signal);
+
+    start = performance.now();
+    const detectedBounds = await detectGridBounds(image, shape, { theme, profiles });
+    const gridBounds = padGridBounds(detectedBounds);
+    timings.detection = performance.now() - start;
+    throwIfAborted(signal);
+
+    if (!detectedBounds.diagnostics.region) {
+        throw new PipelineError('no-grid', 'No puzzle grid was found in this image.', {
+            image, corrected: perspective.corrected, detectedBounds, gridBounds, timings
+        });
+    }
+
+    if (onDetected) {
+        onDetected({ image, corrected: perspective.corrected, detectedBounds, gridBounds });
+    }
+
+    start = performance.now();
+    const ocr = await recognizeGrid(image, gridBounds, { onProgress, onCell, signal });
+    timings.ocr = performance.now() - start;
+
+    return { image, corrected: perspective.corrected, detectedBounds, gridBounds, ocr, timings };
+}
@@ -0,0 +1,205 @@
+/**
+ * OCR Worker
+ * Crops, preprocesses and recognises grid cells off the main thread, and
+ * re-reads single tiles with alternative settings on request.
+ * A Tesseract scheduler is created on first use and reused for every run;
+ * cells are queued on it together so its workers recognise them in parallel.
+ */
+
+importScripts('image-processing.js', 'wordlist.js', 'ocr-correction.js');
+
+let scheduler = null;
+let schedulerReady = null;
+let retryWorkerReady = null;
+
+// Settings tried when re-reading a single tile; each changes one thing from
+// the defaults used for the whole grid
+const RETRY_VARIANTS = [
+    { label: 'Wider crop', inset: 0.02 },
+    { label: 'Tighter crop', inset: 0.16 },
+    { label: 'Dark text', polarity: 'dark' },
+    { label: 'Light text', polarity: 'light' },
+    { label: 'Scaled up', scale: 2 },
+    { label: 'Scaled down', scale: 0.5 },
+    { label: 'Single line', pageSegMode: 'SINGLE_LINE' },
+    { label: 'Single word', pageSegMode: 'SINGLE_WORD' }
+];
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    try {
+        if (message.type === 'recognize') {
+            await recognizeGrid(message);
+        } else if (message.type === 'retry') {
+            await retryCell(message);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+    }
+};
+
+/**
+ * Load Tesseract and start its workers once; later runs reuse them
+ */
+function initScheduler(config) {
+    if (schedulerReady) return schedulerReady;
+
+    schedulerReady = (async () => {
+        try {
+            importScripts(config.tesseractScript);
+        } catch (error) {
+            throw new Error('OCR library not loaded. Please reload the page and try again.');
+        }
+
+        scheduler = Tesseract.createScheduler();
+        const workers = await Promise.all(
+            Array.from({ length: config.workerCount }, () =>
+                Tesseract.createWorker('eng', 1, config.tesseractOptions)
+            )
+        );
+        workers.forEach(worker => scheduler.addWorker(worker));
+    })();
+
+    // Allow a retry on the next run if start-up failed
+    schedulerReady.catch(() => {
+        schedulerReady = null;
+        scheduler = null;
+    });
+
+    return schedulerReady;
+}
+
+/**
+ * A separate Tesseract worker for single-tile retries, so changing its
+ * page segmentation mode never affects grid runs on the scheduler
+ */
+async function getRetryWorker(config) {
+    await initScheduler(config);
+    if (!retryWorkerReady) {
+        retryWorkerReady = Tesseract.createWorker('eng', 1, config.tesseractOptions);
+        retryWorkerReady.catch(() => {
+            retryWorkerReady = null;
+        });
+    }
+    return retryWorkerReady;
+}
+
+/**
+ * Recognise every cell and solved bar rectangle of one image.
+ * Rectangles are { left, top, width, height } in image coordinates.
+ */
+async function recognizeGrid({ id, image, config, cells, bars }) {
+    const total = cells.length + bars.length;
+    let done = 0;
+
+    self.postMessage({ type: 'progress', id, stage: 'init', done, total });
+    await initScheduler(config);
+
+    const bitmap = await createImageBitmap(image);
+
+    const recognizeRect = async (rect) => {
+        const cellBlob = await cropCell(bitmap, rect);
+        const { data } = await scheduler.addJob('recognize', cellBlob);
+        done++;
+        self.postMessage({ type: 'progress', id, stage: 'recognize', done, total });
+        return data;
+    };
+
+    const [barTexts, cellResults] = await Promise.all([
+        Promise.all(bars.map(async rect => {
+            const data = await recognizeRect(rect);
+            return data ? data.text : '';
+        })),
+        Promise.all(cells.map(async (rect, index) => {
+            const cell = readCell(await recognizeRect(rect));
+            self.postMessage({ type: 'cell', id, index, cell });
+            return cell;
+        }))
+    ]);
+
+    bitmap.close();
+    self.postMessage({ type: 'result', id, cells: cellResults, bars: barTexts });
+}
+
+/**
+ * Read one tile with every RETRY_VARIANTS setting.
+ * `tile` is the tile's { x, y, width, height } in image coordinates.
+ * Posts one { label, text, rawText, confidence, corrected, alternatives }
+ * candidate per variant, in RETRY_VARIANTS order.
+ */
+async function retryCell({ id, image, config, tile }) {
+    const total = RETRY_VARIANTS.length;
+    self.postMessage({ type: 'progress', id, stage: 'init', done: 0, total });
+    const worker = await getRetryWorker(config);
+
+    const bitmap = await createImageBitmap(image);
+    const candidates = [];
+
+    try {
+        for (const variant of RETRY_VARIANTS) {
+            const rect = getTileTextRect(tile, 0, 0, variant.inset || TILE_TEXT_INSET);
+            const cellBlob = await cropCell(bitmap, rect, variant);
+            await worker.setParameters({
+                tessedit_pageseg_mode: Tesseract.PSM[variant.pageSegMode || 'SINGLE_BLOCK']
+            });
+            const { data } = await worker.recognize(cellBlob);
+            candidates.push({ label: variant.label, ...readCell(data) });
+            self.postMessage({ type: 'progress', id, stage: 'recognize', done: candidates.length, total });
+        }
+    } finally {
+        bitmap.close();
+    }
+
+    self.postMessage({ type: 'candidates', id, candidates });
+}
+
+/**
+ * Crop one cell and binarise it to dark text on white for OCR
+ * Small cells are scaled up so text is tall enough for Tesseract;
+ * `scale` multiplies that and `polarity` is passed on to binarizeCell
+ */
+async function cropCell(bitmap, rect, { scale: extraScale = 1, polarity = 'auto' } = {}) {
+    const left = Math.max(0, Math.round(rect.left));
+    const top = Math.max(0, Math.round(rect.top));
+    const width = Math.max(1, Math.min(Math.round(rect.width), bitmap.width - left));
+    const height = Math.max(1, Math.min(Math.round(rect.height), bitmap.height - top));
+    const scale = Math.max(1, Math.min(3, 120 / height)) * extraScale;
+
+    const canvas = new OffscreenCanvas(Math.round(width * scale), Math.round(height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, left, top, width, height, 0, 0, canvas.width, canvas.height);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    binarizeCell(imageData, { polarity });
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Turn a Tesseract result into the cell's text, confidence and corrections
+ */
+function readCell(data) {
+    const words = [];
+    let confidenceSum = 0;
+
+    for (const word of (data && data.words) || []) {
+        const cleaned = word.text.replace(/[^a-zA-Z0-9'-\s]/g, '').trim();
+        if (cleaned.length >= 2) {
+            words.push(cleaned.toUpperCase());
+            confidenceSum += word.confidence;
+        }
+    }
+
+    const rawText = words.join(' ');
+    const correction = correctOcrText(rawText);
+
+    return {
+        text: correction.text,
+        rawText,
+        confidence: words.length > 0 ? Math.round(confidenceSum / words.length) : 0,
+        corrected: correction.corrected,
+        alternatives: correction.alternatives
+    };
+}
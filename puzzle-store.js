@@ -0,0 +1,123 @@
+/**
+ * Puzzle Store
+ * Every puzzle the user has loaded, in IndexedDB. The `puzzles` store holds
+ * one record per puzzle:
+ *   { id, name, createdAt, openedAt, updatedAt, board, thumbnail }
+ * where `board` is what the app saves for the puzzle (see serializeBoard in
+ * app.js) and `thumbnail` a small image Blob of its grid. The source
+ * screenshot is kept apart in `images`, keyed by puzzle id, so saving a
+ * move doesn't rewrite it.
+ */
+
+const PUZZLE_DB_NAME = 'well-connected';
+const PUZZLE_DB_VERSION = 1;
+
+let puzzleDbPromise = null;
+
+function openPuzzleDb() {
+    if (puzzleDbPromise) return puzzleDbPromise;
+
+    puzzleDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available.'));
+            return;
+        }
+
+        const request = indexedDB.open(PUZZLE_DB_NAME, PUZZLE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('puzzles', { keyPath: 'id' });
+            db.createObjectStore('images');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user allows storage)
+    puzzleDbPromise.catch(() => {
+        puzzleDbPromise = null;
+    });
+
+    return puzzleDbPromise;
+}
+
+/**
+ * Run `work(stores)` in one transaction over `storeNames` and resolve with
+ * its result once the transaction has completed
+ */
+async function withPuzzleStores(storeNames, mode, work) {
+    const db = await openPuzzleDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = storeNames.map(name => transaction.objectStore(name));
+        let result;
+        Promise.resolve(work(...stores)).then(value => {
+            result = value;
+        }, reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Puzzle store transaction aborted.'));
+    });
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Every saved puzzle, most recently opened first
+ */
+async function listPuzzles() {
+    const puzzles = await withPuzzleStores(['puzzles'], 'readonly', store => requestResult(store.getAll()));
+    return puzzles.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+function getPuzzle(id) {
+    return withPuzzleStores(['puzzles'], 'readonly', store => requestResult(store.get(id)));
+}
+
+/**
+ * Save a puzzle, keeping whatever its stored record has that `puzzle`
+ * doesn't set (e.g. the thumbnail)
+ */
+function savePuzzle(puzzle) {
+    return withPuzzleStores(['puzzles'], 'readwrite', async (store) => {
+        const record = await requestResult(store.get(puzzle.id));
+        store.put({ ...record, ...puzzle });
+    });
+}
+
+/**
+ * Merge `changes` into a stored puzzle; does nothing once it's deleted
+ */
+function updatePuzzle(id, changes) {
+    return withPuzzleStores(['puzzles'], 'readwrite', async (store) => {
+        const record = await requestResult(store.get(id));
+        if (record) {
+            store.put({ ...record, ...changes, id });
+        }
+    });
+}
+
+/**
+ * Delete a puzzle and its screenshot
+ */
+function deletePuzzle(id) {
+    return withPuzzleStores(['puzzles', 'images'], 'readwrite', (puzzles, images) => {
+        puzzles.delete(id);
+        images.delete(id);
+    });
+}
+
+function getPuzzleImage(id) {
+    return withPuzzleStores(['images'], 'readonly', store => requestResult(store.get(id)));
+}
+
+function putPuzzleImage(id, blob) {
+    return withPuzzleStores(['images'], 'readwrite', (store) => {
+        store.put(blob, id);
+    });
+}
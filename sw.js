@@ -0,0 +1,75 @@
+/**
+ * Service Worker
+ * Precaches the app shell and the self-hosted OCR engine so the whole app
+ * (upload, OCR, grid and saved state) works offline once it has loaded once.
+ * Bump CACHE_VERSION whenever any precached file changes.
+ */
+
+const CACHE_VERSION = 29;
+const CACHE_NAME = `well-connected-v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'app.js',
+    'calibration-profiles.js',
+    'image-processing.js',
+    'wordlist.js',
+    'ocr-correction.js',
+    'ocr-pipeline.js',
+    'puzzle-store.js',
+    'ocr-worker.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+    'vendor/tesseract/lang/eng.traineddata.gz'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('well-connected-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs; definition lookups and the like go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then((cached) => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                // Offline navigation to any page of the app gets the shell
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw new Error(`Offline and not cached: ${url.pathname}`);
+            });
+        })
+    );
+});
@@ -0,0 +1,313 @@
+/**
+ * Synthetic Board Generator
+ * Renders fake Connections screenshots with known tile rectangles and words,
+ * so grid detection can be measured and tuned without real screenshots.
+ * Output uses the same sidecar format as the batch runner in test-image-processing.html.
+ */
+
+const SYNTHETIC_THEMES = {
+    light: {
+        background: '#ffffff',
+        tile: '#efefe6',
+        text: '#000000',
+        selectedTile: '#5a594e',
+        selectedText: '#ffffff',
+        chrome: '#000000'
+    },
+    medium: {
+        background: '#d6d6cf',
+        tile: '#efefe6',
+        text: '#000000',
+        selectedTile: '#5a594e',
+        selectedText: '#ffffff',
+        chrome: '#333333'
+    },
+    dark: {
+        background: '#121212',
+        tile: '#3a3a3c',
+        text: '#ffffff',
+        selectedTile: '#8e8e80',
+        selectedText: '#121212',
+        chrome: '#ffffff'
+    }
+};
+
+// Screenshot size in pixels, tile height as a fraction of tile width, and
+// optionally a fixed grid width. The last two are large inputs for
+// measuring detection speed and memory.
+const SYNTHETIC_DEVICES = {
+    phone: { width: 1170, height: 2532, tileAspect: 0.95 },
+    tablet: { width: 1640, height: 2360, tileAspect: 0.7 },
+    desktop: { width: 1920, height: 1080, tileAspect: 0.53 },
+    desktop4k: { width: 3840, height: 2160, tileAspect: 0.53, gridWidth: 2400 },
+    scrolling: { width: 1170, height: 7200, tileAspect: 0.95 }
+};
+
+const SYNTHETIC_GROUP_COLORS = {
+    yellow: '#f9df6d',
+    green: '#a0c35a',
+    blue: '#b0c4ef',
+    purple: '#ba81c5',
+    orange: '#f2a65a',
+    pink: '#f19cbb'
+};
+
+const SYNTHETIC_FALLBACK_WORDS = [
+    'APPLE', 'BRIDGE', 'CRANE', 'DIAMOND', 'EGRET', 'FALCON', 'GRAPE', 'HERON',
+    'IGLOO', 'JACKET', 'KETTLE', 'LEMON', 'MANGO', 'NEEDLE', 'OPERA', 'PENCIL',
+    'QUARTZ', 'ROBIN', 'SPADE', 'TULIP', 'UMBRELLA', 'VIOLIN', 'WALNUT', 'YACHT'
+];
+
+const SYNTHETIC_DEFAULTS = {
+    seed: 1,
+    theme: 'light',
+    device: 'phone',
+    rows: 4,
+    cols: 4,
+    gutter: 0.03,        // Gap between tiles as a fraction of grid width
+    font: 'system-ui, -apple-system, sans-serif',
+    solvedCount: 0,      // Leading rows rendered as solved bars
+    selectedCount: 0,    // Unsolved tiles drawn in the selected (dark) style
+    chrome: true,        // Title, mistakes dots and buttons around the grid
+    mistakesRemaining: 4, // Dots drawn in the mistakes counter (with chrome)
+    noise: 0,            // Standard deviation of per-pixel noise, in 0-255 levels
+    jpegQuality: null    // Encode as JPEG at this quality (0-1) instead of PNG
+};
+
+/**
+ * Render one synthetic board.
+ * Resolves to { blob, width, height, expected } where `expected` holds the
+ * ground truth in sidecar format: { bounds, tiles, words, solvedBars,
+ * selectedTiles, mistakesRemaining, options }.
+ * The same options (including seed) always produce the same board.
+ */
+async function generateSyntheticBoard(options = {}) {
+    const opts = { ...SYNTHETIC_DEFAULTS, ...options };
+    const theme = SYNTHETIC_THEMES[opts.theme] || SYNTHETIC_THEMES.light;
+    const device = SYNTHETIC_DEVICES[opts.device] || SYNTHETIC_DEVICES.phone;
+    const random = createSeededRandom(opts.seed);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = device.width;
+    canvas.height = device.height;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Grid geometry, capped so desktop boards don't span the whole screen
+    const gridWidth = device.gridWidth || Math.round(Math.min(device.width * 0.92, device.height * 1.1, 1300));
+    const gutter = Math.round(gridWidth * opts.gutter);
+    const tileWidth = (gridWidth - gutter * (opts.cols - 1)) / opts.cols;
+    const tileHeight = Math.round(tileWidth * device.tileAspect);
+    const gridHeight = tileHeight * opts.rows + gutter * (opts.rows - 1);
+    const gridX = Math.round((device.width - gridWidth) / 2);
+    const gridY = Math.round(Math.max(device.height * 0.22, (device.height - gridHeight) / 2 - tileHeight * 0.5));
+    const radius = Math.round(tileHeight * 0.08);
+
+    const words = pickSyntheticWords(opts.rows * opts.cols, random);
+    // The four classic colours first; orange and pink only for the extra groups
+    const groupColors = [
+        ...shuffleWithRandom(Object.keys(SYNTHETIC_GROUP_COLORS).slice(0, 4), random),
+        ...Object.keys(SYNTHETIC_GROUP_COLORS).slice(4)
+    ].slice(0, opts.rows);
+    const solvedCount = Math.min(opts.solvedCount, opts.rows);
+
+    if (opts.chrome) {
+        drawSyntheticChrome(ctx, theme, opts.font, { gridX, gridY, gridWidth, gridHeight, tileHeight }, opts.mistakesRemaining);
+    }
+
+    // Solved bars take the top rows; each holds one row's worth of words
+    const solvedBars = [];
+    for (let row = 0; row < solvedCount; row++) {
+        const y = gridY + row * (tileHeight + gutter);
+        const color = groupColors[row % groupColors.length];
+        const members = words.slice(row * opts.cols, (row + 1) * opts.cols);
+        const category = `GROUP ${row + 1}`;
+
+        ctx.fillStyle = SYNTHETIC_GROUP_COLORS[color];
+        fillRoundedRect(ctx, gridX, y, gridWidth, tileHeight, radius);
+
+        ctx.fillStyle = '#000000';
+        drawFittedText(ctx, category, gridX + gridWidth / 2, y + tileHeight * 0.38, gridWidth * 0.9, tileHeight * 0.22, 'bold', opts.font);
+        drawFittedText(ctx, members.join(', '), gridX + gridWidth / 2, y + tileHeight * 0.66, gridWidth * 0.9, tileHeight * 0.18, '', opts.font);
+
+        solvedBars.push({ x: gridX, y, width: gridWidth, height: tileHeight, color, category, words: members });
+    }
+
+    // Remaining tiles, in grid order
+    const tiles = [];
+    const unsolvedWords = words.slice(solvedCount * opts.cols);
+    const selected = new Set(shuffleWithRandom(unsolvedWords.map((_, i) => i), random).slice(0, opts.selectedCount));
+
+    unsolvedWords.forEach((word, i) => {
+        const row = solvedCount + Math.floor(i / opts.cols);
+        const col = i % opts.cols;
+        const x = Math.round(gridX + col * (tileWidth + gutter));
+        const y = gridY + row * (tileHeight + gutter);
+        const width = Math.round(tileWidth);
+        const isSelected = selected.has(i);
+
+        ctx.fillStyle = isSelected ? theme.selectedTile : theme.tile;
+        fillRoundedRect(ctx, x, y, width, tileHeight, radius);
+
+        ctx.fillStyle = isSelected ? theme.selectedText : theme.text;
+        drawFittedText(ctx, word, x + width / 2, y + tileHeight / 2, width * 0.86, tileHeight * 0.2, 'bold', opts.font);
+
+        tiles.push({ x, y, width, height: tileHeight });
+    });
+
+    if (opts.noise > 0) {
+        addSyntheticNoise(ctx, canvas.width, canvas.height, opts.noise, random);
+    }
+
+    const type = opts.jpegQuality ? 'image/jpeg' : 'image/png';
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob((result) => {
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error('Failed to encode synthetic board'));
+            }
+        }, type, opts.jpegQuality || undefined);
+    });
+
+    return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        expected: {
+            bounds: { x: gridX, y: gridY, width: gridWidth, height: gridHeight },
+            tiles,
+            words: unsolvedWords,
+            solvedBars,
+            selectedTiles: [...selected].sort((a, b) => a - b),
+            // No dots at all reads the same as no counter
+            mistakesRemaining: opts.chrome && opts.mistakesRemaining > 0 ? opts.mistakesRemaining : null,
+            options: opts
+        }
+    };
+}
+
+/**
+ * Title above the grid and the mistakes dots and buttons below it,
+ * which give detection the same distractions as a real screenshot
+ */
+function drawSyntheticChrome(ctx, theme, font, { gridX, gridY, gridWidth, gridHeight, tileHeight }, mistakesRemaining) {
+    const centerX = gridX + gridWidth / 2;
+    ctx.fillStyle = theme.chrome;
+    drawFittedText(ctx, 'Create four groups of four!', centerX, gridY - tileHeight * 0.5, gridWidth, tileHeight * 0.2, '', font);
+
+    const dotsY = gridY + gridHeight + tileHeight * 0.6;
+    const dotRadius = tileHeight * 0.08;
+    drawFittedText(ctx, 'Mistakes Remaining:', centerX - dotRadius * 6, dotsY, gridWidth * 0.5, tileHeight * 0.18, '', font, 'right');
+    for (let i = 0; i < mistakesRemaining; i++) {
+        ctx.beginPath();
+        ctx.arc(centerX + dotRadius * (i * 3), dotsY, dotRadius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Outlined pill buttons
+    const labels = ['Shuffle', 'Deselect All', 'Submit'];
+    const buttonHeight = tileHeight * 0.5;
+    const buttonWidth = gridWidth * 0.26;
+    const buttonsY = dotsY + tileHeight * 0.6;
+    ctx.strokeStyle = theme.chrome;
+    ctx.lineWidth = Math.max(1, tileHeight * 0.02);
+    labels.forEach((label, i) => {
+        const x = centerX + (i - 1.5) * buttonWidth * 1.1 + buttonWidth * 0.05;
+        strokeRoundedRect(ctx, x, buttonsY, buttonWidth, buttonHeight, buttonHeight / 2);
+        drawFittedText(ctx, label, x + buttonWidth / 2, buttonsY + buttonHeight / 2, buttonWidth * 0.8, buttonHeight * 0.36, 'bold', font);
+    });
+}
+
+/**
+ * Draw centred text, shrinking it until it fits `maxWidth`
+ */
+function drawFittedText(ctx, text, x, y, maxWidth, fontSize, weight, font, align = 'center') {
+    let size = Math.round(fontSize);
+    ctx.font = `${weight} ${size}px ${font}`;
+    while (size > 8 && ctx.measureText(text).width > maxWidth) {
+        size--;
+        ctx.font = `${weight} ${size}px ${font}`;
+    }
+    ctx.textAlign = align;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x, y);
+}
+
+function roundedRectPath(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+}
+
+function fillRoundedRect(ctx, x, y, width, height, radius) {
+    roundedRectPath(ctx, x, y, width, height, radius);
+    ctx.fill();
+}
+
+function strokeRoundedRect(ctx, x, y, width, height, radius) {
+    roundedRectPath(ctx, x, y, width, height, radius);
+    ctx.stroke();
+}
+
+/**
+ * Add Gaussian noise (Box-Muller) with the given standard deviation
+ */
+function addSyntheticNoise(ctx, width, height, deviation, random) {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const pixels = imageData.data;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+        const gaussian = Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random());
+        const offset = gaussian * deviation;
+        pixels[i] += offset;
+        pixels[i + 1] += offset;
+        pixels[i + 2] += offset;
+    }
+
+    ctx.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Pick distinct 3-8 letter words from the OCR word list when it's loaded
+ */
+function pickSyntheticWords(count, random) {
+    const source = typeof OCR_WORD_LIST === 'string'
+        ? OCR_WORD_LIST.split(' ').filter(word => word.length >= 3 && word.length <= 8)
+        : SYNTHETIC_FALLBACK_WORDS;
+
+    const picked = new Set();
+    while (picked.size < Math.min(count, source.length)) {
+        picked.add(source[Math.floor(random() * source.length)]);
+    }
+    return [...picked];
+}
+
+function shuffleWithRandom(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
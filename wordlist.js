@@ -0,0 +1,3639 @@
+/**
+ * Offline Word List
+ * Dictionary used by OCR post-correction (ocr-correction.js)
+ *
+ * Words are drawn from SCOWL (size 35, English + American), letters only.
+ * Copyright 2000-2016 by Kevin Atkinson. Permission to use, copy, modify,
+ * distribute and sell these word lists, the associated scripts, the output
+ * created from the scripts, and its documentation for any purpose is hereby
+ * granted without fee, provided that the above copyright notice appears in
+ * all copies and that both that copyright notice and this permission notice
+ * appear in supporting documentation. Kevin Atkinson makes no representations
+ * about the suitability of this array for any purpose. It is provided "as is"
+ * without express or implied warranty. See http://wordlist.aspell.net/
+ */
+
+// Space-separated to keep the file compact; split once when first used
+const OCR_WORD_LIST = [
+    'AARDVARK ABACK ABACUS ABACUSES ABANDON ABANDONED ABANDONING ABANDONMENT ABANDONS ABATE ABATED ABATES',
+    'ABATING ABBEY ABBEYS ABBOT ABBOTS ABBREVIATE ABBREVIATED ABBREVIATES ABBREVIATING ABBREVIATION',
+    'ABBREVIATIONS ABDICATE ABDICATED ABDICATES ABDICATING ABDICATION ABDICATIONS ABDOMEN ABDOMENS',
+    'ABDOMINAL ABDUCT ABDUCTED ABDUCTING ABDUCTS ABERRATION ABERRATIONS ABET ABETS ABETTED ABETTING ABHOR',
+    'ABHORRED ABHORRENCE ABHORRENT ABHORRING ABHORS ABIDE ABIDES ABIDING ABILITIES ABILITY ABJECT ABLAZE',
+    'ABLE ABLER ABLEST ABLY ABNORMAL ABNORMALITIES ABNORMALITY ABNORMALLY ABOARD ABODE ABODES ABOLISH',
+    'ABOLISHED ABOLISHES ABOLISHING ABOLITION ABOMINABLE ABOMINATION ABORIGINAL ABORIGINE ABORIGINES',
+    'ABORT ABORTED ABORTING ABORTION ABORTIONS ABORTIVE ABORTS ABOUND ABOUNDED ABOUNDING ABOUNDS ABOUT',
+    'ABOVE ABOVEBOARD ABRASIVE ABRASIVES ABREAST ABRIDGE ABRIDGED ABRIDGES ABRIDGING ABROAD ABRUPT',
+    'ABRUPTER ABRUPTEST ABRUPTLY ABSCESS ABSCESSED ABSCESSES ABSCESSING ABSCOND ABSCONDED ABSCONDING',
+    'ABSCONDS ABSENCE ABSENCES ABSENT ABSENTED ABSENTEE ABSENTEES ABSENTING ABSENTS ABSOLUTE ABSOLUTELY',
+    'ABSOLUTES ABSOLUTEST ABSOLVE ABSOLVED ABSOLVES ABSOLVING ABSORB ABSORBED ABSORBENT ABSORBENTS',
+    'ABSORBING ABSORBS ABSORPTION ABSTAIN ABSTAINED ABSTAINING ABSTAINS ABSTENTION ABSTENTIONS ABSTINENCE',
+    'ABSTRACT ABSTRACTED ABSTRACTING ABSTRACTION ABSTRACTIONS ABSTRACTS ABSTRUSE ABSURD ABSURDER',
+    'ABSURDEST ABSURDITIES ABSURDITY ABSURDLY ABUNDANCE ABUNDANCES ABUNDANT ABUNDANTLY ABUSE ABUSED',
+    'ABUSER ABUSERS ABUSES ABUSING ABUSIVE ABYSMAL ABYSS ABYSSES ACADEMIC ACADEMICALLY ACADEMICS',
+    'ACADEMIES ACADEMY ACCEDE ACCEDED ACCEDES ACCEDING ACCELERATE ACCELERATED ACCELERATES ACCELERATING',
+    'ACCELERATION ACCELERATIONS ACCELERATOR ACCELERATORS ACCENT ACCENTED ACCENTING ACCENTS ACCENTUATE',
+    'ACCENTUATED ACCENTUATES ACCENTUATING ACCEPT ACCEPTABILITY ACCEPTABLE ACCEPTABLY ACCEPTANCE',
+    'ACCEPTANCES ACCEPTED ACCEPTING ACCEPTS ACCESS ACCESSED ACCESSES ACCESSIBILITY ACCESSIBLE ACCESSING',
+    'ACCESSORIES ACCESSORY ACCIDENT ACCIDENTAL ACCIDENTALLY ACCIDENTALS ACCIDENTS ACCLAIM ACCLAIMED',
+    'ACCLAIMING ACCLAIMS ACCLIMATE ACCLIMATED ACCLIMATES ACCLIMATING ACCLIMATIZE ACCLIMATIZED',
+    'ACCLIMATIZES ACCLIMATIZING ACCOLADE ACCOLADES ACCOMMODATE ACCOMMODATED ACCOMMODATES ACCOMMODATING',
+    'ACCOMMODATION ACCOMMODATIONS ACCOMPANIED ACCOMPANIES ACCOMPANIMENT ACCOMPANIMENTS ACCOMPANIST',
+    'ACCOMPANISTS ACCOMPANY ACCOMPANYING ACCOMPLICE ACCOMPLICES ACCOMPLISH ACCOMPLISHED ACCOMPLISHES',
+    'ACCOMPLISHING ACCOMPLISHMENT ACCOMPLISHMENTS ACCORD ACCORDANCE ACCORDED ACCORDING ACCORDINGLY',
+    'ACCORDION ACCORDIONS ACCORDS ACCOST ACCOSTED ACCOSTING ACCOSTS ACCOUNT ACCOUNTABILITY ACCOUNTABLE',
+    'ACCOUNTANCY ACCOUNTANT ACCOUNTANTS ACCOUNTED ACCOUNTING ACCOUNTS ACCREDIT ACCREDITED ACCREDITING',
+    'ACCREDITS ACCRUE ACCRUED ACCRUES ACCRUING ACCUMULATE ACCUMULATED ACCUMULATES ACCUMULATING',
+    'ACCUMULATION ACCUMULATIONS ACCURACY ACCURATE ACCURATELY ACCUSATION ACCUSATIONS ACCUSE ACCUSED',
+    'ACCUSER ACCUSERS ACCUSES ACCUSING ACCUSTOM ACCUSTOMED ACCUSTOMING ACCUSTOMS ACE ACED ACES ACHE ACHED',
+    'ACHES ACHIEVABLE ACHIEVE ACHIEVED ACHIEVEMENT ACHIEVEMENTS ACHIEVES ACHIEVING ACHING ACID ACIDITY',
+    'ACIDS ACING ACKNOWLEDGE ACKNOWLEDGED ACKNOWLEDGES ACKNOWLEDGING ACKNOWLEDGMENT ACKNOWLEDGMENTS ACNE',
+    'ACORN ACORNS ACOUSTIC ACOUSTICS ACQUAINT ACQUAINTANCE ACQUAINTANCES ACQUAINTED ACQUAINTING ACQUAINTS',
+    'ACQUIESCE ACQUIESCED ACQUIESCENCE ACQUIESCES ACQUIESCING ACQUIRE ACQUIRED ACQUIRES ACQUIRING',
+    'ACQUISITION ACQUISITIONS ACQUIT ACQUITS ACQUITTAL ACQUITTALS ACQUITTED ACQUITTING ACRE ACREAGE',
+    'ACREAGES ACRES ACRID ACRIDER ACRIDEST ACRIMONIOUS ACRIMONY ACROBAT ACROBATIC ACROBATICS ACROBATS',
+    'ACRONYM ACRONYMS ACROSS ACRYLIC ACRYLICS ACT ACTED ACTING ACTION ACTIONS ACTIVATE ACTIVATED',
+    'ACTIVATES ACTIVATING ACTIVE ACTIVELY ACTIVES ACTIVIST ACTIVISTS ACTIVITIES ACTIVITY ACTOR ACTORS',
+    'ACTRESS ACTRESSES ACTS ACTUAL ACTUALITIES ACTUALITY ACTUALLY ACTUARY ACUMEN ACUPUNCTURE ACUTE',
+    'ACUTELY ACUTER ACUTES ACUTEST AD ADAGE ADAGES ADAMANT ADAPT ADAPTABLE ADAPTATION ADAPTATIONS ADAPTED',
+    'ADAPTER ADAPTING ADAPTIVE ADAPTS ADD ADDED ADDENDUM ADDICT ADDICTED ADDICTING ADDICTION ADDICTIONS',
+    'ADDICTIVE ADDICTS ADDING ADDITION ADDITIONAL ADDITIONALLY ADDITIONS ADDITIVE ADDITIVES ADDRESS',
+    'ADDRESSED ADDRESSEE ADDRESSEES ADDRESSES ADDRESSING ADDS ADEPT ADEPTS ADEQUATE ADEQUATELY ADHERE',
+    'ADHERED ADHERENCE ADHERENT ADHERENTS ADHERES ADHERING ADHESION ADHESIVE ADHESIVES ADJACENT ADJECTIVE',
+    'ADJECTIVES ADJOIN ADJOINED ADJOINING ADJOINS ADJOURN ADJOURNED ADJOURNING ADJOURNMENT ADJOURNMENTS',
+    'ADJOURNS ADJUNCT ADJUNCTS ADJUST ADJUSTABLE ADJUSTED ADJUSTING ADJUSTMENT ADJUSTMENTS ADJUSTS',
+    'ADMINISTER ADMINISTERED ADMINISTERING ADMINISTERS ADMINISTRATION ADMINISTRATIONS ADMINISTRATIVE',
+    'ADMINISTRATOR ADMINISTRATORS ADMIRABLE ADMIRABLY ADMIRAL ADMIRALS ADMIRATION ADMIRE ADMIRED ADMIRER',
+    'ADMIRERS ADMIRES ADMIRING ADMISSIBLE ADMISSION ADMISSIONS ADMIT ADMITS ADMITTANCE ADMITTED',
+    'ADMITTEDLY ADMITTING ADMONISH ADMONISHED ADMONISHES ADMONISHING ADMONITION ADMONITIONS ADO ADOBE',
+    'ADOBES ADOLESCENCE ADOLESCENCES ADOLESCENT ADOLESCENTS ADOPT ADOPTED ADOPTING ADOPTION ADOPTIONS',
+    'ADOPTS ADORABLE ADORATION ADORE ADORED ADORES ADORING ADORN ADORNED ADORNING ADORNMENT ADORNMENTS',
+    'ADORNS ADRIFT ADROIT ADROITLY ADS ADULATION ADULT ADULTERATE ADULTERATED ADULTERATES ADULTERATING',
+    'ADULTERATION ADULTERIES ADULTERY ADULTHOOD ADULTS ADVANCE ADVANCED ADVANCEMENT ADVANCEMENTS ADVANCES',
+    'ADVANCING ADVANTAGE ADVANTAGED ADVANTAGEOUS ADVANTAGES ADVANTAGING ADVENT ADVENTURE ADVENTURED',
+    'ADVENTURER ADVENTURERS ADVENTURES ADVENTURING ADVENTUROUS ADVERB ADVERBIAL ADVERBIALS ADVERBS',
+    'ADVERSARIES ADVERSARY ADVERSE ADVERSELY ADVERSER ADVERSEST ADVERSITIES ADVERSITY ADVERT ADVERTISE',
+    'ADVERTISED ADVERTISEMENT ADVERTISEMENTS ADVERTISER ADVERTISERS ADVERTISES ADVERTISING ADVERTS ADVICE',
+    'ADVISABLE ADVISE ADVISED ADVISER ADVISERS ADVISES ADVISING ADVISORIES ADVISORY ADVOCATE ADVOCATED',
+    'ADVOCATES ADVOCATING AERIAL AERIALS AERODYNAMIC AERODYNAMICS AEROSOL AEROSOLS AEROSPACE AESTHETIC',
+    'AESTHETICALLY AFAR AFFABLE AFFABLY AFFAIR AFFAIRS AFFECT AFFECTATION AFFECTATIONS AFFECTED AFFECTING',
+    'AFFECTION AFFECTIONATE AFFECTIONATELY AFFECTIONS AFFECTS AFFIDAVIT AFFIDAVITS AFFILIATE AFFILIATED',
+    'AFFILIATES AFFILIATING AFFILIATION AFFILIATIONS AFFINITIES AFFINITY AFFIRM AFFIRMATION AFFIRMATIONS',
+    'AFFIRMATIVE AFFIRMATIVES AFFIRMED AFFIRMING AFFIRMS AFFIX AFFIXED AFFIXES AFFIXING AFFLICT AFFLICTED',
+    'AFFLICTING AFFLICTION AFFLICTIONS AFFLICTS AFFLUENCE AFFLUENT AFFORD AFFORDABLE AFFORDED AFFORDING',
+    'AFFORDS AFFRONT AFFRONTED AFFRONTING AFFRONTS AFIELD AFLAME AFLOAT AFOOT AFOREMENTIONED AFORESAID',
+    'AFRAID AFRESH AFTER AFTEREFFECT AFTEREFFECTS AFTERLIFE AFTERLIVES AFTERMATH AFTERMATHS AFTERNOON',
+    'AFTERNOONS AFTERTHOUGHT AFTERTHOUGHTS AFTERWARD AFTERWARDS AGAIN AGAINST AGE AGED AGENCIES AGENCY',
+    'AGENDA AGENDAS AGENT AGENTS AGES AGGRAVATE AGGRAVATED AGGRAVATES AGGRAVATING AGGRAVATION',
+    'AGGRAVATIONS AGGREGATE AGGREGATED AGGREGATES AGGREGATING AGGRESSION AGGRESSIVE AGGRESSIVELY',
+    'AGGRESSIVENESS AGGRESSOR AGGRESSORS AGHAST AGILE AGILITY AGING AGITATE AGITATED AGITATES AGITATING',
+    'AGITATION AGITATIONS AGITATOR AGITATORS AGLOW AGNOSTIC AGNOSTICISM AGNOSTICS AGO AGONIES AGONIZE',
+    'AGONIZED AGONIZES AGONIZING AGONY AGREE AGREEABLE AGREEABLY AGREED AGREEING AGREEMENT AGREEMENTS',
+    'AGREES AGRICULTURAL AGRICULTURE AGROUND AH AHEAD AHOY AID AIDE AIDED AIDES AIDING AIDS AIL AILED',
+    'AILING AILMENT AILMENTS AILS AIM AIMED AIMING AIMLESS AIMLESSLY AIMS AIR AIRBORNE AIRCRAFT AIRED',
+    'AIRFIELD AIRFIELDS AIRIER AIRIEST AIRING AIRLINE AIRLINER AIRLINERS AIRLINES AIRMAIL AIRMAILED',
+    'AIRMAILING AIRMAILS AIRPLANE AIRPLANES AIRPORT AIRPORTS AIRS AIRSTRIP AIRSTRIPS AIRTIGHT AIRY AISLE',
+    'AISLES AJAR AKIN ALARM ALARMED ALARMING ALARMINGLY ALARMIST ALARMISTS ALARMS ALAS ALBEIT ALBINO',
+    'ALBINOS ALBUM ALBUMS ALCOHOL ALCOHOLIC ALCOHOLICS ALCOHOLISM ALCOHOLS ALCOVE ALCOVES ALE ALERT',
+    'ALERTED ALERTING ALERTS ALES ALGA ALGAE ALGEBRA ALGEBRAIC ALGORITHM ALGORITHMS ALIAS ALIASED ALIASES',
+    'ALIASING ALIBI ALIBIED ALIBIING ALIBIS ALIEN ALIENATE ALIENATED ALIENATES ALIENATING ALIENATION',
+    'ALIENED ALIENING ALIENS ALIGHT ALIGHTED ALIGHTING ALIGHTS ALIGN ALIGNED ALIGNING ALIGNMENT',
+    'ALIGNMENTS ALIGNS ALIKE ALIMONY ALIVE ALKALI ALKALIES ALKALINE ALL ALLAY ALLAYED ALLAYING ALLAYS',
+    'ALLEGATION ALLEGATIONS ALLEGE ALLEGED ALLEGEDLY ALLEGES ALLEGIANCE ALLEGIANCES ALLEGING ALLEGORICAL',
+    'ALLEGORIES ALLEGORY ALLERGIC ALLERGIES ALLERGY ALLEVIATE ALLEVIATED ALLEVIATES ALLEVIATING ALLEY',
+    'ALLEYS ALLIANCE ALLIANCES ALLIED ALLIES ALLIGATOR ALLIGATORS ALLOCATE ALLOCATED ALLOCATES ALLOCATING',
+    'ALLOCATION ALLOCATIONS ALLOT ALLOTMENT ALLOTMENTS ALLOTS ALLOTTED ALLOTTING ALLOW ALLOWABLE',
+    'ALLOWANCE ALLOWANCES ALLOWED ALLOWING ALLOWS ALLOY ALLOYED ALLOYING ALLOYS ALLUDE ALLUDED ALLUDES',
+    'ALLUDING ALLURE ALLURED ALLURES ALLURING ALLUSION ALLUSIONS ALLY ALLYING ALMANAC ALMANACS ALMIGHTY',
+    'ALMOND ALMONDS ALMOST ALMS ALOFT ALONE ALONG ALONGSIDE ALOOF ALOUD ALPHA ALPHABET ALPHABETIC',
+    'ALPHABETICAL ALPHABETICALLY ALPHABETS ALPHANUMERIC ALREADY ALSO ALTAR ALTARS ALTER ALTERABLE',
+    'ALTERATION ALTERATIONS ALTERED ALTERING ALTERNATE ALTERNATED ALTERNATELY ALTERNATES ALTERNATING',
+    'ALTERNATION ALTERNATIVE ALTERNATIVELY ALTERNATIVES ALTERNATOR ALTERS ALTHOUGH ALTITUDE ALTITUDES',
+    'ALTO ALTOGETHER ALTOS ALTRUISM ALTRUISTIC ALUMINUM ALWAYS AM AMALGAMATE AMALGAMATED AMALGAMATES',
+    'AMALGAMATING AMALGAMATION AMALGAMATIONS AMASS AMASSED AMASSES AMASSING AMATEUR AMATEURISH AMATEURS',
+    'AMAZE AMAZED AMAZEMENT AMAZES AMAZING AMAZINGLY AMBASSADOR AMBASSADORS AMBER AMBIANCE AMBIANCES',
+    'AMBIDEXTROUS AMBIENT AMBIGUITIES AMBIGUITY AMBIGUOUS AMBIGUOUSLY AMBITION AMBITIONS AMBITIOUS',
+    'AMBITIOUSLY AMBIVALENCE AMBIVALENT AMBLE AMBLED AMBLES AMBLING AMBULANCE AMBULANCES AMBUSH AMBUSHED',
+    'AMBUSHES AMBUSHING AMEN AMENABLE AMEND AMENDED AMENDING AMENDMENT AMENDMENTS AMENDS AMENITIES',
+    'AMENITY AMETHYST AMETHYSTS AMIABLE AMIABLY AMICABLE AMICABLY AMID AMISS AMMONIA AMMUNITION AMNESIA',
+    'AMNESTIED AMNESTIES AMNESTY AMNESTYING AMOEBA AMOEBAE AMOEBAS AMOK AMONG AMORAL AMOROUS AMORPHOUS',
+    'AMOUNT AMOUNTED AMOUNTING AMOUNTS AMP AMPERE AMPERES AMPERSAND AMPERSANDS AMPHETAMINE AMPHETAMINES',
+    'AMPHIBIAN AMPHIBIANS AMPHIBIOUS AMPHITHEATER AMPHITHEATERS AMPLE AMPLER AMPLEST AMPLIFICATION',
+    'AMPLIFICATIONS AMPLIFIED AMPLIFIER AMPLIFIERS AMPLIFIES AMPLIFY AMPLIFYING AMPLITUDE AMPLY AMPS',
+    'AMPUTATE AMPUTATED AMPUTATES AMPUTATING AMPUTATION AMPUTATIONS AMULET AMULETS AMUSE AMUSED AMUSEMENT',
+    'AMUSEMENTS AMUSES AMUSING AMUSINGLY AN ANACHRONISM ANACHRONISMS ANAGRAM ANAL ANALGESIC ANALGESICS',
+    'ANALOG ANALOGIES ANALOGOUS ANALOGUE ANALOGY ANALYSES ANALYSIS ANALYST ANALYSTS ANALYTIC ANALYTICAL',
+    'ANALYZE ANALYZED ANALYZER ANALYZES ANALYZING ANARCHIC ANARCHISM ANARCHIST ANARCHISTS ANARCHY',
+    'ANATHEMA ANATOMICAL ANATOMIES ANATOMY ANCESTOR ANCESTORS ANCESTRAL ANCESTRIES ANCESTRY ANCHOR',
+    'ANCHORAGE ANCHORAGES ANCHORED ANCHORING ANCHORS ANCHOVIES ANCHOVY ANCIENT ANCIENTER ANCIENTEST',
+    'ANCIENTS AND ANDROID ANDROIDS ANECDOTE ANECDOTES ANEMIA ANEMIC ANESTHESIA ANESTHETIC ANESTHETICS',
+    'ANEW ANGEL ANGELIC ANGELS ANGER ANGERED ANGERING ANGERS ANGLE ANGLED ANGLER ANGLERS ANGLES ANGLING',
+    'ANGRIER ANGRIEST ANGRILY ANGRY ANGST ANGUISH ANGUISHED ANGUISHES ANGUISHING ANGULAR ANIMAL ANIMALS',
+    'ANIMATE ANIMATED ANIMATES ANIMATING ANIMATION ANIMATIONS ANIMOSITIES ANIMOSITY ANKLE ANKLES ANNALS',
+    'ANNEX ANNEXATION ANNEXATIONS ANNEXED ANNEXES ANNEXING ANNIHILATE ANNIHILATED ANNIHILATES',
+    'ANNIHILATING ANNIHILATION ANNIVERSARIES ANNIVERSARY ANNOTATE ANNOTATED ANNOTATES ANNOTATING',
+    'ANNOTATION ANNOTATIONS ANNOUNCE ANNOUNCED ANNOUNCEMENT ANNOUNCEMENTS ANNOUNCER ANNOUNCERS ANNOUNCES',
+    'ANNOUNCING ANNOY ANNOYANCE ANNOYANCES ANNOYED ANNOYING ANNOYINGLY ANNOYS ANNUAL ANNUALLY ANNUALS',
+    'ANNUITIES ANNUITY ANNUL ANNULLED ANNULLING ANNULMENT ANNULMENTS ANNULS ANOINT ANOINTED ANOINTING',
+    'ANOINTS ANOMALIES ANOMALOUS ANOMALY ANON ANONYMITY ANONYMOUS ANONYMOUSLY ANORAK ANORAKS ANOTHER',
+    'ANSWER ANSWERABLE ANSWERED ANSWERING ANSWERS ANT ANTAGONISM ANTAGONISMS ANTAGONIST ANTAGONISTIC',
+    'ANTAGONISTS ANTAGONIZE ANTAGONIZED ANTAGONIZES ANTAGONIZING ANTEATER ANTEATERS ANTELOPE ANTELOPES',
+    'ANTENNA ANTENNAE ANTENNAS ANTHEM ANTHEMS ANTHILL ANTHILLS ANTHOLOGIES ANTHOLOGY ANTHRAX',
+    'ANTHROPOLOGICAL ANTHROPOLOGIST ANTHROPOLOGISTS ANTHROPOLOGY ANTIBIOTIC ANTIBIOTICS ANTIBODIES',
+    'ANTIBODY ANTIC ANTICIPATE ANTICIPATED ANTICIPATES ANTICIPATING ANTICIPATION ANTICIPATIONS ANTICLIMAX',
+    'ANTICLIMAXES ANTICS ANTIDOTE ANTIDOTES ANTIFREEZE ANTIPATHIES ANTIPATHY ANTIQUATE ANTIQUATED',
+    'ANTIQUATES ANTIQUATING ANTIQUE ANTIQUED ANTIQUES ANTIQUING ANTIQUITIES ANTIQUITY ANTISEPTIC',
+    'ANTISEPTICS ANTISOCIAL ANTITHESES ANTITHESIS ANTLER ANTLERS ANTONYM ANTONYMS ANTS ANUS ANUSES ANVIL',
+    'ANVILS ANXIETIES ANXIETY ANXIOUS ANXIOUSLY ANY ANYBODIES ANYBODY ANYHOW ANYONE ANYPLACE ANYTHING',
+    'ANYTHINGS ANYWAY ANYWHERE AORTA AORTAS APART APARTHEID APARTMENT APARTMENTS APATHETIC APATHY APE',
+    'APED APERTURE APERTURES APES APEX APEXES APHORISM APHORISMS APIECE APING APLOMB APOCRYPHAL',
+    'APOLOGETIC APOLOGETICALLY APOLOGIES APOLOGIZE APOLOGIZED APOLOGIZES APOLOGIZING APOLOGY APOSTLE',
+    'APOSTLES APOSTROPHE APOSTROPHES APPALL APPALLED APPALLING APPALLINGLY APPALLS APPARATUS APPARATUSES',
+    'APPAREL APPARELED APPARELING APPARELS APPARENT APPARENTLY APPARITION APPARITIONS APPEAL APPEALED',
+    'APPEALING APPEALS APPEAR APPEARANCE APPEARANCES APPEARED APPEARING APPEARS APPEASE APPEASED',
+    'APPEASEMENT APPEASEMENTS APPEASES APPEASING APPEND APPENDAGE APPENDAGES APPENDED APPENDICES',
+    'APPENDICITIS APPENDING APPENDIX APPENDIXES APPENDS APPETITE APPETITES APPETIZER APPETIZERS',
+    'APPETIZING APPLAUD APPLAUDED APPLAUDING APPLAUDS APPLAUSE APPLE APPLES APPLIANCE APPLIANCES',
+    'APPLICABILITY APPLICABLE APPLICANT APPLICANTS APPLICATION APPLICATIONS APPLICATOR APPLICATORS',
+    'APPLIED APPLIES APPLY APPLYING APPOINT APPOINTED APPOINTEE APPOINTEES APPOINTING APPOINTMENT',
+    'APPOINTMENTS APPOINTS APPOSITE APPRAISAL APPRAISALS APPRAISE APPRAISED APPRAISES APPRAISING',
+    'APPRECIABLE APPRECIATE APPRECIATED APPRECIATES APPRECIATING APPRECIATION APPRECIATIONS APPRECIATIVE',
+    'APPREHEND APPREHENDED APPREHENDING APPREHENDS APPREHENSION APPREHENSIONS APPREHENSIVE APPRENTICE',
+    'APPRENTICED APPRENTICES APPRENTICESHIP APPRENTICESHIPS APPRENTICING APPROACH APPROACHABLE APPROACHED',
+    'APPROACHES APPROACHING APPROPRIATE APPROPRIATED APPROPRIATELY APPROPRIATES APPROPRIATING',
+    'APPROPRIATION APPROPRIATIONS APPROVAL APPROVALS APPROVE APPROVED APPROVES APPROVING APPROXIMATE',
+    'APPROXIMATED APPROXIMATELY APPROXIMATES APPROXIMATING APPROXIMATION APPROXIMATIONS APRICOT APRICOTS',
+    'APRON APRONS APT APTER APTEST APTITUDE APTITUDES APTLY AQUAMARINE AQUAMARINES AQUARIUM AQUARIUMS',
+    'AQUATIC AQUATICS AQUEDUCT AQUEDUCTS ARABLE ARBITER ARBITERS ARBITRARILY ARBITRARY ARBITRATE',
+    'ARBITRATED ARBITRATES ARBITRATING ARBITRATION ARBITRATOR ARBITRATORS ARBOR ARBORS ARC ARCADE ARCADES',
+    'ARCANE ARCED ARCH ARCHAEOLOGICAL ARCHAEOLOGIST ARCHAEOLOGISTS ARCHAEOLOGY ARCHAIC ARCHBISHOP',
+    'ARCHBISHOPS ARCHED ARCHER ARCHERS ARCHERY ARCHES ARCHEST ARCHETYPAL ARCHING ARCHIPELAGO ARCHIPELAGOS',
+    'ARCHITECT ARCHITECTS ARCHITECTURAL ARCHITECTURE ARCHITECTURES ARCHIVE ARCHIVED ARCHIVES ARCHIVING',
+    'ARCHWAY ARCHWAYS ARCING ARCS ARDENT ARDENTLY ARDOR ARDORS ARDUOUS ARDUOUSLY ARE AREA AREAS ARENA',
+    'ARENAS ARES ARGUABLE ARGUABLY ARGUE ARGUED ARGUES ARGUING ARGUMENT ARGUMENTATIVE ARGUMENTS ARIA',
+    'ARIAS ARID ARISE ARISEN ARISES ARISING ARISTOCRACIES ARISTOCRACY ARISTOCRAT ARISTOCRATIC ARISTOCRATS',
+    'ARITHMETIC ARK ARKS ARM ARMADILLO ARMADILLOS ARMAMENT ARMAMENTS ARMCHAIR ARMCHAIRS ARMED ARMIES',
+    'ARMING ARMISTICE ARMISTICES ARMOR ARMORED ARMORIES ARMORING ARMORS ARMORY ARMPIT ARMPITS ARMS ARMY',
+    'AROMA AROMAS AROMATIC AROMATICS AROSE AROUND AROUSE AROUSED AROUSES AROUSING ARRAIGN ARRAIGNED',
+    'ARRAIGNING ARRAIGNS ARRANGE ARRANGED ARRANGEMENT ARRANGEMENTS ARRANGES ARRANGING ARRAY ARRAYED',
+    'ARRAYING ARRAYS ARREARS ARREST ARRESTED ARRESTING ARRESTS ARRIVAL ARRIVALS ARRIVE ARRIVED ARRIVES',
+    'ARRIVING ARROGANCE ARROGANT ARROGANTLY ARROW ARROWS ARSENAL ARSENALS ARSENIC ARSON ART ARTERIAL',
+    'ARTERIES ARTERY ARTFUL ARTHRITIC ARTHRITICS ARTHRITIS ARTICHOKE ARTICHOKES ARTICLE ARTICLES',
+    'ARTICULATE ARTICULATED ARTICULATELY ARTICULATES ARTICULATING ARTICULATION ARTICULATIONS ARTIFACT',
+    'ARTIFACTS ARTIFICE ARTIFICES ARTIFICIAL ARTIFICIALLY ARTILLERY ARTISAN ARTISANS ARTIST ARTISTIC',
+    'ARTISTICALLY ARTISTRY ARTISTS ARTS ARTWORK AS ASBESTOS ASCEND ASCENDED ASCENDING ASCENDS ASCENSION',
+    'ASCENSIONS ASCENT ASCENTS ASCERTAIN ASCERTAINED ASCERTAINING ASCERTAINS ASCETIC ASCETICS ASCRIBE',
+    'ASCRIBED ASCRIBES ASCRIBING ASEXUAL ASH ASHAMED ASHCAN ASHED ASHEN ASHES ASHING ASHORE ASHTRAY',
+    'ASHTRAYS ASIDE ASIDES ASK ASKANCE ASKED ASKEW ASKING ASKS ASLEEP ASPARAGUS ASPECT ASPECTS ASPEN',
+    'ASPENS ASPERSION ASPERSIONS ASPHALT ASPHALTED ASPHALTING ASPHALTS ASPHYXIATE ASPHYXIATED ASPHYXIATES',
+    'ASPHYXIATING ASPHYXIATION ASPHYXIATIONS ASPIRANT ASPIRANTS ASPIRATION ASPIRATIONS ASPIRE ASPIRED',
+    'ASPIRES ASPIRIN ASPIRING ASPIRINS ASS ASSAIL ASSAILANT ASSAILANTS ASSAILED ASSAILING ASSAILS',
+    'ASSASSIN ASSASSINATE ASSASSINATED ASSASSINATES ASSASSINATING ASSASSINATION ASSASSINATIONS ASSASSINS',
+    'ASSAULT ASSAULTED ASSAULTER ASSAULTING ASSAULTS ASSEMBLE ASSEMBLED ASSEMBLER ASSEMBLERS ASSEMBLES',
+    'ASSEMBLIES ASSEMBLING ASSEMBLY ASSENT ASSENTED ASSENTING ASSENTS ASSERT ASSERTED ASSERTING ASSERTION',
+    'ASSERTIONS ASSERTIVE ASSERTS ASSES ASSESS ASSESSED ASSESSES ASSESSING ASSESSMENT ASSESSMENTS',
+    'ASSESSOR ASSESSORS ASSET ASSETS ASSIGN ASSIGNED ASSIGNING ASSIGNMENT ASSIGNMENTS ASSIGNS ASSIMILATE',
+    'ASSIMILATED ASSIMILATES ASSIMILATING ASSIMILATION ASSIST ASSISTANCE ASSISTANT ASSISTANTS ASSISTED',
+    'ASSISTING ASSISTS ASSOCIATE ASSOCIATED ASSOCIATES ASSOCIATING ASSOCIATION ASSOCIATIONS ASSOCIATIVE',
+    'ASSORT ASSORTED ASSORTING ASSORTMENT ASSORTMENTS ASSORTS ASSUME ASSUMED ASSUMES ASSUMING ASSUMPTION',
+    'ASSUMPTIONS ASSURANCE ASSURANCES ASSURE ASSURED ASSUREDS ASSURES ASSURING ASTERISK ASTERISKED',
+    'ASTERISKING ASTERISKS ASTEROID ASTEROIDS ASTHMA ASTONISH ASTONISHED ASTONISHES ASTONISHING',
+    'ASTONISHINGLY ASTONISHMENT ASTOUND ASTOUNDED ASTOUNDING ASTOUNDS ASTRAY ASTRIDE ASTRINGENT',
+    'ASTRINGENTS ASTROLOGICAL ASTROLOGY ASTRONAUT ASTRONAUTS ASTRONOMER ASTRONOMERS ASTRONOMICAL',
+    'ASTRONOMY ASTUTE ASTUTELY ASTUTER ASTUTEST ASYLUM ASYLUMS ASYMMETRY ASYNCHRONOUS ASYNCHRONOUSLY AT',
+    'ATE ATHEISM ATHEIST ATHEISTIC ATHEISTS ATHLETE ATHLETES ATHLETIC ATHLETICS ATLAS ATLASES ATMOSPHERE',
+    'ATMOSPHERES ATMOSPHERIC ATOM ATOMIC ATOMS ATONE ATONED ATONEMENT ATONES ATONING ATROCIOUS',
+    'ATROCIOUSLY ATROCITIES ATROCITY ATTACH ATTACHED ATTACHING ATTACHMENT ATTACHMENTS ATTACK ATTACKED',
+    'ATTACKER ATTACKING ATTACKS ATTAIN ATTAINED ATTAINING ATTAINMENT ATTAINMENTS ATTAINS ATTEMPT',
+    'ATTEMPTED ATTEMPTING ATTEMPTS ATTEND ATTENDANCE ATTENDANCES ATTENDANT ATTENDANTS ATTENDED ATTENDING',
+    'ATTENDS ATTENTION ATTENTIONS ATTENTIVE ATTENTIVELY ATTEST ATTESTED ATTESTING ATTESTS ATTIC ATTICS',
+    'ATTIRE ATTIRED ATTIRES ATTIRING ATTITUDE ATTITUDES ATTORNEY ATTORNEYS ATTRACT ATTRACTED ATTRACTING',
+    'ATTRACTION ATTRACTIONS ATTRACTIVE ATTRACTIVENESS ATTRACTS ATTRIBUTABLE ATTRIBUTE ATTRIBUTED',
+    'ATTRIBUTES ATTRIBUTING ATTRIBUTION AUBURN AUCTION AUCTIONED AUCTIONEER AUCTIONEERS AUCTIONING',
+    'AUCTIONS AUDACIOUS AUDACITY AUDIBLE AUDIBLES AUDIBLY AUDIENCE AUDIENCES AUDIO AUDIOS AUDIT AUDITED',
+    'AUDITING AUDITION AUDITIONED AUDITIONING AUDITIONS AUDITOR AUDITORIUM AUDITORIUMS AUDITORS AUDITORY',
+    'AUDITS AUGMENT AUGMENTED AUGMENTING AUGMENTS AUGUST AUGUSTER AUGUSTEST AUNT AUNTS AURA AURAL AURAS',
+    'AUSPICIOUS AUSTERE AUSTERER AUSTEREST AUSTERITIES AUSTERITY AUTHENTIC AUTHENTICALLY AUTHENTICATE',
+    'AUTHENTICATED AUTHENTICATES AUTHENTICATING AUTHENTICITY AUTHOR AUTHORED AUTHORING AUTHORITARIAN',
+    'AUTHORITATIVE AUTHORITATIVELY AUTHORITIES AUTHORITY AUTHORIZATION AUTHORIZATIONS AUTHORIZE',
+    'AUTHORIZED AUTHORIZES AUTHORIZING AUTHORS AUTHORSHIP AUTO AUTOBIOGRAPHICAL AUTOBIOGRAPHIES',
+    'AUTOBIOGRAPHY AUTOCRACIES AUTOCRACY AUTOCRAT AUTOCRATIC AUTOCRATS AUTOGRAPH AUTOGRAPHED AUTOGRAPHING',
+    'AUTOGRAPHS AUTOMATE AUTOMATED AUTOMATES AUTOMATIC AUTOMATICALLY AUTOMATICS AUTOMATING AUTOMATION',
+    'AUTOMOBILE AUTOMOBILED AUTOMOBILES AUTOMOBILING AUTOMOTIVE AUTONOMOUS AUTONOMY AUTOPSIED AUTOPSIES',
+    'AUTOPSY AUTOPSYING AUTOS AUTUMN AUTUMNAL AUTUMNS AUXILIARIES AUXILIARY AVAIL AVAILABILITY AVAILABLE',
+    'AVAILED AVAILING AVAILS AVALANCHE AVALANCHES AVARICE AVARICIOUS AVENGE AVENGED AVENGES AVENGING',
+    'AVENUE AVENUES AVERAGE AVERAGED AVERAGES AVERAGING AVERSE AVERSION AVERSIONS AVERT AVERTED AVERTING',
+    'AVERTS AVIATION AVIATOR AVIATORS AVID AVOCADO AVOCADOS AVOID AVOIDABLE AVOIDANCE AVOIDED AVOIDING',
+    'AVOIDS AVOW AVOWAL AVOWALS AVOWED AVOWING AVOWS AWAIT AWAITED AWAITING AWAITS AWAKE AWAKEN AWAKENED',
+    'AWAKENING AWAKENS AWAKES AWAKING AWARD AWARDED AWARDING AWARDS AWARE AWARENESS AWAY AWE AWED AWES',
+    'AWESOME AWFUL AWFULLER AWFULLEST AWFULLY AWHILE AWING AWKWARD AWKWARDER AWKWARDEST AWKWARDLY',
+    'AWKWARDNESS AWNING AWNINGS AWOKE AWOKEN AWRY AX AXED AXES AXING AXIOM AXIOMATIC AXIOMS AXIS AXLE',
+    'AXLES AYE AYES AZALEA AZALEAS AZURE AZURES BABBLE BABBLED BABBLES BABBLING BABE BABES BABIED BABIER',
+    'BABIES BABIEST BABOON BABOONS BABY BABYING BABYISH BACHELOR BACHELORS BACK BACKBONE BACKBONES BACKED',
+    'BACKER BACKERS BACKFIRE BACKFIRED BACKFIRES BACKFIRING BACKGAMMON BACKGROUND BACKGROUNDS BACKHAND',
+    'BACKHANDED BACKHANDING BACKHANDS BACKING BACKINGS BACKLASH BACKLASHES BACKLOG BACKLOGGED BACKLOGGING',
+    'BACKLOGS BACKPACK BACKPACKED BACKPACKING BACKPACKS BACKS BACKSIDE BACKSLASH BACKSPACE BACKSTAGE',
+    'BACKTRACK BACKTRACKED BACKTRACKING BACKTRACKS BACKWARD BACKWARDS BACKWOODS BACON BACTERIA BACTERIAL',
+    'BACTERIUM BAD BADDER BADDEST BADE BADGE BADGER BADGERED BADGERING BADGERS BADGES BADLY BADMINTON',
+    'BADNESS BAFFLE BAFFLED BAFFLES BAFFLING BAG BAGEL BAGELS BAGGAGE BAGGED BAGGIER BAGGIEST BAGGING',
+    'BAGGY BAGS BAIL BAILED BAILING BAILS BAIT BAITED BAITING BAITS BAKE BAKED BAKER BAKERIES BAKERS',
+    'BAKERY BAKES BAKING BALANCE BALANCED BALANCES BALANCING BALCONIES BALCONY BALD BALDED BALDER BALDEST',
+    'BALDING BALDNESS BALDS BALE BALED BALES BALING BALK BALKED BALKING BALKS BALL BALLAD BALLADS BALLAST',
+    'BALLASTED BALLASTING BALLASTS BALLED BALLERINA BALLERINAS BALLET BALLETS BALLING BALLISTICS BALLOON',
+    'BALLOONED BALLOONING BALLOONS BALLOT BALLOTED BALLOTING BALLOTS BALLROOM BALLROOMS BALLS BALM',
+    'BALMIER BALMIEST BALMS BALMY BALONEY BAMBOO BAMBOOS BAMBOOZLE BAMBOOZLED BAMBOOZLES BAMBOOZLING BAN',
+    'BANAL BANANA BANANAS BAND BANDAGE BANDAGED BANDAGES BANDAGING BANDANNA BANDANNAS BANDED BANDIED',
+    'BANDIER BANDIES BANDIEST BANDING BANDIT BANDITS BANDS BANDSTAND BANDSTANDS BANDWAGON BANDWAGONS',
+    'BANDWIDTH BANDY BANDYING BANG BANGED BANGING BANGS BANI BANISH BANISHED BANISHES BANISHING BANISTER',
+    'BANISTERS BANJO BANJOS BANK BANKED BANKER BANKERS BANKING BANKNOTE BANKNOTES BANKRUPT BANKRUPTCIES',
+    'BANKRUPTCY BANKRUPTED BANKRUPTING BANKRUPTS BANKS BANNED BANNER BANNERS BANNING BANQUET BANQUETED',
+    'BANQUETING BANQUETS BANS BANTER BANTERED BANTERING BANTERS BAPTISM BAPTISMS BAPTIZE BAPTIZED',
+    'BAPTIZES BAPTIZING BAR BARB BARBARIAN BARBARIANS BARBARIC BARBAROUS BARBECUE BARBECUED BARBECUES',
+    'BARBECUING BARBED BARBER BARBERED BARBERING BARBERS BARBING BARBITURATE BARBITURATES BARBS BARD',
+    'BARDS BARE BAREBACK BARED BAREFOOT BARELY BARER BARES BAREST BARGAIN BARGAINED BARGAINER BARGAINING',
+    'BARGAINS BARGE BARGED BARGES BARGING BARING BARITONE BARITONES BARK BARKED BARKING BARKS BARLEY',
+    'BARMAN BARN BARNACLE BARNACLES BARNS BARNYARD BARNYARDS BAROMETER BAROMETERS BARON BARONS BAROQUE',
+    'BARRAGE BARRAGED BARRAGES BARRAGING BARRED BARREL BARRELED BARRELING BARRELS BARREN BARRENER',
+    'BARRENEST BARRENS BARRETTE BARRETTES BARRICADE BARRICADED BARRICADES BARRICADING BARRIER BARRIERS',
+    'BARRING BARRINGS BARRISTER BARRISTERS BARS BARTENDER BARTENDERS BARTER BARTERED BARTERING BARTERS',
+    'BASE BASEBALL BASEBALLS BASED BASELINE BASEMENT BASEMENTS BASER BASES BASEST BASH BASHED BASHES',
+    'BASHFUL BASHING BASIC BASICALLY BASICS BASIL BASIN BASING BASINS BASIS BASK BASKED BASKET BASKETBALL',
+    'BASKETBALLS BASKETS BASKING BASKS BASS BASSES BASSOON BASSOONS BASTARD BASTARDS BASTE BASTED BASTES',
+    'BASTING BAT BATCH BATCHED BATCHES BATCHING BATH BATHE BATHED BATHES BATHING BATHROOM BATHROOMS BATHS',
+    'BATHTUB BATHTUBS BATON BATONS BATS BATSMAN BATTALION BATTALIONS BATTED BATTER BATTERED BATTERIES',
+    'BATTERING BATTERS BATTERY BATTING BATTLE BATTLED BATTLEFIELD BATTLEFIELDS BATTLES BATTLESHIP',
+    'BATTLESHIPS BATTLING BAUD BAWDIER BAWDIEST BAWDY BAWL BAWLED BAWLING BAWLS BAY BAYED BAYING BAYONET',
+    'BAYONETED BAYONETING BAYONETS BAYOU BAYOUS BAYS BAZAAR BAZAARS BE BEACH BEACHED BEACHES BEACHING',
+    'BEACON BEACONS BEAD BEADED BEADIER BEADIEST BEADING BEADS BEADY BEAGLE BEAGLES BEAK BEAKED BEAKER',
+    'BEAKERS BEAKS BEAM BEAMED BEAMING BEAMS BEAN BEANED BEANING BEANS BEAR BEARABLE BEARD BEARDED',
+    'BEARDING BEARDS BEARER BEARERS BEARING BEARINGS BEARS BEAST BEASTS BEAT BEATEN BEATER BEATERS',
+    'BEATING BEATS BEAUTICIAN BEAUTICIANS BEAUTIES BEAUTIFIED BEAUTIFIES BEAUTIFUL BEAUTIFULLY BEAUTIFY',
+    'BEAUTIFYING BEAUTY BEAVER BEAVERED BEAVERING BEAVERS BECAME BECAUSE BECKON BECKONED BECKONING',
+    'BECKONS BECOME BECOMES BECOMING BED BEDBUG BEDBUGS BEDCLOTHES BEDDED BEDDER BEDDING BEDLAM BEDLAMS',
+    'BEDRIDDEN BEDROCK BEDROCKS BEDROOM BEDROOMS BEDS BEDSIDE BEDSIDES BEDSPREAD BEDSPREADS BEDTIME',
+    'BEDTIMES BEE BEECH BEECHES BEEF BEEFED BEEFIER BEEFIEST BEEFING BEEFS BEEFY BEEHIVE BEEHIVES BEEN',
+    'BEEPER BEER BEERS BEES BEESWAX BEET BEETLE BEETLED BEETLES BEETLING BEETS BEEVES BEFALL BEFALLEN',
+    'BEFALLING BEFALLS BEFELL BEFIT BEFITS BEFITTED BEFITTING BEFORE BEFOREHAND BEFRIEND BEFRIENDED',
+    'BEFRIENDING BEFRIENDS BEG BEGAN BEGGAR BEGGARED BEGGARING BEGGARS BEGGED BEGGING BEGIN BEGINNER',
+    'BEGINNERS BEGINNING BEGINNINGS BEGINS BEGRUDGE BEGRUDGED BEGRUDGES BEGRUDGING BEGS BEGUILE BEGUILED',
+    'BEGUILES BEGUILING BEGUN BEHALF BEHALVES BEHAVE BEHAVED BEHAVES BEHAVING BEHAVIOR BEHAVIORAL BEHEAD',
+    'BEHEADED BEHEADING BEHEADS BEHELD BEHIND BEHINDS BEHOLD BEHOLDER BEHOLDING BEHOLDS BEIGE BEING',
+    'BEINGS BELABOR BELABORED BELABORING BELABORS BELATED BELATEDLY BELCH BELCHED BELCHES BELCHING',
+    'BELFRIES BELFRY BELIE BELIED BELIEF BELIEFS BELIES BELIEVABLE BELIEVE BELIEVED BELIEVER BELIEVERS',
+    'BELIEVES BELIEVING BELITTLE BELITTLED BELITTLES BELITTLING BELL BELLBOY BELLBOYS BELLED BELLHOP',
+    'BELLHOPS BELLIED BELLIES BELLIGERENT BELLIGERENTS BELLING BELLOW BELLOWED BELLOWING BELLOWS BELLS',
+    'BELLY BELLYING BELONG BELONGED BELONGING BELONGINGS BELONGS BELOVED BELOVEDS BELOW BELT BELTED',
+    'BELTING BELTS BELYING BEMOAN BEMOANED BEMOANING BEMOANS BEMUSE BEMUSED BEMUSES BEMUSING BENCH',
+    'BENCHED BENCHES BENCHING BEND BENDER BENDING BENDS BENEATH BENEDICTION BENEDICTIONS BENEFACTOR',
+    'BENEFACTORS BENEFICIAL BENEFICIARIES BENEFICIARY BENEFIT BENEFITED BENEFITING BENEFITS BENEVOLENCE',
+    'BENEVOLENCES BENEVOLENT BENIGHTED BENIGN BENT BENTS BEQUEATH BEQUEATHED BEQUEATHING BEQUEATHS',
+    'BEQUEST BEQUESTS BEREAVE BEREAVED BEREAVEMENT BEREAVEMENTS BEREAVES BEREAVING BEREFT BERET BERETS',
+    'BERRIED BERRIES BERRY BERRYING BERSERK BERTH BERTHED BERTHING BERTHS BESEECH BESEECHES BESEECHING',
+    'BESET BESETS BESETTING BESIDE BESIDES BESIEGE BESIEGED BESIEGES BESIEGING BESOUGHT BEST BESTED',
+    'BESTIAL BESTIALITY BESTING BESTOW BESTOWED BESTOWING BESTOWS BESTS BET BETA BETCHA BETRAY BETRAYAL',
+    'BETRAYALS BETRAYED BETRAYING BETRAYS BETROTHAL BETROTHALS BETS BETTER BETTERED BETTERING BETTERMENT',
+    'BETTERS BETTING BETTOR BETTORS BETWEEN BEVERAGE BEVERAGES BEWARE BEWARED BEWARES BEWARING BEWILDER',
+    'BEWILDERED BEWILDERING BEWILDERMENT BEWILDERS BEWITCH BEWITCHED BEWITCHES BEWITCHING BEYOND BIAS',
+    'BIASED BIASES BIASING BIB BIBLE BIBLICAL BIBLIOGRAPHIC BIBLIOGRAPHIES BIBLIOGRAPHY BIBS BICENTENNIAL',
+    'BICENTENNIALS BICKER BICKERED BICKERING BICKERS BICYCLE BICYCLED BICYCLES BICYCLING BID BIDDEN',
+    'BIDDING BIDE BIDES BIDING BIDS BIENNIAL BIENNIALS BIFOCALS BIG BIGAMIST BIGAMISTS BIGAMOUS BIGAMY',
+    'BIGGER BIGGEST BIGOT BIGOTED BIGOTRY BIGOTS BIKE BIKED BIKES BIKING BIKINI BIKINIS BILATERAL BILE',
+    'BILINGUAL BILINGUALS BILL BILLBOARD BILLBOARDS BILLED BILLFOLD BILLFOLDS BILLIARDS BILLING BILLION',
+    'BILLIONS BILLOW BILLOWED BILLOWING BILLOWS BILLS BIN BINARIES BINARY BIND BINDER BINDERS BINDING',
+    'BINDINGS BINDS BINGO BINNED BINNING BINOMIAL BINS BIOCHEMICAL BIOCHEMISTRY BIODEGRADABLE BIOGRAPHER',
+    'BIOGRAPHERS BIOGRAPHICAL BIOGRAPHIES BIOGRAPHY BIOLOGICAL BIOLOGICALLY BIOLOGIST BIOLOGISTS BIOLOGY',
+    'BIPARTISAN BIPED BIPEDS BIPLANE BIPLANES BIRCH BIRCHED BIRCHES BIRCHING BIRD BIRDCAGE BIRDCAGES',
+    'BIRDED BIRDING BIRDS BIRTH BIRTHDAY BIRTHDAYS BIRTHED BIRTHING BIRTHMARK BIRTHMARKS BIRTHPLACE',
+    'BIRTHPLACES BIRTHS BISCUIT BISCUITS BISECT BISECTED BISECTING BISECTS BISEXUAL BISEXUALS BISHOP',
+    'BISHOPS BISON BIT BITCH BITCHED BITCHES BITCHING BITE BITES BITING BITMAP BITS BITTEN BITTER',
+    'BITTERER BITTEREST BITTERLY BITTERNESS BITTERSWEET BITTERSWEETS BIZARRE BLAB BLABBED BLABBING BLABS',
+    'BLACK BLACKBERRIES BLACKBERRY BLACKBERRYING BLACKBIRD BLACKBIRDS BLACKBOARD BLACKBOARDS BLACKED',
+    'BLACKEN BLACKENED BLACKENING BLACKENS BLACKER BLACKEST BLACKHEAD BLACKHEADS BLACKING BLACKJACK',
+    'BLACKJACKED BLACKJACKING BLACKJACKS BLACKLIST BLACKLISTED BLACKLISTING BLACKLISTS BLACKMAIL',
+    'BLACKMAILED BLACKMAILER BLACKMAILERS BLACKMAILING BLACKMAILS BLACKOUT BLACKOUTS BLACKS BLACKSMITH',
+    'BLACKSMITHS BLACKTOP BLACKTOPPED BLACKTOPPING BLACKTOPS BLADDER BLADDERS BLADE BLADES BLAME BLAMED',
+    'BLAMELESS BLAMER BLAMES BLAMING BLANCH BLANCHED BLANCHES BLANCHING BLANCMANGE BLAND BLANDER BLANDEST',
+    'BLANK BLANKED BLANKER BLANKEST BLANKET BLANKETED BLANKETING BLANKETS BLANKING BLANKLY BLANKS BLARE',
+    'BLARED BLARES BLARING BLASPHEME BLASPHEMED BLASPHEMES BLASPHEMIES BLASPHEMING BLASPHEMOUS BLASPHEMY',
+    'BLAST BLASTED BLASTER BLASTING BLASTS BLATANT BLATANTLY BLAZE BLAZED BLAZER BLAZERS BLAZES BLAZING',
+    'BLEACH BLEACHED BLEACHES BLEACHING BLEAK BLEAKER BLEAKEST BLEARIER BLEARIEST BLEARY BLEAT BLEATED',
+    'BLEATING BLEATS BLED BLEED BLEEDING BLEEDS BLEMISH BLEMISHED BLEMISHES BLEMISHING BLEND BLENDED',
+    'BLENDING BLENDS BLESS BLESSED BLESSES BLESSING BLESSINGS BLEW BLIGHT BLIGHTED BLIGHTING BLIGHTS',
+    'BLIMP BLIMPS BLIND BLINDED BLINDER BLINDEST BLINDFOLD BLINDFOLDED BLINDFOLDING BLINDFOLDS BLINDING',
+    'BLINDINGLY BLINDLY BLINDNESS BLINDS BLINK BLINKED BLINKER BLINKERED BLINKERING BLINKERS BLINKING',
+    'BLINKS BLIP BLIPS BLISS BLISSFUL BLISSFULLY BLISTER BLISTERED BLISTERING BLISTERS BLITHE BLITHELY',
+    'BLITHER BLITHEST BLITZ BLITZED BLITZES BLITZING BLIZZARD BLIZZARDS BLOB BLOBBED BLOBBING BLOBS BLOC',
+    'BLOCK BLOCKADE BLOCKADED BLOCKADES BLOCKADING BLOCKAGE BLOCKBUSTER BLOCKBUSTERS BLOCKED BLOCKHEAD',
+    'BLOCKHEADS BLOCKING BLOCKS BLOCS BLOG BLOGGED BLOGGER BLOGGERS BLOGGING BLOGS BLOND BLONDE BLONDER',
+    'BLONDES BLONDEST BLONDS BLOOD BLOODED BLOODHOUND BLOODHOUNDS BLOODIED BLOODIER BLOODIES BLOODIEST',
+    'BLOODING BLOODS BLOODSHED BLOODSHOT BLOODSTREAM BLOODTHIRSTIER BLOODTHIRSTIEST BLOODTHIRSTY BLOODY',
+    'BLOODYING BLOOM BLOOMED BLOOMING BLOOMS BLOSSOM BLOSSOMED BLOSSOMING BLOSSOMS BLOT BLOTCH BLOTCHED',
+    'BLOTCHES BLOTCHING BLOTS BLOTTED BLOTTER BLOTTERS BLOTTING BLOUSE BLOUSED BLOUSES BLOUSING BLOW',
+    'BLOWING BLOWN BLOWOUT BLOWOUTS BLOWS BLOWTORCH BLOWTORCHES BLUBBER BLUBBERED BLUBBERING BLUBBERS',
+    'BLUDGEON BLUDGEONED BLUDGEONING BLUDGEONS BLUE BLUEBELL BLUEBELLS BLUEBERRIES BLUEBERRY BLUEBIRD',
+    'BLUEBIRDS BLUED BLUEGRASS BLUEPRINT BLUEPRINTED BLUEPRINTING BLUEPRINTS BLUER BLUES BLUEST BLUFF',
+    'BLUFFED BLUFFER BLUFFEST BLUFFING BLUFFS BLUING BLUNDER BLUNDERED BLUNDERING BLUNDERS BLUNT BLUNTED',
+    'BLUNTER BLUNTEST BLUNTING BLUNTLY BLUNTNESS BLUNTS BLUR BLURB BLURRED BLURRING BLURS BLURT BLURTED',
+    'BLURTING BLURTS BLUSH BLUSHED BLUSHES BLUSHING BLUSTER BLUSTERED BLUSTERING BLUSTERS BOA BOAR BOARD',
+    'BOARDED BOARDER BOARDERS BOARDING BOARDS BOARDWALK BOARDWALKS BOARS BOAS BOAST BOASTED BOASTFUL',
+    'BOASTFULLY BOASTING BOASTS BOAT BOATED BOATING BOATS BOB BOBBED BOBBIN BOBBING BOBBINS BOBCAT',
+    'BOBCATS BOBS BOBSLED BOBSLEDDED BOBSLEDDING BOBSLEDS BODE BODED BODES BODICE BODICES BODIES BODILY',
+    'BODING BODY BODYGUARD BODYGUARDS BODYWORK BOG BOGGED BOGGING BOGGLE BOGGLED BOGGLES BOGGLING BOGS',
+    'BOGUS BOIL BOILED BOILER BOILERS BOILING BOILS BOISTEROUS BOLD BOLDER BOLDEST BOLDLY BOLDNESS',
+    'BOLOGNA BOLSTER BOLSTERED BOLSTERING BOLSTERS BOLT BOLTED BOLTING BOLTS BOMB BOMBARD BOMBARDED',
+    'BOMBARDING BOMBARDMENT BOMBARDMENTS BOMBARDS BOMBED BOMBER BOMBERS BOMBING BOMBINGS BOMBS BOND',
+    'BONDAGE BONDED BONDING BONDS BONE BONED BONES BONFIRE BONFIRES BONIER BONIEST BONING BONNET BONNETS',
+    'BONUS BONUSES BONY BOO BOOBY BOOED BOOING BOOK BOOKCASE BOOKCASES BOOKED BOOKEND BOOKENDS BOOKING',
+    'BOOKINGS BOOKKEEPER BOOKKEEPERS BOOKKEEPING BOOKLET BOOKLETS BOOKMARK BOOKMARKED BOOKMARKING',
+    'BOOKMARKS BOOKS BOOKSHELF BOOKSHOP BOOKSHOPS BOOKSTORE BOOKWORM BOOKWORMS BOOM BOOMED BOOMERANG',
+    'BOOMERANGED BOOMERANGING BOOMERANGS BOOMING BOOMS BOON BOONS BOOR BOORISH BOORS BOOS BOOST BOOSTED',
+    'BOOSTER BOOSTERS BOOSTING BOOSTS BOOT BOOTED BOOTEE BOOTEES BOOTH BOOTHS BOOTIES BOOTING BOOTLEG',
+    'BOOTLEGGED BOOTLEGGING BOOTLEGS BOOTS BOOTSTRAP BOOTY BOOZE BOP BORDER BORDERED BORDERING BORDERLINE',
+    'BORDERLINES BORDERS BORE BORED BOREDOM BORES BORING BORINGLY BORN BORNE BOROUGH BOROUGHS BORROW',
+    'BORROWED BORROWING BORROWS BOSOM BOSOMS BOSS BOSSED BOSSES BOSSIER BOSSIEST BOSSING BOSSY BOTANICAL',
+    'BOTANIST BOTANISTS BOTANY BOTCH BOTCHED BOTCHES BOTCHING BOTH BOTHER BOTHERED BOTHERING BOTHERS',
+    'BOTHERSOME BOTTLE BOTTLED BOTTLENECK BOTTLENECKS BOTTLES BOTTLING BOTTOM BOTTOMED BOTTOMING',
+    'BOTTOMLESS BOTTOMS BOUGH BOUGHS BOUGHT BOULDER BOULDERS BOULEVARD BOULEVARDS BOUNCE BOUNCED BOUNCES',
+    'BOUNCING BOUND BOUNDARIES BOUNDARY BOUNDED BOUNDING BOUNDLESS BOUNDS BOUNTIES BOUNTIFUL BOUNTY',
+    'BOUQUET BOUQUETS BOURBON BOURGEOIS BOURGEOISIE BOUT BOUTIQUE BOUTIQUES BOUTS BOVINE BOVINES BOW',
+    'BOWED BOWEL BOWELS BOWING BOWL BOWLED BOWLEGGED BOWLER BOWLING BOWLS BOWS BOX BOXCAR BOXCARS BOXED',
+    'BOXER BOXERS BOXES BOXING BOY BOYCOTT BOYCOTTED BOYCOTTING BOYCOTTS BOYFRIEND BOYFRIENDS BOYHOOD',
+    'BOYHOODS BOYISH BOYS BRA BRACE BRACED BRACELET BRACELETS BRACES BRACING BRACKET BRACKETED BRACKETING',
+    'BRACKETS BRACKISH BRAG BRAGGART BRAGGARTS BRAGGED BRAGGING BRAGS BRAID BRAIDED BRAIDING BRAIDS BRAIN',
+    'BRAINED BRAINIER BRAINIEST BRAINING BRAINLESS BRAINS BRAINSTORM BRAINSTORMED BRAINSTORMING',
+    'BRAINSTORMS BRAINWASH BRAINWASHED BRAINWASHES BRAINWASHING BRAINY BRAISE BRAISED BRAISES BRAISING',
+    'BRAKE BRAKED BRAKES BRAKING BRAN BRANCH BRANCHED BRANCHES BRANCHING BRAND BRANDED BRANDIED BRANDIES',
+    'BRANDING BRANDISH BRANDISHED BRANDISHES BRANDISHING BRANDS BRANDY BRANDYING BRAS BRASH BRASHER',
+    'BRASHEST BRASS BRASSES BRASSIER BRASSIERE BRASSIERES BRASSIEST BRASSY BRAT BRATS BRAVADO BRAVE',
+    'BRAVED BRAVELY BRAVER BRAVERY BRAVES BRAVEST BRAVING BRAVO BRAVOS BRAWL BRAWLED BRAWLING BRAWLS',
+    'BRAWN BRAWNIER BRAWNIEST BRAWNY BRAY BRAYED BRAYING BRAYS BRAZEN BRAZENED BRAZENING BRAZENS BRAZIER',
+    'BRAZIERS BREACH BREACHED BREACHES BREACHING BREAD BREADED BREADING BREADS BREADTH BREADTHS',
+    'BREADWINNER BREADWINNERS BREAK BREAKABLE BREAKABLES BREAKDOWN BREAKDOWNS BREAKFAST BREAKFASTED',
+    'BREAKFASTING BREAKFASTS BREAKING BREAKNECK BREAKPOINTS BREAKS BREAKTHROUGH BREAKTHROUGHS BREAKWATER',
+    'BREAKWATERS BREAST BREASTED BREASTING BREASTS BREATH BREATHE BREATHED BREATHER BREATHERS BREATHES',
+    'BREATHING BREATHLESS BREATHS BREATHTAKING BRED BREED BREEDER BREEDERS BREEDING BREEDS BREEZE BREEZED',
+    'BREEZES BREEZIER BREEZIEST BREEZING BREEZY BRETHREN BREVITY BREW BREWED BREWERIES BREWERY BREWING',
+    'BREWS BRIBE BRIBED BRIBERY BRIBES BRIBING BRICK BRICKED BRICKING BRICKLAYER BRICKLAYERS BRICKS',
+    'BRIDAL BRIDALS BRIDE BRIDEGROOM BRIDEGROOMS BRIDES BRIDESMAID BRIDESMAIDS BRIDGE BRIDGED BRIDGES',
+    'BRIDGING BRIDLE BRIDLED BRIDLES BRIDLING BRIEF BRIEFCASE BRIEFCASES BRIEFED BRIEFER BRIEFEST',
+    'BRIEFING BRIEFLY BRIEFS BRIGADE BRIGADES BRIGHT BRIGHTEN BRIGHTENED BRIGHTENING BRIGHTENS BRIGHTER',
+    'BRIGHTEST BRIGHTLY BRIGHTNESS BRILLIANCE BRILLIANT BRILLIANTLY BRILLIANTS BRIM BRIMMED BRIMMING',
+    'BRIMS BRIMSTONE BRINE BRING BRINGING BRINGS BRINIER BRINIEST BRINK BRINKS BRINY BRISK BRISKED',
+    'BRISKER BRISKEST BRISKING BRISKLY BRISKS BRISTLE BRISTLED BRISTLES BRISTLING BRITCHES BRITTLE',
+    'BRITTLER BRITTLEST BROACH BROACHED BROACHES BROACHING BROAD BROADCAST BROADCASTING BROADCASTS',
+    'BROADEN BROADENED BROADENING BROADENS BROADER BROADEST BROADLY BROADS BROADSIDE BROADSIDED',
+    'BROADSIDES BROADSIDING BROCADE BROCADED BROCADES BROCADING BROCCOLI BROCHURE BROCHURES BROIL BROILED',
+    'BROILER BROILERS BROILING BROILS BROKE BROKEN BROKER BROKERED BROKERING BROKERS BRONCHITIS BRONCO',
+    'BRONCOS BRONZE BRONZED BRONZES BRONZING BROOCH BROOCHES BROOD BROODED BROODING BROODS BROOK BROOKED',
+    'BROOKING BROOKS BROOM BROOMS BROTH BROTHER BROTHERHOOD BROTHERHOODS BROTHERLY BROTHERS BROTHS',
+    'BROUGHT BROW BROWBEAT BROWBEATEN BROWBEATING BROWBEATS BROWN BROWNED BROWNER BROWNEST BROWNIE',
+    'BROWNIES BROWNING BROWNS BROWS BROWSE BROWSED BROWSES BROWSING BRUISE BRUISED BRUISES BRUISING',
+    'BRUNCH BRUNCHED BRUNCHES BRUNCHING BRUNETTE BRUNETTES BRUNT BRUSH BRUSHED BRUSHES BRUSHING BRUSQUE',
+    'BRUSQUER BRUSQUEST BRUTAL BRUTALITIES BRUTALITY BRUTALLY BRUTE BRUTES BRUTISH BUBBLE BUBBLED BUBBLES',
+    'BUBBLIER BUBBLIEST BUBBLING BUBBLY BUCK BUCKED BUCKET BUCKETED BUCKETING BUCKETS BUCKING BUCKLE',
+    'BUCKLED BUCKLES BUCKLING BUCKS BUD BUDDED BUDDIES BUDDING BUDDY BUDGE BUDGED BUDGES BUDGET BUDGETED',
+    'BUDGETING BUDGETS BUDGING BUDS BUFF BUFFALO BUFFALOED BUFFALOES BUFFALOING BUFFED BUFFER BUFFERED',
+    'BUFFERING BUFFERS BUFFET BUFFETED BUFFETING BUFFETS BUFFING BUFFOON BUFFOONS BUFFS BUG BUGGED BUGGER',
+    'BUGGERS BUGGIER BUGGIES BUGGIEST BUGGING BUGGY BUGLE BUGLED BUGLER BUGLERS BUGLES BUGLING BUGS BUILD',
+    'BUILDER BUILDERS BUILDING BUILDINGS BUILDS BUILT BULB BULBOUS BULBS BULGE BULGED BULGES BULGING BULK',
+    'BULKED BULKIER BULKIEST BULKING BULKS BULKY BULL BULLDOG BULLDOGGED BULLDOGGING BULLDOGS BULLDOZE',
+    'BULLDOZED BULLDOZER BULLDOZERS BULLDOZES BULLDOZING BULLED BULLET BULLETIN BULLETINED BULLETINING',
+    'BULLETINS BULLETS BULLFIGHT BULLFIGHTER BULLFIGHTERS BULLFIGHTS BULLFROG BULLFROGS BULLIED BULLIES',
+    'BULLING BULLION BULLS BULLY BULLYING BUM BUMBLEBEE BUMBLEBEES BUMMED BUMMER BUMMEST BUMMING BUMP',
+    'BUMPED BUMPER BUMPERS BUMPIER BUMPIEST BUMPING BUMPS BUMPY BUMS BUN BUNCH BUNCHED BUNCHES BUNCHING',
+    'BUNDLE BUNDLED BUNDLES BUNDLING BUNG BUNGALOW BUNGALOWS BUNGLE BUNGLED BUNGLER BUNGLERS BUNGLES',
+    'BUNGLING BUNION BUNIONS BUNK BUNKED BUNKER BUNKERS BUNKING BUNKS BUNNIES BUNNY BUNS BUOY BUOYANCY',
+    'BUOYANT BUOYED BUOYING BUOYS BURBLE BURBLED BURBLES BURBLING BURDEN BURDENED BURDENING BURDENS',
+    'BURDENSOME BUREAU BUREAUCRACIES BUREAUCRACY BUREAUCRAT BUREAUCRATIC BUREAUCRATS BUREAUS BURGER',
+    'BURGERS BURGLAR BURGLARIES BURGLARS BURGLARY BURGLE BURIAL BURIALS BURIED BURIES BURLAP BURLIER',
+    'BURLIEST BURLY BURN BURNED BURNER BURNERS BURNING BURNISH BURNISHED BURNISHES BURNISHING BURNS BURNT',
+    'BURP BURPED BURPING BURPS BURR BURRED BURRING BURRO BURROS BURROW BURROWED BURROWING BURROWS BURRS',
+    'BURSAR BURST BURSTING BURSTS BURY BURYING BUS BUSED BUSES BUSH BUSHED BUSHEL BUSHELED BUSHELING',
+    'BUSHELS BUSHES BUSHIER BUSHIEST BUSHING BUSHY BUSIED BUSIER BUSIES BUSIEST BUSILY BUSINESS',
+    'BUSINESSES BUSINESSMAN BUSINESSMEN BUSINESSWOMAN BUSINESSWOMEN BUSING BUSS BUST BUSTED BUSTING',
+    'BUSTLE BUSTLED BUSTLES BUSTLING BUSTS BUSY BUSYBODIES BUSYBODY BUSYING BUT BUTCHER BUTCHERED',
+    'BUTCHERIES BUTCHERING BUTCHERS BUTCHERY BUTLER BUTLERS BUTS BUTT BUTTE BUTTED BUTTER BUTTERCUP',
+    'BUTTERCUPS BUTTERED BUTTERFLIED BUTTERFLIES BUTTERFLY BUTTERFLYING BUTTERING BUTTERMILK BUTTERS',
+    'BUTTERSCOTCH BUTTERY BUTTES BUTTING BUTTOCK BUTTOCKS BUTTON BUTTONED BUTTONHOLE BUTTONHOLED',
+    'BUTTONHOLES BUTTONHOLING BUTTONING BUTTONS BUTTRESS BUTTRESSED BUTTRESSES BUTTRESSING BUTTS BUXOM',
+    'BUY BUYER BUYERS BUYING BUYS BUZZ BUZZARD BUZZARDS BUZZED BUZZER BUZZERS BUZZES BUZZING BY BYE BYES',
+    'BYGONE BYGONES BYPASS BYPASSED BYPASSES BYPASSING BYSTANDER BYSTANDERS BYTE BYTES BYWAY BYWAYS CAB',
+    'CABARET CABARETS CABBAGE CABBAGES CABBED CABBING CABIN CABINET CABINETS CABINS CABLE CABLED CABLES',
+    'CABLING CABOOSE CABOOSES CABS CACAO CACAOS CACHE CACHED CACHES CACHING CACKLE CACKLED CACKLES',
+    'CACKLING CACTI CACTUS CAD CADDIE CADDIED CADDIES CADDYING CADENCE CADENCES CADET CADETS CAFETERIA',
+    'CAFETERIAS CAFFEINE CAGE CAGED CAGES CAGEY CAGIER CAGIEST CAGING CAJOLE CAJOLED CAJOLES CAJOLING',
+    'CAKE CAKED CAKES CAKING CALAMITIES CALAMITY CALCIUM CALCULATE CALCULATED CALCULATES CALCULATING',
+    'CALCULATION CALCULATIONS CALCULATOR CALCULATORS CALCULI CALCULUS CALENDAR CALENDARED CALENDARING',
+    'CALENDARS CALF CALIBER CALIBERS CALIBRATE CALIBRATED CALIBRATES CALIBRATING CALIBRATION CALIBRATIONS',
+    'CALICO CALICOES CALK CALKED CALKING CALKS CALL CALLABLE CALLED CALLER CALLERS CALLIGRAPHY CALLING',
+    'CALLINGS CALLOUS CALLOUSED CALLOUSES CALLOUSING CALLOW CALLS CALLUS CALLUSED CALLUSES CALLUSING CALM',
+    'CALMED CALMER CALMEST CALMING CALMLY CALMNESS CALMS CALORIE CALORIES CALVE CALVES CAM CAMARADERIE',
+    'CAME CAMEL CAMELS CAMEO CAMEOS CAMERA CAMERAS CAMOUFLAGE CAMOUFLAGED CAMOUFLAGES CAMOUFLAGING CAMP',
+    'CAMPAIGN CAMPAIGNED CAMPAIGNER CAMPAIGNERS CAMPAIGNING CAMPAIGNS CAMPED CAMPER CAMPERS CAMPING CAMPS',
+    'CAMPUS CAMPUSES CAN CANAL CANALS CANARIES CANARY CANCEL CANCELED CANCELING CANCELLATION',
+    'CANCELLATIONS CANCELS CANCER CANCERS CANDID CANDIDACIES CANDIDACY CANDIDATE CANDIDATES CANDIDLY',
+    'CANDIED CANDIES CANDLE CANDLED CANDLES CANDLESTICK CANDLESTICKS CANDLING CANDOR CANDY CANDYING CANE',
+    'CANED CANES CANINE CANINES CANING CANISTER CANISTERS CANKER CANKERED CANKERING CANKERS CANNED',
+    'CANNERIES CANNERY CANNIBAL CANNIBALISM CANNIBALS CANNIER CANNIEST CANNING CANNON CANNONED CANNONING',
+    'CANNONS CANNOT CANNY CANOE CANOED CANOEING CANOES CANON CANONICAL CANONS CANOPIED CANOPIES CANOPY',
+    'CANOPYING CANS CANT CANTALOUPE CANTALOUPES CANTANKEROUS CANTEEN CANTEENS CANTER CANTERED CANTERING',
+    'CANTERS CANVAS CANVASED CANVASES CANVASING CANVASS CANVASSED CANVASSER CANVASSERS CANVASSES',
+    'CANVASSING CANYON CANYONS CAP CAPABILITIES CAPABILITY CAPABLE CAPABLY CAPACITANCE CAPACITIES',
+    'CAPACITOR CAPACITORS CAPACITY CAPE CAPED CAPER CAPERED CAPERING CAPERS CAPES CAPILLARIES CAPILLARY',
+    'CAPITAL CAPITALISM CAPITALIST CAPITALISTS CAPITALIZATION CAPITALIZE CAPITALIZED CAPITALIZES',
+    'CAPITALIZING CAPITALS CAPITULATE CAPITULATED CAPITULATES CAPITULATING CAPPED CAPPING CAPRICE',
+    'CAPRICES CAPRICIOUS CAPRICIOUSLY CAPS CAPSIZE CAPSIZED CAPSIZES CAPSIZING CAPSULE CAPSULED CAPSULES',
+    'CAPSULING CAPTAIN CAPTAINED CAPTAINING CAPTAINS CAPTION CAPTIONED CAPTIONING CAPTIONS CAPTIVATE',
+    'CAPTIVATED CAPTIVATES CAPTIVATING CAPTIVE CAPTIVES CAPTIVITIES CAPTIVITY CAPTOR CAPTORS CAPTURE',
+    'CAPTURED CAPTURES CAPTURING CAR CARAMEL CARAMELS CARAT CARATS CARAVAN CARAVANS CARBOHYDRATE',
+    'CARBOHYDRATES CARBON CARBONS CARBURETOR CARBURETORS CARCASS CARCASSES CARCINOGENIC CARD CARDBOARD',
+    'CARDED CARDIAC CARDIGAN CARDIGANS CARDINAL CARDINALS CARDING CARDS CARE CARED CAREER CAREERED',
+    'CAREERING CAREERS CAREFREE CAREFUL CAREFULLER CAREFULLEST CAREFULLY CAREFULNESS CARELESS CARELESSLY',
+    'CARELESSNESS CARES CARESS CARESSED CARESSES CARESSING CARETAKER CARETAKERS CARGO CARGOES CARIBOU',
+    'CARIBOUS CARICATURE CARICATURED CARICATURES CARICATURING CARING CARNAGE CARNAL CARNATION CARNATIONS',
+    'CARNIVAL CARNIVALS CARNIVORE CARNIVORES CARNIVOROUS CAROL CAROLED CAROLING CAROLS CAROUSE CAROUSED',
+    'CAROUSES CAROUSING CARP CARPED CARPENTER CARPENTERED CARPENTERING CARPENTERS CARPENTRY CARPET',
+    'CARPETED CARPETING CARPETS CARPING CARPS CARRIAGE CARRIAGES CARRIAGEWAY CARRIED CARRIER CARRIERS',
+    'CARRIES CARRION CARROT CARROTS CARRY CARRYING CARS CART CARTED CARTEL CARTELS CARTILAGE CARTILAGES',
+    'CARTING CARTOGRAPHER CARTOGRAPHERS CARTOGRAPHY CARTON CARTONS CARTOON CARTOONED CARTOONING',
+    'CARTOONIST CARTOONISTS CARTOONS CARTRIDGE CARTRIDGES CARTS CARTWHEEL CARTWHEELED CARTWHEELING',
+    'CARTWHEELS CARVE CARVED CARVES CARVING CASCADE CASCADED CASCADES CASCADING CASE CASED CASES CASH',
+    'CASHED CASHES CASHEW CASHEWS CASHIER CASHIERED CASHIERING CASHIERS CASHING CASHMERE CASING CASINGS',
+    'CASINO CASINOS CASK CASKET CASKETS CASKS CASSEROLE CASSEROLED CASSEROLES CASSEROLING CASSETTE',
+    'CASSETTES CAST CASTAWAY CASTAWAYS CASTE CASTER CASTERS CASTES CASTIGATE CASTIGATED CASTIGATES',
+    'CASTIGATING CASTING CASTINGS CASTLE CASTLED CASTLES CASTLING CASTOFF CASTOFFS CASTRATE CASTRATED',
+    'CASTRATES CASTRATING CASTS CASUAL CASUALLY CASUALS CASUALTIES CASUALTY CAT CATACLYSM CATACLYSMIC',
+    'CATACLYSMS CATALOG CATALOGED CATALOGING CATALOGS CATAPULT CATAPULTED CATAPULTING CATAPULTS CATARACT',
+    'CATARACTS CATASTROPHE CATASTROPHES CATASTROPHIC CATCALL CATCALLED CATCALLING CATCALLS CATCH CATCHES',
+    'CATCHIER CATCHIEST CATCHING CATCHINGS CATCHMENT CATCHY CATECHISM CATECHISMS CATEGORICAL',
+    'CATEGORICALLY CATEGORIES CATEGORIZE CATEGORIZED CATEGORIZES CATEGORIZING CATEGORY CATER CATERED',
+    'CATERER CATERERS CATERING CATERPILLAR CATERPILLARS CATERS CATFISH CATFISHES CATHEDRAL CATHEDRALS',
+    'CATHOLIC CATNAP CATNAPPED CATNAPPING CATNAPS CATNIP CATS CATTLE CATWALK CATWALKS CAUCUS CAUCUSED',
+    'CAUCUSES CAUCUSING CAUGHT CAULIFLOWER CAULIFLOWERS CAULK CAULKED CAULKING CAULKS CAUSAL CAUSALITY',
+    'CAUSE CAUSED CAUSES CAUSEWAY CAUSEWAYS CAUSING CAUSTIC CAUSTICS CAUTION CAUTIONED CAUTIONING',
+    'CAUTIONS CAUTIOUS CAUTIOUSLY CAVALIER CAVALIERS CAVALRIES CAVALRY CAVE CAVEAT CAVEATS CAVED CAVERN',
+    'CAVERNS CAVES CAVIAR CAVING CAVITIES CAVITY CAVORT CAVORTED CAVORTING CAVORTS CAW CAWED CAWING CAWS',
+    'CEASE CEASED CEASEFIRE CEASELESS CEASELESSLY CEASES CEASING CEDAR CEDARS CEDE CEDED CEDES CEDING',
+    'CEILING CEILINGS CELEBRATE CELEBRATED CELEBRATES CELEBRATING CELEBRATION CELEBRATIONS CELEBRITIES',
+    'CELEBRITY CELERY CELESTIAL CELIBACY CELIBATE CELIBATES CELL CELLAR CELLARS CELLIST CELLISTS CELLO',
+    'CELLOPHANE CELLOS CELLS CELLULAR CELLULARS CELLULOSE CEMENT CEMENTED CEMENTING CEMENTS CEMETERIES',
+    'CEMETERY CENSOR CENSORED CENSORING CENSORS CENSORSHIP CENSURE CENSURED CENSURES CENSURING CENSUS',
+    'CENSUSED CENSUSES CENSUSING CENT CENTENNIAL CENTENNIALS CENTER CENTERED CENTERING CENTERPIECE',
+    'CENTERPIECES CENTERS CENTIMETER CENTIMETERS CENTIPEDE CENTIPEDES CENTRAL CENTRALIZE CENTRALIZED',
+    'CENTRALIZES CENTRALIZING CENTRALLY CENTRALS CENTRIFUGE CENTS CENTURIES CENTURY CERAMIC CEREAL',
+    'CEREALS CEREBRAL CEREMONIAL CEREMONIALS CEREMONIES CEREMONIOUS CEREMONY CERTAIN CERTAINLY',
+    'CERTAINTIES CERTAINTY CERTIFICATE CERTIFICATED CERTIFICATES CERTIFICATING CERTIFIED CERTIFIES',
+    'CERTIFY CERTIFYING CERVICAL CESSATION CESSATIONS CHAFE CHAFED CHAFES CHAFF CHAFFED CHAFFING CHAFFS',
+    'CHAFING CHAGRIN CHAGRINED CHAGRINING CHAGRINS CHAIN CHAINED CHAINING CHAINS CHAINSAW CHAIR CHAIRED',
+    'CHAIRING CHAIRMAN CHAIRMEN CHAIRPERSON CHAIRPERSONS CHAIRS CHALET CHALETS CHALICE CHALICES CHALK',
+    'CHALKED CHALKIER CHALKIEST CHALKING CHALKS CHALKY CHALLENGE CHALLENGED CHALLENGER CHALLENGERS',
+    'CHALLENGES CHALLENGING CHAMBER CHAMBERS CHAMELEON CHAMELEONS CHAMP CHAMPAGNE CHAMPAGNES CHAMPED',
+    'CHAMPING CHAMPION CHAMPIONED CHAMPIONING CHAMPIONS CHAMPIONSHIP CHAMPIONSHIPS CHAMPS CHANCE CHANCED',
+    'CHANCELLOR CHANCELLORS CHANCES CHANCING CHANDELIER CHANDELIERS CHANGE CHANGEABLE CHANGED CHANGEOVER',
+    'CHANGES CHANGING CHANNEL CHANNELED CHANNELING CHANNELS CHANT CHANTED CHANTING CHANTS CHAOS CHAOTIC',
+    'CHAP CHAPEL CHAPELS CHAPERON CHAPERONED CHAPERONING CHAPERONS CHAPLAIN CHAPLAINS CHAPPED CHAPPING',
+    'CHAPS CHAPTER CHAPTERS CHAR CHARACTER CHARACTERISTIC CHARACTERISTICALLY CHARACTERISTICS',
+    'CHARACTERIZATION CHARACTERIZE CHARACTERIZED CHARACTERIZES CHARACTERIZING CHARACTERS CHARCOAL',
+    'CHARCOALS CHARGE CHARGEABLE CHARGED CHARGER CHARGES CHARGING CHARIOT CHARIOTS CHARISMA CHARISMATIC',
+    'CHARISMATICS CHARITABLE CHARITABLY CHARITIES CHARITY CHARLATAN CHARLATANS CHARM CHARMED CHARMING',
+    'CHARMS CHARRED CHARRING CHARS CHART CHARTED CHARTER CHARTERED CHARTERING CHARTERS CHARTING CHARTS',
+    'CHASE CHASED CHASES CHASING CHASM CHASMS CHASSIS CHASTE CHASTEN CHASTENED CHASTENING CHASTENS',
+    'CHASTER CHASTEST CHASTISE CHASTISED CHASTISEMENT CHASTISEMENTS CHASTISES CHASTISING CHASTITY CHAT',
+    'CHATS CHATTED CHATTER CHATTERBOX CHATTERBOXES CHATTERED CHATTERING CHATTERS CHATTIER CHATTIEST',
+    'CHATTING CHATTY CHAUFFEUR CHAUFFEURED CHAUFFEURING CHAUFFEURS CHAUVINIST CHAUVINISTS CHEAP CHEAPEN',
+    'CHEAPENED CHEAPENING CHEAPENS CHEAPER CHEAPEST CHEAPLY CHEAPNESS CHEAT CHEATED CHEATING CHEATS CHECK',
+    'CHECKED CHECKER CHECKERS CHECKING CHECKOUT CHECKPOINT CHECKS CHECKUP CHECKUPS CHEEK CHEEKED CHEEKING',
+    'CHEEKS CHEEP CHEEPED CHEEPING CHEEPS CHEER CHEERED CHEERFUL CHEERFULLER CHEERFULLEST CHEERFULLY',
+    'CHEERFULNESS CHEERIER CHEERIEST CHEERING CHEERS CHEERY CHEESE CHEESECLOTH CHEESED CHEESES CHEESING',
+    'CHEETAH CHEETAHS CHEF CHEFS CHEMICAL CHEMICALLY CHEMICALS CHEMIST CHEMISTRY CHEMISTS CHERISH',
+    'CHERISHED CHERISHES CHERISHING CHERRIES CHERRY CHERUB CHERUBIM CHERUBS CHESS CHEST CHESTNUT',
+    'CHESTNUTS CHESTS CHEW CHEWED CHEWIER CHEWIEST CHEWING CHEWS CHEWY CHI CHIC CHICER CHICEST CHICK',
+    'CHICKEN CHICKENED CHICKENING CHICKENS CHICKS CHIDE CHIDED CHIDES CHIDING CHIEF CHIEFER CHIEFEST',
+    'CHIEFLY CHIEFS CHIEFTAIN CHIEFTAINS CHILD CHILDBIRTH CHILDBIRTHS CHILDHOOD CHILDHOODS CHILDISH',
+    'CHILDLIKE CHILDREN CHILI CHILIES CHILL CHILLED CHILLER CHILLEST CHILLIER CHILLIEST CHILLING CHILLS',
+    'CHILLY CHIME CHIMED CHIMES CHIMING CHIMNEY CHIMNEYS CHIMP CHIMPANZEE CHIMPANZEES CHIMPS CHIN CHINA',
+    'CHINK CHINKED CHINKING CHINKS CHINNED CHINNING CHINS CHINTZ CHIP CHIPMUNK CHIPMUNKS CHIPPED CHIPPER',
+    'CHIPPERS CHIPPING CHIPS CHIROPRACTOR CHIROPRACTORS CHIRP CHIRPED CHIRPING CHIRPS CHISEL CHISELED',
+    'CHISELING CHISELS CHIVALROUS CHIVALRY CHLORINE CHLOROFORM CHLOROFORMED CHLOROFORMING CHLOROFORMS',
+    'CHLOROPHYLL CHOCOLATE CHOCOLATES CHOICE CHOICER CHOICES CHOICEST CHOIR CHOIRS CHOKE CHOKED CHOKES',
+    'CHOKING CHOLERA CHOLESTEROL CHOOSE CHOOSES CHOOSIER CHOOSIEST CHOOSING CHOOSY CHOP CHOPPED CHOPPER',
+    'CHOPPERED CHOPPERING CHOPPERS CHOPPIER CHOPPIEST CHOPPING CHOPPY CHOPS CHORAL CHORALS CHORD CHORDS',
+    'CHORE CHOREOGRAPHER CHOREOGRAPHERS CHOREOGRAPHY CHORES CHORTLE CHORTLED CHORTLES CHORTLING CHORUS',
+    'CHORUSED CHORUSES CHORUSING CHOSE CHOSEN CHOW CHOWDER CHOWDERS CHOWED CHOWING CHOWS CHRISTEN',
+    'CHRISTENED CHRISTENING CHRISTENINGS CHRISTENS CHROME CHROMED CHROMES CHROMING CHROMIUM CHROMOSOME',
+    'CHROMOSOMES CHRONIC CHRONICALLY CHRONICLE CHRONICLED CHRONICLES CHRONICLING CHRONOLOGICAL',
+    'CHRONOLOGICALLY CHRONOLOGIES CHRONOLOGY CHRYSANTHEMUM CHRYSANTHEMUMS CHUBBIER CHUBBIEST CHUBBY CHUCK',
+    'CHUCKED CHUCKING CHUCKLE CHUCKLED CHUCKLES CHUCKLING CHUCKS CHUG CHUGGED CHUGGING CHUGS CHUM CHUMMED',
+    'CHUMMIER CHUMMIEST CHUMMING CHUMMY CHUMS CHUNK CHUNKIER CHUNKIEST CHUNKS CHUNKY CHURCH CHURCHES',
+    'CHURN CHURNED CHURNING CHURNS CHUTE CHUTES CIDER CIDERS CIGAR CIGARETTE CIGARETTES CIGARS CINCH',
+    'CINCHED CINCHES CINCHING CINDER CINDERED CINDERING CINDERS CINEMA CINEMAS CINNAMON CIPHER CIPHERED',
+    'CIPHERING CIPHERS CIRCA CIRCLE CIRCLED CIRCLES CIRCLING CIRCUIT CIRCUITED CIRCUITING CIRCUITOUS',
+    'CIRCUITRY CIRCUITS CIRCULAR CIRCULARS CIRCULATE CIRCULATED CIRCULATES CIRCULATING CIRCULATION',
+    'CIRCULATIONS CIRCULATORY CIRCUMCISE CIRCUMCISED CIRCUMCISES CIRCUMCISING CIRCUMCISION CIRCUMCISIONS',
+    'CIRCUMFERENCE CIRCUMFERENCES CIRCUMFLEX CIRCUMSTANCE CIRCUMSTANCED CIRCUMSTANCES CIRCUMSTANCING',
+    'CIRCUMSTANTIAL CIRCUMVENT CIRCUMVENTED CIRCUMVENTING CIRCUMVENTION CIRCUMVENTS CIRCUS CIRCUSES',
+    'CISTERN CISTERNS CITATION CITATIONS CITE CITED CITES CITIES CITING CITIZEN CITIZENS CITIZENSHIP',
+    'CITRIC CITRUS CITRUSES CITY CIVIC CIVICS CIVIL CIVILIAN CIVILIANS CIVILITIES CIVILITY CIVILIZATION',
+    'CIVILIZATIONS CIVILIZE CIVILIZED CIVILIZES CIVILIZING CLACK CLACKED CLACKING CLACKS CLAD CLAIM',
+    'CLAIMED CLAIMING CLAIMS CLAIRVOYANCE CLAIRVOYANT CLAIRVOYANTS CLAM CLAMBER CLAMBERED CLAMBERING',
+    'CLAMBERS CLAMMED CLAMMIER CLAMMIEST CLAMMING CLAMMY CLAMOR CLAMORED CLAMORING CLAMORS CLAMP CLAMPED',
+    'CLAMPING CLAMPS CLAMS CLAN CLANDESTINE CLANG CLANGED CLANGING CLANGS CLANK CLANKED CLANKING CLANKS',
+    'CLANS CLAP CLAPPED CLAPPER CLAPPERS CLAPPING CLAPS CLAPTRAP CLARET CLARIFICATION CLARIFICATIONS',
+    'CLARIFIED CLARIFIES CLARIFY CLARIFYING CLARINET CLARINETS CLARITY CLASH CLASHED CLASHES CLASHING',
+    'CLASP CLASPED CLASPING CLASPS CLASS CLASSED CLASSES CLASSIC CLASSICAL CLASSICS CLASSIFICATION',
+    'CLASSIFICATIONS CLASSIFIED CLASSIFIES CLASSIFY CLASSIFYING CLASSING CLASSMATE CLASSMATES CLASSROOM',
+    'CLASSROOMS CLASSY CLATTER CLATTERED CLATTERING CLATTERS CLAUSE CLAUSES CLAUSTROPHOBIA CLAW CLAWED',
+    'CLAWING CLAWS CLAY CLEAN CLEANED CLEANER CLEANERS CLEANEST CLEANING CLEANLIER CLEANLIEST CLEANLINESS',
+    'CLEANLY CLEANS CLEANSE CLEANSED CLEANSER CLEANSERS CLEANSES CLEANSING CLEAR CLEARANCE CLEARANCES',
+    'CLEARED CLEARER CLEAREST CLEARING CLEARINGS CLEARLY CLEARNESS CLEARS CLEAT CLEATS CLEAVAGE CLEAVAGES',
+    'CLEAVE CLEAVED CLEAVER CLEAVERS CLEAVES CLEAVING CLEF CLEFS CLEFT CLEFTS CLEMENCY CLENCH CLENCHED',
+    'CLENCHES CLENCHING CLERGIES CLERGY CLERGYMAN CLERGYMEN CLERIC CLERICAL CLERICS CLERK CLERKED',
+    'CLERKING CLERKS CLEVER CLEVERER CLEVEREST CLEVERLY CLEVERNESS CLICK CLICKED CLICKING CLICKS CLIENT',
+    'CLIENTS CLIFF CLIFFS CLIMACTIC CLIMATE CLIMATES CLIMAX CLIMAXED CLIMAXES CLIMAXING CLIMB CLIMBED',
+    'CLIMBER CLIMBERS CLIMBING CLIMBS CLIME CLIMES CLINCH CLINCHED CLINCHES CLINCHING CLING CLINGING',
+    'CLINGS CLINIC CLINICAL CLINICALLY CLINICS CLINK CLINKED CLINKING CLINKS CLIP CLIPBOARD CLIPBOARDS',
+    'CLIPPED CLIPPING CLIPPINGS CLIPS CLIQUE CLIQUES CLITORIS CLOAK CLOAKED CLOAKING CLOAKS CLOCK CLOCKED',
+    'CLOCKING CLOCKS CLOCKWISE CLOCKWORK CLOCKWORKS CLOD CLODS CLOG CLOGGED CLOGGING CLOGS CLOISTER',
+    'CLOISTERED CLOISTERING CLOISTERS CLONE CLONES CLOSE CLOSED CLOSELY CLOSENESS CLOSER CLOSES CLOSEST',
+    'CLOSET CLOSETED CLOSETING CLOSETS CLOSING CLOSURE CLOSURES CLOT CLOTH CLOTHE CLOTHED CLOTHES',
+    'CLOTHESPIN CLOTHESPINS CLOTHING CLOTHS CLOTS CLOTTED CLOTTING CLOUD CLOUDBURST CLOUDBURSTS CLOUDED',
+    'CLOUDIER CLOUDIEST CLOUDING CLOUDS CLOUDY CLOUT CLOUTED CLOUTING CLOUTS CLOVE CLOVEN CLOVER CLOVERS',
+    'CLOVES CLOWN CLOWNED CLOWNING CLOWNS CLUB CLUBBED CLUBBING CLUBHOUSE CLUBHOUSES CLUBS CLUCK CLUCKED',
+    'CLUCKING CLUCKS CLUE CLUED CLUELESS CLUES CLUING CLUMP CLUMPED CLUMPING CLUMPS CLUMSIER CLUMSIEST',
+    'CLUMSILY CLUMSINESS CLUMSY CLUNG CLUSTER CLUSTERED CLUSTERING CLUSTERS CLUTCH CLUTCHED CLUTCHES',
+    'CLUTCHING CLUTTER CLUTTERED CLUTTERING CLUTTERS COACH COACHED COACHES COACHING COAGULATE COAGULATED',
+    'COAGULATES COAGULATING COAGULATION COAL COALED COALESCE COALESCED COALESCES COALESCING COALING',
+    'COALITION COALITIONS COALS COARSE COARSELY COARSEN COARSENED COARSENESS COARSENING COARSENS COARSER',
+    'COARSEST COAST COASTAL COASTED COASTER COASTERS COASTING COASTLINE COASTLINES COASTS COAT COATED',
+    'COATING COATS COAX COAXED COAXES COAXING COB COBALT COBBLE COBBLER COBBLERS COBRA COBRAS COBS COBWEB',
+    'COBWEBS COCAINE COCK COCKED COCKEYED COCKIER COCKIEST COCKING COCKPIT COCKPITS COCKROACH COCKROACHES',
+    'COCKS COCKTAIL COCKTAILS COCKY COCOA COCOAS COCONUT COCONUTS COCOON COCOONED COCOONING COCOONS COD',
+    'CODDED CODDING CODE CODED CODES CODING CODS COEFFICIENT COEFFICIENTS COERCE COERCED COERCES COERCING',
+    'COERCION COEXIST COEXISTED COEXISTENCE COEXISTING COEXISTS COFFEE COFFEES COFFER COFFERS COFFIN',
+    'COFFINED COFFINING COFFINS COG COGENCY COGENT COGNAC COGNACS COGNITIVE COGS COHERENCE COHERENT',
+    'COHERENTLY COIL COILED COILING COILS COIN COINAGE COINAGES COINCIDE COINCIDED COINCIDENCE',
+    'COINCIDENCES COINCIDENTAL COINCIDENTALLY COINCIDES COINCIDING COINED COINING COINS COKE COKED COKES',
+    'COKING COLANDER COLANDERS COLD COLDER COLDEST COLDLY COLDNESS COLDS COLIC COLLABORATE COLLABORATED',
+    'COLLABORATES COLLABORATING COLLABORATION COLLABORATIONS COLLABORATIVE COLLABORATOR COLLABORATORS',
+    'COLLAGE COLLAGES COLLAPSE COLLAPSED COLLAPSES COLLAPSIBLE COLLAPSING COLLAR COLLARBONE COLLARBONES',
+    'COLLARED COLLARING COLLARS COLLATE COLLATED COLLATERAL COLLATES COLLATING COLLATION COLLEAGUE',
+    'COLLEAGUES COLLECT COLLECTED COLLECTING COLLECTION COLLECTIONS COLLECTIVE COLLECTIVELY COLLECTIVES',
+    'COLLECTOR COLLECTORS COLLECTS COLLEGE COLLEGES COLLEGIATE COLLIDE COLLIDED COLLIDES COLLIDING COLLIE',
+    'COLLIES COLLISION COLLISIONS COLLOQUIAL COLLOQUIALISM COLLOQUIALISMS COLLUSION COLON COLONEL',
+    'COLONELS COLONES COLONIAL COLONIALS COLONIES COLONIZATION COLONIZE COLONIZED COLONIZES COLONIZING',
+    'COLONS COLONY COLOR COLORED COLOREDS COLORFUL COLORING COLORLESS COLORS COLOSSAL COLT COLTS COLUMN',
+    'COLUMNS COMA COMAS COMB COMBAT COMBATANT COMBATANTS COMBATED COMBATING COMBATS COMBED COMBINATION',
+    'COMBINATIONS COMBINE COMBINED COMBINES COMBING COMBINING COMBS COMBUSTIBLE COMBUSTIBLES COMBUSTION',
+    'COME COMEBACK COMEDIAN COMEDIANS COMEDIES COMEDY COMELIER COMELIEST COMELY COMES COMESTIBLE',
+    'COMESTIBLES COMET COMETS COMFORT COMFORTABLE COMFORTABLY COMFORTED COMFORTING COMFORTS COMIC COMICAL',
+    'COMICS COMING COMINGS COMMA COMMAND COMMANDANT COMMANDANTS COMMANDED COMMANDEER COMMANDEERED',
+    'COMMANDEERING COMMANDEERS COMMANDER COMMANDERS COMMANDING COMMANDMENT COMMANDMENTS COMMANDO',
+    'COMMANDOS COMMANDS COMMAS COMMEMORATE COMMEMORATED COMMEMORATES COMMEMORATING COMMEMORATION',
+    'COMMEMORATIONS COMMENCE COMMENCED COMMENCEMENT COMMENCEMENTS COMMENCES COMMENCING COMMEND',
+    'COMMENDABLE COMMENDATION COMMENDATIONS COMMENDED COMMENDING COMMENDS COMMENT COMMENTARIES COMMENTARY',
+    'COMMENTATOR COMMENTATORS COMMENTED COMMENTING COMMENTS COMMERCE COMMERCIAL COMMERCIALISM',
+    'COMMERCIALIZE COMMERCIALIZED COMMERCIALIZES COMMERCIALIZING COMMERCIALLY COMMERCIALS COMMISERATE',
+    'COMMISERATED COMMISERATES COMMISERATING COMMISERATION COMMISERATIONS COMMISSION COMMISSIONED',
+    'COMMISSIONER COMMISSIONERS COMMISSIONING COMMISSIONS COMMIT COMMITMENT COMMITMENTS COMMITS COMMITTED',
+    'COMMITTEE COMMITTEES COMMITTING COMMODITIES COMMODITY COMMODORE COMMODORES COMMON COMMONER COMMONEST',
+    'COMMONLY COMMONPLACE COMMONPLACES COMMONS COMMONWEALTH COMMONWEALTHS COMMOTION COMMOTIONS COMMUNAL',
+    'COMMUNE COMMUNED COMMUNES COMMUNICABLE COMMUNICATE COMMUNICATED COMMUNICATES COMMUNICATING',
+    'COMMUNICATION COMMUNICATIONS COMMUNICATIVE COMMUNICATOR COMMUNING COMMUNION COMMUNIONS COMMUNIQUE',
+    'COMMUNIQUES COMMUNISM COMMUNIST COMMUNISTS COMMUNITIES COMMUNITY COMMUTATIVE COMMUTE COMMUTED',
+    'COMMUTER COMMUTERS COMMUTES COMMUTING COMPACT COMPACTED COMPACTER COMPACTEST COMPACTING COMPACTION',
+    'COMPACTS COMPANIES COMPANION COMPANIONS COMPANIONSHIP COMPANY COMPARABLE COMPARATIVE COMPARATIVELY',
+    'COMPARATIVES COMPARE COMPARED COMPARES COMPARING COMPARISON COMPARISONS COMPARTMENT COMPARTMENTS',
+    'COMPASS COMPASSED COMPASSES COMPASSING COMPASSION COMPASSIONATE COMPATIBILITY COMPATIBLE COMPATIBLES',
+    'COMPATRIOT COMPATRIOTS COMPEL COMPELLED COMPELLING COMPELS COMPENSATE COMPENSATED COMPENSATES',
+    'COMPENSATING COMPENSATION COMPENSATIONS COMPETE COMPETED COMPETENCE COMPETENCES COMPETENT',
+    'COMPETENTLY COMPETES COMPETING COMPETITION COMPETITIONS COMPETITIVE COMPETITOR COMPETITORS',
+    'COMPILATION COMPILATIONS COMPILE COMPILED COMPILER COMPILERS COMPILES COMPILING COMPLACENCY',
+    'COMPLACENT COMPLAIN COMPLAINED COMPLAINING COMPLAINS COMPLAINT COMPLAINTS COMPLEMENT COMPLEMENTARY',
+    'COMPLEMENTED COMPLEMENTING COMPLEMENTS COMPLETE COMPLETED COMPLETELY COMPLETENESS COMPLETER',
+    'COMPLETES COMPLETEST COMPLETING COMPLETION COMPLEX COMPLEXES COMPLEXION COMPLEXIONED COMPLEXIONS',
+    'COMPLEXITIES COMPLEXITY COMPLIANCE COMPLIANT COMPLICATE COMPLICATED COMPLICATES COMPLICATING',
+    'COMPLICATION COMPLICATIONS COMPLIED COMPLIES COMPLIMENT COMPLIMENTARY COMPLIMENTED COMPLIMENTING',
+    'COMPLIMENTS COMPLY COMPLYING COMPONENT COMPONENTS COMPOSE COMPOSED COMPOSER COMPOSERS COMPOSES',
+    'COMPOSING COMPOSITE COMPOSITES COMPOSITION COMPOSITIONS COMPOST COMPOSTED COMPOSTING COMPOSTS',
+    'COMPOSURE COMPOUND COMPOUNDED COMPOUNDING COMPOUNDS COMPREHEND COMPREHENDED COMPREHENDING',
+    'COMPREHENDS COMPREHENSIBLE COMPREHENSION COMPREHENSIONS COMPREHENSIVE COMPREHENSIVELY COMPREHENSIVES',
+    'COMPRESS COMPRESSED COMPRESSES COMPRESSING COMPRESSION COMPRISE COMPRISED COMPRISES COMPRISING',
+    'COMPROMISE COMPROMISED COMPROMISES COMPROMISING COMPULSION COMPULSIONS COMPULSIVE COMPULSORIES',
+    'COMPULSORY COMPUNCTION COMPUNCTIONS COMPUTATION COMPUTATIONAL COMPUTATIONS COMPUTE COMPUTED COMPUTER',
+    'COMPUTERIZE COMPUTERIZED COMPUTERIZES COMPUTERIZING COMPUTERS COMPUTES COMPUTING COMRADE COMRADES',
+    'COMRADESHIP CON CONCATENATE CONCATENATED CONCATENATES CONCATENATING CONCATENATION CONCATENATIONS',
+    'CONCAVE CONCEAL CONCEALED CONCEALING CONCEALMENT CONCEALS CONCEDE CONCEDED CONCEDES CONCEDING',
+    'CONCEIT CONCEITED CONCEITS CONCEIVABLE CONCEIVABLY CONCEIVE CONCEIVED CONCEIVES CONCEIVING',
+    'CONCENTRATE CONCENTRATED CONCENTRATES CONCENTRATING CONCENTRATION CONCENTRATIONS CONCENTRIC CONCEPT',
+    'CONCEPTION CONCEPTIONS CONCEPTS CONCEPTUAL CONCEPTUALLY CONCERN CONCERNED CONCERNING CONCERNS',
+    'CONCERT CONCERTED CONCERTING CONCERTO CONCERTOS CONCERTS CONCESSION CONCESSIONS CONCILIATE',
+    'CONCILIATED CONCILIATES CONCILIATING CONCILIATION CONCISE CONCISELY CONCISENESS CONCISER CONCISEST',
+    'CONCLUDE CONCLUDED CONCLUDES CONCLUDING CONCLUSION CONCLUSIONS CONCLUSIVE CONCLUSIVELY CONCOCT',
+    'CONCOCTED CONCOCTING CONCOCTION CONCOCTIONS CONCOCTS CONCORD CONCORDANCE CONCOURSE CONCOURSES',
+    'CONCRETE CONCRETED CONCRETES CONCRETING CONCUR CONCURRED CONCURRENCE CONCURRENCES CONCURRENCY',
+    'CONCURRENT CONCURRENTLY CONCURRING CONCURS CONCUSSION CONCUSSIONS CONDEMN CONDEMNATION CONDEMNATIONS',
+    'CONDEMNED CONDEMNING CONDEMNS CONDENSATION CONDENSATIONS CONDENSE CONDENSED CONDENSES CONDENSING',
+    'CONDESCEND CONDESCENDED CONDESCENDING CONDESCENDS CONDIMENT CONDIMENTS CONDITION CONDITIONAL',
+    'CONDITIONALLY CONDITIONALS CONDITIONED CONDITIONING CONDITIONS CONDOLENCE CONDOLENCES CONDOM',
+    'CONDOMINIUM CONDOMINIUMS CONDOMS CONDONE CONDONED CONDONES CONDONING CONDOR CONDORS CONDUCIVE',
+    'CONDUCT CONDUCTED CONDUCTING CONDUCTOR CONDUCTORS CONDUCTS CONE CONES CONFECTION CONFECTIONS',
+    'CONFEDERACIES CONFEDERACY CONFEDERATE CONFEDERATED CONFEDERATES CONFEDERATING CONFEDERATION',
+    'CONFEDERATIONS CONFER CONFERENCE CONFERENCES CONFERRED CONFERRER CONFERRING CONFERS CONFESS',
+    'CONFESSED CONFESSES CONFESSING CONFESSION CONFESSIONS CONFETTI CONFIDANT CONFIDANTS CONFIDE CONFIDED',
+    'CONFIDENCE CONFIDENCES CONFIDENT CONFIDENTIAL CONFIDENTIALITY CONFIDENTIALLY CONFIDENTLY CONFIDES',
+    'CONFIDING CONFIGURABLE CONFIGURATION CONFIGURATIONS CONFIGURE CONFIGURED CONFIGURES CONFIGURING',
+    'CONFINE CONFINED CONFINEMENT CONFINEMENTS CONFINES CONFINING CONFIRM CONFIRMATION CONFIRMATIONS',
+    'CONFIRMED CONFIRMING CONFIRMS CONFISCATE CONFISCATED CONFISCATES CONFISCATING CONFISCATION',
+    'CONFISCATIONS CONFLICT CONFLICTED CONFLICTING CONFLICTS CONFORM CONFORMED CONFORMING CONFORMITY',
+    'CONFORMS CONFOUND CONFOUNDED CONFOUNDING CONFOUNDS CONFRONT CONFRONTATION CONFRONTATIONS CONFRONTED',
+    'CONFRONTING CONFRONTS CONFUSE CONFUSED CONFUSES CONFUSING CONFUSION CONGEAL CONGEALED CONGEALING',
+    'CONGEALS CONGENIAL CONGEST CONGESTED CONGESTING CONGESTION CONGESTS CONGLOMERATE CONGLOMERATED',
+    'CONGLOMERATES CONGLOMERATING CONGRATULATE CONGRATULATED CONGRATULATES CONGRATULATING CONGRATULATIONS',
+    'CONGREGATE CONGREGATED CONGREGATES CONGREGATING CONGREGATION CONGREGATIONS CONGRESS CONGRESSES',
+    'CONGRESSMAN CONGRESSMEN CONGRESSWOMAN CONGRESSWOMEN CONGRUENT CONICAL CONIFER CONIFEROUS CONIFERS',
+    'CONJECTURE CONJECTURED CONJECTURES CONJECTURING CONJUGAL CONJUGATE CONJUGATED CONJUGATES CONJUGATING',
+    'CONJUGATION CONJUGATIONS CONJUNCTION CONJUNCTIONS CONJURE CONJURED CONJURES CONJURING CONNECT',
+    'CONNECTED CONNECTING CONNECTION CONNECTIONS CONNECTIVE CONNECTIVITY CONNECTOR CONNECTORS CONNECTS',
+    'CONNED CONNING CONNOISSEUR CONNOISSEURS CONNOTATION CONNOTATIONS CONNOTE CONNOTED CONNOTES CONNOTING',
+    'CONQUER CONQUERED CONQUERING CONQUEROR CONQUERORS CONQUERS CONQUEST CONQUESTS CONS CONSCIENCE',
+    'CONSCIENCES CONSCIENTIOUS CONSCIOUS CONSCIOUSLY CONSCIOUSNESS CONSCIOUSNESSES CONSECRATE CONSECRATED',
+    'CONSECRATES CONSECRATING CONSECUTIVE CONSENSUS CONSENSUSES CONSENT CONSENTED CONSENTING CONSENTS',
+    'CONSEQUENCE CONSEQUENCES CONSEQUENT CONSEQUENTIAL CONSEQUENTLY CONSERVATION CONSERVATISM',
+    'CONSERVATIVE CONSERVATIVES CONSERVATORIES CONSERVATORY CONSERVE CONSERVED CONSERVES CONSERVING',
+    'CONSIDER CONSIDERABLE CONSIDERABLY CONSIDERATE CONSIDERATION CONSIDERATIONS CONSIDERED CONSIDERING',
+    'CONSIDERS CONSIGN CONSIGNED CONSIGNING CONSIGNMENT CONSIGNMENTS CONSIGNS CONSIST CONSISTED',
+    'CONSISTENCIES CONSISTENCY CONSISTENT CONSISTENTLY CONSISTING CONSISTS CONSOLATION CONSOLATIONS',
+    'CONSOLE CONSOLED CONSOLES CONSOLIDATE CONSOLIDATED CONSOLIDATES CONSOLIDATING CONSOLIDATION',
+    'CONSOLIDATIONS CONSOLING CONSONANT CONSONANTS CONSORT CONSORTED CONSORTING CONSORTIUM CONSORTS',
+    'CONSPICUOUS CONSPICUOUSLY CONSPIRACIES CONSPIRACY CONSPIRATOR CONSPIRATORS CONSPIRE CONSPIRED',
+    'CONSPIRES CONSPIRING CONSTANCY CONSTANT CONSTANTLY CONSTANTS CONSTELLATION CONSTELLATIONS',
+    'CONSTERNATION CONSTIPATION CONSTITUENCIES CONSTITUENCY CONSTITUENT CONSTITUENTS CONSTITUTE',
+    'CONSTITUTED CONSTITUTES CONSTITUTING CONSTITUTION CONSTITUTIONAL CONSTITUTIONALLY CONSTITUTIONALS',
+    'CONSTITUTIONS CONSTRAIN CONSTRAINED CONSTRAINING CONSTRAINS CONSTRAINT CONSTRAINTS CONSTRICT',
+    'CONSTRICTED CONSTRICTING CONSTRICTION CONSTRICTIONS CONSTRICTS CONSTRUCT CONSTRUCTED CONSTRUCTING',
+    'CONSTRUCTION CONSTRUCTIONS CONSTRUCTIVE CONSTRUCTS CONSTRUE CONSTRUED CONSTRUES CONSTRUING CONSUL',
+    'CONSULAR CONSULATE CONSULATES CONSULS CONSULT CONSULTANCY CONSULTANT CONSULTANTS CONSULTATION',
+    'CONSULTATIONS CONSULTED CONSULTING CONSULTS CONSUMABLE CONSUMABLES CONSUME CONSUMED CONSUMER',
+    'CONSUMERISM CONSUMERS CONSUMES CONSUMING CONSUMMATE CONSUMMATED CONSUMMATES CONSUMMATING CONSUMPTION',
+    'CONTACT CONTACTED CONTACTING CONTACTS CONTAGION CONTAGIONS CONTAGIOUS CONTAIN CONTAINED CONTAINER',
+    'CONTAINERS CONTAINING CONTAINS CONTAMINATE CONTAMINATED CONTAMINATES CONTAMINATING CONTAMINATION',
+    'CONTEMPLATE CONTEMPLATED CONTEMPLATES CONTEMPLATING CONTEMPLATION CONTEMPLATIVE CONTEMPLATIVES',
+    'CONTEMPORARIES CONTEMPORARY CONTEMPT CONTEMPTIBLE CONTEMPTUOUS CONTEND CONTENDED CONTENDER',
+    'CONTENDERS CONTENDING CONTENDS CONTENT CONTENTED CONTENTING CONTENTION CONTENTIONS CONTENTIOUS',
+    'CONTENTMENT CONTENTS CONTEST CONTESTANT CONTESTANTS CONTESTED CONTESTING CONTESTS CONTEXT CONTEXTS',
+    'CONTEXTUAL CONTIGUOUS CONTINENT CONTINENTAL CONTINENTALS CONTINENTS CONTINGENCIES CONTINGENCY',
+    'CONTINGENT CONTINGENTS CONTINUAL CONTINUALLY CONTINUATION CONTINUATIONS CONTINUE CONTINUED CONTINUES',
+    'CONTINUING CONTINUITY CONTINUOUS CONTINUOUSLY CONTINUUM CONTORT CONTORTED CONTORTING CONTORTION',
+    'CONTORTIONS CONTORTS CONTOUR CONTOURED CONTOURING CONTOURS CONTRABAND CONTRACEPTION CONTRACEPTIVE',
+    'CONTRACEPTIVES CONTRACT CONTRACTED CONTRACTING CONTRACTION CONTRACTIONS CONTRACTOR CONTRACTORS',
+    'CONTRACTS CONTRACTUAL CONTRADICT CONTRADICTED CONTRADICTING CONTRADICTION CONTRADICTIONS',
+    'CONTRADICTORY CONTRADICTS CONTRAPTION CONTRAPTIONS CONTRARIES CONTRARY CONTRAST CONTRASTED',
+    'CONTRASTING CONTRASTS CONTRAVENE CONTRAVENES CONTRAVENTION CONTRIBUTE CONTRIBUTED CONTRIBUTES',
+    'CONTRIBUTING CONTRIBUTION CONTRIBUTIONS CONTRIBUTOR CONTRIBUTORS CONTRIBUTORY CONTRITE CONTRIVE',
+    'CONTRIVED CONTRIVES CONTRIVING CONTROL CONTROLLABLE CONTROLLED CONTROLLER CONTROLLERS CONTROLLING',
+    'CONTROLS CONTROVERSIAL CONTROVERSIES CONTROVERSY CONVALESCE CONVALESCED CONVALESCENCE CONVALESCENCES',
+    'CONVALESCENT CONVALESCENTS CONVALESCES CONVALESCING CONVECTION CONVENE CONVENED CONVENES CONVENIENCE',
+    'CONVENIENCES CONVENIENT CONVENIENTLY CONVENING CONVENT CONVENTION CONVENTIONAL CONVENTIONALLY',
+    'CONVENTIONS CONVENTS CONVERGE CONVERGED CONVERGENCE CONVERGES CONVERGING CONVERSANT CONVERSATION',
+    'CONVERSATIONAL CONVERSATIONS CONVERSE CONVERSED CONVERSELY CONVERSES CONVERSING CONVERSION',
+    'CONVERSIONS CONVERT CONVERTED CONVERTER CONVERTERS CONVERTIBLE CONVERTIBLES CONVERTING CONVERTS',
+    'CONVEX CONVEY CONVEYANCE CONVEYANCES CONVEYED CONVEYING CONVEYS CONVICT CONVICTED CONVICTING',
+    'CONVICTION CONVICTIONS CONVICTS CONVINCE CONVINCED CONVINCES CONVINCING CONVINCINGLY CONVOLUTED',
+    'CONVOY CONVOYED CONVOYING CONVOYS CONVULSE CONVULSED CONVULSES CONVULSING CONVULSION CONVULSIONS',
+    'CONVULSIVE COO COOED COOING COOK COOKBOOK COOKBOOKS COOKED COOKER COOKIE COOKIES COOKING COOKS COOL',
+    'COOLED COOLER COOLERS COOLEST COOLING COOLLY COOLS COOP COOPED COOPER COOPERATE COOPERATED',
+    'COOPERATES COOPERATING COOPERATION COOPERATIVE COOPERATIVES COOPING COOPS COORDINATE COORDINATED',
+    'COORDINATES COORDINATING COORDINATION COORDINATOR COOS COP COPE COPED COPES COPIED COPIER COPIERS',
+    'COPIES COPING COPIOUS COPIOUSLY COPPED COPPER COPPERHEAD COPPERHEADS COPPERS COPPING COPS COPULATE',
+    'COPULATION COPY COPYING COPYRIGHT COPYRIGHTED COPYRIGHTING COPYRIGHTS CORAL CORALS CORD CORDED',
+    'CORDIAL CORDIALLY CORDIALS CORDING CORDLESS CORDON CORDONED CORDONING CORDONS CORDS CORDUROY CORE',
+    'CORED CORES CORING CORK CORKED CORKING CORKS CORKSCREW CORKSCREWED CORKSCREWING CORKSCREWS CORN',
+    'CORNEA CORNEAS CORNED CORNER CORNERED CORNERING CORNERS CORNET CORNETS CORNFLAKES CORNIER CORNIEST',
+    'CORNING CORNMEAL CORNS CORNSTARCH CORNY COROLLARY CORONARIES CORONARY CORONATION CORONATIONS CORONER',
+    'CORONERS CORPORAL CORPORALS CORPORATE CORPORATION CORPORATIONS CORPS CORPSE CORPSES CORPULENT CORPUS',
+    'CORPUSCLE CORPUSCLES CORRAL CORRALLED CORRALLING CORRALS CORRECT CORRECTED CORRECTER CORRECTEST',
+    'CORRECTING CORRECTION CORRECTIONS CORRECTIVE CORRECTLY CORRECTNESS CORRECTOR CORRECTS CORRELATE',
+    'CORRELATED CORRELATES CORRELATING CORRELATION CORRELATIONS CORRESPOND CORRESPONDED CORRESPONDENCE',
+    'CORRESPONDENCES CORRESPONDENT CORRESPONDENTS CORRESPONDING CORRESPONDINGLY CORRESPONDS CORRIDOR',
+    'CORRIDORS CORROBORATE CORROBORATED CORROBORATES CORROBORATING CORROBORATION CORRODE CORRODED',
+    'CORRODES CORRODING CORROSION CORROSIVE CORROSIVES CORRUPT CORRUPTED CORRUPTER CORRUPTEST CORRUPTIBLE',
+    'CORRUPTING CORRUPTION CORRUPTIONS CORRUPTS CORSAGE CORSAGES CORSET CORSETED CORSETING CORSETS CORTEX',
+    'COSMETIC COSMETICS COSMIC COSMOLOGY COSMONAUT COSMONAUTS COSMOPOLITAN COSMOPOLITANS COSMOS COSMOSES',
+    'COST COSTED COSTING COSTINGS COSTLIER COSTLIEST COSTLY COSTS COSTUME COSTUMED COSTUMES COSTUMING COT',
+    'COTS COTTAGE COTTAGES COTTON COTTONED COTTONING COTTONS COTTONTAIL COTTONTAILS COTTONWOOD',
+    'COTTONWOODS COUCH COUCHED COUCHES COUCHING COUGAR COUGARS COUGH COUGHED COUGHING COUGHS COULD',
+    'COUNCIL COUNCILOR COUNCILORS COUNCILS COUNSEL COUNSELED COUNSELING COUNSELOR COUNSELORS COUNSELS',
+    'COUNT COUNTABLE COUNTDOWN COUNTDOWNS COUNTED COUNTENANCE COUNTENANCED COUNTENANCES COUNTENANCING',
+    'COUNTER COUNTERACT COUNTERACTED COUNTERACTING COUNTERACTS COUNTERATTACK COUNTERATTACKED',
+    'COUNTERATTACKING COUNTERATTACKS COUNTERBALANCE COUNTERBALANCED COUNTERBALANCES COUNTERBALANCING',
+    'COUNTERCLOCKWISE COUNTERED COUNTEREXAMPLE COUNTERFEIT COUNTERFEITED COUNTERFEITING COUNTERFEITS',
+    'COUNTERING COUNTERPART COUNTERPARTS COUNTERS COUNTERSIGN COUNTERSIGNED COUNTERSIGNING COUNTERSIGNS',
+    'COUNTESS COUNTESSES COUNTIES COUNTING COUNTLESS COUNTRIES COUNTRY COUNTRYMAN COUNTRYMEN COUNTRYSIDE',
+    'COUNTRYSIDES COUNTS COUNTY COUP COUPLE COUPLED COUPLES COUPLING COUPON COUPONS COUPS COURAGE',
+    'COURAGEOUS COURAGEOUSLY COURIER COURIERS COURSE COURSED COURSER COURSES COURSING COURT COURTED',
+    'COURTEOUS COURTEOUSLY COURTESIES COURTESY COURTHOUSE COURTHOUSES COURTING COURTROOM COURTROOMS',
+    'COURTS COURTSHIP COURTSHIPS COURTYARD COURTYARDS COUSIN COUSINS COVE COVENANT COVENANTED COVENANTING',
+    'COVENANTS COVER COVERAGE COVERED COVERING COVERS COVERT COVERTLY COVERTS COVES COVET COVETED',
+    'COVETING COVETOUS COVETS COW COWARD COWARDICE COWARDLY COWARDS COWBOY COWBOYS COWED COWER COWERED',
+    'COWERING COWERS COWGIRL COWGIRLS COWHIDE COWHIDES COWING COWS COX COY COYER COYEST COYOTE COYOTES',
+    'COZIER COZIES COZIEST COZILY COZINESS COZY CRAB CRABBED CRABBIER CRABBIEST CRABBING CRABBY CRABS',
+    'CRACK CRACKED CRACKER CRACKERS CRACKING CRACKLE CRACKLED CRACKLES CRACKLING CRACKPOT CRACKPOTS',
+    'CRACKS CRADLE CRADLED CRADLES CRADLING CRAFT CRAFTED CRAFTIER CRAFTIEST CRAFTILY CRAFTING CRAFTS',
+    'CRAFTSMAN CRAFTSMEN CRAFTY CRAG CRAGGIER CRAGGIEST CRAGGY CRAGS CRAM CRAMMED CRAMMING CRAMP CRAMPED',
+    'CRAMPING CRAMPS CRAMS CRANBERRIES CRANBERRY CRANE CRANED CRANES CRANING CRANIUM CRANIUMS CRANK',
+    'CRANKED CRANKIER CRANKIEST CRANKING CRANKS CRANKY CRAP CRASH CRASHED CRASHES CRASHING CRASS CRASSER',
+    'CRASSEST CRATE CRATED CRATER CRATERED CRATERING CRATERS CRATES CRATING CRAVE CRAVED CRAVES CRAVING',
+    'CRAVINGS CRAWL CRAWLED CRAWLING CRAWLS CRAYFISH CRAYFISHES CRAYON CRAYONED CRAYONING CRAYONS CRAZE',
+    'CRAZED CRAZES CRAZIER CRAZIES CRAZIEST CRAZILY CRAZINESS CRAZING CRAZY CREAK CREAKED CREAKIER',
+    'CREAKIEST CREAKING CREAKS CREAKY CREAM CREAMED CREAMIER CREAMIEST CREAMING CREAMS CREAMY CREASE',
+    'CREASED CREASES CREASING CREATE CREATED CREATES CREATING CREATION CREATIONS CREATIVE CREATIVELY',
+    'CREATIVES CREATIVITY CREATOR CREATORS CREATURE CREATURES CREDENCE CREDENTIAL CREDENTIALS CREDIBILITY',
+    'CREDIBLE CREDIT CREDITABLE CREDITED CREDITING CREDITOR CREDITORS CREDITS CREDULOUS CREED CREEDS',
+    'CREEK CREEKS CREEP CREEPIER CREEPIEST CREEPING CREEPS CREEPY CREMATE CREMATED CREMATES CREMATING',
+    'CREMATION CREMATIONS CREPE CREPES CREPT CRESCENDO CRESCENDOS CRESCENT CRESCENTS CREST CRESTED',
+    'CRESTFALLEN CRESTING CRESTS CRETIN CRETINOUS CRETINS CREVASSE CREVASSES CREVICE CREVICES CREW CREWED',
+    'CREWING CREWS CRIB CRIBBED CRIBBING CRIBS CRICKET CRICKETS CRIED CRIES CRIME CRIMES CRIMINAL',
+    'CRIMINALLY CRIMINALS CRIMSON CRIMSONED CRIMSONING CRIMSONS CRINGE CRINGED CRINGES CRINGING CRINKLE',
+    'CRINKLED CRINKLES CRINKLING CRIPPLE CRIPPLED CRIPPLES CRIPPLING CRISES CRISIS CRISP CRISPED CRISPER',
+    'CRISPEST CRISPING CRISPLY CRISPS CRISPY CRISSCROSS CRISSCROSSED CRISSCROSSES CRISSCROSSING CRITERIA',
+    'CRITERION CRITIC CRITICAL CRITICALLY CRITICISM CRITICISMS CRITICIZE CRITICIZED CRITICIZES',
+    'CRITICIZING CRITICS CRITIQUE CRITIQUED CRITIQUES CRITIQUING CROAK CROAKED CROAKING CROAKS CROCHET',
+    'CROCHETED CROCHETING CROCHETS CROCK CROCKERY CROCKS CROCODILE CROCODILES CROCUS CROCUSES CROFTS',
+    'CRONIES CRONY CROOK CROOKED CROOKEDER CROOKEDEST CROOKING CROOKS CROON CROONED CROONING CROONS CROP',
+    'CROPPED CROPPING CROPS CROQUET CROSS CROSSBOW CROSSBOWS CROSSED CROSSER CROSSES CROSSEST CROSSING',
+    'CROSSINGS CROSSROAD CROSSROADS CROSSWALK CROSSWALKS CROSSWORD CROSSWORDS CROTCH CROTCHES CROUCH',
+    'CROUCHED CROUCHES CROUCHING CROW CROWBAR CROWBARS CROWD CROWDED CROWDING CROWDS CROWED CROWING CROWN',
+    'CROWNED CROWNING CROWNS CROWS CRUCIAL CRUCIALLY CRUCIFIED CRUCIFIES CRUCIFIX CRUCIFIXES CRUCIFIXION',
+    'CRUCIFIXIONS CRUCIFY CRUCIFYING CRUDE CRUDELY CRUDER CRUDEST CRUDITY CRUEL CRUELER CRUELEST CRUELLY',
+    'CRUELTIES CRUELTY CRUISE CRUISED CRUISER CRUISERS CRUISES CRUISING CRUMB CRUMBED CRUMBING CRUMBLE',
+    'CRUMBLED CRUMBLES CRUMBLIER CRUMBLIEST CRUMBLING CRUMBLY CRUMBS CRUMMIER CRUMMIEST CRUMMY CRUMPLE',
+    'CRUMPLED CRUMPLES CRUMPLING CRUNCH CRUNCHED CRUNCHES CRUNCHING CRUNCHY CRUSADE CRUSADED CRUSADER',
+    'CRUSADERS CRUSADES CRUSADING CRUSH CRUSHED CRUSHES CRUSHING CRUST CRUSTACEAN CRUSTACEANS CRUSTED',
+    'CRUSTIER CRUSTIEST CRUSTING CRUSTS CRUSTY CRUTCH CRUTCHES CRUX CRUXES CRY CRYBABIES CRYBABY CRYING',
+    'CRYPT CRYPTIC CRYPTS CRYSTAL CRYSTALLIZATION CRYSTALLIZE CRYSTALLIZED CRYSTALLIZES CRYSTALLIZING',
+    'CRYSTALS CS CUB CUBE CUBED CUBES CUBIC CUBICLE CUBICLES CUBING CUBS CUCKOO CUCKOOS CUCUMBER',
+    'CUCUMBERS CUDDLE CUDDLED CUDDLES CUDDLING CUDDLY CUE CUED CUES CUFF CUFFED CUFFING CUFFS CUING',
+    'CUISINE CUISINES CULINARY CULL CULLED CULLING CULLS CULMINATE CULMINATED CULMINATES CULMINATING',
+    'CULMINATION CULMINATIONS CULPABLE CULPRIT CULPRITS CULT CULTIVATE CULTIVATED CULTIVATES CULTIVATING',
+    'CULTIVATION CULTS CULTURAL CULTURALLY CULTURE CULTURED CULTURES CULTURING CUMBERSOME CUMMING CUMS',
+    'CUMULATIVE CUNNING CUNNINGER CUNNINGEST CUNNINGLY CUP CUPBOARD CUPBOARDS CUPFUL CUPFULS CUPPED',
+    'CUPPING CUPS CUR CURABLE CURATOR CURATORS CURB CURBED CURBING CURBS CURD CURDLE CURDLED CURDLES',
+    'CURDLING CURDS CURE CURED CURES CURFEW CURFEWS CURING CURIO CURIOS CURIOSITIES CURIOSITY CURIOUS',
+    'CURIOUSLY CURL CURLED CURLING CURLS CURLY CURRANT CURRANTS CURRENCIES CURRENCY CURRENT CURRENTLY',
+    'CURRENTS CURRICULA CURRICULUM CURRIED CURRIES CURRY CURRYING CURSE CURSED CURSES CURSING CURSOR',
+    'CURSORY CURT CURTAIL CURTAILED CURTAILING CURTAILS CURTAIN CURTAINED CURTAINING CURTAINS CURTER',
+    'CURTEST CURTSIED CURTSIES CURTSY CURTSYING CURVATURE CURVATURES CURVE CURVED CURVES CURVING CUSHION',
+    'CUSHIONED CUSHIONING CUSHIONS CUSTARD CUSTARDS CUSTODIAN CUSTODIANS CUSTODY CUSTOM CUSTOMARY',
+    'CUSTOMER CUSTOMERS CUSTOMIZATION CUSTOMIZE CUSTOMIZED CUSTOMIZES CUSTOMIZING CUSTOMS CUT CUTBACK',
+    'CUTBACKS CUTE CUTER CUTEST CUTICLE CUTICLES CUTLERY CUTLET CUTLETS CUTS CUTTER CUTTERS CUTTHROAT',
+    'CUTTHROATS CUTTING CUTTINGS CYANIDE CYBERNETICS CYCLE CYCLED CYCLES CYCLIC CYCLING CYCLIST CYCLISTS',
+    'CYCLONE CYCLONES CYLINDER CYLINDERS CYLINDRICAL CYMBAL CYMBALS CYNIC CYNICAL CYNICISM CYNICS CYPRESS',
+    'CYPRESSES CYST CYSTS CZAR CZARS DAB DABBED DABBING DABBLE DABBLED DABBLES DABBLING DABS DACHSHUND',
+    'DACHSHUNDS DAD DADDIES DADDY DADS DAEMON DAFFODIL DAFFODILS DAFT DAGGER DAGGERS DAILIES DAILY',
+    'DAINTIER DAINTIES DAINTIEST DAINTILY DAINTY DAIRIES DAIRY DAIS DAISES DAISIES DAISY DALLIED DALLIES',
+    'DALLY DALLYING DAM DAMAGE DAMAGED DAMAGES DAMAGING DAME DAMES DAMMED DAMMING DAMN DAMNATION DAMNED',
+    'DAMNEDEST DAMNING DAMNS DAMP DAMPED DAMPEN DAMPENED DAMPENING DAMPENS DAMPER DAMPEST DAMPING',
+    'DAMPNESS DAMPS DAMS DAMSEL DAMSELS DANCE DANCED DANCER DANCERS DANCES DANCING DANDELION DANDELIONS',
+    'DANDIER DANDIES DANDIEST DANDRUFF DANDY DANGER DANGEROUS DANGEROUSLY DANGERS DANGLE DANGLED DANGLES',
+    'DANGLING DANK DANKER DANKEST DAPPER DAPPERER DAPPEREST DARE DARED DAREDEVIL DAREDEVILS DARES DARING',
+    'DARK DARKEN DARKENED DARKENING DARKENS DARKER DARKEST DARKLY DARKNESS DARLING DARLINGS DARN DARNED',
+    'DARNING DARNS DART DARTED DARTING DARTS DASH DASHBOARD DASHBOARDS DASHED DASHES DASHING DASTARDLY',
+    'DATA DATABASE DATABASES DATE DATED DATES DATING DATUM DAUB DAUBED DAUBING DAUBS DAUGHTER DAUGHTERS',
+    'DAUNT DAUNTED DAUNTING DAUNTLESS DAUNTS DAWDLE DAWDLED DAWDLES DAWDLING DAWN DAWNED DAWNING DAWNS',
+    'DAY DAYBREAK DAYDREAM DAYDREAMED DAYDREAMING DAYDREAMS DAYLIGHT DAYS DAYTIME DAZE DAZED DAZES DAZING',
+    'DAZZLE DAZZLED DAZZLES DAZZLING DEACON DEACONS DEAD DEADEN DEADENED DEADENING DEADENS DEADER DEADEST',
+    'DEADLIER DEADLIEST DEADLINE DEADLINES DEADLOCK DEADLOCKED DEADLOCKING DEADLOCKS DEADLY DEAF DEAFER',
+    'DEAFEST DEAFNESS DEAL DEALER DEALERS DEALING DEALINGS DEALS DEALT DEAN DEANS DEAR DEARER DEAREST',
+    'DEARLY DEARS DEARTH DEARTHS DEATH DEATHBED DEATHBEDS DEATHS DEAVES DEBASE DEBASED DEBASEMENT',
+    'DEBASEMENTS DEBASES DEBASING DEBATABLE DEBATE DEBATED DEBATES DEBATING DEBAUCHERIES DEBAUCHERY',
+    'DEBILITATE DEBILITATED DEBILITATES DEBILITATING DEBILITIES DEBILITY DEBIT DEBITED DEBITING DEBITS',
+    'DEBONAIR DEBRIEF DEBRIEFED DEBRIEFING DEBRIEFS DEBRIS DEBT DEBTOR DEBTORS DEBTS DEBUG DEBUGGED',
+    'DEBUGGER DEBUGGING DEBUGS DEBUNK DEBUNKED DEBUNKING DEBUNKS DEBUT DEBUTED DEBUTING DEBUTS DECADE',
+    'DECADENCE DECADENT DECADENTS DECADES DECANTER DECANTERS DECAPITATE DECAPITATED DECAPITATES',
+    'DECAPITATING DECAY DECAYED DECAYING DECAYS DECEASE DECEASED DECEASES DECEASING DECEIT DECEITFUL',
+    'DECEITFULLY DECEITS DECEIVE DECEIVED DECEIVES DECEIVING DECENCIES DECENCY DECENT DECENTLY',
+    'DECENTRALIZATION DECENTRALIZE DECENTRALIZED DECENTRALIZES DECENTRALIZING DECEPTION DECEPTIONS',
+    'DECEPTIVE DECIBEL DECIBELS DECIDE DECIDED DECIDEDLY DECIDES DECIDING DECIDUOUS DECIMAL DECIMALS',
+    'DECIMATE DECIMATED DECIMATES DECIMATING DECIPHER DECIPHERED DECIPHERING DECIPHERS DECISION DECISIONS',
+    'DECISIVE DECISIVELY DECK DECKED DECKING DECKS DECLARATION DECLARATIONS DECLARE DECLARED DECLARES',
+    'DECLARING DECLENSION DECLINE DECLINED DECLINES DECLINING DECODE DECODED DECODER DECODES DECODING',
+    'DECOMPOSE DECOMPOSED DECOMPOSES DECOMPOSING DECOMPOSITION DECORATE DECORATED DECORATES DECORATING',
+    'DECORATION DECORATIONS DECORATIVE DECORATOR DECORATORS DECOROUS DECORUM DECOY DECOYED DECOYING',
+    'DECOYS DECREASE DECREASED DECREASES DECREASING DECREE DECREED DECREEING DECREES DECREPIT DECRIED',
+    'DECRIES DECRY DECRYING DEDICATE DEDICATED DEDICATES DEDICATING DEDICATION DEDICATIONS DEDUCE DEDUCED',
+    'DEDUCES DEDUCING DEDUCT DEDUCTED DEDUCTING DEDUCTION DEDUCTIONS DEDUCTIVE DEDUCTS DEED DEEDED',
+    'DEEDING DEEDS DEEM DEEMED DEEMING DEEMS DEEP DEEPEN DEEPENED DEEPENING DEEPENS DEEPER DEEPEST DEEPLY',
+    'DEEPS DEER DEFACE DEFACED DEFACES DEFACING DEFAMATION DEFAMATORY DEFAME DEFAMED DEFAMES DEFAMING',
+    'DEFAULT DEFAULTED DEFAULTING DEFAULTS DEFEAT DEFEATED DEFEATING DEFEATIST DEFEATS DEFECATE DEFECATED',
+    'DEFECATES DEFECATING DEFECT DEFECTED DEFECTING DEFECTIVE DEFECTIVES DEFECTS DEFEND DEFENDANT',
+    'DEFENDANTS DEFENDED DEFENDER DEFENDERS DEFENDING DEFENDS DEFENSE DEFENSED DEFENSELESS DEFENSES',
+    'DEFENSIBLE DEFENSING DEFENSIVE DEFER DEFERENCE DEFERENTIAL DEFERRED DEFERRING DEFERS DEFIANCE',
+    'DEFIANT DEFIANTLY DEFICIENCIES DEFICIENCY DEFICIENT DEFICIT DEFICITS DEFIED DEFIES DEFILE DEFILED',
+    'DEFILES DEFILING DEFINABLE DEFINE DEFINED DEFINES DEFINING DEFINITE DEFINITELY DEFINITION',
+    'DEFINITIONS DEFINITIVE DEFLATE DEFLATED DEFLATES DEFLATING DEFLATION DEFLECT DEFLECTED DEFLECTING',
+    'DEFLECTION DEFLECTIONS DEFLECTS DEFORM DEFORMED DEFORMING DEFORMITIES DEFORMITY DEFORMS DEFRAUD',
+    'DEFRAUDED DEFRAUDING DEFRAUDS DEFROST DEFROSTED DEFROSTING DEFROSTS DEFT DEFTER DEFTEST DEFTLY',
+    'DEFUNCT DEFY DEFYING DEGENERATE DEGENERATED DEGENERATES DEGENERATING DEGRADATION DEGRADE DEGRADED',
+    'DEGRADES DEGRADING DEGREE DEGREES DEHYDRATE DEHYDRATED DEHYDRATES DEHYDRATING DEIFIED DEIFIES DEIFY',
+    'DEIFYING DEIGN DEIGNED DEIGNING DEIGNS DEITIES DEITY DEJECT DEJECTED DEJECTING DEJECTION DEJECTS',
+    'DELAY DELAYED DELAYING DELAYS DELECTABLE DELEGATE DELEGATED DELEGATES DELEGATING DELEGATION',
+    'DELEGATIONS DELETE DELETED DELETERIOUS DELETES DELETING DELETION DELETIONS DELI DELIBERATE',
+    'DELIBERATED DELIBERATELY DELIBERATES DELIBERATING DELIBERATION DELIBERATIONS DELICACIES DELICACY',
+    'DELICATE DELICATELY DELICATESSEN DELICATESSENS DELICIOUS DELICIOUSLY DELIGHT DELIGHTED DELIGHTFUL',
+    'DELIGHTING DELIGHTS DELIMIT DELIMITED DELIMITER DELIMITERS DELIMITING DELIMITS DELINQUENCIES',
+    'DELINQUENCY DELINQUENT DELINQUENTS DELIRIOUS DELIRIOUSLY DELIRIUM DELIRIUMS DELIS DELIVER',
+    'DELIVERANCE DELIVERED DELIVERIES DELIVERING DELIVERS DELIVERY DELTA DELTAS DELUDE DELUDED DELUDES',
+    'DELUDING DELUGE DELUGED DELUGES DELUGING DELUSION DELUSIONS DELUXE DELVE DELVED DELVES DELVING',
+    'DEMAGOGUE DEMAGOGUES DEMAND DEMANDED DEMANDING DEMANDS DEMEAN DEMEANED DEMEANING DEMEANOR DEMEANS',
+    'DEMENTED DEMENTIA DEMERIT DEMERITS DEMISE DEMISED DEMISES DEMISING DEMOCRACIES DEMOCRACY DEMOCRAT',
+    'DEMOCRATIC DEMOCRATICALLY DEMOCRATS DEMOLISH DEMOLISHED DEMOLISHES DEMOLISHING DEMOLITION',
+    'DEMOLITIONS DEMON DEMONS DEMONSTRABLY DEMONSTRATE DEMONSTRATED DEMONSTRATES DEMONSTRATING',
+    'DEMONSTRATION DEMONSTRATIONS DEMONSTRATIVE DEMONSTRATIVES DEMONSTRATOR DEMONSTRATORS DEMORALIZE',
+    'DEMORALIZED DEMORALIZES DEMORALIZING DEMOTE DEMOTED DEMOTES DEMOTING DEMOTION DEMOTIONS DEMOUNT',
+    'DEMURE DEMURELY DEMURER DEMUREST DEN DENIAL DENIALS DENIED DENIES DENIGRATE DENIM DENIMS',
+    'DENOMINATION DENOMINATIONS DENOMINATOR DENOMINATORS DENOTE DENOTED DENOTES DENOTING DENOUNCE',
+    'DENOUNCED DENOUNCES DENOUNCING DENS DENSE DENSELY DENSER DENSEST DENSITIES DENSITY DENT DENTAL',
+    'DENTED DENTING DENTIST DENTISTRY DENTISTS DENTS DENUNCIATION DENUNCIATIONS DENY DENYING DEODORANT',
+    'DEODORANTS DEODORIZE DEODORIZED DEODORIZES DEODORIZING DEPART DEPARTED DEPARTING DEPARTMENT',
+    'DEPARTMENTAL DEPARTMENTS DEPARTS DEPARTURE DEPARTURES DEPEND DEPENDABLE DEPENDED DEPENDENCE',
+    'DEPENDENCIES DEPENDENCY DEPENDENT DEPENDENTS DEPENDING DEPENDS DEPICT DEPICTED DEPICTING DEPICTION',
+    'DEPICTS DEPLETE DEPLETED DEPLETES DEPLETING DEPLORABLE DEPLORE DEPLORED DEPLORES DEPLORING DEPORT',
+    'DEPORTATION DEPORTATIONS DEPORTED DEPORTING DEPORTMENT DEPORTS DEPOSE DEPOSED DEPOSES DEPOSING',
+    'DEPOSIT DEPOSITED DEPOSITING DEPOSITS DEPOT DEPOTS DEPRAVE DEPRAVED DEPRAVES DEPRAVING DEPRAVITIES',
+    'DEPRAVITY DEPRECATE DEPRECATED DEPRECATES DEPRECATING DEPRECIATE DEPRECIATED DEPRECIATES',
+    'DEPRECIATING DEPRECIATION DEPRESS DEPRESSED DEPRESSES DEPRESSING DEPRESSINGLY DEPRESSION DEPRESSIONS',
+    'DEPRIVATION DEPRIVATIONS DEPRIVE DEPRIVED DEPRIVES DEPRIVING DEPTH DEPTHS DEPUTIES DEPUTY DERAIL',
+    'DERAILED DERAILING DERAILMENT DERAILMENTS DERAILS DERANGE DERANGED DERANGES DERANGING DERELICT',
+    'DERELICTS DERIDE DERIDED DERIDES DERIDING DERISION DERIVATION DERIVATIONS DERIVATIVE DERIVATIVES',
+    'DERIVE DERIVED DERIVES DERIVING DEROGATORY DERRICK DERRICKS DESCEND DESCENDANT DESCENDANTS DESCENDED',
+    'DESCENDING DESCENDS DESCENT DESCENTS DESCRIBABLE DESCRIBE DESCRIBED DESCRIBES DESCRIBING DESCRIPTION',
+    'DESCRIPTIONS DESCRIPTIVE DESCRIPTOR DESCRIPTORS DESECRATE DESECRATED DESECRATES DESECRATING',
+    'DESECRATION DESEGREGATION DESERT DESERTED DESERTER DESERTERS DESERTING DESERTS DESERVE DESERVED',
+    'DESERVES DESERVING DESIGN DESIGNATE DESIGNATED DESIGNATES DESIGNATING DESIGNATION DESIGNATIONS',
+    'DESIGNED DESIGNER DESIGNERS DESIGNING DESIGNS DESIRABILITY DESIRABLE DESIRE DESIRED DESIRES DESIRING',
+    'DESIROUS DESIST DESISTED DESISTING DESISTS DESK DESKS DESKTOP DESOLATE DESOLATED DESOLATES',
+    'DESOLATING DESOLATION DESPAIR DESPAIRED DESPAIRING DESPAIRS DESPERATE DESPERATELY DESPERATION',
+    'DESPICABLE DESPISE DESPISED DESPISES DESPISING DESPITE DESPONDENT DESPOT DESPOTIC DESPOTS DESSERT',
+    'DESSERTS DESTABILIZE DESTINATION DESTINATIONS DESTINE DESTINED DESTINES DESTINIES DESTINING DESTINY',
+    'DESTITUTE DESTITUTION DESTROY DESTROYED DESTROYER DESTROYERS DESTROYING DESTROYS DESTRUCTION',
+    'DESTRUCTIVE DETACH DETACHABLE DETACHED DETACHES DETACHING DETACHMENT DETACHMENTS DETAIL DETAILED',
+    'DETAILING DETAILS DETAIN DETAINED DETAINING DETAINS DETECT DETECTABLE DETECTED DETECTING DETECTION',
+    'DETECTIVE DETECTIVES DETECTOR DETECTORS DETECTS DETENTION DETENTIONS DETER DETERGENT DETERGENTS',
+    'DETERIORATE DETERIORATED DETERIORATES DETERIORATING DETERIORATION DETERMINABLE DETERMINATION',
+    'DETERMINATIONS DETERMINE DETERMINED DETERMINES DETERMINING DETERMINISM DETERMINISTIC DETERRED',
+    'DETERRENT DETERRENTS DETERRING DETERS DETEST DETESTED DETESTING DETESTS DETHRONE DETHRONED DETHRONES',
+    'DETHRONING DETONATE DETONATED DETONATES DETONATING DETONATION DETONATIONS DETONATOR DETONATORS',
+    'DETOUR DETOURED DETOURING DETOURS DETRACT DETRACTED DETRACTING DETRACTS DETRIMENT DETRIMENTAL',
+    'DETRIMENTS DEVALUE DEVASTATE DEVASTATED DEVASTATES DEVASTATING DEVASTATION DEVELOP DEVELOPED',
+    'DEVELOPER DEVELOPERS DEVELOPING DEVELOPMENT DEVELOPMENTS DEVELOPS DEVIANT DEVIATE DEVIATED DEVIATES',
+    'DEVIATING DEVIATION DEVIATIONS DEVICE DEVICES DEVIL DEVILED DEVILING DEVILS DEVIOUS DEVISE DEVISED',
+    'DEVISES DEVISING DEVOID DEVOLUTION DEVOLVE DEVOLVED DEVOLVES DEVOLVING DEVOTE DEVOTED DEVOTEE',
+    'DEVOTEES DEVOTES DEVOTING DEVOTION DEVOTIONS DEVOUR DEVOURED DEVOURING DEVOURS DEVOUT DEVOUTER',
+    'DEVOUTEST DEVOUTLY DEW DEXTERITY DEXTEROUS DIABETES DIABETIC DIABETICS DIABOLICAL DIAGNOSE DIAGNOSED',
+    'DIAGNOSES DIAGNOSING DIAGNOSIS DIAGNOSTIC DIAGNOSTICS DIAGONAL DIAGONALLY DIAGONALS DIAGRAM',
+    'DIAGRAMMED DIAGRAMMING DIAGRAMS DIAL DIALECT DIALECTS DIALED DIALING DIALINGS DIALOG DIALOGUE',
+    'DIALOGUES DIALS DIAMETER DIAMETERS DIAMETRICALLY DIAMOND DIAMONDS DIAPER DIAPERED DIAPERING DIAPERS',
+    'DIAPHRAGM DIAPHRAGMS DIARIES DIARRHEA DIARY DIATRIBE DICE DICED DICES DICING DICTATE DICTATED',
+    'DICTATES DICTATING DICTATION DICTATIONS DICTATOR DICTATORIAL DICTATORS DICTATORSHIP DICTATORSHIPS',
+    'DICTION DICTIONARIES DICTIONARY DID DIE DIED DIES DIESEL DIESELED DIESELING DIESELS DIET DIETARIES',
+    'DIETARY DIETED DIETING DIETS DIFFER DIFFERED DIFFERENCE DIFFERENCES DIFFERENT DIFFERENTIAL',
+    'DIFFERENTIATE DIFFERENTIATED DIFFERENTIATES DIFFERENTIATING DIFFERENTIATION DIFFERENTLY DIFFERING',
+    'DIFFERS DIFFICULT DIFFICULTIES DIFFICULTY DIFFUSE DIFFUSED DIFFUSES DIFFUSING DIFFUSION DIG DIGEST',
+    'DIGESTED DIGESTIBLE DIGESTING DIGESTION DIGESTIONS DIGESTIVE DIGESTS DIGGING DIGIT DIGITAL DIGITALLY',
+    'DIGITIZE DIGITIZED DIGITIZES DIGITIZING DIGITS DIGNIFIED DIGNIFIES DIGNIFY DIGNIFYING DIGNITARIES',
+    'DIGNITARY DIGNITIES DIGNITY DIGRESS DIGRESSED DIGRESSES DIGRESSING DIGRESSION DIGRESSIONS DIGS DIKE',
+    'DIKED DIKES DIKING DILAPIDATED DILATE DILATED DILATES DILATING DILATION DILEMMA DILEMMAS DILIGENCE',
+    'DILIGENT DILIGENTLY DILL DILLS DILUTE DILUTED DILUTES DILUTING DILUTION DIM DIME DIMENSION',
+    'DIMENSIONAL DIMENSIONS DIMER DIMES DIMINISH DIMINISHED DIMINISHES DIMINISHING DIMINUTIVE DIMINUTIVES',
+    'DIMLY DIMMED DIMMER DIMMEST DIMMING DIMPLE DIMPLED DIMPLES DIMPLING DIMS DIN DINE DINED DINER DINERS',
+    'DINES DINGHIES DINGHY DINGIER DINGIEST DINGY DINING DINNED DINNER DINNERED DINNERING DINNERS DINNING',
+    'DINOSAUR DINOSAURS DINS DIOCESE DIOCESES DIOXIDE DIP DIPHTHERIA DIPHTHONG DIPHTHONGS DIPLOMA',
+    'DIPLOMACY DIPLOMAS DIPLOMAT DIPLOMATA DIPLOMATIC DIPLOMATICALLY DIPLOMATS DIPPED DIPPING DIPS DIRE',
+    'DIRECT DIRECTED DIRECTER DIRECTEST DIRECTING DIRECTION DIRECTIONS DIRECTIVE DIRECTIVES DIRECTLY',
+    'DIRECTNESS DIRECTOR DIRECTORIES DIRECTORS DIRECTORY DIRECTS DIRER DIREST DIRGE DIRGES DIRT DIRTIED',
+    'DIRTIER DIRTIES DIRTIEST DIRTY DIRTYING DISABILITIES DISABILITY DISABLE DISABLED DISABLES DISABLING',
+    'DISADVANTAGE DISADVANTAGED DISADVANTAGEOUS DISADVANTAGES DISADVANTAGING DISAGREE DISAGREEABLE',
+    'DISAGREEABLY DISAGREED DISAGREEING DISAGREEMENT DISAGREEMENTS DISAGREES DISALLOW DISALLOWED',
+    'DISALLOWING DISALLOWS DISAMBIGUATE DISAPPEAR DISAPPEARANCE DISAPPEARANCES DISAPPEARED DISAPPEARING',
+    'DISAPPEARS DISAPPOINT DISAPPOINTED DISAPPOINTING DISAPPOINTMENT DISAPPOINTMENTS DISAPPOINTS',
+    'DISAPPROVAL DISAPPROVE DISAPPROVED DISAPPROVES DISAPPROVING DISARM DISARMAMENT DISARMED DISARMING',
+    'DISARMS DISARRAY DISARRAYED DISARRAYING DISARRAYS DISASTER DISASTERS DISASTROUS DISAVOW DISAVOWED',
+    'DISAVOWING DISAVOWS DISBAND DISBANDED DISBANDING DISBANDS DISBELIEF DISBELIEVE DISBELIEVED',
+    'DISBELIEVES DISBELIEVING DISBURSE DISBURSED DISBURSEMENT DISBURSEMENTS DISBURSES DISBURSING DISC',
+    'DISCARD DISCARDED DISCARDING DISCARDS DISCERN DISCERNED DISCERNIBLE DISCERNING DISCERNS DISCHARGE',
+    'DISCHARGED DISCHARGES DISCHARGING DISCIPLE DISCIPLES DISCIPLINARIAN DISCIPLINARIANS DISCIPLINARY',
+    'DISCIPLINE DISCIPLINED DISCIPLINES DISCIPLINING DISCLAIM DISCLAIMED DISCLAIMER DISCLAIMING DISCLAIMS',
+    'DISCLOSE DISCLOSED DISCLOSES DISCLOSING DISCLOSURE DISCLOSURES DISCO DISCOLOR DISCOLORATION',
+    'DISCOLORATIONS DISCOLORED DISCOLORING DISCOLORS DISCOMFORT DISCOMFORTED DISCOMFORTING DISCOMFORTS',
+    'DISCONCERT DISCONCERTED DISCONCERTING DISCONCERTS DISCONNECT DISCONNECTED DISCONNECTING DISCONNECTS',
+    'DISCONSOLATE DISCONSOLATELY DISCONTENT DISCONTENTED DISCONTENTING DISCONTENTS DISCONTINUE',
+    'DISCONTINUED DISCONTINUES DISCONTINUING DISCONTINUITY DISCORD DISCORDANT DISCORDED DISCORDING',
+    'DISCORDS DISCOS DISCOUNT DISCOUNTED DISCOUNTING DISCOUNTS DISCOURAGE DISCOURAGED DISCOURAGEMENT',
+    'DISCOURAGEMENTS DISCOURAGES DISCOURAGING DISCOURSE DISCOURSED DISCOURSES DISCOURSING DISCOURTEOUS',
+    'DISCOURTESIES DISCOURTESY DISCOVER DISCOVERED DISCOVERIES DISCOVERING DISCOVERS DISCOVERY DISCREDIT',
+    'DISCREDITED DISCREDITING DISCREDITS DISCREET DISCREETER DISCREETEST DISCREETLY DISCREPANCIES',
+    'DISCREPANCY DISCRETE DISCRETION DISCRETIONARY DISCRIMINATE DISCRIMINATED DISCRIMINATES',
+    'DISCRIMINATING DISCRIMINATION DISCRIMINATORY DISCS DISCUS DISCUSES DISCUSS DISCUSSED DISCUSSES',
+    'DISCUSSING DISCUSSION DISCUSSIONS DISDAIN DISDAINED DISDAINFUL DISDAINING DISDAINS DISEASE DISEASED',
+    'DISEASES DISEMBARK DISEMBARKATION DISEMBARKED DISEMBARKING DISEMBARKS DISENCHANTMENT DISENGAGE',
+    'DISENGAGED DISENGAGES DISENGAGING DISENTANGLE DISENTANGLED DISENTANGLES DISENTANGLING DISFAVOR',
+    'DISFAVORED DISFAVORING DISFAVORS DISFIGURE DISFIGURED DISFIGURES DISFIGURING DISGRACE DISGRACED',
+    'DISGRACEFUL DISGRACES DISGRACING DISGRUNTLE DISGRUNTLED DISGRUNTLES DISGRUNTLING DISGUISE DISGUISED',
+    'DISGUISES DISGUISING DISGUST DISGUSTED DISGUSTING DISGUSTINGLY DISGUSTS DISH DISHEARTEN DISHEARTENED',
+    'DISHEARTENING DISHEARTENS DISHED DISHES DISHING DISHONEST DISHONESTLY DISHONESTY DISHONOR',
+    'DISHONORABLE DISHONORED DISHONORING DISHONORS DISHWASHER DISHWASHERS DISILLUSION DISILLUSIONED',
+    'DISILLUSIONING DISILLUSIONMENT DISILLUSIONS DISINCENTIVE DISINFECT DISINFECTANT DISINFECTANTS',
+    'DISINFECTED DISINFECTING DISINFECTS DISINGENUOUS DISINHERIT DISINHERITED DISINHERITING DISINHERITS',
+    'DISINTEGRATE DISINTEGRATED DISINTEGRATES DISINTEGRATING DISINTEGRATION DISINTERESTED DISJOINT',
+    'DISJOINTED DISJOINTING DISJOINTS DISK DISKS DISLIKE DISLIKED DISLIKES DISLIKING DISLOCATE DISLOCATED',
+    'DISLOCATES DISLOCATING DISLOCATION DISLOCATIONS DISLODGE DISLODGED DISLODGES DISLODGING DISLOYAL',
+    'DISLOYALTY DISMAL DISMALLY DISMANTLE DISMANTLED DISMANTLES DISMANTLING DISMAY DISMAYED DISMAYING',
+    'DISMAYS DISMEMBER DISMEMBERED DISMEMBERING DISMEMBERS DISMISS DISMISSAL DISMISSALS DISMISSED',
+    'DISMISSES DISMISSING DISMISSIVE DISMOUNT DISMOUNTED DISMOUNTING DISMOUNTS DISOBEDIENCE DISOBEDIENT',
+    'DISOBEY DISOBEYED DISOBEYING DISOBEYS DISORDER DISORDERED DISORDERING DISORDERLY DISORDERS DISOWN',
+    'DISOWNED DISOWNING DISOWNS DISPARAGE DISPARAGED DISPARAGES DISPARAGING DISPARATE DISPARITIES',
+    'DISPARITY DISPASSIONATE DISPASSIONATELY DISPATCH DISPATCHED DISPATCHES DISPATCHING DISPEL DISPELLED',
+    'DISPELLING DISPELS DISPENSARIES DISPENSARY DISPENSATION DISPENSATIONS DISPENSE DISPENSED DISPENSER',
+    'DISPENSERS DISPENSES DISPENSING DISPERSAL DISPERSE DISPERSED DISPERSES DISPERSING DISPERSION',
+    'DISPLACE DISPLACED DISPLACEMENT DISPLACEMENTS DISPLACES DISPLACING DISPLAY DISPLAYED DISPLAYING',
+    'DISPLAYS DISPLEASE DISPLEASED DISPLEASES DISPLEASING DISPLEASURE DISPOSABLE DISPOSABLES DISPOSAL',
+    'DISPOSALS DISPOSE DISPOSED DISPOSES DISPOSING DISPOSITION DISPOSITIONS DISPOSSESS DISPOSSESSED',
+    'DISPOSSESSES DISPOSSESSING DISPROPORTIONATE DISPROVE DISPROVED DISPROVES DISPROVING DISPUTE DISPUTED',
+    'DISPUTES DISPUTING DISQUALIFIED DISQUALIFIES DISQUALIFY DISQUALIFYING DISQUIET DISQUIETED',
+    'DISQUIETING DISQUIETS DISREGARD DISREGARDED DISREGARDING DISREGARDS DISREPAIR DISREPUTABLE DISREPUTE',
+    'DISRESPECT DISRESPECTED DISRESPECTFUL DISRESPECTING DISRESPECTS DISRUPT DISRUPTED DISRUPTING',
+    'DISRUPTION DISRUPTIONS DISRUPTIVE DISRUPTS DISSATISFACTION DISSATISFIED DISSATISFIES DISSATISFY',
+    'DISSATISFYING DISSECT DISSECTED DISSECTING DISSECTION DISSECTIONS DISSECTS DISSEMINATE DISSEMINATED',
+    'DISSEMINATES DISSEMINATING DISSEMINATION DISSENSION DISSENSIONS DISSENT DISSENTED DISSENTER',
+    'DISSENTERS DISSENTING DISSENTS DISSERTATION DISSERTATIONS DISSERVICE DISSERVICES DISSIDENT',
+    'DISSIDENTS DISSIMILAR DISSIMILARITIES DISSIMILARITY DISSIPATE DISSIPATED DISSIPATES DISSIPATING',
+    'DISSIPATION DISSOCIATE DISSOCIATED DISSOCIATES DISSOCIATING DISSOCIATION DISSOLUTE DISSOLUTION',
+    'DISSOLVE DISSOLVED DISSOLVES DISSOLVING DISSONANCE DISSONANCES DISSUADE DISSUADED DISSUADES',
+    'DISSUADING DISTANCE DISTANCED DISTANCES DISTANCING DISTANT DISTANTLY DISTASTE DISTASTEFUL DISTASTES',
+    'DISTEND DISTENDED DISTENDING DISTENDS DISTILL DISTILLATION DISTILLATIONS DISTILLED DISTILLER',
+    'DISTILLERIES DISTILLERS DISTILLERY DISTILLING DISTILLS DISTINCT DISTINCTER DISTINCTEST DISTINCTION',
+    'DISTINCTIONS DISTINCTIVE DISTINCTIVELY DISTINCTLY DISTINGUISH DISTINGUISHABLE DISTINGUISHED',
+    'DISTINGUISHES DISTINGUISHING DISTORT DISTORTED DISTORTER DISTORTING DISTORTION DISTORTIONS DISTORTS',
+    'DISTRACT DISTRACTED DISTRACTING DISTRACTION DISTRACTIONS DISTRACTS DISTRAUGHT DISTRESS DISTRESSED',
+    'DISTRESSES DISTRESSING DISTRESSINGLY DISTRIBUTE DISTRIBUTED DISTRIBUTES DISTRIBUTING DISTRIBUTION',
+    'DISTRIBUTIONS DISTRIBUTOR DISTRIBUTORS DISTRICT DISTRICTS DISTRUST DISTRUSTED DISTRUSTFUL',
+    'DISTRUSTING DISTRUSTS DISTURB DISTURBANCE DISTURBANCES DISTURBED DISTURBING DISTURBS DISUSE DISUSED',
+    'DISUSES DISUSING DITCH DITCHED DITCHES DITCHING DITHER DITHERED DITHERING DITHERS DITTIES DITTO',
+    'DITTOED DITTOING DITTOS DITTY DIVE DIVED DIVER DIVERGE DIVERGED DIVERGENCE DIVERGENCES DIVERGENT',
+    'DIVERGES DIVERGING DIVERS DIVERSE DIVERSIFIED DIVERSIFIES DIVERSIFY DIVERSIFYING DIVERSION',
+    'DIVERSIONS DIVERSITIES DIVERSITY DIVERT DIVERTED DIVERTING DIVERTS DIVES DIVEST DIVESTED DIVESTING',
+    'DIVESTS DIVIDE DIVIDED DIVIDEND DIVIDENDS DIVIDES DIVIDING DIVINE DIVINED DIVINER DIVINES DIVINEST',
+    'DIVING DIVINING DIVINITIES DIVINITY DIVISIBLE DIVISION DIVISIONS DIVISIVE DIVISOR DIVISORS DIVORCE',
+    'DIVORCED DIVORCES DIVORCING DIVULGE DIVULGED DIVULGES DIVULGING DIZZIED DIZZIER DIZZIES DIZZIEST',
+    'DIZZINESS DIZZY DIZZYING DO DOCILE DOCK DOCKED DOCKING DOCKS DOCTOR DOCTORATE DOCTORED DOCTORING',
+    'DOCTORS DOCTRINE DOCTRINES DOCUMENT DOCUMENTARIES DOCUMENTARY DOCUMENTATION DOCUMENTED DOCUMENTING',
+    'DOCUMENTS DODGE DODGED DODGES DODGING DODO DOE DOER DOERS DOES DOG DOGGED DOGGEDLY DOGGEREL DOGGING',
+    'DOGHOUSE DOGHOUSES DOGMA DOGMAS DOGMATIC DOGS DOGWOOD DOGWOODS DOILIES DOILY DOING DOLDRUMS DOLE',
+    'DOLED DOLEFUL DOLEFULLY DOLES DOLING DOLL DOLLAR DOLLARS DOLLED DOLLIES DOLLING DOLLS DOLLY DOLPHIN',
+    'DOLPHINS DOMAIN DOMAINS DOME DOMED DOMES DOMESTIC DOMESTICATE DOMESTICATED DOMESTICATES',
+    'DOMESTICATING DOMESTICITY DOMESTICS DOMICILE DOMICILED DOMICILES DOMICILING DOMINANCE DOMINANT',
+    'DOMINANTS DOMINATE DOMINATED DOMINATES DOMINATING DOMINATION DOMING DOMINION DOMINIONS DOMINO',
+    'DOMINOES DON DONATE DONATED DONATES DONATING DONATION DONATIONS DONE DONKEY DONKEYS DONOR DONORS',
+    'DONS DOODLE DOODLED DOODLES DOODLING DOOM DOOMED DOOMING DOOMS DOOR DOORMAN DOORMEN DOORS DOORSTEP',
+    'DOORSTEPS DOORWAY DOORWAYS DOPE DOPED DOPES DOPEY DOPIER DOPIEST DOPING DORMANT DORMITORIES',
+    'DORMITORY DORSAL DOS DOSE DOSED DOSES DOSING DOT DOTE DOTED DOTES DOTING DOTS DOTTED DOTTING DOUBLE',
+    'DOUBLED DOUBLES DOUBLING DOUBLY DOUBT DOUBTED DOUBTFUL DOUBTFULLY DOUBTING DOUBTLESS DOUBTS DOUGH',
+    'DOUGHNUT DOUGHNUTS DOUR DOURER DOUREST DOUSE DOUSED DOUSES DOUSING DOVE DOVES DOWDIER DOWDIES',
+    'DOWDIEST DOWDY DOWN DOWNCAST DOWNED DOWNFALL DOWNFALLS DOWNGRADE DOWNGRADED DOWNGRADES DOWNGRADING',
+    'DOWNHEARTED DOWNHILL DOWNHILLS DOWNIER DOWNIEST DOWNING DOWNPOUR DOWNPOURS DOWNRIGHT DOWNS',
+    'DOWNSTAIRS DOWNSTREAM DOWNTOWN DOWNWARD DOWNWARDS DOWNY DOWRIES DOWRY DOZE DOZED DOZEN DOZENS DOZES',
+    'DOZING DRAB DRABBER DRABBEST DRABS DRACONIAN DRAFT DRAFTED DRAFTIER DRAFTIEST DRAFTING DRAFTS',
+    'DRAFTSMAN DRAFTSMEN DRAFTY DRAG DRAGGED DRAGGING DRAGON DRAGONFLIES DRAGONFLY DRAGONS DRAGS DRAIN',
+    'DRAINAGE DRAINED DRAINING DRAINS DRAMA DRAMAS DRAMATIC DRAMATICALLY DRAMATIST DRAMATISTS',
+    'DRAMATIZATION DRAMATIZATIONS DRAMATIZE DRAMATIZED DRAMATIZES DRAMATIZING DRANK DRAPE DRAPED',
+    'DRAPERIES DRAPERY DRAPES DRAPING DRASTIC DRASTICALLY DRAW DRAWBACK DRAWBACKS DRAWBRIDGE DRAWBRIDGES',
+    'DRAWER DRAWERS DRAWING DRAWINGS DRAWL DRAWLED DRAWLING DRAWLS DRAWN DRAWS DREAD DREADED DREADFUL',
+    'DREADFULLY DREADING DREADS DREAM DREAMED DREAMER DREAMERS DREAMIER DREAMIEST DREAMING DREAMS DREAMY',
+    'DREARIER DREARIEST DREARY DREDGE DREDGED DREDGES DREDGING DREGS DRENCH DRENCHED DRENCHES DRENCHING',
+    'DRESS DRESSED DRESSER DRESSERS DRESSES DRESSIER DRESSIEST DRESSING DRESSINGS DRESSMAKER DRESSMAKERS',
+    'DRESSY DREW DRIBBLE DRIBBLED DRIBBLES DRIBBLING DRIED DRIER DRIERS DRIES DRIEST DRIFT DRIFTED',
+    'DRIFTING DRIFTS DRIFTWOOD DRILL DRILLED DRILLING DRILLS DRINK DRINKABLE DRINKER DRINKERS DRINKING',
+    'DRINKS DRIP DRIPPED DRIPPING DRIPS DRIVE DRIVEL DRIVELED DRIVELING DRIVELS DRIVEN DRIVER DRIVERS',
+    'DRIVES DRIVEWAY DRIVEWAYS DRIVING DRIZZLE DRIZZLED DRIZZLES DRIZZLING DROLL DROLLER DROLLEST DRONE',
+    'DRONED DRONES DRONING DROOL DROOLED DROOLING DROOLS DROOP DROOPED DROOPING DROOPS DROP DROPOUT',
+    'DROPOUTS DROPPED DROPPING DROPPINGS DROPS DROSS DROUGHT DROUGHTS DROVE DROVES DROWN DROWNED DROWNING',
+    'DROWNS DROWSE DROWSED DROWSES DROWSIER DROWSIEST DROWSINESS DROWSING DROWSY DRUDGE DRUDGED DRUDGERY',
+    'DRUDGES DRUDGING DRUG DRUGGED DRUGGING DRUGGIST DRUGGISTS DRUGS DRUGSTORE DRUGSTORES DRUM DRUMMED',
+    'DRUMMER DRUMMERS DRUMMING DRUMS DRUMSTICK DRUMSTICKS DRUNK DRUNKARD DRUNKARDS DRUNKEN DRUNKENLY',
+    'DRUNKENNESS DRUNKER DRUNKEST DRUNKS DRY DRYER DRYERS DRYING DRYLY DRYNESS DRYS DUAL DUALISM DUB',
+    'DUBBED DUBBING DUBIOUS DUBIOUSLY DUBS DUCHESS DUCHESSES DUCK DUCKED DUCKING DUCKLING DUCKLINGS DUCKS',
+    'DUCT DUCTS DUD DUDE DUDED DUDES DUDING DUDS DUE DUEL DUELED DUELING DUELS DUES DUET DUETS DUFF DUG',
+    'DUGOUT DUGOUTS DUKE DUKES DULL DULLED DULLER DULLEST DULLING DULLNESS DULLS DULLY DULY DUMB DUMBBELL',
+    'DUMBBELLS DUMBER DUMBEST DUMBFOUND DUMBFOUNDED DUMBFOUNDING DUMBFOUNDS DUMMIES DUMMY DUMP DUMPED',
+    'DUMPIER DUMPIEST DUMPING DUMPLING DUMPLINGS DUMPS DUMPSTER DUMPY DUNCE DUNCES DUNE DUNES DUNG DUNGED',
+    'DUNGEON DUNGEONS DUNGING DUNGS DUNK DUNKED DUNKING DUNKS DUNNO DUO DUPE DUPED DUPES DUPING DUPLEX',
+    'DUPLEXES DUPLICATE DUPLICATED DUPLICATES DUPLICATING DUPLICATION DUPLICITY DURABILITY DURABLE',
+    'DURATION DURESS DURING DUSK DUSKIER DUSKIEST DUSKY DUST DUSTBIN DUSTED DUSTIER DUSTIEST DUSTING',
+    'DUSTMEN DUSTPAN DUSTPANS DUSTS DUSTY DUTIES DUTIFUL DUTIFULLY DUTY DUVET DWARF DWARFED DWARFING',
+    'DWARFS DWELL DWELLER DWELLERS DWELLING DWELLINGS DWELLS DWELT DWINDLE DWINDLED DWINDLES DWINDLING',
+    'DYE DYED DYEING DYES DYING DYNAMIC DYNAMICAL DYNAMICALLY DYNAMICS DYNAMITE DYNAMITED DYNAMITES',
+    'DYNAMITING DYNAMO DYNAMOS DYNASTIES DYNASTY DYSENTERY DYSLEXIA EACH EAGER EAGERER EAGEREST EAGERLY',
+    'EAGERNESS EAGLE EAGLES EAR EARACHE EARACHES EARDRUM EARDRUMS EARL EARLIER EARLIEST EARLS EARLY',
+    'EARMARK EARMARKED EARMARKING EARMARKS EARN EARNED EARNER EARNERS EARNEST EARNESTLY EARNESTNESS',
+    'EARNESTS EARNING EARNINGS EARNS EARRING EARRINGS EARS EARSHOT EARTH EARTHED EARTHIER EARTHIEST',
+    'EARTHING EARTHLIER EARTHLIEST EARTHLY EARTHQUAKE EARTHQUAKES EARTHS EARTHWORM EARTHWORMS EARTHY EASE',
+    'EASED EASEL EASELS EASES EASIER EASIEST EASILY EASING EAST EASTERLIES EASTERLY EASTERN EASTWARD EASY',
+    'EASYGOING EAT EATEN EATER EATING EATS EAVE EAVES EAVESDROP EAVESDROPPED EAVESDROPPING EAVESDROPS EBB',
+    'EBBED EBBING EBBS EBONIES EBONY ECCENTRIC ECCENTRICITIES ECCENTRICITY ECCENTRICS ECCLESIASTICAL ECHO',
+    'ECHOED ECHOES ECHOING ECLECTIC ECLIPSE ECLIPSED ECLIPSES ECLIPSING ECOLOGICAL ECOLOGICALLY ECOLOGIST',
+    'ECOLOGISTS ECOLOGY ECONOMIC ECONOMICAL ECONOMICALLY ECONOMICS ECONOMIES ECONOMIST ECONOMISTS',
+    'ECONOMIZE ECONOMIZED ECONOMIZES ECONOMIZING ECONOMY ECOSYSTEM ECOSYSTEMS ECSTASIES ECSTASY ECSTATIC',
+    'ECUMENICAL ECZEMA EDDIED EDDIES EDDY EDDYING EDGE EDGED EDGER EDGES EDGEWISE EDGIER EDGIEST EDGING',
+    'EDGY EDIBLE EDIBLES EDICT EDICTS EDIFICE EDIFICES EDIT EDITED EDITING EDITION EDITIONS EDITOR',
+    'EDITORIAL EDITORIALS EDITORS EDITORSHIP EDITS EDUCATE EDUCATED EDUCATES EDUCATING EDUCATION',
+    'EDUCATIONAL EDUCATIONS EDUCATOR EDUCATORS EEL EELS EERIE EERIER EERIEST EFFECT EFFECTED EFFECTING',
+    'EFFECTIVE EFFECTIVELY EFFECTIVENESS EFFECTS EFFECTUAL EFFEMINATE EFFERVESCENT EFFICIENCIES',
+    'EFFICIENCY EFFICIENT EFFICIENTLY EFFIGIES EFFIGY EFFORT EFFORTLESS EFFORTLESSLY EFFORTS EFFUSIVE',
+    'EFFUSIVELY EGALITARIAN EGG EGGED EGGING EGGPLANT EGGPLANTS EGGS EGO EGOCENTRIC EGOISM EGOS EGOTISM',
+    'EGOTIST EGOTISTS EH EIGENVALUE EIGHT EIGHTEEN EIGHTEENS EIGHTEENTH EIGHTEENTHS EIGHTH EIGHTHS',
+    'EIGHTIES EIGHTIETH EIGHTIETHS EIGHTS EIGHTY EITHER EJACULATE EJACULATED EJACULATES EJACULATING',
+    'EJACULATION EJACULATIONS EJECT EJECTED EJECTING EJECTION EJECTIONS EJECTS EKE EKED EKES EKING',
+    'ELABORATE ELABORATED ELABORATELY ELABORATES ELABORATING ELABORATION ELABORATIONS ELAPSE ELAPSED',
+    'ELAPSES ELAPSING ELASTIC ELASTICITY ELASTICS ELATION ELBOW ELBOWED ELBOWING ELBOWS ELDER ELDERLY',
+    'ELDERS ELDEST ELECT ELECTED ELECTING ELECTION ELECTIONS ELECTIVE ELECTIVES ELECTOR ELECTORAL',
+    'ELECTORATE ELECTORATES ELECTORS ELECTRIC ELECTRICAL ELECTRICALLY ELECTRICIAN ELECTRICIANS',
+    'ELECTRICITY ELECTRIFIED ELECTRIFIES ELECTRIFY ELECTRIFYING ELECTROCUTE ELECTROCUTED ELECTROCUTES',
+    'ELECTROCUTING ELECTROCUTION ELECTROCUTIONS ELECTRODE ELECTRODES ELECTROLYSIS ELECTROMAGNETIC',
+    'ELECTRON ELECTRONIC ELECTRONICALLY ELECTRONICS ELECTRONS ELECTROSTATIC ELECTS ELEGANCE ELEGANT',
+    'ELEGANTLY ELEGIES ELEGY ELEMENT ELEMENTAL ELEMENTARY ELEMENTS ELEPHANT ELEPHANTS ELEVATE ELEVATED',
+    'ELEVATES ELEVATING ELEVATION ELEVATIONS ELEVATOR ELEVATORS ELEVEN ELEVENS ELEVENTH ELEVENTHS ELF',
+    'ELICIT ELICITED ELICITING ELICITS ELIGIBILITY ELIGIBLE ELIMINATE ELIMINATED ELIMINATES ELIMINATING',
+    'ELIMINATION ELIMINATIONS ELITE ELITES ELITISM ELITIST ELK ELKS ELLIPSE ELLIPSES ELLIPSIS ELLIPTIC',
+    'ELLIPTICAL ELM ELMS ELONGATE ELONGATED ELONGATES ELONGATING ELOPE ELOPED ELOPEMENT ELOPEMENTS ELOPES',
+    'ELOPING ELOQUENCE ELOQUENT ELOQUENTLY ELSE ELSEWHERE ELUCIDATE ELUDE ELUDED ELUDES ELUDING ELUSIVE',
+    'ELVES EM EMAIL EMAILED EMAILING EMAILS EMANATE EMANATED EMANATES EMANATING EMANCIPATE EMANCIPATED',
+    'EMANCIPATES EMANCIPATING EMANCIPATION EMBALM EMBALMED EMBALMING EMBALMS EMBANKMENT EMBANKMENTS',
+    'EMBARGO EMBARGOED EMBARGOES EMBARGOING EMBARK EMBARKED EMBARKING EMBARKS EMBARRASS EMBARRASSED',
+    'EMBARRASSES EMBARRASSING EMBARRASSMENT EMBARRASSMENTS EMBASSIES EMBASSY EMBED EMBEDDED EMBEDDING',
+    'EMBEDS EMBELLISH EMBELLISHED EMBELLISHES EMBELLISHING EMBELLISHMENT EMBELLISHMENTS EMBER EMBERS',
+    'EMBEZZLE EMBEZZLED EMBEZZLEMENT EMBEZZLES EMBEZZLING EMBITTER EMBITTERED EMBITTERING EMBITTERS',
+    'EMBLEM EMBLEMS EMBODIED EMBODIES EMBODIMENT EMBODY EMBODYING EMBOSS EMBOSSED EMBOSSES EMBOSSING',
+    'EMBRACE EMBRACED EMBRACES EMBRACING EMBROIDER EMBROIDERED EMBROIDERIES EMBROIDERING EMBROIDERS',
+    'EMBROIDERY EMBRYO EMBRYONIC EMBRYOS EMERALD EMERALDS EMERGE EMERGED EMERGENCE EMERGENCIES EMERGENCY',
+    'EMERGENT EMERGES EMERGING EMIGRANT EMIGRANTS EMIGRATE EMIGRATED EMIGRATES EMIGRATING EMIGRATION',
+    'EMIGRATIONS EMINENCE EMINENCES EMINENT EMINENTLY EMIR EMIRS EMISSARIES EMISSARY EMISSION EMISSIONS',
+    'EMIT EMITS EMITTED EMITTING EMOTION EMOTIONAL EMOTIONALLY EMOTIONS EMOTIVE EMPATHY EMPEROR EMPERORS',
+    'EMPHASES EMPHASIS EMPHASIZE EMPHASIZED EMPHASIZES EMPHASIZING EMPHATIC EMPHATICALLY EMPHYSEMA EMPIRE',
+    'EMPIRES EMPIRICAL EMPLOY EMPLOYED EMPLOYEE EMPLOYEES EMPLOYER EMPLOYERS EMPLOYING EMPLOYMENT',
+    'EMPLOYMENTS EMPLOYS EMPORIUM EMPORIUMS EMPOWER EMPOWERED EMPOWERING EMPOWERS EMPRESS EMPRESSES',
+    'EMPTIED EMPTIER EMPTIES EMPTIEST EMPTINESS EMPTY EMPTYING EMULATE EMULATED EMULATES EMULATING',
+    'EMULATION EMULATIONS EMULATOR EMULATORS EMULSION EMULSIONS ENABLE ENABLED ENABLES ENABLING ENACT',
+    'ENACTED ENACTING ENACTMENT ENACTMENTS ENACTS ENAMEL ENAMELED ENAMELING ENAMELS ENCAPSULATE',
+    'ENCAPSULATED ENCAPSULATES ENCAPSULATING ENCASE ENCASED ENCASES ENCASING ENCHANT ENCHANTED ENCHANTING',
+    'ENCHANTMENT ENCHANTMENTS ENCHANTS ENCIRCLE ENCIRCLED ENCIRCLES ENCIRCLING ENCLOSE ENCLOSED ENCLOSES',
+    'ENCLOSING ENCLOSURE ENCLOSURES ENCODE ENCODED ENCODES ENCODING ENCOMPASS ENCOMPASSED ENCOMPASSES',
+    'ENCOMPASSING ENCORE ENCORED ENCORES ENCORING ENCOUNTER ENCOUNTERED ENCOUNTERING ENCOUNTERS ENCOURAGE',
+    'ENCOURAGED ENCOURAGEMENT ENCOURAGEMENTS ENCOURAGES ENCOURAGING ENCROACH ENCROACHED ENCROACHES',
+    'ENCROACHING ENCRYPTED ENCRYPTION ENCUMBER ENCUMBERED ENCUMBERING ENCUMBERS ENCUMBRANCE ENCUMBRANCES',
+    'ENCYCLOPEDIA ENCYCLOPEDIAS END ENDANGER ENDANGERED ENDANGERING ENDANGERS ENDEAR ENDEARED ENDEARING',
+    'ENDEARMENT ENDEARMENTS ENDEARS ENDEAVOR ENDEAVORED ENDEAVORING ENDEAVORS ENDED ENDEMIC ENDEMICS',
+    'ENDING ENDINGS ENDIVE ENDIVES ENDLESS ENDLESSLY ENDORSE ENDORSED ENDORSEMENT ENDORSEMENTS ENDORSES',
+    'ENDORSING ENDOW ENDOWED ENDOWING ENDOWMENT ENDOWMENTS ENDOWS ENDS ENDURANCE ENDURE ENDURED ENDURES',
+    'ENDURING ENDWAYS ENEMA ENEMAS ENEMIES ENEMY ENERGETIC ENERGETICALLY ENERGIES ENERGY ENFORCE ENFORCED',
+    'ENFORCEMENT ENFORCES ENFORCING ENGAGE ENGAGED ENGAGEMENT ENGAGEMENTS ENGAGES ENGAGING ENGENDER',
+    'ENGENDERED ENGENDERING ENGENDERS ENGINE ENGINEER ENGINEERED ENGINEERING ENGINEERS ENGINES ENGRAVE',
+    'ENGRAVED ENGRAVER ENGRAVERS ENGRAVES ENGRAVING ENGRAVINGS ENGROSS ENGROSSED ENGROSSES ENGROSSING',
+    'ENGULF ENGULFED ENGULFING ENGULFS ENHANCE ENHANCED ENHANCEMENT ENHANCEMENTS ENHANCES ENHANCING',
+    'ENIGMA ENIGMAS ENIGMATIC ENJOY ENJOYABLE ENJOYED ENJOYING ENJOYMENT ENJOYMENTS ENJOYS ENLARGE',
+    'ENLARGED ENLARGEMENT ENLARGEMENTS ENLARGES ENLARGING ENLIGHTEN ENLIGHTENED ENLIGHTENING',
+    'ENLIGHTENMENT ENLIGHTENS ENLIST ENLISTED ENLISTING ENLISTMENT ENLISTMENTS ENLISTS ENLIVEN ENLIVENED',
+    'ENLIVENING ENLIVENS ENMITIES ENMITY ENORMITIES ENORMITY ENORMOUS ENORMOUSLY ENOUGH ENRAGE ENRAGED',
+    'ENRAGES ENRAGING ENRICH ENRICHED ENRICHES ENRICHING ENRICHMENT ENROLL ENROLLED ENROLLING ENROLLMENT',
+    'ENROLLMENTS ENROLLS ENSEMBLE ENSEMBLES ENSHRINE ENSHRINED ENSHRINES ENSHRINING ENSIGN ENSIGNS',
+    'ENSLAVE ENSLAVED ENSLAVES ENSLAVING ENSUE ENSUED ENSUES ENSUING ENSURE ENSURED ENSURES ENSURING',
+    'ENTAIL ENTAILED ENTAILING ENTAILS ENTANGLE ENTANGLED ENTANGLEMENT ENTANGLEMENTS ENTANGLES ENTANGLING',
+    'ENTER ENTERED ENTERING ENTERPRISE ENTERPRISES ENTERPRISING ENTERS ENTERTAIN ENTERTAINED ENTERTAINER',
+    'ENTERTAINERS ENTERTAINING ENTERTAINMENT ENTERTAINMENTS ENTERTAINS ENTHRALL ENTHRALLED ENTHRALLING',
+    'ENTHRALLS ENTHUSIASM ENTHUSIASMS ENTHUSIAST ENTHUSIASTIC ENTHUSIASTICALLY ENTHUSIASTS ENTICE ENTICED',
+    'ENTICEMENT ENTICEMENTS ENTICES ENTICING ENTIRE ENTIRELY ENTIRETY ENTITIES ENTITLE ENTITLED ENTITLES',
+    'ENTITLING ENTITY ENTOMOLOGIST ENTOMOLOGISTS ENTOMOLOGY ENTRAILS ENTRANCE ENTRANCED ENTRANCES',
+    'ENTRANCING ENTRANT ENTRANTS ENTRAP ENTRAPPED ENTRAPPING ENTRAPS ENTREAT ENTREATED ENTREATIES',
+    'ENTREATING ENTREATS ENTREATY ENTRENCH ENTRENCHED ENTRENCHES ENTRENCHING ENTRIES ENTROPY ENTRUST',
+    'ENTRUSTED ENTRUSTING ENTRUSTS ENTRY ENTWINE ENTWINED ENTWINES ENTWINING ENUMERATE ENUMERATED',
+    'ENUMERATES ENUMERATING ENUMERATION ENUNCIATE ENUNCIATED ENUNCIATES ENUNCIATING ENUNCIATION ENVELOP',
+    'ENVELOPE ENVELOPED ENVELOPES ENVELOPING ENVELOPS ENVIABLE ENVIED ENVIES ENVIOUS ENVIOUSLY',
+    'ENVIRONMENT ENVIRONMENTAL ENVIRONMENTALLY ENVIRONMENTS ENVIRONS ENVISAGE ENVISAGED ENVISAGES',
+    'ENVISAGING ENVOY ENVOYS ENVY ENVYING ENZYME ENZYMES EON EONS EPAULET EPAULETS EPHEMERAL EPIC EPICS',
+    'EPIDEMIC EPIDEMICS EPIDERMIS EPIDERMISES EPILEPSY EPILEPTIC EPILEPTICS EPILOGUE EPILOGUES EPISODE',
+    'EPISODES EPITAPH EPITAPHS EPITHET EPITHETS EPITOME EPITOMES EPOCH EPOCHS EPSILON EQUAL EQUALED',
+    'EQUALING EQUALITY EQUALIZE EQUALIZED EQUALIZES EQUALIZING EQUALLY EQUALS EQUANIMITY EQUATE EQUATED',
+    'EQUATES EQUATING EQUATION EQUATIONS EQUATOR EQUATORIAL EQUATORS EQUESTRIAN EQUESTRIANS EQUILATERAL',
+    'EQUILATERALS EQUILIBRIUM EQUINE EQUINES EQUINOX EQUINOXES EQUIP EQUIPMENT EQUIPPED EQUIPPING EQUIPS',
+    'EQUITABLE EQUITIES EQUITY EQUIVALENCE EQUIVALENT EQUIVALENTLY EQUIVALENTS EQUIVOCAL ERA ERADICATE',
+    'ERADICATED ERADICATES ERADICATING ERAS ERASE ERASED ERASER ERASERS ERASES ERASING ERASURE ERECT',
+    'ERECTED ERECTING ERECTION ERECTIONS ERECTS ERGO ERGONOMIC ERODE ERODED ERODES ERODING EROSION EROTIC',
+    'ERR ERRAND ERRANDS ERRANT ERRATIC ERRATICALLY ERRED ERRING ERRONEOUS ERRONEOUSLY ERROR ERRORS ERRS',
+    'ERSTWHILE ERUDITE ERUPT ERUPTED ERUPTING ERUPTION ERUPTIONS ERUPTS ESCALATE ESCALATED ESCALATES',
+    'ESCALATING ESCALATION ESCALATOR ESCALATORS ESCAPADE ESCAPADES ESCAPE ESCAPED ESCAPES ESCAPING',
+    'ESCAPISM ESCORT ESCORTED ESCORTING ESCORTS ESOPHAGI ESOPHAGUS ESOTERIC ESPECIAL ESPECIALLY ESPIONAGE',
+    'ESSAY ESSAYED ESSAYING ESSAYS ESSENCE ESSENCES ESSENTIAL ESSENTIALLY ESSENTIALS ESTABLISH',
+    'ESTABLISHED ESTABLISHES ESTABLISHING ESTABLISHMENT ESTABLISHMENTS ESTATE ESTATES ESTEEM ESTEEMED',
+    'ESTEEMING ESTEEMS ESTIMATE ESTIMATED ESTIMATES ESTIMATING ESTIMATION ESTIMATIONS ESTRANGEMENT',
+    'ESTRANGEMENTS ETCH ETCHED ETCHES ETCHING ETCHINGS ETERNAL ETERNALLY ETERNITIES ETERNITY ETHER',
+    'ETHEREAL ETHIC ETHICAL ETHICALLY ETHICS ETHNIC ETHNICS ETHOS ETIQUETTE ETYMOLOGICAL ETYMOLOGIES',
+    'ETYMOLOGY EULOGIES EULOGIZE EULOGIZED EULOGIZES EULOGIZING EULOGY EUPHEMISM EUPHEMISMS EUREKA',
+    'EUTHANASIA EVACUATE EVACUATED EVACUATES EVACUATING EVACUATION EVACUATIONS EVADE EVADED EVADES',
+    'EVADING EVALUATE EVALUATED EVALUATES EVALUATING EVALUATION EVALUATIONS EVANGELICAL EVANGELICALS',
+    'EVANGELISM EVANGELIST EVANGELISTIC EVANGELISTS EVAPORATE EVAPORATED EVAPORATES EVAPORATING',
+    'EVAPORATION EVASION EVASIONS EVASIVE EVE EVEN EVENED EVENER EVENEST EVENING EVENINGS EVENLY EVENNESS',
+    'EVENS EVENT EVENTFUL EVENTS EVENTUAL EVENTUALITIES EVENTUALITY EVENTUALLY EVER EVERGREEN EVERGREENS',
+    'EVERLASTING EVERLASTINGS EVERMORE EVERY EVERYBODY EVERYDAY EVERYONE EVERYTHING EVERYWHERE EVES EVICT',
+    'EVICTED EVICTING EVICTION EVICTIONS EVICTS EVIDENCE EVIDENCED EVIDENCES EVIDENCING EVIDENT EVIDENTLY',
+    'EVIL EVILER EVILEST EVILS EVOCATIVE EVOKE EVOKED EVOKES EVOKING EVOLUTION EVOLUTIONARY EVOLVE',
+    'EVOLVED EVOLVES EVOLVING EWE EWES EXACERBATE EXACERBATED EXACERBATES EXACERBATING EXACT EXACTED',
+    'EXACTER EXACTEST EXACTING EXACTLY EXACTS EXAGGERATE EXAGGERATED EXAGGERATES EXAGGERATING',
+    'EXAGGERATION EXAGGERATIONS EXALT EXALTATION EXALTED EXALTING EXALTS EXAM EXAMINATION EXAMINATIONS',
+    'EXAMINE EXAMINED EXAMINER EXAMINERS EXAMINES EXAMINING EXAMPLE EXAMPLED EXAMPLES EXAMPLING EXAMS',
+    'EXASPERATE EXASPERATED EXASPERATES EXASPERATING EXASPERATION EXCAVATE EXCAVATED EXCAVATES EXCAVATING',
+    'EXCAVATION EXCAVATIONS EXCEED EXCEEDED EXCEEDING EXCEEDINGLY EXCEEDS EXCEL EXCELLED EXCELLENCE',
+    'EXCELLENT EXCELLENTLY EXCELLING EXCELS EXCEPT EXCEPTED EXCEPTING EXCEPTION EXCEPTIONAL EXCEPTIONALLY',
+    'EXCEPTIONS EXCEPTS EXCERPT EXCERPTED EXCERPTING EXCERPTS EXCESS EXCESSES EXCESSIVE EXCESSIVELY',
+    'EXCHANGE EXCHANGED EXCHANGES EXCHANGING EXCISE EXCISED EXCISES EXCISING EXCITABLE EXCITE EXCITED',
+    'EXCITEMENT EXCITEMENTS EXCITES EXCITING EXCLAIM EXCLAIMED EXCLAIMING EXCLAIMS EXCLAMATION',
+    'EXCLAMATIONS EXCLUDE EXCLUDED EXCLUDES EXCLUDING EXCLUSION EXCLUSIVE EXCLUSIVELY EXCLUSIVES',
+    'EXCOMMUNICATE EXCOMMUNICATED EXCOMMUNICATES EXCOMMUNICATING EXCOMMUNICATION EXCOMMUNICATIONS',
+    'EXCREMENT EXCRETE EXCRETED EXCRETES EXCRETING EXCRUCIATING EXCURSION EXCURSIONS EXCUSABLE EXCUSE',
+    'EXCUSED EXCUSES EXCUSING EXECUTABLE EXECUTE EXECUTED EXECUTES EXECUTING EXECUTION EXECUTIONER',
+    'EXECUTIONERS EXECUTIONS EXECUTIVE EXECUTIVES EXECUTOR EXECUTORS EXEMPLARY EXEMPLIFIED EXEMPLIFIES',
+    'EXEMPLIFY EXEMPLIFYING EXEMPT EXEMPTED EXEMPTING EXEMPTION EXEMPTIONS EXEMPTS EXERCISE EXERCISED',
+    'EXERCISES EXERCISING EXERT EXERTED EXERTING EXERTION EXERTIONS EXERTS EXHALE EXHALED EXHALES',
+    'EXHALING EXHAUST EXHAUSTED EXHAUSTING EXHAUSTION EXHAUSTIVE EXHAUSTS EXHIBIT EXHIBITED EXHIBITING',
+    'EXHIBITION EXHIBITIONS EXHIBITS EXHILARATE EXHILARATED EXHILARATES EXHILARATING EXHILARATION EXHORT',
+    'EXHORTATION EXHORTATIONS EXHORTED EXHORTING EXHORTS EXHUME EXHUMED EXHUMES EXHUMING EXILE EXILED',
+    'EXILES EXILING EXIST EXISTED EXISTENCE EXISTENCES EXISTENT EXISTENTIAL EXISTENTIALLY EXISTING EXISTS',
+    'EXIT EXITED EXITING EXITS EXODUS EXODUSES EXONERATE EXONERATED EXONERATES EXONERATING EXONERATION',
+    'EXORBITANT EXOTIC EXOTICS EXPAND EXPANDABLE EXPANDED EXPANDING EXPANDS EXPANSE EXPANSES EXPANSION',
+    'EXPANSIONS EXPANSIVE EXPATRIATE EXPATRIATED EXPATRIATES EXPATRIATING EXPECT EXPECTANCY EXPECTANT',
+    'EXPECTATION EXPECTATIONS EXPECTED EXPECTING EXPECTS EXPEDIENCIES EXPEDIENCY EXPEDIENT EXPEDIENTS',
+    'EXPEDITE EXPEDITED EXPEDITES EXPEDITING EXPEDITION EXPEDITIONS EXPEL EXPELLED EXPELLING EXPELS',
+    'EXPEND EXPENDABLE EXPENDABLES EXPENDED EXPENDING EXPENDITURE EXPENDITURES EXPENDS EXPENSE EXPENSES',
+    'EXPENSIVE EXPERIENCE EXPERIENCED EXPERIENCES EXPERIENCING EXPERIMENT EXPERIMENTAL EXPERIMENTALLY',
+    'EXPERIMENTATION EXPERIMENTED EXPERIMENTING EXPERIMENTS EXPERT EXPERTISE EXPERTLY EXPERTS EXPIRATION',
+    'EXPIRE EXPIRED EXPIRES EXPIRING EXPIRY EXPLAIN EXPLAINED EXPLAINING EXPLAINS EXPLANATION',
+    'EXPLANATIONS EXPLANATORY EXPLETIVE EXPLETIVES EXPLICABLE EXPLICIT EXPLICITLY EXPLODE EXPLODED',
+    'EXPLODES EXPLODING EXPLOIT EXPLOITATION EXPLOITED EXPLOITING EXPLOITS EXPLORATION EXPLORATIONS',
+    'EXPLORE EXPLORED EXPLORER EXPLORERS EXPLORES EXPLORING EXPLOSION EXPLOSIONS EXPLOSIVE EXPLOSIVES',
+    'EXPONENT EXPONENTIAL EXPONENTIALLY EXPONENTS EXPORT EXPORTED EXPORTER EXPORTERS EXPORTING EXPORTS',
+    'EXPOSE EXPOSED EXPOSES EXPOSING EXPOSITION EXPOSITIONS EXPOSURE EXPOSURES EXPOUND EXPOUNDED',
+    'EXPOUNDING EXPOUNDS EXPRESS EXPRESSED EXPRESSES EXPRESSING EXPRESSION EXPRESSIONS EXPRESSIVE',
+    'EXPRESSIVELY EXPRESSLY EXPRESSWAY EXPRESSWAYS EXPULSION EXPULSIONS EXQUISITE EXTANT EXTEMPORANEOUS',
+    'EXTEND EXTENDED EXTENDING EXTENDS EXTENSION EXTENSIONS EXTENSIVE EXTENSIVELY EXTENT EXTENTS EXTERIOR',
+    'EXTERIORS EXTERMINATE EXTERMINATED EXTERMINATES EXTERMINATING EXTERMINATION EXTERMINATIONS EXTERNAL',
+    'EXTERNALLY EXTERNALS EXTINCT EXTINCTED EXTINCTING EXTINCTION EXTINCTIONS EXTINCTS EXTINGUISH',
+    'EXTINGUISHED EXTINGUISHER EXTINGUISHERS EXTINGUISHES EXTINGUISHING EXTOL EXTOLLED EXTOLLING EXTOLS',
+    'EXTORT EXTORTED EXTORTING EXTORTION EXTORTIONATE EXTORTS EXTRA EXTRACT EXTRACTED EXTRACTING',
+    'EXTRACTION EXTRACTIONS EXTRACTS EXTRACURRICULAR EXTRADITE EXTRADITED EXTRADITES EXTRADITING',
+    'EXTRADITION EXTRADITIONS EXTRANEOUS EXTRAORDINARILY EXTRAORDINARY EXTRAPOLATE EXTRAPOLATED',
+    'EXTRAPOLATES EXTRAPOLATING EXTRAPOLATION EXTRAPOLATIONS EXTRAS EXTRATERRESTRIAL EXTRATERRESTRIALS',
+    'EXTRAVAGANCE EXTRAVAGANCES EXTRAVAGANT EXTRAVAGANTLY EXTREME EXTREMELY EXTREMER EXTREMES EXTREMEST',
+    'EXTREMIST EXTREMISTS EXTREMITIES EXTREMITY EXTRICATE EXTRICATED EXTRICATES EXTRICATING EXTROVERT',
+    'EXTROVERTS EXUBERANCE EXUBERANT EXUDE EXUDED EXUDES EXUDING EXULT EXULTANT EXULTATION EXULTED',
+    'EXULTING EXULTS EYE EYEBALL EYEBALLED EYEBALLING EYEBALLS EYEBROW EYEBROWS EYED EYEING EYELASH',
+    'EYELASHES EYELID EYELIDS EYES EYESIGHT EYESORE EYESORES EYEWITNESS EYEWITNESSES FABLE FABLES FABRIC',
+    'FABRICATE FABRICATED FABRICATES FABRICATING FABRICATION FABRICATIONS FABRICS FABULOUS FACADE FACADES',
+    'FACE FACED FACELESS FACES FACET FACETED FACETING FACETIOUS FACETS FACIAL FACIALS FACILE FACILITATE',
+    'FACILITATED FACILITATES FACILITATING FACILITIES FACILITY FACING FACSIMILE FACSIMILED FACSIMILEING',
+    'FACSIMILES FACT FACTION FACTIONS FACTOR FACTORED FACTORIAL FACTORIES FACTORING FACTORIZATION FACTORS',
+    'FACTORY FACTS FACTUAL FACTUALLY FACULTIES FACULTY FAD FADE FADED FADES FADING FADS FAGGOT FAGGOTS',
+    'FAGOT FAGOTS FAIL FAILED FAILING FAILINGS FAILS FAILURE FAILURES FAINT FAINTED FAINTER FAINTEST',
+    'FAINTING FAINTLY FAINTS FAIR FAIRER FAIREST FAIRIES FAIRLY FAIRNESS FAIRS FAIRY FAITH FAITHFUL',
+    'FAITHFULLY FAITHFULNESS FAITHFULS FAITHLESS FAITHS FAKE FAKED FAKES FAKING FALCON FALCONS FALL',
+    'FALLACIES FALLACIOUS FALLACY FALLEN FALLIBLE FALLING FALLOUT FALLS FALSE FALSEHOOD FALSEHOODS',
+    'FALSELY FALSER FALSEST FALSETTO FALSETTOS FALSIFICATION FALSIFICATIONS FALSIFIED FALSIFIES FALSIFY',
+    'FALSIFYING FALSITIES FALSITY FALTER FALTERED FALTERING FALTERS FAME FAMED FAMILIAR FAMILIARITY',
+    'FAMILIARIZE FAMILIARIZED FAMILIARIZES FAMILIARIZING FAMILIARS FAMILIES FAMILY FAMINE FAMINES FAMOUS',
+    'FAN FANATIC FANATICAL FANATICS FANCIED FANCIER FANCIES FANCIEST FANCIFUL FANCY FANCYING FANFARE',
+    'FANFARES FANG FANGS FANNED FANNING FANS FANTASIED FANTASIES FANTASTIC FANTASTICALLY FANTASY',
+    'FANTASYING FAR FARAWAY FARCE FARCES FARE FARED FARES FAREWELL FAREWELLS FARING FARM FARMED FARMER',
+    'FARMERS FARMING FARMLAND FARMS FARTHER FARTHEST FASCINATE FASCINATED FASCINATES FASCINATING',
+    'FASCINATION FASCINATIONS FASCISM FASCIST FASCISTS FASHION FASHIONABLE FASHIONABLY FASHIONED',
+    'FASHIONING FASHIONS FAST FASTED FASTEN FASTENED FASTENER FASTENERS FASTENING FASTENINGS FASTENS',
+    'FASTER FASTEST FASTIDIOUS FASTING FASTS FAT FATAL FATALISTIC FATALITIES FATALITY FATALLY FATE FATED',
+    'FATEFUL FATES FATHER FATHERED FATHERHOOD FATHERING FATHERLAND FATHERLANDS FATHERLY FATHERS FATHOM',
+    'FATHOMED FATHOMING FATHOMS FATIGUE FATIGUED FATIGUES FATIGUING FATING FATS FATTEN FATTENED FATTENING',
+    'FATTENS FATTER FATTEST FATTIER FATTIES FATTIEST FATTY FATUOUS FAUCET FAUCETS FAULT FAULTED FAULTIER',
+    'FAULTIEST FAULTING FAULTLESS FAULTS FAULTY FAUNA FAUNAS FAVOR FAVORABLE FAVORABLY FAVORED FAVORING',
+    'FAVORITE FAVORITES FAVORITISM FAVORS FAWN FAWNED FAWNING FAWNS FAZE FAZED FAZES FAZING FEAR FEARED',
+    'FEARFUL FEARFULLY FEARING FEARLESS FEARLESSLY FEARS FEARSOME FEASIBILITY FEASIBLE FEAST FEASTED',
+    'FEASTING FEASTS FEAT FEATHER FEATHERED FEATHERIER FEATHERIEST FEATHERING FEATHERS FEATHERY FEATS',
+    'FEATURE FEATURED FEATURES FEATURING FECES FED FEDERAL FEDERALISM FEDERALIST FEDERALISTS FEDERALS',
+    'FEDERATION FEDERATIONS FEDS FEE FEEBLE FEEBLER FEEBLEST FEED FEEDBACK FEEDER FEEDERS FEEDING FEEDS',
+    'FEEL FEELER FEELERS FEELING FEELINGS FEELS FEES FEET FEIGN FEIGNED FEIGNING FEIGNS FEINT FEINTED',
+    'FEINTING FEINTS FELINE FELINES FELL FELLED FELLER FELLEST FELLING FELLOW FELLOWS FELLOWSHIP',
+    'FELLOWSHIPS FELLS FELON FELONIES FELONS FELONY FELT FELTED FELTING FELTS FEMALE FEMALES FEMININE',
+    'FEMININES FEMININITY FEMINISM FEMINIST FEMINISTS FEN FENCE FENCED FENCES FENCING FEND FENDED FENDER',
+    'FENDERS FENDING FENDS FERMENT FERMENTATION FERMENTED FERMENTING FERMENTS FERN FERNS FEROCIOUS',
+    'FEROCIOUSLY FEROCITY FERRET FERRETED FERRETING FERRETS FERRIED FERRIES FERRY FERRYING FERTILE',
+    'FERTILITY FERTILIZATION FERTILIZE FERTILIZED FERTILIZER FERTILIZERS FERTILIZES FERTILIZING FERVENT',
+    'FERVENTLY FERVOR FESTER FESTERED FESTERING FESTERS FESTIVAL FESTIVALS FESTIVE FESTIVITIES FESTIVITY',
+    'FESTOON FESTOONED FESTOONING FESTOONS FETCH FETCHED FETCHES FETCHING FETED FETID FETING FETISH',
+    'FETISHES FETTER FETTERED FETTERING FETTERS FETUS FETUSES FEUD FEUDAL FEUDALISM FEUDED FEUDING FEUDS',
+    'FEVER FEVERISH FEVERISHLY FEVERS FEW FEWER FEWEST FEZ FEZZES FIASCO FIASCOES FIB FIBBED FIBBER',
+    'FIBBERS FIBBING FIBER FIBERGLASS FIBERS FIBS FICHE FICKLE FICKLER FICKLEST FICTION FICTIONAL',
+    'FICTIONS FICTITIOUS FIDDLE FIDDLED FIDDLER FIDDLERS FIDDLES FIDDLING FIDDLY FIDELITY FIDGET FIDGETED',
+    'FIDGETING FIDGETS FIDGETY FIELD FIELDED FIELDING FIELDS FIEND FIENDISH FIENDISHLY FIENDS FIERCE',
+    'FIERCELY FIERCENESS FIERCER FIERCEST FIERIER FIERIEST FIERY FIESTA FIESTAS FIFTEEN FIFTEENS',
+    'FIFTEENTH FIFTEENTHS FIFTH FIFTHS FIFTIES FIFTIETH FIFTIETHS FIFTY FIG FIGHT FIGHTER FIGHTERS',
+    'FIGHTING FIGHTS FIGMENT FIGMENTS FIGS FIGURATIVE FIGURATIVELY FIGURE FIGURED FIGUREHEAD FIGUREHEADS',
+    'FIGURES FIGURING FILAMENT FILAMENTS FILCH FILCHED FILCHES FILCHING FILE FILED FILES FILET FILING',
+    'FILL FILLED FILLER FILLET FILLETED FILLETING FILLETS FILLIES FILLING FILLS FILLY FILM FILMED FILMIER',
+    'FILMIEST FILMING FILMS FILMY FILTER FILTERED FILTERING FILTERS FILTH FILTHIER FILTHIEST FILTHY FIN',
+    'FINAL FINALE FINALES FINALIST FINALISTS FINALITY FINALIZE FINALIZED FINALIZES FINALIZING FINALLY',
+    'FINALS FINANCE FINANCED FINANCES FINANCIAL FINANCIALLY FINANCIER FINANCIERS FINANCING FINCH FINCHES',
+    'FIND FINDING FINDINGS FINDS FINE FINED FINELY FINER FINES FINESSE FINESSED FINESSES FINESSING FINEST',
+    'FINGER FINGERED FINGERING FINGERNAIL FINGERNAILS FINGERPRINT FINGERPRINTED FINGERPRINTING',
+    'FINGERPRINTS FINGERS FINGERTIP FINGERTIPS FINICKIER FINICKIEST FINICKY FINING FINISH FINISHED',
+    'FINISHES FINISHING FINITE FINS FIR FIRE FIREARM FIREARMS FIRECRACKER FIRECRACKERS FIRED FIREFIGHTER',
+    'FIREFIGHTERS FIREFLIES FIREFLY FIREMAN FIREMEN FIREPLACE FIREPLACES FIREPROOF FIREPROOFED',
+    'FIREPROOFING FIREPROOFS FIRES FIRESIDE FIRESIDES FIREWOOD FIREWORK FIREWORKS FIRING FIRM FIRMED',
+    'FIRMER FIRMEST FIRMING FIRMLY FIRMNESS FIRMS FIRMWARE FIRS FIRST FIRSTHAND FIRSTLY FIRSTS FISCAL',
+    'FISCALS FISH FISHED FISHER FISHERIES FISHERMAN FISHERMEN FISHERY FISHES FISHIER FISHIEST FISHING',
+    'FISHY FISSION FISSURE FISSURES FIST FISTS FIT FITFUL FITNESS FITS FITTED FITTER FITTEST FITTING',
+    'FITTINGS FIVE FIVER FIVES FIX FIXABLE FIXATION FIXATIONS FIXED FIXES FIXING FIXTURE FIXTURES FIZZ',
+    'FIZZED FIZZES FIZZING FIZZLE FIZZLED FIZZLES FIZZLING FIZZY FLABBIER FLABBIEST FLABBY FLAG FLAGGED',
+    'FLAGGING FLAGPOLE FLAGPOLES FLAGRANT FLAGRANTLY FLAGS FLAGSHIP FLAGSHIPS FLAGSTONE FLAGSTONES FLAIL',
+    'FLAILED FLAILING FLAILS FLAIR FLAIRS FLAK FLAKE FLAKED FLAKES FLAKIER FLAKIEST FLAKING FLAKY',
+    'FLAMBOYANCE FLAMBOYANT FLAMBOYANTLY FLAME FLAMED FLAMES FLAMING FLAMINGO FLAMINGOS FLAMMABLE',
+    'FLAMMABLES FLANK FLANKED FLANKING FLANKS FLANNEL FLANNELED FLANNELING FLANNELS FLAP FLAPJACK',
+    'FLAPJACKS FLAPPED FLAPPING FLAPS FLARE FLARED FLARES FLARING FLASH FLASHBACK FLASHBACKS FLASHED',
+    'FLASHER FLASHES FLASHEST FLASHIER FLASHIEST FLASHING FLASHLIGHT FLASHLIGHTS FLASHY FLASK FLASKS FLAT',
+    'FLATLY FLATNESS FLATS FLATTED FLATTEN FLATTENED FLATTENING FLATTENS FLATTER FLATTERED FLATTERER',
+    'FLATTERERS FLATTERING FLATTERS FLATTERY FLATTEST FLATTING FLAUNT FLAUNTED FLAUNTING FLAUNTS FLAVOR',
+    'FLAVORED FLAVORING FLAVORINGS FLAVORS FLAW FLAWED FLAWING FLAWLESS FLAWLESSLY FLAWS FLEA FLEAS FLECK',
+    'FLECKED FLECKING FLECKS FLED FLEDGED FLEDGLING FLEDGLINGS FLEE FLEECE FLEECED FLEECES FLEECIER',
+    'FLEECIEST FLEECING FLEECY FLEEING FLEES FLEET FLEETED FLEETER FLEETEST FLEETING FLEETS FLESH FLESHED',
+    'FLESHES FLESHIER FLESHIEST FLESHING FLESHY FLEW FLEX FLEXED FLEXES FLEXIBILITY FLEXIBLE FLEXIBLY',
+    'FLEXING FLICK FLICKED FLICKER FLICKERED FLICKERING FLICKERS FLICKING FLICKS FLIED FLIER FLIERS FLIES',
+    'FLIEST FLIGHT FLIGHTIER FLIGHTIEST FLIGHTLESS FLIGHTS FLIGHTY FLIMSIER FLIMSIEST FLIMSINESS FLIMSY',
+    'FLINCH FLINCHED FLINCHES FLINCHING FLING FLINGING FLINGS FLINT FLINTS FLIP FLIPPANT FLIPPED FLIPPER',
+    'FLIPPERS FLIPPEST FLIPPING FLIPS FLIRT FLIRTATION FLIRTATIONS FLIRTATIOUS FLIRTED FLIRTING FLIRTS',
+    'FLIT FLITS FLITTED FLITTING FLOAT FLOATED FLOATING FLOATS FLOCK FLOCKED FLOCKING FLOCKS FLOG FLOGGED',
+    'FLOGGING FLOGS FLOOD FLOODED FLOODER FLOODING FLOODLIGHT FLOODLIGHTED FLOODLIGHTING FLOODLIGHTS',
+    'FLOODS FLOOR FLOORED FLOORING FLOORS FLOP FLOPPED FLOPPIER FLOPPIES FLOPPIEST FLOPPING FLOPPY FLOPS',
+    'FLORA FLORAL FLORAS FLORID FLORIST FLORISTS FLOSS FLOSSED FLOSSES FLOSSING FLOTILLA FLOTILLAS',
+    'FLOUNCE FLOUNCED FLOUNCES FLOUNCING FLOUNDER FLOUNDERED FLOUNDERING FLOUNDERS FLOUR FLOURED FLOURING',
+    'FLOURISH FLOURISHED FLOURISHES FLOURISHING FLOURS FLOUT FLOUTED FLOUTING FLOUTS FLOW FLOWED FLOWER',
+    'FLOWERED FLOWERIER FLOWERIEST FLOWERING FLOWERS FLOWERY FLOWING FLOWN FLOWS FLU FLUCTUATE FLUCTUATED',
+    'FLUCTUATES FLUCTUATING FLUCTUATION FLUCTUATIONS FLUE FLUENCY FLUENT FLUENTLY FLUES FLUFF FLUFFED',
+    'FLUFFIER FLUFFIEST FLUFFING FLUFFS FLUFFY FLUID FLUIDS FLUKE FLUKES FLUNG FLUNK FLUNKED FLUNKIES',
+    'FLUNKING FLUNKS FLUNKY FLUORESCENT FLURRIED FLURRIES FLURRY FLURRYING FLUSH FLUSHED FLUSHER FLUSHES',
+    'FLUSHEST FLUSHING FLUSTER FLUSTERED FLUSTERING FLUSTERS FLUTE FLUTED FLUTES FLUTING FLUTIST FLUTISTS',
+    'FLUTTER FLUTTERED FLUTTERING FLUTTERS FLUX FLUXED FLUXES FLUXING FLY FLYING FLYOVER FLYOVERS FOAL',
+    'FOALED FOALING FOALS FOAM FOAMED FOAMIER FOAMIEST FOAMING FOAMS FOAMY FOCAL FOCUS FOCUSED FOCUSES',
+    'FOCUSING FODDER FODDERS FOE FOES FOG FOGGED FOGGIER FOGGIEST FOGGING FOGGY FOGHORN FOGHORNS FOGIES',
+    'FOGS FOGY FOIBLE FOIBLES FOIL FOILED FOILING FOILS FOIST FOISTED FOISTING FOISTS FOLD FOLDED FOLDER',
+    'FOLDERS FOLDING FOLDS FOLIAGE FOLK FOLKLORE FOLKS FOLKSIER FOLKSIEST FOLKSY FOLLIES FOLLOW FOLLOWED',
+    'FOLLOWER FOLLOWERS FOLLOWING FOLLOWINGS FOLLOWS FOLLY FOMENT FOMENTED FOMENTING FOMENTS FOND FONDER',
+    'FONDEST FONDLE FONDLED FONDLES FONDLING FONDLY FONDNESS FONT FONTS FOOD FOODS FOODSTUFF FOODSTUFFS',
+    'FOOL FOOLED FOOLHARDIER FOOLHARDIEST FOOLHARDY FOOLING FOOLISH FOOLISHLY FOOLISHNESS FOOLPROOF FOOLS',
+    'FOOT FOOTAGE FOOTBALL FOOTBALLS FOOTED FOOTHILL FOOTHILLS FOOTHOLD FOOTHOLDS FOOTING FOOTINGS',
+    'FOOTLIGHTS FOOTNOTE FOOTNOTED FOOTNOTES FOOTNOTING FOOTPATH FOOTPATHS FOOTPRINT FOOTPRINTS FOOTS',
+    'FOOTSTEP FOOTSTEPS FOOTSTOOL FOOTSTOOLS FOOTWEAR FOOTWORK FOR FORAGE FORAGED FORAGES FORAGING FORAY',
+    'FORAYED FORAYING FORAYS FORBADE FORBEAR FORBEARANCE FORBEARING FORBEARS FORBID FORBIDDEN FORBIDDING',
+    'FORBIDDINGS FORBIDS FORBORE FORBORNE FORCE FORCED FORCEFUL FORCEFULLY FORCEPS FORCES FORCIBLE',
+    'FORCIBLY FORCING FORD FORDED FORDING FORDS FORE FOREARM FOREARMED FOREARMING FOREARMS FOREBODE',
+    'FOREBODED FOREBODES FOREBODING FOREBODINGS FORECAST FORECASTING FORECASTS FOREFATHER FOREFATHERS',
+    'FOREFINGER FOREFINGERS FOREFRONT FOREFRONTS FOREGO FOREGOES FOREGOING FOREGONE FOREGROUND',
+    'FOREGROUNDED FOREGROUNDING FOREGROUNDS FOREHEAD FOREHEADS FOREIGN FOREIGNER FOREIGNERS FORELEG',
+    'FORELEGS FOREMAN FOREMEN FOREMOST FORENSIC FORENSICS FOREPLAY FORERUNNER FORERUNNERS FORES FORESAW',
+    'FORESEE FORESEEABLE FORESEEING FORESEEN FORESEES FORESHADOW FORESHADOWED FORESHADOWING FORESHADOWS',
+    'FORESIGHT FORESKIN FORESKINS FOREST FORESTALL FORESTALLED FORESTALLING FORESTALLS FORESTED FORESTING',
+    'FORESTRY FORESTS FORETASTE FORETASTED FORETASTES FORETASTING FORETELL FORETELLING FORETELLS',
+    'FORETHOUGHT FORETOLD FOREVER FOREWARN FOREWARNED FOREWARNING FOREWARNS FOREWENT FOREWORD FOREWORDS',
+    'FORFEIT FORFEITED FORFEITING FORFEITS FORGAVE FORGE FORGED FORGER FORGERIES FORGERS FORGERY FORGES',
+    'FORGET FORGETFUL FORGETFULNESS FORGETS FORGETTING FORGING FORGIVE FORGIVEN FORGIVENESS FORGIVES',
+    'FORGIVING FORGO FORGOES FORGOING FORGONE FORGOT FORGOTTEN FORK FORKED FORKING FORKS FORLORN FORM',
+    'FORMAL FORMALITIES FORMALITY FORMALIZE FORMALIZED FORMALIZES FORMALIZING FORMALLY FORMALS FORMAT',
+    'FORMATION FORMATIONS FORMATIVE FORMATS FORMATTED FORMATTING FORMED FORMER FORMERLY FORMIDABLE',
+    'FORMING FORMLESS FORMS FORMULA FORMULAE FORMULAS FORMULATE FORMULATED FORMULATES FORMULATING',
+    'FORMULATION FORMULATIONS FORNICATION FORSAKE FORSAKEN FORSAKES FORSAKING FORSOOK FORSWEAR',
+    'FORSWEARING FORSWEARS FORSWORE FORSWORN FORT FORTE FORTES FORTH FORTHCOMING FORTHRIGHT FORTHWITH',
+    'FORTIES FORTIETH FORTIETHS FORTIFICATION FORTIFICATIONS FORTIFIED FORTIFIES FORTIFY FORTIFYING',
+    'FORTITUDE FORTNIGHT FORTNIGHTLY FORTRESS FORTRESSES FORTS FORTUITOUS FORTUNATE FORTUNATELY FORTUNE',
+    'FORTUNES FORTY FORUM FORUMS FORWARD FORWARDED FORWARDER FORWARDEST FORWARDING FORWARDS FORWENT',
+    'FOSSIL FOSSILIZE FOSSILIZED FOSSILIZES FOSSILIZING FOSSILS FOSTER FOSTERED FOSTERING FOSTERS FOUGHT',
+    'FOUL FOULED FOULER FOULEST FOULING FOULS FOUND FOUNDATION FOUNDATIONS FOUNDED FOUNDER FOUNDERED',
+    'FOUNDERING FOUNDERS FOUNDING FOUNDLING FOUNDLINGS FOUNDRIES FOUNDRY FOUNDS FOUNT FOUNTAIN FOUNTAINS',
+    'FOUNTS FOUR FOURS FOURTEEN FOURTEENS FOURTEENTH FOURTEENTHS FOURTH FOURTHS FOWL FOWLED FOWLING FOWLS',
+    'FOX FOXED FOXES FOXIER FOXIEST FOXING FOXY FOYER FOYERS FRACAS FRACASES FRACTAL FRACTION FRACTIONAL',
+    'FRACTIONS FRACTURE FRACTURED FRACTURES FRACTURING FRAGILE FRAGILITY FRAGMENT FRAGMENTARY',
+    'FRAGMENTATION FRAGMENTED FRAGMENTING FRAGMENTS FRAGRANCE FRAGRANCES FRAGRANT FRAIL FRAILER FRAILEST',
+    'FRAILTIES FRAILTY FRAME FRAMED FRAMES FRAMEWORK FRAMEWORKS FRAMING FRANC FRANCHISE FRANCHISED',
+    'FRANCHISES FRANCHISING FRANCS FRANK FRANKED FRANKER FRANKEST FRANKFURTER FRANKFURTERS FRANKING',
+    'FRANKLY FRANKS FRANTIC FRANTICALLY FRATERNAL FRATERNITIES FRATERNITY FRATERNIZE FRATERNIZED',
+    'FRATERNIZES FRATERNIZING FRAUD FRAUDS FRAUDULENT FRAUDULENTLY FRAUGHT FRAY FRAYED FRAYING FRAYS',
+    'FREAK FREAKED FREAKING FREAKS FRECKLE FRECKLED FRECKLES FRECKLING FREE FREED FREEDOM FREEDOMS',
+    'FREEHAND FREEING FREELANCE FREELY FREER FREES FREEST FREEWAY FREEWAYS FREEZE FREEZER FREEZERS',
+    'FREEZES FREEZING FREIGHT FREIGHTED FREIGHTER FREIGHTERS FREIGHTING FREIGHTS FRENCH FRENZIED FRENZIES',
+    'FRENZY FREQUENCIES FREQUENCY FREQUENT FREQUENTED FREQUENTER FREQUENTEST FREQUENTING FREQUENTLY',
+    'FREQUENTS FRESH FRESHEN FRESHENED FRESHENING FRESHENS FRESHER FRESHEST FRESHLY FRESHMAN FRESHMEN',
+    'FRESHNESS FRESHWATER FRET FRETFUL FRETFULLY FRETS FRETTED FRETTING FRIAR FRIARS FRICTION FRIED',
+    'FRIEND FRIENDED FRIENDING FRIENDLIER FRIENDLIES FRIENDLIEST FRIENDLINESS FRIENDLY FRIENDS FRIENDSHIP',
+    'FRIENDSHIPS FRIES FRIEZE FRIEZES FRIGATE FRIGATES FRIGHT FRIGHTED FRIGHTEN FRIGHTENED FRIGHTENING',
+    'FRIGHTENINGLY FRIGHTENS FRIGHTFUL FRIGHTFULLY FRIGHTING FRIGHTS FRIGID FRIGIDITY FRILL FRILLIER',
+    'FRILLIEST FRILLS FRILLY FRINGE FRINGED FRINGES FRINGING FRISK FRISKED FRISKIER FRISKIEST FRISKING',
+    'FRISKS FRISKY FRITTER FRITTERED FRITTERING FRITTERS FRIVOLITIES FRIVOLITY FRIVOLOUS FRIZZIER',
+    'FRIZZIEST FRIZZY FRO FROCK FROCKS FROG FROGS FROLIC FROLICKED FROLICKING FROLICS FROM FROND FRONDS',
+    'FRONT FRONTAGE FRONTAGES FRONTAL FRONTED FRONTIER FRONTIERS FRONTING FRONTS FROST FROSTBIT FROSTBITE',
+    'FROSTBITES FROSTBITING FROSTBITTEN FROSTED FROSTIER FROSTIEST FROSTING FROSTINGS FROSTS FROSTY FROTH',
+    'FROTHED FROTHIER FROTHIEST FROTHING FROTHS FROTHY FROWN FROWNED FROWNING FROWNS FROZE FROZEN FRUGAL',
+    'FRUGALITY FRUGALLY FRUIT FRUITED FRUITFUL FRUITIER FRUITIEST FRUITING FRUITION FRUITLESS FRUITLESSLY',
+    'FRUITS FRUITY FRUSTRATE FRUSTRATED FRUSTRATES FRUSTRATING FRUSTRATION FRUSTRATIONS FRY FRYING FUDGE',
+    'FUDGED FUDGES FUDGING FUEL FUELED FUELING FUELS FUGITIVE FUGITIVES FULCRUM FULCRUMS FULFILL',
+    'FULFILLED FULFILLING FULFILLMENT FULFILLS FULL FULLED FULLER FULLEST FULLING FULLNESS FULLS FULLY',
+    'FUMBLE FUMBLED FUMBLES FUMBLING FUME FUMED FUMES FUMIGATE FUMIGATED FUMIGATES FUMIGATING FUMIGATION',
+    'FUMING FUN FUNCTION FUNCTIONAL FUNCTIONALITY FUNCTIONALLY FUNCTIONED FUNCTIONING FUNCTIONS FUND',
+    'FUNDAMENTAL FUNDAMENTALISM FUNDAMENTALIST FUNDAMENTALISTS FUNDAMENTALLY FUNDAMENTALS FUNDED FUNDING',
+    'FUNDS FUNERAL FUNERALS FUNGI FUNGICIDE FUNGICIDES FUNGUS FUNNEL FUNNELED FUNNELING FUNNELS FUNNER',
+    'FUNNEST FUNNIER FUNNIES FUNNIEST FUNNILY FUNNY FUR FURIES FURIOUS FURIOUSLY FURL FURLED FURLING',
+    'FURLONG FURLONGS FURLOUGH FURLOUGHED FURLOUGHING FURLOUGHS FURLS FURNACE FURNACES FURNISH FURNISHED',
+    'FURNISHES FURNISHING FURNISHINGS FURNITURE FUROR FURORS FURRED FURRIER FURRIEST FURRING FURROW',
+    'FURROWED FURROWING FURROWS FURRY FURS FURTHER FURTHERED FURTHERING FURTHERMORE FURTHERS FURTHEST',
+    'FURTIVE FURTIVELY FURTIVENESS FURY FUSE FUSED FUSELAGE FUSELAGES FUSES FUSING FUSION FUSS FUSSED',
+    'FUSSES FUSSIER FUSSIEST FUSSING FUSSY FUTILE FUTILITY FUTURE FUTURES FUTURISTIC FUZZ FUZZED FUZZES',
+    'FUZZIER FUZZIEST FUZZING FUZZY GAB GABBED GABBING GABLE GABLES GABS GADGET GADGETS GAG GAGGED',
+    'GAGGING GAGS GAIETY GAILY GAIN GAINED GAINFUL GAINING GAINS GAIT GAITS GAL GALA GALACTIC GALAS',
+    'GALAXIES GALAXY GALE GALES GALL GALLANT GALLANTRY GALLANTS GALLED GALLERIES GALLERY GALLEY GALLEYS',
+    'GALLING GALLIVANT GALLIVANTED GALLIVANTING GALLIVANTS GALLON GALLONS GALLOP GALLOPED GALLOPING',
+    'GALLOPS GALLOWS GALLS GALORE GALS GALVANIZE GALVANIZED GALVANIZES GALVANIZING GAMBIT GAMBITS GAMBLE',
+    'GAMBLED GAMBLER GAMBLERS GAMBLES GAMBLING GAME GAMED GAMER GAMES GAMEST GAMING GAMMA GAMUT GAMUTS',
+    'GANDER GANDERS GANG GANGED GANGING GANGLING GANGPLANK GANGPLANKS GANGRENE GANGRENED GANGRENES',
+    'GANGRENING GANGS GANGSTER GANGSTERS GANGWAY GANGWAYS GAP GAPE GAPED GAPES GAPING GAPS GARAGE GARAGED',
+    'GARAGES GARAGING GARB GARBAGE GARBED GARBING GARBLE GARBLED GARBLES GARBLING GARBS GARDEN GARDENED',
+    'GARDENER GARDENERS GARDENIA GARDENIAS GARDENING GARDENS GARGLE GARGLED GARGLES GARGLING GARGOYLE',
+    'GARGOYLES GARISH GARLAND GARLANDED GARLANDING GARLANDS GARLIC GARMENT GARMENTS GARNET GARNETS',
+    'GARNISH GARNISHED GARNISHES GARNISHING GARRET GARRETS GARRISON GARRISONED GARRISONING GARRISONS',
+    'GARRULOUS GARTER GARTERS GAS GASEOUS GASES GASH GASHED GASHES GASHING GASKET GASKETS GASOLINE GASP',
+    'GASPED GASPING GASPS GASSED GASSING GASTRIC GATE GATED GATES GATEWAY GATEWAYS GATHER GATHERED',
+    'GATHERING GATHERINGS GATHERS GATING GAUDIER GAUDIEST GAUDY GAUGE GAUGED GAUGES GAUGING GAUNT GAUNTER',
+    'GAUNTEST GAUNTLET GAUNTLETS GAUZE GAVE GAVEL GAVELS GAWK GAWKED GAWKIER GAWKIEST GAWKING GAWKS GAWKY',
+    'GAY GAYER GAYEST GAYS GAZE GAZED GAZELLE GAZELLES GAZES GAZETTE GAZETTED GAZETTES GAZETTING GAZING',
+    'GEAR GEARED GEARING GEARS GEE GEED GEEING GEES GEESE GEL GELATIN GELD GELDED GELDING GELDINGS GELDS',
+    'GEM GEMS GENDER GENDERS GENE GENEALOGICAL GENEALOGIES GENEALOGY GENERA GENERAL GENERALITY',
+    'GENERALIZATION GENERALIZATIONS GENERALIZE GENERALIZED GENERALIZES GENERALIZING GENERALLY GENERALS',
+    'GENERATE GENERATED GENERATES GENERATING GENERATION GENERATIONS GENERATOR GENERATORS GENERIC GENERICS',
+    'GENEROSITIES GENEROSITY GENEROUS GENEROUSLY GENES GENESES GENESIS GENETIC GENETICALLY GENETICIST',
+    'GENETICISTS GENETICS GENIAL GENIALLY GENIE GENIES GENII GENITAL GENITALS GENIUS GENIUSES GENOCIDE',
+    'GENRE GENRES GENT GENTILE GENTILES GENTILITY GENTLE GENTLED GENTLEMAN GENTLEMEN GENTLENESS GENTLER',
+    'GENTLES GENTLEST GENTLING GENTLY GENTRIES GENTRY GENTS GENUINE GENUINELY GENUINENESS GENUS',
+    'GEOGRAPHIC GEOGRAPHICAL GEOGRAPHICALLY GEOGRAPHIES GEOGRAPHY GEOLOGICAL GEOLOGIES GEOLOGIST',
+    'GEOLOGISTS GEOLOGY GEOMETRIC GEOMETRIES GEOMETRY GERANIUM GERANIUMS GERBIL GERBILS GERM GERMICIDE',
+    'GERMICIDES GERMINATE GERMINATED GERMINATES GERMINATING GERMINATION GERMS GESTATION GESTICULATE',
+    'GESTICULATED GESTICULATES GESTICULATING GESTURE GESTURED GESTURES GESTURING GET GETAWAY GETAWAYS',
+    'GETS GETTING GEYSER GEYSERS GHASTLIER GHASTLIEST GHASTLY GHETTO GHETTOS GHOST GHOSTED GHOSTING',
+    'GHOSTLIER GHOSTLIEST GHOSTLY GHOSTS GHOUL GHOULS GIANT GIANTS GIBBER GIBBERED GIBBERING GIBBERISH',
+    'GIBBERS GIBE GIBED GIBES GIBING GIDDIER GIDDIEST GIDDINESS GIDDY GIFT GIFTED GIFTING GIFTS GIG',
+    'GIGANTIC GIGGED GIGGING GIGGLE GIGGLED GIGGLES GIGGLING GIGS GILD GILDED GILDING GILDS GILL GILLS',
+    'GILT GILTS GIMME GIMMICK GIMMICKS GIN GINGER GINGERBREAD GINGERLY GINGHAM GINNED GINNING GINS',
+    'GIRAFFE GIRAFFES GIRDER GIRDERS GIRDLE GIRDLED GIRDLES GIRDLING GIRL GIRLFRIEND GIRLFRIENDS GIRLHOOD',
+    'GIRLHOODS GIRLISH GIRLS GIRTH GIRTHS GIST GIVE GIVEN GIVENS GIVES GIVING GIZZARD GIZZARDS GLACIAL',
+    'GLACIER GLACIERS GLAD GLADDEN GLADDENED GLADDENING GLADDENS GLADDER GLADDEST GLADE GLADES GLADIATOR',
+    'GLADIATORS GLADLY GLADS GLAMORIZE GLAMORIZED GLAMORIZES GLAMORIZING GLAMOROUS GLAMOUR GLAMOURED',
+    'GLAMOURING GLAMOURS GLANCE GLANCED GLANCES GLANCING GLAND GLANDS GLANDULAR GLARE GLARED GLARES',
+    'GLARING GLASS GLASSED GLASSES GLASSIER GLASSIEST GLASSING GLASSWARE GLASSY GLAZE GLAZED GLAZES',
+    'GLAZING GLEAM GLEAMED GLEAMING GLEAMS GLEAN GLEANED GLEANING GLEANS GLEE GLEN GLENS GLIB GLIBBER',
+    'GLIBBEST GLIBLY GLIDE GLIDED GLIDER GLIDERS GLIDES GLIDING GLIMMER GLIMMERED GLIMMERING GLIMMERS',
+    'GLIMPSE GLIMPSED GLIMPSES GLIMPSING GLINT GLINTED GLINTING GLINTS GLISTEN GLISTENED GLISTENING',
+    'GLISTENS GLITTER GLITTERED GLITTERING GLITTERS GLOAT GLOATED GLOATING GLOATS GLOBAL GLOBALLY GLOBE',
+    'GLOBES GLOBULAR GLOBULE GLOBULES GLOOM GLOOMIER GLOOMIEST GLOOMY GLORIED GLORIES GLORIFICATION',
+    'GLORIFIED GLORIFIES GLORIFY GLORIFYING GLORIOUS GLORIOUSLY GLORY GLORYING GLOSS GLOSSARIES GLOSSARY',
+    'GLOSSED GLOSSES GLOSSIER GLOSSIES GLOSSIEST GLOSSING GLOSSY GLOVE GLOVED GLOVES GLOVING GLOW GLOWED',
+    'GLOWER GLOWERED GLOWERING GLOWERS GLOWING GLOWS GLUCOSE GLUE GLUED GLUES GLUING GLUM GLUMMER',
+    'GLUMMEST GLUT GLUTS GLUTTED GLUTTING GLUTTON GLUTTONS GLUTTONY GLYCERIN GNARL GNARLED GNARLING',
+    'GNARLS GNASH GNASHED GNASHES GNASHING GNAT GNATS GNAW GNAWED GNAWING GNAWS GNOME GNOMES GNU GNUS GO',
+    'GOAD GOADED GOADING GOADS GOAL GOALIE GOALIES GOALKEEPER GOALKEEPERS GOALS GOAT GOATEE GOATEES GOATS',
+    'GOB GOBBED GOBBING GOBBLE GOBBLED GOBBLES GOBBLING GOBLET GOBLETS GOBLIN GOBLINS GOBS GOD GODCHILD',
+    'GODCHILDREN GODDESS GODDESSES GODFATHER GODFATHERS GODLESS GODLIER GODLIEST GODLIKE GODLY GODMOTHER',
+    'GODMOTHERS GODPARENT GODPARENTS GODS GODSEND GODSENDS GOES GOGGLE GOGGLES GOING GOLD GOLDEN GOLDENER',
+    'GOLDENEST GOLDFISH GOLDFISHES GOLDS GOLDSMITH GOLDSMITHS GOLF GOLFED GOLFER GOLFERS GOLFING GOLFS',
+    'GONDOLA GONDOLAS GONE GONER GONERS GONG GONGED GONGING GONGS GONNA GOO GOOD GOODBYE GOODIES GOODNESS',
+    'GOODNIGHT GOODS GOODWILL GOODY GOOEY GOOF GOOFED GOOFIER GOOFIEST GOOFING GOOFS GOOFY GOOIER GOOIEST',
+    'GOON GOONS GOOSE GOOSED GOOSES GOOSING GOPHER GOPHERS GORE GORED GORES GORGE GORGED GORGEOUS GORGES',
+    'GORGING GORIER GORIEST GORILLA GORILLAS GORING GORY GOSH GOSLING GOSLINGS GOSPEL GOSPELS GOSSAMER',
+    'GOSSIP GOSSIPED GOSSIPING GOSSIPS GOT GOTTEN GOUGE GOUGED GOUGES GOUGING GOULASH GOULASHES GOURD',
+    'GOURDS GOURMET GOURMETS GOUT GOVERN GOVERNED GOVERNESS GOVERNESSES GOVERNING GOVERNMENT GOVERNMENTAL',
+    'GOVERNMENTS GOVERNOR GOVERNORS GOVERNS GOWN GOWNED GOWNING GOWNS GRAB GRABBED GRABBER GRABBING GRABS',
+    'GRACE GRACED GRACEFUL GRACEFULLY GRACELESS GRACES GRACING GRACIOUS GRACIOUSLY GRACIOUSNESS GRADATION',
+    'GRADATIONS GRADE GRADED GRADER GRADES GRADIENT GRADIENTS GRADING GRADUAL GRADUALLY GRADUATE',
+    'GRADUATED GRADUATES GRADUATING GRADUATION GRADUATIONS GRAFFITI GRAFFITO GRAFT GRAFTED GRAFTING',
+    'GRAFTS GRAIN GRAINS GRAM GRAMMAR GRAMMARS GRAMMATICAL GRAMMATICALLY GRAMOPHONE GRAMS GRAND',
+    'GRANDCHILD GRANDCHILDREN GRANDDAUGHTER GRANDDAUGHTERS GRANDER GRANDEST GRANDEUR GRANDFATHER',
+    'GRANDFATHERED GRANDFATHERING GRANDFATHERS GRANDIOSE GRANDLY GRANDMOTHER GRANDMOTHERS GRANDPARENT',
+    'GRANDPARENTS GRANDS GRANDSON GRANDSONS GRANDSTAND GRANDSTANDED GRANDSTANDING GRANDSTANDS GRANITE',
+    'GRANNIES GRANNY GRANOLA GRANT GRANTED GRANTING GRANTS GRANULAR GRANULE GRANULES GRAPE GRAPEFRUIT',
+    'GRAPEFRUITS GRAPES GRAPEVINE GRAPEVINES GRAPH GRAPHED GRAPHIC GRAPHICAL GRAPHICALLY GRAPHICS',
+    'GRAPHING GRAPHITE GRAPHS GRAPPLE GRAPPLED GRAPPLES GRAPPLING GRASP GRASPED GRASPING GRASPS GRASS',
+    'GRASSED GRASSES GRASSHOPPER GRASSHOPPERS GRASSIER GRASSIEST GRASSING GRASSY GRATE GRATED GRATEFUL',
+    'GRATEFULLY GRATER GRATERS GRATES GRATIFICATION GRATIFICATIONS GRATIFIED GRATIFIES GRATIFY GRATIFYING',
+    'GRATING GRATINGS GRATITUDE GRATUITIES GRATUITOUS GRATUITOUSLY GRATUITY GRAVE GRAVED GRAVEL GRAVELED',
+    'GRAVELING GRAVELS GRAVELY GRAVEN GRAVER GRAVES GRAVEST GRAVESTONE GRAVESTONES GRAVEYARD GRAVEYARDS',
+    'GRAVIES GRAVING GRAVITATE GRAVITATED GRAVITATES GRAVITATING GRAVITATION GRAVITATIONAL GRAVITY GRAVY',
+    'GRAY GRAYED GRAYER GRAYEST GRAYING GRAYS GRAZE GRAZED GRAZES GRAZING GREASE GREASED GREASES GREASIER',
+    'GREASIEST GREASING GREASY GREAT GREATER GREATEST GREATLY GREATNESS GREATS GREED GREEDIER GREEDIEST',
+    'GREEDILY GREEDINESS GREEDY GREEN GREENBACK GREENBACKS GREENED GREENER GREENERY GREENEST GREENHORN',
+    'GREENHORNS GREENHOUSE GREENHOUSES GREENING GREENS GREET GREETED GREETING GREETINGS GREETS GREGARIOUS',
+    'GREMLIN GREMLINS GRENADE GRENADES GREW GREYHOUND GREYHOUNDS GRID GRIDDLE GRIDDLES GRIDIRON GRIDIRONS',
+    'GRIDS GRIEF GRIEFS GRIEVANCE GRIEVANCES GRIEVE GRIEVED GRIEVES GRIEVING GRIEVOUS GRILL GRILLE',
+    'GRILLED GRILLES GRILLING GRILLS GRIM GRIMACE GRIMACED GRIMACES GRIMACING GRIME GRIMED GRIMES GRIMIER',
+    'GRIMIEST GRIMING GRIMLY GRIMMER GRIMMEST GRIMY GRIN GRIND GRINDER GRINDERS GRINDING GRINDS',
+    'GRINDSTONE GRINDSTONES GRINNED GRINNING GRINS GRIP GRIPE GRIPED GRIPES GRIPING GRIPPED GRIPPING',
+    'GRIPS GRISLIER GRISLIEST GRISLY GRISTLE GRIT GRITS GRITTED GRITTIER GRITTIEST GRITTING GRITTY',
+    'GRIZZLED GRIZZLIER GRIZZLIES GRIZZLIEST GRIZZLY GROAN GROANED GROANING GROANS GROCER GROCERIES',
+    'GROCERS GROCERY GROGGIER GROGGIEST GROGGY GROIN GROINS GROOM GROOMED GROOMING GROOMS GROOVE GROOVED',
+    'GROOVES GROOVIER GROOVIEST GROOVING GROOVY GROPE GROPED GROPES GROPING GROSS GROSSED GROSSER GROSSES',
+    'GROSSEST GROSSING GROSSLY GROTESQUE GROTESQUES GROTTO GROTTOES GROUCH GROUCHED GROUCHES GROUCHIER',
+    'GROUCHIEST GROUCHING GROUCHY GROUND GROUNDED GROUNDING GROUNDLESS GROUNDS GROUNDWORK GROUP GROUPED',
+    'GROUPER GROUPERS GROUPING GROUPINGS GROUPS GROUSE GROUSED GROUSES GROUSING GROVE GROVEL GROVELED',
+    'GROVELING GROVELS GROVES GROW GROWER GROWERS GROWING GROWL GROWLED GROWLING GROWLS GROWN GROWS',
+    'GROWTH GROWTHS GRUB GRUBBED GRUBBIER GRUBBIEST GRUBBING GRUBBY GRUBS GRUDGE GRUDGED GRUDGES GRUDGING',
+    'GRUEL GRUELING GRUESOME GRUESOMER GRUESOMEST GRUFF GRUFFER GRUFFEST GRUFFLY GRUMBLE GRUMBLED',
+    'GRUMBLES GRUMBLING GRUMPIER GRUMPIEST GRUMPY GRUNT GRUNTED GRUNTING GRUNTS GUARANTEE GUARANTEED',
+    'GUARANTEEING GUARANTEES GUARANTOR GUARANTORS GUARD GUARDED GUARDIAN GUARDIANS GUARDING GUARDS',
+    'GUBERNATORIAL GUERRILLA GUERRILLAS GUESS GUESSABLE GUESSED GUESSES GUESSING GUESSWORK GUEST GUESTED',
+    'GUESTING GUESTS GUFFAW GUFFAWED GUFFAWING GUFFAWS GUIDANCE GUIDE GUIDEBOOK GUIDEBOOKS GUIDED',
+    'GUIDELINE GUIDELINES GUIDES GUIDING GUILD GUILDS GUILE GUILLOTINE GUILLOTINED GUILLOTINES',
+    'GUILLOTINING GUILT GUILTIER GUILTIEST GUILTILY GUILTLESS GUILTY GUINEA GUISE GUISES GUITAR GUITARIST',
+    'GUITARS GULCH GULCHES GULF GULFS GULL GULLED GULLET GULLETS GULLIBLE GULLIES GULLING GULLS GULLY',
+    'GULP GULPED GULPING GULPS GUM GUMDROP GUMDROPS GUMMED GUMMIER GUMMIEST GUMMING GUMMY GUMPTION GUMS',
+    'GUN GUNFIRE GUNMAN GUNMEN GUNNED GUNNER GUNNERS GUNNING GUNPOWDER GUNS GUNSHOT GUNSHOTS GUPPIES',
+    'GUPPY GURGLE GURGLED GURGLES GURGLING GURU GURUS GUSH GUSHED GUSHER GUSHERS GUSHES GUSHING GUST',
+    'GUSTED GUSTIER GUSTIEST GUSTING GUSTS GUSTY GUT GUTS GUTTED GUTTER GUTTERED GUTTERING GUTTERS',
+    'GUTTING GUY GUYED GUYING GUYS GUZZLE GUZZLED GUZZLES GUZZLING GYM GYMNASIUM GYMNASIUMS GYMNAST',
+    'GYMNASTICS GYMNASTS GYMS GYNECOLOGIST GYNECOLOGISTS GYNECOLOGY GYRATE GYRATED GYRATES GYRATING',
+    'GYRATION GYRATIONS GYROSCOPE GYROSCOPES HA HABIT HABITABLE HABITAT HABITATION HABITATIONS HABITATS',
+    'HABITS HABITUAL HABITUALLY HACK HACKED HACKER HACKERS HACKING HACKNEY HACKNEYED HACKNEYING HACKNEYS',
+    'HACKS HACKSAW HACKSAWS HAD HADDOCK HADDOCKS HAG HAGGARD HAGGLE HAGGLED HAGGLES HAGGLING HAGS HAIL',
+    'HAILED HAILING HAILS HAILSTONE HAILSTONES HAIR HAIRCUT HAIRCUTS HAIRDO HAIRDOS HAIRDRESSER',
+    'HAIRDRESSERS HAIRED HAIRIER HAIRIEST HAIRLINE HAIRLINES HAIRS HAIRY HALE HALED HALER HALES HALEST',
+    'HALF HALFWAY HALIBUT HALIBUTS HALING HALL HALLELUJAH HALLELUJAHS HALLMARK HALLMARKED HALLMARKING',
+    'HALLMARKS HALLS HALLUCINATION HALLUCINATIONS HALLWAY HALLWAYS HALO HALOED HALOING HALON HALOS HALT',
+    'HALTED HALTER HALTERED HALTERING HALTERS HALTING HALTS HALVE HALVED HALVES HALVING HAM HAMBURGER',
+    'HAMBURGERS HAMLET HAMLETS HAMMED HAMMER HAMMERED HAMMERING HAMMERS HAMMING HAMMOCK HAMMOCKS HAMPER',
+    'HAMPERED HAMPERING HAMPERS HAMS HAMSTER HAMSTERS HAMSTRING HAMSTRINGING HAMSTRINGS HAMSTRUNG HAND',
+    'HANDBAG HANDBAGS HANDBOOK HANDBOOKS HANDCUFF HANDCUFFED HANDCUFFING HANDCUFFS HANDED HANDEDNESS',
+    'HANDFUL HANDFULS HANDICAP HANDICAPPED HANDICAPPING HANDICAPS HANDICRAFT HANDICRAFTS HANDIER HANDIEST',
+    'HANDING HANDIWORK HANDKERCHIEF HANDKERCHIEFS HANDLE HANDLEBAR HANDLEBARS HANDLED HANDLER HANDLERS',
+    'HANDLES HANDLING HANDMADE HANDOUT HANDOUTS HANDRAIL HANDRAILS HANDS HANDSHAKE HANDSHAKES HANDSOME',
+    'HANDSOMER HANDSOMEST HANDWRITING HANDY HANG HANGAR HANGARS HANGED HANGER HANGERS HANGING HANGINGS',
+    'HANGOUT HANGOUTS HANGOVER HANGOVERS HANGS HANKER HANKERED HANKERING HANKERS HAPHAZARD HAPLESS HAPPEN',
+    'HAPPENED HAPPENING HAPPENINGS HAPPENS HAPPIER HAPPIEST HAPPILY HAPPINESS HAPPY HARANGUE HARANGUED',
+    'HARANGUES HARANGUING HARASS HARASSED HARASSES HARASSING HARASSMENT HARBOR HARBORED HARBORING HARBORS',
+    'HARD HARDBACK HARDEN HARDENED HARDENING HARDENS HARDER HARDEST HARDIER HARDIEST HARDLINER HARDLINERS',
+    'HARDLY HARDSHIP HARDSHIPS HARDWARE HARDWOOD HARDWOODS HARDY HARE HAREBRAINED HARED HAREM HAREMS',
+    'HARES HARING HARK HARKED HARKING HARKS HARLOT HARLOTS HARM HARMED HARMFUL HARMFULLY HARMING HARMLESS',
+    'HARMLESSLY HARMONIC HARMONICA HARMONICAS HARMONIES HARMONIOUS HARMONIZE HARMONIZED HARMONIZES',
+    'HARMONIZING HARMONY HARMS HARNESS HARNESSED HARNESSES HARNESSING HARP HARPED HARPING HARPIST',
+    'HARPISTS HARPOON HARPOONED HARPOONING HARPOONS HARPS HARPSICHORD HARPSICHORDS HARRIED HARRIES HARROW',
+    'HARROWED HARROWING HARROWS HARRY HARRYING HARSH HARSHER HARSHEST HARSHLY HARSHNESS HART HARTS',
+    'HARVEST HARVESTED HARVESTER HARVESTERS HARVESTING HARVESTS HAS HASH HASHED HASHES HASHING HASSLE',
+    'HASSLED HASSLES HASSLING HASTE HASTED HASTEN HASTENED HASTENING HASTENS HASTES HASTIER HASTIEST',
+    'HASTILY HASTING HASTY HAT HATCH HATCHED HATCHES HATCHET HATCHETS HATCHING HATE HATED HATEFUL',
+    'HATEFULLY HATES HATING HATRED HATREDS HATS HATTED HATTING HAUGHTIER HAUGHTIEST HAUGHTILY HAUGHTINESS',
+    'HAUGHTY HAUL HAULED HAULING HAULS HAUNT HAUNTED HAUNTING HAUNTS HAVE HAVEN HAVENS HAVES HAVING HAVOC',
+    'HAWK HAWKED HAWKING HAWKS HAY HAYED HAYING HAYS HAYSTACK HAYSTACKS HAYWIRE HAZARD HAZARDED HAZARDING',
+    'HAZARDOUS HAZARDS HAZE HAZED HAZEL HAZELS HAZES HAZIER HAZIEST HAZING HAZY HE HEAD HEADACHE',
+    'HEADACHES HEADED HEADER HEADERS HEADFIRST HEADIER HEADIEST HEADING HEADINGS HEADLAND HEADLANDS',
+    'HEADLIGHT HEADLIGHTS HEADLINE HEADLINED HEADLINES HEADLINING HEADLONG HEADMASTER HEADPHONE',
+    'HEADPHONES HEADQUARTER HEADQUARTERS HEADREST HEADRESTS HEADROOM HEADS HEADSTONE HEADSTONES',
+    'HEADSTRONG HEADWAY HEADY HEAL HEALED HEALER HEALERS HEALING HEALS HEALTH HEALTHCARE HEALTHFUL',
+    'HEALTHIER HEALTHIEST HEALTHY HEAP HEAPED HEAPING HEAPS HEAR HEARD HEARING HEARINGS HEARS HEARSAY',
+    'HEARSE HEARSES HEART HEARTACHE HEARTACHES HEARTBEAT HEARTBEATS HEARTBREAK HEARTBREAKS HEARTBROKEN',
+    'HEARTBURN HEARTEN HEARTENED HEARTENING HEARTENS HEARTFELT HEARTH HEARTHS HEARTIER HEARTIES HEARTIEST',
+    'HEARTILY HEARTLESS HEARTS HEARTY HEAT HEATED HEATEDLY HEATER HEATERS HEATH HEATHEN HEATHENS HEATHER',
+    'HEATING HEATS HEAVE HEAVED HEAVEN HEAVENLIER HEAVENLIEST HEAVENLY HEAVENS HEAVES HEAVIER HEAVIES',
+    'HEAVIEST HEAVILY HEAVINESS HEAVING HEAVY HEAVYWEIGHT HEAVYWEIGHTS HECKLE HECKLED HECKLER HECKLERS',
+    'HECKLES HECKLING HECTIC HEDGE HEDGED HEDGEHOG HEDGEHOGS HEDGES HEDGING HEED HEEDED HEEDING HEEDLESS',
+    'HEEDS HEEL HEELED HEELING HEELS HEFTIER HEFTIEST HEFTY HEIFER HEIFERS HEIGHT HEIGHTEN HEIGHTENED',
+    'HEIGHTENING HEIGHTENS HEIGHTS HEINOUS HEIR HEIRLOOM HEIRLOOMS HEIRS HELD HELICOPTER HELICOPTERED',
+    'HELICOPTERING HELICOPTERS HELIPORT HELIPORTS HELIUM HELL HELLISH HELLO HELLOS HELM HELMET HELMETS',
+    'HELMS HELP HELPED HELPER HELPERS HELPFUL HELPFULLY HELPING HELPINGS HELPLESS HELPLESSLY HELPS HEM',
+    'HEMISPHERE HEMISPHERES HEMLOCK HEMLOCKS HEMMED HEMMING HEMOGLOBIN HEMOPHILIA HEMORRHAGE HEMORRHAGED',
+    'HEMORRHAGES HEMORRHAGING HEMP HEMS HEN HENCE HENCEFORTH HENCHMAN HENCHMEN HENS HEPATITIS HER HERALD',
+    'HERALDED HERALDING HERALDS HERB HERBIVOROUS HERBS HERD HERDED HERDING HERDS HERE HEREABOUTS',
+    'HEREAFTER HEREAFTERS HEREBY HEREDITARY HEREDITY HEREIN HERESIES HERESY HERETIC HERETICAL HERETICS',
+    'HEREWITH HERITAGE HERITAGES HERMAPHRODITE HERMIT HERMITS HERNIA HERNIAS HERO HEROES HEROIC HEROIN',
+    'HEROINE HEROINS HEROISM HERON HERONS HERPES HERRING HERRINGS HERS HERSELF HES HESITANCY HESITANT',
+    'HESITATE HESITATED HESITATES HESITATING HESITATION HESITATIONS HETEROGENEOUS HETEROSEXUAL',
+    'HETEROSEXUALITY HETEROSEXUALS HEURISTIC HEW HEWED HEWING HEWS HEXADECIMAL HEXAGON HEXAGONAL HEXAGONS',
+    'HEY HEYDAY HEYDAYS HI HIATUS HIATUSES HIBERNATE HIBERNATED HIBERNATES HIBERNATING HIBERNATION HICCUP',
+    'HICCUPED HICCUPING HICCUPS HICK HICKORIES HICKORY HICKS HID HIDDEN HIDE HIDEAWAY HIDEAWAYS HIDED',
+    'HIDEOUS HIDEOUSLY HIDES HIDING HIERARCHICAL HIERARCHIES HIERARCHY HIEROGLYPHIC HIEROGLYPHICS HIGH',
+    'HIGHBROW HIGHBROWS HIGHER HIGHEST HIGHLAND HIGHLANDS HIGHLIGHT HIGHLIGHTED HIGHLIGHTING HIGHLIGHTS',
+    'HIGHLY HIGHS HIGHWAY HIGHWAYS HIJACK HIJACKED HIJACKING HIJACKS HIKE HIKED HIKER HIKERS HIKES HIKING',
+    'HILARIOUS HILARITY HILL HILLBILLIES HILLBILLY HILLIER HILLIEST HILLS HILLSIDE HILLSIDES HILLY HILT',
+    'HILTS HIM HIMS HIMSELF HIND HINDER HINDERED HINDERING HINDERS HINDRANCE HINDRANCES HINDS HINDSIGHT',
+    'HINGE HINGED HINGES HINGING HINT HINTED HINTERLAND HINTERLANDS HINTING HINTS HIP HIPPED HIPPER',
+    'HIPPEST HIPPIE HIPPIES HIPPING HIPPOPOTAMUS HIPPOPOTAMUSES HIPPY HIPS HIRE HIRED HIRES HIRING HIS',
+    'HISS HISSED HISSES HISSING HISTOGRAM HISTORIAN HISTORIANS HISTORIC HISTORICAL HISTORICALLY HISTORIES',
+    'HISTORY HIT HITCH HITCHED HITCHES HITCHHIKE HITCHHIKED HITCHHIKER HITCHHIKERS HITCHHIKES HITCHHIKING',
+    'HITCHING HITHER HITHERTO HITS HITTING HIVE HIVED HIVES HIVING HO HOARD HOARDED HOARDER HOARDERS',
+    'HOARDING HOARDS HOARSE HOARSENESS HOARSER HOARSEST HOAX HOAXED HOAXES HOAXING HOBBIES HOBBIT HOBBLE',
+    'HOBBLED HOBBLES HOBBLING HOBBY HOBBYHORSE HOBBYHORSES HOBGOBLIN HOBGOBLINS HOBNOB HOBNOBBED',
+    'HOBNOBBING HOBNOBS HOBO HOBOS HOCK HOCKED HOCKEY HOCKING HOCKS HODGEPODGE HODGEPODGES HOE HOED',
+    'HOEING HOES HOG HOGGED HOGGING HOGS HOIST HOISTED HOISTING HOISTS HOLD HOLDER HOLDERS HOLDING HOLDS',
+    'HOLDUP HOLDUPS HOLE HOLED HOLES HOLIDAY HOLIDAYED HOLIDAYING HOLIDAYS HOLIER HOLIEST HOLINESS HOLING',
+    'HOLLER HOLLERED HOLLERING HOLLERS HOLLIES HOLLOW HOLLOWED HOLLOWER HOLLOWEST HOLLOWING HOLLOWS HOLLY',
+    'HOLOCAUST HOLOCAUSTS HOLSTER HOLSTERED HOLSTERING HOLSTERS HOLY HOMAGE HOMAGES HOME HOMED HOMELAND',
+    'HOMELANDS HOMELESS HOMELIER HOMELIEST HOMELY HOMEMADE HOMES HOMESICK HOMESICKNESS HOMESPUN HOMESTEAD',
+    'HOMESTEADED HOMESTEADING HOMESTEADS HOMEWARD HOMEWORK HOMEY HOMEYS HOMICIDAL HOMICIDE HOMICIDES',
+    'HOMIER HOMIEST HOMING HOMOGENEOUS HOMOGENIZE HOMOGENIZED HOMOGENIZES HOMOGENIZING HOMONYM HOMONYMS',
+    'HOMOPHOBIC HOMOSEXUAL HOMOSEXUALITY HOMOSEXUALS HONE HONED HONES HONEST HONESTER HONESTEST HONESTLY',
+    'HONESTY HONEY HONEYCOMB HONEYCOMBED HONEYCOMBING HONEYCOMBS HONEYED HONEYING HONEYMOON HONEYMOONED',
+    'HONEYMOONING HONEYMOONS HONEYS HONEYSUCKLE HONEYSUCKLES HONING HONK HONKED HONKING HONKS HONOR',
+    'HONORABLE HONORARY HONORED HONORING HONORS HOOD HOODED HOODING HOODLUM HOODLUMS HOODS HOODWINK',
+    'HOODWINKED HOODWINKING HOODWINKS HOOF HOOFED HOOFING HOOFS HOOK HOOKED HOOKING HOOKS HOOP HOOPED',
+    'HOOPING HOOPS HOORAY HOOT HOOTED HOOTER HOOTING HOOTS HOOVES HOP HOPE HOPED HOPEFUL HOPEFULLY',
+    'HOPEFULS HOPELESS HOPELESSLY HOPES HOPING HOPPED HOPPER HOPPING HOPS HOPSCOTCH HOPSCOTCHED',
+    'HOPSCOTCHES HOPSCOTCHING HORDE HORDED HORDES HORDING HORIZON HORIZONS HORIZONTAL HORIZONTALLY',
+    'HORIZONTALS HORMONE HORMONES HORN HORNED HORNET HORNETS HORNIER HORNIEST HORNS HORNY HOROSCOPE',
+    'HOROSCOPES HORRENDOUS HORRENDOUSLY HORRIBLE HORRIBLY HORRID HORRIFIC HORRIFIED HORRIFIES HORRIFY',
+    'HORRIFYING HORROR HORRORS HORSE HORSEBACK HORSED HORSEMAN HORSEPLAY HORSEPOWER HORSERADISH',
+    'HORSERADISHES HORSES HORSESHOE HORSESHOED HORSESHOEING HORSESHOES HORSING HORTICULTURAL HORTICULTURE',
+    'HOSE HOSED HOSES HOSIERY HOSING HOSPITABLE HOSPITAL HOSPITALITY HOSPITALIZATION HOSPITALIZATIONS',
+    'HOSPITALIZE HOSPITALIZED HOSPITALIZES HOSPITALIZING HOSPITALS HOST HOSTAGE HOSTAGES HOSTED HOSTEL',
+    'HOSTELED HOSTELING HOSTELS HOSTESS HOSTESSED HOSTESSES HOSTESSING HOSTILE HOSTILES HOSTILITY HOSTING',
+    'HOSTS HOT HOTBED HOTBEDS HOTEL HOTELS HOTHEAD HOTHEADED HOTHEADS HOTLY HOTTER HOTTEST HOUND HOUNDED',
+    'HOUNDING HOUNDS HOUR HOURGLASS HOURGLASSES HOURLY HOURS HOUSE HOUSEBOAT HOUSEBOATS HOUSED HOUSEHOLD',
+    'HOUSEHOLDS HOUSEKEEPER HOUSEKEEPERS HOUSES HOUSEWARMING HOUSEWARMINGS HOUSEWIFE HOUSEWIVES HOUSEWORK',
+    'HOUSING HOUSINGS HOVE HOVEL HOVELS HOVER HOVERED HOVERING HOVERS HOW HOWEVER HOWL HOWLED HOWLING',
+    'HOWLS HOWS HUB HUBBUB HUBBUBS HUBS HUDDLE HUDDLED HUDDLES HUDDLING HUE HUED HUES HUFF HUFFED HUFFIER',
+    'HUFFIEST HUFFING HUFFS HUFFY HUG HUGE HUGELY HUGER HUGEST HUGGED HUGGING HUGS HUH HULK HULKING HULKS',
+    'HULL HULLABALOO HULLABALOOS HULLED HULLING HULLS HUM HUMAN HUMANE HUMANELY HUMANER HUMANEST HUMANISM',
+    'HUMANIST HUMANITARIAN HUMANITARIANS HUMANITIES HUMANITY HUMANIZE HUMANIZED HUMANIZES HUMANIZING',
+    'HUMANLY HUMANS HUMBLE HUMBLED HUMBLER HUMBLES HUMBLEST HUMBLING HUMBLY HUMBUG HUMDRUM HUMID',
+    'HUMIDIFIED HUMIDIFIES HUMIDIFY HUMIDIFYING HUMIDITY HUMILIATE HUMILIATED HUMILIATES HUMILIATING',
+    'HUMILIATION HUMILIATIONS HUMILITY HUMMED HUMMING HUMMINGBIRD HUMMINGBIRDS HUMOR HUMORED HUMORING',
+    'HUMORIST HUMORISTS HUMOROUS HUMOROUSLY HUMORS HUMP HUMPED HUMPING HUMPS HUMS HUNCH HUNCHBACK',
+    'HUNCHBACKS HUNCHED HUNCHES HUNCHING HUNDRED HUNDREDS HUNDREDTH HUNDREDTHS HUNG HUNGER HUNGERED',
+    'HUNGERING HUNGERS HUNGRIER HUNGRIEST HUNGRILY HUNGRY HUNK HUNKS HUNT HUNTED HUNTER HUNTERS HUNTING',
+    'HUNTS HURDLE HURDLED HURDLES HURDLING HURL HURLED HURLING HURLS HURRAH HURRAHED HURRAHING HURRAHS',
+    'HURRICANE HURRICANES HURRIED HURRIEDLY HURRIES HURRY HURRYING HURT HURTFUL HURTING HURTLE HURTLED',
+    'HURTLES HURTLING HURTS HUSBAND HUSBANDED HUSBANDING HUSBANDS HUSH HUSHED HUSHES HUSHING HUSK HUSKED',
+    'HUSKIER HUSKIES HUSKIEST HUSKILY HUSKINESS HUSKING HUSKS HUSKY HUSTLE HUSTLED HUSTLER HUSTLERS',
+    'HUSTLES HUSTLING HUT HUTCH HUTCHES HUTS HYACINTH HYACINTHS HYBRID HYBRIDS HYDRANT HYDRANTS HYDRAULIC',
+    'HYDRAULICS HYDROELECTRIC HYDROGEN HYDROPLANE HYDROPLANED HYDROPLANES HYDROPLANING HYENA HYENAS',
+    'HYGIENE HYGIENIC HYMN HYMNAL HYMNALS HYMNED HYMNING HYMNS HYPERBOLE HYPERTENSION HYPHEN HYPHENATE',
+    'HYPHENATED HYPHENATES HYPHENATING HYPHENATION HYPHENED HYPHENING HYPHENS HYPNOSIS HYPNOTIC HYPNOTICS',
+    'HYPNOTISM HYPNOTIST HYPNOTISTS HYPNOTIZE HYPNOTIZED HYPNOTIZES HYPNOTIZING HYPOCHONDRIA',
+    'HYPOCHONDRIAC HYPOCHONDRIACS HYPOCRISIES HYPOCRISY HYPOCRITE HYPOCRITES HYPOCRITICAL HYPOTENUSE',
+    'HYPOTENUSES HYPOTHESES HYPOTHESIS HYPOTHESIZE HYPOTHESIZED HYPOTHESIZES HYPOTHESIZING HYPOTHETICAL',
+    'HYSTERIA HYSTERIC HYSTERICAL HYSTERICALLY HYSTERICS ICE ICEBERG ICEBERGS ICEBREAKER ICEBREAKERS ICED',
+    'ICES ICICLE ICICLES ICIER ICIEST ICING ICINGS ICON ICONS ICY ID IDEA IDEAL IDEALIST IDEALISTIC',
+    'IDEALISTS IDEALIZE IDEALIZED IDEALIZES IDEALIZING IDEALLY IDEALS IDEAS IDENTICAL IDENTICALLY',
+    'IDENTIFIABLE IDENTIFICATION IDENTIFIED IDENTIFIER IDENTIFIERS IDENTIFIES IDENTIFY IDENTIFYING',
+    'IDENTITIES IDENTITY IDEOLOGICAL IDEOLOGICALLY IDEOLOGIES IDEOLOGY IDIOCIES IDIOCY IDIOM IDIOMATIC',
+    'IDIOMS IDIOSYNCRASIES IDIOSYNCRASY IDIOSYNCRATIC IDIOT IDIOTIC IDIOTS IDLE IDLED IDLER IDLES IDLEST',
+    'IDLING IDLY IDOL IDOLIZE IDOLIZED IDOLIZES IDOLIZING IDOLS IDYLLIC IF IFS IGLOO IGLOOS IGNITE',
+    'IGNITED IGNITES IGNITING IGNITION IGNITIONS IGNORANCE IGNORANT IGNORE IGNORED IGNORES IGNORING',
+    'IGUANA IGUANAS ILK ILL ILLEGAL ILLEGALLY ILLEGALS ILLEGIBLE ILLEGIBLY ILLEGITIMATE ILLICIT',
+    'ILLITERACY ILLITERATE ILLITERATES ILLNESS ILLNESSES ILLOGICAL ILLS ILLUMINATE ILLUMINATED',
+    'ILLUMINATES ILLUMINATING ILLUMINATION ILLUMINATIONS ILLUSION ILLUSIONS ILLUSORY ILLUSTRATE',
+    'ILLUSTRATED ILLUSTRATES ILLUSTRATING ILLUSTRATION ILLUSTRATIONS ILLUSTRATIVE ILLUSTRATOR',
+    'ILLUSTRATORS ILLUSTRIOUS IMAGE IMAGED IMAGERY IMAGES IMAGINABLE IMAGINARY IMAGINATION IMAGINATIONS',
+    'IMAGINATIVE IMAGINE IMAGINED IMAGINES IMAGING IMAGINING IMBALANCE IMBALANCES IMBECILE IMBECILES',
+    'IMITATE IMITATED IMITATES IMITATING IMITATION IMITATIONS IMITATIVE IMITATOR IMITATORS IMMACULATE',
+    'IMMACULATELY IMMATERIAL IMMATURE IMMATURITY IMMEASURABLE IMMEASURABLY IMMEDIATE IMMEDIATELY IMMENSE',
+    'IMMENSELY IMMENSITIES IMMENSITY IMMERSE IMMERSED IMMERSES IMMERSING IMMERSION IMMERSIONS IMMIGRANT',
+    'IMMIGRANTS IMMIGRATE IMMIGRATED IMMIGRATES IMMIGRATING IMMIGRATION IMMINENT IMMINENTLY IMMOBILE',
+    'IMMOBILIZE IMMOBILIZED IMMOBILIZES IMMOBILIZING IMMORAL IMMORALITIES IMMORALITY IMMORTAL IMMORTALITY',
+    'IMMORTALS IMMOVABLE IMMUNE IMMUNITY IMMUNIZATION IMMUNIZATIONS IMMUNIZE IMMUNIZED IMMUNIZES',
+    'IMMUNIZING IMP IMPACT IMPACTED IMPACTING IMPACTS IMPAIR IMPAIRED IMPAIRING IMPAIRMENT IMPAIRMENTS',
+    'IMPAIRS IMPALE IMPALED IMPALES IMPALING IMPART IMPARTED IMPARTIAL IMPARTIALITY IMPARTIALLY IMPARTING',
+    'IMPARTS IMPASSABLE IMPASSE IMPASSES IMPASSIONED IMPASSIVE IMPATIENCE IMPATIENCES IMPATIENT',
+    'IMPATIENTLY IMPEACH IMPEACHED IMPEACHES IMPEACHING IMPECCABLE IMPEDANCE IMPEDE IMPEDED IMPEDES',
+    'IMPEDIMENT IMPEDIMENTS IMPEDING IMPEL IMPELLED IMPELLING IMPELS IMPEND IMPENDED IMPENDING IMPENDS',
+    'IMPENETRABLE IMPERATIVE IMPERATIVES IMPERCEPTIBLE IMPERCEPTIBLY IMPERFECT IMPERFECTION IMPERFECTIONS',
+    'IMPERFECTLY IMPERFECTS IMPERIAL IMPERIALISM IMPERIALIST IMPERIALS IMPERIL IMPERILED IMPERILING',
+    'IMPERILS IMPERSONAL IMPERSONALLY IMPERSONATE IMPERSONATED IMPERSONATES IMPERSONATING IMPERSONATION',
+    'IMPERSONATIONS IMPERTINENCE IMPERTINENT IMPERVIOUS IMPETUOUS IMPETUOUSLY IMPETUS IMPETUSES IMPINGE',
+    'IMPINGED IMPINGES IMPINGING IMPISH IMPLACABLE IMPLANT IMPLANTED IMPLANTING IMPLANTS IMPLAUSIBLE',
+    'IMPLEMENT IMPLEMENTABLE IMPLEMENTATION IMPLEMENTATIONS IMPLEMENTED IMPLEMENTER IMPLEMENTING',
+    'IMPLEMENTS IMPLICATE IMPLICATED IMPLICATES IMPLICATING IMPLICATION IMPLICATIONS IMPLICIT IMPLICITLY',
+    'IMPLIED IMPLIES IMPLORE IMPLORED IMPLORES IMPLORING IMPLY IMPLYING IMPOLITE IMPORT IMPORTANCE',
+    'IMPORTANT IMPORTANTLY IMPORTATION IMPORTATIONS IMPORTED IMPORTING IMPORTS IMPOSE IMPOSED IMPOSES',
+    'IMPOSING IMPOSITION IMPOSITIONS IMPOSSIBILITIES IMPOSSIBILITY IMPOSSIBLE IMPOSSIBLES IMPOSSIBLY',
+    'IMPOSTOR IMPOSTORS IMPOTENCE IMPOTENT IMPOUND IMPOUNDED IMPOUNDING IMPOUNDS IMPOVERISH IMPOVERISHED',
+    'IMPOVERISHES IMPOVERISHING IMPRACTICAL IMPRECISE IMPREGNABLE IMPREGNATE IMPREGNATED IMPREGNATES',
+    'IMPREGNATING IMPRESS IMPRESSED IMPRESSES IMPRESSING IMPRESSION IMPRESSIONABLE IMPRESSIONS IMPRESSIVE',
+    'IMPRESSIVELY IMPRINT IMPRINTED IMPRINTING IMPRINTS IMPRISON IMPRISONED IMPRISONING IMPRISONMENT',
+    'IMPRISONMENTS IMPRISONS IMPROBABILITIES IMPROBABILITY IMPROBABLE IMPROBABLY IMPROMPTU IMPROMPTUS',
+    'IMPROPER IMPROPERLY IMPROPRIETIES IMPROPRIETY IMPROVE IMPROVED IMPROVEMENT IMPROVEMENTS IMPROVES',
+    'IMPROVING IMPROVISATION IMPROVISATIONS IMPROVISE IMPROVISED IMPROVISES IMPROVISING IMPS IMPUDENCE',
+    'IMPUDENT IMPULSE IMPULSED IMPULSES IMPULSING IMPULSIVE IMPULSIVELY IMPUNITY IMPURE IMPURER IMPUREST',
+    'IMPURITIES IMPURITY IN INABILITIES INABILITY INACCESSIBLE INACCURACIES INACCURACY INACCURATE',
+    'INACTION INACTIVE INACTIVITY INADEQUACIES INADEQUACY INADEQUATE INADEQUATELY INADMISSIBLE',
+    'INADVERTENT INADVERTENTLY INADVISABLE INALIENABLE INANE INANER INANEST INANIMATE INAPPLICABLE',
+    'INAPPROPRIATE INARTICULATE INASMUCH INAUDIBLE INAUGURAL INAUGURALS INAUGURATE INAUGURATED',
+    'INAUGURATES INAUGURATING INAUGURATION INAUGURATIONS INAUSPICIOUS INBORN INBRED INBREED INBREEDING',
+    'INBREEDS INBUILT INCALCULABLE INCANDESCENCE INCANDESCENT INCANTATION INCANTATIONS INCAPABLE',
+    'INCAPACITATE INCAPACITATED INCAPACITATES INCAPACITATING INCAPACITY INCARCERATE INCARCERATED',
+    'INCARCERATES INCARCERATING INCARCERATION INCARCERATIONS INCARNATE INCARNATED INCARNATES INCARNATING',
+    'INCARNATION INCARNATIONS INCENDIARIES INCENDIARY INCENSE INCENSED INCENSES INCENSING INCENTIVE',
+    'INCENTIVES INCEPTION INCEPTIONS INCESSANT INCESSANTLY INCEST INCESTUOUS INCH INCHED INCHES INCHING',
+    'INCIDENCE INCIDENCES INCIDENT INCIDENTAL INCIDENTALLY INCIDENTALS INCIDENTS INCINERATE INCINERATED',
+    'INCINERATES INCINERATING INCINERATOR INCINERATORS INCISION INCISIONS INCISIVE INCISOR INCISORS',
+    'INCITE INCITED INCITEMENT INCITEMENTS INCITES INCITING INCLINATION INCLINATIONS INCLINE INCLINED',
+    'INCLINES INCLINING INCLUDE INCLUDED INCLUDES INCLUDING INCLUSION INCLUSIONS INCLUSIVE INCOGNITO',
+    'INCOGNITOS INCOHERENCE INCOHERENT INCOHERENTLY INCOME INCOMES INCOMING INCOMPARABLE',
+    'INCOMPATIBILITIES INCOMPATIBILITY INCOMPATIBLE INCOMPATIBLES INCOMPATIBLY INCOMPETENCE INCOMPETENT',
+    'INCOMPETENTS INCOMPLETE INCOMPREHENSIBLE INCONCEIVABLE INCONCLUSIVE INCONGRUITIES INCONGRUITY',
+    'INCONGRUOUS INCONSEQUENTIAL INCONSIDERABLE INCONSIDERATE INCONSISTENCIES INCONSISTENCY INCONSISTENT',
+    'INCONSOLABLE INCONSPICUOUS INCONVENIENCE INCONVENIENCED INCONVENIENCES INCONVENIENCING INCONVENIENT',
+    'INCONVENIENTLY INCORPORATE INCORPORATED INCORPORATES INCORPORATING INCORPORATION INCORRECT',
+    'INCORRECTLY INCORRIGIBLE INCREASE INCREASED INCREASES INCREASING INCREASINGLY INCREDIBLE INCREDIBLY',
+    'INCREDULITY INCREDULOUS INCREMENT INCREMENTAL INCREMENTED INCREMENTS INCRIMINATE INCRIMINATED',
+    'INCRIMINATES INCRIMINATING INCUBATE INCUBATED INCUBATES INCUBATING INCUBATION INCUBATOR INCUBATORS',
+    'INCUMBENT INCUMBENTS INCUR INCURABLE INCURABLES INCURRED INCURRING INCURS INDEBTED INDECENCIES',
+    'INDECENCY INDECENT INDECISION INDECISIVE INDEED INDEFENSIBLE INDEFINABLE INDEFINITE INDEFINITELY',
+    'INDELIBLE INDELIBLY INDELICATE INDENT INDENTATION INDENTATIONS INDENTED INDENTING INDENTS',
+    'INDEPENDENCE INDEPENDENT INDEPENDENTLY INDEPENDENTS INDESCRIBABLE INDESTRUCTIBLE INDETERMINATE INDEX',
+    'INDEXED INDEXES INDEXING INDICATE INDICATED INDICATES INDICATING INDICATION INDICATIONS INDICATIVE',
+    'INDICATIVES INDICATOR INDICATORS INDICES INDICT INDICTED INDICTING INDICTMENT INDICTMENTS INDICTS',
+    'INDIFFERENCE INDIFFERENT INDIGENOUS INDIGESTIBLE INDIGESTION INDIGNANT INDIGNANTLY INDIGNATION',
+    'INDIGNITIES INDIGNITY INDIGO INDIRECT INDIRECTION INDIRECTLY INDISCREET INDISCRETION INDISCRETIONS',
+    'INDISCRIMINATE INDISCRIMINATELY INDISPENSABLE INDISPENSABLES INDISPOSED INDISPUTABLE INDISTINCT',
+    'INDISTINGUISHABLE INDIVIDUAL INDIVIDUALISM INDIVIDUALIST INDIVIDUALISTS INDIVIDUALITY INDIVIDUALLY',
+    'INDIVIDUALS INDIVISIBLE INDOCTRINATE INDOCTRINATED INDOCTRINATES INDOCTRINATING INDOCTRINATION',
+    'INDOLENCE INDOLENT INDOMITABLE INDOOR INDOORS INDUCE INDUCED INDUCEMENT INDUCEMENTS INDUCES INDUCING',
+    'INDUCT INDUCTED INDUCTING INDUCTION INDUCTIONS INDUCTS INDULGE INDULGED INDULGENCE INDULGENCES',
+    'INDULGENT INDULGES INDULGING INDUSTRIAL INDUSTRIALIST INDUSTRIALISTS INDUSTRIALIZATION INDUSTRIALIZE',
+    'INDUSTRIALIZED INDUSTRIALIZES INDUSTRIALIZING INDUSTRIES INDUSTRIOUS INDUSTRY INEDIBLE INEFFECTIVE',
+    'INEFFECTUAL INEFFICIENCIES INEFFICIENCY INEFFICIENT INEFFICIENTLY INELEGANT INELIGIBLE INELIGIBLES',
+    'INEPT INEPTITUDE INEQUALITIES INEQUALITY INERT INERTIA INERTIAL INESCAPABLE INEVITABLE INEVITABLY',
+    'INEXACT INEXCUSABLE INEXHAUSTIBLE INEXORABLE INEXORABLY INEXPENSIVE INEXPERIENCE INEXPERIENCED',
+    'INEXPLICABLE INEXPLICABLY INEXTRICABLY INFALLIBLE INFAMIES INFAMOUS INFAMY INFANCY INFANT INFANTILE',
+    'INFANTRIES INFANTRY INFANTS INFATUATION INFATUATIONS INFEASIBLE INFECT INFECTED INFECTING INFECTION',
+    'INFECTIONS INFECTIOUS INFECTS INFELICITIES INFELICITY INFER INFERENCE INFERENCES INFERIOR',
+    'INFERIORITY INFERIORS INFERNO INFERNOS INFERRED INFERRING INFERS INFERTILE INFEST INFESTATION',
+    'INFESTATIONS INFESTED INFESTING INFESTS INFIDEL INFIDELITIES INFIDELITY INFIDELS INFIELD INFIELDS',
+    'INFILTRATE INFILTRATED INFILTRATES INFILTRATING INFILTRATION INFINITE INFINITELY INFINITESIMAL',
+    'INFINITESIMALS INFINITIES INFINITIVE INFINITIVES INFINITY INFIRM INFIRMARIES INFIRMARY INFIRMITIES',
+    'INFIRMITY INFIX INFLAME INFLAMED INFLAMES INFLAMING INFLAMMABLE INFLAMMATION INFLAMMATIONS',
+    'INFLAMMATORY INFLATABLE INFLATE INFLATED INFLATES INFLATING INFLATION INFLATIONARY INFLECTION',
+    'INFLECTIONS INFLEXIBLE INFLICT INFLICTED INFLICTING INFLICTS INFLUENCE INFLUENCED INFLUENCES',
+    'INFLUENCING INFLUENTIAL INFLUENZA INFLUX INFLUXES INFO INFORM INFORMAL INFORMALITY INFORMALLY',
+    'INFORMANT INFORMANTS INFORMATION INFORMATIONAL INFORMATIVE INFORMED INFORMER INFORMERS INFORMING',
+    'INFORMS INFRACTION INFRACTIONS INFRARED INFRASTRUCTURE INFREQUENT INFREQUENTLY INFRINGE INFRINGED',
+    'INFRINGEMENT INFRINGEMENTS INFRINGES INFRINGING INFURIATE INFURIATED INFURIATES INFURIATING INFUSE',
+    'INFUSED INFUSES INFUSING INFUSION INFUSIONS INGENIOUS INGENIOUSLY INGENUITY INGEST INGESTED',
+    'INGESTING INGESTS INGRAIN INGRAINED INGRAINING INGRAINS INGRATIATE INGRATIATED INGRATIATES',
+    'INGRATIATING INGRATITUDE INGREDIENT INGREDIENTS INHABIT INHABITANT INHABITANTS INHABITED INHABITING',
+    'INHABITS INHALE INHALED INHALER INHALERS INHALES INHALING INHERENT INHERENTLY INHERIT INHERITANCE',
+    'INHERITANCES INHERITED INHERITING INHERITS INHIBIT INHIBITED INHIBITING INHIBITION INHIBITIONS',
+    'INHIBITS INHOSPITABLE INHUMAN INHUMANE INHUMANITIES INHUMANITY INITIAL INITIALED INITIALING',
+    'INITIALIZATION INITIALIZE INITIALIZED INITIALIZES INITIALIZING INITIALLY INITIALS INITIATE INITIATED',
+    'INITIATES INITIATING INITIATION INITIATIONS INITIATIVE INITIATIVES INITIATOR INITIATORS INJECT',
+    'INJECTED INJECTING INJECTION INJECTIONS INJECTS INJUNCTION INJUNCTIONS INJURE INJURED INJURES',
+    'INJURIES INJURING INJURIOUS INJURY INJUSTICE INJUSTICES INK INKED INKIER INKIEST INKING INKLING',
+    'INKLINGS INKS INKY INLAID INLAND INLAY INLAYING INLAYS INLET INLETS INMATE INMATES INN INNARDS',
+    'INNATE INNER INNERMOST INNING INNINGS INNKEEPER INNKEEPERS INNOCENCE INNOCENT INNOCENTLY INNOCENTS',
+    'INNOCUOUS INNOVATION INNOVATIONS INNOVATIVE INNS INNUENDO INNUENDOS INNUMERABLE INOCULATE INOCULATED',
+    'INOCULATES INOCULATING INOCULATION INOCULATIONS INOFFENSIVE INOPERATIVE INOPPORTUNE INORDINATE INPUT',
+    'INPUTS INPUTTED INPUTTING INQUEST INQUESTS INQUIRE INQUIRED INQUIRES INQUIRIES INQUIRING INQUIRY',
+    'INQUISITION INQUISITIONS INQUISITIVE INS INSANE INSANELY INSANER INSANEST INSANITY INSATIABLE',
+    'INSCRIBE INSCRIBED INSCRIBES INSCRIBING INSCRIPTION INSCRIPTIONS INSCRUTABLE INSECT INSECTICIDE',
+    'INSECTICIDES INSECTS INSECURE INSECURITIES INSECURITY INSENSITIVE INSENSITIVITY INSEPARABLE',
+    'INSEPARABLES INSERT INSERTED INSERTING INSERTION INSERTIONS INSERTS INSIDE INSIDER INSIDERS INSIDES',
+    'INSIDIOUS INSIGHT INSIGHTS INSIGNIA INSIGNIFICANCE INSIGNIFICANT INSINCERE INSINCERELY INSINCERITY',
+    'INSINUATE INSINUATED INSINUATES INSINUATING INSINUATION INSINUATIONS INSIPID INSIST INSISTED',
+    'INSISTENCE INSISTENT INSISTING INSISTS INSOFAR INSOLENCE INSOLENT INSOLUBLE INSOLVENCY INSOLVENT',
+    'INSOLVENTS INSOMNIA INSPECT INSPECTED INSPECTING INSPECTION INSPECTIONS INSPECTOR INSPECTORS',
+    'INSPECTS INSPIRATION INSPIRATIONS INSPIRE INSPIRED INSPIRES INSPIRING INSTABILITY INSTALL',
+    'INSTALLATION INSTALLATIONS INSTALLED INSTALLING INSTALLMENT INSTALLMENTS INSTALLS INSTANCE INSTANCED',
+    'INSTANCES INSTANCING INSTANT INSTANTANEOUS INSTANTANEOUSLY INSTANTLY INSTANTS INSTEAD INSTEP INSTEPS',
+    'INSTIGATE INSTIGATED INSTIGATES INSTIGATING INSTIGATION INSTILL INSTILLED INSTILLING INSTILLS',
+    'INSTINCT INSTINCTIVE INSTINCTS INSTITUTE INSTITUTED INSTITUTES INSTITUTING INSTITUTION INSTITUTIONAL',
+    'INSTITUTIONALIZE INSTITUTIONALIZED INSTITUTIONALIZES INSTITUTIONALIZING INSTITUTIONS INSTRUCT',
+    'INSTRUCTED INSTRUCTING INSTRUCTION INSTRUCTIONS INSTRUCTIVE INSTRUCTOR INSTRUCTORS INSTRUCTS',
+    'INSTRUMENT INSTRUMENTAL INSTRUMENTALS INSTRUMENTED INSTRUMENTING INSTRUMENTS INSUBORDINATE',
+    'INSUBORDINATION INSUBSTANTIAL INSUFFERABLE INSUFFICIENT INSUFFICIENTLY INSULAR INSULATE INSULATED',
+    'INSULATES INSULATING INSULATION INSULATOR INSULATORS INSULIN INSULT INSULTED INSULTING INSULTS',
+    'INSURANCE INSURANCES INSURE INSURED INSURER INSURERS INSURES INSURGENT INSURGENTS INSURING',
+    'INSURMOUNTABLE INSURRECTION INSURRECTIONS INTACT INTAKE INTAKES INTANGIBLE INTANGIBLES INTEGER',
+    'INTEGERS INTEGRAL INTEGRALS INTEGRATE INTEGRATED INTEGRATES INTEGRATING INTEGRATION INTEGRITY',
+    'INTELLECT INTELLECTS INTELLECTUAL INTELLECTUALLY INTELLECTUALS INTELLIGENCE INTELLIGENT',
+    'INTELLIGENTLY INTELLIGIBLE INTELLIGIBLY INTEND INTENDED INTENDING INTENDS INTENSE INTENSELY INTENSER',
+    'INTENSEST INTENSIFIED INTENSIFIES INTENSIFY INTENSIFYING INTENSITIES INTENSITY INTENSIVE INTENSIVES',
+    'INTENT INTENTION INTENTIONAL INTENTIONALLY INTENTIONS INTENTS INTER INTERACT INTERACTED INTERACTING',
+    'INTERACTION INTERACTIONS INTERACTIVE INTERACTIVELY INTERACTS INTERCEDE INTERCEDED INTERCEDES',
+    'INTERCEDING INTERCEPT INTERCEPTED INTERCEPTING INTERCEPTION INTERCEPTIONS INTERCEPTS INTERCHANGE',
+    'INTERCHANGEABLE INTERCHANGED INTERCHANGES INTERCHANGING INTERCOM INTERCOMS INTERCONNECT',
+    'INTERCONTINENTAL INTERCOURSE INTERDEPENDENCE INTERDEPENDENT INTEREST INTERESTED INTERESTING',
+    'INTERESTINGLY INTERESTS INTERFACE INTERFACED INTERFACES INTERFACING INTERFERE INTERFERED',
+    'INTERFERENCE INTERFERES INTERFERING INTERIM INTERIOR INTERIORS INTERJECT INTERJECTED INTERJECTING',
+    'INTERJECTION INTERJECTIONS INTERJECTS INTERLOCK INTERLOCKED INTERLOCKING INTERLOCKS INTERLOPER',
+    'INTERLOPERS INTERLUDE INTERLUDED INTERLUDES INTERLUDING INTERMARRIAGE INTERMARRIAGES INTERMARRIED',
+    'INTERMARRIES INTERMARRY INTERMARRYING INTERMEDIARIES INTERMEDIARY INTERMEDIATE INTERMEDIATES',
+    'INTERMENT INTERMENTS INTERMINABLE INTERMINABLY INTERMINGLE INTERMINGLED INTERMINGLES INTERMINGLING',
+    'INTERMISSION INTERMISSIONS INTERMITTENT INTERMITTENTLY INTERN INTERNAL INTERNALLY INTERNALS',
+    'INTERNATIONAL INTERNATIONALLY INTERNATIONALS INTERNED INTERNET INTERNING INTERNS INTERPLANETARY',
+    'INTERPLAY INTERPOLATION INTERPOSE INTERPOSED INTERPOSES INTERPOSING INTERPRET INTERPRETATION',
+    'INTERPRETATIONS INTERPRETED INTERPRETER INTERPRETERS INTERPRETING INTERPRETS INTERRACIAL INTERRED',
+    'INTERRING INTERROGATE INTERROGATED INTERROGATES INTERROGATING INTERROGATION INTERROGATIONS',
+    'INTERROGATOR INTERROGATORS INTERRUPT INTERRUPTED INTERRUPTING INTERRUPTION INTERRUPTIONS INTERRUPTS',
+    'INTERS INTERSECT INTERSECTED INTERSECTING INTERSECTION INTERSECTIONS INTERSECTS INTERSPERSE',
+    'INTERSPERSED INTERSPERSES INTERSPERSING INTERSTATE INTERSTATES INTERSTELLAR INTERTWINE INTERTWINED',
+    'INTERTWINES INTERTWINING INTERVAL INTERVALS INTERVENE INTERVENED INTERVENES INTERVENING INTERVENTION',
+    'INTERVENTIONS INTERVIEW INTERVIEWED INTERVIEWER INTERVIEWERS INTERVIEWING INTERVIEWS INTERWEAVE',
+    'INTERWEAVES INTERWEAVING INTERWOVE INTERWOVEN INTESTINAL INTESTINE INTESTINES INTIMACIES INTIMACY',
+    'INTIMATE INTIMATED INTIMATELY INTIMATES INTIMATING INTIMATION INTIMATIONS INTIMIDATE INTIMIDATED',
+    'INTIMIDATES INTIMIDATING INTIMIDATION INTO INTOLERABLE INTOLERABLY INTOLERANCE INTOLERANT INTONATION',
+    'INTONATIONS INTOXICATE INTOXICATED INTOXICATES INTOXICATING INTOXICATION INTRACTABLE INTRAMURAL',
+    'INTRANSITIVE INTRANSITIVES INTRAVENOUS INTRAVENOUSES INTREPID INTRICACIES INTRICACY INTRICATE',
+    'INTRIGUE INTRIGUED INTRIGUES INTRIGUING INTRINSIC INTRINSICALLY INTRODUCE INTRODUCED INTRODUCES',
+    'INTRODUCING INTRODUCTION INTRODUCTIONS INTRODUCTORY INTROSPECTIVE INTROVERT INTROVERTS INTRUDE',
+    'INTRUDED INTRUDER INTRUDERS INTRUDES INTRUDING INTRUSION INTRUSIONS INTRUSIVE INTUITION INTUITIONS',
+    'INTUITIVE INTUITIVELY INUNDATE INUNDATED INUNDATES INUNDATING INUNDATION INUNDATIONS INVADE INVADED',
+    'INVADER INVADERS INVADES INVADING INVALID INVALIDATE INVALIDATED INVALIDATES INVALIDATING INVALIDED',
+    'INVALIDING INVALIDS INVALUABLE INVARIABLE INVARIABLES INVARIABLY INVARIANT INVASION INVASIONS',
+    'INVECTIVE INVENT INVENTED INVENTING INVENTION INVENTIONS INVENTIVE INVENTOR INVENTORIED INVENTORIES',
+    'INVENTORS INVENTORY INVENTORYING INVENTS INVERSE INVERSELY INVERSES INVERSION INVERSIONS INVERT',
+    'INVERTEBRATE INVERTEBRATES INVERTED INVERTING INVERTS INVEST INVESTED INVESTIGATE INVESTIGATED',
+    'INVESTIGATES INVESTIGATING INVESTIGATION INVESTIGATIONS INVESTIGATOR INVESTIGATORS INVESTING',
+    'INVESTMENT INVESTMENTS INVESTOR INVESTORS INVESTS INVETERATE INVIGORATE INVIGORATED INVIGORATES',
+    'INVIGORATING INVINCIBLE INVISIBILITY INVISIBLE INVISIBLY INVITATION INVITATIONS INVITE INVITED',
+    'INVITES INVITING INVOCATION INVOCATIONS INVOICE INVOICED INVOICES INVOICING INVOKE INVOKED INVOKES',
+    'INVOKING INVOLUNTARILY INVOLUNTARY INVOLVE INVOLVED INVOLVEMENT INVOLVEMENTS INVOLVES INVOLVING',
+    'INVULNERABLE INWARD INWARDLY INWARDS IODINE ION IONS IOTA IOTAS IRASCIBLE IRATE IRE IRIDESCENCE',
+    'IRIDESCENT IRIS IRISES IRK IRKED IRKING IRKS IRON IRONED IRONIC IRONICALLY IRONIES IRONING IRONS',
+    'IRONY IRRADIATE IRRADIATED IRRADIATES IRRADIATING IRRATIONAL IRRATIONALLY IRRATIONALS IRRECONCILABLE',
+    'IRREFUTABLE IRREGULAR IRREGULARITIES IRREGULARITY IRREGULARS IRRELEVANCE IRRELEVANCES IRRELEVANT',
+    'IRREPARABLE IRREPLACEABLE IRREPRESSIBLE IRREPROACHABLE IRRESISTIBLE IRRESPECTIVE IRRESPONSIBILITY',
+    'IRRESPONSIBLE IRRETRIEVABLE IRRETRIEVABLY IRREVERENCE IRREVERENT IRREVERSIBLE IRREVOCABLE',
+    'IRREVOCABLY IRRIGATE IRRIGATED IRRIGATES IRRIGATING IRRIGATION IRRITABILITY IRRITABLE IRRITABLY',
+    'IRRITANT IRRITANTS IRRITATE IRRITATED IRRITATES IRRITATING IRRITATION IRRITATIONS IS ISLAND ISLANDER',
+    'ISLANDERS ISLANDS ISLE ISLES ISOLATE ISOLATED ISOLATES ISOLATING ISOLATION ISSUE ISSUED ISSUES',
+    'ISSUING ISTHMUS ISTHMUSES IT ITALIC ITALICIZE ITALICIZED ITALICIZES ITALICIZING ITALICS ITCH ITCHED',
+    'ITCHES ITCHIER ITCHIEST ITCHING ITCHY ITEM ITEMIZE ITEMIZED ITEMIZES ITEMIZING ITEMS ITERATE',
+    'ITERATION ITERATIONS ITERATIVE ITINERANT ITINERANTS ITINERARIES ITINERARY ITS ITSELF IVIES IVORIES',
+    'IVORY IVY JAB JABBED JABBER JABBERED JABBERING JABBERS JABBING JABS JACK JACKAL JACKALS JACKASS',
+    'JACKASSES JACKDAW JACKED JACKET JACKETS JACKING JACKKNIFE JACKKNIFED JACKKNIFES JACKKNIFING',
+    'JACKKNIVES JACKPOT JACKPOTS JACKS JADE JADED JADES JADING JAGGED JAGGEDER JAGGEDEST JAGUAR JAGUARS',
+    'JAIL JAILED JAILER JAILERS JAILING JAILS JALOPIES JALOPY JAM JAMB JAMBOREE JAMBOREES JAMBS JAMMED',
+    'JAMMING JAMS JANGLE JANGLED JANGLES JANGLING JANITOR JANITORS JAR JARGON JARRED JARRING JARS',
+    'JAUNDICE JAUNDICED JAUNDICES JAUNDICING JAUNT JAUNTED JAUNTIER JAUNTIEST JAUNTILY JAUNTING JAUNTS',
+    'JAUNTY JAVELIN JAVELINS JAW JAWBONE JAWBONED JAWBONES JAWBONING JAWED JAWING JAWS JAY JAYS JAYWALK',
+    'JAYWALKED JAYWALKER JAYWALKERS JAYWALKING JAYWALKS JAZZ JAZZED JAZZES JAZZING JEALOUS JEALOUSIES',
+    'JEALOUSLY JEALOUSY JEANS JEER JEERED JEERING JEERS JELL JELLED JELLIED JELLIES JELLING JELLS JELLY',
+    'JELLYFISH JELLYFISHES JELLYING JEOPARDIZE JEOPARDIZED JEOPARDIZES JEOPARDIZING JEOPARDY JERK JERKED',
+    'JERKIER JERKIEST JERKING JERKS JERKY JERSEY JERSEYS JEST JESTED JESTER JESTERS JESTING JESTS JET',
+    'JETS JETTED JETTIES JETTING JETTISON JETTISONED JETTISONING JETTISONS JETTY JEWEL JEWELED JEWELER',
+    'JEWELERS JEWELING JEWELRIES JEWELRY JEWELS JIBE JIBED JIBES JIBING JIFFIES JIFFY JIG JIGGED JIGGING',
+    'JIGGLE JIGGLED JIGGLES JIGGLING JIGS JIGSAW JIGSAWED JIGSAWING JIGSAWS JILT JILTED JILTING JILTS',
+    'JINGLE JINGLED JINGLES JINGLING JINX JINXED JINXES JINXING JITTERIER JITTERIEST JITTERS JITTERY JOB',
+    'JOBBED JOBBING JOBS JOCKEY JOCKEYED JOCKEYING JOCKEYS JOCULAR JOG JOGGED JOGGER JOGGERS JOGGING JOGS',
+    'JOIN JOINED JOINING JOINS JOINT JOINTED JOINTING JOINTLY JOINTS JOKE JOKED JOKER JOKERS JOKES JOKING',
+    'JOLLIED JOLLIER JOLLIES JOLLIEST JOLLY JOLLYING JOLT JOLTED JOLTING JOLTS JOSTLE JOSTLED JOSTLES',
+    'JOSTLING JOT JOTS JOTTED JOTTING JOURNAL JOURNALISM JOURNALIST JOURNALISTS JOURNALS JOURNEY',
+    'JOURNEYED JOURNEYING JOURNEYS JOVIAL JOVIALLY JOY JOYED JOYFUL JOYFULLER JOYFULLEST JOYFULLY JOYING',
+    'JOYOUS JOYOUSLY JOYS JOYSTICK JUBILANT JUBILATION JUBILEE JUBILEES JUDGE JUDGED JUDGES JUDGING',
+    'JUDGMENT JUDGMENTS JUDICIAL JUDICIALLY JUDICIARIES JUDICIARY JUDICIOUS JUDICIOUSLY JUDO JUG JUGGED',
+    'JUGGERNAUT JUGGING JUGGLE JUGGLED JUGGLER JUGGLERS JUGGLES JUGGLING JUGS JUGULAR JUGULARS JUICE',
+    'JUICED JUICES JUICIER JUICIEST JUICING JUICY JUMBLE JUMBLED JUMBLES JUMBLING JUMBO JUMBOS JUMP',
+    'JUMPED JUMPER JUMPERS JUMPIER JUMPIEST JUMPING JUMPS JUMPY JUNCTION JUNCTIONS JUNCTURE JUNCTURES',
+    'JUNGLE JUNGLES JUNIOR JUNIORS JUNIPER JUNIPERS JUNK JUNKED JUNKET JUNKETED JUNKETING JUNKETS JUNKIE',
+    'JUNKIES JUNKING JUNKS JUNTA JUNTAS JURIES JURISDICTION JUROR JURORS JURY JUST JUSTER JUSTEST JUSTICE',
+    'JUSTICES JUSTIFIABLE JUSTIFIABLY JUSTIFICATION JUSTIFICATIONS JUSTIFIED JUSTIFIES JUSTIFY JUSTIFYING',
+    'JUSTLY JUT JUTE JUTS JUTTED JUTTING JUVENILE JUVENILES JUXTAPOSE JUXTAPOSED JUXTAPOSES JUXTAPOSING',
+    'JUXTAPOSITION JUXTAPOSITIONS KALEIDOSCOPE KALEIDOSCOPES KANGAROO KANGAROOS KARAT KARATE KARATS KAYAK',
+    'KAYAKED KAYAKING KAYAKS KEEL KEELED KEELING KEELS KEEN KEENED KEENER KEENEST KEENING KEENLY KEENS',
+    'KEEP KEEPER KEEPERS KEEPING KEEPS KEEPSAKE KEEPSAKES KEG KEGS KELP KEN KENNEL KENNELED KENNELING',
+    'KENNELS KEPT KERCHIEF KERCHIEFS KERNEL KERNELS KEROSENE KETCHUP KETTLE KETTLES KEY KEYBOARD',
+    'KEYBOARDED KEYBOARDING KEYBOARDS KEYED KEYHOLE KEYHOLES KEYING KEYNOTE KEYNOTED KEYNOTES KEYNOTING',
+    'KEYS KEYSTONE KEYSTONES KEYSTROKE KEYSTROKES KEYWORD KEYWORDS KHAKI KHAKIS KICK KICKBACK KICKBACKS',
+    'KICKED KICKING KICKOFF KICKOFFS KICKS KID KIDDED KIDDING KIDNAP KIDNAPPED KIDNAPPER KIDNAPPERS',
+    'KIDNAPPING KIDNAPS KIDNEY KIDNEYS KIDS KILL KILLED KILLER KILLERS KILLING KILLINGS KILLS KILN KILNED',
+    'KILNING KILNS KILO KILOBYTE KILOBYTES KILOGRAM KILOGRAMS KILOMETER KILOMETERS KILOS KILOWATT',
+    'KILOWATTS KILT KILTS KIMONO KIMONOS KIN KIND KINDA KINDER KINDERGARTEN KINDERGARTENS KINDEST KINDLE',
+    'KINDLED KINDLES KINDLIER KINDLIEST KINDLING KINDLY KINDNESS KINDNESSES KINDRED KINDS KINFOLK KING',
+    'KINGDOM KINGDOMS KINGFISHER KINGFISHERS KINGS KINK KINKED KINKIER KINKIEST KINKING KINKS KINKY',
+    'KINSHIP KIOSK KIOSKS KIPPER KISS KISSED KISSES KISSING KIT KITCHEN KITCHENETTE KITCHENETTES KITCHENS',
+    'KITE KITED KITES KITING KITS KITTEN KITTENS KITTIES KITTY KIWI KIWIS KNACK KNACKER KNACKS KNAPSACK',
+    'KNAPSACKS KNEAD KNEADED KNEADING KNEADS KNEE KNEECAP KNEECAPPED KNEECAPPING KNEECAPS KNEED KNEEING',
+    'KNEEL KNEELING KNEELS KNEES KNELT KNEW KNICKERS KNIFE KNIFED KNIFES KNIFING KNIGHT KNIGHTED',
+    'KNIGHTHOOD KNIGHTHOODS KNIGHTING KNIGHTS KNIT KNITS KNITTED KNITTING KNIVES KNOB KNOBS KNOCK KNOCKED',
+    'KNOCKER KNOCKERS KNOCKING KNOCKOUT KNOCKOUTS KNOCKS KNOLL KNOLLS KNOT KNOTS KNOTTED KNOTTIER',
+    'KNOTTIEST KNOTTING KNOTTY KNOW KNOWING KNOWINGLY KNOWINGS KNOWLEDGE KNOWLEDGEABLE KNOWN KNOWS',
+    'KNUCKLE KNUCKLED KNUCKLES KNUCKLING KOALA KOALAS KOSHER KOSHERED KOSHERING KOSHERS KOWTOW KOWTOWED',
+    'KOWTOWING KOWTOWS KUDOS LAB LABEL LABELED LABELING LABELS LABOR LABORATORIES LABORATORY LABORED',
+    'LABORER LABORERS LABORING LABORIOUS LABORIOUSLY LABORS LABS LABYRINTH LABYRINTHS LACE LACED LACERATE',
+    'LACERATED LACERATES LACERATING LACERATION LACERATIONS LACES LACIER LACIEST LACING LACK LACKED',
+    'LACKING LACKLUSTER LACKS LACQUER LACQUERED LACQUERING LACQUERS LACROSSE LACY LAD LADDER LADDERED',
+    'LADDERING LADDERS LADE LADED LADEN LADES LADIES LADING LADLE LADLED LADLES LADLING LADS LADY LADYBUG',
+    'LADYBUGS LADYLIKE LAG LAGER LAGGARD LAGGARDS LAGGED LAGGING LAGOON LAGOONS LAGS LAID LAIN LAIR LAIRS',
+    'LAKE LAKES LAMB LAMBDA LAMBED LAMBING LAMBS LAME LAMED LAMENT LAMENTABLE LAMENTATION LAMENTATIONS',
+    'LAMENTED LAMENTING LAMENTS LAMER LAMES LAMEST LAMING LAMP LAMPOON LAMPOONED LAMPOONING LAMPOONS',
+    'LAMPS LANCE LANCED LANCES LANCING LAND LANDED LANDER LANDING LANDINGS LANDLADIES LANDLADY LANDLOCKED',
+    'LANDLORD LANDLORDS LANDMARK LANDMARKS LANDOWNER LANDOWNERS LANDS LANDSCAPE LANDSCAPED LANDSCAPES',
+    'LANDSCAPING LANDSLID LANDSLIDE LANDSLIDES LANDSLIDING LANE LANES LANGUAGE LANGUAGES LANGUID LANGUISH',
+    'LANGUISHED LANGUISHES LANGUISHING LANGUOR LANGUOROUS LANGUORS LANKIER LANKIEST LANKY LANTERN',
+    'LANTERNS LAP LAPEL LAPELS LAPPED LAPPING LAPS LAPSE LAPSED LAPSES LAPSING LARCENIES LARCENY LARD',
+    'LARDED LARDING LARDS LARGE LARGELY LARGER LARGES LARGEST LARK LARKED LARKING LARKS LARVA LARVAE',
+    'LARYNGES LARYNGITIS LARYNX LASCIVIOUS LASER LASERS LASH LASHED LASHES LASHING LASS LASSES LAST',
+    'LASTED LASTING LASTLY LASTS LATCH LATCHED LATCHES LATCHING LATE LATELY LATENT LATER LATERAL',
+    'LATERALED LATERALING LATERALS LATEST LATEX LATH LATHE LATHED LATHER LATHERED LATHERING LATHERS',
+    'LATHES LATHING LATHS LATITUDE LATITUDES LATRINE LATRINES LATTER LATTICE LATTICES LAUD LAUDABLE',
+    'LAUDED LAUDING LAUDS LAUGH LAUGHABLE LAUGHED LAUGHING LAUGHINGSTOCK LAUGHINGSTOCKS LAUGHS LAUGHTER',
+    'LAUNCH LAUNCHED LAUNCHER LAUNCHERS LAUNCHES LAUNCHING LAUNDER LAUNDERED LAUNDERING LAUNDERS',
+    'LAUNDRIES LAUNDRY LAUREATE LAUREATES LAUREL LAURELS LAVA LAVATORIES LAVATORY LAVENDER LAVENDERS',
+    'LAVISH LAVISHED LAVISHER LAVISHES LAVISHEST LAVISHING LAW LAWFUL LAWLESS LAWMAKER LAWMAKERS LAWN',
+    'LAWNS LAWS LAWSUIT LAWSUITS LAWYER LAWYERS LAX LAXATIVE LAXATIVES LAXER LAXEST LAXITY LAY LAYER',
+    'LAYERED LAYERING LAYERS LAYING LAYMAN LAYMEN LAYOUT LAYOUTS LAYS LAZIED LAZIER LAZIES LAZIEST',
+    'LAZINESS LAZY LAZYING LEACH LEAD LEADED LEADEN LEADER LEADERS LEADERSHIP LEADING LEADS LEAF LEAFED',
+    'LEAFIER LEAFIEST LEAFING LEAFLET LEAFLETED LEAFLETING LEAFLETS LEAFS LEAFY LEAGUE LEAGUED LEAGUES',
+    'LEAGUING LEAK LEAKAGE LEAKAGES LEAKED LEAKING LEAKS LEAKY LEAN LEANED LEANER LEANEST LEANING LEANS',
+    'LEAP LEAPED LEAPFROG LEAPFROGGED LEAPFROGGING LEAPFROGS LEAPING LEAPS LEARN LEARNED LEARNING LEARNS',
+    'LEASE LEASED LEASES LEASH LEASHED LEASHES LEASHING LEASING LEAST LEATHER LEATHERY LEAVE LEAVED',
+    'LEAVES LEAVING LECTERN LECTERNS LECTURE LECTURED LECTURER LECTURERS LECTURES LECTURING LED LEDGE',
+    'LEDGER LEDGERS LEDGES LEE LEECH LEECHED LEECHES LEECHING LEEK LEEKS LEER LEERED LEERIER LEERIEST',
+    'LEERING LEERS LEERY LEEWAY LEFT LEFTER LEFTEST LEFTMOST LEFTS LEG LEGACIES LEGACY LEGAL LEGALISTIC',
+    'LEGALITY LEGALIZE LEGALIZED LEGALIZES LEGALIZING LEGALLY LEGALS LEGEND LEGENDARY LEGENDS LEGGED',
+    'LEGGING LEGGINGS LEGIBILITY LEGIBLE LEGIBLY LEGION LEGIONS LEGISLATE LEGISLATED LEGISLATES',
+    'LEGISLATING LEGISLATION LEGISLATIVE LEGISLATOR LEGISLATORS LEGISLATURE LEGISLATURES LEGITIMACY',
+    'LEGITIMATE LEGITIMATED LEGITIMATELY LEGITIMATES LEGITIMATING LEGS LEGUME LEGUMES LEISURE LEISURELY',
+    'LEMME LEMON LEMONADE LEMONS LEND LENDING LENDS LENGTH LENGTHEN LENGTHENED LENGTHENING LENGTHENS',
+    'LENGTHIER LENGTHIEST LENGTHS LENGTHWISE LENGTHY LENIENCY LENIENT LENS LENSES LENT LENTIL LENTILS',
+    'LEOPARD LEOPARDS LEOTARD LEOTARDS LEPER LEPERS LEPROSY LESBIAN LESBIANS LESION LESIONS LESS LESSEN',
+    'LESSENED LESSENING LESSENS LESSER LESSON LESSONS LEST LET LETDOWN LETDOWNS LETHAL LETHARGIC LETHARGY',
+    'LETS LETTER LETTERED LETTERHEAD LETTERHEADS LETTERING LETTERS LETTING LETTUCE LETTUCES LETUP LETUPS',
+    'LEUKEMIA LEVEE LEVEES LEVEL LEVELED LEVELING LEVELS LEVER LEVERAGE LEVERAGED LEVERAGES LEVERAGING',
+    'LEVERED LEVERING LEVERS LEVIED LEVIES LEVITY LEVY LEVYING LEWD LEWDER LEWDEST LEXICAL LEXICON',
+    'LEXICONS LIABILITIES LIABILITY LIABLE LIAISON LIAISONS LIAR LIARS LIBEL LIBELED LIBELING LIBELOUS',
+    'LIBELS LIBERAL LIBERALISM LIBERALIZATION LIBERALIZE LIBERALIZED LIBERALIZES LIBERALIZING LIBERALLY',
+    'LIBERALS LIBERATE LIBERATED LIBERATES LIBERATING LIBERATION LIBERTARIAN LIBERTIES LIBERTY LIBRARIAN',
+    'LIBRARIANS LIBRARIES LIBRARY LIBRETTO LICE LICENSE LICENSED LICENSES LICENSING LICHEN LICHENS LICK',
+    'LICKED LICKING LICKS LICORICE LICORICES LID LIDS LIE LIED LIES LIEU LIEUTENANT LIEUTENANTS LIFE',
+    'LIFEBOAT LIFEBOATS LIFEFORMS LIFEGUARD LIFEGUARDS LIFELESS LIFELIKE LIFELINE LIFELINES LIFELONG',
+    'LIFESPAN LIFESTYLE LIFESTYLES LIFETIME LIFETIMES LIFT LIFTED LIFTING LIFTS LIGAMENT LIGAMENTS',
+    'LIGATURE LIGATURES LIGHT LIGHTED LIGHTEN LIGHTENED LIGHTENING LIGHTENS LIGHTER LIGHTERS LIGHTEST',
+    'LIGHTHOUSE LIGHTHOUSES LIGHTING LIGHTLY LIGHTNESS LIGHTNING LIGHTNINGED LIGHTNINGS LIGHTS',
+    'LIGHTWEIGHT LIGHTWEIGHTS LIKABLE LIKE LIKED LIKELIER LIKELIEST LIKELIHOOD LIKELIHOODS LIKELY LIKEN',
+    'LIKENED LIKENESS LIKENESSES LIKENING LIKENS LIKER LIKES LIKEST LIKEWISE LIKING LILAC LILACS LILIES',
+    'LILT LILTED LILTING LILTS LILY LIMB LIMBER LIMBERED LIMBERING LIMBERS LIMBO LIMBS LIME LIMED',
+    'LIMELIGHT LIMERICK LIMERICKS LIMES LIMESTONE LIMING LIMIT LIMITATION LIMITATIONS LIMITED LIMITING',
+    'LIMITLESS LIMITS LIMOUSINE LIMOUSINES LIMP LIMPED LIMPER LIMPEST LIMPING LIMPS LINCHPIN LINCHPINS',
+    'LINE LINEAGE LINEAGES LINEAR LINEARLY LINED LINEFEED LINEN LINER LINERS LINES LINGER LINGERED',
+    'LINGERIE LINGERING LINGERS LINGO LINGOES LINGUIST LINGUISTIC LINGUISTICS LINGUISTS LINIMENT',
+    'LINIMENTS LINING LININGS LINK LINKAGE LINKED LINKER LINKING LINKS LINOLEUM LINT LION LIONESS',
+    'LIONESSES LIONS LIP LIPS LIPSTICK LIPSTICKED LIPSTICKING LIPSTICKS LIQUEFIED LIQUEFIES LIQUEFY',
+    'LIQUEFYING LIQUEUR LIQUEURS LIQUID LIQUIDATE LIQUIDATED LIQUIDATES LIQUIDATING LIQUIDATION',
+    'LIQUIDATIONS LIQUIDS LIQUOR LIQUORED LIQUORING LIQUORS LISP LISPED LISPING LISPS LIST LISTED LISTEN',
+    'LISTENED LISTENER LISTENERS LISTENING LISTENS LISTING LISTINGS LISTLESS LISTS LIT LITANIES LITANY',
+    'LITER LITERACY LITERAL LITERALLY LITERALS LITERARY LITERATE LITERATES LITERATURE LITERS LITHE LITHER',
+    'LITHEST LITHIUM LITIGATION LITTER LITTERBUG LITTERBUGS LITTERED LITTERING LITTERS LITTLE LITTLER',
+    'LITTLEST LITURGICAL LITURGIES LITURGY LIVABLE LIVE LIVED LIVELIER LIVELIEST LIVELIHOOD LIVELIHOODS',
+    'LIVELINESS LIVELY LIVEN LIVENED LIVENING LIVENS LIVER LIVERS LIVES LIVEST LIVESTOCK LIVID LIVING',
+    'LIVINGS LIZARD LIZARDS LLAMA LLAMAS LOAD LOADABLE LOADED LOADER LOADING LOADS LOAF LOAFED LOAFER',
+    'LOAFERS LOAFING LOAFS LOAM LOAN LOANED LOANING LOANS LOATH LOATHE LOATHED LOATHES LOATHING LOATHINGS',
+    'LOATHSOME LOAVES LOB LOBBED LOBBIED LOBBIES LOBBING LOBBY LOBBYING LOBBYIST LOBBYISTS LOBE LOBES',
+    'LOBOTOMY LOBS LOBSTER LOBSTERS LOCAL LOCALE LOCALES LOCALITIES LOCALITY LOCALIZE LOCALIZED LOCALIZES',
+    'LOCALIZING LOCALLY LOCALS LOCATE LOCATED LOCATES LOCATING LOCATION LOCATIONS LOCK LOCKED LOCKER',
+    'LOCKERS LOCKET LOCKETS LOCKING LOCKS LOCKSMITH LOCKSMITHS LOCOMOTION LOCOMOTIVE LOCOMOTIVES LOCUST',
+    'LOCUSTS LODGE LODGED LODGER LODGERS LODGES LODGING LODGINGS LOFT LOFTED LOFTIER LOFTIEST LOFTINESS',
+    'LOFTING LOFTS LOFTY LOG LOGARITHM LOGARITHMIC LOGGED LOGGER LOGGING LOGIC LOGICAL LOGICALLY LOGICIAN',
+    'LOGO LOGS LOIN LOINCLOTH LOINCLOTHS LOINS LOITER LOITERED LOITERER LOITERERS LOITERING LOITERS LOLL',
+    'LOLLED LOLLING LOLLIPOP LOLLIPOPS LOLLS LONE LONELIER LONELIEST LONELINESS LONELY LONESOME LONG',
+    'LONGED LONGER LONGEST LONGEVITY LONGHAND LONGING LONGINGS LONGISH LONGITUDE LONGITUDES LONGITUDINAL',
+    'LONGS LONGSHOREMAN LONGSHOREMEN LOOK LOOKED LOOKING LOOKOUT LOOKOUTS LOOKS LOOM LOOMED LOOMING LOOMS',
+    'LOON LOONIE LOONIER LOONIES LOONIEST LOONS LOONY LOOP LOOPED LOOPHOLE LOOPHOLES LOOPING LOOPS LOOSE',
+    'LOOSED LOOSELY LOOSEN LOOSENED LOOSENING LOOSENS LOOSER LOOSES LOOSEST LOOSING LOOT LOOTED LOOTING',
+    'LOOTS LOP LOPE LOPED LOPES LOPING LOPPED LOPPING LOPS LOPSIDED LORD LORDED LORDING LORDS LORE',
+    'LORRIES LORRY LOSE LOSER LOSERS LOSES LOSING LOSS LOSSES LOST LOT LOTION LOTIONS LOTS LOTTERIES',
+    'LOTTERY LOTUS LOTUSES LOUD LOUDER LOUDEST LOUDLY LOUDNESS LOUDSPEAKER LOUDSPEAKERS LOUNGE LOUNGED',
+    'LOUNGES LOUNGING LOUSE LOUSES LOUSIER LOUSIEST LOUSY LOVABLE LOVE LOVED LOVELIER LOVELIES LOVELIEST',
+    'LOVELINESS LOVELY LOVER LOVERS LOVES LOVING LOVINGLY LOW LOWDOWN LOWED LOWER LOWERED LOWERING LOWERS',
+    'LOWEST LOWING LOWLIER LOWLIEST LOWLY LOWS LOYAL LOYALER LOYALEST LOYALTIES LOYALTY LOZENGE LOZENGES',
+    'LUBRICANT LUBRICANTS LUBRICATE LUBRICATED LUBRICATES LUBRICATING LUBRICATION LUCID LUCK LUCKED',
+    'LUCKIER LUCKIEST LUCKILY LUCKING LUCKS LUCKY LUCRATIVE LUDICROUS LUDICROUSLY LUG LUGGAGE LUGGED',
+    'LUGGING LUGS LUKEWARM LULL LULLABIES LULLABY LULLED LULLING LULLS LUMBER LUMBERED LUMBERING',
+    'LUMBERJACK LUMBERJACKS LUMBERS LUMINARIES LUMINARY LUMINOUS LUMP LUMPED LUMPIER LUMPIEST LUMPING',
+    'LUMPS LUMPY LUNACIES LUNACY LUNAR LUNATIC LUNATICS LUNCH LUNCHED LUNCHEON LUNCHEONS LUNCHES LUNCHING',
+    'LUNCHTIME LUNG LUNGE LUNGED LUNGES LUNGING LUNGS LUPINE LUPINES LURCH LURCHED LURCHES LURCHING LURE',
+    'LURED LURES LURID LURING LURK LURKED LURKING LURKS LUSCIOUS LUSH LUSHER LUSHES LUSHEST LUST LUSTED',
+    'LUSTER LUSTIER LUSTIEST LUSTING LUSTROUS LUSTS LUSTY LUTE LUTES LUXURIANT LUXURIATE LUXURIATED',
+    'LUXURIATES LUXURIATING LUXURIES LUXURIOUS LUXURY LYE LYING LYMPH LYMPHATIC LYMPHATICS LYNCH LYNCHED',
+    'LYNCHES LYNCHING LYRE LYRES LYRIC LYRICAL LYRICS MA MACABRE MACARONI MACARONIS MACE MACED MACES',
+    'MACHETE MACHETES MACHINE MACHINED MACHINERY MACHINES MACHINING MACHINIST MACHINISTS MACHO MACING',
+    'MACKEREL MACKERELS MACROSCOPIC MAD MADAM MADAME MADAMS MADCAP MADCAPS MADDEN MADDENED MADDENING',
+    'MADDENS MADDER MADDEST MADE MADHOUSE MADHOUSES MADLY MADMAN MADMEN MADNESS MADS MAELSTROM MAELSTROMS',
+    'MAGAZINE MAGAZINES MAGENTA MAGGOT MAGGOTS MAGIC MAGICAL MAGICALLY MAGICIAN MAGICIANS MAGISTRATE',
+    'MAGISTRATES MAGNANIMITY MAGNANIMOUS MAGNANIMOUSLY MAGNATE MAGNATES MAGNESIUM MAGNET MAGNETIC',
+    'MAGNETISM MAGNETIZE MAGNETIZED MAGNETIZES MAGNETIZING MAGNETS MAGNIFICENCE MAGNIFICENT MAGNIFIED',
+    'MAGNIFIES MAGNIFY MAGNIFYING MAGNITUDE MAGNITUDES MAGNOLIA MAGNOLIAS MAGNUM MAGPIE MAGPIES',
+    'MAHOGANIES MAHOGANY MAID MAIDEN MAIDENS MAIDS MAIL MAILBOX MAILBOXES MAILED MAILING MAILMAN MAILMEN',
+    'MAILS MAIM MAIMED MAIMING MAIMS MAIN MAINFRAME MAINFRAMES MAINLAND MAINLANDS MAINLINE MAINLY MAINS',
+    'MAINSTAY MAINSTAYS MAINSTREAM MAINTAIN MAINTAINABILITY MAINTAINABLE MAINTAINED MAINTAINER',
+    'MAINTAINERS MAINTAINING MAINTAINS MAINTENANCE MAIZE MAIZES MAJESTIC MAJESTICALLY MAJESTIES MAJESTY',
+    'MAJOR MAJORED MAJORING MAJORITIES MAJORITY MAJORS MAKE MAKER MAKERS MAKES MAKESHIFT MAKESHIFTS',
+    'MAKEUP MAKEUPS MAKING MALADIES MALADJUSTED MALADY MALARIA MALE MALES MALEVOLENCE MALEVOLENT',
+    'MALFORMED MALFUNCTION MALICE MALICIOUS MALICIOUSLY MALIGN MALIGNANCIES MALIGNANCY MALIGNANT MALIGNED',
+    'MALIGNING MALIGNS MALL MALLARD MALLARDS MALLEABLE MALLET MALLETS MALLS MALNUTRITION MALPRACTICE',
+    'MALPRACTICES MALT MALTED MALTING MALTREAT MALTREATED MALTREATING MALTREATS MALTS MAMA MAMAS MAMMA',
+    'MAMMAL MAMMALIAN MAMMALS MAMMOTH MAMMOTHS MAN MANACLE MANACLED MANACLES MANACLING MANAGE MANAGEABLE',
+    'MANAGED MANAGEMENT MANAGER MANAGERIAL MANAGERS MANAGES MANAGING MANDATE MANDATED MANDATES MANDATING',
+    'MANDATORY MANDIBLE MANDIBLES MANDOLIN MANDOLINS MANE MANES MANEUVER MANEUVERED MANEUVERING MANEUVERS',
+    'MANGE MANGER MANGERS MANGIER MANGIEST MANGLE MANGLED MANGLES MANGLING MANGO MANGOES MANGROVE',
+    'MANGROVES MANGY MANHANDLE MANHANDLED MANHANDLES MANHANDLING MANHOLE MANHOLES MANHOOD MANIA MANIAC',
+    'MANIACAL MANIACS MANIAS MANIC MANICURE MANICURED MANICURES MANICURING MANICURIST MANICURISTS',
+    'MANIFEST MANIFESTATION MANIFESTATIONS MANIFESTED MANIFESTING MANIFESTLY MANIFESTO MANIFESTOS',
+    'MANIFESTS MANIFOLD MANIFOLDED MANIFOLDING MANIFOLDS MANIPULATE MANIPULATED MANIPULATES MANIPULATING',
+    'MANIPULATION MANIPULATIONS MANKIND MANLIER MANLIEST MANLINESS MANLY MANNED MANNEQUIN MANNEQUINS',
+    'MANNER MANNERISM MANNERISMS MANNERS MANNING MANNISH MANOR MANORS MANPOWER MANS MANSION MANSIONS',
+    'MANSLAUGHTER MANTEL MANTELPIECE MANTELPIECES MANTELS MANTLE MANTLED MANTLES MANTLING MANUAL MANUALLY',
+    'MANUALS MANUFACTURE MANUFACTURED MANUFACTURER MANUFACTURERS MANUFACTURES MANUFACTURING MANURE',
+    'MANURED MANURES MANURING MANUSCRIPT MANUSCRIPTS MANY MAP MAPLE MAPLES MAPPED MAPPER MAPPING MAPPINGS',
+    'MAPS MAR MARATHON MARATHONS MARBLE MARBLED MARBLES MARBLING MARCH MARCHED MARCHER MARCHES MARCHING',
+    'MARE MARES MARGARINE MARGIN MARGINAL MARGINALLY MARGINS MARIA MARIGOLD MARIGOLDS MARIJUANA MARINA',
+    'MARINAS MARINATE MARINATED MARINATES MARINATING MARINE MARINER MARINERS MARINES MARIONETTE',
+    'MARIONETTES MARITAL MARITIME MARK MARKED MARKEDLY MARKER MARKERS MARKET MARKETABLE MARKETED',
+    'MARKETING MARKETPLACE MARKETPLACES MARKETS MARKING MARKINGS MARKS MARKSMAN MARKSMEN MARMALADE MAROON',
+    'MAROONED MAROONING MAROONS MARQUEE MARQUEES MARRED MARRIAGE MARRIAGES MARRIED MARRIES MARRING MARROW',
+    'MARROWS MARRY MARRYING MARS MARSH MARSHAL MARSHALED MARSHALING MARSHALS MARSHES MARSHIER MARSHIEST',
+    'MARSHMALLOW MARSHMALLOWS MARSHY MARSUPIAL MARSUPIALS MART MARTIAL MARTIN MARTS MARTYR MARTYRDOM',
+    'MARTYRED MARTYRING MARTYRS MARVEL MARVELED MARVELING MARVELOUS MARVELS MAS MASCARA MASCARAED',
+    'MASCARAING MASCARAS MASCOT MASCOTS MASCULINE MASCULINES MASH MASHED MASHES MASHING MASK MASKED',
+    'MASKING MASKS MASOCHIST MASOCHISTS MASON MASONRY MASONS MASQUERADE MASQUERADED MASQUERADES',
+    'MASQUERADING MASS MASSACRE MASSACRED MASSACRES MASSACRING MASSAGE MASSAGED MASSAGES MASSAGING MASSED',
+    'MASSES MASSING MASSIVE MASSIVELY MAST MASTER MASTERED MASTERFUL MASTERING MASTERLY MASTERMIND',
+    'MASTERMINDED MASTERMINDING MASTERMINDS MASTERPIECE MASTERPIECES MASTERS MASTERY MASTICATE MASTICATED',
+    'MASTICATES MASTICATING MASTS MASTURBATION MAT MATADOR MATADORS MATCH MATCHBOOK MATCHBOOKS MATCHED',
+    'MATCHES MATCHING MATCHLESS MATCHMAKER MATCHMAKERS MATE MATED MATERIAL MATERIALISM MATERIALIST',
+    'MATERIALISTIC MATERIALISTS MATERIALIZE MATERIALIZED MATERIALIZES MATERIALIZING MATERIALS MATERNAL',
+    'MATERNITY MATES MATH MATHEMATICAL MATHEMATICALLY MATHEMATICIAN MATHEMATICIANS MATHEMATICS MATING',
+    'MATRIARCH MATRIARCHAL MATRIARCHS MATRICES MATRICULATE MATRICULATED MATRICULATES MATRICULATING',
+    'MATRICULATION MATRIMONIAL MATRIMONY MATRIX MATRON MATRONLY MATRONS MATS MATTE MATTED MATTER MATTERED',
+    'MATTERING MATTERS MATTES MATTING MATTRESS MATTRESSES MATURE MATURED MATURER MATURES MATUREST',
+    'MATURING MATURITIES MATURITY MAUDLIN MAUL MAULED MAULING MAULS MAUSOLEUM MAUSOLEUMS MAUVE MAVERICK',
+    'MAVERICKS MAXIM MAXIMA MAXIMAL MAXIMIZE MAXIMIZED MAXIMIZES MAXIMIZING MAXIMS MAXIMUM MAXIMUMS MAY',
+    'MAYBE MAYBES MAYHEM MAYONNAISE MAYOR MAYORS MAZE MAZES ME MEADOW MEADOWS MEAGER MEAL MEALIER',
+    'MEALIEST MEALS MEALY MEAN MEANDER MEANDERED MEANDERING MEANDERS MEANER MEANEST MEANING MEANINGFUL',
+    'MEANINGLESS MEANINGS MEANS MEANT MEANTIME MEANWHILE MEASLES MEASLIER MEASLIEST MEASLY MEASURABLE',
+    'MEASURE MEASURED MEASUREMENT MEASUREMENTS MEASURES MEASURING MEAT MEATS MECHANIC MECHANICAL',
+    'MECHANICALLY MECHANICS MECHANISM MECHANISMS MECHANIZE MECHANIZED MECHANIZES MECHANIZING MEDAL',
+    'MEDALLION MEDALLIONS MEDALS MEDDLE MEDDLED MEDDLER MEDDLERS MEDDLES MEDDLESOME MEDDLING MEDIA MEDIAN',
+    'MEDIAS MEDIATE MEDIATED MEDIATES MEDIATING MEDIATION MEDIATOR MEDIATORS MEDICAL MEDICALLY MEDICALS',
+    'MEDICATE MEDICATED MEDICATES MEDICATING MEDICATION MEDICATIONS MEDICINAL MEDICINE MEDICINES MEDIEVAL',
+    'MEDIOCRE MEDIOCRITIES MEDIOCRITY MEDITATE MEDITATED MEDITATES MEDITATING MEDITATION MEDITATIONS',
+    'MEDIUM MEDIUMS MEDLEY MEDLEYS MEEK MEEKER MEEKEST MEEKLY MEEKNESS MEET MEETING MEETINGS MEETS',
+    'MEGABYTE MEGABYTES MEGALOMANIAC MEGAPHONE MEGAPHONED MEGAPHONES MEGAPHONING MEGATON MEGATONS',
+    'MELANCHOLY MELLOW MELLOWED MELLOWER MELLOWEST MELLOWING MELLOWS MELODIC MELODIES MELODIOUS MELODRAMA',
+    'MELODRAMAS MELODRAMATIC MELODY MELON MELONS MELT MELTED MELTING MELTS MEMBER MEMBERS MEMBERSHIP',
+    'MEMBERSHIPS MEMBRANE MEMBRANES MEMENTO MEMENTOS MEMO MEMOIR MEMOIRS MEMORABLE MEMORABLY MEMORANDUM',
+    'MEMORANDUMS MEMORIAL MEMORIALS MEMORIES MEMORIZE MEMORIZED MEMORIZES MEMORIZING MEMORY MEMOS MEN',
+    'MENACE MENACED MENACES MENACING MENAGERIE MENAGERIES MEND MENDED MENDING MENDS MENIAL MENIALS',
+    'MENOPAUSE MENSTRUAL MENSTRUATE MENSTRUATED MENSTRUATES MENSTRUATING MENSTRUATION MENTAL MENTALITIES',
+    'MENTALITY MENTALLY MENTHOL MENTION MENTIONED MENTIONING MENTIONS MENTOR MENTORED MENTORING MENTORS',
+    'MENU MENUS MEOW MEOWED MEOWING MEOWS MERCANTILE MERCENARIES MERCENARY MERCHANDISE MERCHANDISED',
+    'MERCHANDISES MERCHANDISING MERCHANT MERCHANTS MERCIES MERCIFUL MERCIFULLY MERCILESS MERCILESSLY',
+    'MERCURY MERCY MERE MERELY MERES MEREST MERGE MERGED MERGER MERGERS MERGES MERGING MERIDIAN MERIDIANS',
+    'MERINGUE MERINGUES MERIT MERITED MERITING MERITS MERMAID MERMAIDS MERRIER MERRIEST MERRILY MERRIMENT',
+    'MERRY MES MESDAMES MESH MESHED MESHES MESHING MESS MESSAGE MESSAGES MESSED MESSENGER MESSENGERS',
+    'MESSES MESSIER MESSIEST MESSING MESSY MET METABOLIC METABOLISM METABOLISMS METAL METALLIC METALLURGY',
+    'METALS METAMORPHOSE METAMORPHOSES METAMORPHOSIS METAPHOR METAPHORICAL METAPHORICALLY METAPHORS',
+    'METAPHYSICAL METAPHYSICS METE METED METEOR METEORIC METEORITE METEORITES METEOROLOGIST',
+    'METEOROLOGISTS METEOROLOGY METEORS METER METERED METERING METERS METES METHOD METHODICAL METHODOLOGY',
+    'METHODS METICULOUS METING METRIC METRO METROPOLIS METROPOLISES METROPOLITAN METROS METTLE MEW MEWED',
+    'MEWING MEWS MEZZANINE MEZZANINES MICE MICROBE MICROBES MICROBIOLOGY MICROCODE MICROCOMPUTER',
+    'MICROCOMPUTERS MICROFICHE MICROFILM MICROFILMED MICROFILMING MICROFILMS MICROMETER MICROMETERS',
+    'MICROORGANISM MICROORGANISMS MICROPHONE MICROPHONES MICROPROCESSOR MICROSCOPE MICROSCOPES',
+    'MICROSCOPIC MICROSECOND MICROSECONDS MICROWAVE MICROWAVED MICROWAVES MICROWAVING MIDDAY MIDDLE',
+    'MIDDLEMAN MIDDLEMEN MIDDLES MIDGET MIDGETS MIDNIGHT MIDRIFF MIDRIFFS MIDST MIDSTREAM MIDSUMMER',
+    'MIDWAY MIDWAYS MIDWIFE MIDWIFED MIDWIFES MIDWIFING MIDWIVES MIEN MIENS MIGHT MIGHTIER MIGHTIEST',
+    'MIGHTY MIGRAINE MIGRAINES MIGRANT MIGRANTS MIGRATE MIGRATED MIGRATES MIGRATING MIGRATION MIGRATIONS',
+    'MIGRATORY MIKE MIKED MIKES MIKING MILD MILDER MILDEST MILDEW MILDEWED MILDEWING MILDEWS MILDLY MILE',
+    'MILEAGE MILEAGES MILES MILESTONE MILESTONES MILITANCY MILITANT MILITANTS MILITARILY MILITARY',
+    'MILITATE MILITATED MILITATES MILITATING MILITIA MILITIAS MILK MILKED MILKER MILKIER MILKIEST MILKING',
+    'MILKMAN MILKMEN MILKS MILKY MILL MILLED MILLER MILLERS MILLIGRAM MILLIGRAMS MILLIMETER MILLIMETERS',
+    'MILLINER MILLINERS MILLINERY MILLING MILLION MILLIONAIRE MILLIONAIRES MILLIONS MILLIONTH MILLIONTHS',
+    'MILLISECOND MILLISECONDS MILLS MIME MIMED MIMES MIMIC MIMICKED MIMICKING MIMICRIES MIMICRY MIMICS',
+    'MIMING MINCE MINCED MINCEMEAT MINCES MINCING MIND MINDBOGGLINGLY MINDED MINDEDNESS MINDFUL MINDING',
+    'MINDLESS MINDLESSLY MINDS MINE MINED MINEFIELD MINER MINERAL MINERALS MINERS MINES MINGLE MINGLED',
+    'MINGLES MINGLING MINIATURE MINIATURES MINIBUS MINIBUSES MINICOMPUTER MINIMAL MINIMALISM MINIMALIST',
+    'MINIMALLY MINIMIZE MINIMIZED MINIMIZES MINIMIZING MINIMUM MINIMUMS MINING MINION MINIONS MINISTER',
+    'MINISTERED MINISTERIAL MINISTERING MINISTERS MINISTRIES MINISTRY MINK MINKS MINNOW MINNOWS MINOR',
+    'MINORED MINORING MINORITIES MINORITY MINORS MINSTREL MINSTRELS MINT MINTED MINTING MINTS MINUET',
+    'MINUETS MINUS MINUSCULE MINUSCULES MINUSES MINUTE MINUTED MINUTER MINUTES MINUTEST MINUTING MIRACLE',
+    'MIRACLES MIRACULOUS MIRACULOUSLY MIRAGE MIRAGES MIRE MIRED MIRES MIRING MIRROR MIRRORED MIRRORING',
+    'MIRRORS MIRTH MISADVENTURE MISADVENTURES MISAPPREHENSION MISAPPROPRIATE MISAPPROPRIATED',
+    'MISAPPROPRIATES MISAPPROPRIATING MISAPPROPRIATION MISAPPROPRIATIONS MISBEHAVE MISBEHAVED MISBEHAVES',
+    'MISBEHAVING MISBEHAVIOR MISCARRIAGE MISCARRIAGES MISCARRIED MISCARRIES MISCARRY MISCARRYING',
+    'MISCELLANEOUS MISCELLANY MISCHIEF MISCHIEVOUS MISCONCEPTION MISCONCEPTIONS MISCONDUCT MISCONDUCTED',
+    'MISCONDUCTING MISCONDUCTS MISCONSTRUE MISCONSTRUED MISCONSTRUES MISCONSTRUING MISDEED MISDEEDS',
+    'MISDEMEANOR MISDEMEANORS MISDIRECT MISDIRECTED MISDIRECTING MISDIRECTION MISDIRECTS MISER MISERABLE',
+    'MISERABLY MISERIES MISERLY MISERS MISERY MISFIT MISFITS MISFITTED MISFITTING MISFORTUNE MISFORTUNES',
+    'MISGIVING MISGIVINGS MISGUIDE MISGUIDED MISGUIDES MISGUIDING MISHAP MISHAPS MISINFORM MISINFORMATION',
+    'MISINFORMED MISINFORMING MISINFORMS MISINTERPRET MISINTERPRETATION MISINTERPRETED MISINTERPRETING',
+    'MISINTERPRETS MISJUDGE MISJUDGED MISJUDGES MISJUDGING MISLAID MISLAY MISLAYING MISLAYS MISLEAD',
+    'MISLEADING MISLEADS MISLED MISMANAGEMENT MISMATCH MISMATCHED MISMATCHES MISMATCHING MISNOMER',
+    'MISNOMERS MISPLACE MISPLACED MISPLACES MISPLACING MISPRINT MISPRINTED MISPRINTING MISPRINTS MISQUOTE',
+    'MISQUOTED MISQUOTES MISQUOTING MISREAD MISREADING MISREADS MISREPRESENT MISREPRESENTATION',
+    'MISREPRESENTATIONS MISREPRESENTED MISREPRESENTING MISREPRESENTS MISS MISSED MISSES MISSHAPEN MISSILE',
+    'MISSILES MISSING MISSION MISSIONARIES MISSIONARY MISSIONS MISSIVE MISSIVES MISSPELL MISSPELLED',
+    'MISSPELLING MISSPELLINGS MISSPELLS MIST MISTAKE MISTAKEN MISTAKENLY MISTAKES MISTAKING MISTED',
+    'MISTIER MISTIEST MISTING MISTLETOE MISTOOK MISTRESS MISTRESSES MISTRUST MISTRUSTED MISTRUSTING',
+    'MISTRUSTS MISTS MISTY MISTYPE MISTYPING MISUNDERSTAND MISUNDERSTANDING MISUNDERSTANDINGS',
+    'MISUNDERSTANDS MISUNDERSTOOD MISUSE MISUSED MISUSES MISUSING MITE MITES MITIGATE MITIGATED MITIGATES',
+    'MITIGATING MITT MITTEN MITTENS MITTS MIX MIXED MIXER MIXERS MIXES MIXING MIXTURE MIXTURES MNEMONIC',
+    'MNEMONICS MOAN MOANED MOANING MOANS MOAT MOATS MOB MOBBED MOBBING MOBILE MOBILES MOBILITY',
+    'MOBILIZATION MOBILIZATIONS MOBILIZE MOBILIZED MOBILIZES MOBILIZING MOBS MOCCASIN MOCCASINS MOCK',
+    'MOCKED MOCKERIES MOCKERY MOCKING MOCKINGBIRD MOCKINGBIRDS MOCKS MOD MODAL MODE MODEL MODELED',
+    'MODELING MODELINGS MODELS MODERATE MODERATED MODERATELY MODERATES MODERATING MODERATION MODERATOR',
+    'MODERATORS MODERN MODERNITY MODERNIZATION MODERNIZE MODERNIZED MODERNIZES MODERNIZING MODERNS MODES',
+    'MODEST MODESTLY MODESTY MODICUM MODICUMS MODIFICATION MODIFICATIONS MODIFIED MODIFIER MODIFIERS',
+    'MODIFIES MODIFY MODIFYING MODULAR MODULATE MODULATED MODULATES MODULATING MODULATION MODULATIONS',
+    'MODULE MODULES MOHAIR MOIST MOISTEN MOISTENED MOISTENING MOISTENS MOISTER MOISTEST MOISTURE MOLAR',
+    'MOLARS MOLASSES MOLD MOLDED MOLDIER MOLDIEST MOLDING MOLDINGS MOLDS MOLDY MOLE MOLECULAR MOLECULE',
+    'MOLECULES MOLES MOLEST MOLESTED MOLESTING MOLESTS MOLLIFIED MOLLIFIES MOLLIFY MOLLIFYING MOLLUSK',
+    'MOLLUSKS MOLT MOLTED MOLTEN MOLTING MOLTS MOM MOMENT MOMENTARILY MOMENTARY MOMENTOUS MOMENTS',
+    'MOMENTUM MOMS MONARCH MONARCHIES MONARCHS MONARCHY MONASTERIES MONASTERY MONASTIC MONASTICS',
+    'MONETARISM MONETARY MONEY MONGOOSE MONGREL MONGRELS MONIES MONITOR MONITORED MONITORING MONITORS',
+    'MONK MONKEY MONKEYED MONKEYING MONKEYS MONKS MONOCHROME MONOGAMOUS MONOGAMY MONOGRAM MONOGRAMMED',
+    'MONOGRAMMING MONOGRAMS MONOLITHIC MONOLOGUE MONOLOGUES MONOPOLIES MONOPOLIZE MONOPOLIZED MONOPOLIZES',
+    'MONOPOLIZING MONOPOLY MONORAIL MONORAILS MONOSYLLABLE MONOSYLLABLES MONOTONICALLY MONOTONOUS',
+    'MONOTONY MONSOON MONSOONS MONSTER MONSTERS MONSTROSITIES MONSTROSITY MONSTROUS MONTH MONTHLIES',
+    'MONTHLY MONTHS MONUMENT MONUMENTAL MONUMENTS MOO MOOD MOODIER MOODIEST MOODILY MOODS MOODY MOOED',
+    'MOOING MOON MOONBEAM MOONBEAMS MOONED MOONING MOONLIGHT MOONLIGHTED MOONLIGHTING MOONLIGHTS MOONS',
+    'MOOR MOORED MOORING MOORINGS MOORS MOOS MOOSE MOOT MOOTED MOOTING MOOTS MOP MOPE MOPED MOPES MOPING',
+    'MOPPED MOPPING MOPS MORAL MORALE MORALIST MORALISTS MORALITIES MORALITY MORALLY MORALS MORASS',
+    'MORASSES MORATORIUM MORATORIUMS MORBID MORE MOREOVER MORGUE MORGUES MORN MORNING MORNINGS MORNS',
+    'MORON MORONIC MORONS MOROSE MORPHINE MORPHOLOGY MORSEL MORSELS MORTAL MORTALITY MORTALLY MORTALS',
+    'MORTAR MORTARED MORTARING MORTARS MORTGAGE MORTGAGED MORTGAGES MORTGAGING MORTIFICATION MORTIFIED',
+    'MORTIFIES MORTIFY MORTIFYING MORTUARIES MORTUARY MOSAIC MOSAICS MOSQUE MOSQUES MOSQUITO MOSQUITOES',
+    'MOSS MOSSES MOSSIER MOSSIEST MOSSY MOST MOSTLY MOTEL MOTELS MOTH MOTHBALL MOTHBALLED MOTHBALLING',
+    'MOTHBALLS MOTHER MOTHERED MOTHERHOOD MOTHERING MOTHERLY MOTHERS MOTHS MOTIF MOTIFS MOTION MOTIONED',
+    'MOTIONING MOTIONLESS MOTIONS MOTIVATE MOTIVATED MOTIVATES MOTIVATING MOTIVATION MOTIVATIONS MOTIVE',
+    'MOTIVES MOTLEY MOTLEYS MOTLIER MOTLIEST MOTOR MOTORBIKE MOTORBIKES MOTORCADE MOTORCADES MOTORCYCLE',
+    'MOTORCYCLED MOTORCYCLES MOTORCYCLING MOTORED MOTORING MOTORIST MOTORISTS MOTORIZE MOTORIZED',
+    'MOTORIZES MOTORIZING MOTORS MOTORWAY MOTORWAYS MOTTO MOTTOES MOUND MOUNDED MOUNDING MOUNDS MOUNT',
+    'MOUNTAIN MOUNTAINEER MOUNTAINEERED MOUNTAINEERING MOUNTAINEERS MOUNTAINOUS MOUNTAINS MOUNTED',
+    'MOUNTING MOUNTS MOURN MOURNED MOURNER MOURNERS MOURNFUL MOURNING MOURNS MOUSE MOUSED MOUSES MOUSIER',
+    'MOUSIEST MOUSING MOUSSE MOUSSED MOUSSES MOUSSING MOUSY MOUTH MOUTHED MOUTHFUL MOUTHFULS MOUTHING',
+    'MOUTHPIECE MOUTHPIECES MOUTHS MOVABLE MOVABLES MOVE MOVED MOVEMENT MOVEMENTS MOVER MOVERS MOVES',
+    'MOVIE MOVIES MOVING MOW MOWED MOWER MOWERS MOWING MOWS MS MU MUCH MUCK MUCKED MUCKING MUCKS MUCOUS',
+    'MUCUS MUD MUDDIED MUDDIER MUDDIES MUDDIEST MUDDLE MUDDLED MUDDLES MUDDLING MUDDY MUDDYING MUFF',
+    'MUFFED MUFFIN MUFFING MUFFINS MUFFLE MUFFLED MUFFLER MUFFLERS MUFFLES MUFFLING MUFFS MUG MUGGED',
+    'MUGGER MUGGERS MUGGIER MUGGIEST MUGGINESS MUGGING MUGGY MUGS MULCH MULCHED MULCHES MULCHING MULE',
+    'MULES MULL MULLED MULLING MULLS MULTI MULTINATIONAL MULTINATIONALS MULTIPLE MULTIPLES MULTIPLICATION',
+    'MULTIPLICATIONS MULTIPLICATIVE MULTIPLICITIES MULTIPLICITY MULTIPLIED MULTIPLIES MULTIPLY',
+    'MULTIPLYING MULTIPROCESSING MULTITASKING MULTITUDE MULTITUDES MUM MUMBLE MUMBLED MUMBLES MUMBLING',
+    'MUMMIES MUMMIFIED MUMMIFIES MUMMIFY MUMMIFYING MUMMY MUMPS MUNCH MUNCHED MUNCHES MUNCHING MUNDANE',
+    'MUNICIPAL MUNICIPALITIES MUNICIPALITY MUNICIPALS MURAL MURALS MURDER MURDERED MURDERER MURDERERS',
+    'MURDERING MURDEROUS MURDERS MURKIER MURKIEST MURKY MURMUR MURMURED MURMURING MURMURS MUSCLE MUSCLED',
+    'MUSCLES MUSCLING MUSCULAR MUSE MUSED MUSES MUSEUM MUSEUMS MUSH MUSHED MUSHES MUSHIER MUSHIEST',
+    'MUSHING MUSHROOM MUSHROOMED MUSHROOMING MUSHROOMS MUSHY MUSIC MUSICAL MUSICALLY MUSICALS MUSICIAN',
+    'MUSICIANS MUSING MUSK MUSKET MUSKETS MUSS MUSSED MUSSEL MUSSELS MUSSES MUSSING MUST MUSTACHE',
+    'MUSTACHES MUSTANG MUSTANGS MUSTARD MUSTER MUSTERED MUSTERING MUSTERS MUSTIER MUSTIEST MUSTS MUSTY',
+    'MUTANT MUTANTS MUTATE MUTATED MUTATES MUTATING MUTATION MUTATIONS MUTE MUTED MUTELY MUTER MUTES',
+    'MUTEST MUTILATE MUTILATED MUTILATES MUTILATING MUTILATION MUTILATIONS MUTING MUTINIED MUTINIES',
+    'MUTINOUS MUTINY MUTINYING MUTT MUTTER MUTTERED MUTTERING MUTTERS MUTTON MUTTS MUTUAL MUTUALLY MUZZLE',
+    'MUZZLED MUZZLES MUZZLING MY MYOPIC MYRIAD MYRIADS MYS MYSELF MYSTERIES MYSTERIOUS MYSTERIOUSLY',
+    'MYSTERY MYSTIC MYSTICAL MYSTICISM MYSTICS MYSTIFIED MYSTIFIES MYSTIFY MYSTIFYING MYTH MYTHICAL',
+    'MYTHOLOGICAL MYTHOLOGIES MYTHOLOGY MYTHS NAB NABBED NABBING NABS NAG NAGGED NAGGING NAGS NAIL NAILED',
+    'NAILING NAILS NAIVE NAIVELY NAIVER NAIVEST NAIVETY NAKED NAKEDNESS NAME NAMED NAMELESS NAMELY NAMES',
+    'NAMESAKE NAMESAKES NAMING NAP NAPALM NAPALMED NAPALMING NAPALMS NAPE NAPES NAPKIN NAPKINS NAPPED',
+    'NAPPIES NAPPING NAPPY NAPS NARCOTIC NARCOTICS NARRATE NARRATED NARRATES NARRATING NARRATION',
+    'NARRATIONS NARRATIVE NARRATIVES NARRATOR NARRATORS NARROW NARROWED NARROWER NARROWEST NARROWING',
+    'NARROWLY NARROWNESS NARROWS NASAL NASALS NASTIER NASTIEST NASTILY NASTINESS NASTY NATION NATIONAL',
+    'NATIONALISM NATIONALIST NATIONALISTIC NATIONALISTS NATIONALITIES NATIONALITY NATIONALIZE',
+    'NATIONALIZED NATIONALIZES NATIONALIZING NATIONALLY NATIONALS NATIONS NATIONWIDE NATIVE NATIVES',
+    'NATIVITIES NATIVITY NATTIER NATTIEST NATTY NATURAL NATURALIST NATURALISTS NATURALIZATION NATURALIZE',
+    'NATURALIZED NATURALIZES NATURALIZING NATURALLY NATURALNESS NATURALS NATURE NATURES NAUGHT NAUGHTIER',
+    'NAUGHTIEST NAUGHTILY NAUGHTINESS NAUGHTS NAUGHTY NAUSEA NAUSEATE NAUSEATED NAUSEATES NAUSEATING',
+    'NAUSEOUS NAUTICAL NAVAL NAVEL NAVELS NAVIES NAVIGABLE NAVIGATE NAVIGATED NAVIGATES NAVIGATING',
+    'NAVIGATION NAVIGATOR NAVIGATORS NAVY NAY NAYS NEAR NEARBY NEARED NEARER NEAREST NEARING NEARLY NEARS',
+    'NEARSIGHTED NEARSIGHTEDNESS NEAT NEATER NEATEST NEATLY NEATNESS NEBULA NEBULAE NEBULOUS NECESSARIES',
+    'NECESSARILY NECESSARY NECESSITATE NECESSITATED NECESSITATES NECESSITATING NECESSITIES NECESSITY NECK',
+    'NECKED NECKERCHIEF NECKERCHIEFS NECKING NECKLACE NECKLACES NECKLINE NECKLINES NECKS NECKTIE NECKTIES',
+    'NECROPHILIA NECTAR NECTARINE NECTARINES NEED NEEDED NEEDIER NEEDIEST NEEDING NEEDLE NEEDLED NEEDLES',
+    'NEEDLESS NEEDLESSLY NEEDLEWORK NEEDLING NEEDS NEEDY NEGATE NEGATED NEGATES NEGATING NEGATION',
+    'NEGATIONS NEGATIVE NEGATIVED NEGATIVELY NEGATIVES NEGATIVING NEGLECT NEGLECTED NEGLECTFUL NEGLECTING',
+    'NEGLECTS NEGLIGEE NEGLIGEES NEGLIGENCE NEGLIGENT NEGLIGENTLY NEGLIGIBLE NEGOTIABLE NEGOTIATE',
+    'NEGOTIATED NEGOTIATES NEGOTIATING NEGOTIATION NEGOTIATIONS NEGOTIATOR NEGOTIATORS NEIGH NEIGHBOR',
+    'NEIGHBORED NEIGHBORHOOD NEIGHBORHOODS NEIGHBORING NEIGHBORLINESS NEIGHBORLY NEIGHBORS NEIGHED',
+    'NEIGHING NEIGHS NEITHER NEON NEOPHYTE NEOPHYTES NEPHEW NEPHEWS NEPOTISM NERVE NERVED NERVES NERVING',
+    'NERVOUS NERVOUSLY NERVOUSNESS NEST NESTED NESTING NESTLE NESTLED NESTLES NESTLING NESTS NET NETHER',
+    'NETS NETTED NETTING NETTLE NETTLED NETTLES NETTLING NETWORK NETWORKED NETWORKING NETWORKS NEURAL',
+    'NEUROLOGIST NEUROLOGISTS NEUROLOGY NEURON NEURONS NEUROSES NEUROSIS NEUROTIC NEUROTICS NEUTER',
+    'NEUTERED NEUTERING NEUTERS NEUTRAL NEUTRALITY NEUTRALIZE NEUTRALIZED NEUTRALIZES NEUTRALIZING',
+    'NEUTRALS NEUTRON NEUTRONS NEVER NEVERTHELESS NEW NEWBIE NEWBIES NEWBORN NEWBORNS NEWCOMER NEWCOMERS',
+    'NEWER NEWEST NEWFANGLED NEWLY NEWS NEWSAGENTS NEWSCAST NEWSCASTER NEWSCASTERS NEWSCASTS NEWSIER',
+    'NEWSIEST NEWSLETTER NEWSLETTERS NEWSPAPER NEWSPAPERS NEWSPRINT NEWSSTAND NEWSSTANDS NEWSY NEWT',
+    'NEWTON NEWTS NEXT NIBBLE NIBBLED NIBBLES NIBBLING NICE NICELY NICER NICEST NICETIES NICETY NICHE',
+    'NICHES NICK NICKED NICKEL NICKELS NICKING NICKNAME NICKNAMED NICKNAMES NICKNAMING NICKS NICOTINE',
+    'NIECE NIECES NIFTIER NIFTIEST NIFTY NIGH NIGHT NIGHTCLUB NIGHTCLUBBED NIGHTCLUBBING NIGHTCLUBS',
+    'NIGHTFALL NIGHTGOWN NIGHTGOWNS NIGHTINGALE NIGHTINGALES NIGHTLY NIGHTMARE NIGHTMARES NIGHTMARISH',
+    'NIGHTS NIGHTTIME NIL NIMBLE NIMBLER NIMBLEST NIMBLY NINCOMPOOP NINCOMPOOPS NINE NINES NINETEEN',
+    'NINETEENS NINETEENTH NINETEENTHS NINETIES NINETIETH NINETIETHS NINETY NINNIES NINNY NINTH NINTHS NIP',
+    'NIPPED NIPPIER NIPPIEST NIPPING NIPPLE NIPPLES NIPPY NIPS NIT NITRATE NITRATED NITRATES NITRATING',
+    'NITROGEN NITS NITWIT NITWITS NO NOBILITY NOBLE NOBLEMAN NOBLEMEN NOBLER NOBLES NOBLEST NOBLEWOMAN',
+    'NOBLEWOMEN NOBLY NOBODIES NOBODY NOCTURNAL NOD NODDED NODDING NODE NODES NODS NOES NOISE NOISED',
+    'NOISELESS NOISELESSLY NOISES NOISIER NOISIEST NOISILY NOISINESS NOISING NOISY NOMAD NOMADIC NOMADS',
+    'NOMENCLATURE NOMENCLATURES NOMINAL NOMINALLY NOMINATE NOMINATED NOMINATES NOMINATING NOMINATION',
+    'NOMINATIONS NOMINATIVE NOMINATIVES NOMINEE NOMINEES NON NONCHALANCE NONCHALANT NONCHALANTLY',
+    'NONCOMMITTAL NONCONFORMIST NONCONFORMISTS NONDESCRIPT NONE NONENTITIES NONENTITY NONETHELESS',
+    'NONFICTION NONFLAMMABLE NONPARTISAN NONPARTISANS NONPROFIT NONPROFITS NONRESIDENT NONRESIDENTS',
+    'NONSENSE NONSENSICAL NONSTANDARD NONSTOP NONTRIVIAL NONVIOLENCE NOODLE NOODLED NOODLES NOODLING NOOK',
+    'NOOKS NOON NOOSE NOOSES NOR NORM NORMAL NORMALITY NORMALLY NORMS NORTH NORTHEAST NORTHEASTERLY',
+    'NORTHEASTERN NORTHERLIES NORTHERLY NORTHERN NORTHWARD NORTHWEST NORTHWESTERN NOSE NOSEBLEED',
+    'NOSEBLEEDS NOSED NOSES NOSIER NOSIEST NOSING NOSTALGIA NOSTALGIC NOSTRIL NOSTRILS NOSY NOT NOTABLE',
+    'NOTABLES NOTABLY NOTATION NOTATIONS NOTCH NOTCHED NOTCHES NOTCHING NOTE NOTEBOOK NOTEBOOKS NOTED',
+    'NOTES NOTEWORTHY NOTHING NOTHINGNESS NOTHINGS NOTICE NOTICEABLE NOTICEABLY NOTICEBOARD NOTICEBOARDS',
+    'NOTICED NOTICES NOTICING NOTIFICATION NOTIFICATIONS NOTIFIED NOTIFIES NOTIFY NOTIFYING NOTING NOTION',
+    'NOTIONAL NOTIONS NOTORIETY NOTORIOUS NOTORIOUSLY NOTWITHSTANDING NOUGAT NOUGATS NOUN NOUNS NOURISH',
+    'NOURISHED NOURISHES NOURISHING NOURISHMENT NOVA NOVEL NOVELIST NOVELISTS NOVELS NOVELTIES NOVELTY',
+    'NOVICE NOVICES NOW NOWADAYS NOWHERE NOXIOUS NOZZLE NOZZLES NUANCE NUANCES NUCLEAR NUCLEI NUCLEUS',
+    'NUDE NUDER NUDES NUDEST NUDGE NUDGED NUDGES NUDGING NUDITY NUGGET NUGGETS NUISANCE NUISANCES NULL',
+    'NULLIFIED NULLIFIES NULLIFY NULLIFYING NULLS NUMB NUMBED NUMBER NUMBERED NUMBERING NUMBERS NUMBEST',
+    'NUMBING NUMBNESS NUMBS NUMERAL NUMERALS NUMERATE NUMERATOR NUMERATORS NUMERIC NUMERICAL NUMERICALLY',
+    'NUMEROUS NUN NUNS NUPTIAL NUPTIALS NURSE NURSED NURSEMAID NURSEMAIDS NURSERIES NURSERY NURSES',
+    'NURSING NURTURE NURTURED NURTURES NURTURING NUT NUTCRACKER NUTCRACKERS NUTMEG NUTMEGS NUTRIENT',
+    'NUTRIENTS NUTRIMENT NUTRIMENTS NUTRITION NUTRITIONAL NUTRITIOUS NUTS NUTSHELL NUTSHELLS NUTTED',
+    'NUTTIER NUTTIEST NUTTING NUTTY NUZZLE NUZZLED NUZZLES NUZZLING NYLON NYMPH NYMPHS OAF OAFS OAK OAKS',
+    'OAR OARED OARING OARS OASES OASIS OATH OATHS OATMEAL OBEDIENCE OBEDIENT OBEDIENTLY OBELISK OBELISKS',
+    'OBESE OBESITY OBEY OBEYED OBEYING OBEYS OBFUSCATION OBITUARIES OBITUARY OBJECT OBJECTED OBJECTING',
+    'OBJECTION OBJECTIONABLE OBJECTIONS OBJECTIVE OBJECTIVELY OBJECTIVES OBJECTIVITY OBJECTOR OBJECTORS',
+    'OBJECTS OBLIGATE OBLIGATED OBLIGATES OBLIGATING OBLIGATION OBLIGATIONS OBLIGATORY OBLIGE OBLIGED',
+    'OBLIGES OBLIGING OBLIQUE OBLIQUES OBLITERATE OBLITERATED OBLITERATES OBLITERATING OBLITERATION',
+    'OBLIVION OBLIVIOUS OBLONG OBLONGS OBNOXIOUS OBOE OBOES OBSCENE OBSCENER OBSCENEST OBSCENITIES',
+    'OBSCENITY OBSCURE OBSCURED OBSCURER OBSCURES OBSCUREST OBSCURING OBSCURITIES OBSCURITY OBSERVABLE',
+    'OBSERVANCE OBSERVANCES OBSERVANT OBSERVATION OBSERVATIONS OBSERVATORIES OBSERVATORY OBSERVE OBSERVED',
+    'OBSERVER OBSERVERS OBSERVES OBSERVING OBSESS OBSESSED OBSESSES OBSESSING OBSESSION OBSESSIONS',
+    'OBSESSIVE OBSOLESCENCE OBSOLESCENT OBSOLETE OBSOLETED OBSOLETES OBSOLETING OBSTACLE OBSTACLES',
+    'OBSTETRICIAN OBSTETRICIANS OBSTETRICS OBSTINACY OBSTINATE OBSTRUCT OBSTRUCTED OBSTRUCTING',
+    'OBSTRUCTION OBSTRUCTIONS OBSTRUCTIVE OBSTRUCTS OBTAIN OBTAINABLE OBTAINED OBTAINING OBTAINS',
+    'OBTRUSIVE OBTUSE OBTUSER OBTUSEST OBVIOUS OBVIOUSLY OCCASION OCCASIONAL OCCASIONALLY OCCASIONED',
+    'OCCASIONING OCCASIONS OCCUPANCY OCCUPANT OCCUPANTS OCCUPATION OCCUPATIONAL OCCUPATIONS OCCUPIED',
+    'OCCUPIES OCCUPY OCCUPYING OCCUR OCCURRED OCCURRENCE OCCURRENCES OCCURRING OCCURS OCEAN OCEANIC',
+    'OCEANOGRAPHY OCEANS OCTAGON OCTAGONAL OCTAGONS OCTAL OCTAVE OCTAVES OCTOPUS OCTOPUSES OCULAR OCULARS',
+    'ODD ODDER ODDEST ODDITIES ODDITY ODDLY ODDS ODE ODES ODIOUS ODOMETER ODOMETERS ODOR ODORS OF OFF',
+    'OFFBEAT OFFBEATS OFFED OFFEND OFFENDED OFFENDER OFFENDERS OFFENDING OFFENDS OFFENSE OFFENSES',
+    'OFFENSIVE OFFENSIVENESS OFFENSIVES OFFER OFFERED OFFERING OFFERINGS OFFERS OFFHAND OFFICE OFFICER',
+    'OFFICERS OFFICES OFFICIAL OFFICIALLY OFFICIALS OFFICIATE OFFICIATED OFFICIATES OFFICIATING OFFICIOUS',
+    'OFFING OFFINGS OFFLOAD OFFS OFFSET OFFSETS OFFSETTING OFFSHOOT OFFSHOOTS OFFSHORE OFFSPRING OFFSTAGE',
+    'OFFSTAGES OFTEN OFTENER OFTENEST OGLE OGLED OGLES OGLING OGRE OGRES OH OHM OHMS OHS OIL OILED OILIER',
+    'OILIEST OILING OILS OILY OINTMENT OINTMENTS OK OKAY OKAYING OKAYS OKED OKING OKRA OKRAS OKS OLD',
+    'OLDEN OLDER OLDEST OLFACTORIES OLFACTORY OLIVE OLIVES OMEGA OMELET OMELETS OMEN OMENS OMINOUS',
+    'OMINOUSLY OMISSION OMISSIONS OMIT OMITS OMITTED OMITTING OMNIBUS OMNIPOTENCE OMNIPOTENT OMNIPRESENT',
+    'OMNISCIENT ON ONCE ONCOMING ONE ONEROUS ONES ONESELF ONGOING ONION ONIONS ONLOOKER ONLOOKERS ONLY',
+    'ONOMATOPOEIA ONRUSH ONRUSHES ONSET ONSETS ONSLAUGHT ONSLAUGHTS ONTO ONUS ONUSES ONWARD OODLES OOZE',
+    'OOZED OOZES OOZING OPAL OPALS OPAQUE OPAQUED OPAQUER OPAQUES OPAQUEST OPAQUING OPEN OPENED OPENER',
+    'OPENERS OPENEST OPENING OPENINGS OPENLY OPENNESS OPENS OPERA OPERAND OPERANDS OPERAS OPERATE',
+    'OPERATED OPERATES OPERATIC OPERATING OPERATION OPERATIONAL OPERATIONS OPERATIVE OPERATIVES OPERATOR',
+    'OPERATORS OPHTHALMOLOGIST OPHTHALMOLOGISTS OPHTHALMOLOGY OPINION OPINIONATED OPINIONS OPIUM OPOSSUM',
+    'OPOSSUMS OPPONENT OPPONENTS OPPORTUNE OPPORTUNIST OPPORTUNISTS OPPORTUNITIES OPPORTUNITY OPPOSE',
+    'OPPOSED OPPOSES OPPOSING OPPOSITE OPPOSITES OPPOSITION OPPRESS OPPRESSED OPPRESSES OPPRESSING',
+    'OPPRESSION OPPRESSIVE OPPRESSOR OPPRESSORS OPT OPTED OPTIC OPTICAL OPTICIAN OPTICIANS OPTICS OPTIMA',
+    'OPTIMAL OPTIMISM OPTIMIST OPTIMISTIC OPTIMISTS OPTIMIZATION OPTIMIZE OPTIMIZED OPTIMIZES OPTIMIZING',
+    'OPTIMUM OPTIMUMS OPTING OPTION OPTIONAL OPTIONALLY OPTIONED OPTIONING OPTIONS OPTOMETRIST',
+    'OPTOMETRISTS OPTS OPULENT OPUS OPUSES OR ORACLE ORACLES ORAL ORALS ORANGE ORANGES ORANGUTAN',
+    'ORANGUTANS ORATION ORATIONS ORATOR ORATORIES ORATORS ORATORY ORBIT ORBITAL ORBITALS ORBITED ORBITING',
+    'ORBITS ORCHARD ORCHARDS ORCHESTRA ORCHESTRAL ORCHESTRAS ORCHESTRATE ORCHESTRATED ORCHESTRATES',
+    'ORCHESTRATING ORCHESTRATION ORCHESTRATIONS ORCHID ORCHIDS ORDAIN ORDAINED ORDAINING ORDAINS ORDEAL',
+    'ORDEALS ORDER ORDERED ORDERING ORDERLIES ORDERLY ORDERS ORDINANCE ORDINANCES ORDINARIES ORDINARILY',
+    'ORDINARY ORDINATION ORDINATIONS ORE ORES ORGAN ORGANIC ORGANICS ORGANISM ORGANISMS ORGANIST',
+    'ORGANISTS ORGANIZATION ORGANIZATIONAL ORGANIZATIONS ORGANIZE ORGANIZED ORGANIZER ORGANIZERS',
+    'ORGANIZES ORGANIZING ORGANS ORGASM ORGIES ORGY ORIENT ORIENTAL ORIENTATE ORIENTATED ORIENTATES',
+    'ORIENTATING ORIENTATION ORIENTATIONS ORIENTED ORIENTING ORIENTS ORIFICE ORIGIN ORIGINAL ORIGINALITY',
+    'ORIGINALLY ORIGINALS ORIGINATE ORIGINATED ORIGINATES ORIGINATING ORIGINATOR ORIGINATORS ORIGINS',
+    'ORNAMENT ORNAMENTAL ORNAMENTED ORNAMENTING ORNAMENTS ORNATE ORNATELY ORNITHOLOGIST ORNITHOLOGISTS',
+    'ORNITHOLOGY ORPHAN ORPHANAGE ORPHANAGES ORPHANED ORPHANING ORPHANS ORTHODONTIST ORTHODONTISTS',
+    'ORTHODOX ORTHOGONAL ORTHOGONALITY ORTHOGRAPHY ORTHOPEDICS OSCILLATE OSCILLATED OSCILLATES',
+    'OSCILLATING OSCILLATION OSCILLATIONS OSCILLOSCOPE OSMOSIS OSTENSIBLE OSTENSIBLY OSTENTATION',
+    'OSTENTATIOUS OSTRACIZE OSTRACIZED OSTRACIZES OSTRACIZING OSTRICH OSTRICHES OTHER OTHERS OTHERWISE',
+    'OTTER OTTERS OUCH OUGHT OUNCE OUNCES OUR OURS OURSELVES OUST OUSTED OUSTER OUSTERS OUSTING OUSTS OUT',
+    'OUTBOUND OUTBREAK OUTBREAKS OUTBURST OUTBURSTS OUTCAST OUTCASTS OUTCLASS OUTCLASSED OUTCLASSES',
+    'OUTCLASSING OUTCOME OUTCOMES OUTCRIES OUTCRY OUTDATED OUTDID OUTDISTANCE OUTDISTANCED OUTDISTANCES',
+    'OUTDISTANCING OUTDO OUTDOES OUTDOING OUTDONE OUTDOOR OUTDOORS OUTED OUTER OUTERMOST OUTFIELD',
+    'OUTFIELDS OUTFIT OUTFITS OUTFITTED OUTFITTING OUTGOING OUTGREW OUTGROW OUTGROWING OUTGROWN OUTGROWS',
+    'OUTGROWTH OUTGROWTHS OUTHOUSE OUTHOUSES OUTING OUTINGS OUTLAID OUTLANDISH OUTLAST OUTLASTED',
+    'OUTLASTING OUTLASTS OUTLAW OUTLAWED OUTLAWING OUTLAWS OUTLAY OUTLAYING OUTLAYS OUTLET OUTLETS',
+    'OUTLINE OUTLINED OUTLINES OUTLINING OUTLIVE OUTLIVED OUTLIVES OUTLIVING OUTLOOK OUTLOOKS OUTLYING',
+    'OUTMODED OUTNUMBER OUTNUMBERED OUTNUMBERING OUTNUMBERS OUTPATIENT OUTPATIENTS OUTPOST OUTPOSTS',
+    'OUTPUT OUTPUTS OUTPUTTED OUTPUTTING OUTRAGE OUTRAGED OUTRAGEOUS OUTRAGEOUSLY OUTRAGES OUTRAGING',
+    'OUTRAN OUTRIGHT OUTRUN OUTRUNNING OUTRUNS OUTS OUTSET OUTSETS OUTSHINE OUTSHINES OUTSHINING OUTSHONE',
+    'OUTSIDE OUTSIDER OUTSIDERS OUTSIDES OUTSKIRT OUTSKIRTS OUTSMART OUTSMARTED OUTSMARTING OUTSMARTS',
+    'OUTSPOKEN OUTSTANDING OUTSTANDINGLY OUTSTATION OUTSTATIONS OUTSTRIP OUTSTRIPPED OUTSTRIPPING',
+    'OUTSTRIPS OUTWARD OUTWARDLY OUTWARDS OUTWEIGH OUTWEIGHED OUTWEIGHING OUTWEIGHS OUTWIT OUTWITS',
+    'OUTWITTED OUTWITTING OVA OVAL OVALS OVARIES OVARY OVATION OVATIONS OVEN OVENS OVER OVERALL OVERALLS',
+    'OVERATE OVERBEAR OVERBEARING OVERBEARS OVERBLOWN OVERBOARD OVERBORE OVERBORNE OVERBURDEN',
+    'OVERBURDENED OVERBURDENING OVERBURDENS OVERCAME OVERCAST OVERCASTING OVERCASTS OVERCHARGE',
+    'OVERCHARGED OVERCHARGES OVERCHARGING OVERCOAT OVERCOATS OVERCOME OVERCOMES OVERCOMING OVERCROWD',
+    'OVERCROWDED OVERCROWDING OVERCROWDS OVERDID OVERDO OVERDOES OVERDOING OVERDONE OVERDOSE OVERDOSED',
+    'OVERDOSES OVERDOSING OVERDRAFT OVERDRAW OVERDRAWING OVERDRAWN OVERDRAWS OVERDREW OVERDUE OVEREAT',
+    'OVEREATEN OVEREATING OVEREATS OVERESTIMATE OVERESTIMATED OVERESTIMATES OVERESTIMATING OVERFLOW',
+    'OVERFLOWED OVERFLOWING OVERFLOWS OVERGREW OVERGROW OVERGROWING OVERGROWN OVERGROWS OVERHAND',
+    'OVERHANDS OVERHANG OVERHANGING OVERHANGS OVERHAUL OVERHAULED OVERHAULING OVERHAULS OVERHEAD',
+    'OVERHEADS OVERHEAR OVERHEARD OVERHEARING OVERHEARS OVERHEAT OVERHEATED OVERHEATING OVERHEATS',
+    'OVERHUNG OVERKILL OVERLAID OVERLAIN OVERLAND OVERLAP OVERLAPPED OVERLAPPING OVERLAPS OVERLAY',
+    'OVERLAYING OVERLAYS OVERLIE OVERLIES OVERLOAD OVERLOADED OVERLOADING OVERLOADS OVERLONG OVERLOOK',
+    'OVERLOOKED OVERLOOKING OVERLOOKS OVERLY OVERLYING OVERNIGHT OVERNIGHTS OVERPASS OVERPASSES',
+    'OVERPOPULATION OVERPOWER OVERPOWERED OVERPOWERING OVERPOWERS OVERPRICE OVERPRICED OVERPRICES',
+    'OVERPRICING OVERPRINT OVERPRINTED OVERPRINTING OVERPRINTS OVERRAN OVERRATE OVERRATED OVERRATES',
+    'OVERRATING OVERREACT OVERREACTED OVERREACTING OVERREACTS OVERRIDDEN OVERRIDE OVERRIDES OVERRIDING',
+    'OVERRODE OVERRULE OVERRULED OVERRULES OVERRULING OVERRUN OVERRUNNING OVERRUNS OVERS OVERSAMPLING',
+    'OVERSAW OVERSEAS OVERSEE OVERSEEING OVERSEEN OVERSEER OVERSEERS OVERSEES OVERSHADOW OVERSHADOWED',
+    'OVERSHADOWING OVERSHADOWS OVERSHOOT OVERSHOOTING OVERSHOOTS OVERSHOT OVERSIGHT OVERSIGHTS',
+    'OVERSIMPLIFICATION OVERSLEEP OVERSLEEPING OVERSLEEPS OVERSLEPT OVERSTATE OVERSTATED OVERSTATES',
+    'OVERSTATING OVERSTEP OVERSTEPPED OVERSTEPPING OVERSTEPS OVERT OVERTAKE OVERTAKEN OVERTAKES',
+    'OVERTAKING OVERTHREW OVERTHROW OVERTHROWING OVERTHROWN OVERTHROWS OVERTIME OVERTIMES OVERTLY',
+    'OVERTONE OVERTONES OVERTOOK OVERTURE OVERTURES OVERTURN OVERTURNED OVERTURNING OVERTURNS OVERUSE',
+    'OVERUSED OVERUSES OVERUSING OVERVIEW OVERWEIGHT OVERWHELM OVERWHELMED OVERWHELMING OVERWHELMINGLY',
+    'OVERWHELMS OVERWORK OVERWORKED OVERWORKING OVERWORKS OVERWRITE OVERWRITES OVERWRITING OVERWRITTEN',
+    'OVERWROUGHT OVUM OWE OWED OWES OWING OWL OWLS OWN OWNED OWNER OWNERS OWNERSHIP OWNING OWNS OX OXEN',
+    'OXIDATION OXIDE OXIDES OXIDIZE OXIDIZED OXIDIZES OXIDIZING OXYGEN OYSTER OYSTERS OZONE PA PACE PACED',
+    'PACEMAKER PACEMAKERS PACES PACIFIC PACIFIED PACIFIER PACIFIERS PACIFIES PACIFISM PACIFIST PACIFISTS',
+    'PACIFY PACIFYING PACING PACK PACKAGE PACKAGED PACKAGES PACKAGING PACKED PACKER PACKERS PACKET',
+    'PACKETS PACKING PACKS PACT PACTS PAD PADDED PADDIES PADDING PADDLE PADDLED PADDLES PADDLING PADDOCK',
+    'PADDOCKED PADDOCKING PADDOCKS PADDY PADLOCK PADLOCKED PADLOCKING PADLOCKS PADS PAGAN PAGANS PAGE',
+    'PAGEANT PAGEANTRY PAGEANTS PAGED PAGER PAGES PAGINATION PAGING PAGODA PAGODAS PAID PAIL PAILS PAIN',
+    'PAINED PAINFUL PAINFULLER PAINFULLEST PAINFULLY PAINING PAINLESS PAINLESSLY PAINS PAINSTAKING PAINT',
+    'PAINTED PAINTER PAINTING PAINTINGS PAINTS PAIR PAIRED PAIRING PAIRS PAJAMAS PAL PALACE PALACES',
+    'PALATABLE PALATE PALATES PALATIAL PALE PALED PALEONTOLOGIST PALEONTOLOGISTS PALEONTOLOGY PALER PALES',
+    'PALEST PALETTE PALETTES PALING PALL PALLBEARER PALLBEARERS PALLED PALLID PALLING PALLOR PALLS PALM',
+    'PALMED PALMING PALMS PALOMINO PALOMINOS PALPABLE PALPABLY PALS PALTRIER PALTRIEST PALTRY PAMPER',
+    'PAMPERED PAMPERING PAMPERS PAMPHLET PAMPHLETS PAN PANACEA PANACEAS PANCAKE PANCAKED PANCAKES',
+    'PANCAKING PANCREAS PANCREASES PANCREATIC PANDA PANDAS PANDEMONIUM PANDER PANDERED PANDERING PANDERS',
+    'PANE PANEL PANELED PANELING PANELS PANES PANG PANGS PANHANDLE PANHANDLED PANHANDLER PANHANDLERS',
+    'PANHANDLES PANHANDLING PANIC PANICKED PANICKING PANICKY PANICS PANNED PANNING PANORAMA PANORAMAS',
+    'PANORAMIC PANS PANSIES PANSY PANT PANTED PANTHER PANTHERS PANTIE PANTIES PANTING PANTOMIME',
+    'PANTOMIMED PANTOMIMES PANTOMIMING PANTRIES PANTRY PANTS PAP PAPA PAPACIES PAPACY PAPAL PAPAS PAPAYA',
+    'PAPAYAS PAPER PAPERBACK PAPERBACKS PAPERED PAPERING PAPERS PAPERWEIGHT PAPERWEIGHTS PAPERWORK',
+    'PAPRIKA PAPYRI PAPYRUS PAR PARABLE PARABLES PARACHUTE PARACHUTED PARACHUTES PARACHUTING PARADE',
+    'PARADED PARADES PARADIGM PARADING PARADISE PARADISES PARADOX PARADOXES PARADOXICAL PARADOXICALLY',
+    'PARAFFIN PARAGON PARAGONS PARAGRAPH PARAGRAPHED PARAGRAPHING PARAGRAPHS PARAKEET PARAKEETS PARALLEL',
+    'PARALLELED PARALLELING PARALLELS PARALYSES PARALYSIS PARALYTIC PARALYTICS PARALYZE PARALYZED',
+    'PARALYZES PARALYZING PARAMETER PARAMETERS PARAMOUNT PARANOIA PARANOID PARANOIDS PARAPHERNALIA',
+    'PARAPHRASE PARAPHRASED PARAPHRASES PARAPHRASING PARAPLEGIC PARAPLEGICS PARASITE PARASITES PARASITIC',
+    'PARASOL PARASOLS PARATROOPER PARATROOPERS PARCEL PARCELED PARCELING PARCELS PARCH PARCHED PARCHES',
+    'PARCHING PARCHMENT PARCHMENTS PARDON PARDONABLE PARDONED PARDONING PARDONS PARE PARED PARENT',
+    'PARENTAGE PARENTAL PARENTED PARENTHESES PARENTHESIS PARENTHETICAL PARENTHOOD PARENTING PARENTS PARES',
+    'PARING PARISH PARISHES PARISHIONER PARISHIONERS PARITY PARK PARKA PARKAS PARKED PARKING PARKS',
+    'PARKWAY PARKWAYS PARLIAMENT PARLIAMENTARY PARLIAMENTS PARLOR PARLORS PAROCHIAL PARODIED PARODIES',
+    'PARODY PARODYING PAROLE PAROLED PAROLES PAROLING PARRED PARRING PARROT PARROTED PARROTING PARROTS',
+    'PARS PARSE PARSEC PARSECS PARSED PARSER PARSES PARSING PARSLEY PARSNIP PARSNIPS PARSON PARSONAGE',
+    'PARSONAGES PARSONS PART PARTAKE PARTAKEN PARTAKES PARTAKING PARTED PARTIAL PARTIALITY PARTIALLY',
+    'PARTIALS PARTICIPANT PARTICIPANTS PARTICIPATE PARTICIPATED PARTICIPATES PARTICIPATING PARTICIPATION',
+    'PARTICIPLE PARTICIPLES PARTICLE PARTICLES PARTICULAR PARTICULARLY PARTICULARS PARTIED PARTIES',
+    'PARTING PARTINGS PARTISAN PARTISANS PARTITION PARTITIONED PARTITIONING PARTITIONS PARTLY PARTNER',
+    'PARTNERED PARTNERING PARTNERS PARTNERSHIP PARTNERSHIPS PARTOOK PARTRIDGE PARTRIDGES PARTS PARTY',
+    'PARTYING PAS PASS PASSABLE PASSAGE PASSAGES PASSAGEWAY PASSAGEWAYS PASSBOOK PASSBOOKS PASSED',
+    'PASSENGER PASSENGERS PASSER PASSES PASSING PASSION PASSIONATE PASSIONATELY PASSIONS PASSIVE',
+    'PASSIVELY PASSIVES PASSPORT PASSPORTS PASSWORD PASSWORDS PAST PASTA PASTAS PASTE PASTED PASTEL',
+    'PASTELS PASTES PASTEURIZATION PASTEURIZE PASTEURIZED PASTEURIZES PASTEURIZING PASTICHE PASTIER',
+    'PASTIES PASTIEST PASTIME PASTIMES PASTING PASTOR PASTORAL PASTORALS PASTORS PASTRIES PASTRY PASTS',
+    'PASTURE PASTURED PASTURES PASTURING PASTY PAT PATCH PATCHED PATCHES PATCHING PATCHWORK PATCHWORKS',
+    'PATCHY PATE PATENT PATENTED PATENTING PATENTLY PATENTS PATERNAL PATERNALISM PATERNITY PATES PATH',
+    'PATHETIC PATHETICALLY PATHOLOGICAL PATHOLOGIST PATHOLOGISTS PATHOLOGY PATHOS PATHS PATHWAY PATHWAYS',
+    'PATIENCE PATIENT PATIENTER PATIENTEST PATIENTLY PATIENTS PATIO PATIOS PATRIARCH PATRIARCHAL',
+    'PATRIARCHS PATRIMONIES PATRIMONY PATRIOT PATRIOTIC PATRIOTISM PATRIOTS PATROL PATROLLED PATROLLING',
+    'PATROLS PATRON PATRONAGE PATRONAGES PATRONIZE PATRONIZED PATRONIZES PATRONIZING PATRONS PATS PATTED',
+    'PATTER PATTERED PATTERING PATTERN PATTERNED PATTERNING PATTERNS PATTERS PATTIES PATTING PATTY',
+    'PAUCITY PAUNCH PAUNCHES PAUNCHIER PAUNCHIEST PAUNCHY PAUPER PAUPERS PAUSE PAUSED PAUSES PAUSING PAVE',
+    'PAVED PAVEMENT PAVEMENTS PAVES PAVILION PAVILIONS PAVING PAW PAWED PAWING PAWN PAWNBROKER',
+    'PAWNBROKERS PAWNED PAWNING PAWNS PAWS PAY PAYABLE PAYED PAYER PAYERS PAYING PAYLOAD PAYMENT PAYMENTS',
+    'PAYOFF PAYOFFS PAYROLL PAYROLLS PAYS PEA PEACE PEACEABLE PEACEFUL PEACEFULLY PEACEMAKER PEACEMAKERS',
+    'PEACES PEACH PEACHES PEACOCK PEACOCKS PEAK PEAKED PEAKING PEAKS PEAL PEALED PEALING PEALS PEANUT',
+    'PEANUTS PEAR PEARL PEARLED PEARLING PEARLS PEARS PEAS PEASANT PEASANTS PEAT PEBBLE PEBBLED PEBBLES',
+    'PEBBLING PECAN PECANS PECK PECKED PECKING PECKS PECULIAR PECULIARITIES PECULIARITY PECULIARLY',
+    'PEDAGOGY PEDAL PEDALED PEDALING PEDALS PEDANT PEDANTIC PEDANTRY PEDANTS PEDDLE PEDDLED PEDDLER',
+    'PEDDLERS PEDDLES PEDDLING PEDESTAL PEDESTALS PEDESTRIAN PEDESTRIANS PEDIATRICIAN PEDIATRICIANS',
+    'PEDIATRICS PEDIGREE PEDIGREES PEEK PEEKED PEEKING PEEKS PEEL PEELED PEELING PEELS PEEP PEEPED',
+    'PEEPING PEEPS PEER PEERED PEERING PEERLESS PEERS PEEVE PEEVED PEEVES PEEVING PEEVISH PEG PEGGED',
+    'PEGGING PEGS PELICAN PELICANS PELLET PELLETED PELLETING PELLETS PELT PELTED PELTING PELTS PELVIC',
+    'PELVIS PELVISES PEN PENAL PENALIZE PENALIZED PENALIZES PENALIZING PENALTIES PENALTY PENANCE PENANCES',
+    'PENCE PENCHANT PENCIL PENCILED PENCILING PENCILS PENDANT PENDANTS PENDED PENDING PENDS PENDULUM',
+    'PENDULUMS PENETRATE PENETRATED PENETRATES PENETRATING PENETRATION PENETRATIONS PENGUIN PENGUINS',
+    'PENICILLIN PENINSULA PENINSULAS PENIS PENISES PENITENCE PENITENT PENITENTIARIES PENITENTIARY',
+    'PENITENTS PENKNIFE PENKNIVES PENMANSHIP PENNANT PENNANTS PENNED PENNIES PENNILESS PENNING PENNY PENS',
+    'PENSION PENSIONED PENSIONER PENSIONERS PENSIONING PENSIONS PENSIVE PENSIVELY PENTAGON PENTAGONAL',
+    'PENTAGONS PENTHOUSE PENTHOUSES PENULTIMATE PEON PEONIES PEONS PEONY PEOPLE PEOPLED PEOPLES PEOPLING',
+    'PEP PEPPED PEPPER PEPPERED PEPPERING PEPPERMINT PEPPERMINTS PEPPERS PEPPING PEPS PER PERCEIVE',
+    'PERCEIVED PERCEIVES PERCEIVING PERCENT PERCENTAGE PERCENTAGES PERCENTS PERCEPTIBLE PERCEPTION',
+    'PERCEPTIONS PERCEPTIVE PERCH PERCHANCE PERCHED PERCHES PERCHING PERCOLATE PERCOLATED PERCOLATES',
+    'PERCOLATING PERCOLATION PERCOLATOR PERCOLATORS PERCUSSION PEREMPTORY PERENNIAL PERENNIALS PERFECT',
+    'PERFECTED PERFECTER PERFECTEST PERFECTING PERFECTION PERFECTIONIST PERFECTIONISTS PERFECTIONS',
+    'PERFECTLY PERFECTS PERFORATE PERFORATED PERFORATES PERFORATING PERFORATION PERFORATIONS PERFORM',
+    'PERFORMANCE PERFORMANCES PERFORMED PERFORMER PERFORMERS PERFORMING PERFORMS PERFUME PERFUMED',
+    'PERFUMES PERFUMING PERFUNCTORILY PERFUNCTORY PERHAPS PERIL PERILED PERILING PERILOUS PERILOUSLY',
+    'PERILS PERIMETER PERIMETERS PERIOD PERIODIC PERIODICAL PERIODICALLY PERIODICALS PERIODS PERIPHERAL',
+    'PERIPHERALS PERIPHERIES PERIPHERY PERISCOPE PERISCOPES PERISH PERISHABLE PERISHABLES PERISHED',
+    'PERISHES PERISHING PERJURE PERJURED PERJURES PERJURIES PERJURING PERJURY PERK PERKED PERKIER',
+    'PERKIEST PERKING PERKS PERKY PERMANENCE PERMANENT PERMANENTLY PERMANENTS PERMEATE PERMEATED',
+    'PERMEATES PERMEATING PERMISSIBLE PERMISSION PERMISSIONS PERMISSIVE PERMIT PERMITS PERMITTED',
+    'PERMITTING PERMUTATION PERMUTATIONS PERNICIOUS PEROXIDE PEROXIDED PEROXIDES PEROXIDING PERPENDICULAR',
+    'PERPENDICULARS PERPETRATE PERPETRATED PERPETRATES PERPETRATING PERPETRATOR PERPETRATORS PERPETUAL',
+    'PERPETUALLY PERPETUALS PERPETUATE PERPETUATED PERPETUATES PERPETUATING PERPLEX PERPLEXED PERPLEXES',
+    'PERPLEXING PERPLEXITIES PERPLEXITY PERSECUTE PERSECUTED PERSECUTES PERSECUTING PERSECUTION',
+    'PERSECUTIONS PERSECUTOR PERSECUTORS PERSEVERANCE PERSEVERE PERSEVERED PERSEVERES PERSEVERING PERSIST',
+    'PERSISTED PERSISTENCE PERSISTENT PERSISTENTLY PERSISTING PERSISTS PERSON PERSONA PERSONABLE PERSONAL',
+    'PERSONALITIES PERSONALITY PERSONALIZE PERSONALIZED PERSONALIZES PERSONALIZING PERSONALLY PERSONALS',
+    'PERSONIFICATION PERSONIFICATIONS PERSONIFIED PERSONIFIES PERSONIFY PERSONIFYING PERSONNEL PERSONS',
+    'PERSPECTIVE PERSPECTIVES PERSPIRATION PERSPIRE PERSPIRED PERSPIRES PERSPIRING PERSUADE PERSUADED',
+    'PERSUADES PERSUADING PERSUASION PERSUASIONS PERSUASIVE PERSUASIVELY PERT PERTAIN PERTAINED',
+    'PERTAINING PERTAINS PERTER PERTEST PERTINENT PERTURB PERTURBED PERTURBING PERTURBS PERUSAL PERUSALS',
+    'PERUSE PERUSED PERUSES PERUSING PERVADE PERVADED PERVADES PERVADING PERVASIVE PERVERSE PERVERSION',
+    'PERVERSIONS PERVERT PERVERTED PERVERTING PERVERTS PESKIER PESKIEST PESKY PESSIMISM PESSIMIST',
+    'PESSIMISTIC PESSIMISTS PEST PESTER PESTERED PESTERING PESTERS PESTICIDE PESTICIDES PESTILENCE',
+    'PESTILENCES PESTS PET PETAL PETALS PETER PETERED PETERING PETERS PETITE PETITES PETITION PETITIONED',
+    'PETITIONING PETITIONS PETRIFIED PETRIFIES PETRIFY PETRIFYING PETROL PETROLEUM PETS PETTED PETTICOAT',
+    'PETTICOATS PETTIER PETTIEST PETTINESS PETTING PETTY PETULANT PETUNIA PETUNIAS PEW PEWS PEWTER',
+    'PEWTERS PHANTOM PHANTOMS PHARMACEUTICAL PHARMACEUTICALS PHARMACIES PHARMACIST PHARMACISTS PHARMACY',
+    'PHASE PHASED PHASES PHASING PHEASANT PHEASANTS PHENOMENA PHENOMENAL PHENOMENALLY PHENOMENON',
+    'PHENOMENONS PHILANTHROPIC PHILANTHROPIES PHILANTHROPIST PHILANTHROPISTS PHILANTHROPY PHILOSOPHER',
+    'PHILOSOPHERS PHILOSOPHICAL PHILOSOPHIES PHILOSOPHIZE PHILOSOPHIZED PHILOSOPHIZES PHILOSOPHIZING',
+    'PHILOSOPHY PHLEGM PHLEGMATIC PHOBIA PHOBIAS PHOENIX PHONE PHONED PHONES PHONETIC PHONETICS PHONICS',
+    'PHONIED PHONIER PHONIES PHONIEST PHONING PHONOGRAPH PHONOGRAPHS PHONY PHONYING PHOSPHOR',
+    'PHOSPHORESCENCE PHOSPHORESCENT PHOSPHORUS PHOTO PHOTOCOPIED PHOTOCOPIER PHOTOCOPIERS PHOTOCOPIES',
+    'PHOTOCOPY PHOTOCOPYING PHOTOED PHOTOGENIC PHOTOGRAPH PHOTOGRAPHED PHOTOGRAPHER PHOTOGRAPHERS',
+    'PHOTOGRAPHIC PHOTOGRAPHING PHOTOGRAPHS PHOTOGRAPHY PHOTOING PHOTON PHOTONS PHOTOS PHOTOSYNTHESIS',
+    'PHOTOTYPESETTER PHRASE PHRASED PHRASEOLOGY PHRASES PHRASING PHYSIC PHYSICAL PHYSICALLY PHYSICALS',
+    'PHYSICIAN PHYSICIANS PHYSICIST PHYSICISTS PHYSICS PHYSIOLOGICAL PHYSIOLOGY PHYSIQUE PHYSIQUES PI',
+    'PIANIST PIANISTS PIANO PIANOS PICCOLO PICCOLOS PICK PICKAX PICKAXED PICKAXES PICKAXING PICKED PICKET',
+    'PICKETED PICKETING PICKETS PICKIER PICKIEST PICKING PICKLE PICKLED PICKLES PICKLING PICKPOCKET',
+    'PICKPOCKETS PICKS PICKUP PICKUPS PICKY PICNIC PICNICKED PICNICKING PICNICS PICTORIAL PICTORIALS',
+    'PICTURE PICTURED PICTURES PICTURESQUE PICTURING PIDDLE PIDDLED PIDDLES PIDDLING PIE PIECE PIECED',
+    'PIECEMEAL PIECES PIECEWORK PIECING PIER PIERCE PIERCED PIERCES PIERCING PIERS PIES PIETY PIG PIGEON',
+    'PIGEONHOLE PIGEONHOLED PIGEONHOLES PIGEONHOLING PIGEONS PIGGED PIGGING PIGGISH PIGGYBACK PIGGYBACKED',
+    'PIGGYBACKING PIGGYBACKS PIGHEADED PIGMENT PIGMENTS PIGPEN PIGPENS PIGS PIGTAIL PIGTAILS PIKE PIKED',
+    'PIKES PIKING PILE PILED PILES PILFER PILFERED PILFERING PILFERS PILGRIM PILGRIMAGE PILGRIMAGES',
+    'PILGRIMS PILING PILL PILLAGE PILLAGED PILLAGES PILLAGING PILLAR PILLARS PILLED PILLING PILLOW',
+    'PILLOWCASE PILLOWCASES PILLOWED PILLOWING PILLOWS PILLS PILOT PILOTED PILOTING PILOTS PIMPLE PIMPLES',
+    'PIMPLIER PIMPLIEST PIMPLY PIN PINCH PINCHED PINCHES PINCHING PINCUSHION PINCUSHIONS PINE PINEAPPLE',
+    'PINEAPPLES PINED PINES PINING PINION PINIONED PINIONING PINIONS PINK PINKED PINKER PINKEST PINKING',
+    'PINKS PINNACLE PINNACLES PINNED PINNING PINPOINT PINPOINTED PINPOINTING PINPOINTS PINS PINT PINTS',
+    'PIONEER PIONEERED PIONEERING PIONEERS PIOUS PIPE PIPED PIPELINE PIPELINES PIPES PIPING PIQUE PIQUED',
+    'PIQUES PIQUING PIRACY PIRANHA PIRANHAS PIRATE PIRATED PIRATES PIRATING PIROUETTE PIROUETTED',
+    'PIROUETTES PIROUETTING PIS PISTACHIO PISTACHIOS PISTOL PISTOLS PISTON PISTONS PIT PITCH PITCHED',
+    'PITCHER PITCHERS PITCHES PITCHFORK PITCHFORKED PITCHFORKING PITCHFORKS PITCHING PITEOUS PITEOUSLY',
+    'PITFALL PITFALLS PITHIER PITHIEST PITHY PITIED PITIES PITIFUL PITIFULLY PITILESS PITS PITTANCE',
+    'PITTANCES PITTED PITTING PITY PITYING PIVOT PIVOTAL PIVOTED PIVOTING PIVOTS PIXIE PIXIES PIZZA',
+    'PIZZAS PLACARD PLACARDED PLACARDING PLACARDS PLACATE PLACATED PLACATES PLACATING PLACE PLACED',
+    'PLACEMENT PLACENTA PLACENTAS PLACES PLACID PLACIDLY PLACING PLAGIARISM PLAGIARISMS PLAGIARIST',
+    'PLAGIARISTS PLAGIARIZE PLAGIARIZED PLAGIARIZES PLAGIARIZING PLAGUE PLAGUED PLAGUES PLAGUING PLAICE',
+    'PLAID PLAIDS PLAIN PLAINER PLAINEST PLAINLY PLAINS PLAINTIFF PLAINTIFFS PLAINTIVE PLAN PLANAR PLANE',
+    'PLANED PLANES PLANET PLANETARIUM PLANETARIUMS PLANETARY PLANETS PLANING PLANK PLANKED PLANKING',
+    'PLANKS PLANKTON PLANNED PLANNER PLANNERS PLANNING PLANS PLANT PLANTAIN PLANTAINS PLANTATION',
+    'PLANTATIONS PLANTED PLANTER PLANTERS PLANTING PLANTS PLAQUE PLAQUES PLASMA PLASTER PLASTERED',
+    'PLASTERING PLASTERS PLASTIC PLASTICS PLATE PLATEAU PLATEAUED PLATEAUING PLATEAUS PLATED PLATES',
+    'PLATFORM PLATFORMED PLATFORMING PLATFORMS PLATING PLATINUM PLATITUDE PLATITUDES PLATOON PLATOONED',
+    'PLATOONING PLATOONS PLATTER PLATTERS PLAUSIBILITY PLAUSIBLE PLAUSIBLY PLAY PLAYABLE PLAYBACK PLAYED',
+    'PLAYER PLAYERS PLAYFUL PLAYFULLY PLAYFULNESS PLAYGROUND PLAYGROUNDS PLAYHOUSE PLAYHOUSES PLAYING',
+    'PLAYMATE PLAYMATES PLAYPEN PLAYPENS PLAYS PLAYTHING PLAYTHINGS PLAYWRIGHT PLAYWRIGHTS PLAZA PLAZAS',
+    'PLEA PLEAD PLEADED PLEADING PLEADS PLEAS PLEASANT PLEASANTER PLEASANTEST PLEASANTLY PLEASANTRIES',
+    'PLEASANTRY PLEASE PLEASED PLEASES PLEASING PLEASINGS PLEASURABLE PLEASURE PLEASURED PLEASURES',
+    'PLEASURING PLEAT PLEATED PLEATING PLEATS PLEDGE PLEDGED PLEDGES PLEDGING PLENTIFUL PLENTIFULLY',
+    'PLENTY PLETHORA PLIABLE PLIANT PLIED PLIERS PLIES PLIGHT PLIGHTED PLIGHTING PLIGHTS PLOD PLODDED',
+    'PLODDING PLODS PLOP PLOPPED PLOPPING PLOPS PLOT PLOTS PLOTTED PLOTTER PLOTTERS PLOTTING PLOW PLOWED',
+    'PLOWING PLOWS PLOY PLOYS PLUCK PLUCKED PLUCKING PLUCKS PLUCKY PLUG PLUGGED PLUGGING PLUGS PLUM',
+    'PLUMAGE PLUMB PLUMBED PLUMBER PLUMBERS PLUMBING PLUMBS PLUME PLUMED PLUMES PLUMING PLUMMET PLUMMETED',
+    'PLUMMETING PLUMMETS PLUMP PLUMPED PLUMPER PLUMPEST PLUMPING PLUMPS PLUMS PLUNDER PLUNDERED',
+    'PLUNDERING PLUNDERS PLUNGE PLUNGED PLUNGER PLUNGERS PLUNGES PLUNGING PLURAL PLURALITY PLURALS PLUS',
+    'PLUSES PLUSH PLUSHER PLUSHEST PLUTONIUM PLY PLYING PLYWOOD PNEUMATIC PNEUMONIA POACH POACHED POACHER',
+    'POACHERS POACHES POACHING POCKET POCKETBOOK POCKETBOOKS POCKETED POCKETING POCKETS POCKMARK',
+    'POCKMARKED POCKMARKING POCKMARKS POD PODDED PODDING PODIUM PODIUMS PODS POEM POEMS POET POETIC',
+    'POETICAL POETRY POETS POIGNANCY POIGNANT POINSETTIA POINSETTIAS POINT POINTED POINTEDLY POINTER',
+    'POINTERS POINTING POINTLESS POINTLESSLY POINTS POISE POISED POISES POISING POISON POISONED POISONING',
+    'POISONOUS POISONS POKE POKED POKER POKERS POKES POKEY POKIER POKIEST POKING POKY POLAR POLARITY',
+    'POLARIZATION POLARIZE POLARIZED POLARIZES POLARIZING POLE POLED POLEMIC POLEMICS POLES POLICE',
+    'POLICED POLICEMAN POLICEMEN POLICES POLICEWOMAN POLICEWOMEN POLICIES POLICING POLICY POLING POLIO',
+    'POLIOS POLISH POLISHED POLISHES POLISHING POLITE POLITELY POLITENESS POLITER POLITEST POLITICAL',
+    'POLITICALLY POLITICIAN POLITICIANS POLITICS POLKA POLKAED POLKAING POLKAS POLL POLLED POLLEN',
+    'POLLINATE POLLINATED POLLINATES POLLINATING POLLINATION POLLING POLLS POLLSTER POLLSTERS POLLUTANT',
+    'POLLUTANTS POLLUTE POLLUTED POLLUTES POLLUTING POLLUTION POLO POLYGAMOUS POLYGAMY POLYGON POLYGONS',
+    'POLYNOMIAL POLYNOMIALS POLYP POLYPS POLYTECHNIC POMEGRANATE POMEGRANATES POMP POMPOUS PONCHO PONCHOS',
+    'POND PONDER PONDERED PONDERING PONDEROUS PONDERS PONDS PONIES PONTOON PONTOONS PONY POODLE POODLES',
+    'POOL POOLED POOLING POOLS POOP POOPED POOPING POOPS POOR POORER POOREST POORLY POP POPCORN POPE',
+    'POPLAR POPLARS POPPED POPPIES POPPING POPPY POPS POPULACE POPULACES POPULAR POPULARITY POPULARIZE',
+    'POPULARIZED POPULARIZES POPULARIZING POPULARLY POPULATE POPULATED POPULATES POPULATING POPULATION',
+    'POPULATIONS POPULOUS PORCELAIN PORCH PORCHES PORCUPINE PORCUPINES PORE PORED PORES PORING PORK',
+    'PORNOGRAPHIC PORNOGRAPHY POROUS PORPOISE PORPOISED PORPOISES PORPOISING PORRIDGE PORT PORTABILITY',
+    'PORTABLE PORTABLES PORTAL PORTALS PORTED PORTEND PORTENDED PORTENDING PORTENDS PORTENT PORTENTS',
+    'PORTER PORTERS PORTFOLIO PORTFOLIOS PORTHOLE PORTHOLES PORTICO PORTICOES PORTING PORTION PORTIONED',
+    'PORTIONING PORTIONS PORTLIER PORTLIEST PORTLY PORTRAIT PORTRAITS PORTRAY PORTRAYAL PORTRAYALS',
+    'PORTRAYED PORTRAYING PORTRAYS PORTS POSE POSED POSES POSIES POSING POSITION POSITIONAL POSITIONED',
+    'POSITIONING POSITIONS POSITIVE POSITIVELY POSITIVES POSITIVISM POSSESS POSSESSED POSSESSES',
+    'POSSESSING POSSESSION POSSESSIONS POSSESSIVE POSSESSIVES POSSESSOR POSSESSORS POSSIBILITIES',
+    'POSSIBILITY POSSIBLE POSSIBLES POSSIBLY POSSUM POSSUMS POST POSTAGE POSTAL POSTBOX POSTCARD',
+    'POSTCARDS POSTCODE POSTED POSTER POSTERIOR POSTERIORS POSTERITY POSTERS POSTGRADUATE POSTGRADUATES',
+    'POSTHUMOUS POSTHUMOUSLY POSTING POSTMAN POSTMARK POSTMARKED POSTMARKING POSTMARKS POSTMASTER',
+    'POSTMASTERS POSTMEN POSTPONE POSTPONED POSTPONEMENT POSTPONEMENTS POSTPONES POSTPONING POSTS',
+    'POSTSCRIPT POSTSCRIPTS POSTULATE POSTULATED POSTULATES POSTULATING POSTURE POSTURED POSTURES',
+    'POSTURING POSY POT POTASSIUM POTATO POTATOES POTENCY POTENT POTENTIAL POTENTIALLY POTHOLE POTHOLES',
+    'POTION POTIONS POTS POTTED POTTER POTTERED POTTERIES POTTERING POTTERS POTTERY POTTING POUCH POUCHED',
+    'POUCHES POUCHING POULTRY POUNCE POUNCED POUNCES POUNCING POUND POUNDED POUNDING POUNDS POUR POURED',
+    'POURING POURS POUT POUTED POUTING POUTS POVERTY POWDER POWDERED POWDERING POWDERS POWDERY POWER',
+    'POWERED POWERFUL POWERFULLY POWERHOUSE POWERHOUSES POWERING POWERLESS POWERS POWWOW POWWOWED',
+    'POWWOWING POWWOWS PRACTICABLE PRACTICAL PRACTICALITIES PRACTICALITY PRACTICALLY PRACTICALS PRACTICE',
+    'PRACTICED PRACTICES PRACTICING PRACTITIONER PRACTITIONERS PRAGMATIC PRAGMATICS PRAGMATISM PRAIRIE',
+    'PRAIRIES PRAISE PRAISED PRAISES PRAISEWORTHY PRAISING PRAM PRANCE PRANCED PRANCES PRANCING PRANK',
+    'PRANKS PRATTLE PRATTLED PRATTLES PRATTLING PRAWN PRAWNED PRAWNING PRAWNS PRAY PRAYED PRAYER PRAYERS',
+    'PRAYING PRAYS PREACH PREACHED PREACHER PREACHERS PREACHES PREACHING PREAMBLE PREAMBLED PREAMBLES',
+    'PREAMBLING PRECARIOUS PRECARIOUSLY PRECAUTION PRECAUTIONARY PRECAUTIONS PRECEDE PRECEDED PRECEDENCE',
+    'PRECEDENT PRECEDENTS PRECEDES PRECEDING PRECINCT PRECINCTS PRECIOUS PRECIPICE PRECIPICES PRECIPITATE',
+    'PRECIPITATED PRECIPITATES PRECIPITATING PRECIPITATION PRECIPITATIONS PRECIPITOUS PRECISE PRECISELY',
+    'PRECISER PRECISEST PRECISION PRECLUDE PRECLUDED PRECLUDES PRECLUDING PRECOCIOUS PRECONCEIVE',
+    'PRECONCEIVED PRECONCEIVES PRECONCEIVING PRECONCEPTION PRECONCEPTIONS PRECURSOR PRECURSORS PREDATOR',
+    'PREDATORS PREDATORY PREDECESSOR PREDECESSORS PREDEFINED PREDESTINATION PREDICAMENT PREDICAMENTS',
+    'PREDICATE PREDICATED PREDICATES PREDICATING PREDICT PREDICTABLE PREDICTABLY PREDICTED PREDICTING',
+    'PREDICTION PREDICTIONS PREDICTOR PREDICTS PREDISPOSITION PREDISPOSITIONS PREDOMINANCE PREDOMINANT',
+    'PREDOMINANTLY PREDOMINATE PREDOMINATED PREDOMINATES PREDOMINATING PREEMINENCE PREEMINENT PREEMPT',
+    'PREEMPTED PREEMPTING PREEMPTS PREEN PREENED PREENING PREENS PREFAB PREFABBED PREFABBING PREFABS',
+    'PREFACE PREFACED PREFACES PREFACING PREFECT PREFER PREFERABLE PREFERABLY PREFERENCE PREFERENCES',
+    'PREFERENTIAL PREFERRED PREFERRING PREFERS PREFIX PREFIXED PREFIXES PREFIXING PREGNANCIES PREGNANCY',
+    'PREGNANT PREHISTORIC PREJUDICE PREJUDICED PREJUDICES PREJUDICIAL PREJUDICING PRELIMINARIES',
+    'PRELIMINARY PRELUDE PRELUDES PREMATURE PREMATURELY PREMEDITATION PREMIER PREMIERE PREMIERED',
+    'PREMIERES PREMIERING PREMIERS PREMISE PREMISED PREMISES PREMISING PREMIUM PREMIUMS PREMONITION',
+    'PREMONITIONS PRENATAL PREOCCUPATION PREOCCUPATIONS PREOCCUPIED PREOCCUPIES PREOCCUPY PREOCCUPYING',
+    'PREPAID PREPARATION PREPARATIONS PREPARATORY PREPARE PREPARED PREPARES PREPARING PREPAY PREPAYING',
+    'PREPAYS PREPONDERANCE PREPONDERANCES PREPOSITION PREPOSITIONAL PREPOSITIONS PREPOSTEROUS',
+    'PREREQUISITE PREREQUISITES PREROGATIVE PREROGATIVES PRESCRIBE PRESCRIBED PRESCRIBES PRESCRIBING',
+    'PRESCRIPTION PRESCRIPTIONS PRESENCE PRESENCES PRESENT PRESENTABLE PRESENTATION PRESENTATIONS',
+    'PRESENTED PRESENTER PRESENTING PRESENTLY PRESENTS PRESERVATION PRESERVATIVE PRESERVATIVES PRESERVE',
+    'PRESERVED PRESERVES PRESERVING PRESIDE PRESIDED PRESIDENCIES PRESIDENCY PRESIDENT PRESIDENTIAL',
+    'PRESIDENTS PRESIDES PRESIDING PRESS PRESSED PRESSES PRESSING PRESSINGS PRESSURE PRESSURED PRESSURES',
+    'PRESSURING PRESTIGE PRESTIGIOUS PRESTO PRESUMABLY PRESUME PRESUMED PRESUMES PRESUMING PRESUMPTION',
+    'PRESUMPTIONS PRESUMPTUOUS PRESUPPOSE PRESUPPOSED PRESUPPOSES PRESUPPOSING PRETEND PRETENDED',
+    'PRETENDER PRETENDERS PRETENDING PRETENDS PRETENSE PRETENSES PRETENSION PRETENSIONS PRETENTIOUS',
+    'PRETENTIOUSLY PRETENTIOUSNESS PRETEXT PRETEXTS PRETTIED PRETTIER PRETTIES PRETTIEST PRETTY PRETTYING',
+    'PRETZEL PRETZELS PREVAIL PREVAILED PREVAILING PREVAILS PREVALENCE PREVALENT PREVENT PREVENTABLE',
+    'PREVENTED PREVENTING PREVENTION PREVENTIVE PREVENTIVES PREVENTS PREVIEW PREVIEWED PREVIEWER',
+    'PREVIEWERS PREVIEWING PREVIEWS PREVIOUS PREVIOUSLY PREY PREYED PREYING PREYS PRICE PRICED PRICELESS',
+    'PRICES PRICING PRICK PRICKED PRICKING PRICKLE PRICKLED PRICKLES PRICKLIER PRICKLIEST PRICKLING',
+    'PRICKLY PRICKS PRIDE PRIDED PRIDES PRIDING PRIED PRIES PRIEST PRIESTESS PRIESTESSES PRIESTHOOD',
+    'PRIESTHOODS PRIESTS PRIM PRIMAL PRIMARIES PRIMARILY PRIMARY PRIMATE PRIMATES PRIME PRIMED PRIMER',
+    'PRIMERS PRIMES PRIMEVAL PRIMING PRIMITIVE PRIMITIVES PRIMLY PRIMMER PRIMMEST PRIMP PRIMPED PRIMPING',
+    'PRIMPS PRIMROSE PRIMROSES PRINCE PRINCES PRINCESS PRINCESSES PRINCIPAL PRINCIPALITIES PRINCIPALITY',
+    'PRINCIPALLY PRINCIPALS PRINCIPLE PRINCIPLES PRINT PRINTABLE PRINTED PRINTER PRINTERS PRINTING',
+    'PRINTINGS PRINTOUT PRINTOUTS PRINTS PRIOR PRIORITIES PRIORITY PRIORS PRISM PRISMS PRISON PRISONER',
+    'PRISONERS PRISONS PRIVACY PRIVATE PRIVATELY PRIVATER PRIVATES PRIVATEST PRIVATION PRIVATIONS',
+    'PRIVATIZATION PRIVATIZE PRIVATIZED PRIVATIZES PRIVATIZING PRIVIER PRIVIES PRIVIEST PRIVILEGE',
+    'PRIVILEGED PRIVILEGES PRIVILEGING PRIVY PRIZE PRIZED PRIZES PRIZING PRO PROBABILISTIC PROBABILITIES',
+    'PROBABILITY PROBABLE PROBABLES PROBABLY PROBATION PROBE PROBED PROBES PROBING PROBLEM PROBLEMATIC',
+    'PROBLEMS PROCEDURAL PROCEDURE PROCEDURES PROCEED PROCEEDED PROCEEDING PROCEEDINGS PROCEEDS PROCESS',
+    'PROCESSED PROCESSES PROCESSING PROCESSION PROCESSIONAL PROCESSIONALS PROCESSIONED PROCESSIONING',
+    'PROCESSIONS PROCESSOR PROCESSORS PROCLAIM PROCLAIMED PROCLAIMING PROCLAIMS PROCLAMATION',
+    'PROCLAMATIONS PROCRASTINATE PROCRASTINATED PROCRASTINATES PROCRASTINATING PROCRASTINATION PROCURE',
+    'PROCURED PROCUREMENT PROCURES PROCURING PROD PRODDED PRODDING PRODIGAL PRODIGALS PRODIGIES',
+    'PRODIGIOUS PRODIGY PRODS PRODUCE PRODUCED PRODUCER PRODUCERS PRODUCES PRODUCING PRODUCT PRODUCTION',
+    'PRODUCTIONS PRODUCTIVE PRODUCTIVITY PRODUCTS PROFANE PROFANED PROFANES PROFANING PROFANITIES',
+    'PROFANITY PROFESS PROFESSED PROFESSES PROFESSING PROFESSION PROFESSIONAL PROFESSIONALLY',
+    'PROFESSIONALS PROFESSIONS PROFESSOR PROFESSORS PROFFER PROFFERED PROFFERING PROFFERS PROFICIENCY',
+    'PROFICIENT PROFICIENTLY PROFICIENTS PROFILE PROFILED PROFILES PROFILING PROFIT PROFITABLE PROFITED',
+    'PROFITEER PROFITEERED PROFITEERING PROFITEERS PROFITING PROFITS PROFOUND PROFOUNDER PROFOUNDEST',
+    'PROFOUNDLY PROFUNDITIES PROFUNDITY PROFUSE PROFUSELY PROFUSION PROFUSIONS PROGENY PROGNOSES',
+    'PROGNOSIS PROGRAM PROGRAMMABLE PROGRAMMED PROGRAMMER PROGRAMMERS PROGRAMMING PROGRAMS PROGRESS',
+    'PROGRESSED PROGRESSES PROGRESSING PROGRESSION PROGRESSIONS PROGRESSIVE PROGRESSIVELY PROGRESSIVES',
+    'PROHIBIT PROHIBITED PROHIBITING PROHIBITION PROHIBITIONS PROHIBITIVE PROHIBITIVELY PROHIBITS PROJECT',
+    'PROJECTED PROJECTILE PROJECTILES PROJECTING PROJECTION PROJECTIONS PROJECTOR PROJECTORS PROJECTS',
+    'PROLETARIAN PROLETARIANS PROLETARIAT PROLIFERATE PROLIFERATED PROLIFERATES PROLIFERATING',
+    'PROLIFERATION PROLIFIC PROLOGUE PROLOGUES PROLONG PROLONGED PROLONGING PROLONGS PROM PROMENADE',
+    'PROMENADED PROMENADES PROMENADING PROMINENCE PROMINENT PROMINENTLY PROMISCUITY PROMISCUOUS PROMISE',
+    'PROMISED PROMISES PROMISING PROMONTORIES PROMONTORY PROMOTE PROMOTED PROMOTES PROMOTING PROMOTION',
+    'PROMOTIONS PROMPT PROMPTED PROMPTER PROMPTEST PROMPTING PROMPTLY PROMPTNESS PROMPTS PROMS PROMULGATE',
+    'PROMULGATED PROMULGATES PROMULGATING PRONE PRONG PRONGS PRONOUN PRONOUNCE PRONOUNCED PRONOUNCEMENT',
+    'PRONOUNCEMENTS PRONOUNCES PRONOUNCING PRONOUNS PRONUNCIATION PRONUNCIATIONS PROOF PROOFED PROOFING',
+    'PROOFREAD PROOFREADING PROOFREADS PROOFS PROP PROPAGANDA PROPAGATE PROPAGATED PROPAGATES PROPAGATING',
+    'PROPAGATION PROPEL PROPELLED PROPELLER PROPELLERS PROPELLING PROPELS PROPENSITIES PROPENSITY PROPER',
+    'PROPERER PROPEREST PROPERLY PROPERTIES PROPERTY PROPHECIES PROPHECY PROPHESIED PROPHESIES PROPHESY',
+    'PROPHESYING PROPHET PROPHETIC PROPHETS PROPONENT PROPONENTS PROPORTION PROPORTIONAL PROPORTIONALITY',
+    'PROPORTIONALLY PROPORTIONALS PROPORTIONATE PROPORTIONED PROPORTIONING PROPORTIONS PROPOSAL PROPOSALS',
+    'PROPOSE PROPOSED PROPOSES PROPOSING PROPOSITION PROPOSITIONAL PROPOSITIONED PROPOSITIONING',
+    'PROPOSITIONS PROPPED PROPPING PROPRIETARIES PROPRIETARY PROPRIETOR PROPRIETORS PROPRIETY PROPS',
+    'PROPULSION PROS PROSE PROSECUTE PROSECUTED PROSECUTES PROSECUTING PROSECUTION PROSECUTIONS',
+    'PROSECUTOR PROSECUTORS PROSPECT PROSPECTED PROSPECTING PROSPECTIVE PROSPECTOR PROSPECTORS PROSPECTS',
+    'PROSPECTUS PROSPECTUSES PROSPER PROSPERED PROSPERING PROSPERITY PROSPEROUS PROSPERS PROSTITUTE',
+    'PROSTITUTED PROSTITUTES PROSTITUTING PROSTITUTION PROSTRATE PROSTRATED PROSTRATES PROSTRATING',
+    'PROTAGONIST PROTAGONISTS PROTECT PROTECTED PROTECTING PROTECTION PROTECTIONS PROTECTIVE PROTECTOR',
+    'PROTECTORS PROTECTS PROTEIN PROTEINS PROTEST PROTESTANT PROTESTED PROTESTING PROTESTS PROTOCOL',
+    'PROTOCOLS PROTON PROTONS PROTOTYPE PROTOTYPES PROTRACT PROTRACTED PROTRACTING PROTRACTOR PROTRACTORS',
+    'PROTRACTS PROTRUDE PROTRUDED PROTRUDES PROTRUDING PROTRUSION PROTRUSIONS PROUD PROUDER PROUDEST',
+    'PROUDLY PROVABLE PROVABLY PROVE PROVED PROVEN PROVENANCE PROVERB PROVERBIAL PROVERBS PROVES PROVIDE',
+    'PROVIDED PROVIDENCE PROVIDER PROVIDES PROVIDING PROVINCE PROVINCES PROVINCIAL PROVINCIALS PROVING',
+    'PROVISION PROVISIONAL PROVISIONALLY PROVISIONED PROVISIONING PROVISIONS PROVISO PROVISOS PROVOCATION',
+    'PROVOCATIONS PROVOCATIVE PROVOKE PROVOKED PROVOKES PROVOKING PROW PROWESS PROWL PROWLED PROWLER',
+    'PROWLERS PROWLING PROWLS PROWS PROXIES PROXIMITY PROXY PRUDE PRUDENCE PRUDENT PRUDES PRUDISH PRUNE',
+    'PRUNED PRUNES PRUNING PRY PRYING PSALM PSALMS PSEUDO PSEUDONYM PSEUDONYMS PSYCH PSYCHE PSYCHED',
+    'PSYCHEDELIC PSYCHEDELICS PSYCHES PSYCHIATRIC PSYCHIATRIST PSYCHIATRISTS PSYCHIATRY PSYCHIC PSYCHICS',
+    'PSYCHING PSYCHOANALYSIS PSYCHOANALYST PSYCHOANALYSTS PSYCHOLOGICAL PSYCHOLOGICALLY PSYCHOLOGIES',
+    'PSYCHOLOGIST PSYCHOLOGISTS PSYCHOLOGY PSYCHOPATH PSYCHOPATHS PSYCHOSES PSYCHOSIS PSYCHOTHERAPIES',
+    'PSYCHOTHERAPY PSYCHOTIC PSYCHS PUB PUBERTY PUBLIC PUBLICATION PUBLICATIONS PUBLICITY PUBLICIZE',
+    'PUBLICIZED PUBLICIZES PUBLICIZING PUBLICLY PUBLISH PUBLISHED PUBLISHER PUBLISHERS PUBLISHES',
+    'PUBLISHING PUCK PUCKER PUCKERED PUCKERING PUCKERS PUCKS PUDDING PUDDINGS PUDDLE PUDDLED PUDDLES',
+    'PUDDLING PUDGIER PUDGIEST PUDGY PUEBLO PUEBLOS PUFF PUFFED PUFFER PUFFIER PUFFIEST PUFFING PUFFS',
+    'PUFFY PUGNACIOUS PUKE PUKED PUKES PUKING PULL PULLED PULLEY PULLEYS PULLING PULLOVER PULLOVERS PULLS',
+    'PULMONARY PULP PULPED PULPING PULPIT PULPITS PULPS PULSATE PULSATED PULSATES PULSATING PULSATION',
+    'PULSATIONS PULSE PULSED PULSES PULSING PULVERIZE PULVERIZED PULVERIZES PULVERIZING PUMA PUMAS PUMICE',
+    'PUMICES PUMMEL PUMMELED PUMMELING PUMMELS PUMP PUMPED PUMPERNICKEL PUMPING PUMPKIN PUMPKINS PUMPS',
+    'PUN PUNCH PUNCHED PUNCHES PUNCHING PUNCHLINE PUNCTUAL PUNCTUALITY PUNCTUATE PUNCTUATED PUNCTUATES',
+    'PUNCTUATING PUNCTUATION PUNCTURE PUNCTURED PUNCTURES PUNCTURING PUNDIT PUNDITS PUNGENT PUNIER',
+    'PUNIEST PUNISH PUNISHABLE PUNISHED PUNISHES PUNISHING PUNISHMENT PUNISHMENTS PUNITIVE PUNK PUNKER',
+    'PUNKEST PUNKS PUNNED PUNNING PUNS PUNT PUNTED PUNTER PUNTERS PUNTING PUNTS PUNY PUP PUPIL PUPILS',
+    'PUPPED PUPPET PUPPETS PUPPIES PUPPING PUPPY PUPS PURCHASE PURCHASED PURCHASER PURCHASERS PURCHASES',
+    'PURCHASING PURE PUREE PUREED PUREEING PUREES PURELY PURER PUREST PURGATORY PURGE PURGED PURGES',
+    'PURGING PURIFICATION PURIFIED PURIFIES PURIFY PURIFYING PURITANICAL PURITY PURPLE PURPLER PURPLES',
+    'PURPLEST PURPORT PURPORTED PURPORTING PURPORTS PURPOSE PURPOSED PURPOSEFUL PURPOSES PURPOSING PURR',
+    'PURRED PURRING PURRS PURSE PURSED PURSES PURSING PURSUE PURSUED PURSUES PURSUING PURSUIT PURSUITS',
+    'PURVEYOR PUS PUSH PUSHED PUSHER PUSHERS PUSHES PUSHIER PUSHIEST PUSHING PUSHOVER PUSHOVERS PUSHY',
+    'PUSS PUSSES PUSSIER PUSSIES PUSSIEST PUSSY PUT PUTATIVE PUTRID PUTS PUTT PUTTED PUTTER PUTTERED',
+    'PUTTERING PUTTERS PUTTIED PUTTIES PUTTING PUTTS PUTTY PUTTYING PUZZLE PUZZLED PUZZLES PUZZLING',
+    'PYRAMID PYRAMIDED PYRAMIDING PYRAMIDS PYRE PYRES PYTHON PYTHONS QUA QUACK QUACKED QUACKING QUACKS',
+    'QUADRANGLE QUADRANGLES QUADRANT QUADRANTS QUADRATIC QUADRILATERAL QUADRILATERALS QUADRUPED',
+    'QUADRUPEDS QUADRUPLE QUADRUPLED QUADRUPLES QUADRUPLET QUADRUPLETS QUADRUPLING QUAGMIRE QUAGMIRES',
+    'QUAIL QUAILED QUAILING QUAILS QUAINT QUAINTER QUAINTEST QUAKE QUAKED QUAKES QUAKING QUALIFICATION',
+    'QUALIFICATIONS QUALIFIED QUALIFIER QUALIFIERS QUALIFIES QUALIFY QUALIFYING QUALITATIVE QUALITIES',
+    'QUALITY QUALM QUALMS QUANDARIES QUANDARY QUANTIFIER QUANTIFY QUANTITATIVE QUANTITIES QUANTITY',
+    'QUANTUM QUARANTINE QUARANTINED QUARANTINES QUARANTINING QUARK QUARREL QUARRELED QUARRELING QUARRELS',
+    'QUARRELSOME QUARRIED QUARRIES QUARRY QUARRYING QUART QUARTER QUARTERBACK QUARTERBACKED',
+    'QUARTERBACKING QUARTERBACKS QUARTERED QUARTERING QUARTERLIES QUARTERLY QUARTERS QUARTET QUARTETS',
+    'QUARTS QUARTZ QUASH QUASHED QUASHES QUASHING QUAVER QUAVERED QUAVERING QUAVERS QUAY QUAYS QUEASIER',
+    'QUEASIEST QUEASY QUEEN QUEENED QUEENING QUEENLIER QUEENLIEST QUEENLY QUEENS QUEER QUEERED QUEERER',
+    'QUEEREST QUEERING QUEERS QUELL QUELLED QUELLING QUELLS QUENCH QUENCHED QUENCHES QUENCHING QUERIED',
+    'QUERIES QUERY QUERYING QUEST QUESTED QUESTING QUESTION QUESTIONABLE QUESTIONED QUESTIONING',
+    'QUESTIONNAIRE QUESTIONNAIRES QUESTIONS QUESTS QUEUE QUEUED QUEUES QUEUING QUIBBLE QUIBBLED QUIBBLES',
+    'QUIBBLING QUICHE QUICK QUICKEN QUICKENED QUICKENING QUICKENS QUICKER QUICKEST QUICKLY QUICKSAND',
+    'QUICKSANDS QUIET QUIETED QUIETER QUIETEST QUIETING QUIETLY QUIETS QUILL QUILLS QUILT QUILTED',
+    'QUILTING QUILTS QUININE QUINTESSENCE QUINTESSENCES QUINTET QUINTETS QUINTUPLET QUINTUPLETS QUIP',
+    'QUIPPED QUIPPING QUIPS QUIRK QUIRKED QUIRKING QUIRKS QUIRKY QUIT QUITE QUITS QUITTER QUITTERS',
+    'QUITTING QUIVER QUIVERED QUIVERING QUIVERS QUIZ QUIZZED QUIZZES QUIZZICAL QUIZZING QUORUM QUORUMS',
+    'QUOTA QUOTAS QUOTATION QUOTATIONS QUOTE QUOTED QUOTES QUOTIENT QUOTIENTS QUOTING RABBI RABBIS RABBIT',
+    'RABBITED RABBITING RABBITS RABBLE RABBLES RABID RABIES RACCOON RACE RACED RACER RACES RACETRACK',
+    'RACETRACKS RACIAL RACIALLY RACIER RACIEST RACING RACISM RACIST RACISTS RACK RACKED RACKET RACKETED',
+    'RACKETEER RACKETEERED RACKETEERING RACKETEERS RACKETING RACKETS RACKING RACKS RACY RADAR RADARS',
+    'RADIAL RADIALS RADIANCE RADIANT RADIATE RADIATED RADIATES RADIATING RADIATION RADIATIONS RADIATOR',
+    'RADIATORS RADICAL RADICALLY RADICALS RADII RADIO RADIOACTIVE RADIOACTIVITY RADIOED RADIOING RADIOS',
+    'RADISH RADISHES RADIUM RADIUS RAFFLE RAFFLED RAFFLES RAFFLING RAFT RAFTED RAFTER RAFTERS RAFTING',
+    'RAFTS RAG RAGAMUFFIN RAGAMUFFINS RAGE RAGED RAGES RAGGED RAGGEDER RAGGEDEST RAGGING RAGING RAGS',
+    'RAGTIME RAID RAIDED RAIDER RAIDERS RAIDING RAIDS RAIL RAILED RAILING RAILINGS RAILROAD RAILROADED',
+    'RAILROADING RAILROADS RAILS RAILWAY RAILWAYS RAIN RAINBOW RAINBOWS RAINCOAT RAINCOATS RAINDROP',
+    'RAINDROPS RAINED RAINFALL RAINFALLS RAINIER RAINIEST RAINING RAINS RAINSTORM RAINSTORMS RAINWATER',
+    'RAINY RAISE RAISED RAISES RAISIN RAISING RAISINS RAKE RAKED RAKES RAKING RALLIED RALLIES RALLY',
+    'RALLYING RAM RAMBLE RAMBLED RAMBLER RAMBLERS RAMBLES RAMBLING RAMIFICATION RAMIFICATIONS RAMMED',
+    'RAMMING RAMP RAMPAGE RAMPAGED RAMPAGES RAMPAGING RAMPANT RAMPS RAMROD RAMRODDED RAMRODDING RAMRODS',
+    'RAMS RAMSHACKLE RAN RANCH RANCHED RANCHER RANCHERS RANCHES RANCHING RANCID RANCOR RANCOROUS RANDOM',
+    'RANDOMLY RANDOMNESS RANG RANGE RANGED RANGER RANGERS RANGES RANGING RANK RANKED RANKER RANKEST',
+    'RANKING RANKLE RANKLED RANKLES RANKLING RANKS RANSACK RANSACKED RANSACKING RANSACKS RANSOM RANSOMED',
+    'RANSOMING RANSOMS RANT RANTED RANTING RANTS RAP RAPE RAPED RAPES RAPID RAPIDER RAPIDEST RAPIDITY',
+    'RAPIDLY RAPIDS RAPING RAPIST RAPISTS RAPPED RAPPING RAPPORT RAPPORTS RAPS RAPT RAPTURE RAPTURES',
+    'RAPTUROUS RARE RARED RARELY RARER RARES RAREST RARING RARITIES RARITY RASCAL RASCALS RASH RASHER',
+    'RASHES RASHEST RASHLY RASP RASPBERRIES RASPBERRY RASPED RASPING RASPS RASTER RAT RATE RATED RATES',
+    'RATHER RATIFICATION RATIFIED RATIFIES RATIFY RATIFYING RATING RATINGS RATIO RATION RATIONAL',
+    'RATIONALE RATIONALES RATIONALITY RATIONALIZATION RATIONALIZE RATIONALIZED RATIONALIZES RATIONALIZING',
+    'RATIONALLY RATIONALS RATIONED RATIONING RATIONS RATIOS RATS RATTED RATTING RATTLE RATTLED RATTLER',
+    'RATTLERS RATTLES RATTLESNAKE RATTLESNAKES RATTLING RATTY RAUCOUS RAUCOUSLY RAVAGE RAVAGED RAVAGES',
+    'RAVAGING RAVE RAVED RAVEL RAVELED RAVELING RAVELS RAVEN RAVENED RAVENING RAVENOUS RAVENOUSLY RAVENS',
+    'RAVES RAVINE RAVINES RAVING RAVINGS RAVISH RAVISHED RAVISHES RAVISHING RAW RAWER RAWEST RAY RAYON',
+    'RAYS RAZE RAZED RAZES RAZING RAZOR RAZORS RE REACH REACHED REACHES REACHING REACT REACTED REACTING',
+    'REACTION REACTIONARIES REACTIONARY REACTIONS REACTIVE REACTOR REACTORS REACTS READ READABILITY',
+    'READABLE READER READERS READERSHIP READIED READIER READIES READIEST READILY READINESS READING',
+    'READINGS READJUST READJUSTED READJUSTING READJUSTS READS READY READYING REAL REALER REALEST REALISM',
+    'REALIST REALISTIC REALISTICALLY REALISTS REALITIES REALITY REALIZATION REALIZE REALIZED REALIZES',
+    'REALIZING REALLOCATE REALLOCATED REALLOCATES REALLOCATING REALLY REALM REALMS REALS REALTY REAM',
+    'REAMED REAMING REAMS REAP REAPED REAPER REAPERS REAPING REAPPEAR REAPPEARED REAPPEARING REAPPEARS',
+    'REAPS REAR REARED REARING REARRANGE REARRANGED REARRANGEMENT REARRANGEMENTS REARRANGES REARRANGING',
+    'REARS REASON REASONABLE REASONABLY REASONED REASONING REASONS REASSURANCE REASSURANCES REASSURE',
+    'REASSURED REASSURES REASSURING REBATE REBATED REBATES REBATING REBEL REBELLED REBELLING REBELLION',
+    'REBELLIONS REBELLIOUS REBELS REBIND REBINDING REBINDS REBIRTH REBIRTHS REBORN REBOUND REBOUNDED',
+    'REBOUNDING REBOUNDS REBUFF REBUFFED REBUFFING REBUFFS REBUILD REBUILDING REBUILDS REBUILT REBUKE',
+    'REBUKED REBUKES REBUKING REBUT REBUTS REBUTTAL REBUTTALS REBUTTED REBUTTING RECALCITRANT RECALL',
+    'RECALLED RECALLING RECALLS RECANT RECANTED RECANTING RECANTS RECAP RECAPPED RECAPPING RECAPS',
+    'RECAPTURE RECAPTURED RECAPTURES RECAPTURING RECEDE RECEDED RECEDES RECEDING RECEIPT RECEIPTED',
+    'RECEIPTING RECEIPTS RECEIVE RECEIVED RECEIVER RECEIVERS RECEIVES RECEIVING RECENT RECENTER RECENTEST',
+    'RECENTLY RECEPTACLE RECEPTACLES RECEPTION RECEPTIONIST RECEPTIONISTS RECEPTIONS RECEPTIVE RECESS',
+    'RECESSED RECESSES RECESSING RECESSION RECESSIONS RECHARGE RECHARGEABLE RECHARGED RECHARGES',
+    'RECHARGING RECIPE RECIPES RECIPIENT RECIPIENTS RECIPROCAL RECIPROCALS RECIPROCATE RECIPROCATED',
+    'RECIPROCATES RECIPROCATING RECITAL RECITALS RECITATION RECITATIONS RECITE RECITED RECITES RECITING',
+    'RECKLESS RECKLESSLY RECKLESSNESS RECKON RECKONED RECKONING RECKONS RECLAIM RECLAIMED RECLAIMING',
+    'RECLAIMS RECLAMATION RECLINE RECLINED RECLINES RECLINING RECLUSE RECLUSES RECOGNITION RECOGNIZABLE',
+    'RECOGNIZE RECOGNIZED RECOGNIZES RECOGNIZING RECOIL RECOILED RECOILING RECOILS RECOLLECT RECOLLECTED',
+    'RECOLLECTING RECOLLECTION RECOLLECTIONS RECOLLECTS RECOMMEND RECOMMENDATION RECOMMENDATIONS',
+    'RECOMMENDED RECOMMENDING RECOMMENDS RECOMPENSE RECOMPENSED RECOMPENSES RECOMPENSING RECOMPILE',
+    'RECOMPILED RECOMPILING RECONCILE RECONCILED RECONCILES RECONCILIATION RECONCILIATIONS RECONCILING',
+    'RECONDITION RECONDITIONED RECONDITIONING RECONDITIONS RECONFIGURE RECONFIGURED RECONNAISSANCE',
+    'RECONNAISSANCES RECONNECT RECONNECTED RECONNECTING RECONNECTS RECONSIDER RECONSIDERED RECONSIDERING',
+    'RECONSIDERS RECONSTRUCT RECONSTRUCTED RECONSTRUCTING RECONSTRUCTION RECONSTRUCTIONS RECONSTRUCTS',
+    'RECORD RECORDED RECORDER RECORDERS RECORDING RECORDINGS RECORDS RECOUNT RECOUNTED RECOUNTING',
+    'RECOUNTS RECOUP RECOUPED RECOUPING RECOUPS RECOURSE RECOVER RECOVERABLE RECOVERED RECOVERIES',
+    'RECOVERING RECOVERS RECOVERY RECREATE RECREATED RECREATES RECREATING RECREATION RECREATIONAL',
+    'RECREATIONS RECRUIT RECRUITED RECRUITING RECRUITMENT RECRUITS RECTAL RECTANGLE RECTANGLES',
+    'RECTANGULAR RECTIFIED RECTIFIES RECTIFY RECTIFYING RECTOR RECTORS RECTUM RECTUMS RECUPERATE',
+    'RECUPERATED RECUPERATES RECUPERATING RECUPERATION RECUR RECURRED RECURRENCE RECURRENCES RECURRENT',
+    'RECURRING RECURS RECURSION RECURSIVE RECURSIVELY RECYCLE RECYCLED RECYCLES RECYCLING RED REDDEN',
+    'REDDENED REDDENING REDDENS REDDER REDDEST REDEEM REDEEMABLE REDEEMED REDEEMING REDEEMS REDEFINE',
+    'REDEFINED REDEFINES REDEFINING REDEFINITION REDEMPTION REDESIGN REDESIGNED REDESIGNING REDESIGNS',
+    'REDHEAD REDHEADS REDID REDIRECT REDIRECTED REDIRECTING REDIRECTION REDIRECTS REDISCOVER REDISCOVERED',
+    'REDISCOVERING REDISCOVERS REDISTRIBUTE REDISTRIBUTED REDISTRIBUTES REDISTRIBUTING REDISTRIBUTION',
+    'REDO REDOES REDOING REDONE REDRAFT REDRAW REDRESS REDRESSED REDRESSES REDRESSING REDS REDUCE REDUCED',
+    'REDUCES REDUCING REDUCTION REDUCTIONS REDUNDANCIES REDUNDANCY REDUNDANT REED REEDS REEF REEFED',
+    'REEFING REEFS REEK REEKED REEKING REEKS REEL REELECT REELECTED REELECTING REELECTS REELED REELING',
+    'REELS REFER REFEREE REFEREED REFEREEING REFEREES REFERENCE REFERENCED REFERENCES REFERENCING',
+    'REFERENDUM REFERENDUMS REFERRED REFERRING REFERS REFILL REFILLED REFILLING REFILLS REFINE REFINED',
+    'REFINEMENT REFINEMENTS REFINERIES REFINERY REFINES REFINING REFLECT REFLECTED REFLECTING REFLECTION',
+    'REFLECTIONS REFLECTIVE REFLECTOR REFLECTORS REFLECTS REFLEX REFLEXES REFLEXIVE REFLEXIVES REFORM',
+    'REFORMAT REFORMATION REFORMATIONS REFORMATTED REFORMATTING REFORMED REFORMER REFORMERS REFORMING',
+    'REFORMS REFRACTION REFRAIN REFRAINED REFRAINING REFRAINS REFRESH REFRESHED REFRESHES REFRESHING',
+    'REFRESHMENT REFRESHMENTS REFRIGERATE REFRIGERATED REFRIGERATES REFRIGERATING REFRIGERATION',
+    'REFRIGERATOR REFRIGERATORS REFUEL REFUELED REFUELING REFUELS REFUGE REFUGEE REFUGEES REFUGES REFUND',
+    'REFUNDED REFUNDING REFUNDS REFURBISH REFURBISHED REFURBISHES REFURBISHING REFURBISHMENT REFUSAL',
+    'REFUSALS REFUSE REFUSED REFUSES REFUSING REFUTATION REFUTE REFUTED REFUTES REFUTING REGAIN REGAINED',
+    'REGAINING REGAINS REGAL REGALE REGALED REGALES REGALIA REGALING REGARD REGARDED REGARDING REGARDLESS',
+    'REGARDS REGATTA REGATTAS REGENERATE REGENERATED REGENERATES REGENERATING REGENERATION REGENT REGENTS',
+    'REGIME REGIMEN REGIMENS REGIMENT REGIMENTAL REGIMENTED REGIMENTING REGIMENTS REGIMES REGION REGIONAL',
+    'REGIONS REGISTER REGISTERED REGISTERING REGISTERS REGISTRAR REGISTRARS REGISTRATION REGISTRATIONS',
+    'REGISTRIES REGISTRY REGRESS REGRESSED REGRESSES REGRESSING REGRESSION REGRESSIONS REGRET REGRETFUL',
+    'REGRETS REGRETTABLE REGRETTABLY REGRETTED REGRETTING REGULAR REGULARITY REGULARLY REGULARS REGULATE',
+    'REGULATED REGULATES REGULATING REGULATION REGULATIONS REGURGITATE REGURGITATED REGURGITATES',
+    'REGURGITATING REHABILITATE REHABILITATED REHABILITATES REHABILITATING REHABILITATION REHASH REHASHED',
+    'REHASHES REHASHING REHEARSAL REHEARSALS REHEARSE REHEARSED REHEARSES REHEARSING REIGN REIGNED',
+    'REIGNING REIGNS REIMBURSE REIMBURSED REIMBURSEMENT REIMBURSEMENTS REIMBURSES REIMBURSING REIN',
+    'REINCARNATE REINCARNATED REINCARNATES REINCARNATING REINCARNATION REINCARNATIONS REINDEER REINED',
+    'REINFORCE REINFORCED REINFORCEMENT REINFORCEMENTS REINFORCES REINFORCING REINING REINS REINSTATE',
+    'REINSTATED REINSTATEMENT REINSTATES REINSTATING REITERATE REITERATED REITERATES REITERATING',
+    'REITERATION REITERATIONS REJECT REJECTED REJECTING REJECTION REJECTIONS REJECTS REJOICE REJOICED',
+    'REJOICES REJOICING REJOIN REJOINDER REJOINDERS REJOINED REJOINING REJOINS REJUVENATE REJUVENATED',
+    'REJUVENATES REJUVENATING REJUVENATION RELAID RELAPSE RELAPSED RELAPSES RELAPSING RELATE RELATED',
+    'RELATES RELATING RELATION RELATIONAL RELATIONS RELATIONSHIP RELATIONSHIPS RELATIVE RELATIVELY',
+    'RELATIVES RELATIVISTIC RELATIVITY RELAX RELAXATION RELAXATIONS RELAXED RELAXES RELAXING RELAY',
+    'RELAYED RELAYING RELAYS RELEASABLE RELEASE RELEASED RELEASES RELEASING RELEGATE RELEGATED RELEGATES',
+    'RELEGATING RELENT RELENTED RELENTING RELENTLESS RELENTLESSLY RELENTS RELEVANCE RELEVANT RELIABILITY',
+    'RELIABLE RELIABLY RELIANCE RELIANT RELIC RELICS RELIED RELIEF RELIEFS RELIES RELIEVE RELIEVED',
+    'RELIEVES RELIEVING RELIGION RELIGIONS RELIGIOUS RELIGIOUSLY RELINQUISH RELINQUISHED RELINQUISHES',
+    'RELINQUISHING RELISH RELISHED RELISHES RELISHING RELIVE RELIVED RELIVES RELIVING RELOAD RELOADED',
+    'RELOADING RELOADS RELOCATABLE RELOCATE RELOCATED RELOCATES RELOCATING RELOCATION RELUCTANCE',
+    'RELUCTANT RELUCTANTLY RELY RELYING REMADE REMAIN REMAINDER REMAINDERS REMAINED REMAINING REMAINS',
+    'REMAKE REMAKES REMAKING REMARK REMARKABLE REMARKABLY REMARKED REMARKING REMARKS REMEDIAL REMEDIED',
+    'REMEDIES REMEDY REMEDYING REMEMBER REMEMBERED REMEMBERING REMEMBERS REMEMBRANCE REMEMBRANCES REMIND',
+    'REMINDED REMINDER REMINDERS REMINDING REMINDS REMINISCE REMINISCED REMINISCENCE REMINISCENCES',
+    'REMINISCENT REMINISCES REMINISCING REMISS REMISSION REMISSIONS REMIT REMITS REMITTANCE REMITTANCES',
+    'REMITTED REMITTING REMNANT REMNANTS REMODEL REMODELED REMODELING REMODELS REMORSE REMORSEFUL',
+    'REMORSELESS REMOTE REMOTELY REMOTER REMOTES REMOTEST REMOVABLE REMOVAL REMOVALS REMOVE REMOVED',
+    'REMOVES REMOVING REMUNERATE REMUNERATED REMUNERATES REMUNERATING REMUNERATION REMUNERATIONS',
+    'RENAISSANCE RENAME RENAMED RENAMES RENAMING REND RENDER RENDERED RENDERING RENDERS RENDEZVOUS',
+    'RENDEZVOUSED RENDEZVOUSES RENDEZVOUSING RENDING RENDITION RENDITIONS RENDS RENEGADE RENEGADED',
+    'RENEGADES RENEGADING RENEGE RENEGED RENEGES RENEGING RENEW RENEWABLE RENEWAL RENEWALS RENEWED',
+    'RENEWING RENEWS RENOUNCE RENOUNCED RENOUNCES RENOUNCING RENOVATE RENOVATED RENOVATES RENOVATING',
+    'RENOVATION RENOVATIONS RENOWN RENOWNED RENT RENTAL RENTALS RENTED RENTING RENTS RENUNCIATION',
+    'RENUNCIATIONS REOPEN REOPENED REOPENING REOPENS REORGANIZATION REORGANIZE REORGANIZED REORGANIZES',
+    'REORGANIZING REPAID REPAIR REPAIRED REPAIRING REPAIRS REPARATION REPATRIATE REPATRIATED REPATRIATES',
+    'REPATRIATING REPAY REPAYING REPAYMENT REPAYMENTS REPAYS REPEAL REPEALED REPEALING REPEALS REPEAT',
+    'REPEATABLE REPEATED REPEATEDLY REPEATING REPEATS REPEL REPELLED REPELLENT REPELLENTS REPELLING',
+    'REPELS REPENT REPENTANCE REPENTANT REPENTED REPENTING REPENTS REPERCUSSION REPERCUSSIONS REPERTOIRE',
+    'REPERTOIRES REPETITION REPETITIONS REPETITIOUS REPETITIVE REPHRASE REPLACE REPLACED REPLACEMENT',
+    'REPLACEMENTS REPLACES REPLACING REPLAY REPLENISH REPLENISHED REPLENISHES REPLENISHING REPLETE',
+    'REPLETED REPLETES REPLETING REPLICA REPLICAS REPLICATE REPLICATED REPLICATES REPLICATING REPLICATION',
+    'REPLIED REPLIES REPLY REPLYING REPORT REPORTED REPORTEDLY REPORTER REPORTERS REPORTING REPORTS',
+    'REPOSE REPOSED REPOSES REPOSING REPOSITORIES REPOSITORY REPREHENSIBLE REPRESENT REPRESENTATION',
+    'REPRESENTATIONS REPRESENTATIVE REPRESENTATIVES REPRESENTED REPRESENTING REPRESENTS REPRESS REPRESSED',
+    'REPRESSES REPRESSING REPRESSION REPRESSIONS REPRESSIVE REPRIEVE REPRIEVED REPRIEVES REPRIEVING',
+    'REPRIMAND REPRIMANDED REPRIMANDING REPRIMANDS REPRINT REPRINTED REPRINTING REPRINTS REPRISAL',
+    'REPRISALS REPROACH REPROACHED REPROACHES REPROACHING REPRODUCE REPRODUCED REPRODUCES REPRODUCING',
+    'REPRODUCTION REPRODUCTIONS REPRODUCTIVE REPROGRAM REPROGRAMMED REPROGRAMMING REPROGRAMS REPROVE',
+    'REPROVED REPROVES REPROVING REPTILE REPTILES REPUBLIC REPUBLICAN REPUBLICANS REPUBLICS REPUDIATE',
+    'REPUDIATED REPUDIATES REPUDIATING REPUDIATION REPUDIATIONS REPUGNANCE REPUGNANT REPULSE REPULSED',
+    'REPULSES REPULSING REPULSION REPULSIVE REPUTABLE REPUTATION REPUTATIONS REPUTE REPUTED REPUTEDLY',
+    'REPUTES REPUTING REQUEST REQUESTED REQUESTING REQUESTS REQUIEM REQUIRE REQUIRED REQUIREMENT',
+    'REQUIREMENTS REQUIRES REQUIRING REQUISITE REQUISITES REQUISITION REQUISITIONED REQUISITIONING',
+    'REQUISITIONS REREAD REREADING REREADS REROUTE REROUTED REROUTES REROUTING RESALE RESCHEDULE',
+    'RESCHEDULED RESCHEDULES RESCHEDULING RESCIND RESCINDED RESCINDING RESCINDS RESCUE RESCUED RESCUER',
+    'RESCUERS RESCUES RESCUING RESEARCH RESEARCHED RESEARCHER RESEARCHERS RESEARCHES RESEARCHING',
+    'RESEMBLANCE RESEMBLANCES RESEMBLE RESEMBLED RESEMBLES RESEMBLING RESENT RESENTED RESENTFUL RESENTING',
+    'RESENTMENT RESENTMENTS RESENTS RESERVATION RESERVATIONS RESERVE RESERVED RESERVES RESERVING',
+    'RESERVOIR RESERVOIRS RESET RESETS RESETTING RESHUFFLE RESIDE RESIDED RESIDENCE RESIDENCES RESIDENT',
+    'RESIDENTIAL RESIDENTS RESIDES RESIDING RESIDUAL RESIDUALS RESIDUE RESIDUES RESIGN RESIGNATION',
+    'RESIGNATIONS RESIGNED RESIGNING RESIGNS RESILIENCE RESILIENT RESIN RESINS RESIST RESISTANCE',
+    'RESISTANCES RESISTANT RESISTED RESISTING RESISTOR RESISTORS RESISTS RESOLUTE RESOLUTELY RESOLUTION',
+    'RESOLUTIONS RESOLVE RESOLVED RESOLVER RESOLVES RESOLVING RESONANCE RESONANCES RESONANT RESORT',
+    'RESORTED RESORTING RESORTS RESOUND RESOUNDED RESOUNDING RESOUNDS RESOURCE RESOURCEFUL',
+    'RESOURCEFULNESS RESOURCES RESPECT RESPECTABILITY RESPECTABLE RESPECTABLY RESPECTED RESPECTFUL',
+    'RESPECTFULLY RESPECTING RESPECTIVE RESPECTIVELY RESPECTS RESPIRATION RESPIRATOR RESPIRATORS',
+    'RESPIRATORY RESPITE RESPITES RESPLENDENT RESPOND RESPONDED RESPONDING RESPONDS RESPONSE RESPONSES',
+    'RESPONSIBILITIES RESPONSIBILITY RESPONSIBLE RESPONSIBLY RESPONSIVE REST RESTART RESTARTED RESTARTING',
+    'RESTARTS RESTAURANT RESTAURANTS RESTED RESTFUL RESTFULLER RESTFULLEST RESTING RESTITUTION RESTIVE',
+    'RESTLESS RESTLESSLY RESTLESSNESS RESTORATION RESTORATIONS RESTORE RESTORED RESTORES RESTORING',
+    'RESTRAIN RESTRAINED RESTRAINING RESTRAINS RESTRAINT RESTRAINTS RESTRICT RESTRICTED RESTRICTING',
+    'RESTRICTION RESTRICTIONS RESTRICTIVE RESTRICTS RESTRUCTURE RESTRUCTURED RESTRUCTURES RESTRUCTURING',
+    'RESTS RESUBMIT RESUBMITS RESUBMITTED RESUBMITTING RESULT RESULTANT RESULTANTS RESULTED RESULTING',
+    'RESULTS RESUME RESUMED RESUMES RESUMING RESUMPTION RESUMPTIONS RESURFACE RESURFACED RESURFACES',
+    'RESURFACING RESURGENCE RESURGENCES RESURRECT RESURRECTED RESURRECTING RESURRECTION RESURRECTIONS',
+    'RESURRECTS RESUSCITATE RESUSCITATED RESUSCITATES RESUSCITATING RESUSCITATION RETAIL RETAILED',
+    'RETAILER RETAILERS RETAILING RETAILS RETAIN RETAINED RETAINER RETAINERS RETAINING RETAINS RETALIATE',
+    'RETALIATED RETALIATES RETALIATING RETALIATION RETALIATIONS RETARD RETARDED RETARDING RETARDS RETCH',
+    'RETCHED RETCHES RETCHING RETENTION RETHINK RETICENCE RETICENT RETINA RETINAS RETIRE RETIRED',
+    'RETIREMENT RETIREMENTS RETIRES RETIRING RETORT RETORTED RETORTING RETORTS RETRACE RETRACED RETRACES',
+    'RETRACING RETRACT RETRACTED RETRACTING RETRACTION RETRACTIONS RETRACTS RETREAT RETREATED RETREATING',
+    'RETREATS RETRIBUTION RETRIBUTIONS RETRIES RETRIEVAL RETRIEVALS RETRIEVE RETRIEVED RETRIEVER',
+    'RETRIEVERS RETRIEVES RETRIEVING RETROACTIVE RETROGRADE RETROSPECT RETROSPECTED RETROSPECTING',
+    'RETROSPECTIVE RETROSPECTIVELY RETROSPECTIVES RETROSPECTS RETRY RETURN RETURNABLE RETURNABLES',
+    'RETURNED RETURNING RETURNS RETYPE REUNION REUNIONS REUNITE REUNITED REUNITES REUNITING REUSE REUSED',
+    'REUSES REUSING REV REVAMP REVAMPED REVAMPING REVAMPS REVEAL REVEALED REVEALING REVEALS REVEL',
+    'REVELATION REVELATIONS REVELED REVELER REVELERS REVELING REVELRIES REVELRY REVELS REVENGE REVENGED',
+    'REVENGEFUL REVENGES REVENGING REVENUE REVENUES REVERBERATE REVERBERATED REVERBERATES REVERBERATING',
+    'REVERBERATION REVERBERATIONS REVERE REVERED REVERENCE REVERENCED REVERENCES REVERENCING REVERENT',
+    'REVERENTLY REVERES REVERIE REVERIES REVERING REVERSAL REVERSALS REVERSE REVERSED REVERSES REVERSIBLE',
+    'REVERSING REVERSION REVERT REVERTED REVERTING REVERTS REVIEW REVIEWED REVIEWER REVIEWERS REVIEWING',
+    'REVIEWS REVILE REVILED REVILES REVILING REVISE REVISED REVISES REVISING REVISION REVISIONS REVISIT',
+    'REVISITED REVISITING REVISITS REVIVAL REVIVALS REVIVE REVIVED REVIVES REVIVING REVOKE REVOKED',
+    'REVOKES REVOKING REVOLT REVOLTED REVOLTING REVOLTS REVOLUTION REVOLUTIONARIES REVOLUTIONARY',
+    'REVOLUTIONIZE REVOLUTIONIZED REVOLUTIONIZES REVOLUTIONIZING REVOLUTIONS REVOLVE REVOLVED REVOLVER',
+    'REVOLVERS REVOLVES REVOLVING REVS REVUE REVUES REVULSION REVVED REVVING REWARD REWARDED REWARDING',
+    'REWARDS REWIND REWORK REWRITE REWRITES REWRITING REWRITTEN REWROTE RHAPSODIES RHAPSODY RHETORIC',
+    'RHETORICAL RHEUMATISM RHINO RHINOCEROS RHINOCEROSES RHINOS RHODODENDRON RHODODENDRONS RHUBARB',
+    'RHUBARBS RHYME RHYMED RHYMES RHYMING RHYTHM RHYTHMIC RHYTHMS RIB RIBBED RIBBING RIBBON RIBBONS RIBS',
+    'RICE RICED RICES RICH RICHER RICHES RICHEST RICHLY RICHNESS RICING RICKETIER RICKETIEST RICKETY',
+    'RICKSHAW RICKSHAWS RICOCHET RICOCHETED RICOCHETING RICOCHETS RID RIDDANCE RIDDEN RIDDING RIDDLE',
+    'RIDDLED RIDDLES RIDDLING RIDE RIDER RIDERS RIDES RIDGE RIDGED RIDGES RIDGING RIDICULE RIDICULED',
+    'RIDICULES RIDICULING RIDICULOUS RIDICULOUSLY RIDING RIDS RIFE RIFER RIFEST RIFLE RIFLED RIFLES',
+    'RIFLING RIFT RIFTED RIFTING RIFTS RIG RIGGED RIGGING RIGHT RIGHTED RIGHTEOUS RIGHTEOUSLY',
+    'RIGHTEOUSNESS RIGHTER RIGHTEST RIGHTFUL RIGHTFULLY RIGHTING RIGHTLY RIGHTMOST RIGHTNESS RIGHTS RIGID',
+    'RIGIDITY RIGIDLY RIGOR RIGOROUS RIGOROUSLY RIGORS RIGS RILE RILED RILES RILING RIM RIMMED RIMMING',
+    'RIMS RIND RINDS RING RINGED RINGING RINGLEADER RINGLEADERS RINGLET RINGLETS RINGS RINGWORM RINK',
+    'RINKS RINSE RINSED RINSES RINSING RIOT RIOTED RIOTER RIOTERS RIOTING RIOTOUS RIOTS RIP RIPE RIPEN',
+    'RIPENED RIPENESS RIPENING RIPENS RIPER RIPEST RIPOSTE RIPPED RIPPING RIPPLE RIPPLED RIPPLES RIPPLING',
+    'RIPS RISE RISEN RISER RISERS RISES RISING RISK RISKED RISKIER RISKIEST RISKING RISKS RISKY RITE',
+    'RITES RITUAL RITUALS RIVAL RIVALED RIVALING RIVALRIES RIVALRY RIVALS RIVER RIVERS RIVET RIVETED',
+    'RIVETING RIVETS ROACH ROACHES ROAD ROADBLOCK ROADBLOCKED ROADBLOCKING ROADBLOCKS ROADS ROADSIDE',
+    'ROADSIDES ROAM ROAMED ROAMING ROAMS ROAR ROARED ROARING ROARS ROAST ROASTED ROASTING ROASTS ROB',
+    'ROBBED ROBBER ROBBERIES ROBBERS ROBBERY ROBBING ROBE ROBED ROBES ROBIN ROBING ROBINS ROBOT ROBOTS',
+    'ROBS ROBUST ROBUSTER ROBUSTEST ROBUSTNESS ROCK ROCKED ROCKER ROCKERS ROCKET ROCKETED ROCKETING',
+    'ROCKETS ROCKIER ROCKIEST ROCKING ROCKS ROCKY ROD RODE RODENT RODENTS RODEO RODEOS RODS ROE ROES',
+    'ROGUE ROGUES ROGUISH ROLE ROLES ROLL ROLLED ROLLER ROLLERS ROLLING ROLLS ROMAN ROMANCE ROMANCED',
+    'ROMANCES ROMANCING ROMANTIC ROMANTICALLY ROMANTICS ROMP ROMPED ROMPING ROMPS ROOF ROOFED ROOFING',
+    'ROOFS ROOK ROOKED ROOKIE ROOKIES ROOKING ROOKS ROOM ROOMED ROOMIER ROOMIEST ROOMING ROOMMATE',
+    'ROOMMATES ROOMS ROOMY ROOST ROOSTED ROOSTER ROOSTERS ROOSTING ROOSTS ROOT ROOTED ROOTER ROOTING',
+    'ROOTS ROPE ROPED ROPES ROPING ROSARIES ROSARY ROSE ROSEMARY ROSES ROSIER ROSIEST ROSTER ROSTERS',
+    'ROSTRUM ROSTRUMS ROSY ROT ROTARIES ROTARY ROTATE ROTATED ROTATES ROTATING ROTATION ROTATIONS ROTE',
+    'ROTISSERIE ROTISSERIES ROTOR ROTORS ROTS ROTTED ROTTEN ROTTENER ROTTENEST ROTTING ROTUND ROTUNDA',
+    'ROTUNDAS ROUGE ROUGED ROUGES ROUGH ROUGHAGE ROUGHED ROUGHEN ROUGHENED ROUGHENING ROUGHENS ROUGHER',
+    'ROUGHEST ROUGHHOUSE ROUGHHOUSED ROUGHHOUSES ROUGHHOUSING ROUGHING ROUGHLY ROUGHNESS ROUGHS ROUGING',
+    'ROULETTE ROUND ROUNDABOUT ROUNDABOUTS ROUNDED ROUNDER ROUNDEST ROUNDING ROUNDNESS ROUNDS ROUSE',
+    'ROUSED ROUSES ROUSING ROUT ROUTE ROUTED ROUTEING ROUTER ROUTES ROUTINE ROUTINELY ROUTINES ROUTING',
+    'ROUTS ROW ROWBOAT ROWBOATS ROWDIER ROWDIES ROWDIEST ROWDINESS ROWDY ROWED ROWING ROWS ROYAL ROYALLY',
+    'ROYALS ROYALTIES ROYALTY RUB RUBBED RUBBER RUBBERS RUBBING RUBBISH RUBBISHED RUBBISHES RUBBISHING',
+    'RUBBLE RUBIER RUBIES RUBIEST RUBRIC RUBS RUBY RUCKSACK RUCKUS RUCKUSES RUDDER RUDDERS RUDDIER',
+    'RUDDIEST RUDDY RUDE RUDELY RUDENESS RUDER RUDEST RUDIMENTARY RUE RUED RUEFUL RUES RUFF RUFFED',
+    'RUFFIAN RUFFIANS RUFFING RUFFLE RUFFLED RUFFLES RUFFLING RUFFS RUG RUGBY RUGGED RUGGEDER RUGGEDEST',
+    'RUGS RUIN RUINED RUING RUINING RUINOUS RUINS RULE RULED RULER RULERS RULES RULING RULINGS RUM RUMBLE',
+    'RUMBLED RUMBLES RUMBLING RUMINATE RUMINATED RUMINATES RUMINATING RUMMAGE RUMMAGED RUMMAGES RUMMAGING',
+    'RUMMER RUMMEST RUMMY RUMOR RUMORED RUMORING RUMORS RUMP RUMPLE RUMPLED RUMPLES RUMPLING RUMPS RUMS',
+    'RUN RUNAWAY RUNAWAYS RUNDOWN RUNDOWNS RUNE RUNES RUNG RUNGS RUNNER RUNNERS RUNNIER RUNNIEST RUNNING',
+    'RUNNY RUNS RUNT RUNTS RUNWAY RUNWAYS RUPTURE RUPTURED RUPTURES RUPTURING RURAL RUSE RUSES RUSH',
+    'RUSHED RUSHES RUSHING RUST RUSTED RUSTIC RUSTICS RUSTIER RUSTIEST RUSTING RUSTLE RUSTLED RUSTLER',
+    'RUSTLERS RUSTLES RUSTLING RUSTS RUSTY RUT RUTHLESS RUTHLESSLY RUTHLESSNESS RUTS RUTTED RUTTING RYE',
+    'SABBATICAL SABER SABERS SABOTAGE SABOTAGED SABOTAGES SABOTAGING SABOTEUR SABOTEURS SAC SACK SACKED',
+    'SACKING SACKS SACRAMENT SACRAMENTS SACRED SACRIFICE SACRIFICED SACRIFICES SACRIFICIAL SACRIFICING',
+    'SACRILEGE SACRILEGES SACRILEGIOUS SACS SAD SADDEN SADDENED SADDENING SADDENS SADDER SADDEST SADDLE',
+    'SADDLED SADDLES SADDLING SADES SADISM SADIST SADISTIC SADISTS SADLY SADNESS SAFARI SAFARIED',
+    'SAFARIING SAFARIS SAFE SAFEGUARD SAFEGUARDED SAFEGUARDING SAFEGUARDS SAFEKEEPING SAFELY SAFER SAFES',
+    'SAFEST SAFETIES SAFETY SAFFRON SAFFRONS SAG SAGA SAGAS SAGE SAGEBRUSH SAGER SAGES SAGEST SAGGED',
+    'SAGGING SAGS SAID SAIL SAILBOAT SAILBOATS SAILED SAILING SAILOR SAILORS SAILS SAINT SAINTLIER',
+    'SAINTLIEST SAINTLY SAINTS SAKE SALABLE SALAD SALADS SALAMI SALAMIS SALARIES SALARY SALE SALES',
+    'SALESMAN SALESMEN SALESPEOPLE SALESPERSON SALESPERSONS SALESWOMAN SALESWOMEN SALIENT SALIENTS SALIVA',
+    'SALIVATE SALIVATED SALIVATES SALIVATING SALLOW SALLOWER SALLOWEST SALLY SALMON SALMONS SALON SALONS',
+    'SALOON SALOONS SALT SALTED SALTER SALTEST SALTIER SALTIEST SALTING SALTS SALTY SALUTATION',
+    'SALUTATIONS SALUTE SALUTED SALUTES SALUTING SALVAGE SALVAGED SALVAGES SALVAGING SALVATION SALVE',
+    'SALVED SALVES SALVING SAME SAMENESS SAMES SAMPLE SAMPLED SAMPLER SAMPLES SAMPLING SANATORIUM',
+    'SANATORIUMS SANCTIFIED SANCTIFIES SANCTIFY SANCTIFYING SANCTIMONIOUS SANCTION SANCTIONED SANCTIONING',
+    'SANCTIONS SANCTITY SANCTUARIES SANCTUARY SAND SANDAL SANDALS SANDBAG SANDBAGGED SANDBAGGING SANDBAGS',
+    'SANDED SANDIER SANDIEST SANDING SANDMAN SANDMEN SANDPAPER SANDPAPERED SANDPAPERING SANDPAPERS SANDS',
+    'SANDSTONE SANDSTORM SANDSTORMS SANDWICH SANDWICHED SANDWICHES SANDWICHING SANDY SANE SANER SANEST',
+    'SANG SANGS SANITARIUM SANITARIUMS SANITARY SANITATION SANITY SANK SANSERIF SAP SAPLING SAPLINGS',
+    'SAPPED SAPPHIRE SAPPHIRES SAPPING SAPS SARCASM SARCASMS SARCASTIC SARCASTICALLY SARDINE SARDINES',
+    'SARI SARIS SASH SASHES SASSIER SASSIEST SASSY SAT SATANIC SATCHEL SATCHELS SATELLITE SATELLITED',
+    'SATELLITES SATELLITING SATIN SATIRE SATIRES SATIRICAL SATIRIST SATIRISTS SATIRIZE SATIRIZED',
+    'SATIRIZES SATIRIZING SATISFACTION SATISFACTIONS SATISFACTORILY SATISFACTORY SATISFIED SATISFIES',
+    'SATISFY SATISFYING SATURATE SATURATED SATURATES SATURATING SATURATION SAUCE SAUCED SAUCEPAN',
+    'SAUCEPANS SAUCER SAUCERS SAUCES SAUCIER SAUCIEST SAUCING SAUCY SAUERKRAUT SAUNA SAUNAED SAUNAING',
+    'SAUNAS SAUNTER SAUNTERED SAUNTERING SAUNTERS SAUSAGE SAUSAGES SAVAGE SAVAGED SAVAGELY SAVAGER',
+    'SAVAGERIES SAVAGERY SAVAGES SAVAGEST SAVAGING SAVE SAVED SAVER SAVES SAVING SAVINGS SAVIOR SAVIORS',
+    'SAVOR SAVORED SAVORIER SAVORIES SAVORIEST SAVORING SAVORS SAVORY SAVVIED SAVVIER SAVVIES SAVVIEST',
+    'SAVVY SAVVYING SAW SAWDUST SAWED SAWING SAWS SAXOPHONE SAXOPHONES SAY SAYING SAYINGS SAYS SCAB',
+    'SCABBED SCABBING SCABS SCAFFOLD SCAFFOLDING SCAFFOLDS SCALAR SCALARS SCALD SCALDED SCALDING SCALDS',
+    'SCALE SCALED SCALES SCALIER SCALIEST SCALING SCALLOP SCALLOPED SCALLOPING SCALLOPS SCALP SCALPED',
+    'SCALPEL SCALPELS SCALPING SCALPS SCALY SCAMPER SCAMPERED SCAMPERING SCAMPERS SCAN SCANDAL SCANDALIZE',
+    'SCANDALIZED SCANDALIZES SCANDALIZING SCANDALOUS SCANDALS SCANNED SCANNER SCANNERS SCANNING SCANS',
+    'SCANT SCANTED SCANTER SCANTEST SCANTIER SCANTIES SCANTIEST SCANTING SCANTS SCANTY SCAPEGOAT',
+    'SCAPEGOATED SCAPEGOATING SCAPEGOATS SCAR SCARCE SCARCELY SCARCER SCARCEST SCARCITY SCARE SCARECROW',
+    'SCARECROWS SCARED SCARES SCARF SCARFED SCARFING SCARFS SCARIER SCARIEST SCARING SCARLET SCARRED',
+    'SCARRING SCARS SCARVES SCARY SCATHING SCATTER SCATTERBRAIN SCATTERBRAINED SCATTERBRAINS SCATTERED',
+    'SCATTERING SCATTERS SCAVENGER SCAVENGERS SCENARIO SCENARIOS SCENE SCENERY SCENES SCENIC SCENT',
+    'SCENTED SCENTING SCENTS SCEPTER SCEPTERS SCHEDULE SCHEDULED SCHEDULER SCHEDULES SCHEDULING SCHEME',
+    'SCHEMED SCHEMER SCHEMERS SCHEMES SCHEMING SCHIZOPHRENIA SCHIZOPHRENIC SCHOLAR SCHOLARLY SCHOLARS',
+    'SCHOLARSHIP SCHOLARSHIPS SCHOLASTIC SCHOOL SCHOOLBOY SCHOOLBOYS SCHOOLCHILD SCHOOLCHILDREN SCHOOLED',
+    'SCHOOLING SCHOOLS SCHOOLTEACHER SCHOOLTEACHERS SCHOONER SCHOONERS SCIENCE SCIENCES SCIENTIFIC',
+    'SCIENTIFICALLY SCIENTIST SCIENTISTS SCISSOR SCISSORS SCOFF SCOFFED SCOFFING SCOFFS SCOLD SCOLDED',
+    'SCOLDING SCOLDS SCOOP SCOOPED SCOOPING SCOOPS SCOOT SCOOTED SCOOTER SCOOTERS SCOOTING SCOOTS SCOPE',
+    'SCOPED SCOPES SCOPING SCORCH SCORCHED SCORCHES SCORCHING SCORE SCORED SCORER SCORES SCORING SCORN',
+    'SCORNED SCORNFUL SCORNING SCORNS SCORPION SCORPIONS SCOTCH SCOTCHES SCOTCHS SCOUNDREL SCOUNDRELS',
+    'SCOUR SCOURED SCOURGE SCOURGED SCOURGES SCOURGING SCOURING SCOURS SCOUT SCOUTED SCOUTING SCOUTS',
+    'SCOWL SCOWLED SCOWLING SCOWLS SCRABBLE SCRAM SCRAMBLE SCRAMBLED SCRAMBLES SCRAMBLING SCRAMMED',
+    'SCRAMMING SCRAMS SCRAP SCRAPBOOK SCRAPBOOKS SCRAPE SCRAPED SCRAPES SCRAPING SCRAPPED SCRAPPING',
+    'SCRAPS SCRATCH SCRATCHED SCRATCHES SCRATCHIER SCRATCHIEST SCRATCHING SCRATCHY SCRAWL SCRAWLED',
+    'SCRAWLING SCRAWLS SCRAWNIER SCRAWNIEST SCRAWNY SCREAM SCREAMED SCREAMING SCREAMS SCREECH SCREECHED',
+    'SCREECHES SCREECHING SCREEN SCREENED SCREENING SCREENS SCREW SCREWDRIVER SCREWDRIVERS SCREWED',
+    'SCREWIER SCREWIEST SCREWING SCREWS SCREWY SCRIBBLE SCRIBBLED SCRIBBLES SCRIBBLING SCRIBE SCRIBES',
+    'SCRIPT SCRIPTED SCRIPTING SCRIPTS SCRIPTURE SCRIPTURES SCRIPTWRITER SCRIPTWRITERS SCROLL SCROLLED',
+    'SCROLLING SCROLLS SCROUNGE SCROUNGED SCROUNGES SCROUNGING SCRUB SCRUBBED SCRUBBING SCRUBS SCRUFF',
+    'SCRUFFIER SCRUFFIEST SCRUFFS SCRUFFY SCRUPLE SCRUPLED SCRUPLES SCRUPLING SCRUPULOUS SCRUPULOUSLY',
+    'SCRUTINIZE SCRUTINIZED SCRUTINIZES SCRUTINIZING SCRUTINY SCUFF SCUFFED SCUFFING SCUFFLE SCUFFLED',
+    'SCUFFLES SCUFFLING SCUFFS SCULPTOR SCULPTORS SCULPTURE SCULPTURED SCULPTURES SCULPTURING SCUM',
+    'SCUMMED SCUMMING SCUMS SCURRIED SCURRIES SCURRILOUS SCURRY SCURRYING SCUTTLE SCUTTLED SCUTTLES',
+    'SCUTTLING SCYTHE SCYTHED SCYTHES SCYTHING SEA SEAFARING SEAFOOD SEAL SEALED SEALING SEALS SEAM',
+    'SEAMAN SEAMED SEAMEN SEAMING SEAMS SEAMSTRESS SEAMSTRESSES SEAPORT SEAPORTS SEAR SEARCH SEARCHED',
+    'SEARCHES SEARCHING SEARCHLIGHT SEARCHLIGHTS SEARED SEARING SEARS SEAS SEASHELL SEASHELLS SEASHORE',
+    'SEASHORES SEASICK SEASICKNESS SEASIDE SEASIDES SEASON SEASONABLE SEASONAL SEASONED SEASONING',
+    'SEASONINGS SEASONS SEAT SEATED SEATING SEATS SEAWEED SECEDE SECEDED SECEDES SECEDING SECESSION',
+    'SECLUDE SECLUDED SECLUDES SECLUDING SECLUSION SECOND SECONDARIES SECONDARILY SECONDARY SECONDED',
+    'SECONDING SECONDLY SECONDS SECRECY SECRET SECRETARIAL SECRETARIES SECRETARY SECRETE SECRETED',
+    'SECRETES SECRETING SECRETION SECRETIONS SECRETIVE SECRETLY SECRETS SECT SECTION SECTIONED SECTIONING',
+    'SECTIONS SECTOR SECTORS SECTS SECULAR SECURE SECURED SECURELY SECURER SECURES SECUREST SECURING',
+    'SECURITIES SECURITY SEDAN SEDANS SEDATE SEDATED SEDATER SEDATES SEDATEST SEDATING SEDATIVE SEDATIVES',
+    'SEDENTARY SEDIMENT SEDIMENTARY SEDIMENTS SEDUCE SEDUCED SEDUCES SEDUCING SEDUCTION SEDUCTIONS',
+    'SEDUCTIVE SEE SEED SEEDED SEEDIER SEEDIEST SEEDING SEEDLING SEEDLINGS SEEDS SEEDY SEEING SEEK',
+    'SEEKING SEEKS SEEM SEEMED SEEMING SEEMINGLY SEEMS SEEN SEEP SEEPAGE SEEPED SEEPING SEEPS SEER SEES',
+    'SEESAW SEESAWED SEESAWING SEESAWS SEETHE SEETHED SEETHES SEETHING SEGMENT SEGMENTATION SEGMENTED',
+    'SEGMENTING SEGMENTS SEGREGATE SEGREGATED SEGREGATES SEGREGATING SEGREGATION SEIZE SEIZED SEIZES',
+    'SEIZING SEIZURE SEIZURES SELDOM SELECT SELECTED SELECTING SELECTION SELECTIONS SELECTIVE SELECTIVELY',
+    'SELECTOR SELECTORS SELECTS SELF SELFISH SELFISHNESS SELL SELLER SELLERS SELLING SELLS SELVES',
+    'SEMANTIC SEMANTICALLY SEMANTICS SEMBLANCE SEMBLANCES SEMEN SEMESTER SEMESTERS SEMICIRCLE SEMICIRCLES',
+    'SEMICOLON SEMICOLONS SEMICONDUCTOR SEMICONDUCTORS SEMIFINAL SEMIFINALS SEMINAR SEMINARIES SEMINARS',
+    'SEMINARY SENATE SENATES SENATOR SENATORS SEND SENDER SENDING SENDS SENILE SENILITY SENIOR SENIORITY',
+    'SENIORS SENSATION SENSATIONAL SENSATIONALISM SENSATIONS SENSE SENSED SENSELESS SENSES SENSIBILITIES',
+    'SENSIBILITY SENSIBLE SENSIBLY SENSING SENSITIVE SENSITIVES SENSITIVITIES SENSITIVITY SENSOR SENSORS',
+    'SENSORY SENSUAL SENSUALITY SENSUOUS SENT SENTENCE SENTENCED SENTENCES SENTENCING SENTIENCE SENTIENT',
+    'SENTIMENT SENTIMENTAL SENTIMENTALITY SENTIMENTS SENTRIES SENTRY SEPARATE SEPARATED SEPARATELY',
+    'SEPARATES SEPARATING SEPARATION SEPARATIONS SEPARATOR SEPARATORS SEPULCHER SEPULCHERED SEPULCHERING',
+    'SEPULCHERS SEQUEL SEQUELS SEQUENCE SEQUENCED SEQUENCER SEQUENCES SEQUENCING SEQUENTIAL SEQUENTIALLY',
+    'SEQUIN SEQUINS SERENADE SERENADED SERENADES SERENADING SERENE SERENER SERENEST SERENITY SERGEANT',
+    'SERGEANTS SERIAL SERIALS SERIES SERIOUS SERIOUSLY SERIOUSNESS SERMON SERMONS SERPENT SERPENTS SERUM',
+    'SERUMS SERVANT SERVANTS SERVE SERVED SERVER SERVERS SERVES SERVICE SERVICEABLE SERVICED SERVICEMAN',
+    'SERVICEMEN SERVICES SERVICING SERVIETTE SERVIETTES SERVILE SERVING SERVITUDE SESSION SESSIONS SET',
+    'SETBACK SETBACKS SETS SETTABLE SETTER SETTERS SETTING SETTINGS SETTLE SETTLED SETTLEMENT SETTLEMENTS',
+    'SETTLER SETTLERS SETTLES SETTLING SEVEN SEVENS SEVENTEEN SEVENTEENS SEVENTEENTH SEVENTEENTHS SEVENTH',
+    'SEVENTHS SEVENTIES SEVENTY SEVER SEVERAL SEVERANCE SEVERANCES SEVERE SEVERED SEVERELY SEVERER',
+    'SEVEREST SEVERING SEVERITY SEVERS SEW SEWAGE SEWED SEWER SEWERS SEWING SEWN SEWS SEX SEXED SEXES',
+    'SEXING SEXISM SEXIST SEXUAL SEXUALITY SEXUALLY SEXY SHABBIER SHABBIEST SHABBILY SHABBY SHACK SHACKLE',
+    'SHACKLED SHACKLES SHACKLING SHACKS SHADE SHADED SHADES SHADIER SHADIEST SHADING SHADOW SHADOWED',
+    'SHADOWIER SHADOWIEST SHADOWING SHADOWS SHADOWY SHADY SHAFT SHAFTED SHAFTING SHAFTS SHAGGIER',
+    'SHAGGIEST SHAGGY SHAKE SHAKEN SHAKES SHAKIER SHAKIEST SHAKING SHAKY SHALL SHALLOW SHALLOWER',
+    'SHALLOWEST SHALLOWS SHAM SHAMBLE SHAMBLES SHAME SHAMED SHAMEFUL SHAMEFULLY SHAMELESS SHAMES SHAMING',
+    'SHAMMED SHAMMING SHAMPOO SHAMPOOED SHAMPOOING SHAMPOOS SHAMROCK SHAMROCKS SHAMS SHANTIES SHANTY',
+    'SHAPE SHAPED SHAPELIER SHAPELIEST SHAPELY SHAPES SHAPING SHARE SHARED SHAREHOLDER SHAREHOLDERS',
+    'SHARES SHARING SHARK SHARKED SHARKING SHARKS SHARP SHARPED SHARPEN SHARPENED SHARPENER SHARPENERS',
+    'SHARPENING SHARPENS SHARPER SHARPEST SHARPING SHARPLY SHARPNESS SHARPS SHATTER SHATTERED SHATTERING',
+    'SHATTERS SHAVE SHAVED SHAVEN SHAVER SHAVERS SHAVES SHAVING SHAWL SHAWLS SHE SHEAF SHEAR SHEARED',
+    'SHEARING SHEARS SHEATH SHEATHE SHEATHED SHEATHES SHEATHING SHEATHS SHEAVE SHEAVES SHED SHEDDING',
+    'SHEDS SHEEN SHEEP SHEEPISH SHEEPISHLY SHEER SHEERED SHEERER SHEEREST SHEERING SHEERS SHEET SHEETS',
+    'SHEIKH SHEIKHS SHELF SHELL SHELLED SHELLER SHELLFISH SHELLFISHES SHELLING SHELLS SHELTER SHELTERED',
+    'SHELTERING SHELTERS SHELVE SHELVED SHELVES SHELVING SHEPHERD SHEPHERDED SHEPHERDING SHEPHERDS',
+    'SHERBET SHERBETS SHERIFF SHERIFFS SHERRIES SHERRY SHES SHIED SHIELD SHIELDED SHIELDING SHIELDS SHIES',
+    'SHIFT SHIFTED SHIFTIER SHIFTIEST SHIFTING SHIFTLESS SHIFTS SHIFTY SHIMMER SHIMMERED SHIMMERING',
+    'SHIMMERS SHIN SHINE SHINED SHINES SHINGLE SHINGLED SHINGLES SHINGLING SHINIER SHINIEST SHINING',
+    'SHINNED SHINNING SHINS SHINY SHIP SHIPMENT SHIPMENTS SHIPPED SHIPPING SHIPS SHIPSHAPE SHIPWRECK',
+    'SHIPWRECKED SHIPWRECKING SHIPWRECKS SHIRE SHIRK SHIRKED SHIRKING SHIRKS SHIRT SHIRTED SHIRTING',
+    'SHIRTS SHIVER SHIVERED SHIVERING SHIVERS SHOAL SHOALED SHOALING SHOALS SHOCK SHOCKED SHOCKING SHOCKS',
+    'SHOD SHODDIER SHODDIEST SHODDY SHOE SHOEING SHOELACE SHOELACES SHOES SHOESTRING SHOESTRINGS SHONE',
+    'SHOO SHOOED SHOOING SHOOK SHOOS SHOOT SHOOTING SHOOTS SHOP SHOPKEEPER SHOPKEEPERS SHOPLIFTER',
+    'SHOPLIFTERS SHOPPED SHOPPER SHOPPERS SHOPPING SHOPS SHORE SHORED SHORES SHORING SHORT SHORTAGE',
+    'SHORTAGES SHORTCOMING SHORTCOMINGS SHORTED SHORTEN SHORTENED SHORTENING SHORTENINGS SHORTENS SHORTER',
+    'SHORTEST SHORTFALL SHORTHAND SHORTING SHORTLIST SHORTLY SHORTNESS SHORTS SHOT SHOTGUN SHOTGUNNED',
+    'SHOTGUNNING SHOTGUNS SHOTS SHOULD SHOULDER SHOULDERED SHOULDERING SHOULDERS SHOUT SHOUTED SHOUTING',
+    'SHOUTS SHOVE SHOVED SHOVEL SHOVELED SHOVELING SHOVELS SHOVES SHOVING SHOW SHOWCASE SHOWCASED',
+    'SHOWCASES SHOWCASING SHOWDOWN SHOWDOWNS SHOWED SHOWER SHOWERED SHOWERING SHOWERS SHOWIER SHOWIEST',
+    'SHOWING SHOWINGS SHOWMAN SHOWMEN SHOWN SHOWS SHOWY SHRANK SHRAPNEL SHRED SHREDDED SHREDDING SHREDS',
+    'SHREW SHREWD SHREWDER SHREWDEST SHREWDNESS SHREWS SHRIEK SHRIEKED SHRIEKING SHRIEKS SHRILL SHRILLED',
+    'SHRILLER SHRILLEST SHRILLING SHRILLS SHRIMP SHRIMPED SHRIMPING SHRIMPS SHRINE SHRINES SHRINK',
+    'SHRINKAGE SHRINKING SHRINKS SHRIVEL SHRIVELED SHRIVELING SHRIVELS SHROUD SHROUDED SHROUDING SHROUDS',
+    'SHRUB SHRUBBERIES SHRUBBERY SHRUBS SHRUG SHRUGGED SHRUGGING SHRUGS SHRUNK SHRUNKEN SHUCK SHUCKED',
+    'SHUCKING SHUCKS SHUDDER SHUDDERED SHUDDERING SHUDDERS SHUFFLE SHUFFLED SHUFFLES SHUFFLING SHUN',
+    'SHUNNED SHUNNING SHUNS SHUNT SHUNTED SHUNTING SHUNTS SHUT SHUTDOWN SHUTS SHUTTER SHUTTERED',
+    'SHUTTERING SHUTTERS SHUTTING SHUTTLE SHUTTLED SHUTTLES SHUTTLING SHY SHYER SHYEST SHYING SHYNESS',
+    'SIBLING SIBLINGS SIC SICK SICKED SICKEN SICKENED SICKENING SICKENS SICKER SICKEST SICKING SICKLE',
+    'SICKLES SICKLIER SICKLIEST SICKLY SICKNESS SICKNESSES SICKS SICS SIDE SIDED SIDELINE SIDELINED',
+    'SIDELINES SIDELINING SIDELONG SIDES SIDESHOW SIDESHOWS SIDESTEP SIDESTEPPED SIDESTEPPING SIDESTEPS',
+    'SIDETRACK SIDETRACKED SIDETRACKING SIDETRACKS SIDEWALK SIDEWALKS SIDEWAYS SIDING SIDINGS SIDLE',
+    'SIDLED SIDLES SIDLING SIEGE SIEGES SIERRA SIESTA SIESTAS SIEVE SIEVED SIEVES SIEVING SIFT SIFTED',
+    'SIFTING SIFTS SIGH SIGHED SIGHING SIGHS SIGHT SIGHTED SIGHTING SIGHTLESS SIGHTS SIGMA SIGN SIGNAL',
+    'SIGNALED SIGNALING SIGNALS SIGNATURE SIGNATURES SIGNED SIGNER SIGNIFICANCE SIGNIFICANT SIGNIFICANTLY',
+    'SIGNIFIED SIGNIFIES SIGNIFY SIGNIFYING SIGNING SIGNPOST SIGNPOSTED SIGNPOSTING SIGNPOSTS SIGNS',
+    'SILENCE SILENCED SILENCES SILENCING SILENT SILENTER SILENTEST SILENTLY SILENTS SILHOUETTE',
+    'SILHOUETTED SILHOUETTES SILHOUETTING SILICON SILK SILKEN SILKS SILL SILLIER SILLIES SILLIEST',
+    'SILLINESS SILLS SILLY SILO SILOS SILT SILTED SILTING SILTS SILVER SILVERED SILVERING SILVERS',
+    'SILVERSMITH SILVERSMITHS SILVERWARE SILVERY SIMILAR SIMILARITIES SIMILARITY SIMILARLY SIMILE SIMILES',
+    'SIMMER SIMMERED SIMMERING SIMMERS SIMPLE SIMPLER SIMPLEST SIMPLEX SIMPLICITY SIMPLIFICATION',
+    'SIMPLIFIED SIMPLIFIES SIMPLIFY SIMPLIFYING SIMPLISTIC SIMPLY SIMULATE SIMULATED SIMULATES SIMULATING',
+    'SIMULATION SIMULATIONS SIMULATOR SIMULTANEOUS SIMULTANEOUSLY SIN SINCE SINCERE SINCERELY SINCERER',
+    'SINCEREST SINCERITY SINE SINEW SINEWS SINEWY SINFUL SING SINGE SINGED SINGEING SINGER SINGERS SINGES',
+    'SINGING SINGLE SINGLED SINGLES SINGLING SINGLY SINGS SINGULAR SINGULARITY SINGULARLY SINGULARS',
+    'SINISTER SINK SINKING SINKS SINNED SINNER SINNERS SINNING SINS SINUS SINUSES SIP SIPHON SIPHONED',
+    'SIPHONING SIPHONS SIPPED SIPPING SIPS SIR SIRE SIRED SIREN SIRENS SIRES SIRING SIRLOIN SIRLOINS SIRS',
+    'SISSIER SISSIES SISSIEST SISSY SISTER SISTERHOOD SISTERHOODS SISTERLY SISTERS SIT SITE SITED SITES',
+    'SITING SITS SITTER SITTERS SITTING SITUATE SITUATED SITUATES SITUATING SITUATION SITUATIONS SIX',
+    'SIXES SIXPENCE SIXPENCES SIXTEEN SIXTEENS SIXTEENTH SIXTEENTHS SIXTH SIXTHS SIXTIES SIXTIETH',
+    'SIXTIETHS SIXTY SIZABLE SIZE SIZED SIZER SIZES SIZING SIZZLE SIZZLED SIZZLES SIZZLING SKATE',
+    'SKATEBOARD SKATEBOARDED SKATEBOARDING SKATEBOARDS SKATED SKATER SKATERS SKATES SKATING SKEIN SKEINS',
+    'SKELETON SKELETONS SKEPTIC SKEPTICAL SKEPTICISM SKEPTICS SKETCH SKETCHED SKETCHES SKETCHIER',
+    'SKETCHIEST SKETCHING SKETCHY SKEW SKEWED SKEWER SKEWERED SKEWERING SKEWERS SKEWING SKEWS SKI SKID',
+    'SKIDDED SKIDDING SKIDS SKIED SKIES SKIING SKILL SKILLED SKILLET SKILLETS SKILLFUL SKILLS SKIM',
+    'SKIMMED SKIMMING SKIMP SKIMPED SKIMPIER SKIMPIEST SKIMPING SKIMPS SKIMPY SKIMS SKIN SKINFLINT',
+    'SKINFLINTS SKINNED SKINNIER SKINNIEST SKINNING SKINNY SKINS SKIP SKIPPED SKIPPER SKIPPERED',
+    'SKIPPERING SKIPPERS SKIPPING SKIPS SKIRMISH SKIRMISHED SKIRMISHES SKIRMISHING SKIRT SKIRTED SKIRTING',
+    'SKIRTS SKIS SKIT SKITS SKITTISH SKULK SKULKED SKULKING SKULKS SKULL SKULLS SKUNK SKUNKED SKUNKING',
+    'SKUNKS SKY SKYING SKYLIGHT SKYLIGHTS SKYLINE SKYLINES SKYROCKET SKYROCKETED SKYROCKETING SKYROCKETS',
+    'SKYSCRAPER SKYSCRAPERS SLAB SLABBED SLABBING SLABS SLACK SLACKED SLACKEN SLACKENED SLACKENING',
+    'SLACKENS SLACKER SLACKEST SLACKING SLACKS SLAG SLAIN SLAKE SLAKED SLAKES SLAKING SLAM SLAMMED',
+    'SLAMMING SLAMS SLANDER SLANDERED SLANDERING SLANDERS SLANG SLANT SLANTED SLANTING SLANTS SLAP',
+    'SLAPPED SLAPPING SLAPS SLAPSTICK SLASH SLASHED SLASHES SLASHING SLAT SLATE SLATED SLATES SLATING',
+    'SLATS SLAUGHTER SLAUGHTERED SLAUGHTERING SLAUGHTERS SLAVE SLAVED SLAVERY SLAVES SLAVING SLAVISH SLAY',
+    'SLAYING SLAYS SLEAZIER SLEAZIEST SLEAZY SLED SLEDDED SLEDDING SLEDGEHAMMER SLEDS SLEEK SLEEKED',
+    'SLEEKER SLEEKEST SLEEKING SLEEKS SLEEP SLEEPER SLEEPERS SLEEPIER SLEEPIEST SLEEPING SLEEPLESS SLEEPS',
+    'SLEEPY SLEET SLEETED SLEETING SLEETS SLEEVE SLEEVELESS SLEEVES SLEIGH SLEIGHED SLEIGHING SLEIGHS',
+    'SLENDER SLENDERER SLENDEREST SLEPT SLEW SLEWED SLEWING SLEWS SLICE SLICED SLICES SLICING SLICK',
+    'SLICKED SLICKER SLICKEST SLICKING SLICKS SLID SLIDE SLIDES SLIDING SLIER SLIEST SLIGHT SLIGHTED',
+    'SLIGHTER SLIGHTEST SLIGHTING SLIGHTLY SLIGHTS SLIM SLIME SLIMIER SLIMIEST SLIMMED SLIMMER SLIMMEST',
+    'SLIMMING SLIMS SLIMY SLING SLINGING SLINGS SLINGSHOT SLINGSHOTS SLINK SLINKING SLINKS SLIP SLIPPED',
+    'SLIPPER SLIPPERIER SLIPPERIEST SLIPPERS SLIPPERY SLIPPING SLIPS SLIPSHOD SLIT SLITHER SLITHERED',
+    'SLITHERING SLITHERS SLITS SLITTER SLITTING SLIVER SLIVERED SLIVERING SLIVERS SLOB SLOBBER SLOBBERED',
+    'SLOBBERING SLOBBERS SLOBS SLOG SLOGAN SLOGANS SLOGGED SLOGGING SLOGS SLOP SLOPE SLOPED SLOPES',
+    'SLOPING SLOPPED SLOPPIER SLOPPIEST SLOPPING SLOPPY SLOPS SLOSH SLOSHED SLOSHES SLOSHING SLOT SLOTH',
+    'SLOTHFUL SLOTHS SLOTS SLOTTED SLOTTING SLOUCH SLOUCHED SLOUCHES SLOUCHING SLOVENLIER SLOVENLIEST',
+    'SLOVENLY SLOW SLOWED SLOWER SLOWEST SLOWING SLOWLY SLOWNESS SLOWS SLUDGE SLUG SLUGGED SLUGGING',
+    'SLUGGISH SLUGS SLUICE SLUICED SLUICES SLUICING SLUM SLUMBER SLUMBERED SLUMBERING SLUMBERS SLUMMED',
+    'SLUMMER SLUMMING SLUMP SLUMPED SLUMPING SLUMPS SLUMS SLUNG SLUNK SLUR SLURRED SLURRING SLURS SLUSH',
+    'SLUT SLUTS SLY SLYLY SLYNESS SMACK SMACKED SMACKING SMACKS SMALL SMALLER SMALLEST SMALLISH SMALLPOX',
+    'SMALLS SMART SMARTED SMARTER SMARTEST SMARTING SMARTLY SMARTS SMASH SMASHED SMASHES SMASHING',
+    'SMATTERING SMATTERINGS SMEAR SMEARED SMEARING SMEARS SMELL SMELLED SMELLIER SMELLIEST SMELLING',
+    'SMELLS SMELLY SMELT SMELTED SMELTING SMELTS SMIDGEN SMIDGENS SMILE SMILED SMILES SMILING SMIRK',
+    'SMIRKED SMIRKING SMIRKS SMITE SMITES SMITH SMITHEREENS SMITHS SMITING SMITTEN SMOCK SMOCKED SMOCKING',
+    'SMOCKS SMOG SMOKE SMOKED SMOKER SMOKERS SMOKES SMOKESTACK SMOKESTACKS SMOKIER SMOKIEST SMOKING SMOKY',
+    'SMOLDER SMOLDERED SMOLDERING SMOLDERS SMOOTH SMOOTHED SMOOTHER SMOOTHEST SMOOTHING SMOOTHLY',
+    'SMOOTHNESS SMOOTHS SMOTE SMOTHER SMOTHERED SMOTHERING SMOTHERS SMUDGE SMUDGED SMUDGES SMUDGING SMUG',
+    'SMUGGER SMUGGEST SMUGGLE SMUGGLED SMUGGLER SMUGGLERS SMUGGLES SMUGGLING SMUGLY SMUT SMUTS SNACK',
+    'SNACKED SNACKING SNACKS SNAG SNAGGED SNAGGING SNAGS SNAIL SNAILED SNAILING SNAILS SNAKE SNAKED',
+    'SNAKES SNAKING SNAP SNAPPED SNAPPIER SNAPPIEST SNAPPING SNAPPY SNAPS SNAPSHOT SNAPSHOTS SNARE SNARED',
+    'SNARES SNARING SNARL SNARLED SNARLING SNARLS SNATCH SNATCHED SNATCHES SNATCHING SNEAK SNEAKED',
+    'SNEAKER SNEAKERS SNEAKIER SNEAKIEST SNEAKING SNEAKS SNEAKY SNEER SNEERED SNEERING SNEERS SNEEZE',
+    'SNEEZED SNEEZES SNEEZING SNICKER SNICKERED SNICKERING SNICKERS SNIDE SNIDER SNIDEST SNIFF SNIFFED',
+    'SNIFFING SNIFFLE SNIFFLED SNIFFLES SNIFFLING SNIFFS SNIP SNIPE SNIPED SNIPER SNIPERS SNIPES SNIPING',
+    'SNIPPED SNIPPET SNIPPETS SNIPPING SNIPS SNITCH SNITCHED SNITCHES SNITCHING SNOB SNOBBERY SNOBBISH',
+    'SNOBS SNOOKER SNOOP SNOOPED SNOOPING SNOOPS SNOOTIER SNOOTIEST SNOOTY SNOOZE SNOOZED SNOOZES',
+    'SNOOZING SNORE SNORED SNORES SNORING SNORKEL SNORKELED SNORKELING SNORKELS SNORT SNORTED SNORTING',
+    'SNORTS SNOT SNOTS SNOUT SNOUTS SNOW SNOWBALL SNOWBALLED SNOWBALLING SNOWBALLS SNOWDRIFT SNOWDRIFTS',
+    'SNOWED SNOWFALL SNOWFALLS SNOWFLAKE SNOWFLAKES SNOWIER SNOWIEST SNOWING SNOWPLOW SNOWPLOWED',
+    'SNOWPLOWING SNOWPLOWS SNOWS SNOWSTORM SNOWSTORMS SNOWY SNUB SNUBBED SNUBBING SNUBS SNUFF SNUFFED',
+    'SNUFFER SNUFFING SNUFFS SNUG SNUGGED SNUGGER SNUGGEST SNUGGING SNUGGLE SNUGGLED SNUGGLES SNUGGLING',
+    'SNUGLY SNUGS SO SOAK SOAKED SOAKING SOAKS SOAP SOAPED SOAPIER SOAPIEST SOAPING SOAPS SOAPY SOAR',
+    'SOARED SOARING SOARS SOB SOBBED SOBBING SOBER SOBERED SOBERER SOBEREST SOBERING SOBERS SOBRIETY SOBS',
+    'SOCCER SOCIABLE SOCIABLES SOCIAL SOCIALISM SOCIALIST SOCIALISTS SOCIALIZE SOCIALIZED SOCIALIZES',
+    'SOCIALIZING SOCIALLY SOCIALS SOCIETIES SOCIETY SOCIOLOGICAL SOCIOLOGIST SOCIOLOGISTS SOCIOLOGY SOCK',
+    'SOCKED SOCKET SOCKETS SOCKING SOCKS SOD SODA SODAS SODDED SODDEN SODDING SODIUM SODOMY SODS SOFA',
+    'SOFAS SOFT SOFTBALL SOFTBALLS SOFTEN SOFTENED SOFTENING SOFTENS SOFTER SOFTEST SOFTLY SOFTNESS',
+    'SOFTWARE SOGGIER SOGGIEST SOGGY SOIL SOILED SOILING SOILS SOJOURN SOJOURNED SOJOURNING SOJOURNS',
+    'SOLACE SOLACED SOLACES SOLACING SOLAR SOLD SOLDER SOLDERED SOLDERING SOLDERS SOLDIER SOLDIERED',
+    'SOLDIERING SOLDIERS SOLE SOLED SOLELY SOLEMN SOLEMNER SOLEMNEST SOLEMNITY SOLEMNLY SOLES SOLICIT',
+    'SOLICITED SOLICITING SOLICITOR SOLICITORS SOLICITOUS SOLICITS SOLID SOLIDARITY SOLIDER SOLIDEST',
+    'SOLIDIFIED SOLIDIFIES SOLIDIFY SOLIDIFYING SOLIDITY SOLIDLY SOLIDS SOLING SOLITAIRE SOLITAIRES',
+    'SOLITARIES SOLITARY SOLITUDE SOLO SOLOED SOLOING SOLOIST SOLOISTS SOLOS SOLUBLE SOLUBLES SOLUTION',
+    'SOLUTIONS SOLVE SOLVED SOLVENT SOLVENTS SOLVES SOLVING SOMBER SOME SOMEBODIES SOMEBODY SOMEDAY',
+    'SOMEHOW SOMEONE SOMEONES SOMEPLACE SOMERSAULT SOMERSAULTED SOMERSAULTING SOMERSAULTS SOMETHING',
+    'SOMETHINGS SOMETIME SOMETIMES SOMEWHAT SOMEWHATS SOMEWHERE SON SONATA SONATAS SONG SONGS SONIC',
+    'SONNET SONNETS SONOROUS SONS SOON SOONER SOONEST SOOT SOOTHE SOOTHED SOOTHES SOOTHING SOOTIER',
+    'SOOTIEST SOOTY SOP SOPHISTICATE SOPHISTICATED SOPHISTICATES SOPHISTICATING SOPHISTICATION SOPHISTRY',
+    'SOPHOMORE SOPHOMORES SOPPED SOPPING SOPRANO SOPRANOS SOPS SORCERER SORCERERS SORCERESS SORCERESSES',
+    'SORCERY SORDID SORE SORELY SORER SORES SOREST SORORITIES SORORITY SORRIER SORRIEST SORROW SORROWED',
+    'SORROWFUL SORROWING SORROWS SORRY SORT SORTA SORTED SORTING SORTS SOUGHT SOUL SOULS SOUND SOUNDED',
+    'SOUNDER SOUNDEST SOUNDING SOUNDLY SOUNDPROOF SOUNDPROOFED SOUNDPROOFING SOUNDPROOFS SOUNDS',
+    'SOUNDTRACK SOUP SOUPED SOUPING SOUPS SOUR SOURCE SOURCED SOURCES SOURCING SOURED SOURER SOUREST',
+    'SOURING SOURS SOUTH SOUTHEAST SOUTHEASTERN SOUTHERLIES SOUTHERLY SOUTHERN SOUTHERNER SOUTHERNERS',
+    'SOUTHERNS SOUTHPAW SOUTHPAWS SOUTHWARD SOUTHWEST SOUTHWESTERN SOUVENIR SOUVENIRS SOVEREIGN',
+    'SOVEREIGNS SOVEREIGNTY SOW SOWED SOWING SOWN SOWS SPA SPACE SPACECRAFT SPACECRAFTS SPACED SPACES',
+    'SPACESHIP SPACESHIPS SPACIAL SPACING SPACIOUS SPADE SPADED SPADES SPADING SPAGHETTI SPAN SPANGLE',
+    'SPANGLED SPANGLES SPANGLING SPANIEL SPANIELS SPANK SPANKED SPANKING SPANKINGS SPANKS SPANNED SPANNER',
+    'SPANNERS SPANNING SPANS SPAR SPARE SPARED SPARER SPARES SPAREST SPARING SPARK SPARKED SPARKING',
+    'SPARKLE SPARKLED SPARKLER SPARKLERS SPARKLES SPARKLING SPARKS SPARRED SPARRING SPARROW SPARROWS',
+    'SPARS SPARSE SPARSELY SPARSER SPARSEST SPAS SPASM SPASMODIC SPASMS SPAT SPATE SPATIAL SPATS SPATTED',
+    'SPATTER SPATTERED SPATTERING SPATTERS SPATTING SPATULA SPATULAS SPAWN SPAWNED SPAWNING SPAWNS SPAY',
+    'SPAYED SPAYING SPAYS SPEAK SPEAKER SPEAKERS SPEAKING SPEAKS SPEAR SPEARED SPEARHEAD SPEARHEADED',
+    'SPEARHEADING SPEARHEADS SPEARING SPEARMINT SPEARS SPECIAL SPECIALIST SPECIALISTS SPECIALIZATION',
+    'SPECIALIZATIONS SPECIALIZE SPECIALIZED SPECIALIZES SPECIALIZING SPECIALLY SPECIALS SPECIALTIES',
+    'SPECIALTY SPECIES SPECIFIC SPECIFICALLY SPECIFICATION SPECIFICATIONS SPECIFICS SPECIFIED SPECIFIER',
+    'SPECIFIES SPECIFY SPECIFYING SPECIMEN SPECIMENS SPECIOUS SPECK SPECKED SPECKING SPECKS SPECTACLE',
+    'SPECTACLES SPECTACULAR SPECTACULARLY SPECTACULARS SPECTATOR SPECTATORS SPECTER SPECTERS SPECTRA',
+    'SPECTRUM SPECULATE SPECULATED SPECULATES SPECULATING SPECULATION SPECULATIONS SPECULATIVE SPECULATOR',
+    'SPECULATORS SPED SPEECH SPEECHES SPEECHLESS SPEED SPEEDBOAT SPEEDBOATS SPEEDIER SPEEDIEST SPEEDING',
+    'SPEEDOMETER SPEEDOMETERS SPEEDS SPEEDY SPELL SPELLBIND SPELLBINDING SPELLBINDS SPELLBOUND SPELLED',
+    'SPELLER SPELLING SPELLINGS SPELLS SPEND SPENDING SPENDS SPENDTHRIFT SPENDTHRIFTS SPENT SPERM SPERMS',
+    'SPEW SPEWED SPEWING SPEWS SPHERE SPHERES SPHERICAL SPHINX SPHINXES SPICE SPICED SPICES SPICIER',
+    'SPICIEST SPICING SPICY SPIDER SPIDERS SPIED SPIES SPIGOT SPIGOTS SPIKE SPIKED SPIKES SPIKING SPILL',
+    'SPILLED SPILLING SPILLS SPIN SPINACH SPINAL SPINALS SPINDLIER SPINDLIEST SPINDLY SPINE SPINELESS',
+    'SPINES SPINNING SPINS SPINSTER SPINSTERS SPIRAL SPIRALED SPIRALING SPIRALS SPIRE SPIRES SPIRIT',
+    'SPIRITED SPIRITING SPIRITS SPIRITUAL SPIRITUALLY SPIRITUALS SPIT SPITE SPITED SPITEFUL SPITEFULLER',
+    'SPITEFULLEST SPITES SPITING SPITS SPITTED SPITTING SPITTLE SPLASH SPLASHED SPLASHES SPLASHING SPLAT',
+    'SPLATTER SPLATTERED SPLATTERING SPLATTERS SPLEEN SPLEENS SPLENDID SPLENDIDER SPLENDIDEST SPLENDIDLY',
+    'SPLENDOR SPLICE SPLICED SPLICES SPLICING SPLINT SPLINTED SPLINTER SPLINTERED SPLINTERING SPLINTERS',
+    'SPLINTING SPLINTS SPLIT SPLITS SPLITTING SPLURGE SPLURGED SPLURGES SPLURGING SPOIL SPOILED SPOILING',
+    'SPOILS SPOKE SPOKEN SPOKES SPOKESMAN SPOKESMEN SPOKESPEOPLE SPOKESPERSON SPOKESPERSONS SPOKESWOMAN',
+    'SPOKESWOMEN SPONGE SPONGED SPONGES SPONGIER SPONGIEST SPONGING SPONGY SPONSOR SPONSORED SPONSORING',
+    'SPONSORS SPONSORSHIP SPONTANEITY SPONTANEOUS SPONTANEOUSLY SPOOF SPOOFED SPOOFING SPOOFS SPOOK',
+    'SPOOKED SPOOKIER SPOOKIEST SPOOKING SPOOKS SPOOKY SPOOL SPOOLED SPOOLING SPOOLS SPOON SPOONED',
+    'SPOONFUL SPOONFULS SPOONING SPOONS SPORADIC SPORE SPORES SPORRAN SPORT SPORTED SPORTING SPORTS',
+    'SPORTSMANSHIP SPOT SPOTLESS SPOTLIGHT SPOTLIGHTED SPOTLIGHTING SPOTLIGHTS SPOTS SPOTTED SPOTTIER',
+    'SPOTTIEST SPOTTING SPOTTY SPOUSE SPOUSES SPOUT SPOUTED SPOUTING SPOUTS SPRAIN SPRAINED SPRAINING',
+    'SPRAINS SPRANG SPRAWL SPRAWLED SPRAWLING SPRAWLS SPRAY SPRAYED SPRAYING SPRAYS SPREAD SPREADING',
+    'SPREADS SPREADSHEET SPREADSHEETS SPREE SPREED SPREEING SPREES SPRIER SPRIEST SPRIG SPRIGS SPRING',
+    'SPRINGBOARD SPRINGBOARDS SPRINGIER SPRINGIEST SPRINGING SPRINGS SPRINGTIME SPRINGY SPRINKLE',
+    'SPRINKLED SPRINKLER SPRINKLERS SPRINKLES SPRINKLING SPRINKLINGS SPRINT SPRINTED SPRINTER SPRINTERS',
+    'SPRINTING SPRINTS SPROUT SPROUTED SPROUTING SPROUTS SPRUCE SPRUCED SPRUCER SPRUCES SPRUCEST SPRUCING',
+    'SPRUNG SPRY SPUD SPUDS SPUN SPUNK SPUR SPURIOUS SPURN SPURNED SPURNING SPURNS SPURRED SPURRING SPURS',
+    'SPURT SPURTED SPURTING SPURTS SPUTTER SPUTTERED SPUTTERING SPUTTERS SPY SPYING SQUABBLE SQUABBLED',
+    'SQUABBLES SQUABBLING SQUAD SQUADRON SQUADRONS SQUADS SQUALID SQUALIDER SQUALIDEST SQUALL SQUALLED',
+    'SQUALLING SQUALLS SQUALOR SQUANDER SQUANDERED SQUANDERING SQUANDERS SQUARE SQUARED SQUARELY SQUARER',
+    'SQUARES SQUAREST SQUARING SQUASH SQUASHED SQUASHES SQUASHING SQUAT SQUATS SQUATTED SQUATTER',
+    'SQUATTEST SQUATTING SQUAWK SQUAWKED SQUAWKING SQUAWKS SQUEAK SQUEAKED SQUEAKIER SQUEAKIEST SQUEAKING',
+    'SQUEAKS SQUEAKY SQUEAL SQUEALED SQUEALING SQUEALS SQUEAMISH SQUEEZE SQUEEZED SQUEEZES SQUEEZING',
+    'SQUELCH SQUELCHED SQUELCHES SQUELCHING SQUID SQUIDS SQUINT SQUINTED SQUINTER SQUINTEST SQUINTING',
+    'SQUINTS SQUIRE SQUIRED SQUIRES SQUIRING SQUIRM SQUIRMED SQUIRMING SQUIRMS SQUIRREL SQUIRRELED',
+    'SQUIRRELING SQUIRRELS SQUIRT SQUIRTED SQUIRTING SQUIRTS STAB STABBED STABBING STABILITY STABILIZE',
+    'STABILIZED STABILIZES STABILIZING STABLE STABLED STABLER STABLES STABLEST STABLING STABS STACK',
+    'STACKED STACKING STACKS STADIUM STADIUMS STAFF STAFFED STAFFING STAFFS STAG STAGE STAGECOACH',
+    'STAGECOACHES STAGED STAGES STAGGER STAGGERED STAGGERING STAGGERS STAGING STAGNANT STAGNATE STAGNATED',
+    'STAGNATES STAGNATING STAGNATION STAGS STAID STAIDER STAIDEST STAIN STAINED STAINING STAINS STAIR',
+    'STAIRCASE STAIRCASES STAIRS STAIRWAY STAIRWAYS STAKE STAKED STAKES STAKING STALE STALED STALEMATE',
+    'STALEMATED STALEMATES STALEMATING STALER STALES STALEST STALING STALK STALKED STALKING STALKS STALL',
+    'STALLED STALLING STALLION STALLIONS STALLS STALWART STALWARTS STAMINA STAMMER STAMMERED STAMMERING',
+    'STAMMERS STAMP STAMPED STAMPEDE STAMPEDED STAMPEDES STAMPEDING STAMPING STAMPS STANCE STANCES STANCH',
+    'STANCHED STANCHER STANCHES STANCHEST STANCHING STAND STANDARD STANDARDIZATION STANDARDIZE',
+    'STANDARDIZED STANDARDIZES STANDARDIZING STANDARDS STANDBY STANDBYS STANDING STANDINGS STANDOFF',
+    'STANDOFFS STANDPOINT STANDPOINTS STANDS STANDSTILL STANDSTILLS STANK STANZA STANZAS STAPLE STAPLED',
+    'STAPLER STAPLERS STAPLES STAPLING STAR STARBOARD STARCH STARCHED STARCHES STARCHIER STARCHIEST',
+    'STARCHING STARCHY STARDOM STARE STARED STARES STARFISH STARFISHES STARING STARK STARKER STARKEST',
+    'STARLIGHT STARRED STARRIER STARRIEST STARRING STARRY STARS START STARTED STARTER STARTERS STARTING',
+    'STARTLE STARTLED STARTLES STARTLING STARTLINGLY STARTS STARVATION STARVE STARVED STARVES STARVING',
+    'STATE STATED STATELIER STATELIEST STATELY STATEMENT STATEMENTS STATER STATES STATESMAN STATESMANSHIP',
+    'STATESMEN STATIC STATING STATION STATIONARY STATIONED STATIONERY STATIONING STATIONS STATISTIC',
+    'STATISTICAL STATISTICALLY STATISTICIAN STATISTICIANS STATISTICS STATUE STATUES STATURE STATURES',
+    'STATUS STATUSES STATUTE STATUTES STATUTORY STAUNCH STAUNCHED STAUNCHER STAUNCHES STAUNCHEST',
+    'STAUNCHING STAUNCHLY STAVE STAVED STAVES STAVING STAY STAYED STAYING STAYS STEADFAST STEADIED',
+    'STEADIER STEADIES STEADIEST STEADILY STEADY STEADYING STEAK STEAKS STEAL STEALING STEALS STEALTH',
+    'STEALTHIER STEALTHIEST STEALTHILY STEALTHY STEAM STEAMED STEAMIER STEAMIEST STEAMING STEAMROLLER',
+    'STEAMROLLERED STEAMROLLERING STEAMROLLERS STEAMS STEAMY STEEL STEELED STEELING STEELS STEEP STEEPED',
+    'STEEPER STEEPEST STEEPING STEEPLE STEEPLES STEEPS STEER STEERED STEERING STEERS STELLAR STEM STEMMED',
+    'STEMMING STEMS STENCH STENCHES STENCIL STENCILED STENCILING STENCILS STENOGRAPHER STENOGRAPHERS',
+    'STENOGRAPHY STEP STEPLADDER STEPLADDERS STEPPED STEPPING STEPS STEREO STEREOS STEREOTYPE STEREOTYPED',
+    'STEREOTYPES STEREOTYPING STERILE STERILIZATION STERILIZE STERILIZED STERILIZES STERILIZING STERLING',
+    'STERN STERNER STERNEST STERNLY STERNNESS STERNS STETHOSCOPE STETHOSCOPES STEW STEWARD STEWARDED',
+    'STEWARDESS STEWARDESSES STEWARDING STEWARDS STEWED STEWING STEWS STICK STICKER STICKERS STICKIER',
+    'STICKIES STICKIEST STICKING STICKLER STICKLERS STICKS STICKY STIFF STIFFED STIFFEN STIFFENED',
+    'STIFFENING STIFFENS STIFFER STIFFEST STIFFING STIFFLY STIFFNESS STIFFS STIFLE STIFLED STIFLES',
+    'STIFLING STIGMA STIGMAS STIGMATA STILL STILLBORN STILLED STILLER STILLEST STILLING STILLNESS STILLS',
+    'STILTED STIMULANT STIMULANTS STIMULATE STIMULATED STIMULATES STIMULATING STIMULATION STIMULI',
+    'STIMULUS STING STINGER STINGERS STINGIER STINGIEST STINGINESS STINGING STINGS STINGY STINK STINKING',
+    'STINKS STINT STINTED STINTING STINTS STIPULATE STIPULATED STIPULATES STIPULATING STIPULATION',
+    'STIPULATIONS STIR STIRRED STIRRING STIRRUP STIRRUPS STIRS STITCH STITCHED STITCHES STITCHING STOCK',
+    'STOCKADE STOCKADED STOCKADES STOCKADING STOCKBROKER STOCKBROKERS STOCKED STOCKHOLDER STOCKHOLDERS',
+    'STOCKIER STOCKIEST STOCKING STOCKINGS STOCKPILE STOCKPILED STOCKPILES STOCKPILING STOCKS STOCKY',
+    'STOCKYARD STOCKYARDS STODGIER STODGIEST STODGY STOICAL STOKE STOKED STOKES STOKING STOLE STOLEN',
+    'STOLES STOLID STOLIDER STOLIDEST STOLIDLY STOMACH STOMACHED STOMACHING STOMACHS STOMP STOMPED',
+    'STOMPING STOMPS STONE STONED STONES STONIER STONIEST STONING STONY STOOD STOOL STOOLS STOOP STOOPED',
+    'STOOPING STOOPS STOP STOPGAP STOPGAPS STOPOVER STOPOVERS STOPPAGE STOPPAGES STOPPED STOPPER',
+    'STOPPERED STOPPERING STOPPERS STOPPING STOPS STOPWATCH STOPWATCHES STORAGE STORE STORED STOREHOUSE',
+    'STOREHOUSES STOREKEEPER STOREKEEPERS STOREROOM STOREROOMS STORES STORIES STORING STORK STORKS STORM',
+    'STORMED STORMIER STORMIEST STORMING STORMS STORMY STORY STOUT STOUTER STOUTEST STOVE STOVES STOW',
+    'STOWAWAY STOWAWAYS STOWED STOWING STOWS STRADDLE STRADDLED STRADDLES STRADDLING STRAGGLE STRAGGLED',
+    'STRAGGLER STRAGGLERS STRAGGLES STRAGGLING STRAIGHT STRAIGHTEN STRAIGHTENED STRAIGHTENING STRAIGHTENS',
+    'STRAIGHTER STRAIGHTEST STRAIGHTFORWARD STRAIGHTFORWARDLY STRAIGHTS STRAIN STRAINED STRAINER',
+    'STRAINERS STRAINING STRAINS STRAIT STRAITJACKET STRAITJACKETED STRAITJACKETING STRAITJACKETS STRAITS',
+    'STRAND STRANDED STRANDING STRANDS STRANGE STRANGELY STRANGENESS STRANGER STRANGERS STRANGEST',
+    'STRANGLE STRANGLED STRANGLES STRANGLING STRANGULATION STRAP STRAPPED STRAPPING STRAPS STRATA',
+    'STRATAGEM STRATAGEMS STRATEGIC STRATEGIES STRATEGY STRATIFIED STRATIFIES STRATIFY STRATIFYING',
+    'STRATOSPHERE STRATOSPHERES STRATUM STRAW STRAWBERRIES STRAWBERRY STRAWED STRAWING STRAWS STRAY',
+    'STRAYED STRAYING STRAYS STREAK STREAKED STREAKING STREAKS STREAM STREAMED STREAMER STREAMERS',
+    'STREAMING STREAMLINE STREAMLINED STREAMLINES STREAMLINING STREAMS STREET STREETCAR STREETCARS',
+    'STREETS STRENGTH STRENGTHEN STRENGTHENED STRENGTHENING STRENGTHENS STRENGTHS STRENUOUS STRENUOUSLY',
+    'STRESS STRESSED STRESSES STRESSFUL STRESSING STRETCH STRETCHED STRETCHER STRETCHERS STRETCHES',
+    'STRETCHING STREW STREWED STREWING STREWN STREWS STRICKEN STRICT STRICTER STRICTEST STRICTLY',
+    'STRICTNESS STRIDDEN STRIDE STRIDES STRIDING STRIFE STRIKE STRIKER STRIKERS STRIKES STRIKING',
+    'STRIKINGS STRING STRINGENT STRINGIER STRINGIEST STRINGING STRINGS STRINGY STRIP STRIPE STRIPED',
+    'STRIPES STRIPING STRIPPED STRIPPER STRIPPING STRIPS STRIVE STRIVEN STRIVES STRIVING STRODE STROKE',
+    'STROKED STROKES STROKING STROLL STROLLED STROLLER STROLLERS STROLLING STROLLS STRONG STRONGER',
+    'STRONGEST STRONGHOLD STRONGHOLDS STRONGLY STROVE STRUCK STRUCTURAL STRUCTURALIST STRUCTURE',
+    'STRUCTURED STRUCTURES STRUCTURING STRUGGLE STRUGGLED STRUGGLES STRUGGLING STRUM STRUMMED STRUMMING',
+    'STRUMS STRUNG STRUT STRUTS STRUTTED STRUTTING STUB STUBBED STUBBIER STUBBIEST STUBBING STUBBLE',
+    'STUBBORN STUBBORNER STUBBORNEST STUBBY STUBS STUCK STUD STUDDED STUDDING STUDENT STUDENTS',
+    'STUDENTSHIP STUDIED STUDIES STUDIO STUDIOS STUDIOUS STUDS STUDY STUDYING STUFF STUFFED STUFFIER',
+    'STUFFIEST STUFFING STUFFINGS STUFFS STUFFY STUMBLE STUMBLED STUMBLES STUMBLING STUMP STUMPED',
+    'STUMPING STUMPS STUN STUNG STUNK STUNNED STUNNING STUNS STUNT STUNTED STUNTING STUNTS STUPEFIED',
+    'STUPEFIES STUPEFY STUPEFYING STUPENDOUS STUPID STUPIDER STUPIDEST STUPIDITIES STUPIDITY STUPIDLY',
+    'STUPIDS STUPOR STUPORS STURDIER STURDIEST STURDY STUTTER STUTTERED STUTTERING STUTTERS STYLE STYLED',
+    'STYLES STYLING STYLISH STYLISTIC STYLUS SUAVE SUAVER SUAVEST SUB SUBBED SUBBING SUBCOMMITTEE',
+    'SUBCOMMITTEES SUBCONSCIOUS SUBCONSCIOUSLY SUBDIVIDE SUBDIVIDED SUBDIVIDES SUBDIVIDING SUBDIVISION',
+    'SUBDIVISIONS SUBDUE SUBDUED SUBDUES SUBDUING SUBGROUP SUBJECT SUBJECTED SUBJECTING SUBJECTIVE',
+    'SUBJECTS SUBJUGATE SUBJUGATED SUBJUGATES SUBJUGATING SUBJUNCTIVE SUBLET SUBLETS SUBLETTING SUBLIME',
+    'SUBLIMED SUBLIMER SUBLIMES SUBLIMEST SUBLIMING SUBMARINE SUBMARINES SUBMERGE SUBMERGED SUBMERGES',
+    'SUBMERGING SUBMERSION SUBMISSION SUBMISSIONS SUBMISSIVE SUBMIT SUBMITS SUBMITTED SUBMITTING',
+    'SUBNORMAL SUBORDINATE SUBORDINATED SUBORDINATES SUBORDINATING SUBPROGRAM SUBROUTINE SUBROUTINES SUBS',
+    'SUBSCRIBE SUBSCRIBED SUBSCRIBER SUBSCRIBERS SUBSCRIBES SUBSCRIBING SUBSCRIPT SUBSCRIPTION',
+    'SUBSCRIPTIONS SUBSCRIPTS SUBSECTION SUBSECTIONS SUBSEQUENT SUBSEQUENTLY SUBSERVIENT SUBSET SUBSETS',
+    'SUBSIDE SUBSIDED SUBSIDES SUBSIDIARIES SUBSIDIARY SUBSIDIES SUBSIDING SUBSIDIZE SUBSIDIZED',
+    'SUBSIDIZES SUBSIDIZING SUBSIDY SUBSIST SUBSISTED SUBSISTENCE SUBSISTING SUBSISTS SUBSTANCE',
+    'SUBSTANCES SUBSTANDARD SUBSTANTIAL SUBSTANTIALLY SUBSTANTIATE SUBSTANTIATED SUBSTANTIATES',
+    'SUBSTANTIATING SUBSTITUTE SUBSTITUTED SUBSTITUTES SUBSTITUTING SUBSTITUTION SUBSTITUTIONS SUBSYSTEM',
+    'SUBTERFUGE SUBTERFUGES SUBTERRANEAN SUBTLE SUBTLER SUBTLEST SUBTLETIES SUBTLETY SUBTLY SUBTRACT',
+    'SUBTRACTED SUBTRACTING SUBTRACTION SUBTRACTIONS SUBTRACTS SUBURB SUBURBAN SUBURBANS SUBURBS',
+    'SUBVERSIVE SUBVERSIVES SUBVERT SUBVERTED SUBVERTING SUBVERTS SUBWAY SUBWAYS SUCCEED SUCCEEDED',
+    'SUCCEEDING SUCCEEDS SUCCESS SUCCESSES SUCCESSFUL SUCCESSFULLY SUCCESSION SUCCESSIONS SUCCESSIVE',
+    'SUCCESSIVELY SUCCESSOR SUCCESSORS SUCCINCT SUCCINCTER SUCCINCTEST SUCCINCTLY SUCCOR SUCCORED',
+    'SUCCORING SUCCORS SUCCULENT SUCCULENTS SUCCUMB SUCCUMBED SUCCUMBING SUCCUMBS SUCH SUCK SUCKED SUCKER',
+    'SUCKERED SUCKERING SUCKERS SUCKING SUCKLE SUCKLED SUCKLES SUCKLING SUCKS SUCTION SUCTIONED',
+    'SUCTIONING SUCTIONS SUDDEN SUDDENLY SUDS SUE SUED SUEDE SUES SUFFER SUFFERED SUFFERER SUFFERERS',
+    'SUFFERING SUFFERINGS SUFFERS SUFFICE SUFFICED SUFFICES SUFFICIENT SUFFICIENTLY SUFFICING SUFFIX',
+    'SUFFIXED SUFFIXES SUFFIXING SUFFOCATE SUFFOCATED SUFFOCATES SUFFOCATING SUFFOCATION SUFFRAGE SUGAR',
+    'SUGARED SUGARIER SUGARIEST SUGARING SUGARS SUGARY SUGGEST SUGGESTED SUGGESTER SUGGESTING SUGGESTION',
+    'SUGGESTIONS SUGGESTIVE SUGGESTS SUICIDAL SUICIDE SUICIDES SUING SUIT SUITABILITY SUITABLE SUITABLY',
+    'SUITCASE SUITCASES SUITE SUITED SUITES SUITING SUITOR SUITORS SUITS SULFUR SULK SULKED SULKIER',
+    'SULKIES SULKIEST SULKING SULKS SULKY SULLEN SULLENER SULLENEST SULTAN SULTANS SULTRIER SULTRIEST',
+    'SULTRY SUM SUMMARIES SUMMARILY SUMMARIZE SUMMARIZED SUMMARIZES SUMMARIZING SUMMARY SUMMED SUMMER',
+    'SUMMERED SUMMERING SUMMERS SUMMING SUMMIT SUMMITS SUMMON SUMMONED SUMMONING SUMMONS SUMMONSED',
+    'SUMMONSES SUMMONSING SUMPTUOUS SUMS SUN SUNBATHE SUNBATHED SUNBATHES SUNBATHING SUNBURN SUNBURNED',
+    'SUNBURNING SUNBURNS SUNDAE SUNDAES SUNDIAL SUNDIALS SUNDOWN SUNDOWNS SUNDRIES SUNDRY SUNFLOWER',
+    'SUNFLOWERS SUNG SUNGLASSES SUNK SUNKEN SUNLIGHT SUNLIT SUNNED SUNNIER SUNNIEST SUNNING SUNNY SUNRISE',
+    'SUNRISES SUNS SUNSCREEN SUNSCREENS SUNSET SUNSETS SUNSHINE SUNTAN SUNTANNED SUNTANNING SUNTANS SUNUP',
+    'SUP SUPER SUPERB SUPERBER SUPERBEST SUPERBLY SUPERCOMPUTER SUPERCOMPUTERS SUPERFICIAL SUPERFICIALLY',
+    'SUPERFLUOUS SUPERHUMAN SUPERIMPOSE SUPERIMPOSED SUPERIMPOSES SUPERIMPOSING SUPERINTENDENT',
+    'SUPERINTENDENTS SUPERIOR SUPERIORITY SUPERIORS SUPERLATIVE SUPERLATIVES SUPERMARKET SUPERMARKETS',
+    'SUPERNATURAL SUPERNATURALS SUPERS SUPERSCRIPT SUPERSCRIPTS SUPERSEDE SUPERSEDED SUPERSEDES',
+    'SUPERSEDING SUPERSONIC SUPERSTAR SUPERSTARS SUPERSTITION SUPERSTITIONS SUPERSTITIOUS SUPERSTRUCTURE',
+    'SUPERSTRUCTURES SUPERVISE SUPERVISED SUPERVISES SUPERVISING SUPERVISION SUPERVISIONS SUPERVISOR',
+    'SUPERVISORS SUPERVISORY SUPPER SUPPERS SUPPLANT SUPPLANTED SUPPLANTING SUPPLANTS SUPPLE SUPPLEMENT',
+    'SUPPLEMENTARY SUPPLEMENTED SUPPLEMENTING SUPPLEMENTS SUPPLER SUPPLEST SUPPLIED SUPPLIER SUPPLIERS',
+    'SUPPLIES SUPPLY SUPPLYING SUPPORT SUPPORTED SUPPORTER SUPPORTERS SUPPORTING SUPPORTIVE SUPPORTS',
+    'SUPPOSE SUPPOSED SUPPOSEDLY SUPPOSES SUPPOSING SUPPOSITION SUPPOSITIONS SUPPRESS SUPPRESSED',
+    'SUPPRESSES SUPPRESSING SUPPRESSION SUPREMACY SUPREME SUPREMELY SURCHARGE SURCHARGED SURCHARGES',
+    'SURCHARGING SURE SURELY SURER SUREST SURF SURFACE SURFACED SURFACES SURFACING SURFBOARD SURFBOARDED',
+    'SURFBOARDING SURFBOARDS SURFED SURFING SURFS SURGE SURGED SURGEON SURGEONS SURGERIES SURGERY SURGES',
+    'SURGICAL SURGING SURLIER SURLIEST SURLY SURMISE SURMISED SURMISES SURMISING SURMOUNT SURMOUNTED',
+    'SURMOUNTING SURMOUNTS SURNAME SURNAMES SURPASS SURPASSED SURPASSES SURPASSING SURPLUS SURPLUSES',
+    'SURPLUSSED SURPLUSSING SURPRISE SURPRISED SURPRISES SURPRISING SURPRISINGLY SURREAL SURRENDER',
+    'SURRENDERED SURRENDERING SURRENDERS SURREPTITIOUS SURROUND SURROUNDED SURROUNDING SURROUNDINGS',
+    'SURROUNDS SURVEILLANCE SURVEY SURVEYED SURVEYING SURVEYOR SURVEYORS SURVEYS SURVIVAL SURVIVALS',
+    'SURVIVE SURVIVED SURVIVES SURVIVING SURVIVOR SURVIVORS SUSCEPTIBLE SUSPECT SUSPECTED SUSPECTING',
+    'SUSPECTS SUSPEND SUSPENDED SUSPENDER SUSPENDERS SUSPENDING SUSPENDS SUSPENSE SUSPENSION SUSPENSIONS',
+    'SUSPICION SUSPICIONS SUSPICIOUS SUSPICIOUSLY SUSTAIN SUSTAINABLE SUSTAINED SUSTAINING SUSTAINS',
+    'SUSTENANCE SWAB SWABBED SWABBING SWABS SWAGGER SWAGGERED SWAGGERER SWAGGERING SWAGGERS SWALLOW',
+    'SWALLOWED SWALLOWING SWALLOWS SWAM SWAMP SWAMPED SWAMPIER SWAMPIEST SWAMPING SWAMPS SWAMPY SWAN',
+    'SWANS SWAP SWAPPED SWAPPING SWAPS SWARM SWARMED SWARMING SWARMS SWARTHIER SWARTHIEST SWARTHY SWAT',
+    'SWATHE SWATHED SWATHES SWATHING SWATS SWATTED SWATTING SWAY SWAYED SWAYING SWAYS SWEAR SWEARING',
+    'SWEARS SWEAT SWEATER SWEATERS SWEATING SWEATS SWEATY SWEEP SWEEPER SWEEPERS SWEEPING SWEEPINGS',
+    'SWEEPS SWEEPSTAKES SWEET SWEETEN SWEETENED SWEETENING SWEETENS SWEETER SWEETEST SWEETHEART',
+    'SWEETHEARTS SWEETLY SWEETNESS SWEETS SWELL SWELLED SWELLER SWELLEST SWELLING SWELLINGS SWELLS SWEPT',
+    'SWERVE SWERVED SWERVES SWERVING SWIFT SWIFTER SWIFTEST SWIFTLY SWIFTS SWIG SWIGGED SWIGGING SWIGS',
+    'SWILL SWILLED SWILLING SWILLS SWIM SWIMMING SWIMS SWINDLE SWINDLED SWINDLER SWINDLERS SWINDLES',
+    'SWINDLING SWINE SWINES SWING SWINGING SWINGS SWIPE SWIPED SWIPES SWIPING SWIRL SWIRLED SWIRLING',
+    'SWIRLS SWISH SWISHED SWISHER SWISHES SWISHEST SWISHING SWITCH SWITCHABLE SWITCHBOARD SWITCHBOARDS',
+    'SWITCHED SWITCHER SWITCHES SWITCHING SWIVEL SWIVELED SWIVELING SWIVELS SWOLLEN SWOON SWOONED',
+    'SWOONING SWOONS SWOOP SWOOPED SWOOPING SWOOPS SWORD SWORDFISH SWORDFISHES SWORDS SWORE SWORN SWUM',
+    'SWUNG SYLLABLE SYLLABLES SYLLABUS SYLLABUSES SYMBOL SYMBOLIC SYMBOLISM SYMBOLIZE SYMBOLIZED',
+    'SYMBOLIZES SYMBOLIZING SYMBOLS SYMMETRIC SYMMETRICAL SYMMETRY SYMPATHETIC SYMPATHETICALLY SYMPATHIES',
+    'SYMPATHIZE SYMPATHIZED SYMPATHIZES SYMPATHIZING SYMPATHY SYMPHONIC SYMPHONIES SYMPHONY SYMPTOM',
+    'SYMPTOMATIC SYMPTOMS SYNAGOGUE SYNAGOGUES SYNAPSE SYNAPSES SYNCHRONIZATION SYNCHRONIZE SYNCHRONIZED',
+    'SYNCHRONIZES SYNCHRONIZING SYNCHRONOUS SYNDICATE SYNDICATED SYNDICATES SYNDICATING SYNDROME',
+    'SYNDROMES SYNONYM SYNONYMOUS SYNONYMS SYNOPSES SYNOPSIS SYNTACTIC SYNTACTICALLY SYNTAX SYNTHESES',
+    'SYNTHESIS SYNTHESIZE SYNTHESIZED SYNTHESIZER SYNTHESIZERS SYNTHESIZES SYNTHESIZING SYNTHETIC',
+    'SYNTHETICS SYPHILIS SYRINGE SYRINGED SYRINGES SYRINGING SYRUP SYRUPS SYSTEM SYSTEMATIC',
+    'SYSTEMATICALLY SYSTEMS TAB TABBED TABBIES TABBING TABBY TABERNACLE TABERNACLES TABLE TABLECLOTH',
+    'TABLECLOTHS TABLED TABLES TABLESPOON TABLESPOONFUL TABLESPOONFULS TABLESPOONS TABLET TABLETS TABLING',
+    'TABLOID TABLOIDS TABOO TABOOED TABOOING TABOOS TABS TABULATE TABULATED TABULATES TABULATING',
+    'TABULATION TACIT TACITLY TACITURN TACK TACKED TACKIER TACKIEST TACKING TACKLE TACKLED TACKLES',
+    'TACKLING TACKS TACKY TACO TACOS TACT TACTFUL TACTFULLY TACTIC TACTICAL TACTICS TACTLESS TACTLESSLY',
+    'TADPOLE TADPOLES TAG TAGGED TAGGING TAGS TAIL TAILED TAILGATE TAILGATED TAILGATES TAILGATING TAILING',
+    'TAILLIGHT TAILLIGHTS TAILOR TAILORED TAILORING TAILORS TAILS TAILSPIN TAILSPINS TAINT TAINTED',
+    'TAINTING TAINTS TAKE TAKEN TAKEOFF TAKEOFFS TAKEOVER TAKER TAKERS TAKES TAKING TALC TALE TALENT',
+    'TALENTED TALENTS TALES TALISMAN TALISMANS TALK TALKATIVE TALKED TALKER TALKERS TALKING TALKS TALL',
+    'TALLER TALLEST TALLIED TALLIES TALLOW TALLY TALLYING TALON TALONS TAMBOURINE TAMBOURINES TAME TAMED',
+    'TAMELY TAMENESS TAMER TAMES TAMEST TAMING TAMPER TAMPERED TAMPERING TAMPERS TAN TANDEM TANDEMS TANG',
+    'TANGENT TANGENTIAL TANGENTS TANGERINE TANGERINES TANGIBLE TANGIBLES TANGLE TANGLED TANGLES TANGLING',
+    'TANGO TANGOED TANGOING TANGOS TANGS TANK TANKARD TANKARDS TANKED TANKER TANKERS TANKING TANKS TANNED',
+    'TANNER TANNEST TANNING TANS TANTALIZE TANTALIZED TANTALIZES TANTALIZING TANTAMOUNT TANTRUM TANTRUMS',
+    'TAP TAPE TAPED TAPER TAPERED TAPERING TAPERS TAPES TAPESTRIES TAPESTRY TAPING TAPPED TAPPING TAPS',
+    'TAR TARANTULA TARANTULAS TARDIER TARDIEST TARDINESS TARDY TARGET TARGETED TARGETING TARGETS TARIFF',
+    'TARIFFS TARNISH TARNISHED TARNISHES TARNISHING TARPAULIN TARPAULINS TARRED TARRIED TARRIER TARRIES',
+    'TARRIEST TARRING TARRY TARRYING TARS TART TARTAN TARTANS TARTAR TARTARS TARTER TARTEST TARTS TASK',
+    'TASKED TASKING TASKS TASSEL TASSELED TASSELING TASSELS TASTE TASTED TASTEFUL TASTEFULLY TASTELESS',
+    'TASTES TASTIER TASTIEST TASTING TASTY TATTLE TATTLED TATTLES TATTLING TATTOO TATTOOED TATTOOING',
+    'TATTOOS TATTY TAUGHT TAUNT TAUNTED TAUNTING TAUNTS TAUT TAUTER TAUTEST TAUTOLOGY TAVERN TAVERNS',
+    'TAWDRIER TAWDRIEST TAWDRY TAWNIER TAWNIEST TAWNY TAX TAXABLE TAXATION TAXED TAXES TAXI TAXICAB',
+    'TAXICABS TAXIED TAXIING TAXING TAXIS TAXPAYER TAXPAYERS TEA TEACH TEACHER TEACHERS TEACHES TEACHING',
+    'TEACHINGS TEACUP TEACUPS TEAK TEAKS TEAM TEAMED TEAMING TEAMMATE TEAMMATES TEAMS TEAMSTER TEAMSTERS',
+    'TEAMWORK TEAPOT TEAPOTS TEAR TEARDROP TEARDROPS TEARED TEARFUL TEARING TEARS TEAS TEASE TEASED',
+    'TEASES TEASING TEASPOON TEASPOONS TEAT TEATS TECHNICAL TECHNICALITIES TECHNICALITY TECHNICALLY',
+    'TECHNICIAN TECHNICIANS TECHNIQUE TECHNIQUES TECHNOLOGICAL TECHNOLOGICALLY TECHNOLOGIES TECHNOLOGY',
+    'TEDIOUS TEDIOUSLY TEDIUM TEE TEED TEEING TEEM TEEMED TEEMING TEEMS TEEN TEENAGE TEENAGER TEENAGERS',
+    'TEENS TEES TEETER TEETERED TEETERING TEETERS TEETH TEETHE TEETHED TEETHES TEETHING TEETOTAL',
+    'TEETOTALER TEETOTALERS TELECOMMUNICATIONS TELEGRAM TELEGRAMS TELEGRAPH TELEGRAPHED TELEGRAPHING',
+    'TELEGRAPHS TELEPATHIC TELEPATHY TELEPHONE TELEPHONED TELEPHONES TELEPHONING TELESCOPE TELESCOPED',
+    'TELESCOPES TELESCOPING TELETYPE TELEVISE TELEVISED TELEVISES TELEVISING TELEVISION TELEVISIONS TELL',
+    'TELLER TELLERS TELLING TELLS TELLTALE TELLTALES TEMPER TEMPERAMENT TEMPERAMENTAL TEMPERAMENTS',
+    'TEMPERANCE TEMPERATE TEMPERATURE TEMPERATURES TEMPERED TEMPERING TEMPERS TEMPEST TEMPESTS',
+    'TEMPESTUOUS TEMPLATE TEMPLE TEMPLES TEMPO TEMPORAL TEMPORARIES TEMPORARILY TEMPORARY TEMPOS TEMPT',
+    'TEMPTATION TEMPTATIONS TEMPTED TEMPTING TEMPTS TEN TENABLE TENACIOUS TENACITY TENANCIES TENANCY',
+    'TENANT TENANTED TENANTING TENANTS TEND TENDED TENDENCIES TENDENCY TENDER TENDERED TENDERER TENDEREST',
+    'TENDERING TENDERIZE TENDERIZED TENDERIZES TENDERIZING TENDERLY TENDERNESS TENDERS TENDING TENDON',
+    'TENDONS TENDRIL TENDRILS TENDS TENEMENT TENEMENTS TENET TENETS TENNIS TENOR TENORS TENS TENSE TENSED',
+    'TENSER TENSES TENSEST TENSING TENSION TENSIONS TENSORS TENT TENTACLE TENTACLES TENTATIVE TENTATIVELY',
+    'TENTED TENTH TENTHS TENTING TENTS TENUOUS TENURE TENURED TENURES TENURING TEPEE TEPEES TEPID TERM',
+    'TERMED TERMINAL TERMINALLY TERMINALS TERMINATE TERMINATED TERMINATES TERMINATING TERMINATION',
+    'TERMINATOR TERMINATORS TERMING TERMINI TERMINOLOGIES TERMINOLOGY TERMINUS TERMITE TERMITES TERMLY',
+    'TERMS TERRACE TERRACED TERRACES TERRACING TERRAIN TERRAINS TERRESTRIAL TERRESTRIALS TERRIBLE',
+    'TERRIBLY TERRIER TERRIERS TERRIFIC TERRIFIED TERRIFIES TERRIFY TERRIFYING TERRITORIAL TERRITORIALS',
+    'TERRITORIES TERRITORY TERROR TERRORISM TERRORIST TERRORISTS TERRORIZE TERRORIZED TERRORIZES',
+    'TERRORIZING TERRORS TERSE TERSELY TERSENESS TERSER TERSEST TEST TESTABLE TESTAMENT TESTAMENTS TESTED',
+    'TESTER TESTERS TESTES TESTICLE TESTICLES TESTIFIED TESTIFIES TESTIFY TESTIFYING TESTIMONIAL',
+    'TESTIMONIALS TESTIMONIES TESTIMONY TESTING TESTIS TESTS TETANUS TETHER TETHERED TETHERING TETHERS',
+    'TEXT TEXTBOOK TEXTBOOKS TEXTILE TEXTILES TEXTS TEXTUAL TEXTUALLY TEXTURE TEXTURED TEXTURES TEXTURING',
+    'THAN THANK THANKED THANKFUL THANKFULLY THANKING THANKLESS THANKS THAT THATCH THATCHED THATCHER',
+    'THATCHES THATCHING THAW THAWED THAWING THAWS THE THEATER THEATERS THEATRICAL THEE THEFT THEFTS THEIR',
+    'THEIRS THEIST THEISTS THEM THEME THEMES THEMSELVES THEN THENCE THEOLOGIAN THEOLOGIANS THEOLOGICAL',
+    'THEOLOGIES THEOLOGY THEOREM THEOREMS THEORETIC THEORETICAL THEORETICALLY THEORIES THEORIST THEORISTS',
+    'THEORIZE THEORIZED THEORIZES THEORIZING THEORY THERAPEUTIC THERAPIES THERAPIST THERAPISTS THERAPY',
+    'THERE THEREABOUTS THEREAFTER THEREBY THEREFORE THEREIN THEREOF THEREON THEREUPON THERMAL THERMALS',
+    'THERMODYNAMICS THERMOMETER THERMOMETERS THERMOSTAT THERMOSTATS THESAURI THESAURUS THESAURUSES THESE',
+    'THESES THESIS THETA THEY THICK THICKEN THICKENED THICKENING THICKENS THICKER THICKEST THICKET',
+    'THICKETS THICKLY THICKNESS THICKNESSES THIEF THIEVE THIEVES THIGH THIGHS THIMBLE THIMBLES THIN THING',
+    'THINGS THINK THINKER THINKERS THINKING THINKS THINLY THINNED THINNER THINNEST THINNING THINS THIRD',
+    'THIRDS THIRST THIRSTED THIRSTIER THIRSTIEST THIRSTING THIRSTS THIRSTY THIRTEEN THIRTEENS THIRTEENTH',
+    'THIRTEENTHS THIRTIES THIRTIETH THIRTIETHS THIRTY THIS THISTLE THISTLES THONG THONGS THORN THORNIER',
+    'THORNIEST THORNS THORNY THOROUGH THOROUGHBRED THOROUGHBREDS THOROUGHER THOROUGHEST THOROUGHFARE',
+    'THOROUGHFARES THOROUGHLY THOSE THOU THOUGH THOUGHT THOUGHTFUL THOUGHTFULLY THOUGHTFULNESS',
+    'THOUGHTLESS THOUGHTLESSLY THOUGHTS THOUS THOUSAND THOUSANDS THOUSANDTH THOUSANDTHS THRASH THRASHED',
+    'THRASHES THRASHING THREAD THREADBARE THREADED THREADING THREADS THREAT THREATEN THREATENED',
+    'THREATENING THREATENS THREATS THREE THREES THRESH THRESHED THRESHER THRESHERS THRESHES THRESHING',
+    'THRESHOLD THRESHOLDS THREW THRICE THRIFT THRIFTIER THRIFTIEST THRIFTS THRIFTY THRILL THRILLED',
+    'THRILLER THRILLERS THRILLING THRILLS THRIVE THRIVED THRIVES THRIVING THROAT THROATS THROB THROBBED',
+    'THROBBING THROBS THRONE THRONES THRONG THRONGED THRONGING THRONGS THROTTLE THROTTLED THROTTLES',
+    'THROTTLING THROUGH THROUGHOUT THROUGHPUT THROW THROWAWAY THROWBACK THROWBACKS THROWING THROWN THROWS',
+    'THRUST THRUSTING THRUSTS THUD THUDDED THUDDING THUDS THUG THUGS THUMB THUMBED THUMBING THUMBS',
+    'THUMBTACK THUMBTACKS THUMP THUMPED THUMPING THUMPS THUNDER THUNDERBOLT THUNDERBOLTS THUNDERED',
+    'THUNDERING THUNDEROUS THUNDERS THUNDERSTORM THUNDERSTORMS THUNDERSTRUCK THUS THWART THWARTED',
+    'THWARTING THWARTS THY THYME THYROID THYROIDS TIARA TIARAS TICK TICKED TICKET TICKETED TICKETING',
+    'TICKETS TICKING TICKLE TICKLED TICKLES TICKLING TICKLISH TICKS TIDAL TIDBIT TIDBITS TIDE TIDED TIDES',
+    'TIDIED TIDIER TIDIES TIDIEST TIDING TIDY TIDYING TIE TIED TIER TIERS TIES TIFF TIFFED TIFFING TIFFS',
+    'TIGER TIGERS TIGHT TIGHTEN TIGHTENED TIGHTENING TIGHTENS TIGHTER TIGHTEST TIGHTLY TIGHTNESS',
+    'TIGHTROPE TIGHTROPES TIGHTS TIGHTWAD TIGHTWADS TILDE TILE TILED TILES TILING TILL TILLED TILLING',
+    'TILLS TILT TILTED TILTING TILTS TIMBER TIMBERED TIMBERING TIMBERS TIME TIMED TIMEKEEPER TIMEKEEPERS',
+    'TIMELESS TIMELIER TIMELIEST TIMELY TIMER TIMERS TIMES TIMESCALE TIMESCALES TIMETABLE TIMETABLES',
+    'TIMEZONE TIMID TIMIDER TIMIDEST TIMIDITY TIMIDLY TIMING TIMINGS TIN TINDER TING TINGE TINGED',
+    'TINGEING TINGES TINGING TINGLE TINGLED TINGLES TINGLING TINGS TINIER TINIEST TINKER TINKERED',
+    'TINKERING TINKERS TINKLE TINKLED TINKLES TINKLING TINNED TINNIER TINNIEST TINNING TINNY TINS TINSEL',
+    'TINSELED TINSELING TINSELS TINT TINTED TINTING TINTS TINY TIP TIPPED TIPPING TIPS TIPSIER TIPSIEST',
+    'TIPSY TIPTOE TIPTOED TIPTOEING TIPTOES TIRADE TIRADES TIRE TIRED TIREDER TIREDEST TIRELESS TIRES',
+    'TIRESOME TIRING TISSUE TISSUES TIT TITILLATE TITILLATED TITILLATES TITILLATING TITLE TITLED TITLES',
+    'TITLING TITS TITTER TITTERED TITTERING TITTERS TO TOAD TOADS TOADSTOOL TOADSTOOLS TOAST TOASTED',
+    'TOASTER TOASTERS TOASTING TOASTS TOBACCO TOBACCOS TOBOGGAN TOBOGGANED TOBOGGANING TOBOGGANS TODAY',
+    'TODDLE TODDLED TODDLER TODDLERS TODDLES TODDLING TOE TOED TOEING TOENAIL TOENAILS TOES TOFFEE',
+    'TOFFEES TOGA TOGAS TOGETHER TOGGLE TOIL TOILED TOILET TOILETED TOILETING TOILETS TOILING TOILS TOKEN',
+    'TOKENS TOLD TOLERABLE TOLERABLY TOLERANCE TOLERANCES TOLERANT TOLERATE TOLERATED TOLERATES',
+    'TOLERATING TOLL TOLLED TOLLING TOLLS TOMAHAWK TOMAHAWKED TOMAHAWKING TOMAHAWKS TOMATO TOMATOES TOMB',
+    'TOMBED TOMBING TOMBOY TOMBOYS TOMBS TOMBSTONE TOMBSTONES TOMCAT TOMCATS TOME TOMES TOMORROW',
+    'TOMORROWS TON TONAL TONE TONED TONES TONG TONGS TONGUE TONGUED TONGUES TONGUING TONIC TONICS TONIGHT',
+    'TONING TONNAGE TONNAGES TONNE TONNES TONS TONSIL TONSILLITIS TONSILS TOO TOOK TOOL TOOLED TOOLING',
+    'TOOLKIT TOOLS TOOT TOOTED TOOTH TOOTHACHE TOOTHACHES TOOTHBRUSH TOOTHBRUSHES TOOTHPASTE TOOTHPASTES',
+    'TOOTHPICK TOOTHPICKS TOOTING TOOTS TOP TOPAZ TOPAZES TOPIC TOPICAL TOPICS TOPOGRAPHIES TOPOGRAPHY',
+    'TOPOLOGY TOPPED TOPPING TOPPLE TOPPLED TOPPLES TOPPLING TOPS TORCH TORCHED TORCHES TORCHING TORE',
+    'TORMENT TORMENTED TORMENTING TORMENTOR TORMENTORS TORMENTS TORN TORNADO TORNADOES TORPEDO TORPEDOED',
+    'TORPEDOES TORPEDOING TORQUE TORRENT TORRENTIAL TORRENTS TORRID TORSO TORSOS TORTILLA TORTILLAS',
+    'TORTOISE TORTOISES TORTUOUS TORTURE TORTURED TORTURES TORTURING TOSS TOSSED TOSSES TOSSING TOT TOTAL',
+    'TOTALED TOTALING TOTALITARIAN TOTALITARIANISM TOTALITARIANS TOTALITIES TOTALITY TOTALLY TOTALS TOTE',
+    'TOTED TOTEM TOTEMS TOTES TOTING TOTS TOTTED TOTTER TOTTERED TOTTERING TOTTERS TOTTING TOUCAN TOUCANS',
+    'TOUCH TOUCHDOWN TOUCHDOWNS TOUCHED TOUCHES TOUCHIER TOUCHIEST TOUCHING TOUCHINGS TOUCHY TOUGH',
+    'TOUGHEN TOUGHENED TOUGHENING TOUGHENS TOUGHER TOUGHEST TOUGHNESS TOUGHS TOUPEE TOUPEES TOUR TOURED',
+    'TOURING TOURIST TOURISTS TOURNAMENT TOURNAMENTS TOURNIQUET TOURNIQUETS TOURS TOUSLE TOUSLED TOUSLES',
+    'TOUSLING TOUT TOUTED TOUTING TOUTS TOW TOWARD TOWARDS TOWED TOWEL TOWELED TOWELING TOWELS TOWER',
+    'TOWERED TOWERING TOWERS TOWING TOWN TOWNS TOWNSPEOPLE TOWS TOXIC TOXIN TOXINS TOY TOYED TOYING TOYS',
+    'TRACE TRACED TRACES TRACING TRACK TRACKED TRACKING TRACKS TRACT TRACTION TRACTOR TRACTORS TRACTS',
+    'TRADE TRADED TRADEMARK TRADEMARKED TRADEMARKING TRADEMARKS TRADER TRADERS TRADES TRADING TRADITION',
+    'TRADITIONAL TRADITIONALIST TRADITIONALLY TRADITIONS TRAFFIC TRAFFICKED TRAFFICKING TRAFFICS',
+    'TRAGEDIES TRAGEDY TRAGIC TRAGICALLY TRAIL TRAILED TRAILER TRAILERS TRAILING TRAILS TRAIN TRAINED',
+    'TRAINEE TRAINEES TRAINER TRAINERS TRAINING TRAINS TRAIT TRAITOR TRAITOROUS TRAITORS TRAITS TRAMP',
+    'TRAMPED TRAMPING TRAMPLE TRAMPLED TRAMPLES TRAMPLING TRAMPOLINE TRAMPOLINES TRAMPS TRANCE TRANCES',
+    'TRANQUIL TRANQUILER TRANQUILEST TRANQUILITY TRANQUILIZE TRANQUILIZED TRANQUILIZER TRANQUILIZERS',
+    'TRANQUILIZES TRANQUILIZING TRANSACT TRANSACTED TRANSACTING TRANSACTION TRANSACTIONS TRANSACTS',
+    'TRANSATLANTIC TRANSCEND TRANSCENDED TRANSCENDING TRANSCENDS TRANSCONTINENTAL TRANSCRIBE TRANSCRIBED',
+    'TRANSCRIBES TRANSCRIBING TRANSCRIPT TRANSCRIPTION TRANSCRIPTIONS TRANSCRIPTS TRANSFER TRANSFERABLE',
+    'TRANSFERRED TRANSFERRING TRANSFERS TRANSFORM TRANSFORMATION TRANSFORMATIONS TRANSFORMED TRANSFORMER',
+    'TRANSFORMERS TRANSFORMING TRANSFORMS TRANSFUSION TRANSFUSIONS TRANSGRESS TRANSGRESSED TRANSGRESSES',
+    'TRANSGRESSING TRANSGRESSION TRANSGRESSIONS TRANSIENT TRANSIENTS TRANSISTOR TRANSISTORS TRANSIT',
+    'TRANSITED TRANSITING TRANSITION TRANSITIONAL TRANSITIONED TRANSITIONING TRANSITIONS TRANSITIVE',
+    'TRANSITIVES TRANSITORY TRANSITS TRANSLATE TRANSLATED TRANSLATES TRANSLATING TRANSLATION TRANSLATIONS',
+    'TRANSLATOR TRANSLATORS TRANSLITERATION TRANSLUCENT TRANSMISSION TRANSMISSIONS TRANSMIT TRANSMITS',
+    'TRANSMITTED TRANSMITTER TRANSMITTERS TRANSMITTING TRANSPARENCIES TRANSPARENCY TRANSPARENT',
+    'TRANSPARENTLY TRANSPIRE TRANSPIRED TRANSPIRES TRANSPIRING TRANSPLANT TRANSPLANTED TRANSPLANTING',
+    'TRANSPLANTS TRANSPORT TRANSPORTABLE TRANSPORTATION TRANSPORTED TRANSPORTING TRANSPORTS TRANSPOSE',
+    'TRANSPOSED TRANSPOSES TRANSPOSING TRANSVERSE TRANSVERSES TRAP TRAPDOOR TRAPEZE TRAPEZES TRAPEZOID',
+    'TRAPEZOIDS TRAPPED TRAPPER TRAPPERS TRAPPING TRAPPINGS TRAPS TRASH TRASHCAN TRASHED TRASHES TRASHIER',
+    'TRASHIEST TRASHING TRASHY TRAUMA TRAUMAS TRAUMATIC TRAUMATIZE TRAUMATIZED TRAUMATIZES TRAUMATIZING',
+    'TRAVEL TRAVELED TRAVELER TRAVELERS TRAVELING TRAVELINGS TRAVELS TRAVERSE TRAVERSED TRAVERSES',
+    'TRAVERSING TRAVESTIED TRAVESTIES TRAVESTY TRAVESTYING TRAWL TRAWLED TRAWLER TRAWLERS TRAWLING TRAWLS',
+    'TRAY TRAYS TREACHERIES TREACHEROUS TREACHERY TREACLE TREAD TREADING TREADMILL TREADMILLS TREADS',
+    'TREASON TREASURE TREASURED TREASURER TREASURERS TREASURES TREASURIES TREASURING TREASURY TREAT',
+    'TREATED TREATIES TREATING TREATISE TREATISES TREATMENT TREATMENTS TREATS TREATY TREBLE TREBLED',
+    'TREBLES TREBLING TREE TREED TREEING TREES TREK TREKKED TREKKING TREKS TRELLIS TRELLISED TRELLISES',
+    'TRELLISING TREMBLE TREMBLED TREMBLES TREMBLING TREMENDOUS TREMENDOUSLY TREMOR TREMORS TRENCH',
+    'TRENCHED TRENCHES TRENCHING TREND TRENDED TRENDIER TRENDIES TRENDIEST TRENDING TRENDS TRENDY',
+    'TREPIDATION TRESPASS TRESPASSED TRESPASSER TRESPASSERS TRESPASSES TRESPASSING TRESTLE TRESTLES TRIAL',
+    'TRIALED TRIALING TRIALS TRIANGLE TRIANGLES TRIANGULAR TRIBAL TRIBE TRIBES TRIBULATION TRIBULATIONS',
+    'TRIBUNAL TRIBUNALS TRIBUTARIES TRIBUTARY TRIBUTE TRIBUTES TRICK TRICKED TRICKERY TRICKIER TRICKIEST',
+    'TRICKING TRICKLE TRICKLED TRICKLES TRICKLING TRICKS TRICKSTER TRICKSTERS TRICKY TRICYCLE TRICYCLES',
+    'TRIED TRIES TRIFLE TRIFLED TRIFLES TRIFLING TRIGGER TRIGGERED TRIGGERING TRIGGERS TRIGONOMETRY TRILL',
+    'TRILLED TRILLING TRILLION TRILLIONS TRILLS TRILOGIES TRILOGY TRIM TRIMESTER TRIMESTERS TRIMMED',
+    'TRIMMER TRIMMEST TRIMMING TRIMS TRINITY TRINKET TRINKETS TRIO TRIOS TRIP TRIPE TRIPLE TRIPLED',
+    'TRIPLES TRIPLET TRIPLETS TRIPLICATE TRIPLICATED TRIPLICATES TRIPLICATING TRIPLING TRIPOD TRIPODS',
+    'TRIPOS TRIPPED TRIPPING TRIPS TRITE TRITER TRITEST TRIUMPH TRIUMPHANT TRIUMPHED TRIUMPHING TRIUMPHS',
+    'TRIVIA TRIVIAL TRIVIALITY TRIVIALLY TROD TRODDEN TROLL TROLLED TROLLEY TROLLEYS TROLLING TROLLS',
+    'TROMBONE TROMBONES TROOP TROOPED TROOPER TROOPERS TROOPING TROOPS TROPHIES TROPHY TROPICAL TROT',
+    'TROTS TROTTED TROTTING TROUBLE TROUBLED TROUBLEMAKER TROUBLEMAKERS TROUBLES TROUBLESOME TROUBLING',
+    'TROUGH TROUGHS TROUNCE TROUNCED TROUNCES TROUNCING TROUPE TROUPED TROUPES TROUPING TROUSER TROUSERS',
+    'TROUT TROUTS TROWEL TROWELED TROWELING TROWELS TRUANCY TRUANT TRUANTED TRUANTING TRUANTS TRUCE',
+    'TRUCES TRUCK TRUCKED TRUCKING TRUCKS TRUDGE TRUDGED TRUDGES TRUDGING TRUE TRUED TRUER TRUES TRUEST',
+    'TRUFFLE TRUFFLES TRUING TRUISM TRUISMS TRULY TRUMP TRUMPED TRUMPET TRUMPETED TRUMPETING TRUMPETS',
+    'TRUMPING TRUMPS TRUNCATE TRUNCATED TRUNCATES TRUNCATING TRUNCATION TRUNK TRUNKING TRUNKS TRUST',
+    'TRUSTED TRUSTEE TRUSTEES TRUSTFUL TRUSTIER TRUSTIES TRUSTIEST TRUSTING TRUSTS TRUSTWORTHIER',
+    'TRUSTWORTHIEST TRUSTWORTHY TRUSTY TRUTH TRUTHFUL TRUTHFULLY TRUTHFULNESS TRUTHS TRY TRYING TRYOUT',
+    'TRYOUTS TUB TUBA TUBAS TUBE TUBED TUBERCULOSIS TUBES TUBING TUBS TUBULAR TUCK TUCKED TUCKING TUCKS',
+    'TUFT TUFTED TUFTING TUFTS TUG TUGGED TUGGING TUGS TUITION TULIP TULIPS TUMBLE TUMBLED TUMBLER',
+    'TUMBLERS TUMBLES TUMBLING TUMMIES TUMMY TUMOR TUMORS TUMULT TUMULTS TUMULTUOUS TUNA TUNAS TUNDRA',
+    'TUNDRAS TUNE TUNED TUNEFUL TUNER TUNERS TUNES TUNIC TUNICS TUNING TUNNEL TUNNELED TUNNELING',
+    'TUNNELINGS TUNNELS TURBAN TURBANS TURBINE TURBINES TURBULENCE TURBULENT TUREEN TUREENS TURF TURFED',
+    'TURFING TURFS TURGID TURKEY TURKEYS TURMOIL TURMOILS TURN TURNAROUND TURNED TURNER TURNING TURNIP',
+    'TURNIPS TURNOUT TURNOUTS TURNOVER TURNOVERS TURNPIKE TURNPIKES TURNS TURNSTILE TURNSTILES TURNTABLE',
+    'TURNTABLES TURPENTINE TURQUOISE TURQUOISES TURRET TURRETS TURTLE TURTLENECK TURTLENECKS TURTLES TUSK',
+    'TUSKS TUSSLE TUSSLED TUSSLES TUSSLING TUTOR TUTORED TUTORIAL TUTORIALS TUTORING TUTORS TUXEDO',
+    'TUXEDOS TWANG TWANGED TWANGING TWANGS TWEAK TWEAKED TWEAKING TWEAKS TWEE TWEED TWEET TWEETED',
+    'TWEETING TWEETS TWEEZERS TWELFTH TWELFTHS TWELVE TWELVES TWENTIES TWENTIETH TWENTIETHS TWENTY TWICE',
+    'TWIDDLE TWIDDLED TWIDDLES TWIDDLING TWIG TWIGGED TWIGGING TWIGS TWILIGHT TWIN TWINE TWINED TWINES',
+    'TWINGE TWINGED TWINGES TWINGING TWINING TWINKLE TWINKLED TWINKLES TWINKLING TWINNED TWINNING TWINS',
+    'TWIRL TWIRLED TWIRLING TWIRLS TWIST TWISTED TWISTER TWISTERS TWISTING TWISTS TWITCH TWITCHED',
+    'TWITCHES TWITCHING TWITTER TWITTERED TWITTERING TWITTERS TWO TWOS TYCOON TYCOONS TYING TYPE TYPED',
+    'TYPEFACE TYPES TYPESCRIPT TYPESET TYPESETS TYPESETTER TYPESETTING TYPEWRITER TYPEWRITERS TYPHOID',
+    'TYPHOON TYPHOONS TYPHUS TYPICAL TYPICALLY TYPIFIED TYPIFIES TYPIFY TYPIFYING TYPING TYPIST TYPISTS',
+    'TYPOGRAPHIC TYPOGRAPHICAL TYRANNICAL TYRANNIES TYRANNIZE TYRANNIZED TYRANNIZES TYRANNIZING TYRANNY',
+    'TYRANT TYRANTS UBIQUITOUS UDDER UDDERS UGH UGLIER UGLIEST UGLINESS UGLY ULCER ULCERS ULTERIOR',
+    'ULTIMATE ULTIMATELY ULTIMATUM ULTIMATUMS ULTRA ULTRASONIC ULTRAVIOLET UMBRELLA UMBRELLAS UMPIRE',
+    'UMPIRED UMPIRES UMPIRING UMPTEEN UNABLE UNACCEPTABLE UNACCEPTABLY UNACCEPTED UNACCOUNTABLE',
+    'UNACCOUNTABLY UNADULTERATED UNAFFECTED UNALTERED UNAMBIGUOUS UNAMBIGUOUSLY UNANIMITY UNANIMOUS',
+    'UNANIMOUSLY UNANSWERABLE UNANSWERED UNARMED UNASSIGNED UNASSUMING UNATTACHED UNATTAINABLE UNATTENDED',
+    'UNATTRACTIVE UNAUTHORIZED UNAVAILABLE UNAVOIDABLE UNAWARE UNAWARES UNBALANCED UNBEARABLE UNBEARABLY',
+    'UNBEATABLE UNBECOMING UNBELIEVABLE UNBELIEVABLY UNBELIEVER UNBELIEVERS UNBIASED UNBLOCK UNBLOCKED',
+    'UNBLOCKING UNBLOCKS UNBORN UNBREAKABLE UNBROKEN UNBURDEN UNBURDENED UNBURDENING UNBURDENS UNCANNIER',
+    'UNCANNIEST UNCANNY UNCEASING UNCERTAIN UNCERTAINTIES UNCERTAINTY UNCHALLENGED UNCHANGED UNCHARITABLE',
+    'UNCHRISTIAN UNCLE UNCLEAN UNCLEANER UNCLEANEST UNCLEAR UNCLES UNCOMFORTABLE UNCOMFORTABLY UNCOMMON',
+    'UNCOMMONER UNCOMMONEST UNCOMPROMISING UNCONCERNED UNCONDITIONAL UNCONDITIONALLY UNCONFIRMED',
+    'UNCONNECTED UNCONSCIOUS UNCONSCIOUSLY UNCONSTITUTIONAL UNCONTROLLABLE UNCONTROLLED UNCONTROVERSIAL',
+    'UNCONVENTIONAL UNCONVINCED UNCONVINCING UNCOUNTABLE UNCOUTH UNCOVER UNCOVERED UNCOVERING UNCOVERS',
+    'UNCULTURED UNCUT UNDAMAGED UNDAUNTED UNDECIDABLE UNDECIDED UNDECIDEDS UNDEFINED UNDEMOCRATIC',
+    'UNDENIABLE UNDENIABLY UNDER UNDERBRUSH UNDERCOVER UNDERCURRENT UNDERCURRENTS UNDERCUT UNDERCUTS',
+    'UNDERCUTTING UNDERDOG UNDERDOGS UNDERESTIMATE UNDERESTIMATED UNDERESTIMATES UNDERESTIMATING',
+    'UNDERFLOW UNDERFOOT UNDERGARMENT UNDERGARMENTS UNDERGO UNDERGOES UNDERGOING UNDERGONE UNDERGRADUATE',
+    'UNDERGRADUATES UNDERGROUND UNDERGROUNDS UNDERGROWTH UNDERHANDED UNDERLAIN UNDERLAY UNDERLAYS',
+    'UNDERLIE UNDERLIES UNDERLINE UNDERLINED UNDERLINES UNDERLINING UNDERLYING UNDERMINE UNDERMINED',
+    'UNDERMINES UNDERMINING UNDERNEATH UNDERNEATHS UNDERNOURISHED UNDERPANTS UNDERPASS UNDERPASSES',
+    'UNDERPRIVILEGED UNDERRATE UNDERRATED UNDERRATES UNDERRATING UNDERSCORE UNDERSCORED UNDERSCORES',
+    'UNDERSCORING UNDERSHIRT UNDERSHIRTS UNDERSIDE UNDERSIDES UNDERSTAND UNDERSTANDABLE UNDERSTANDABLY',
+    'UNDERSTANDING UNDERSTANDINGS UNDERSTANDS UNDERSTATE UNDERSTATED UNDERSTATEMENT UNDERSTATEMENTS',
+    'UNDERSTATES UNDERSTATING UNDERSTOOD UNDERSTUDIED UNDERSTUDIES UNDERSTUDY UNDERSTUDYING UNDERTAKE',
+    'UNDERTAKEN UNDERTAKER UNDERTAKERS UNDERTAKES UNDERTAKING UNDERTAKINGS UNDERTONE UNDERTONES UNDERTOOK',
+    'UNDERTOW UNDERTOWS UNDERWATER UNDERWEAR UNDERWEIGHT UNDERWENT UNDERWORLD UNDERWORLDS UNDERWRITE',
+    'UNDERWRITES UNDERWRITING UNDERWRITTEN UNDERWROTE UNDESERVED UNDESIRABLE UNDESIRABLES UNDETECTED',
+    'UNDEVELOPED UNDID UNDISTURBED UNDO UNDOCUMENTED UNDOES UNDOING UNDOINGS UNDONE UNDOUBTED UNDOUBTEDLY',
+    'UNDRESS UNDRESSED UNDRESSES UNDRESSING UNDUE UNDULY UNDYING UNEARTH UNEARTHED UNEARTHING UNEARTHLY',
+    'UNEARTHS UNEASIER UNEASIEST UNEASILY UNEASINESS UNEASY UNECONOMIC UNECONOMICAL UNEDUCATED',
+    'UNEMPLOYABLE UNEMPLOYED UNEMPLOYMENT UNENLIGHTENED UNEQUAL UNEQUALED UNEQUIVOCAL UNERRING UNETHICAL',
+    'UNEVEN UNEVENLY UNEVENTFUL UNEXPECTED UNEXPECTEDLY UNEXPLAINED UNFAILING UNFAIR UNFAIRER UNFAIREST',
+    'UNFAIRLY UNFAITHFUL UNFAMILIAR UNFASTEN UNFASTENED UNFASTENING UNFASTENS UNFAVORABLE UNFEASIBLE',
+    'UNFEELING UNFILLED UNFINISHED UNFIT UNFITS UNFITTED UNFITTING UNFOLD UNFOLDED UNFOLDING UNFOLDS',
+    'UNFORESEEN UNFORGETTABLE UNFORGIVABLE UNFORTUNATE UNFORTUNATELY UNFORTUNATES UNFOUNDED UNFRIENDLIER',
+    'UNFRIENDLIEST UNFRIENDLY UNFUNNY UNFURL UNFURLED UNFURLING UNFURLS UNGAINLIER UNGAINLIEST UNGAINLY',
+    'UNGODLIER UNGODLIEST UNGODLY UNGRAMMATICAL UNGRATEFUL UNHAPPIER UNHAPPIEST UNHAPPILY UNHAPPINESS',
+    'UNHAPPY UNHEALTHIER UNHEALTHIEST UNHEALTHY UNHEARD UNHELPFUL UNHOOK UNHOOKED UNHOOKING UNHOOKS',
+    'UNICORN UNICORNS UNICYCLE UNIDENTIFIED UNIFICATION UNIFIED UNIFIES UNIFORM UNIFORMED UNIFORMING',
+    'UNIFORMITY UNIFORMLY UNIFORMS UNIFY UNIFYING UNILATERAL UNILATERALLY UNIMAGINATIVE UNIMPORTANT',
+    'UNIMPRESSED UNINFORMATIVE UNINFORMED UNINHIBITED UNINITIATED UNINSPIRED UNINSPIRING UNINTELLIGENT',
+    'UNINTELLIGIBLE UNINTENDED UNINTENTIONAL UNINTENTIONALLY UNINTERESTED UNINTERESTING UNION UNIONIZE',
+    'UNIONIZED UNIONIZES UNIONIZING UNIONS UNIQUE UNIQUELY UNIQUENESS UNIQUER UNIQUEST UNISON UNIT UNITE',
+    'UNITED UNITES UNITIES UNITING UNITS UNITY UNIVERSAL UNIVERSALLY UNIVERSALS UNIVERSE UNIVERSES',
+    'UNIVERSITIES UNIVERSITY UNJUST UNJUSTIFIABLE UNJUSTIFIED UNJUSTLY UNKEMPT UNKIND UNKINDER UNKINDEST',
+    'UNKINDLIER UNKINDLIEST UNKINDLY UNKNOWN UNKNOWNS UNLABELED UNLAWFUL UNLEASH UNLEASHED UNLEASHES',
+    'UNLEASHING UNLESS UNLIKE UNLIKELIER UNLIKELIEST UNLIKELY UNLIMITED UNLOAD UNLOADED UNLOADING UNLOADS',
+    'UNLOCK UNLOCKED UNLOCKING UNLOCKS UNLUCKIER UNLUCKIEST UNLUCKY UNMAN UNMANNED UNMANNING UNMANS',
+    'UNMARKED UNMARRIED UNMASK UNMASKED UNMASKING UNMASKS UNMISTAKABLE UNMISTAKABLY UNMITIGATED',
+    'UNMODIFIED UNMOVED UNNAMED UNNATURAL UNNECESSARILY UNNECESSARY UNNERVE UNNERVED UNNERVES UNNERVING',
+    'UNNOTICED UNOBTAINABLE UNOCCUPIED UNOFFICIAL UNORIGINAL UNORTHODOX UNPACK UNPACKED UNPACKING UNPACKS',
+    'UNPAID UNPARALLELED UNPICK UNPLEASANT UNPLEASANTLY UNPLEASANTNESS UNPOPULAR UNPOPULARITY',
+    'UNPRECEDENTED UNPREDICTABLE UNPREPARED UNPRINCIPLED UNPRINTABLE UNPRIVILEGED UNPROTECTED UNPROVEN',
+    'UNPROVOKED UNPUBLISHED UNQUALIFIED UNQUESTIONABLE UNQUESTIONABLY UNRAVEL UNRAVELED UNRAVELING',
+    'UNRAVELS UNREAD UNREADABLE UNREAL UNREALISTIC UNREASONABLE UNREASONABLY UNRECOGNIZED UNRELATED',
+    'UNRELENTING UNRELIABILITY UNRELIABLE UNREMARKABLE UNREPEATABLE UNREPRESENTATIVE UNRESERVEDLY',
+    'UNRESOLVED UNREST UNRESTRICTED UNRIVALED UNRUFFLED UNRULIER UNRULIEST UNRULY UNSAFE UNSAFER UNSAFEST',
+    'UNSAID UNSANITARY UNSATISFACTORY UNSATISFIED UNSAVORY UNSAY UNSAYING UNSAYS UNSCATHED UNSCHEDULED',
+    'UNSCIENTIFIC UNSCREW UNSCREWED UNSCREWING UNSCREWS UNSCRUPULOUS UNSEASONABLE UNSEAT UNSEATED',
+    'UNSEATING UNSEATS UNSEEMLIER UNSEEMLIEST UNSEEMLY UNSEEN UNSET UNSETTLE UNSETTLED UNSETTLES',
+    'UNSETTLING UNSIGHTLIER UNSIGHTLIEST UNSIGHTLY UNSIGNED UNSKILLED UNSOLICITED UNSOLVED',
+    'UNSOPHISTICATED UNSOUND UNSOUNDER UNSOUNDEST UNSPEAKABLE UNSPECIFIED UNSTABLE UNSTRUCTURED UNSTUCK',
+    'UNSUBSTANTIATED UNSUCCESSFUL UNSUCCESSFULLY UNSUITABLE UNSUITED UNSUNG UNSUPPORTABLE UNSUPPORTED',
+    'UNSURE UNSUSPECTING UNTANGLE UNTANGLED UNTANGLES UNTANGLING UNTENABLE UNTHINKABLE UNTIDIER UNTIDIEST',
+    'UNTIDY UNTIE UNTIED UNTIES UNTIL UNTIRING UNTO UNTOLD UNTOUCHED UNTRAINED UNTRUE UNTRUER UNTRUEST',
+    'UNTRUSTWORTHY UNTYING UNUSABLE UNUSED UNUSUAL UNUSUALLY UNVEIL UNVEILED UNVEILING UNVEILS UNWANTED',
+    'UNWARRANTED UNWARY UNWASHED UNWELCOME UNWELL UNWIELDIER UNWIELDIEST UNWIELDY UNWILLING UNWILLINGNESS',
+    'UNWIND UNWINDING UNWINDS UNWISE UNWISER UNWISEST UNWITTINGLY UNWORKABLE UNWORTHY UNWOUND UNWRAP',
+    'UNWRAPPED UNWRAPPING UNWRAPS UNWRITTEN UP UPBEAT UPBEATS UPBRINGING UPBRINGINGS UPDATE UPDATED',
+    'UPDATES UPDATING UPEND UPENDED UPENDING UPENDS UPGRADE UPGRADED UPGRADES UPGRADING UPHEAVAL',
+    'UPHEAVALS UPHELD UPHILL UPHILLS UPHOLD UPHOLDING UPHOLDS UPHOLSTER UPHOLSTERED UPHOLSTERER',
+    'UPHOLSTERERS UPHOLSTERING UPHOLSTERS UPHOLSTERY UPKEEP UPLIFT UPLIFTED UPLIFTING UPLIFTS UPLOAD UPON',
+    'UPPED UPPER UPPERMOST UPPERS UPPING UPRIGHT UPRIGHTS UPRISING UPRISINGS UPROAR UPROARS UPROOT',
+    'UPROOTED UPROOTING UPROOTS UPS UPSET UPSETS UPSETTING UPSHOT UPSHOTS UPSIDE UPSTAIRS UPSTANDING',
+    'UPSTART UPSTARTED UPSTARTING UPSTARTS UPSTREAM UPTAKE UPTIGHT UPTOWN UPTURN UPTURNED UPTURNING',
+    'UPTURNS UPWARD UPWARDLY UPWARDS URANIUM URBAN URBANE URBANER URBANEST URCHIN URCHINS URGE URGED',
+    'URGENCY URGENT URGENTLY URGES URGING URINATE URINATED URINATES URINATING URINE URN URNS US USABLE',
+    'USAGE USAGES USE USED USEFUL USEFULLY USEFULNESS USELESS USELESSLY USELESSNESS USER USERS USES USHER',
+    'USHERED USHERING USHERS USING USUAL USUALLY USURP USURPED USURPING USURPS UTENSIL UTENSILS UTERI',
+    'UTERUS UTILITARIAN UTILITARIANISM UTILITIES UTILITY UTILIZATION UTILIZE UTILIZED UTILIZES UTILIZING',
+    'UTMOST UTTER UTTERANCE UTTERANCES UTTERED UTTERING UTTERLY UTTERS VACANCIES VACANCY VACANT VACATE',
+    'VACATED VACATES VACATING VACATION VACATIONED VACATIONING VACATIONS VACCINATE VACCINATED VACCINATES',
+    'VACCINATING VACCINATION VACCINATIONS VACCINE VACCINES VACILLATE VACILLATED VACILLATES VACILLATING',
+    'VACUOUS VACUUM VACUUMED VACUUMING VACUUMS VAGABOND VAGABONDED VAGABONDING VAGABONDS VAGARIES VAGARY',
+    'VAGINA VAGINAE VAGINAL VAGRANT VAGRANTS VAGUE VAGUELY VAGUENESS VAGUER VAGUEST VAIN VAINER VAINEST',
+    'VALENTINE VALENTINES VALET VALETED VALETING VALETS VALIANT VALID VALIDATE VALIDATED VALIDATES',
+    'VALIDATING VALIDATION VALIDITY VALIDLY VALISE VALISES VALLEY VALLEYS VALOR VALUABLE VALUABLES VALUE',
+    'VALUED VALUELESS VALUES VALUING VALVE VALVED VALVES VALVING VAMPIRE VAMPIRES VAN VANDAL VANDALISM',
+    'VANDALIZE VANDALIZED VANDALIZES VANDALIZING VANDALS VANE VANES VANGUARD VANGUARDS VANILLA VANILLAS',
+    'VANISH VANISHED VANISHES VANISHING VANITIES VANITY VANNED VANNING VANQUISH VANQUISHED VANQUISHES',
+    'VANQUISHING VANS VAPOR VAPORIZE VAPORIZED VAPORIZES VAPORIZING VAPORS VARIABLE VARIABLES VARIANCE',
+    'VARIANT VARIANTS VARIATION VARIATIONS VARIED VARIES VARIETIES VARIETY VARIOUS VARIOUSLY VARNISH',
+    'VARNISHED VARNISHES VARNISHING VARSITIES VARSITY VARY VARYING VASE VASES VAST VASTER VASTEST VASTLY',
+    'VASTNESS VASTS VAT VATS VATTED VATTING VAULT VAULTED VAULTING VAULTS VEAL VECTOR VECTORS VEER VEERED',
+    'VEERING VEERS VEGETABLE VEGETABLES VEGETARIAN VEGETARIANISM VEGETARIANS VEGETATION VEHEMENT',
+    'VEHEMENTLY VEHICLE VEHICLES VEIL VEILED VEILING VEILS VEIN VEINED VEINING VEINS VELOCITIES VELOCITY',
+    'VELOUR VELVET VELVETY VEND VENDED VENDING VENDOR VENDORS VENDS VENEER VENEERED VENEERING VENEERS',
+    'VENERABLE VENERATE VENERATED VENERATES VENERATING VENERATION VENGEANCE VENGEFUL VENISON VENOM',
+    'VENOMOUS VENT VENTED VENTILATE VENTILATED VENTILATES VENTILATING VENTILATION VENTILATOR VENTILATORS',
+    'VENTING VENTRICLE VENTRICLES VENTRILOQUIST VENTRILOQUISTS VENTS VENTURE VENTURED VENTURES VENTURING',
+    'VENUE VENUES VERACITY VERANDA VERANDAS VERB VERBAL VERBALLY VERBALS VERBATIM VERBIAGE VERBOSE',
+    'VERBOSITY VERBS VERDICT VERDICTS VERGE VERGED VERGES VERGING VERIER VERIEST VERIFICATION VERIFIED',
+    'VERIFIES VERIFY VERIFYING VERITABLE VERMIN VERNACULAR VERNACULARS VERSATILE VERSATILITY VERSE VERSED',
+    'VERSES VERSING VERSION VERSIONS VERSUS VERTEBRA VERTEBRAE VERTEBRATE VERTEBRATES VERTICAL VERTICALLY',
+    'VERTICALS VERTICES VERTIGO VERVE VERY VESSEL VESSELS VEST VESTED VESTIBULE VESTIBULES VESTIGE',
+    'VESTIGES VESTING VESTMENT VESTMENTS VESTS VET VETERAN VETERANS VETERINARIAN VETERINARIANS',
+    'VETERINARIES VETERINARY VETO VETOED VETOES VETOING VETS VETTED VETTING VEX VEXATION VEXATIONS VEXED',
+    'VEXES VEXING VIA VIABILITY VIABLE VIADUCT VIADUCTS VIAL VIALS VIBRANT VIBRATE VIBRATED VIBRATES',
+    'VIBRATING VIBRATION VIBRATIONS VICAR VICARIOUS VICARIOUSLY VICARS VICE VICED VICES VICING VICINITY',
+    'VICIOUS VICIOUSLY VICTIM VICTIMIZE VICTIMIZED VICTIMIZES VICTIMIZING VICTIMS VICTOR VICTORIES',
+    'VICTORIOUS VICTORS VICTORY VIDEO VIDEOS VIDEOTAPE VIDEOTAPED VIDEOTAPES VIDEOTAPING VIE VIED VIES',
+    'VIEW VIEWED VIEWER VIEWERS VIEWING VIEWPOINT VIEWPOINTS VIEWS VIGIL VIGILANCE VIGILANT VIGILANTE',
+    'VIGILANTES VIGILS VIGOR VIGOROUS VIGOROUSLY VILE VILER VILEST VILIFIED VILIFIES VILIFY VILIFYING',
+    'VILLA VILLAGE VILLAGER VILLAGERS VILLAGES VILLAIN VILLAINIES VILLAINOUS VILLAINS VILLAINY VILLAS',
+    'VINDICATE VINDICATED VINDICATES VINDICATING VINDICTIVE VINE VINEGAR VINES VINEYARD VINEYARDS VINTAGE',
+    'VINTAGES VINYL VINYLS VIOLA VIOLAS VIOLATE VIOLATED VIOLATES VIOLATING VIOLATION VIOLATIONS VIOLENCE',
+    'VIOLENT VIOLENTLY VIOLET VIOLETS VIOLIN VIOLINS VIPER VIPERS VIRAL VIRGIN VIRGINITY VIRGINS VIRILE',
+    'VIRILITY VIRTUAL VIRTUALLY VIRTUE VIRTUES VIRTUOSO VIRTUOUS VIRTUOUSLY VIRULENT VIRUS VIRUSES VISA',
+    'VISAED VISAING VISAS VISE VISED VISES VISIBILITY VISIBLE VISIBLY VISING VISION VISIONARIES VISIONARY',
+    'VISIONED VISIONING VISIONS VISIT VISITATION VISITATIONS VISITED VISITING VISITOR VISITORS VISITS',
+    'VISOR VISORS VISTA VISTAS VISUAL VISUALIZE VISUALIZED VISUALIZES VISUALIZING VISUALLY VISUALS VITAL',
+    'VITALITY VITALLY VITAMIN VITAMINS VITRIOLIC VIVACIOUS VIVACIOUSLY VIVACITY VIVID VIVIDER VIVIDEST',
+    'VIVIDLY VIVISECTION VOCABULARIES VOCABULARY VOCAL VOCALIST VOCALISTS VOCALS VOCATION VOCATIONAL',
+    'VOCATIONS VOCIFEROUS VOCIFEROUSLY VODKA VOGUE VOGUES VOICE VOICED VOICES VOICING VOID VOIDED VOIDING',
+    'VOIDS VOLATILE VOLCANIC VOLCANO VOLCANOES VOLITION VOLLEY VOLLEYBALL VOLLEYBALLS VOLLEYED VOLLEYING',
+    'VOLLEYS VOLT VOLTAGE VOLTAGES VOLTS VOLUME VOLUMES VOLUMINOUS VOLUNTARIES VOLUNTARILY VOLUNTARY',
+    'VOLUNTEER VOLUNTEERED VOLUNTEERING VOLUNTEERS VOLUPTUOUS VOMIT VOMITED VOMITING VOMITS VOODOO',
+    'VOODOOED VOODOOING VOODOOS VORACIOUS VORTEX VORTEXES VOTE VOTED VOTER VOTERS VOTES VOTING VOUCH',
+    'VOUCHED VOUCHER VOUCHERS VOUCHES VOUCHING VOW VOWED VOWEL VOWELS VOWING VOWS VOYAGE VOYAGED VOYAGER',
+    'VOYAGERS VOYAGES VOYAGING VULGAR VULGARER VULGAREST VULGARITIES VULGARITY VULNERABILITIES',
+    'VULNERABILITY VULNERABLE VULTURE VULTURES VYING WAD WADDED WADDING WADDLE WADDLED WADDLES WADDLING',
+    'WADE WADED WADES WADING WADS WAFER WAFERS WAFFLE WAFFLED WAFFLES WAFFLING WAFT WAFTED WAFTING WAFTS',
+    'WAG WAGE WAGED WAGER WAGERED WAGERING WAGERS WAGES WAGGED WAGGING WAGING WAGON WAGONS WAGS WAIF',
+    'WAIFS WAIL WAILED WAILING WAILS WAIST WAISTLINE WAISTLINES WAISTS WAIT WAITED WAITER WAITERS WAITING',
+    'WAITRESS WAITRESSES WAITS WAIVE WAIVED WAIVER WAIVERS WAIVES WAIVING WAKE WAKED WAKEN WAKENED',
+    'WAKENING WAKENS WAKES WAKING WALK WALKED WALKER WALKERS WALKING WALKOUT WALKOUTS WALKS WALL WALLED',
+    'WALLET WALLETS WALLING WALLOP WALLOPED WALLOPING WALLOPS WALLOW WALLOWED WALLOWING WALLOWS WALLPAPER',
+    'WALLPAPERED WALLPAPERING WALLPAPERS WALLS WALNUT WALNUTS WALRUS WALRUSES WALTZ WALTZED WALTZES',
+    'WALTZING WAN WAND WANDER WANDERED WANDERER WANDERERS WANDERING WANDERS WANDS WANE WANED WANES WANING',
+    'WANNA WANNER WANNEST WANT WANTED WANTING WANTON WANTONED WANTONING WANTONS WANTS WAR WARBLE WARBLED',
+    'WARBLES WARBLING WARD WARDED WARDEN WARDENS WARDING WARDROBE WARDROBES WARDS WAREHOUSE WAREHOUSED',
+    'WAREHOUSES WAREHOUSING WARFARE WARHEAD WARHEADS WARIER WARIEST WARLIKE WARM WARMED WARMER WARMEST',
+    'WARMING WARMLY WARMS WARMTH WARN WARNED WARNING WARNINGS WARNS WARP WARPATH WARPATHS WARPED WARPING',
+    'WARPS WARRANT WARRANTED WARRANTIED WARRANTIES WARRANTING WARRANTS WARRANTY WARRANTYING WARRED WARREN',
+    'WARRENS WARRING WARRIOR WARRIORS WARS WART WARTIME WARTS WARY WAS WASH WASHABLE WASHABLES WASHCLOTH',
+    'WASHCLOTHS WASHED WASHER WASHERS WASHES WASHING WASHINGS WASHOUT WASHOUTS WASHROOM WASHROOMS WASP',
+    'WASPS WASTAGE WASTE WASTEBASKET WASTEBASKETS WASTED WASTEFUL WASTEFULLY WASTELAND WASTELANDS WASTES',
+    'WASTING WATCH WATCHDOG WATCHDOGS WATCHED WATCHES WATCHFUL WATCHING WATCHMAN WATCHMEN WATCHWORD',
+    'WATCHWORDS WATER WATERCOLOR WATERCOLORS WATERED WATERFALL WATERFALLS WATERFRONT WATERFRONTS WATERIER',
+    'WATERIEST WATERING WATERLOGGED WATERMARK WATERMARKED WATERMARKING WATERMARKS WATERMELON WATERMELONS',
+    'WATERPROOF WATERPROOFED WATERPROOFING WATERPROOFS WATERS WATERSHED WATERSHEDS WATERTIGHT WATERWAY',
+    'WATERWAYS WATERWORKS WATERY WATT WATTS WAVE WAVED WAVEFORM WAVELENGTH WAVELENGTHS WAVER WAVERED',
+    'WAVERING WAVERS WAVES WAVIER WAVIEST WAVING WAVY WAX WAXED WAXES WAXIER WAXIEST WAXING WAXY WAY',
+    'WAYLAID WAYLAY WAYLAYING WAYLAYS WAYS WAYSIDE WAYSIDES WAYWARD WE WEAK WEAKEN WEAKENED WEAKENING',
+    'WEAKENS WEAKER WEAKEST WEAKLING WEAKLINGS WEAKLY WEAKNESS WEAKNESSES WEALTH WEALTHIER WEALTHIEST',
+    'WEALTHY WEAN WEANED WEANING WEANS WEAPON WEAPONRY WEAPONS WEAR WEARIED WEARIER WEARIES WEARIEST',
+    'WEARILY WEARINESS WEARING WEARISOME WEARS WEARY WEARYING WEASEL WEASELED WEASELING WEASELS WEATHER',
+    'WEATHERED WEATHERING WEATHERS WEAVE WEAVED WEAVER WEAVERS WEAVES WEAVING WEB WEBBED WEBBING WEBS WED',
+    'WEDDED WEDDER WEDDING WEDDINGS WEDGE WEDGED WEDGES WEDGING WEDLOCK WEDS WEE WEED WEEDED WEEDIER',
+    'WEEDIEST WEEDING WEEDS WEEDY WEEING WEEK WEEKDAY WEEKDAYS WEEKEND WEEKENDED WEEKENDING WEEKENDS',
+    'WEEKLIES WEEKLY WEEKS WEEP WEEPING WEEPS WEER WEES WEEST WEIGH WEIGHED WEIGHING WEIGHS WEIGHT',
+    'WEIGHTED WEIGHTIER WEIGHTIEST WEIGHTING WEIGHTS WEIGHTY WEIRD WEIRDER WEIRDEST WEIRDNESS WEIRDO',
+    'WEIRDOS WELCOME WELCOMED WELCOMES WELCOMING WELD WELDED WELDER WELDERS WELDING WELDS WELFARE WELL',
+    'WELLED WELLING WELLINGTON WELLS WELT WELTED WELTER WELTERED WELTERING WELTERS WELTING WELTS WENT',
+    'WEPT WERE WEREWOLF WEREWOLVES WEST WESTERLIES WESTERLY WESTERN WESTERNS WESTWARD WET WETS WETTER',
+    'WETTEST WETTING WHACK WHACKED WHACKING WHACKS WHALE WHALED WHALER WHALERS WHALES WHALING WHARF',
+    'WHARVES WHAT WHATEVER WHATS WHATSOEVER WHEAT WHEEDLE WHEEDLED WHEEDLES WHEEDLING WHEEL WHEELBARROW',
+    'WHEELBARROWS WHEELCHAIR WHEELCHAIRS WHEELED WHEELING WHEELS WHEEZE WHEEZED WHEEZES WHEEZING WHEN',
+    'WHENCE WHENEVER WHENS WHERE WHEREABOUTS WHEREAS WHEREBY WHEREIN WHERES WHEREUPON WHEREVER',
+    'WHEREWITHAL WHET WHETHER WHETS WHETTED WHETTING WHEW WHICH WHICHEVER WHIFF WHIFFED WHIFFING WHIFFS',
+    'WHILE WHILED WHILES WHILING WHILST WHIM WHIMPER WHIMPERED WHIMPERING WHIMPERS WHIMS WHIMSICAL WHINE',
+    'WHINED WHINES WHINING WHINNIED WHINNIES WHINNY WHINNYING WHIP WHIPPED WHIPPING WHIPS WHIR WHIRL',
+    'WHIRLED WHIRLING WHIRLPOOL WHIRLPOOLS WHIRLS WHIRLWIND WHIRLWINDS WHIRRED WHIRRING WHIRS WHISK',
+    'WHISKED WHISKER WHISKERED WHISKERS WHISKEY WHISKEYS WHISKING WHISKS WHISKYS WHISPER WHISPERED',
+    'WHISPERING WHISPERS WHISTLE WHISTLED WHISTLES WHISTLING WHITE WHITEN WHITENED WHITENESS WHITENING',
+    'WHITENS WHITER WHITES WHITEST WHITEWASH WHITEWASHED WHITEWASHES WHITEWASHING WHITTLE WHITTLED',
+    'WHITTLES WHITTLING WHIZ WHIZZED WHIZZES WHIZZING WHO WHOA WHOEVER WHOLE WHOLEHEARTED WHOLEHEARTEDLY',
+    'WHOLES WHOLESALE WHOLESALED WHOLESALER WHOLESALERS WHOLESALES WHOLESALING WHOLESOME WHOLLY WHOM',
+    'WHOOP WHOOPED WHOOPING WHOOPS WHOPPER WHOPPERS WHORE WHORES WHOSE WHY WHYS WICK WICKED WICKEDER',
+    'WICKEDEST WICKEDLY WICKEDNESS WICKER WICKERS WICKET WICKETS WICKS WIDE WIDELY WIDEN WIDENED WIDENING',
+    'WIDENS WIDER WIDESPREAD WIDEST WIDOW WIDOWED WIDOWER WIDOWERS WIDOWING WIDOWS WIDTH WIDTHS WIELD',
+    'WIELDED WIELDING WIELDS WIFE WIG WIGGED WIGGING WIGGLE WIGGLED WIGGLES WIGGLING WIGS WIGWAM WIGWAMS',
+    'WILD WILDCAT WILDCATS WILDCATTED WILDCATTING WILDER WILDERNESS WILDERNESSES WILDEST WILDFIRE',
+    'WILDFIRES WILDLIFE WILDLY WILDNESS WILDS WILIER WILIEST WILL WILLED WILLFUL WILLFULLY WILLING',
+    'WILLINGLY WILLINGNESS WILLOW WILLOWS WILLPOWER WILLS WILT WILTED WILTING WILTS WILY WIN WINCE WINCED',
+    'WINCES WINCH WINCHED WINCHES WINCHING WINCING WIND WINDED WINDFALL WINDFALLS WINDIER WINDIEST',
+    'WINDING WINDMILL WINDMILLED WINDMILLING WINDMILLS WINDOW WINDOWING WINDOWPANE WINDOWPANES WINDOWS',
+    'WINDPIPE WINDPIPES WINDS WINDSCREEN WINDSCREENS WINDSHIELD WINDSHIELDS WINDY WINE WINED WINES WING',
+    'WINGED WINGERS WINGING WINGS WINING WINK WINKED WINKING WINKS WINNER WINNERS WINNING WINNINGS WINS',
+    'WINSOME WINSOMER WINSOMEST WINTER WINTERED WINTERING WINTERS WINTERTIME WINTRIER WINTRIEST WINTRY',
+    'WIPE WIPED WIPER WIPERS WIPES WIPING WIRE WIRED WIRES WIRIER WIRIEST WIRING WIRY WISDOM WISE',
+    'WISECRACK WISECRACKED WISECRACKING WISECRACKS WISELY WISER WISES WISEST WISH WISHBONE WISHBONES',
+    'WISHED WISHES WISHFUL WISHING WISP WISPIER WISPIEST WISPS WISPY WIST WISTFUL WISTFULLY WIT WITCH',
+    'WITCHCRAFT WITCHED WITCHES WITCHING WITH WITHDRAW WITHDRAWAL WITHDRAWALS WITHDRAWING WITHDRAWN',
+    'WITHDRAWS WITHDREW WITHER WITHERED WITHERING WITHERS WITHHELD WITHHOLD WITHHOLDING WITHHOLDS WITHIN',
+    'WITHOUT WITHSTAND WITHSTANDING WITHSTANDS WITHSTOOD WITLESS WITNESS WITNESSED WITNESSES WITNESSING',
+    'WITS WITTICISM WITTICISMS WITTIER WITTIEST WITTING WITTY WIVE WIVES WIZ WIZARD WIZARDS WIZENED',
+    'WOBBLE WOBBLED WOBBLES WOBBLIER WOBBLIEST WOBBLING WOBBLY WOE WOES WOK WOKE WOKEN WOKS WOLF WOLFED',
+    'WOLFING WOLFS WOLVES WOMAN WOMANHOOD WOMANKIND WOMB WOMBAT WOMBATS WOMBS WOMEN WON WONDER WONDERED',
+    'WONDERFUL WONDERFULLY WONDERING WONDERLAND WONDERLANDS WONDERS WONDROUS WONT WOO WOOD WOODCHUCK',
+    'WOODCHUCKS WOODED WOODEN WOODENER WOODENEST WOODIER WOODIES WOODIEST WOODING WOODLAND WOODLANDS',
+    'WOODPECKER WOODPECKERS WOODS WOODSMAN WOODSMEN WOODWIND WOODWINDS WOODWORK WOODY WOOED WOOF WOOFED',
+    'WOOFING WOOFS WOOING WOOL WOOLEN WOOLENS WOOLLIER WOOLLIES WOOLLIEST WOOLLY WOOS WORD WORDED WORDIER',
+    'WORDIEST WORDING WORDINGS WORDS WORDY WORE WORK WORKABLE WORKBENCH WORKBENCHES WORKBOOK WORKBOOKS',
+    'WORKED WORKER WORKERS WORKFORCE WORKING WORKINGS WORKLOAD WORKMAN WORKMANSHIP WORKMEN WORKOUT',
+    'WORKOUTS WORKPLACE WORKS WORKSHOP WORKSHOPS WORKSTATION WORKSTATIONS WORLD WORLDLIER WORLDLIEST',
+    'WORLDLY WORLDS WORLDWIDE WORM WORMED WORMHOLE WORMHOLES WORMING WORMS WORN WORRIED WORRIES WORRISOME',
+    'WORRY WORRYING WORSE WORSEN WORSENED WORSENING WORSENS WORSHIP WORSHIPED WORSHIPER WORSHIPERS',
+    'WORSHIPING WORSHIPS WORST WORSTED WORSTING WORSTS WORTH WORTHIER WORTHIES WORTHIEST WORTHLESS',
+    'WORTHWHILE WORTHY WOT WOULD WOULDS WOUND WOUNDED WOUNDER WOUNDING WOUNDS WOVE WOVEN WOW WOWED WOWING',
+    'WOWS WRANGLE WRANGLED WRANGLER WRANGLERS WRANGLES WRANGLING WRAP WRAPPED WRAPPER WRAPPERS WRAPPING',
+    'WRAPPINGS WRAPS WRATH WREAK WREAKED WREAKING WREAKS WREATH WREATHE WREATHED WREATHES WREATHING',
+    'WREATHS WRECK WRECKAGE WRECKED WRECKER WRECKING WRECKS WREN WRENCH WRENCHED WRENCHES WRENCHING WRENS',
+    'WREST WRESTED WRESTING WRESTLE WRESTLED WRESTLER WRESTLERS WRESTLES WRESTLING WRESTS WRETCH WRETCHED',
+    'WRETCHEDER WRETCHEDEST WRETCHES WRIGGLE WRIGGLED WRIGGLES WRIGGLING WRIGHT WRING WRINGER WRINGERS',
+    'WRINGING WRINGS WRINKLE WRINKLED WRINKLES WRINKLING WRIST WRISTS WRISTWATCH WRISTWATCHES WRIT',
+    'WRITABLE WRITE WRITER WRITERS WRITES WRITHE WRITHED WRITHES WRITHING WRITING WRITINGS WRITS WRITTEN',
+    'WRONG WRONGDOER WRONGDOERS WRONGDOING WRONGDOINGS WRONGED WRONGER WRONGEST WRONGING WRONGLY WRONGS',
+    'WROTE WROUGHT WRUNG WRY WRYER WRYEST XENOPHOBIA XYLOPHONE XYLOPHONES YACHT YACHTED YACHTING YACHTS',
+    'YAK YAKKED YAKKING YAKS YAM YAMS YANK YANKED YANKING YANKS YAP YAPPED YAPPING YAPS YARD YARDS',
+    'YARDSTICK YARDSTICKS YARN YARNS YAWN YAWNED YAWNING YAWNS YEAR YEARLIES YEARLING YEARLINGS YEARLY',
+    'YEARN YEARNED YEARNING YEARNINGS YEARNS YEARS YEAST YEASTS YELL YELLED YELLING YELLOW YELLOWED',
+    'YELLOWER YELLOWEST YELLOWING YELLOWS YELLS YELP YELPED YELPING YELPS YEN YENS YES YESES YESSED',
+    'YESSING YESTERDAY YESTERDAYS YET YETI YEW YEWS YIELD YIELDED YIELDING YIELDS YODEL YODELED YODELING',
+    'YODELS YOGA YOGURT YOGURTS YOKE YOKED YOKEL YOKELS YOKES YOKING YOLK YOLKS YONDER YOU YOUNG YOUNGER',
+    'YOUNGEST YOUNGSTER YOUNGSTERS YOUR YOURS YOURSELF YOURSELVES YOUS YOUTH YOUTHFUL YOUTHS YOWL YOWLED',
+    'YOWLING YOWLS YUCK ZANIER ZANIES ZANIEST ZANY ZEAL ZEALOUS ZEBRA ZEBRAS ZENITH ZENITHS ZERO ZEROED',
+    'ZEROING ZEROS ZEST ZESTS ZETA ZIGZAG ZIGZAGGED ZIGZAGGING ZIGZAGS ZILLION ZILLIONS ZINC ZINCKED',
+    'ZINCKING ZINCS ZIP ZIPPED ZIPPER ZIPPERED ZIPPERING ZIPPERS ZIPPING ZIPS ZODIAC ZODIACS ZOMBIE',
+    'ZOMBIES ZONE ZONED ZONES ZONING ZOO ZOOLOGICAL ZOOLOGIST ZOOLOGISTS ZOOLOGY ZOOM ZOOMED ZOOMING',
+    'ZOOMS ZOOS ZUCCHINI ZUCCHINIS'
+].join(' ');
+
+// Common multi-word tile entries, matched as a whole before word-by-word correction
+const OCR_PHRASE_LIST = [
+    'ALL EARS', 'APPLE PIE', 'BACK DOOR', 'BAD BLOOD', 'BALL PARK', 'BEAN BAG', 'BIG APPLE',
+    'BIG DEAL', 'BIG TOP', 'BLACK BOX', 'BLACK HOLE', 'BLUE MOON', 'BOOK CLUB', 'BOW TIE',
+    'BUS STOP', 'CAR WASH', 'CHEAT SHEET', 'CHECK MATE', 'CHICKEN WING', 'CLEAN SLATE',
+    'COLD FEET', 'COLD TURKEY', 'COTTON CANDY', 'CROSS WORD', 'DARK HORSE', 'DEAD END',
+    'DOG HOUSE', 'DOUBLE DUTCH', 'DRY RUN', 'EASY STREET', 'EYE CANDY', 'FAST FOOD',
+    'FIRE DRILL', 'FIRST CLASS', 'FLEA MARKET', 'FLY BALL', 'FORT KNOX', 'FREE THROW',
+    'FRENCH FRY', 'FRENCH TOAST', 'FULL HOUSE', 'GAME OVER', 'GOLD RUSH', 'GOLDEN GATE',
+    'GRAND SLAM', 'GREEN LIGHT', 'GUT FEELING', 'HAIR CUT', 'HALF TIME', 'HAPPY HOUR',
+    'HEAD START', 'HIGH FIVE', 'HOLY COW', 'HOME RUN', 'HOT DOG', 'HOT POTATO', 'ICE AGE',
+    'ICE CREAM', 'IN THE BAG', 'JACK IN THE BOX', 'JUNK FOOD', 'KEY LIME', 'LAST STRAW',
+    'LIFE JACKET', 'LIGHT YEAR', 'LOVE SEAT', 'LOW KEY', 'MAD HATTER', 'MASHED POTATO',
+    'MIC DROP', 'MILKY WAY', 'MONKEY BARS', 'NEW YORK', 'NEW WAVE', 'NIGHT OWL', 'NO DICE',
+    'OLD HAT', 'ON DECK', 'ONE WAY', 'OPEN BOOK', 'PACK RAT', 'PAPER TIGER', 'PEA COAT',
+    'PIECE OF CAKE', 'PIG LATIN', 'PINK SLIP', 'POKER FACE', 'POP QUIZ', 'POT LUCK',
+    'POWER NAP', 'RAIN CHECK', 'RED CARPET', 'RED HERRING', 'RED TAPE', 'ROAD TRIP',
+    'ROCK BOTTOM', 'ROOM SERVICE', 'ROUND ROBIN', 'SAFE HOUSE', 'SALAD BAR', 'SEA LION',
+    'SECOND HAND', 'SHORT STOP', 'SIDE KICK', 'SMALL TALK', 'SOUR GRAPES', 'SPACE BAR',
+    'SPEED BUMP', 'SPLIT ENDS', 'STAR FISH', 'STEP STOOL', 'STICK SHIFT', 'SUN DIAL',
+    'SWEET TOOTH', 'TAKE FIVE', 'TEDDY BEAR', 'TEST TUBE', 'THINK TANK', 'TIME OUT',
+    'TOP DOG', 'TOP HAT', 'TRAIL MIX', 'TUG OF WAR', 'TWO CENTS', 'UNDER DOG', 'UPPER CRUST',
+    'VIDEO GAME', 'WALK OF FAME', 'WHITE ELEPHANT', 'WHITE HOUSE', 'WILD CARD', 'WIND CHIME',
+    'WISE GUY', 'WORD PLAY', 'YARD SALE', 'YOUR HONOR', 'ZIP CODE'
+];